@@ -45,6 +45,8 @@ export default [
         URL: 'readonly',
         URLSearchParams: 'readonly',
         Intl: 'readonly',
+        fetch: 'readonly',
+        AbortSignal: 'readonly',
       },
     },
     plugins: {
@@ -3,14 +3,15 @@
  * JWT and admin role verification for secure API access
  */
 
-import { Response, NextFunction } from 'express';
+import { Request, Response, NextFunction } from 'express';
 import jwt from 'jsonwebtoken';
 
 import { supabaseService } from '../../config/supabase.js';
 import type { AuthenticatedRequest } from '../../shared/types/index.js';
 
 interface JWTPayload {
-  sub: string; // user ID
+  sub?: string; // user ID
+  userId?: number; // user ID (tokens issued by the tRPC userRouter)
   email: string;
   role: string;
   iat: number;
@@ -18,6 +19,50 @@ interface JWTPayload {
 }
 
 
+/**
+ * Sign a session token accepted by both the REST middleware and the tRPC context
+ */
+export function signAuthToken(user: { id: number; email: string; role: string; full_name?: string }): string {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+
+  return jwt.sign(
+    {
+      sub: String(user.id),
+      userId: user.id,
+      email: user.email,
+      role: user.role,
+      user: { id: user.id, email: user.email, full_name: user.full_name, role: user.role }
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: '24h' }
+  );
+}
+
+/**
+ * Verify a JWT and load its user, or null when the user is missing or inactive
+ * Throws the jsonwebtoken errors of a malformed or expired token
+ */
+async function findTokenUser(token: string, secret: string): Promise<AuthenticatedRequest['user'] | null> {
+  const decoded = jwt.verify(token, secret) as JWTPayload;
+
+  // Verify user exists and is active
+  const { data: user, error } = await supabaseService
+    .from('users')
+    .select('id, email, role, is_active')
+    .eq('id', decoded.userId ?? parseInt(decoded.sub ?? ''))
+    .eq('is_active', true)
+    .single();
+
+  if (error || !user) {
+    return null;
+  }
+
+  const { id, email, role } = user as { id: number; email: string; role: string };
+  return { id, email, role };
+}
+
 /**
  * Middleware to authenticate requests using JWT token
  */
@@ -45,18 +90,9 @@ export async function authenticate(req: AuthenticatedRequest, res: Response, nex
       return;
     }
 
-    // Verify JWT token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET) as JWTPayload;
-
-    // Verify user exists and is active
-    const { data: user, error } = await supabaseService
-      .from('users')
-      .select('id, email, role, is_active')
-      .eq('id', parseInt(decoded.sub))
-      .eq('is_active', true)
-      .single();
+    const user = await findTokenUser(token, process.env.JWT_SECRET);
 
-    if (error || !user) {
+    if (!user) {
       res.status(401).json({
         success: false,
         message: 'Invalid or expired token',
@@ -66,11 +102,7 @@ export async function authenticate(req: AuthenticatedRequest, res: Response, nex
     }
 
     // Attach user info to request
-    req.user = {
-      id: (user as { id: number; email: string; role: string }).id,
-      email: (user as { id: number; email: string; role: string }).email,
-      role: (user as { id: number; email: string; role: string }).role
-    };
+    req.user = user;
 
     next();
 
@@ -171,25 +203,66 @@ export async function authenticateSupport(req: AuthenticatedRequest, res: Respon
 
 /**
  * Optional authentication - doesn't fail if no token provided
- * Useful for endpoints that work for both authenticated and anonymous users
+ * Useful for endpoints that work for both authenticated and anonymous users.
+ * An invalid or expired token is treated like no token, so a stale session
+ * never blocks a guest checkout
  */
 export async function optionalAuthenticate(req: AuthenticatedRequest, res: Response, next: NextFunction): Promise<void> {
+  const authHeader = req.headers['authorization'] as string | undefined;
+
+  if (!authHeader?.startsWith('Bearer ')) {
+    // No token provided, continue without authentication
+    next();
+    return;
+  }
+
+  if (!process.env.JWT_SECRET) {
+    res.status(500).json({
+      success: false,
+      message: 'Server configuration error',
+      error: 'JWT_SECRET_MISSING'
+    });
+    return;
+  }
+
   try {
-    const authHeader = req.headers['authorization'] as string | undefined;
+    const user = await findTokenUser(authHeader.substring(7), process.env.JWT_SECRET);
+    if (user) {
+      req.user = user;
+    }
+  } catch {
+    // Invalid or expired token, continue without authentication
+  }
 
-    if (!authHeader?.startsWith('Bearer ')) {
-      // No token provided, continue without authentication
+  next();
+}
+
+/**
+ * Roles a route can declare, from least to most privileged
+ * 'guest' routes are public but still identify customers who send their token
+ */
+export type RouteRole = 'public' | 'guest' | 'user' | 'support' | 'admin';
+
+const ROLE_GUARDS: Record<Exclude<RouteRole, 'public'>, typeof authenticate> = {
+  guest: optionalAuthenticate,
+  user: authenticate,
+  support: authenticateSupport,
+  admin: authenticateAdmin
+};
+
+/**
+ * Route-level authorization - declares the role an endpoint requires
+ * Delegates to the middlewares above so every route answers 401/403 the same way
+ */
+export function requireRole(role: RouteRole): (req: Request, res: Response, next: NextFunction) => Promise<void> {
+  return async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+    if (role === 'public') {
       next();
       return;
     }
 
-    // Token provided, try to authenticate
-    await authenticate(req, res, next);
-
-  } catch (error) {
-    // If optional auth fails, continue without authentication
-        next();
-  }
+    await ROLE_GUARDS[role](req as unknown as AuthenticatedRequest, res, next);
+  };
 }
 
 // Export type for TypeScript
@@ -0,0 +1,124 @@
+/**
+ * 🌸 FloresYa Idempotency Middleware
+ * Idempotency-Key support for creation endpoints, so a retried checkout or
+ * payment report does not run twice
+ */
+
+import { Request, Response, NextFunction } from 'express';
+
+import {
+  IDEMPOTENCY_KEY_HEADER,
+  IDEMPOTENCY_KEY_PATTERN,
+  idempotencyFingerprint,
+  idempotencyService,
+  type IdempotencyClaim,
+  type IdempotencyScope
+} from '../../services/IdempotencyService.js';
+import type { AuthenticatedRequest } from '../../shared/types/index.js';
+import { serverLogger } from '../../utils/serverLogger.js';
+
+/**
+ * Fingerprint of the body, the uploaded file if any, and the signed-in customer
+ */
+export function requestFingerprint(req: Request): string {
+  const file = (req as Request & { file?: { buffer: Buffer } }).file;
+  return idempotencyFingerprint((req as unknown as AuthenticatedRequest).user?.id ?? null, req.body, file?.buffer);
+}
+
+/**
+ * Make a POST endpoint idempotent for requests that send an Idempotency-Key.
+ * Successful responses are stored and replayed for the same key and body;
+ * failed ones free the key, since they created nothing. Requests without the
+ * header run as usual. Mount it after authentication and body parsing.
+ * A request that never answers keeps its key only until
+ * IDEMPOTENCY_KEY_LOCK_TIMEOUT_MS; after that a retry takes the key over.
+ */
+export function idempotent(scope: IdempotencyScope): (req: Request, res: Response, next: NextFunction) => Promise<void> {
+  return async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+    const key = req.get(IDEMPOTENCY_KEY_HEADER);
+    if (key === undefined) {
+      next();
+      return;
+    }
+
+    if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+      res.status(400).json({
+        success: false,
+        message: `${IDEMPOTENCY_KEY_HEADER} must be 1 to 255 printable characters`,
+        error: 'INVALID_IDEMPOTENCY_KEY'
+      });
+      return;
+    }
+
+    let claim: IdempotencyClaim;
+    try {
+      claim = await idempotencyService.claim(scope, key, requestFingerprint(req));
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'IDEMPOTENCY_ERROR'
+      });
+      return;
+    }
+
+    if (claim.state === 'replay') {
+      res.set('Idempotent-Replayed', 'true');
+      res.status(claim.status).json(claim.body);
+      return;
+    }
+
+    if (claim.state === 'mismatch') {
+      res.status(422).json({
+        success: false,
+        message: `${IDEMPOTENCY_KEY_HEADER} was already used with a different request`,
+        error: 'IDEMPOTENCY_KEY_REUSED'
+      });
+      return;
+    }
+
+    if (claim.state === 'in_progress') {
+      res.status(409).json({
+        success: false,
+        message: `A request with this ${IDEMPOTENCY_KEY_HEADER} is still being processed`,
+        error: 'IDEMPOTENCY_KEY_IN_PROGRESS'
+      });
+      return;
+    }
+
+    // Successes are stored for replays; anything else frees the key
+    const settle = (status: number, body: unknown): Promise<void> => {
+      const settled = status >= 200 && status < 300
+        ? idempotencyService.complete(scope, key, status, body)
+        : idempotencyService.release(scope, key);
+
+      return settled.catch((error: unknown) => {
+        serverLogger.warn('IDEMPOTENCY', 'Could not record the response of an idempotent request', {
+          scope,
+          status,
+          error: error instanceof Error ? error.message : String(error)
+        });
+      });
+    };
+
+    // Store the outcome before answering, so a retry after the response never runs the request again
+    let recorded = false;
+    const json = res.json.bind(res);
+    res.json = (body: unknown): Response => {
+      recorded = true;
+      void settle(res.statusCode, body).then(() => json(body));
+      return res;
+    };
+
+    // Handlers that answer with res.send or res.end skip res.json. Their body
+    // cannot be replayed, but a success still must not run twice, so its
+    // retries get its status back with a null body
+    res.on('finish', () => {
+      if (!recorded) {
+        void settle(res.statusCode, null);
+      }
+    });
+
+    next();
+  };
+}
@@ -0,0 +1,36 @@
+/**
+ * 🌸 FloresYa Auth Routes - Express Router Configuration
+ * Defines API endpoints for login, registration and session profile
+ */
+
+import { Router } from 'express';
+
+import { authController } from '../../controllers/AuthController.js';
+import { requireRole } from '../middleware/authMiddleware.js';
+
+export function createAuthRoutes(): Router {
+  const router = Router();
+
+  // POST /api/auth/login - Exchange credentials for a JWT
+  router.post(
+    '/login',
+    requireRole('public'),
+    authController.login.bind(authController)
+  );
+
+  // POST /api/auth/register - Create a customer account
+  router.post(
+    '/register',
+    requireRole('public'),
+    authController.register.bind(authController)
+  );
+
+  // GET /api/auth/me - Get the authenticated user's profile
+  router.get(
+    '/me',
+    requireRole('user'),
+    authController.me.bind(authController)
+  );
+
+  return router;
+}
@@ -0,0 +1,52 @@
+/**
+ * 🌸 FloresYa Coupon Routes - Express Router Configuration
+ * Public coupon application at checkout, admin coupon management and usage reports
+ */
+
+import { Router } from 'express';
+
+import { CouponController } from '../../controllers/CouponController.js';
+import { requireRole } from '../middleware/authMiddleware.js';
+
+export function createCouponRoutes(): Router {
+  const router = Router();
+  const couponController = new CouponController();
+
+  // POST /api/coupons/apply - Quote the cart with a coupon at checkout
+  router.post('/apply',
+    requireRole('guest'),
+    couponController.applyCoupon.bind(couponController)
+  );
+
+  // GET /api/coupons - Every coupon with its uses
+  router.get('/',
+    requireRole('admin'),
+    couponController.getCoupons.bind(couponController)
+  );
+
+  // GET /api/coupons/:id/usage - Orders that used the coupon
+  router.get('/:id/usage',
+    requireRole('admin'),
+    couponController.getCouponUsage.bind(couponController)
+  );
+
+  // POST /api/coupons - Create coupon
+  router.post('/',
+    requireRole('admin'),
+    couponController.createCoupon.bind(couponController)
+  );
+
+  // PUT /api/coupons/:id - Update coupon
+  router.put('/:id',
+    requireRole('admin'),
+    couponController.updateCoupon.bind(couponController)
+  );
+
+  // DELETE /api/coupons/:id - Delete coupon
+  router.delete('/:id',
+    requireRole('admin'),
+    couponController.deleteCoupon.bind(couponController)
+  );
+
+  return router;
+}
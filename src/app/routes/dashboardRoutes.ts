@@ -5,13 +5,18 @@
 
 import { Router } from 'express';
 
+import { exchangeRateService } from '../../services/ExchangeRateService.js';
 import { typeSafeDatabaseService } from '../../services/TypeSafeDatabaseService.js';
 import { getTimeAgo } from '../../shared/utils/index.js';
 import { serverLogger } from '../../utils/serverLogger.js';
+import { requireRole } from '../middleware/authMiddleware.js';
 
 export function createDashboardRoutes(): Router {
   const router = Router();
 
+  // Every dashboard endpoint is admin only
+  router.use(requireRole('admin'));
+
   /**
    * @swagger
    * /api/admin/dashboard/metrics:
@@ -138,6 +143,9 @@ export function createDashboardRoutes(): Router {
         });
       }
 
+      // Failed rate refresh, missing or stale exchange rate
+      alerts.push(...await exchangeRateService.getRefreshAlerts());
+
       // Default alert if none
       if (alerts.length === 0) {
         alerts.push({
@@ -188,7 +196,7 @@ export function createDashboardRoutes(): Router {
    *                         example: "cart-plus"
    *                       description:
    *                         type: string
-   *                         example: "Nuevo pedido #123"
+   *                         example: "Nuevo pedido FY-2026-000123"
    *                       time:
    *                         type: string
    *                         example: "hace 5 minutos"
@@ -207,7 +215,7 @@ export function createDashboardRoutes(): Router {
           const timeAgo = getTimeAgo(new Date(order.created_at));
           activity.push({
             icon: 'cart-plus',
-            description: `Nuevo pedido #${order.id} - ${order.customer_name}`,
+            description: `Nuevo pedido ${order.order_number} - ${order.customer_name}`,
             time: timeAgo
           });
         });
@@ -0,0 +1,96 @@
+/**
+ * 🌸 FloresYa Delivery Routes - Express Router Configuration
+ * Public delivery calendar and zones, admin management of slots, blackout dates and zones
+ */
+
+import { Router } from 'express';
+
+import { DeliverySlotController } from '../../controllers/DeliverySlotController.js';
+import { DeliveryZoneController } from '../../controllers/DeliveryZoneController.js';
+import { requireRole } from '../middleware/authMiddleware.js';
+
+export function createDeliveryRoutes(): Router {
+  const router = Router();
+  const deliverySlotController = new DeliverySlotController();
+  const deliveryZoneController = new DeliveryZoneController();
+
+  // GET /api/delivery/availability - Delivery calendar for checkout
+  router.get('/availability',
+    requireRole('public'),
+    deliverySlotController.getAvailability.bind(deliverySlotController)
+  );
+
+  // GET /api/delivery/slots - Every slot, including inactive ones
+  router.get('/slots',
+    requireRole('admin'),
+    deliverySlotController.getSlots.bind(deliverySlotController)
+  );
+
+  // POST /api/delivery/slots - Create slot
+  router.post('/slots',
+    requireRole('admin'),
+    deliverySlotController.createSlot.bind(deliverySlotController)
+  );
+
+  // PUT /api/delivery/slots/:id - Update slot
+  router.put('/slots/:id',
+    requireRole('admin'),
+    deliverySlotController.updateSlot.bind(deliverySlotController)
+  );
+
+  // DELETE /api/delivery/slots/:id - Delete slot
+  router.delete('/slots/:id',
+    requireRole('admin'),
+    deliverySlotController.deleteSlot.bind(deliverySlotController)
+  );
+
+  // GET /api/delivery/blackouts - Days without deliveries
+  router.get('/blackouts',
+    requireRole('admin'),
+    deliverySlotController.getBlackoutDates.bind(deliverySlotController)
+  );
+
+  // POST /api/delivery/blackouts - Add blackout date
+  router.post('/blackouts',
+    requireRole('admin'),
+    deliverySlotController.addBlackoutDate.bind(deliverySlotController)
+  );
+
+  // DELETE /api/delivery/blackouts/:date - Remove blackout date
+  router.delete('/blackouts/:date',
+    requireRole('admin'),
+    deliverySlotController.removeBlackoutDate.bind(deliverySlotController)
+  );
+
+  // GET /api/delivery/zones - Zones served, for checkout
+  router.get('/zones',
+    requireRole('public'),
+    deliveryZoneController.getActiveZones.bind(deliveryZoneController)
+  );
+
+  // GET /api/delivery/zones/all - Every zone, including inactive ones
+  router.get('/zones/all',
+    requireRole('admin'),
+    deliveryZoneController.getAllZones.bind(deliveryZoneController)
+  );
+
+  // POST /api/delivery/zones - Create zone
+  router.post('/zones',
+    requireRole('admin'),
+    deliveryZoneController.createZone.bind(deliveryZoneController)
+  );
+
+  // PUT /api/delivery/zones/:id - Update zone
+  router.put('/zones/:id',
+    requireRole('admin'),
+    deliveryZoneController.updateZone.bind(deliveryZoneController)
+  );
+
+  // DELETE /api/delivery/zones/:id - Delete zone
+  router.delete('/zones/:id',
+    requireRole('admin'),
+    deliveryZoneController.deleteZone.bind(deliveryZoneController)
+  );
+
+  return router;
+}
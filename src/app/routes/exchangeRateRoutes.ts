@@ -0,0 +1,46 @@
+/**
+ * 🌸 FloresYa Exchange Rate Routes - Express Router Configuration
+ * Public current rate, admin history, new rates, provider refresh and VES rounding
+ */
+
+import { Router } from 'express';
+
+import { ExchangeRateController } from '../../controllers/ExchangeRateController.js';
+import { requireRole } from '../middleware/authMiddleware.js';
+
+export function createExchangeRateRoutes(): Router {
+  const router = Router();
+  const exchangeRateController = new ExchangeRateController();
+
+  // GET /api/exchange-rates/current - Rate the storefront shows VES amounts with
+  router.get('/current',
+    requireRole('public'),
+    exchangeRateController.getCurrentRate.bind(exchangeRateController)
+  );
+
+  // PUT /api/exchange-rates/rounding - Step VES prices are rounded up to
+  router.put('/rounding',
+    requireRole('admin'),
+    exchangeRateController.updateRounding.bind(exchangeRateController)
+  );
+
+  // POST /api/exchange-rates/refresh - Fetch the rate from the configured provider now
+  router.post('/refresh',
+    requireRole('admin'),
+    exchangeRateController.refreshRate.bind(exchangeRateController)
+  );
+
+  // GET /api/exchange-rates - Rate history
+  router.get('/',
+    requireRole('admin'),
+    exchangeRateController.getRateHistory.bind(exchangeRateController)
+  );
+
+  // POST /api/exchange-rates - Record a new rate
+  router.post('/',
+    requireRole('admin'),
+    exchangeRateController.recordRate.bind(exchangeRateController)
+  );
+
+  return router;
+}
@@ -6,6 +6,7 @@
 import { Router } from 'express';
 
 import { ImageController, imageUpload } from '../../controllers/ImageController.js';
+import { requireRole } from '../middleware/authMiddleware.js';
 
 export function createImageRoutes(): Router {
   const router = Router();
@@ -13,38 +14,45 @@ export function createImageRoutes(): Router {
 
   // POST /api/images/upload/:productId - Upload and process product images
   router.post('/upload/:productId',
+    requireRole('admin'),
     imageUpload,
     imageController.uploadProductImage.bind(imageController)
   );
 
   // GET /api/images/product/:productId - Get images for a specific product
   router.get('/product/:productId',
+    requireRole('public'),
     imageController.getProductImages.bind(imageController)
   );
 
   // DELETE /api/images/product/:productId - Delete all images for a product
   router.delete('/product/:productId',
+    requireRole('admin'),
     imageController.deleteProductImages.bind(imageController)
   );
 
   // GET /api/images/gallery - Get all product images for gallery
   router.get('/gallery',
+    requireRole('admin'),
     imageController.getImagesGallery.bind(imageController)
   );
 
   // POST /api/images/site - Upload site images (hero, logo)
   router.post('/site',
+    requireRole('admin'),
     imageUpload,
     imageController.uploadSiteImage.bind(imageController)
   );
 
   // GET /api/images/site/current - Get current site images
   router.get('/site/current',
+    requireRole('public'),
     imageController.getCurrentSiteImages.bind(imageController)
   );
 
   // GET /api/images/products-with-counts - Get products with image counts
   router.get('/products-with-counts',
+    requireRole('admin'),
     imageController.getProductsWithImageCounts.bind(imageController)
   );
 
@@ -0,0 +1,28 @@
+/**
+ * 🌸 FloresYa Inventory Routes - Express Router Configuration
+ * Admin stock ledger: adjustments and product stock history
+ */
+
+import { Router } from 'express';
+
+import { InventoryController } from '../../controllers/InventoryController.js';
+import { requireRole } from '../middleware/authMiddleware.js';
+
+export function createInventoryRoutes(): Router {
+  const router = Router();
+  const inventoryController = new InventoryController();
+
+  // GET /api/inventory/products/:id/movements - Stock history of a product
+  router.get('/products/:id/movements',
+    requireRole('admin'),
+    inventoryController.getProductStockHistory.bind(inventoryController)
+  );
+
+  // POST /api/inventory/adjustments - Manual adjustment, waste or restock
+  router.post('/adjustments',
+    requireRole('admin'),
+    inventoryController.adjustStock.bind(inventoryController)
+  );
+
+  return router;
+}
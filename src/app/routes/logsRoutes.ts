@@ -6,6 +6,7 @@
 import { Router } from 'express';
 
 import { LogsController } from '../../controllers/LogsController.js';
+import { requireRole } from '../middleware/authMiddleware.js';
 
 export function createLogsRoutes(): Router {
   const router = Router();
@@ -14,6 +15,7 @@ export function createLogsRoutes(): Router {
   // POST /api/logs/frontend - Receive frontend logs
   router.post(
     '/frontend',
+    requireRole('public'),
     logsController.receiveFrontendLogs.bind(logsController)
   );
 
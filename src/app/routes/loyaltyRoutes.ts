@@ -0,0 +1,28 @@
+/**
+ * 🌸 FloresYa Loyalty Routes - Express Router Configuration
+ * The customer's loyalty points and the admin view of any customer's
+ */
+
+import { Router } from 'express';
+
+import { LoyaltyController } from '../../controllers/LoyaltyController.js';
+import { requireRole } from '../middleware/authMiddleware.js';
+
+export function createLoyaltyRoutes(): Router {
+  const router = Router();
+  const loyaltyController = new LoyaltyController();
+
+  // GET /api/loyalty/me - The customer's points, expiries and movements
+  router.get('/me',
+    requireRole('user'),
+    loyaltyController.getMyLoyaltyAccount.bind(loyaltyController)
+  );
+
+  // GET /api/loyalty/users/:id - A customer's points
+  router.get('/users/:id',
+    requireRole('admin'),
+    loyaltyController.getLoyaltyAccount.bind(loyaltyController)
+  );
+
+  return router;
+}
@@ -6,6 +6,7 @@
 import { Router } from 'express';
 
 import { OccasionsController } from '../../controllers/OccasionsController.js';
+import { requireRole } from '../middleware/authMiddleware.js';
 
 export function createOccasionsRoutes(): Router {
   const router = Router();
@@ -14,30 +15,35 @@ export function createOccasionsRoutes(): Router {
   // GET /api/occasions - Get all active occasions
   router.get(
     '/',
+    requireRole('public'),
     occasionsController.getOccasions.bind(occasionsController)
   );
 
   // GET /api/occasions/:id - Get single occasion by ID
   router.get(
     '/:id',
+    requireRole('public'),
     occasionsController.getOccasionById.bind(occasionsController)
   );
 
   // POST /api/occasions - Create new occasion
   router.post(
     '/',
+    requireRole('admin'),
     occasionsController.createOccasion.bind(occasionsController)
   );
 
   // PUT /api/occasions/:id - Update existing occasion
   router.put(
     '/:id',
+    requireRole('admin'),
     occasionsController.updateOccasion.bind(occasionsController)
   );
 
   // DELETE /api/occasions/:id - Delete occasion (conditional)
   router.delete(
     '/:id',
+    requireRole('admin'),
     occasionsController.deleteOccasion.bind(occasionsController)
   );
 
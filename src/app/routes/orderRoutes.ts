@@ -6,6 +6,8 @@
 import { Router } from 'express';
 
 import { OrderController } from '../../controllers/OrderController.js';
+import { requireRole } from '../middleware/authMiddleware.js';
+import { idempotent } from '../middleware/idempotencyMiddleware.js';
 
 export function createOrderRoutes(): Router {
   const router = Router();
@@ -13,31 +15,45 @@ export function createOrderRoutes(): Router {
 
   // GET /api/orders - Get all orders with filtering
   router.get('/',
+    requireRole('admin'),
     orderController.getOrders.bind(orderController)
   );
 
   // GET /api/orders/:id/status-history - Get order status history
   router.get('/:id/status-history',
+    requireRole('admin'),
     orderController.getOrderStatusHistory.bind(orderController)
   );
 
   // GET /api/orders/:id - Get single order
   router.get('/:id',
+    requireRole('admin'),
     orderController.getOrderById.bind(orderController)
   );
 
-  // POST /api/orders - Create new order
+  // POST /api/orders/quote - Re-price a cart for checkout
+  router.post('/quote',
+    requireRole('guest'),
+    orderController.quoteOrder.bind(orderController)
+  );
+
+  // POST /api/orders - Create new order, on the customer's account when signed in
+  // An Idempotency-Key header makes retries return the order already created
   router.post('/',
+    requireRole('guest'),
+    idempotent('orders'),
     orderController.createOrder.bind(orderController)
   );
 
   // PUT /api/orders/:id - Update order (admin only)
   router.put('/:id',
+    requireRole('admin'),
     orderController.updateOrder.bind(orderController)
   );
 
   // PATCH /api/orders/:id/status - Update order status (admin only)
   router.patch('/:id/status',
+    requireRole('admin'),
     orderController.updateOrderStatus.bind(orderController)
   );
 
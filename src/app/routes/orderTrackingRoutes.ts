@@ -0,0 +1,28 @@
+/**
+ * 🌸 FloresYa Order Tracking Routes - Express Router Configuration
+ * Public order status for customers, without an account
+ */
+
+import { Router } from 'express';
+
+import { OrderTrackingController } from '../../controllers/OrderTrackingController.js';
+import { requireRole } from '../middleware/authMiddleware.js';
+
+export function createOrderTrackingRoutes(): Router {
+  const router = Router();
+  const orderTrackingController = new OrderTrackingController();
+
+  // POST /api/order-tracking - Track by order number and email
+  router.post('/',
+    requireRole('public'),
+    orderTrackingController.trackOrder.bind(orderTrackingController)
+  );
+
+  // GET /api/order-tracking/:id?token= - Track through the signed link
+  router.get('/:id',
+    requireRole('public'),
+    orderTrackingController.trackOrderByToken.bind(orderTrackingController)
+  );
+
+  return router;
+}
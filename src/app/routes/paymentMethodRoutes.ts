@@ -0,0 +1,52 @@
+/**
+ * 🌸 FloresYa Payment Method Routes - Express Router Configuration
+ * Public checkout listing and admin management
+ */
+
+import { Router } from 'express';
+
+import { PaymentMethodController } from '../../controllers/PaymentMethodController.js';
+import { requireRole } from '../middleware/authMiddleware.js';
+
+export function createPaymentMethodRoutes(): Router {
+  const router = Router();
+  const paymentMethodController = new PaymentMethodController();
+
+  // GET /api/payment-methods - Active methods for checkout
+  router.get('/',
+    requireRole('public'),
+    paymentMethodController.getActivePaymentMethods.bind(paymentMethodController)
+  );
+
+  // GET /api/payment-methods/all - Every method, including inactive ones
+  router.get('/all',
+    requireRole('admin'),
+    paymentMethodController.getAllPaymentMethods.bind(paymentMethodController)
+  );
+
+  // GET /api/payment-methods/:id - Get single payment method
+  router.get('/:id',
+    requireRole('admin'),
+    paymentMethodController.getPaymentMethodById.bind(paymentMethodController)
+  );
+
+  // POST /api/payment-methods - Create payment method
+  router.post('/',
+    requireRole('admin'),
+    paymentMethodController.createPaymentMethod.bind(paymentMethodController)
+  );
+
+  // PUT /api/payment-methods/:id - Update payment method
+  router.put('/:id',
+    requireRole('admin'),
+    paymentMethodController.updatePaymentMethod.bind(paymentMethodController)
+  );
+
+  // DELETE /api/payment-methods/:id - Delete or deactivate payment method
+  router.delete('/:id',
+    requireRole('admin'),
+    paymentMethodController.deletePaymentMethod.bind(paymentMethodController)
+  );
+
+  return router;
+}
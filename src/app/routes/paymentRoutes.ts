@@ -0,0 +1,56 @@
+/**
+ * 🌸 FloresYa Payment Routes - Express Router Configuration
+ * Customer payment reports and admin verification
+ */
+
+import { Router } from 'express';
+
+import { PaymentController, receiptUpload } from '../../controllers/PaymentController.js';
+import { requireRole } from '../middleware/authMiddleware.js';
+import { idempotent } from '../middleware/idempotencyMiddleware.js';
+
+export function createPaymentRoutes(): Router {
+  const router = Router();
+  const paymentController = new PaymentController();
+
+  // POST /api/payments - Report a payment (reference + optional receipt image)
+  // An Idempotency-Key header makes retries return the payment already reported
+  router.post('/',
+    requireRole('public'),
+    receiptUpload,
+    idempotent('payments'),
+    paymentController.submitPayment.bind(paymentController)
+  );
+
+  // GET /api/payments - List payments for review
+  router.get('/',
+    requireRole('admin'),
+    paymentController.getPayments.bind(paymentController)
+  );
+
+  // GET /api/payments/:id - Get single payment
+  router.get('/:id',
+    requireRole('admin'),
+    paymentController.getPaymentById.bind(paymentController)
+  );
+
+  // GET /api/payments/:id/receipt - Signed link to the payment's receipt
+  router.get('/:id/receipt',
+    requireRole('support'),
+    paymentController.getPaymentReceipt.bind(paymentController)
+  );
+
+  // PATCH /api/payments/:id/confirm - Confirm payment and verify its order
+  router.patch('/:id/confirm',
+    requireRole('admin'),
+    paymentController.confirmPayment.bind(paymentController)
+  );
+
+  // PATCH /api/payments/:id/reject - Reject payment
+  router.patch('/:id/reject',
+    requireRole('admin'),
+    paymentController.rejectPayment.bind(paymentController)
+  );
+
+  return router;
+}
@@ -0,0 +1,52 @@
+/**
+ * 🌸 FloresYa Product Add-on Routes - Express Router Configuration
+ * Public add-on catalog and admin management
+ */
+
+import { Router } from 'express';
+
+import { ProductAddonController } from '../../controllers/ProductAddonController.js';
+import { requireRole } from '../middleware/authMiddleware.js';
+
+export function createProductAddonRoutes(): Router {
+  const router = Router();
+  const productAddonController = new ProductAddonController();
+
+  // GET /api/addons - Active add-ons for the product detail page
+  router.get('/',
+    requireRole('public'),
+    productAddonController.getActiveAddons.bind(productAddonController)
+  );
+
+  // GET /api/addons/all - Every add-on, including inactive ones
+  router.get('/all',
+    requireRole('admin'),
+    productAddonController.getAllAddons.bind(productAddonController)
+  );
+
+  // GET /api/addons/:id - Get single add-on
+  router.get('/:id',
+    requireRole('admin'),
+    productAddonController.getAddonById.bind(productAddonController)
+  );
+
+  // POST /api/addons - Create add-on
+  router.post('/',
+    requireRole('admin'),
+    productAddonController.createAddon.bind(productAddonController)
+  );
+
+  // PUT /api/addons/:id - Update add-on
+  router.put('/:id',
+    requireRole('admin'),
+    productAddonController.updateAddon.bind(productAddonController)
+  );
+
+  // DELETE /api/addons/:id - Delete or deactivate add-on
+  router.delete('/:id',
+    requireRole('admin'),
+    productAddonController.deleteAddon.bind(productAddonController)
+  );
+
+  return router;
+}
@@ -7,60 +7,102 @@ import { Router } from 'express';
 
 import { ImageController } from '../../controllers/ImageController.js';
 import { ProductController } from '../../controllers/ProductController.js';
+import { ProductVariantController } from '../../controllers/ProductVariantController.js';
+import { requireRole } from '../middleware/authMiddleware.js';
 
 export function createProductRoutes(): Router {
   const router = Router();
   const productController = new ProductController();
   const imageController = new ImageController();
+  const productVariantController = new ProductVariantController();
 
   // GET /api/products/carousel - Get carousel products (NEW carousel_order logic)
-  router.get('/carousel', productController.getCarousel.bind(productController));
+  router.get('/carousel', requireRole('public'), productController.getCarousel.bind(productController));
 
   // GET /api/products/featured - Get featured products
-  router.get('/featured', productController.getFeatured.bind(productController));
+  router.get('/featured', requireRole('public'), productController.getFeatured.bind(productController));
 
   // GET /api/products/search - Search products
   router.get('/search',
+    requireRole('public'),
     productController.searchProducts.bind(productController)
   );
 
   // GET /api/products/:id/images - Get product images
   router.get('/:productId/images',
+    requireRole('public'),
     imageController.getProductImages.bind(imageController)
   );
 
+  // GET /api/products/:id/variants - Active variants for the product detail page
+  router.get('/:id/variants',
+    requireRole('public'),
+    productVariantController.getProductVariants.bind(productVariantController)
+  );
+
+  // GET /api/products/:id/variants/all - Every variant, including inactive ones
+  router.get('/:id/variants/all',
+    requireRole('admin'),
+    productVariantController.getAllProductVariants.bind(productVariantController)
+  );
+
+  // POST /api/products/:id/variants - Create variant (admin only)
+  router.post('/:id/variants',
+    requireRole('admin'),
+    productVariantController.createVariant.bind(productVariantController)
+  );
+
+  // PUT /api/products/:id/variants/:variantId - Update variant (admin only)
+  router.put('/:id/variants/:variantId',
+    requireRole('admin'),
+    productVariantController.updateVariant.bind(productVariantController)
+  );
+
+  // DELETE /api/products/:id/variants/:variantId - Delete or deactivate variant (admin only)
+  router.delete('/:id/variants/:variantId',
+    requireRole('admin'),
+    productVariantController.deleteVariant.bind(productVariantController)
+  );
+
   // GET /api/products/:id/with-occasions - Get single product with occasions for editing
   router.get('/:id/with-occasions',
+    requireRole('admin'),
     productController.getProductByIdWithOccasions.bind(productController)
   );
 
   // GET /api/products/:id - Get single product
   router.get('/:id',
+    requireRole('public'),
     productController.getProductById.bind(productController)
   );
 
   // GET /api/products - Get all products with filtering
   router.get('/',
+    requireRole('public'),
     productController.getProducts.bind(productController)
   );
 
   // POST /api/products - Create new product (admin only)
   router.post('/',
+    requireRole('admin'),
     productController.createProduct.bind(productController)
   );
 
   // PUT /api/products/:id - Update product (admin only)
   router.put('/:id',
+    requireRole('admin'),
     productController.updateProduct.bind(productController)
   );
 
   // PATCH /api/products/:id/carousel - Update carousel order (admin only)
   router.patch('/:id/carousel',
+    requireRole('admin'),
     productController.updateCarouselOrder.bind(productController)
   );
 
   // DELETE /api/products/:id - Delete product (conditional)
   router.delete('/:id',
+    requireRole('admin'),
     productController.deleteProduct.bind(productController)
   );
 
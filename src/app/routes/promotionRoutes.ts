@@ -0,0 +1,52 @@
+/**
+ * 🌸 FloresYa Promotion Routes - Express Router Configuration
+ * Public cart previews and running promotions, admin promotion management
+ */
+
+import { Router } from 'express';
+
+import { PromotionController } from '../../controllers/PromotionController.js';
+import { requireRole } from '../middleware/authMiddleware.js';
+
+export function createPromotionRoutes(): Router {
+  const router = Router();
+  const promotionController = new PromotionController();
+
+  // POST /api/promotions/preview - Price the cart with the promotions that apply
+  router.post('/preview',
+    requireRole('public'),
+    promotionController.previewCart.bind(promotionController)
+  );
+
+  // GET /api/promotions/active - Promotions running now
+  router.get('/active',
+    requireRole('public'),
+    promotionController.getActivePromotions.bind(promotionController)
+  );
+
+  // GET /api/promotions - Every promotion
+  router.get('/',
+    requireRole('admin'),
+    promotionController.getPromotions.bind(promotionController)
+  );
+
+  // POST /api/promotions - Create promotion
+  router.post('/',
+    requireRole('admin'),
+    promotionController.createPromotion.bind(promotionController)
+  );
+
+  // PUT /api/promotions/:id - Update promotion
+  router.put('/:id',
+    requireRole('admin'),
+    promotionController.updatePromotion.bind(promotionController)
+  );
+
+  // DELETE /api/promotions/:id - Delete promotion
+  router.delete('/:id',
+    requireRole('admin'),
+    promotionController.deletePromotion.bind(promotionController)
+  );
+
+  return router;
+}
@@ -7,10 +7,14 @@ import { Router, Request, Response } from 'express';
 
 import { SupabaseSchemaExtractor } from '../../utils/schema-extractor.js';
 import { serverLogger } from '../../utils/serverLogger.js';
+import { requireRole } from '../middleware/authMiddleware.js';
 
 export function createSchemaRoutes(): Router {
   const router = Router();
 
+  // Every schema endpoint is admin only
+  router.use(requireRole('admin'));
+
   /**
    * @swagger
    * /api/admin/schema/info:
@@ -0,0 +1,40 @@
+/**
+ * 🌸 FloresYa Settings Routes - Express Router Configuration
+ * Public tax rates and loyalty rules for checkout, admin updates
+ */
+
+import { Router } from 'express';
+
+import { SettingsController } from '../../controllers/SettingsController.js';
+import { requireRole } from '../middleware/authMiddleware.js';
+
+export function createSettingsRoutes(): Router {
+  const router = Router();
+  const settingsController = new SettingsController();
+
+  // GET /api/settings/taxes - Current IVA and IGTF rates
+  router.get('/taxes',
+    requireRole('public'),
+    settingsController.getTaxRates.bind(settingsController)
+  );
+
+  // PUT /api/settings/taxes - Update IVA and IGTF rates
+  router.put('/taxes',
+    requireRole('admin'),
+    settingsController.updateTaxRates.bind(settingsController)
+  );
+
+  // GET /api/settings/loyalty - Current loyalty program rules
+  router.get('/loyalty',
+    requireRole('public'),
+    settingsController.getLoyaltySettings.bind(settingsController)
+  );
+
+  // PUT /api/settings/loyalty - Update loyalty program rules
+  router.put('/loyalty',
+    requireRole('admin'),
+    settingsController.updateLoyaltySettings.bind(settingsController)
+  );
+
+  return router;
+}
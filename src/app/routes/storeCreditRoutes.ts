@@ -0,0 +1,64 @@
+/**
+ * 🌸 FloresYa Store Credit Routes - Express Router Configuration
+ * Gift cards at checkout, the customer's store credit and admin issuance
+ */
+
+import { Router } from 'express';
+
+import { StoreCreditController } from '../../controllers/StoreCreditController.js';
+import { requireRole } from '../middleware/authMiddleware.js';
+
+export function createStoreCreditRoutes(): Router {
+  const router = Router();
+  const storeCreditController = new StoreCreditController();
+
+  // POST /api/store-credit/gift-cards/balance - Check what a gift card has left
+  router.post('/gift-cards/balance',
+    requireRole('public'),
+    storeCreditController.getGiftCardBalance.bind(storeCreditController)
+  );
+
+  // POST /api/store-credit/gift-cards/redeem - Pay an order with a gift card
+  router.post('/gift-cards/redeem',
+    requireRole('public'),
+    storeCreditController.redeemGiftCard.bind(storeCreditController)
+  );
+
+  // GET /api/store-credit/me - The customer's balance and movements
+  router.get('/me',
+    requireRole('user'),
+    storeCreditController.getMyStoreCredit.bind(storeCreditController)
+  );
+
+  // POST /api/store-credit/me/redeem - Pay an order with the customer's store credit
+  router.post('/me/redeem',
+    requireRole('user'),
+    storeCreditController.redeemMyStoreCredit.bind(storeCreditController)
+  );
+
+  // GET /api/store-credit - Gift cards and store credit
+  router.get('/',
+    requireRole('admin'),
+    storeCreditController.getStoreCredits.bind(storeCreditController)
+  );
+
+  // GET /api/store-credit/:id - One balance with its ledger
+  router.get('/:id',
+    requireRole('admin'),
+    storeCreditController.getStoreCreditById.bind(storeCreditController)
+  );
+
+  // POST /api/store-credit - Issue a gift card or store credit
+  router.post('/',
+    requireRole('admin'),
+    storeCreditController.issueStoreCredit.bind(storeCreditController)
+  );
+
+  // PATCH /api/store-credit/:id/void - Void a balance
+  router.patch('/:id/void',
+    requireRole('admin'),
+    storeCreditController.voidStoreCredit.bind(storeCreditController)
+  );
+
+  return router;
+}
@@ -0,0 +1,57 @@
+/**
+ * 🌸 FloresYa User Routes - Express Router Configuration
+ * Defines API endpoints for user management
+ */
+
+import { Router } from 'express';
+
+import { userController } from '../../controllers/UserController.js';
+import { requireRole } from '../middleware/authMiddleware.js';
+
+export function createUserRoutes(): Router {
+  const router = Router();
+
+  // GET /api/users - Get all users with filtering and pagination
+  router.get(
+    '/',
+    requireRole('admin'),
+    userController.getAllUsers.bind(userController)
+  );
+
+  // GET /api/users/:id - Get single user by ID
+  router.get(
+    '/:id',
+    requireRole('admin'),
+    userController.getUserById.bind(userController)
+  );
+
+  // POST /api/users - Create new user
+  router.post(
+    '/',
+    requireRole('admin'),
+    userController.createUser.bind(userController)
+  );
+
+  // PUT /api/users/:id - Update existing user
+  router.put(
+    '/:id',
+    requireRole('admin'),
+    userController.updateUser.bind(userController)
+  );
+
+  // PATCH /api/users/:id/toggle-active - Activate/deactivate user
+  router.patch(
+    '/:id/toggle-active',
+    requireRole('admin'),
+    userController.toggleUserActive.bind(userController)
+  );
+
+  // DELETE /api/users/:id - Delete user
+  router.delete(
+    '/:id',
+    requireRole('admin'),
+    userController.deleteUser.bind(userController)
+  );
+
+  return router;
+}
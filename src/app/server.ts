@@ -17,17 +17,42 @@ import helmet from 'helmet';
 // Import routes
 import supabaseManager from '../config/supabase.js';
 import { swaggerSpec, swaggerUi } from '../config/swagger.js';
+import { createExchangeRateProvider, type ExchangeRateProvider } from '../services/ExchangeRateProviders.js';
+import { exchangeRateService } from '../services/ExchangeRateService.js';
+import { idempotencyService } from '../services/IdempotencyService.js';
+import { loyaltyService } from '../services/LoyaltyService.js';
+import { orderService } from '../services/OrderService.js';
+import {
+  EXCHANGE_RATE_REFRESH_INTERVAL_MS,
+  IDEMPOTENCY_KEY_PURGE_INTERVAL_MS,
+  LOYALTY_POINTS_EXPIRY_SWEEP_INTERVAL_MS,
+  STOCK_RESERVATION_SWEEP_INTERVAL_MS
+} from '../shared/constants/index.js';
 import { serverLogger } from '../utils/serverLogger.js';
 
 // Import tRPC setup
 
+import { createAuthRoutes } from './routes/authRoutes.js';
+import { createCouponRoutes } from './routes/couponRoutes.js';
 import { createDashboardRoutes } from './routes/dashboardRoutes.js';
+import { createDeliveryRoutes } from './routes/deliveryRoutes.js';
+import { createExchangeRateRoutes } from './routes/exchangeRateRoutes.js';
 import { createImageRoutes } from './routes/imageRoutes.js';
+import { createInventoryRoutes } from './routes/inventoryRoutes.js';
 import { createLogsRoutes } from './routes/logsRoutes.js';
+import { createLoyaltyRoutes } from './routes/loyaltyRoutes.js';
 import { createOccasionsRoutes } from './routes/occasionsRoutes.js';
 import { createOrderRoutes } from './routes/orderRoutes.js';
+import { createOrderTrackingRoutes } from './routes/orderTrackingRoutes.js';
+import { createPaymentMethodRoutes } from './routes/paymentMethodRoutes.js';
+import { createPaymentRoutes } from './routes/paymentRoutes.js';
+import { createProductAddonRoutes } from './routes/productAddonRoutes.js';
 import { createProductRoutes } from './routes/productRoutes.js';
+import { createPromotionRoutes } from './routes/promotionRoutes.js';
 import { createSchemaRoutes } from './routes/schemaRoutes.js';
+import { createSettingsRoutes } from './routes/settingsRoutes.js';
+import { createStoreCreditRoutes } from './routes/storeCreditRoutes.js';
+import { createUserRoutes } from './routes/userRoutes.js';
 import { setupTRPCMiddleware } from './trpc/trpcMiddleware.js';
 
 
@@ -83,7 +108,7 @@ class FloresYaServer {
       origin: corsOrigins,
       credentials: true,
       methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-      allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+      allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key']
     }));
 
     // Rate limiting
@@ -369,9 +394,45 @@ class FloresYaServer {
     serverLogger.info('SYSTEM', 'Setting up product routes');
     this.app.use('/api/products', createProductRoutes());
 
+    serverLogger.info('SYSTEM', 'Setting up product add-on routes');
+    this.app.use('/api/addons', createProductAddonRoutes());
+
+    serverLogger.info('SYSTEM', 'Setting up delivery routes');
+    this.app.use('/api/delivery', createDeliveryRoutes());
+
     serverLogger.info('SYSTEM', 'Setting up order routes');
     this.app.use('/api/orders', createOrderRoutes());
 
+    serverLogger.info('SYSTEM', 'Setting up order tracking routes');
+    this.app.use('/api/order-tracking', createOrderTrackingRoutes());
+
+    serverLogger.info('SYSTEM', 'Setting up coupon routes');
+    this.app.use('/api/coupons', createCouponRoutes());
+
+    serverLogger.info('SYSTEM', 'Setting up promotion routes');
+    this.app.use('/api/promotions', createPromotionRoutes());
+
+    serverLogger.info('SYSTEM', 'Setting up payment routes');
+    this.app.use('/api/payments', createPaymentRoutes());
+
+    serverLogger.info('SYSTEM', 'Setting up store credit routes');
+    this.app.use('/api/store-credit', createStoreCreditRoutes());
+
+    serverLogger.info('SYSTEM', 'Setting up loyalty routes');
+    this.app.use('/api/loyalty', createLoyaltyRoutes());
+
+    serverLogger.info('SYSTEM', 'Setting up payment method routes');
+    this.app.use('/api/payment-methods', createPaymentMethodRoutes());
+
+    serverLogger.info('SYSTEM', 'Setting up settings routes');
+    this.app.use('/api/settings', createSettingsRoutes());
+
+    serverLogger.info('SYSTEM', 'Setting up exchange rate routes');
+    this.app.use('/api/exchange-rates', createExchangeRateRoutes());
+
+    serverLogger.info('SYSTEM', 'Setting up inventory routes');
+    this.app.use('/api/inventory', createInventoryRoutes());
+
     serverLogger.info('SYSTEM', 'Setting up occasions routes');
     this.app.use('/api/occasions', createOccasionsRoutes());
 
@@ -381,8 +442,11 @@ class FloresYaServer {
     serverLogger.info('SYSTEM', 'Setting up image routes');
     this.app.use('/api/images', createImageRoutes());
 
-    // Legacy user routes removed - now handled via tRPC userRouter
-    // serverLogger.info('SYSTEM', 'User operations now available via /trpc/user.*');
+    serverLogger.info('SYSTEM', 'Setting up user routes');
+    this.app.use('/api/users', createUserRoutes());
+
+    serverLogger.info('SYSTEM', 'Setting up auth routes');
+    this.app.use('/api/auth', createAuthRoutes());
 
     serverLogger.info('SYSTEM', 'Setting up schema routes');
     this.app.use('/api/admin/schema', createSchemaRoutes());
@@ -512,6 +576,11 @@ class FloresYaServer {
         serverLogger.success('DATABASE', 'Supabase connection verified');
       }
 
+      this.scheduleStockReservationSweep();
+      this.scheduleLoyaltyPointsExpiry();
+      this.scheduleIdempotencyKeyPurge();
+      this.scheduleExchangeRateRefresh();
+
       // Start server
       this.app.listen(this.port, '0.0.0.0', () => {
         serverLogger.success('SYSTEM', 'FloresYa Server started successfully', {
@@ -533,6 +602,98 @@ class FloresYaServer {
     }
   }
 
+  /**
+   * Periodically cancel pending orders whose stock hold expired so the stock returns to sale
+   * Only runs in long-lived processes; serverless deployments need an external cron calling the same RPC
+   */
+  private scheduleStockReservationSweep(): void {
+    const sweep = async (): Promise<void> => {
+      try {
+        const released = await orderService.releaseExpiredReservations();
+        if (released > 0) {
+          serverLogger.info('ORDERS', 'Released expired stock reservations', { cancelledOrders: released });
+        }
+      } catch (error) {
+        serverLogger.warn('ORDERS', 'Stock reservation sweep failed', {
+          error: error instanceof Error ? error.message : String(error)
+        });
+      }
+    };
+
+    setInterval(() => void sweep(), STOCK_RESERVATION_SWEEP_INTERVAL_MS).unref();
+  }
+
+  /**
+   * Periodically close loyalty points past their expiry so balances show what can be spent
+   * Spending and refunds expire a customer's points first, so a missed run only delays the ledger
+   */
+  private scheduleLoyaltyPointsExpiry(): void {
+    const sweep = async (): Promise<void> => {
+      try {
+        const expired = await loyaltyService.expireLoyaltyPoints();
+        if (expired > 0) {
+          serverLogger.info('LOYALTY', 'Expired loyalty points', { points: expired });
+        }
+      } catch (error) {
+        serverLogger.warn('LOYALTY', 'Loyalty points expiry failed', {
+          error: error instanceof Error ? error.message : String(error)
+        });
+      }
+    };
+
+    setInterval(() => void sweep(), LOYALTY_POINTS_EXPIRY_SWEEP_INTERVAL_MS).unref();
+  }
+
+  /**
+   * Periodically delete Idempotency-Key responses past their TTL
+   * Expired keys are taken over when reused anyway, so this only keeps the table small
+   */
+  private scheduleIdempotencyKeyPurge(): void {
+    const purge = async (): Promise<void> => {
+      try {
+        const purged = await idempotencyService.purgeExpiredKeys();
+        if (purged > 0) {
+          serverLogger.info('IDEMPOTENCY', 'Purged expired idempotency keys', { keys: purged });
+        }
+      } catch (error) {
+        serverLogger.warn('IDEMPOTENCY', 'Idempotency key purge failed', {
+          error: error instanceof Error ? error.message : String(error)
+        });
+      }
+    };
+
+    setInterval(() => void purge(), IDEMPOTENCY_KEY_PURGE_INTERVAL_MS).unref();
+  }
+
+  /**
+   * Periodically fetch the USD/VES rate from EXCHANGE_RATE_PROVIDER (nothing to do with 'manual')
+   * Failures are kept for the dashboard alerts, so they are only logged here
+   */
+  private scheduleExchangeRateRefresh(): void {
+    let provider: ExchangeRateProvider;
+    try {
+      provider = createExchangeRateProvider();
+    } catch (error) {
+      serverLogger.warn('EXCHANGE_RATES', 'Exchange rate refresh disabled', {
+        error: error instanceof Error ? error.message : String(error)
+      });
+      return;
+    }
+    if (provider.name === 'manual') return;
+
+    const refresh = async (): Promise<void> => {
+      const result = await exchangeRateService.refreshFromProvider(provider);
+      if (result.success) {
+        serverLogger.info('EXCHANGE_RATES', 'Exchange rate refreshed', { source: provider.name, rate: result.data?.rate });
+      } else {
+        serverLogger.warn('EXCHANGE_RATES', 'Exchange rate refresh failed', { source: provider.name, error: result.message });
+      }
+    };
+
+    void refresh();
+    setInterval(() => void refresh(), EXCHANGE_RATE_REFRESH_INTERVAL_MS).unref();
+  }
+
   public getApp(): Application {
     return this.app;
   }
@@ -10,6 +10,8 @@ import { dashboardRouter } from './routers/dashboardRouter.js';
 import { imageRouter } from './routers/imageRouter.js';
 import { occasionRouter } from './routers/occasionRouter.js';
 import { orderRouter } from './routers/orderRouter.js';
+import { paymentMethodRouter } from './routers/paymentMethodRouter.js';
+import { paymentRouter } from './routers/paymentRouter.js';
 import { productRouter } from './routers/productRouter.js';
 import { userRouter } from './routers/userRouter.js';
 import { router } from './trpc.js';
@@ -17,8 +19,6 @@ import { router } from './trpc.js';
 // TODO: Import additional routers once TypeSafeDatabaseService methods are implemented
 // import { orderItemRouter } from './routers/orderItemRouter.js';
 // import { orderStatusHistoryRouter } from './routers/orderStatusHistoryRouter.js';
-// import { paymentRouter } from './routers/paymentRouter.js';
-// import { paymentMethodRouter } from './routers/paymentMethodRouter.js';
 // import { productImageRouter } from './routers/productImageRouter.js';
 // import { productOccasionRouter } from './routers/productOccasionRouter.js';
 // import { settingRouter } from './routers/settingRouter.js';
@@ -50,15 +50,15 @@ export const appRouter = router({
   occasion: occasionRouter,            // occasions table - ✅ Working
   image: imageRouter,                  // Image handling - ✅ Working
   dashboard: dashboardRouter,          // Analytics and dashboard - ✅ Working
+  payment: paymentRouter,              // payments table (FKs: order_id, payment_method_id, user_id) - ✅ Working
+  paymentMethod: paymentMethodRouter,  // payment_methods table - ✅ Working
 
   // ============================================
   // TODO: ADD WHEN METHODS ARE IMPLEMENTED
   // ============================================
-  // paymentMethod: paymentMethodRouter,  // payment_methods table
   // setting: settingRouter,              // settings table
   // orderItem: orderItemRouter,          // order_items table (FKs: order_id, product_id)
   // orderStatusHistory: orderStatusHistoryRouter, // order_status_history table
-  // payment: paymentRouter,              // payments table (FKs: order_id, payment_method_id, user_id)
   // productImage: productImageRouter,    // product_images table (FK: product_id)
   // productOccasion: productOccasionRouter, // product_occasions table (COMPOSITE PK + FKs)
 });
@@ -7,6 +7,7 @@
 import { TRPCError } from '@trpc/server';
 import { z } from 'zod';
 
+import { OrderNotFoundError, OrderStatusTransitionError, orderService } from '../../../services/OrderService.js';
 import { typeSafeDatabaseService } from '../../../services/TypeSafeDatabaseService.js';
 import { OrderStatusSchema } from '../../../shared/types/index.js';
 import { router, protectedProcedure, adminProcedure } from '../trpc.js';
@@ -69,4 +70,46 @@ export const orderRouter = router({
         });
       }
     }),
-});
\ No newline at end of file
+
+  /**
+   * Cambiar el status de una orden respetando las transiciones permitidas - Solo admin
+   */
+  updateStatus: adminProcedure
+    .input(z.object({
+      id: z.number().int().positive(),
+      status: OrderStatusSchema,
+      notes: z.string().max(500).optional(),
+    }))
+    .output(
+      z.object({
+        success: z.boolean(),
+        data: z.any().optional(),
+        message: z.string().optional(),
+      })
+    )
+    .mutation(async ({ input, ctx }) => {
+      try {
+        const order = await orderService.updateOrderStatus(input.id, input.status, input.notes, ctx.user.id);
+        return {
+          success: true,
+          data: order,
+          message: 'Status de la orden actualizado exitosamente',
+        };
+      } catch (error) {
+        if (error instanceof OrderNotFoundError) {
+          throw new TRPCError({ code: 'NOT_FOUND', message: 'Orden no encontrada' });
+        }
+        if (error instanceof OrderStatusTransitionError) {
+          throw new TRPCError({
+            code: 'CONFLICT',
+            message: `${error.message}. Allowed: ${error.allowedStatuses.join(', ') || 'none'}`,
+            cause: error,
+          });
+        }
+        throw new TRPCError({
+          code: 'INTERNAL_SERVER_ERROR',
+          message: 'Error al actualizar el status de la orden',
+        });
+      }
+    }),
+});
@@ -0,0 +1,84 @@
+/**
+ * 🌸 FloresYa tRPC Payment Method Router
+ * ============================================
+ * Router para métodos de pago (cuentas bancarias, Pago Móvil, Zelle, etc.)
+ */
+
+import { TRPCError } from '@trpc/server';
+import { z } from 'zod';
+
+import { paymentMethodService } from '../../../services/PaymentMethodService.js';
+import {
+  PaymentMethodCreateRequestSchema,
+  PaymentMethodUpdateRequestSchema,
+  type PaymentMethodApiResponse,
+  type PaymentMethodListApiResponse,
+} from '../../../shared/types/index.js';
+import { router, publicProcedure, adminProcedure } from '../trpc.js';
+
+const PaymentMethodOutputSchema = z.object({
+  success: z.boolean(),
+  data: z.any().optional(),
+  message: z.string().optional(),
+});
+
+function unwrap<T extends PaymentMethodApiResponse | PaymentMethodListApiResponse>(result: T): T {
+  if (!result.success) {
+    throw new TRPCError({
+      code: result.error === 'PAYMENT_METHOD_NOT_FOUND' ? 'NOT_FOUND' : 'INTERNAL_SERVER_ERROR',
+      message: result.message,
+    });
+  }
+  return result;
+}
+
+export const paymentMethodRouter = router({
+  /**
+   * Métodos activos en orden de visualización - Público
+   */
+  list: publicProcedure
+    .output(PaymentMethodOutputSchema)
+    .query(async () => {
+      return unwrap(await paymentMethodService.getActivePaymentMethods());
+    }),
+
+  /**
+   * Todos los métodos, incluidos los inactivos - Solo admin
+   */
+  listAll: adminProcedure
+    .output(PaymentMethodOutputSchema)
+    .query(async () => {
+      return unwrap(await paymentMethodService.getAllPaymentMethods());
+    }),
+
+  /**
+   * Crear método de pago - Solo admin
+   */
+  create: adminProcedure
+    .input(PaymentMethodCreateRequestSchema)
+    .output(PaymentMethodOutputSchema)
+    .mutation(async ({ input }) => {
+      return unwrap(await paymentMethodService.createPaymentMethod(input));
+    }),
+
+  /**
+   * Actualizar método de pago - Solo admin
+   */
+  update: adminProcedure
+    .input(PaymentMethodUpdateRequestSchema.extend({ id: z.number().int().positive() }))
+    .output(PaymentMethodOutputSchema)
+    .mutation(async ({ input }) => {
+      const { id, ...updates } = input;
+      return unwrap(await paymentMethodService.updatePaymentMethod(id, updates));
+    }),
+
+  /**
+   * Eliminar (o desactivar si tiene pagos) - Solo admin
+   */
+  delete: adminProcedure
+    .input(z.object({ id: z.number().int().positive() }))
+    .output(PaymentMethodOutputSchema)
+    .mutation(async ({ input }) => {
+      return unwrap(await paymentMethodService.deletePaymentMethod(input.id));
+    }),
+});
@@ -0,0 +1,103 @@
+/**
+ * 🌸 FloresYa tRPC Payment Router
+ * ============================================
+ * Router para reportes de pago manuales y su verificación
+ */
+
+import { TRPCError } from '@trpc/server';
+import { z } from 'zod';
+
+import { paymentService } from '../../../services/PaymentService.js';
+import {
+  PaymentStatusSchema,
+  PaymentSubmitRequestSchema,
+  type PaymentApiResponse,
+} from '../../../shared/types/index.js';
+import { router, publicProcedure, adminProcedure, runIdempotent } from '../trpc.js';
+
+const PaymentOutputSchema = z.object({
+  success: z.boolean(),
+  data: z.any().optional(),
+  message: z.string().optional(),
+});
+
+const ReviewInputSchema = z.object({
+  id: z.number().int().positive(),
+  notes: z.string().max(500).optional(),
+});
+
+const ERROR_CODES: Record<string, TRPCError['code']> = {
+  VALIDATION_ERROR: 'BAD_REQUEST',
+  ORDER_NOT_FOUND: 'NOT_FOUND',
+  PAYMENT_NOT_FOUND: 'NOT_FOUND',
+  PAYMENT_METHOD_NOT_FOUND: 'NOT_FOUND',
+  ORDER_NOT_PAYABLE: 'CONFLICT',
+  DUPLICATE_REFERENCE: 'CONFLICT',
+  PAYMENT_ALREADY_PROCESSED: 'CONFLICT',
+};
+
+function unwrap(result: PaymentApiResponse): PaymentApiResponse {
+  if (!result.success) {
+    throw new TRPCError({
+      code: ERROR_CODES[result.error ?? ''] ?? 'INTERNAL_SERVER_ERROR',
+      message: result.message,
+    });
+  }
+  return result;
+}
+
+export const paymentRouter = router({
+  /**
+   * Reportar un pago (sin comprobante; usar REST multipart para adjuntar imagen) - Público
+   * Acepta Idempotency-Key, igual que POST /api/payments
+   */
+  submit: publicProcedure
+    .input(PaymentSubmitRequestSchema)
+    .output(PaymentOutputSchema)
+    .mutation(async ({ input, ctx }) => {
+      return runIdempotent(ctx, 'payments', input, async () =>
+        unwrap(await paymentService.submitPayment(input, undefined, ctx.user?.id)));
+    }),
+
+  /**
+   * Listar pagos para revisión - Solo admin
+   */
+  list: adminProcedure
+    .input(z.object({
+      page: z.number().int().positive().default(1),
+      limit: z.number().int().positive().max(100).default(20),
+      status: PaymentStatusSchema.optional(),
+      order_id: z.number().int().positive().optional(),
+    }))
+    .output(PaymentOutputSchema)
+    .query(async ({ input }) => {
+      const result = await paymentService.getPayments(input);
+      if (!result.success) {
+        throw new TRPCError({
+          code: 'INTERNAL_SERVER_ERROR',
+          message: 'Error al obtener pagos',
+        });
+      }
+      return result;
+    }),
+
+  /**
+   * Confirmar pago y verificar la orden - Solo admin
+   */
+  confirm: adminProcedure
+    .input(ReviewInputSchema)
+    .output(PaymentOutputSchema)
+    .mutation(async ({ input, ctx }) => {
+      return unwrap(await paymentService.confirmPayment(input.id, ctx.user.id, input.notes));
+    }),
+
+  /**
+   * Rechazar pago - Solo admin
+   */
+  reject: adminProcedure
+    .input(ReviewInputSchema)
+    .output(PaymentOutputSchema)
+    .mutation(async ({ input }) => {
+      return unwrap(await paymentService.rejectPayment(input.id, input.notes));
+    }),
+});
@@ -8,6 +8,7 @@
 import { TRPCError } from '@trpc/server';
 import { z } from 'zod';
 
+import { productService } from '../../../services/ProductService.js';
 import { typeSafeDatabaseService } from '../../../services/TypeSafeDatabaseService.js';
 import { ProductSchema } from '../../../shared/types/index.js';
 import { router, publicProcedure, adminProcedure } from '../trpc.js';
@@ -75,13 +76,13 @@ export const productRouter = router({
         // TODO: Implement server-side filtering and pagination for better performance
         let filteredProducts = await typeSafeDatabaseService.getProducts();
 
-        // Apply filters
+        // Apply filters - search uses the same full-text ranking as /api/products/search
         if (input.search) {
-          const searchTerm = input.search.toLowerCase();
-          filteredProducts = filteredProducts.filter(product =>
-            product.name.toLowerCase().includes(searchTerm) ||
-            (product.description && product.description.toLowerCase().includes(searchTerm))
-          );
+          const matches = await productService.findSearchMatches(input.search, input.active ?? true);
+          const rankById = new Map(matches.map(match => [match.product_id, match.rank]));
+          filteredProducts = filteredProducts
+            .filter(product => rankById.has(product.id))
+            .sort((a, b) => (rankById.get(b.id) ?? 0) - (rankById.get(a.id) ?? 0));
         }
 
         if (input.active !== undefined) {
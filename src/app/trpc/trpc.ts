@@ -10,6 +10,13 @@ import type { Request, Response } from 'express';
 import jwt from 'jsonwebtoken';
 import { z } from 'zod';
 
+import {
+  IDEMPOTENCY_KEY_HEADER,
+  IDEMPOTENCY_KEY_PATTERN,
+  idempotencyFingerprint,
+  idempotencyService,
+  type IdempotencyScope
+} from '../../services/IdempotencyService.js';
 import { typeSafeDatabaseService } from '../../services/TypeSafeDatabaseService.js';
 import type { User } from '../../shared/types/index.js';
 import { isUserRecord } from '../../shared/utils/typeGuards.js';
@@ -144,6 +151,68 @@ export const protectedProcedure = t.procedure.use(enforceUserIsAuthed);
  */
 export const adminProcedure = t.procedure.use(enforceUserIsAdmin);
 
+// ============================================
+// IDEMPOTENCY
+// ============================================
+
+/**
+ * Ejecuta una mutation de creación con Idempotency-Key, como idempotent() en
+ * las rutas REST: el resultado exitoso se guarda y se repite para la misma
+ * clave e input; si la mutation falla, la clave queda libre para reintentar.
+ * Sin el header la mutation corre como siempre
+ */
+export async function runIdempotent<T>(
+  ctx: Context,
+  scope: IdempotencyScope,
+  input: unknown,
+  run: () => Promise<T>
+): Promise<T> {
+  const key = ctx.req.get(IDEMPOTENCY_KEY_HEADER);
+  if (key === undefined) {
+    return run();
+  }
+
+  if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+    throw new TRPCError({
+      code: 'BAD_REQUEST',
+      message: `${IDEMPOTENCY_KEY_HEADER} must be 1 to 255 printable characters`
+    });
+  }
+
+  const claim = await idempotencyService.claim(scope, key, idempotencyFingerprint(ctx.user?.id ?? null, input));
+  if (claim.state === 'replay') {
+    ctx.res.set('Idempotent-Replayed', 'true');
+    return claim.body as T;
+  }
+  if (claim.state === 'mismatch') {
+    throw new TRPCError({
+      code: 'UNPROCESSABLE_CONTENT',
+      message: `${IDEMPOTENCY_KEY_HEADER} was already used with a different request`
+    });
+  }
+  if (claim.state === 'in_progress') {
+    throw new TRPCError({
+      code: 'CONFLICT',
+      message: `A request with this ${IDEMPOTENCY_KEY_HEADER} is still being processed`
+    });
+  }
+
+  const warnNotRecorded = (error: unknown): void => {
+    console.warn('No se pudo registrar el resultado de una mutation idempotente:', error);
+  };
+
+  let result: T;
+  try {
+    result = await run();
+  } catch (error) {
+    await idempotencyService.release(scope, key).catch(warnNotRecorded);
+    throw error;
+  }
+
+  await idempotencyService.complete(scope, key, 200, result).catch(warnNotRecorded);
+  return result;
+}
+
 // ============================================
 // UTILITY TYPES
 // ============================================
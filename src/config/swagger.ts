@@ -241,13 +241,18 @@ const swaggerDefinition: SwaggerConfig['definition'] = {
       },
       Order: {
         type: 'object',
-        required: ['id', 'customer_email', 'customer_name', 'delivery_address', 'status', 'total_amount_usd'],
+        required: ['id', 'order_number', 'customer_email', 'customer_name', 'delivery_address', 'status', 'total_amount_usd'],
         properties: {
           id: {
             type: 'integer',
             description: 'Unique order identifier',
             example: 1234
           },
+          order_number: {
+            type: 'string',
+            description: 'Order number shown to customers, unique and sequential per year',
+            example: 'FY-2026-000123'
+          },
           user_id: {
             type: 'integer',
             description: 'Associated user ID (null for guest orders)',
@@ -0,0 +1,263 @@
+/**
+ * 🌸 FloresYa Auth Controller - ZOD VALIDATED EDITION
+ * REST login, registration and session profile backed by UserService
+ */
+
+import { Request, Response } from 'express';
+import { z } from 'zod';
+
+import { signAuthToken } from '../app/middleware/authMiddleware.js';
+import { userService } from '../services/UserService.js';
+import {
+  AuthenticatedRequest,
+  UserApiResponse
+} from '../shared/types/index.js';
+
+// ============================================
+// ZOD VALIDATION HELPERS
+// ============================================
+
+/**
+ * Validates request body with Zod schema
+ */
+function validateRequestBody<T>(schema: z.ZodSchema<T>, req: Request): T {
+  try {
+    return schema.parse(req.body);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      const errors = error.issues.map(issue => ({
+        field: issue.path.join('.'),
+        message: issue.message,
+        code: issue.code
+      }));
+      throw new ValidationError('Request body validation failed', errors);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Custom validation error class
+ */
+class ValidationError extends Error {
+  constructor(public message: string, public errors: Array<{ field: string; message: string; code: string }>) {
+    super(message);
+    this.name = 'ValidationError';
+  }
+}
+
+// ============================================
+// ZOD REQUEST SCHEMAS FOR VALIDATION
+// ============================================
+
+const LoginRequestSchema = z.object({
+  email: z.string().email(),
+  password: z.string().min(1)
+});
+
+// Public registration always creates a regular 'user' - roles are assigned by admins
+const RegisterRequestSchema = z.object({
+  email: z.string().email(),
+  password: z.string().min(8),
+  full_name: z.string().min(2),
+  phone: z.string().optional()
+});
+
+export class AuthController {
+
+  /**
+   * @swagger
+   * /api/auth/login:
+   *   post:
+   *     summary: Log in with email and password
+   *     tags: [Auth]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [email, password]
+   *             properties:
+   *               email:
+   *                 type: string
+   *                 format: email
+   *               password:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Login successful, returns JWT and user
+   *       400:
+   *         description: Validation error
+   *       401:
+   *         description: Invalid credentials
+   *       403:
+   *         description: User account is inactive
+   */
+  public async login(req: Request, res: Response): Promise<void> {
+    try {
+      const { email, password } = validateRequestBody(LoginRequestSchema, req);
+
+      const result: UserApiResponse = await userService.authenticateUser(email, password);
+
+      if (!result.success || !result.data) {
+        let statusCode = 500;
+        if (result.error === 'INVALID_CREDENTIALS') {statusCode = 401;}
+        if (result.error === 'USER_INACTIVE') {statusCode = 403;}
+
+        res.status(statusCode).json(result);
+        return;
+      }
+
+      const token = signAuthToken(result.data);
+
+      res.status(200).json({
+        success: true,
+        data: { token, user: result.data },
+        message: 'Login successful'
+      });
+
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        res.status(400).json({
+          success: false,
+          message: error.message,
+          errors: error.errors
+        });
+        return;
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: 'INTERNAL_ERROR'
+      });
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/auth/register:
+   *   post:
+   *     summary: Register a new customer account
+   *     tags: [Auth]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [email, password, full_name]
+   *             properties:
+   *               email:
+   *                 type: string
+   *                 format: email
+   *               password:
+   *                 type: string
+   *                 minLength: 8
+   *               full_name:
+   *                 type: string
+   *                 minLength: 2
+   *               phone:
+   *                 type: string
+   *     responses:
+   *       201:
+   *         description: Account created, returns JWT and user
+   *       400:
+   *         description: Validation error
+   *       409:
+   *         description: Email already exists
+   */
+  public async register(req: Request, res: Response): Promise<void> {
+    try {
+      const validatedData = validateRequestBody(RegisterRequestSchema, req);
+
+      const result: UserApiResponse = await userService.createUser({
+        ...validatedData,
+        role: 'user'
+      });
+
+      if (!result.success || !result.data) {
+        let statusCode = 500;
+        if (result.error === 'EMAIL_EXISTS') {statusCode = 409;}
+        if (result.error === 'VALIDATION_ERROR') {statusCode = 400;}
+
+        res.status(statusCode).json(result);
+        return;
+      }
+
+      const token = signAuthToken(result.data);
+
+      res.status(201).json({
+        success: true,
+        data: { token, user: result.data },
+        message: 'Registration successful'
+      });
+
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        res.status(400).json({
+          success: false,
+          message: error.message,
+          errors: error.errors
+        });
+        return;
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: 'INTERNAL_ERROR'
+      });
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/auth/me:
+   *   get:
+   *     summary: Get the authenticated user's profile
+   *     tags: [Auth]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Current user
+   *       401:
+   *         description: Missing or invalid token
+   */
+  public async me(req: Request, res: Response): Promise<void> {
+    try {
+      const userId = (req as unknown as AuthenticatedRequest).user?.id; // From auth middleware
+
+      if (!userId) {
+        res.status(401).json({
+          success: false,
+          message: 'Authentication required',
+          error: 'MISSING_TOKEN'
+        });
+        return;
+      }
+
+      const result: UserApiResponse = await userService.getUserById(userId);
+
+      if (!result.success) {
+        const statusCode = result.error === 'USER_NOT_FOUND' ? 404 : 500;
+        res.status(statusCode).json(result);
+        return;
+      }
+
+      res.status(200).json(result);
+
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: 'INTERNAL_ERROR'
+      });
+    }
+  }
+}
+
+// Export controller instance
+export const authController = new AuthController();
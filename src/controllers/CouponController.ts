@@ -0,0 +1,403 @@
+/**
+ * 🌸 FloresYa Coupon Controller
+ * Applying a coupon at checkout, and coupon management and usage reports for admins
+ */
+
+import { Request, Response } from 'express';
+import { z } from 'zod';
+
+import { CouponError, CouponService } from '../services/CouponService.js';
+import { LoyaltyError } from '../services/LoyaltyService.js';
+import { DeliveryZoneError, InsufficientStockError, OrderService } from '../services/OrderService.js';
+import {
+  // Validation Schemas
+  CouponApplyRequestSchema,
+  CouponCreateRequestSchema,
+  CouponUpdateRequestSchema,
+  ProductIdParamsSchema,
+  // Interface types
+  AuthenticatedRequest,
+  CouponApiResponse,
+  CouponListApiResponse,
+  CouponUsageApiResponse,
+} from '../shared/types/index.js';
+
+// ============================================
+// ZOD VALIDATION HELPERS - STANDARDIZED
+// ============================================
+
+/**
+ * Validates request body with Zod schema
+ */
+function validateRequestBody<T>(schema: z.ZodSchema<T>, req: Request): T {
+  try {
+    return schema.parse(req.body);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      const errors = error.issues.map(issue => ({
+        field: issue.path.join('.'),
+        message: issue.message,
+        code: issue.code
+      }));
+      throw new ValidationError('Request body validation failed', errors);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Validates request params with Zod schema
+ */
+function validateRequestParams<T>(schema: z.ZodSchema<T>, req: Request): T {
+  try {
+    return schema.parse(req.params);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      const errors = error.issues.map(issue => ({
+        field: issue.path.join('.'),
+        message: issue.message,
+        code: issue.code
+      }));
+      throw new ValidationError('Request params validation failed', errors);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Custom validation error class
+ */
+class ValidationError extends Error {
+  constructor(public message: string, public errors: Array<{ field: string; message: string; code: string }>) {
+    super(message);
+    this.name = 'ValidationError';
+  }
+}
+
+const ERROR_STATUS: Record<string, number> = {
+  COUPON_NOT_FOUND: 404,
+  COUPON_CODE_TAKEN: 409
+};
+
+// Factory functions for dependency injection
+const createCouponService = () => new CouponService();
+const createOrderService = () => new OrderService();
+
+export class CouponController {
+  private couponService: CouponService;
+  private orderService: OrderService;
+
+  constructor(
+    couponServiceFactory: () => CouponService = createCouponService,
+    orderServiceFactory: () => OrderService = createOrderService
+  ) {
+    this.couponService = couponServiceFactory();
+    this.orderService = orderServiceFactory();
+  }
+
+  private sendResult(
+    res: Response,
+    result: CouponApiResponse | CouponListApiResponse | CouponUsageApiResponse,
+    successStatus = 200
+  ): void {
+    if (!result.success) {
+      res.status(ERROR_STATUS[result.error ?? ''] ?? 500).json(result);
+      return;
+    }
+    res.status(successStatus).json(result);
+  }
+
+  private handleError(res: Response, error: unknown, message: string): void {
+    if (error instanceof ValidationError) {
+      res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.errors
+      });
+      return;
+    }
+
+    if (error instanceof CouponError || error instanceof DeliveryZoneError || error instanceof LoyaltyError) {
+      res.status(400).json({
+        success: false,
+        message: error.message,
+        error: error.code
+      });
+      return;
+    }
+
+    if (error instanceof InsufficientStockError) {
+      res.status(409).json({
+        success: false,
+        message: error.message,
+        error: 'INSUFFICIENT_STOCK'
+      });
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message,
+      error: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+
+  /**
+   * @swagger
+   * /api/coupons/apply:
+   *   post:
+   *     summary: Apply a coupon to a cart
+   *     description: Quotes the cart like /api/orders/quote with the coupon's discount. Checkout sends the same coupon_code with the order.
+   *     tags: [Coupons]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [coupon_code, items]
+   *             properties:
+   *               coupon_code:
+   *                 type: string
+   *                 example: "MADRES10"
+   *               customer_email:
+   *                 type: string
+   *                 format: email
+   *                 description: Checked against the coupon's per-customer limit for guests; signed-in customers are counted by account
+   *               items:
+   *                 type: array
+   *                 description: Same cart lines as /api/orders/quote
+   *                 items:
+   *                   type: object
+   *     responses:
+   *       200:
+   *         description: Coupon applied, with coupon, discount_usd and the new totals
+   *       400:
+   *         description: The coupon cannot be used (COUPON_NOT_FOUND, COUPON_NOT_STARTED, COUPON_EXPIRED, BELOW_COUPON_MINIMUM, COUPON_NOT_APPLICABLE, COUPON_USAGE_LIMIT_REACHED, COUPON_CUSTOMER_LIMIT_REACHED)
+   *       409:
+   *         description: Not enough stock left for one of the products
+   */
+  public async applyCoupon(req: Request, res: Response): Promise<void> {
+    try {
+      const { items, delivery_city, delivery_state, delivery_date, payment_method_id, coupon_code, customer_email, loyalty_points } =
+        validateRequestBody(CouponApplyRequestSchema, req);
+      const userId = (req as unknown as AuthenticatedRequest).user?.id; // From auth middleware, when signed in
+      const quote = await this.orderService.calculateOrderTotals(
+        items,
+        delivery_city ? { city: delivery_city, state: delivery_state, date: delivery_date } : undefined,
+        payment_method_id,
+        { code: coupon_code, customer_email, user_id: userId },
+        loyalty_points ? { points: loyalty_points, user_id: userId } : undefined
+      );
+
+      res.status(200).json({
+        success: true,
+        data: quote,
+        message: `Coupon ${quote.coupon?.code ?? coupon_code} applied successfully`
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to apply coupon');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/coupons:
+   *   get:
+   *     summary: List coupons with their uses and total discount (Admin only)
+   *     tags: [Coupons]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Coupons retrieved successfully
+   */
+  public async getCoupons(req: Request, res: Response): Promise<void> {
+    try {
+      const result = await this.couponService.getCoupons();
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to fetch coupons');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/coupons/{id}/usage:
+   *   get:
+   *     summary: Orders that used a coupon, with customers, discount and revenue totals (Admin only)
+   *     description: Cancelled orders give their use back and are left out
+   *     tags: [Coupons]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Coupon usage retrieved successfully
+   *       404:
+   *         description: Coupon not found
+   */
+  public async getCouponUsage(req: Request, res: Response): Promise<void> {
+    try {
+      const { id } = validateRequestParams(ProductIdParamsSchema, req);
+      const result = await this.couponService.getCouponUsage(id);
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to fetch coupon usage');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/coupons:
+   *   post:
+   *     summary: Create a coupon (Admin only)
+   *     tags: [Coupons]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [code, discount_type, discount_value]
+   *             properties:
+   *               code:
+   *                 type: string
+   *                 description: 3 to 40 letters, digits, - or _, stored upper case
+   *                 example: "MADRES10"
+   *               description:
+   *                 type: string
+   *               discount_type:
+   *                 type: string
+   *                 enum: [percentage, fixed]
+   *               discount_value:
+   *                 type: number
+   *                 description: Percentage (up to 100) or USD amount
+   *                 example: 10
+   *               min_order_usd:
+   *                 type: number
+   *                 minimum: 0
+   *                 default: 0
+   *                 description: Minimum product subtotal, before the discount
+   *               starts_at:
+   *                 type: string
+   *                 format: date-time
+   *               expires_at:
+   *                 type: string
+   *                 format: date-time
+   *               usage_limit:
+   *                 type: integer
+   *                 description: Orders in total; omit for unlimited
+   *               per_customer_limit:
+   *                 type: integer
+   *                 description: Orders per customer (by account when signed in, by email for guests); omit for unlimited
+   *               occasion_ids:
+   *                 type: array
+   *                 description: Only products of these occasions are discounted
+   *                 items:
+   *                   type: integer
+   *               product_ids:
+   *                 type: array
+   *                 description: Only these products are discounted
+   *                 items:
+   *                   type: integer
+   *               active:
+   *                 type: boolean
+   *     responses:
+   *       201:
+   *         description: Coupon created successfully
+   *       400:
+   *         description: Validation failed
+   *       409:
+   *         description: Code taken
+   */
+  public async createCoupon(req: Request, res: Response): Promise<void> {
+    try {
+      const couponData = validateRequestBody(CouponCreateRequestSchema, req);
+      const result = await this.couponService.createCoupon(couponData);
+      this.sendResult(res, result, 201);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to create coupon');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/coupons/{id}:
+   *   put:
+   *     summary: Update a coupon (Admin only)
+   *     description: Orders that already used the coupon keep their discount
+   *     tags: [Coupons]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *     responses:
+   *       200:
+   *         description: Coupon updated successfully
+   *       400:
+   *         description: Validation failed
+   *       404:
+   *         description: Coupon not found
+   *       409:
+   *         description: Code taken
+   */
+  public async updateCoupon(req: Request, res: Response): Promise<void> {
+    try {
+      const { id } = validateRequestParams(ProductIdParamsSchema, req);
+      const couponData = validateRequestBody(CouponUpdateRequestSchema, req);
+      const result = await this.couponService.updateCoupon(id, couponData);
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to update coupon');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/coupons/{id}:
+   *   delete:
+   *     summary: Delete a coupon (Admin only)
+   *     description: Orders keep the code and discount they got; deactivate the coupon instead to keep its usage report
+   *     tags: [Coupons]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Coupon deleted successfully
+   *       404:
+   *         description: Coupon not found
+   */
+  public async deleteCoupon(req: Request, res: Response): Promise<void> {
+    try {
+      const { id } = validateRequestParams(ProductIdParamsSchema, req);
+      const result = await this.couponService.deleteCoupon(id);
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to delete coupon');
+    }
+  }
+}
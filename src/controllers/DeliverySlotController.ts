@@ -0,0 +1,437 @@
+/**
+ * 🌸 FloresYa Delivery Slot Controller
+ * Public delivery calendar for checkout and admin management of slots and blackout dates
+ */
+
+import { Request, Response } from 'express';
+import { z } from 'zod';
+
+import { DeliverySlotService } from '../services/DeliverySlotService.js';
+import {
+  // Validation Schemas
+  DeliveryAvailabilityQuerySchema,
+  DeliveryBlackoutDateCreateRequestSchema,
+  DeliveryBlackoutDateParamsSchema,
+  DeliverySlotCreateRequestSchema,
+  DeliverySlotUpdateRequestSchema,
+  ProductIdParamsSchema,
+  // Interface types
+  DeliveryAvailabilityApiResponse,
+  DeliveryBlackoutDateApiResponse,
+  DeliveryBlackoutDateListApiResponse,
+  DeliverySlotApiResponse,
+  DeliverySlotListApiResponse,
+} from '../shared/types/index.js';
+
+// ============================================
+// ZOD VALIDATION HELPERS - STANDARDIZED
+// ============================================
+
+/**
+ * Validates request body with Zod schema
+ */
+function validateRequestBody<T>(schema: z.ZodSchema<T>, req: Request): T {
+  try {
+    return schema.parse(req.body);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      const errors = error.issues.map(issue => ({
+        field: issue.path.join('.'),
+        message: issue.message,
+        code: issue.code
+      }));
+      throw new ValidationError('Request body validation failed', errors);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Validates request params with Zod schema
+ */
+function validateRequestParams<T>(schema: z.ZodSchema<T>, req: Request): T {
+  try {
+    return schema.parse(req.params);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      const errors = error.issues.map(issue => ({
+        field: issue.path.join('.'),
+        message: issue.message,
+        code: issue.code
+      }));
+      throw new ValidationError('Request params validation failed', errors);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Validates request query with Zod schema
+ */
+function validateRequestQuery<T>(schema: z.ZodSchema<T>, req: Request): T {
+  try {
+    return schema.parse(req.query);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      const errors = error.issues.map(issue => ({
+        field: issue.path.join('.'),
+        message: issue.message,
+        code: issue.code
+      }));
+      throw new ValidationError('Request query validation failed', errors);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Custom validation error class
+ */
+class ValidationError extends Error {
+  constructor(public message: string, public errors: Array<{ field: string; message: string; code: string }>) {
+    super(message);
+    this.name = 'ValidationError';
+  }
+}
+
+const ERROR_STATUS: Record<string, number> = {
+  DELIVERY_SLOT_NOT_FOUND: 404,
+  BLACKOUT_DATE_NOT_FOUND: 404,
+  DELIVERY_SLOT_TAKEN: 409,
+  BLACKOUT_DATE_EXISTS: 409,
+  INVALID_DELIVERY_SLOT: 400
+};
+
+// Factory function for dependency injection
+const createDeliverySlotService = () => new DeliverySlotService();
+
+export class DeliverySlotController {
+  private deliverySlotService: DeliverySlotService;
+
+  constructor(deliverySlotServiceFactory: () => DeliverySlotService = createDeliverySlotService) {
+    this.deliverySlotService = deliverySlotServiceFactory();
+  }
+
+  private sendResult(
+    res: Response,
+    result:
+      | DeliveryAvailabilityApiResponse
+      | DeliverySlotApiResponse
+      | DeliverySlotListApiResponse
+      | DeliveryBlackoutDateApiResponse
+      | DeliveryBlackoutDateListApiResponse,
+    successStatus = 200
+  ): void {
+    if (!result.success) {
+      res.status(ERROR_STATUS[result.error ?? ''] ?? 500).json(result);
+      return;
+    }
+    res.status(successStatus).json(result);
+  }
+
+  private handleError(res: Response, error: unknown, message: string): void {
+    if (error instanceof ValidationError) {
+      res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.errors
+      });
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message,
+      error: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+
+  /**
+   * @swagger
+   * /api/delivery/availability:
+   *   get:
+   *     summary: Delivery calendar
+   *     description: |
+   *       Each day with its slots, how many orders they hold and why a slot cannot be chosen
+   *       (blackout, past, cutoff or full). Cutoffs use America/Caracas time.
+   *     tags: [Delivery]
+   *     parameters:
+   *       - in: query
+   *         name: from
+   *         schema:
+   *           type: string
+   *           format: date
+   *         description: First day, today in Caracas by default
+   *       - in: query
+   *         name: days
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 60
+   *           default: 14
+   *     responses:
+   *       200:
+   *         description: Delivery availability retrieved successfully
+   *       400:
+   *         description: Validation failed
+   */
+  public async getAvailability(req: Request, res: Response): Promise<void> {
+    try {
+      const { from, days } = validateRequestQuery(DeliveryAvailabilityQuerySchema, req);
+      const result = await this.deliverySlotService.getAvailability(from, days);
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to fetch delivery availability');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/delivery/slots:
+   *   get:
+   *     summary: List delivery slots including inactive ones (Admin only)
+   *     tags: [Delivery]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Delivery slots retrieved successfully
+   */
+  public async getSlots(req: Request, res: Response): Promise<void> {
+    try {
+      const result = await this.deliverySlotService.getSlots(true);
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to fetch delivery slots');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/delivery/slots:
+   *   post:
+   *     summary: Create a delivery slot (Admin only)
+   *     tags: [Delivery]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [weekday, start_time, end_time, capacity]
+   *             properties:
+   *               weekday:
+   *                 type: integer
+   *                 minimum: 0
+   *                 maximum: 6
+   *                 description: 0 = Sunday
+   *               start_time:
+   *                 type: string
+   *                 example: "09:00"
+   *               end_time:
+   *                 type: string
+   *                 example: "12:00"
+   *               capacity:
+   *                 type: integer
+   *                 description: Maximum orders delivered in this slot
+   *               same_day_cutoff:
+   *                 type: string
+   *                 nullable: true
+   *                 description: Last Caracas time to order for the same day; null means no same-day orders
+   *                 example: "07:00"
+   *               active:
+   *                 type: boolean
+   *     responses:
+   *       201:
+   *         description: Delivery slot created successfully
+   *       400:
+   *         description: Validation failed
+   *       409:
+   *         description: A slot with those times already exists on that weekday
+   */
+  public async createSlot(req: Request, res: Response): Promise<void> {
+    try {
+      const slotData = validateRequestBody(DeliverySlotCreateRequestSchema, req);
+      const result = await this.deliverySlotService.createSlot(slotData);
+      this.sendResult(res, result, 201);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to create delivery slot');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/delivery/slots/{id}:
+   *   put:
+   *     summary: Update a delivery slot (Admin only)
+   *     description: Orders already placed keep their slot even if its capacity drops below them
+   *     tags: [Delivery]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *     responses:
+   *       200:
+   *         description: Delivery slot updated successfully
+   *       400:
+   *         description: Validation failed or inconsistent times
+   *       404:
+   *         description: Delivery slot not found
+   *       409:
+   *         description: A slot with those times already exists on that weekday
+   */
+  public async updateSlot(req: Request, res: Response): Promise<void> {
+    try {
+      const { id } = validateRequestParams(ProductIdParamsSchema, req);
+      const slotData = validateRequestBody(DeliverySlotUpdateRequestSchema, req);
+      const result = await this.deliverySlotService.updateSlot(id, slotData);
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to update delivery slot');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/delivery/slots/{id}:
+   *   delete:
+   *     summary: Delete a delivery slot (Admin only)
+   *     tags: [Delivery]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Delivery slot deleted successfully
+   *       404:
+   *         description: Delivery slot not found
+   */
+  public async deleteSlot(req: Request, res: Response): Promise<void> {
+    try {
+      const { id } = validateRequestParams(ProductIdParamsSchema, req);
+      const result = await this.deliverySlotService.deleteSlot(id);
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to delete delivery slot');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/delivery/blackouts:
+   *   get:
+   *     summary: List blackout dates (Admin only)
+   *     tags: [Delivery]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: from
+   *         schema:
+   *           type: string
+   *           format: date
+   *         description: Only dates on or after this one
+   *     responses:
+   *       200:
+   *         description: Blackout dates retrieved successfully
+   */
+  public async getBlackoutDates(req: Request, res: Response): Promise<void> {
+    try {
+      const { from } = validateRequestQuery(DeliveryAvailabilityQuerySchema.pick({ from: true }), req);
+      const result = await this.deliverySlotService.getBlackoutDates(from);
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to fetch blackout dates');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/delivery/blackouts:
+   *   post:
+   *     summary: Add a day without deliveries (Admin only)
+   *     description: Orders already placed for that day are kept; new ones are rejected
+   *     tags: [Delivery]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [blackout_date]
+   *             properties:
+   *               blackout_date:
+   *                 type: string
+   *                 format: date
+   *                 example: "2026-12-25"
+   *               reason:
+   *                 type: string
+   *                 example: "Navidad"
+   *     responses:
+   *       201:
+   *         description: Blackout date added successfully
+   *       400:
+   *         description: Validation failed
+   *       409:
+   *         description: Date is already a blackout date
+   */
+  public async addBlackoutDate(req: Request, res: Response): Promise<void> {
+    try {
+      const blackoutData = validateRequestBody(DeliveryBlackoutDateCreateRequestSchema, req);
+      const result = await this.deliverySlotService.addBlackoutDate(blackoutData);
+      this.sendResult(res, result, 201);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to add blackout date');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/delivery/blackouts/{date}:
+   *   delete:
+   *     summary: Remove a blackout date (Admin only)
+   *     tags: [Delivery]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: date
+   *         required: true
+   *         schema:
+   *           type: string
+   *           format: date
+   *     responses:
+   *       200:
+   *         description: Blackout date removed successfully
+   *       404:
+   *         description: Blackout date not found
+   */
+  public async removeBlackoutDate(req: Request, res: Response): Promise<void> {
+    try {
+      const { date } = validateRequestParams(DeliveryBlackoutDateParamsSchema, req);
+      const result = await this.deliverySlotService.removeBlackoutDate(date);
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to remove blackout date');
+    }
+  }
+}
@@ -0,0 +1,292 @@
+/**
+ * 🌸 FloresYa Delivery Zone Controller
+ * Zones served for checkout and their admin management
+ */
+
+import { Request, Response } from 'express';
+import { z } from 'zod';
+
+import { DeliveryZoneService } from '../services/DeliveryZoneService.js';
+import {
+  // Validation Schemas
+  DeliveryZoneCreateRequestSchema,
+  DeliveryZoneUpdateRequestSchema,
+  ProductIdParamsSchema,
+  // Interface types
+  DeliveryZoneApiResponse,
+  DeliveryZoneListApiResponse,
+} from '../shared/types/index.js';
+
+// ============================================
+// ZOD VALIDATION HELPERS - STANDARDIZED
+// ============================================
+
+/**
+ * Validates request body with Zod schema
+ */
+function validateRequestBody<T>(schema: z.ZodSchema<T>, req: Request): T {
+  try {
+    return schema.parse(req.body);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      const errors = error.issues.map(issue => ({
+        field: issue.path.join('.'),
+        message: issue.message,
+        code: issue.code
+      }));
+      throw new ValidationError('Request body validation failed', errors);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Validates request params with Zod schema
+ */
+function validateRequestParams<T>(schema: z.ZodSchema<T>, req: Request): T {
+  try {
+    return schema.parse(req.params);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      const errors = error.issues.map(issue => ({
+        field: issue.path.join('.'),
+        message: issue.message,
+        code: issue.code
+      }));
+      throw new ValidationError('Request params validation failed', errors);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Custom validation error class
+ */
+class ValidationError extends Error {
+  constructor(public message: string, public errors: Array<{ field: string; message: string; code: string }>) {
+    super(message);
+    this.name = 'ValidationError';
+  }
+}
+
+const ERROR_STATUS: Record<string, number> = {
+  DELIVERY_ZONE_NOT_FOUND: 404,
+  DELIVERY_ZONE_NAME_TAKEN: 409,
+  DELIVERY_ZONE_OVERLAP: 409
+};
+
+// Factory function for dependency injection
+const createDeliveryZoneService = () => new DeliveryZoneService();
+
+export class DeliveryZoneController {
+  private deliveryZoneService: DeliveryZoneService;
+
+  constructor(deliveryZoneServiceFactory: () => DeliveryZoneService = createDeliveryZoneService) {
+    this.deliveryZoneService = deliveryZoneServiceFactory();
+  }
+
+  private sendResult(
+    res: Response,
+    result: DeliveryZoneApiResponse | DeliveryZoneListApiResponse,
+    successStatus = 200
+  ): void {
+    if (!result.success) {
+      res.status(ERROR_STATUS[result.error ?? ''] ?? 500).json(result);
+      return;
+    }
+    res.status(successStatus).json(result);
+  }
+
+  private handleError(res: Response, error: unknown, message: string): void {
+    if (error instanceof ValidationError) {
+      res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.errors
+      });
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message,
+      error: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+
+  /**
+   * @swagger
+   * /api/delivery/zones:
+   *   get:
+   *     summary: List active delivery zones
+   *     description: Cities and municipalities served, with their delivery fee, minimum order and weekdays
+   *     tags: [Delivery]
+   *     responses:
+   *       200:
+   *         description: Delivery zones retrieved successfully
+   */
+  public async getActiveZones(req: Request, res: Response): Promise<void> {
+    try {
+      const result = await this.deliveryZoneService.getZones();
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to fetch delivery zones');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/delivery/zones/all:
+   *   get:
+   *     summary: List delivery zones including inactive ones (Admin only)
+   *     tags: [Delivery]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Delivery zones retrieved successfully
+   */
+  public async getAllZones(req: Request, res: Response): Promise<void> {
+    try {
+      const result = await this.deliveryZoneService.getZones(true);
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to fetch delivery zones');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/delivery/zones:
+   *   post:
+   *     summary: Create a delivery zone (Admin only)
+   *     tags: [Delivery]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [name, state, localities, fee_usd]
+   *             properties:
+   *               name:
+   *                 type: string
+   *                 example: "Caracas Este"
+   *               state:
+   *                 type: string
+   *                 example: "Miranda"
+   *               localities:
+   *                 type: array
+   *                 description: Cities and municipalities, matched against delivery_city ignoring case and accents
+   *                 items:
+   *                   type: string
+   *                 example: ["Chacao", "Baruta", "El Hatillo"]
+   *               fee_usd:
+   *                 type: number
+   *                 minimum: 0
+   *               min_order_usd:
+   *                 type: number
+   *                 minimum: 0
+   *                 default: 0
+   *                 description: Minimum product subtotal, before the fee
+   *               delivery_weekdays:
+   *                 type: array
+   *                 description: Weekdays the zone is served, 0 = Sunday
+   *                 items:
+   *                   type: integer
+   *                   minimum: 0
+   *                   maximum: 6
+   *               active:
+   *                 type: boolean
+   *     responses:
+   *       201:
+   *         description: Delivery zone created successfully
+   *       400:
+   *         description: Validation failed
+   *       409:
+   *         description: Name taken, or a city is already served by another active zone of the state
+   */
+  public async createZone(req: Request, res: Response): Promise<void> {
+    try {
+      const zoneData = validateRequestBody(DeliveryZoneCreateRequestSchema, req);
+      const result = await this.deliveryZoneService.createZone(zoneData);
+      this.sendResult(res, result, 201);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to create delivery zone');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/delivery/zones/{id}:
+   *   put:
+   *     summary: Update a delivery zone (Admin only)
+   *     description: Orders already placed keep the fee they were quoted
+   *     tags: [Delivery]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *     responses:
+   *       200:
+   *         description: Delivery zone updated successfully
+   *       400:
+   *         description: Validation failed
+   *       404:
+   *         description: Delivery zone not found
+   *       409:
+   *         description: Name taken, or a city is already served by another active zone of the state
+   */
+  public async updateZone(req: Request, res: Response): Promise<void> {
+    try {
+      const { id } = validateRequestParams(ProductIdParamsSchema, req);
+      const zoneData = validateRequestBody(DeliveryZoneUpdateRequestSchema, req);
+      const result = await this.deliveryZoneService.updateZone(id, zoneData);
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to update delivery zone');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/delivery/zones/{id}:
+   *   delete:
+   *     summary: Delete a delivery zone (Admin only)
+   *     tags: [Delivery]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Delivery zone deleted successfully
+   *       404:
+   *         description: Delivery zone not found
+   */
+  public async deleteZone(req: Request, res: Response): Promise<void> {
+    try {
+      const { id } = validateRequestParams(ProductIdParamsSchema, req);
+      const result = await this.deliveryZoneService.deleteZone(id);
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to delete delivery zone');
+    }
+  }
+}
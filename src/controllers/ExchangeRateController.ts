@@ -0,0 +1,251 @@
+/**
+ * 🌸 FloresYa Exchange Rate Controller
+ * Current USD/VES rate for the storefront, rate history, provider refresh and VES rounding for admins
+ */
+
+import { Request, Response } from 'express';
+import { z } from 'zod';
+
+import { createExchangeRateProvider } from '../services/ExchangeRateProviders.js';
+import { ExchangeRateService } from '../services/ExchangeRateService.js';
+import {
+  // Validation Schemas
+  ExchangeRateCreateRequestSchema,
+  ExchangeRateQueryRequestSchema,
+  VesRoundingUpdateRequestSchema,
+  // Interface types
+  AuthenticatedRequest,
+} from '../shared/types/index.js';
+
+// ============================================
+// ZOD VALIDATION HELPERS - STANDARDIZED
+// ============================================
+
+/**
+ * Validates request body with Zod schema
+ */
+function validateRequestBody<T>(schema: z.ZodSchema<T>, req: Request): T {
+  try {
+    return schema.parse(req.body);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      const errors = error.issues.map(issue => ({
+        field: issue.path.join('.'),
+        message: issue.message,
+        code: issue.code
+      }));
+      throw new ValidationError('Request body validation failed', errors);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Validates request query with Zod schema
+ */
+function validateRequestQuery<T>(schema: z.ZodSchema<T>, req: Request): T {
+  try {
+    return schema.parse(req.query);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      const errors = error.issues.map(issue => ({
+        field: issue.path.join('.'),
+        message: issue.message,
+        code: issue.code
+      }));
+      throw new ValidationError('Request query validation failed', errors);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Custom validation error class
+ */
+class ValidationError extends Error {
+  constructor(public message: string, public errors: Array<{ field: string; message: string; code: string }>) {
+    super(message);
+    this.name = 'ValidationError';
+  }
+}
+
+// Factory function for dependency injection
+const createExchangeRateService = () => new ExchangeRateService();
+
+export class ExchangeRateController {
+  private exchangeRateService: ExchangeRateService;
+
+  constructor(exchangeRateServiceFactory: () => ExchangeRateService = createExchangeRateService) {
+    this.exchangeRateService = exchangeRateServiceFactory();
+  }
+
+  private handleError(res: Response, error: unknown, message: string): void {
+    if (error instanceof ValidationError) {
+      res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.errors
+      });
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message,
+      error: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+
+  /**
+   * @swagger
+   * /api/exchange-rates/current:
+   *   get:
+   *     summary: Current USD/VES exchange rate
+   *     description: Bolívares per dollar and the step VES prices are rounded up to. rate is null until an admin records one.
+   *     tags: [Exchange Rates]
+   *     responses:
+   *       200:
+   *         description: Exchange rate retrieved successfully
+   */
+  public async getCurrentRate(req: Request, res: Response): Promise<void> {
+    try {
+      const result = await this.exchangeRateService.getCurrent();
+      res.status(result.success ? 200 : 500).json(result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to fetch exchange rate');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/exchange-rates:
+   *   get:
+   *     summary: Recorded exchange rates, newest first (Admin only)
+   *     tags: [Exchange Rates]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Exchange rates retrieved successfully
+   */
+  public async getRateHistory(req: Request, res: Response): Promise<void> {
+    try {
+      const query = validateRequestQuery(ExchangeRateQueryRequestSchema, req);
+      const result = await this.exchangeRateService.getRateHistory(query);
+      res.status(result.success ? 200 : 500).json(result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to fetch exchange rates');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/exchange-rates:
+   *   post:
+   *     summary: Record a new exchange rate (Admin only)
+   *     description: The rate becomes current and every VES price derived from USD is recalculated. Orders and payments keep the rate they were created with.
+   *     tags: [Exchange Rates]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [rate]
+   *             properties:
+   *               rate:
+   *                 type: number
+   *                 example: 36.52
+   *               notes:
+   *                 type: string
+   *                 maxLength: 500
+   *     responses:
+   *       201:
+   *         description: Exchange rate recorded successfully
+   *       400:
+   *         description: Validation failed
+   */
+  public async recordRate(req: Request, res: Response): Promise<void> {
+    try {
+      const rateData = validateRequestBody(ExchangeRateCreateRequestSchema, req);
+      const adminId = (req as unknown as AuthenticatedRequest).user?.id; // From auth middleware
+      const result = await this.exchangeRateService.recordRate(rateData, adminId);
+      res.status(result.success ? 201 : 500).json(result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to record exchange rate');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/exchange-rates/refresh:
+   *   post:
+   *     summary: Fetch the exchange rate from the configured provider now (Admin only)
+   *     description: Same as the scheduled refresh. The rate is rejected when it differs from the current one by more than the allowed deviation; with the manual provider nothing is fetched.
+   *     tags: [Exchange Rates]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Exchange rate refreshed successfully
+   *       502:
+   *         description: The provider failed or its rate was rejected
+   */
+  public async refreshRate(req: Request, res: Response): Promise<void> {
+    try {
+      const result = await this.exchangeRateService.refreshFromProvider(createExchangeRateProvider());
+      res.status(result.success ? 200 : 502).json(result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to refresh exchange rate');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/exchange-rates/rounding:
+   *   put:
+   *     summary: Change how VES prices are rounded (Admin only)
+   *     description: Derived VES prices are rounded up to a multiple of rounding_step, e.g. 1 for whole bolívares or 10 for tens
+   *     tags: [Exchange Rates]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [rounding_step]
+   *             properties:
+   *               rounding_step:
+   *                 type: number
+   *                 minimum: 0.01
+   *                 maximum: 1000
+   *                 example: 10
+   *     responses:
+   *       200:
+   *         description: VES price rounding updated successfully
+   *       400:
+   *         description: Validation failed
+   */
+  public async updateRounding(req: Request, res: Response): Promise<void> {
+    try {
+      const rounding = validateRequestBody(VesRoundingUpdateRequestSchema, req);
+      const result = await this.exchangeRateService.updateRounding(rounding);
+      res.status(result.success ? 200 : 500).json(result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to update VES price rounding');
+    }
+  }
+}
@@ -0,0 +1,231 @@
+/**
+ * 🌸 FloresYa Inventory Controller
+ * Admin stock adjustments and per-product stock history
+ */
+
+import { Request, Response } from 'express';
+import { z } from 'zod';
+
+import { InventoryService } from '../services/InventoryService.js';
+import {
+  // Validation Schemas
+  InventoryAdjustmentRequestSchema,
+  InventoryMovementQueryRequestSchema,
+  ProductIdParamsSchema,
+  // Interface types
+  AuthenticatedRequest,
+  InventoryMovementApiResponse,
+  ProductStockHistoryApiResponse,
+} from '../shared/types/index.js';
+
+// ============================================
+// ZOD VALIDATION HELPERS - STANDARDIZED
+// ============================================
+
+/**
+ * Validates request body with Zod schema
+ */
+function validateRequestBody<T>(schema: z.ZodSchema<T>, req: Request): T {
+  try {
+    return schema.parse(req.body);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      const errors = error.issues.map(issue => ({
+        field: issue.path.join('.'),
+        message: issue.message,
+        code: issue.code
+      }));
+      throw new ValidationError('Request body validation failed', errors);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Validates request params with Zod schema
+ */
+function validateRequestParams<T>(schema: z.ZodSchema<T>, req: Request): T {
+  try {
+    return schema.parse(req.params);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      const errors = error.issues.map(issue => ({
+        field: issue.path.join('.'),
+        message: issue.message,
+        code: issue.code
+      }));
+      throw new ValidationError('Request params validation failed', errors);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Validates request query with Zod schema
+ */
+function validateRequestQuery<T>(schema: z.ZodSchema<T>, req: Request): T {
+  try {
+    return schema.parse(req.query);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      const errors = error.issues.map(issue => ({
+        field: issue.path.join('.'),
+        message: issue.message,
+        code: issue.code
+      }));
+      throw new ValidationError('Request query validation failed', errors);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Custom validation error class
+ */
+class ValidationError extends Error {
+  constructor(public message: string, public errors: Array<{ field: string; message: string; code: string }>) {
+    super(message);
+    this.name = 'ValidationError';
+  }
+}
+
+const ERROR_STATUS: Record<string, number> = {
+  PRODUCT_NOT_FOUND: 404,
+  INSUFFICIENT_STOCK: 409
+};
+
+// Factory function for dependency injection
+const createInventoryService = () => new InventoryService();
+
+export class InventoryController {
+  private inventoryService: InventoryService;
+
+  constructor(inventoryServiceFactory: () => InventoryService = createInventoryService) {
+    this.inventoryService = inventoryServiceFactory();
+  }
+
+  private sendResult(
+    res: Response,
+    result: InventoryMovementApiResponse | ProductStockHistoryApiResponse,
+    successStatus = 200
+  ): void {
+    if (!result.success) {
+      res.status(ERROR_STATUS[result.error ?? ''] ?? 500).json(result);
+      return;
+    }
+    res.status(successStatus).json(result);
+  }
+
+  private handleError(res: Response, error: unknown, message: string): void {
+    if (error instanceof ValidationError) {
+      res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.errors
+      });
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message,
+      error: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+
+  /**
+   * @swagger
+   * /api/inventory/products/{id}/movements:
+   *   get:
+   *     summary: Stock history of a product (Admin only)
+   *     description: Current stock and every movement that changed it, newest first
+   *     tags: [Inventory]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: reason
+   *         schema:
+   *           type: string
+   *           enum: [sale, cancellation, adjustment, waste, restock]
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Stock history retrieved successfully
+   *       404:
+   *         description: Product not found
+   */
+  public async getProductStockHistory(req: Request, res: Response): Promise<void> {
+    try {
+      const { id } = validateRequestParams(ProductIdParamsSchema, req);
+      const query = validateRequestQuery(InventoryMovementQueryRequestSchema, req);
+
+      const result = await this.inventoryService.getProductStockHistory(id, query);
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to fetch stock history');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/inventory/adjustments:
+   *   post:
+   *     summary: Post a manual stock movement (Admin only)
+   *     description: Counts, spoiled flowers and new deliveries. Waste must be negative and restock positive.
+   *     tags: [Inventory]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [product_id, quantity_change, reason]
+   *             properties:
+   *               product_id:
+   *                 type: integer
+   *               quantity_change:
+   *                 type: integer
+   *                 description: Units added (positive) or removed (negative)
+   *               reason:
+   *                 type: string
+   *                 enum: [adjustment, waste, restock]
+   *               notes:
+   *                 type: string
+   *                 maxLength: 500
+   *     responses:
+   *       201:
+   *         description: Movement recorded; returns the ledger row with the new balance
+   *       400:
+   *         description: Validation failed
+   *       404:
+   *         description: Product not found
+   *       409:
+   *         description: Stock would drop below zero
+   */
+  public async adjustStock(req: Request, res: Response): Promise<void> {
+    try {
+      const adjustment = validateRequestBody(InventoryAdjustmentRequestSchema, req);
+      const adminId = (req as unknown as AuthenticatedRequest).user?.id; // From auth middleware
+
+      const result = await this.inventoryService.adjustStock(adjustment, adminId);
+      this.sendResult(res, result, 201);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to adjust stock');
+    }
+  }
+}
@@ -0,0 +1,145 @@
+/**
+ * 🌸 FloresYa Loyalty Controller
+ * The customer's loyalty points, and any customer's points for admins
+ */
+
+import { Request, Response } from 'express';
+import { z } from 'zod';
+
+import { LoyaltyService } from '../services/LoyaltyService.js';
+import {
+  // Validation Schemas
+  ProductIdParamsSchema,
+  // Interface types
+  AuthenticatedRequest,
+  LoyaltyAccountApiResponse,
+} from '../shared/types/index.js';
+
+// ============================================
+// ZOD VALIDATION HELPERS - STANDARDIZED
+// ============================================
+
+/**
+ * Validates request params with Zod schema
+ */
+function validateRequestParams<T>(schema: z.ZodSchema<T>, req: Request): T {
+  try {
+    return schema.parse(req.params);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      const errors = error.issues.map(issue => ({
+        field: issue.path.join('.'),
+        message: issue.message,
+        code: issue.code
+      }));
+      throw new ValidationError('Request params validation failed', errors);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Custom validation error class
+ */
+class ValidationError extends Error {
+  constructor(public message: string, public errors: Array<{ field: string; message: string; code: string }>) {
+    super(message);
+    this.name = 'ValidationError';
+  }
+}
+
+// Factory function for dependency injection
+const createLoyaltyService = () => new LoyaltyService();
+
+export class LoyaltyController {
+  private loyaltyService: LoyaltyService;
+
+  constructor(loyaltyServiceFactory: () => LoyaltyService = createLoyaltyService) {
+    this.loyaltyService = loyaltyServiceFactory();
+  }
+
+  private sendResult(res: Response, result: LoyaltyAccountApiResponse): void {
+    res.status(result.success ? 200 : 500).json(result);
+  }
+
+  private handleError(res: Response, error: unknown, message: string): void {
+    if (error instanceof ValidationError) {
+      res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.errors
+      });
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message,
+      error: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+
+  /**
+   * @swagger
+   * /api/loyalty/me:
+   *   get:
+   *     summary: The signed-in customer's loyalty points
+   *     description: Points that can be spent and what they are worth, when they expire, and the latest movements of the ledger
+   *     tags: [Loyalty]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Loyalty points retrieved successfully
+   *       401:
+   *         description: Missing or invalid token
+   */
+  public async getMyLoyaltyAccount(req: Request, res: Response): Promise<void> {
+    try {
+      const userId = (req as unknown as AuthenticatedRequest).user?.id; // From auth middleware
+      if (!userId) {
+        res.status(401).json({
+          success: false,
+          message: 'Authentication required',
+          error: 'MISSING_TOKEN'
+        });
+        return;
+      }
+
+      const result = await this.loyaltyService.getLoyaltyAccount(userId);
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to fetch loyalty points');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/loyalty/users/{id}:
+   *   get:
+   *     summary: A customer's loyalty points (Admin only)
+   *     tags: [Loyalty]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: User ID
+   *     responses:
+   *       200:
+   *         description: Loyalty points retrieved successfully
+   */
+  public async getLoyaltyAccount(req: Request, res: Response): Promise<void> {
+    try {
+      const { id } = validateRequestParams(ProductIdParamsSchema, req);
+
+      const result = await this.loyaltyService.getLoyaltyAccount(id);
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to fetch loyalty points');
+    }
+  }
+}
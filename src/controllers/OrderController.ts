@@ -6,10 +6,21 @@
 import { Request, Response } from 'express';
 import { z } from 'zod';
 
-import { OrderService } from '../services/OrderService.js';
+import { CouponError } from '../services/CouponService.js';
+import { LoyaltyError } from '../services/LoyaltyService.js';
+import {
+  DeliverySlotUnavailableError,
+  DeliveryZoneError,
+  InsufficientStockError,
+  OrderNotFoundError,
+  OrderService,
+  OrderStatusTransitionError
+} from '../services/OrderService.js';
+import { createTrackingToken } from '../services/OrderTrackingService.js';
 import {
   // Validation Schemas
   OrderCreateRequestSchema,
+  OrderQuoteRequestSchema,
   OrderUpdateRequestSchema,
   OrderStatusUpdateRequestSchema,
   OrderQueryRequestSchema,
@@ -134,7 +145,7 @@ export class OrderController {
    *         name: status
    *         schema:
    *           type: string
-   *           enum: [pending, confirmed, preparing, ready, delivered, cancelled]
+   *           enum: [pending, verified, preparing, shipped, delivered, cancelled]
    *         description: Filter by order status
    *       - in: query
    *         name: customer_email
@@ -143,6 +154,13 @@ export class OrderController {
    *           format: email
    *         description: Filter by customer email
    *       - in: query
+   *         name: search
+   *         schema:
+   *           type: string
+   *           minLength: 2
+   *           maxLength: 100
+   *         description: Order number (FY-2026-000123), customer name or email
+   *       - in: query
    *         name: date_from
    *         schema:
    *           type: string
@@ -217,6 +235,7 @@ export class OrderController {
         limit: Math.min(queryParams.limit ?? 20, 100),
         status: queryParams.status,
         customer_email: queryParams.customer_email,
+        search: queryParams.search,
         date_from: queryParams.date_from,
         date_to: queryParams.date_to,
         sort_by: queryParams.sort_by ?? 'created_at',
@@ -231,6 +250,7 @@ export class OrderController {
         message: 'Orders retrieved successfully'
       });
     } catch (error) {
+      if (this.handleValidationError(res, error)) return;
             res.status(500).json({
         success: false,
         message: 'Failed to fetch orders',
@@ -305,6 +325,7 @@ export class OrderController {
         message: 'Order retrieved successfully'
       });
     } catch (error) {
+      if (this.handleValidationError(res, error)) return;
             res.status(500).json({
         success: false,
         message: 'Failed to fetch order',
@@ -320,6 +341,14 @@ export class OrderController {
    *     summary: Create new order
    *     description: Creates a new order with customer information, delivery details, and order items
    *     tags: [Orders]
+   *     parameters:
+   *       - in: header
+   *         name: Idempotency-Key
+   *         required: false
+   *         schema:
+   *           type: string
+   *           maxLength: 255
+   *         description: Client-generated key (e.g. a UUID). Retrying with the same key and body returns the order already created, with an Idempotent-Replayed header, for 24 hours
    *     requestBody:
    *       required: true
    *       content:
@@ -355,7 +384,7 @@ export class OrderController {
    *                 example: "Calle Principal 123, Caracas, Venezuela"
    *               delivery_city:
    *                 type: string
-   *                 description: Delivery city
+   *                 description: Delivery city or municipality, matched against the delivery zones to price the delivery fee
    *                 example: "Caracas"
    *               delivery_state:
    *                 type: string
@@ -368,16 +397,47 @@ export class OrderController {
    *               delivery_date:
    *                 type: string
    *                 format: date
-   *                 description: Requested delivery date
+   *                 description: Requested delivery date, sent together with delivery_time_slot
    *                 example: "2024-01-20"
    *               delivery_time_slot:
    *                 type: string
-   *                 description: Preferred delivery time slot
-   *                 example: "10:00-12:00"
+   *                 description: Label of a slot offered that day, see /api/delivery/availability
+   *                 example: "09:00-12:00"
    *               delivery_notes:
    *                 type: string
    *                 description: Special delivery instructions
    *                 example: "Please ring the doorbell twice"
+   *               recipient_name:
+   *                 type: string
+   *                 minLength: 2
+   *                 maxLength: 100
+   *                 description: Person receiving the bouquet, when it is not the customer
+   *                 example: "Ana Pérez"
+   *               recipient_phone:
+   *                 type: string
+   *                 maxLength: 30
+   *                 description: Recipient phone for the courier
+   *                 example: "+58 414 765 4321"
+   *               is_anonymous:
+   *                 type: boolean
+   *                 default: false
+   *                 description: Leave the sender's name off the printed card
+   *               card_message:
+   *                 type: string
+   *                 maxLength: 250
+   *                 description: Message printed on the gift card
+   *                 example: "¡Feliz cumpleaños! Con cariño"
+   *               payment_method_id:
+   *                 type: integer
+   *                 description: Payment method chosen at checkout; foreign-currency methods add IGTF to the total
+   *               coupon_code:
+   *                 type: string
+   *                 description: Discount code, matched ignoring case
+   *                 example: "MADRES10"
+   *               loyalty_points:
+   *                 type: integer
+   *                 minimum: 1
+   *                 description: Loyalty points to spend, for signed-in customers; capped at the balance and at what the products cost after discounts
    *               items:
    *                 type: array
    *                 minItems: 1
@@ -393,11 +453,28 @@ export class OrderController {
    *                       minimum: 1
    *                       description: Product ID
    *                       example: 1
+   *                     variant_id:
+   *                       type: integer
+   *                       minimum: 1
+   *                       description: Variant ID, required for products with variants
    *                     quantity:
    *                       type: integer
    *                       minimum: 1
    *                       description: Quantity of the product
    *                       example: 2
+   *                     addons:
+   *                       type: array
+   *                       description: Gift add-ons attached to this line, stored as its child order items
+   *                       items:
+   *                         type: object
+   *                         properties:
+   *                           addon_id:
+   *                             type: integer
+   *                             minimum: 1
+   *                           quantity:
+   *                             type: integer
+   *                             minimum: 1
+   *                             default: 1
    *               notes:
    *                 type: string
    *                 description: Order notes
@@ -418,11 +495,19 @@ export class OrderController {
    *                   properties:
    *                     order:
    *                       $ref: '#/components/schemas/Order'
+   *                     tracking_token:
+   *                       type: string
+   *                       nullable: true
+   *                       description: Token of the order's tracking link (/api/order-tracking/{id}?token=)
    *                 message:
    *                   type: string
    *                   example: "Order created successfully"
    *       400:
-   *         description: Validation failed
+   *         description: Validation failed, the address is outside every delivery zone (OUTSIDE_DELIVERY_ZONES), below the zone's minimum order (BELOW_ZONE_MINIMUM) or the zone is not served that day (ZONE_NOT_SERVED_ON_DATE), or the coupon cannot be used (COUPON_NOT_FOUND, COUPON_EXPIRED, BELOW_COUPON_MINIMUM, COUPON_NOT_APPLICABLE, ...)
+   *       409:
+   *         description: Not enough stock left for one of the products, the delivery slot is full, past its same-day cutoff or on a blackout date (DELIVERY_SLOT_UNAVAILABLE), or another order took the coupon's last use (COUPON_UNAVAILABLE), or the loyalty balance no longer covers the points (INSUFFICIENT_LOYALTY_POINTS), or a request with the same Idempotency-Key is still running (IDEMPOTENCY_KEY_IN_PROGRESS)
+   *       422:
+   *         description: The Idempotency-Key was already used with a different request (IDEMPOTENCY_KEY_REUSED)
    *       500:
    *         description: Server error
    */
@@ -430,15 +515,70 @@ export class OrderController {
     try {
       // 🔥 ZOD RUNTIME VALIDATION!
       const orderData = validateRequestBody(OrderCreateRequestSchema, req);
-      const order = await this.orderService.createOrder(orderData);
+      const userId = (req as unknown as AuthenticatedRequest).user?.id; // From auth middleware, when signed in
+      const order = await this.orderService.createOrder(orderData, userId);
 
       res.status(201).json({
         success: true,
-        data: { order },
+        data: { order, tracking_token: createTrackingToken(order.id) },
         message: 'Order created successfully'
       });
     } catch (error) {
-            res.status(500).json({
+      if (error instanceof ValidationError) {
+        res.status(400).json({
+          success: false,
+          message: error.message,
+          errors: error.errors
+        });
+        return;
+      }
+
+      if (error instanceof InsufficientStockError) {
+        res.status(409).json({
+          success: false,
+          message: error.message,
+          error: 'INSUFFICIENT_STOCK'
+        });
+        return;
+      }
+
+      if (error instanceof DeliveryZoneError) {
+        res.status(400).json({
+          success: false,
+          message: error.message,
+          error: error.code
+        });
+        return;
+      }
+
+      if (error instanceof DeliverySlotUnavailableError) {
+        res.status(409).json({
+          success: false,
+          message: error.message,
+          error: 'DELIVERY_SLOT_UNAVAILABLE'
+        });
+        return;
+      }
+
+      if (error instanceof CouponError) {
+        res.status(error.code === 'COUPON_UNAVAILABLE' ? 409 : 400).json({
+          success: false,
+          message: error.message,
+          error: error.code
+        });
+        return;
+      }
+
+      if (error instanceof LoyaltyError) {
+        res.status(error.code === 'INSUFFICIENT_LOYALTY_POINTS' ? 409 : 400).json({
+          success: false,
+          message: error.message,
+          error: error.code
+        });
+        return;
+      }
+
+      res.status(500).json({
         success: false,
         message: 'Failed to create order',
         error: error instanceof Error ? error.message : 'Unknown error'
@@ -446,6 +586,138 @@ export class OrderController {
     }
   }
 
+  /**
+   * @swagger
+   * /api/orders/quote:
+   *   post:
+   *     summary: Quote a cart
+   *     description: Re-prices cart items against the current catalog so checkout shows the same totals createOrder will charge
+   *     tags: [Orders]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - items
+   *             properties:
+   *               items:
+   *                 type: array
+   *                 minItems: 1
+   *                 items:
+   *                   type: object
+   *                   required:
+   *                     - product_id
+   *                     - quantity
+   *                   properties:
+   *                     product_id:
+   *                       type: integer
+   *                       minimum: 1
+   *                     variant_id:
+   *                       type: integer
+   *                       minimum: 1
+   *                     quantity:
+   *                       type: integer
+   *                       minimum: 1
+   *                     addons:
+   *                       type: array
+   *                       items:
+   *                         type: object
+   *                         properties:
+   *                           addon_id:
+   *                             type: integer
+   *                           quantity:
+   *                             type: integer
+   *               delivery_city:
+   *                 type: string
+   *                 description: When given, the quote adds the delivery fee of the zone serving this city or municipality
+   *                 example: "Chacao"
+   *               delivery_state:
+   *                 type: string
+   *                 example: "Miranda"
+   *               delivery_date:
+   *                 type: string
+   *                 format: date
+   *                 description: Checked against the weekdays the zone is served
+   *               payment_method_id:
+   *                 type: integer
+   *                 description: When the method is in foreign currency, the quote adds IGTF
+   *               coupon_code:
+   *                 type: string
+   *                 description: When given, the quote takes the coupon's discount off the subtotal
+   *               customer_email:
+   *                 type: string
+   *                 format: email
+   *                 description: Checked against the coupon's per-customer limit for guests; signed-in customers are counted by account
+   *               loyalty_points:
+   *                 type: integer
+   *                 minimum: 1
+   *                 description: Loyalty points to spend, for signed-in customers; loyalty_points_redeemed says how many the cart can take
+   *     responses:
+   *       200:
+   *         description: Cart quoted successfully, with subtotal_usd, discount_usd, loyalty_discount_usd, delivery_fee_usd, iva_amount_usd, igtf_amount_usd and total_amount_usd
+   *       400:
+   *         description: Validation failed, the address cannot be delivered to (OUTSIDE_DELIVERY_ZONES, BELOW_ZONE_MINIMUM, ZONE_NOT_SERVED_ON_DATE) or the coupon cannot be used (COUPON_*), or points are asked for without signing in (LOYALTY_SIGN_IN_REQUIRED)
+   *       409:
+   *         description: Not enough stock left for one of the products
+   *       500:
+   *         description: Product unavailable or server error
+   */
+  public async quoteOrder(req: Request, res: Response): Promise<void> {
+    try {
+      const { items, delivery_city, delivery_state, delivery_date, payment_method_id, coupon_code, customer_email, loyalty_points } =
+        validateRequestBody(OrderQuoteRequestSchema, req);
+      const userId = (req as unknown as AuthenticatedRequest).user?.id; // From auth middleware, when signed in
+      const quote = await this.orderService.calculateOrderTotals(
+        items,
+        delivery_city ? { city: delivery_city, state: delivery_state, date: delivery_date } : undefined,
+        payment_method_id,
+        coupon_code ? { code: coupon_code, customer_email, user_id: userId } : undefined,
+        loyalty_points ? { points: loyalty_points, user_id: userId } : undefined
+      );
+
+      res.status(200).json({
+        success: true,
+        data: quote,
+        message: 'Order quoted successfully'
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        res.status(400).json({
+          success: false,
+          message: error.message,
+          errors: error.errors
+        });
+        return;
+      }
+
+      if (error instanceof DeliveryZoneError || error instanceof CouponError || error instanceof LoyaltyError) {
+        res.status(400).json({
+          success: false,
+          message: error.message,
+          error: error.code
+        });
+        return;
+      }
+
+      if (error instanceof InsufficientStockError) {
+        res.status(409).json({
+          success: false,
+          message: error.message,
+          error: 'INSUFFICIENT_STOCK'
+        });
+        return;
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to quote order',
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  }
+
   /**
    * @swagger
    * /api/orders/{id}:
@@ -472,9 +744,9 @@ export class OrderController {
    *             properties:
    *               status:
    *                 type: string
-   *                 enum: [pending, confirmed, preparing, ready, delivered, cancelled]
-   *                 description: New order status
-   *                 example: "confirmed"
+   *                 enum: [pending, verified, preparing, shipped, delivered, cancelled]
+   *                 description: New order status, must be an allowed transition from the current one
+   *                 example: "verified"
    *               delivery_date:
    *                 type: string
    *                 format: date
@@ -488,6 +760,22 @@ export class OrderController {
    *                 type: string
    *                 description: Updated delivery instructions
    *                 example: "Leave at front door"
+   *               recipient_name:
+   *                 type: string
+   *                 minLength: 2
+   *                 maxLength: 100
+   *                 description: Updated recipient name
+   *               recipient_phone:
+   *                 type: string
+   *                 maxLength: 30
+   *                 description: Updated recipient phone
+   *               is_anonymous:
+   *                 type: boolean
+   *                 description: Leave the sender's name off the printed card
+   *               card_message:
+   *                 type: string
+   *                 maxLength: 250
+   *                 description: Corrected gift card message
    *               admin_notes:
    *                 type: string
    *                 maxLength: 1000
@@ -518,6 +806,8 @@ export class OrderController {
    *         description: Unauthorized - Admin access required
    *       404:
    *         description: Order not found
+   *       409:
+   *         description: Status transition not allowed; response lists allowed_statuses
    *       500:
    *         description: Server error
    */
@@ -536,7 +826,8 @@ export class OrderController {
         return;
       }
 
-      const order = await this.orderService.updateOrder(updateData);
+      const userId = (req as unknown as AuthenticatedRequest).user?.id; // From auth middleware
+      const order = await this.orderService.updateOrder(updateData, userId);
 
       res.status(200).json({
         success: true,
@@ -544,6 +835,7 @@ export class OrderController {
         message: 'Order updated successfully'
       });
     } catch (error) {
+      if (this.handleValidationError(res, error) || this.handleStatusError(res, error)) return;
             res.status(500).json({
         success: false,
         message: 'Failed to update order',
@@ -580,7 +872,7 @@ export class OrderController {
    *             properties:
    *               status:
    *                 type: string
-   *                 enum: [pending, confirmed, preparing, ready, delivered, cancelled]
+   *                 enum: [pending, verified, preparing, shipped, delivered, cancelled]
    *                 description: New order status
    *                 example: "preparing"
    *               notes:
@@ -613,6 +905,8 @@ export class OrderController {
    *         description: Unauthorized - Admin access required
    *       404:
    *         description: Order not found
+   *       409:
+   *         description: Status transition not allowed (e.g. shipping an unpaid order or cancelling a shipped one); response lists allowed_statuses
    *       500:
    *         description: Server error
    */
@@ -633,6 +927,7 @@ export class OrderController {
         message: 'Order status updated successfully'
       });
     } catch (error) {
+      if (this.handleValidationError(res, error) || this.handleStatusError(res, error)) return;
             res.status(500).json({
         success: false,
         message: 'Failed to update order status',
@@ -685,11 +980,11 @@ export class OrderController {
    *                             description: Order ID
    *                           old_status:
    *                             type: string
-   *                             enum: [pending, confirmed, preparing, ready, delivered, cancelled]
+   *                             enum: [pending, verified, preparing, shipped, delivered, cancelled]
    *                             description: Previous status
    *                           new_status:
    *                             type: string
-   *                             enum: [pending, confirmed, preparing, ready, delivered, cancelled]
+   *                             enum: [pending, verified, preparing, shipped, delivered, cancelled]
    *                             description: New status
    *                           notes:
    *                             type: string
@@ -722,6 +1017,7 @@ export class OrderController {
         message: 'Order status history retrieved successfully'
       });
     } catch (error) {
+      if (this.handleValidationError(res, error)) return;
             res.status(500).json({
         success: false,
         message: 'Failed to fetch order status history',
@@ -729,6 +1025,48 @@ export class OrderController {
       });
     }
   }
+
+  /**
+   * Sends 400 for invalid params, query or body; returns false for anything else
+   */
+  private handleValidationError(res: Response, error: unknown): boolean {
+    if (error instanceof ValidationError) {
+      res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.errors
+      });
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Sends 404/409 for order status errors; returns false for anything else
+   */
+  private handleStatusError(res: Response, error: unknown): boolean {
+    if (error instanceof OrderNotFoundError) {
+      res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+      return true;
+    }
+
+    if (error instanceof OrderStatusTransitionError) {
+      res.status(409).json({
+        success: false,
+        message: error.message,
+        error: 'INVALID_STATUS_TRANSITION',
+        current_status: error.currentStatus,
+        allowed_statuses: error.allowedStatuses
+      });
+      return true;
+    }
+
+    return false;
+  }
 }
 
 // ============================================
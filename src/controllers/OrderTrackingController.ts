@@ -0,0 +1,206 @@
+/**
+ * 🌸 FloresYa Order Tracking Controller
+ * Public order status by order number and email, or by the signed link
+ */
+
+import { Request, Response } from 'express';
+import { z } from 'zod';
+
+import { OrderTrackingService } from '../services/OrderTrackingService.js';
+import {
+  // Validation Schemas
+  OrderTrackingRequestSchema,
+  OrderTrackingTokenQuerySchema,
+  ProductIdParamsSchema,
+  // Interface types
+  OrderTrackingApiResponse,
+} from '../shared/types/index.js';
+
+// ============================================
+// ZOD VALIDATION HELPERS - STANDARDIZED
+// ============================================
+
+/**
+ * Validates request body with Zod schema
+ */
+function validateRequestBody<T>(schema: z.ZodSchema<T>, req: Request): T {
+  try {
+    return schema.parse(req.body);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      const errors = error.issues.map(issue => ({
+        field: issue.path.join('.'),
+        message: issue.message,
+        code: issue.code
+      }));
+      throw new ValidationError('Request body validation failed', errors);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Validates request params with Zod schema
+ */
+function validateRequestParams<T>(schema: z.ZodSchema<T>, req: Request): T {
+  try {
+    return schema.parse(req.params);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      const errors = error.issues.map(issue => ({
+        field: issue.path.join('.'),
+        message: issue.message,
+        code: issue.code
+      }));
+      throw new ValidationError('Request params validation failed', errors);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Validates request query with Zod schema
+ */
+function validateRequestQuery<T>(schema: z.ZodSchema<T>, req: Request): T {
+  try {
+    return schema.parse(req.query);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      const errors = error.issues.map(issue => ({
+        field: issue.path.join('.'),
+        message: issue.message,
+        code: issue.code
+      }));
+      throw new ValidationError('Request query validation failed', errors);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Custom validation error class
+ */
+class ValidationError extends Error {
+  constructor(public message: string, public errors: Array<{ field: string; message: string; code: string }>) {
+    super(message);
+    this.name = 'ValidationError';
+  }
+}
+
+const ERROR_STATUS: Record<string, number> = {
+  ORDER_NOT_FOUND: 404
+};
+
+// Factory function for dependency injection
+const createOrderTrackingService = () => new OrderTrackingService();
+
+export class OrderTrackingController {
+  private orderTrackingService: OrderTrackingService;
+
+  constructor(orderTrackingServiceFactory: () => OrderTrackingService = createOrderTrackingService) {
+    this.orderTrackingService = orderTrackingServiceFactory();
+  }
+
+  private sendResult(res: Response, result: OrderTrackingApiResponse): void {
+    if (!result.success) {
+      res.status(ERROR_STATUS[result.error ?? ''] ?? 500).json(result);
+      return;
+    }
+    res.status(200).json(result);
+  }
+
+  private handleError(res: Response, error: unknown, message: string): void {
+    if (error instanceof ValidationError) {
+      res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.errors
+      });
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message,
+      error: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+
+  /**
+   * @swagger
+   * /api/order-tracking:
+   *   post:
+   *     summary: Track an order by its number and email
+   *     description: Status timeline, delivery date and slot, and payment status of the order. An email that does not match the order answers 404, like a missing order.
+   *     tags: [Order Tracking]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [order_number, email]
+   *             properties:
+   *               order_number:
+   *                 type: string
+   *                 description: Order number, or the #id of orders placed before order numbers
+   *                 example: "FY-2026-000123"
+   *               email:
+   *                 type: string
+   *                 format: email
+   *     responses:
+   *       200:
+   *         description: Order status retrieved successfully
+   *       400:
+   *         description: Validation failed
+   *       404:
+   *         description: Order not found
+   */
+  public async trackOrder(req: Request, res: Response): Promise<void> {
+    try {
+      const { order_number, email } = validateRequestBody(OrderTrackingRequestSchema, req);
+
+      const result = await this.orderTrackingService.trackOrder(order_number, email);
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to track order');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/order-tracking/{id}:
+   *   get:
+   *     summary: Track an order through its signed link
+   *     description: The token comes with the order when it is created; a wrong token answers 404, like a missing order.
+   *     tags: [Order Tracking]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: Order ID
+   *       - in: query
+   *         name: token
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Order status retrieved successfully
+   *       404:
+   *         description: Order not found
+   */
+  public async trackOrderByToken(req: Request, res: Response): Promise<void> {
+    try {
+      const { id } = validateRequestParams(ProductIdParamsSchema, req);
+      const { token } = validateRequestQuery(OrderTrackingTokenQuerySchema, req);
+
+      const result = await this.orderTrackingService.trackOrderByToken(id, token);
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to track order');
+    }
+  }
+}
@@ -0,0 +1,422 @@
+/**
+ * 🌸 FloresYa Payment Controller - Manual Payments Edition
+ * Customer payment reports and admin confirmation/rejection
+ */
+
+import { Request, Response } from 'express';
+import multer from 'multer';
+import { z } from 'zod';
+
+import { PaymentService } from '../services/PaymentService.js';
+import {
+  // Validation Schemas
+  PaymentSubmitRequestSchema,
+  PaymentReviewRequestSchema,
+  PaymentQueryRequestSchema,
+  ProductIdParamsSchema,
+  // Interface types
+  AuthenticatedRequest,
+  PaymentApiResponse,
+  PaymentReceiptApiResponse,
+} from '../shared/types/index.js';
+
+// ============================================
+// ZOD VALIDATION HELPERS - STANDARDIZED
+// ============================================
+
+/**
+ * Validates request body with Zod schema
+ */
+function validateRequestBody<T>(schema: z.ZodSchema<T>, req: Request): T {
+  try {
+    return schema.parse(req.body);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      const errors = error.issues.map(issue => ({
+        field: issue.path.join('.'),
+        message: issue.message,
+        code: issue.code
+      }));
+      throw new ValidationError('Request body validation failed', errors);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Validates request params with Zod schema
+ */
+function validateRequestParams<T>(schema: z.ZodSchema<T>, req: Request): T {
+  try {
+    return schema.parse(req.params);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      const errors = error.issues.map(issue => ({
+        field: issue.path.join('.'),
+        message: issue.message,
+        code: issue.code
+      }));
+      throw new ValidationError('Request params validation failed', errors);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Validates request query with Zod schema
+ */
+function validateRequestQuery<T>(schema: z.ZodSchema<T>, req: Request): T {
+  try {
+    return schema.parse(req.query);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      const errors = error.issues.map(issue => ({
+        field: issue.path.join('.'),
+        message: issue.message,
+        code: issue.code
+      }));
+      throw new ValidationError('Request query validation failed', errors);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Custom validation error class
+ */
+class ValidationError extends Error {
+  constructor(public message: string, public errors: Array<{ field: string; message: string; code: string }>) {
+    super(message);
+    this.name = 'ValidationError';
+  }
+}
+
+// Receipt images arrive as multipart/form-data under the 'receipt' field
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB máximo
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only JPEG, PNG, and WebP images are allowed'));
+    }
+  }
+});
+
+export const receiptUpload = upload.single('receipt');
+
+const ERROR_STATUS: Record<string, number> = {
+  VALIDATION_ERROR: 400,
+  ORDER_NOT_FOUND: 404,
+  PAYMENT_NOT_FOUND: 404,
+  PAYMENT_METHOD_NOT_FOUND: 404,
+  RECEIPT_NOT_FOUND: 404,
+  ORDER_NOT_PAYABLE: 409,
+  DUPLICATE_REFERENCE: 409,
+  PAYMENT_ALREADY_PROCESSED: 409
+};
+
+// Factory function for dependency injection
+const createPaymentService = () => new PaymentService();
+
+export class PaymentController {
+  private paymentService: PaymentService;
+
+  constructor(paymentServiceFactory: () => PaymentService = createPaymentService) {
+    this.paymentService = paymentServiceFactory();
+  }
+
+  private sendResult(res: Response, result: PaymentApiResponse | PaymentReceiptApiResponse, successStatus = 200): void {
+    if (!result.success) {
+      res.status(ERROR_STATUS[result.error ?? ''] ?? 500).json(result);
+      return;
+    }
+    res.status(successStatus).json(result);
+  }
+
+  private handleError(res: Response, error: unknown, message: string): void {
+    if (error instanceof ValidationError) {
+      res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.errors
+      });
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message,
+      error: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+
+  /**
+   * @swagger
+   * /api/payments:
+   *   post:
+   *     summary: Report a payment for an order
+   *     description: Customers report a Pago Móvil, transfer or other manual payment with its reference number and an optional receipt image. The payment stays pending until an admin reviews it.
+   *     tags: [Payments]
+   *     parameters:
+   *       - in: header
+   *         name: Idempotency-Key
+   *         required: false
+   *         schema:
+   *           type: string
+   *           maxLength: 255
+   *         description: Client-generated key (e.g. a UUID). Retrying with the same key and body returns the payment already created, with an Idempotent-Replayed header, for 24 hours
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         multipart/form-data:
+   *           schema:
+   *             type: object
+   *             required: [order_id, customer_email, payment_method_id]
+   *             properties:
+   *               order_id:
+   *                 type: integer
+   *               customer_email:
+   *                 type: string
+   *                 format: email
+   *                 description: Must match the email used on the order
+   *               payment_method_id:
+   *                 type: integer
+   *               reference_number:
+   *                 type: string
+   *                 description: Required for every method except cash
+   *               amount_usd:
+   *                 type: number
+   *                 description: Defaults to the order total
+   *               amount_ves:
+   *                 type: number
+   *               payment_date:
+   *                 type: string
+   *                 format: date
+   *               receipt:
+   *                 type: string
+   *                 format: binary
+   *         application/json:
+   *           schema:
+   *             type: object
+   *     responses:
+   *       201:
+   *         description: Payment submitted and awaiting verification
+   *       400:
+   *         description: Validation failed
+   *       404:
+   *         description: Order or payment method not found
+   *       409:
+   *         description: Order not pending, reference already reported, or a request with the same Idempotency-Key is still running (IDEMPOTENCY_KEY_IN_PROGRESS)
+   *       422:
+   *         description: The Idempotency-Key was already used with a different request (IDEMPOTENCY_KEY_REUSED)
+   */
+  public async submitPayment(req: Request, res: Response): Promise<void> {
+    try {
+      const paymentData = validateRequestBody(PaymentSubmitRequestSchema, req);
+      const userId = (req as unknown as AuthenticatedRequest).user?.id;
+
+      const result = await this.paymentService.submitPayment(paymentData, req.file, userId);
+      this.sendResult(res, result, 201);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to submit payment');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/payments:
+   *   get:
+   *     summary: List payments (Admin only)
+   *     tags: [Payments]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: status
+   *         schema:
+   *           type: string
+   *           enum: [pending, completed, failed, refunded, partially_refunded]
+   *       - in: query
+   *         name: order_id
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Payments retrieved successfully
+   */
+  public async getPayments(req: Request, res: Response): Promise<void> {
+    try {
+      const query = validateRequestQuery(PaymentQueryRequestSchema, req);
+      const result = await this.paymentService.getPayments(query);
+
+      res.status(result.success ? 200 : 500).json(result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to fetch payments');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/payments/{id}:
+   *   get:
+   *     summary: Get payment by ID (Admin only)
+   *     tags: [Payments]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Payment retrieved successfully
+   *       404:
+   *         description: Payment not found
+   */
+  public async getPaymentById(req: Request, res: Response): Promise<void> {
+    try {
+      const { id } = validateRequestParams(ProductIdParamsSchema, req);
+      const result = await this.paymentService.getPaymentById(id);
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to fetch payment');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/payments/{id}/receipt:
+   *   get:
+   *     summary: Get a link to a payment's receipt (Admin and support)
+   *     description: Receipts are kept private; the link is signed and expires after a few minutes
+   *     tags: [Payments]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Receipt retrieved successfully
+   *       404:
+   *         description: Payment not found or it has no receipt
+   */
+  public async getPaymentReceipt(req: Request, res: Response): Promise<void> {
+    try {
+      const { id } = validateRequestParams(ProductIdParamsSchema, req);
+      const result = await this.paymentService.getReceiptUrl(id);
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to fetch receipt');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/payments/{id}/confirm:
+   *   patch:
+   *     summary: Confirm a pending payment (Admin only)
+   *     description: Marks the payment as completed and, once the order's completed payments cover its total, moves it from pending to verified
+   *     tags: [Payments]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               notes:
+   *                 type: string
+   *                 maxLength: 500
+   *     responses:
+   *       200:
+   *         description: Payment confirmed successfully
+   *       404:
+   *         description: Payment not found
+   *       409:
+   *         description: Payment was already reviewed
+   */
+  public async confirmPayment(req: Request, res: Response): Promise<void> {
+    try {
+      const { id } = validateRequestParams(ProductIdParamsSchema, req);
+      const { notes } = validateRequestBody(PaymentReviewRequestSchema, req);
+      const adminId = (req as unknown as AuthenticatedRequest).user?.id; // From auth middleware
+
+      const result = await this.paymentService.confirmPayment(id, adminId, notes);
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to confirm payment');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/payments/{id}/reject:
+   *   patch:
+   *     summary: Reject a pending payment (Admin only)
+   *     description: Marks the payment as failed; the order stays pending so the customer can report a new payment
+   *     tags: [Payments]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               notes:
+   *                 type: string
+   *                 maxLength: 500
+   *                 description: Reason shown to support staff
+   *     responses:
+   *       200:
+   *         description: Payment rejected successfully
+   *       404:
+   *         description: Payment not found
+   *       409:
+   *         description: Payment was already reviewed
+   */
+  public async rejectPayment(req: Request, res: Response): Promise<void> {
+    try {
+      const { id } = validateRequestParams(ProductIdParamsSchema, req);
+      const { notes } = validateRequestBody(PaymentReviewRequestSchema, req);
+
+      const result = await this.paymentService.rejectPayment(id, notes);
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to reject payment');
+    }
+  }
+}
@@ -0,0 +1,301 @@
+/**
+ * 🌸 FloresYa Payment Method Controller
+ * Public listing of active methods for checkout and admin management
+ */
+
+import { Request, Response } from 'express';
+import { z } from 'zod';
+
+import { PaymentMethodService } from '../services/PaymentMethodService.js';
+import {
+  // Validation Schemas
+  PaymentMethodCreateRequestSchema,
+  PaymentMethodUpdateRequestSchema,
+  ProductIdParamsSchema,
+  // Interface types
+  PaymentMethodApiResponse,
+  PaymentMethodListApiResponse,
+} from '../shared/types/index.js';
+
+// ============================================
+// ZOD VALIDATION HELPERS - STANDARDIZED
+// ============================================
+
+/**
+ * Validates request body with Zod schema
+ */
+function validateRequestBody<T>(schema: z.ZodSchema<T>, req: Request): T {
+  try {
+    return schema.parse(req.body);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      const errors = error.issues.map(issue => ({
+        field: issue.path.join('.'),
+        message: issue.message,
+        code: issue.code
+      }));
+      throw new ValidationError('Request body validation failed', errors);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Validates request params with Zod schema
+ */
+function validateRequestParams<T>(schema: z.ZodSchema<T>, req: Request): T {
+  try {
+    return schema.parse(req.params);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      const errors = error.issues.map(issue => ({
+        field: issue.path.join('.'),
+        message: issue.message,
+        code: issue.code
+      }));
+      throw new ValidationError('Request params validation failed', errors);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Custom validation error class
+ */
+class ValidationError extends Error {
+  constructor(public message: string, public errors: Array<{ field: string; message: string; code: string }>) {
+    super(message);
+    this.name = 'ValidationError';
+  }
+}
+
+const ERROR_STATUS: Record<string, number> = {
+  PAYMENT_METHOD_NOT_FOUND: 404
+};
+
+// Factory function for dependency injection
+const createPaymentMethodService = () => new PaymentMethodService();
+
+export class PaymentMethodController {
+  private paymentMethodService: PaymentMethodService;
+
+  constructor(paymentMethodServiceFactory: () => PaymentMethodService = createPaymentMethodService) {
+    this.paymentMethodService = paymentMethodServiceFactory();
+  }
+
+  private sendResult(
+    res: Response,
+    result: PaymentMethodApiResponse | PaymentMethodListApiResponse,
+    successStatus = 200
+  ): void {
+    if (!result.success) {
+      res.status(ERROR_STATUS[result.error ?? ''] ?? 500).json(result);
+      return;
+    }
+    res.status(successStatus).json(result);
+  }
+
+  private handleError(res: Response, error: unknown, message: string): void {
+    if (error instanceof ValidationError) {
+      res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.errors
+      });
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message,
+      error: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+
+  /**
+   * @swagger
+   * /api/payment-methods:
+   *   get:
+   *     summary: List active payment methods
+   *     description: Methods shown at checkout, in their configured display order, with the account details customers need to pay
+   *     tags: [Payment Methods]
+   *     responses:
+   *       200:
+   *         description: Payment methods retrieved successfully
+   */
+  public async getActivePaymentMethods(req: Request, res: Response): Promise<void> {
+    try {
+      const result = await this.paymentMethodService.getActivePaymentMethods();
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to fetch payment methods');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/payment-methods/all:
+   *   get:
+   *     summary: List all payment methods including inactive ones (Admin only)
+   *     tags: [Payment Methods]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Payment methods retrieved successfully
+   */
+  public async getAllPaymentMethods(req: Request, res: Response): Promise<void> {
+    try {
+      const result = await this.paymentMethodService.getAllPaymentMethods();
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to fetch payment methods');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/payment-methods/{id}:
+   *   get:
+   *     summary: Get payment method by ID (Admin only)
+   *     tags: [Payment Methods]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Payment method retrieved successfully
+   *       404:
+   *         description: Payment method not found
+   */
+  public async getPaymentMethodById(req: Request, res: Response): Promise<void> {
+    try {
+      const { id } = validateRequestParams(ProductIdParamsSchema, req);
+      const result = await this.paymentMethodService.getPaymentMethodById(id);
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to fetch payment method');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/payment-methods:
+   *   post:
+   *     summary: Create a payment method (Admin only)
+   *     tags: [Payment Methods]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [name, type]
+   *             properties:
+   *               name:
+   *                 type: string
+   *               type:
+   *                 type: string
+   *                 enum: [bank_transfer, mobile_payment, cash, crypto, international]
+   *               description:
+   *                 type: string
+   *               account_info:
+   *                 type: object
+   *                 description: Bank, phone, RIF, email or wallet details shown to customers
+   *               display_order:
+   *                 type: integer
+   *               is_active:
+   *                 type: boolean
+   *     responses:
+   *       201:
+   *         description: Payment method created successfully
+   *       400:
+   *         description: Validation failed
+   */
+  public async createPaymentMethod(req: Request, res: Response): Promise<void> {
+    try {
+      const methodData = validateRequestBody(PaymentMethodCreateRequestSchema, req);
+      const result = await this.paymentMethodService.createPaymentMethod(methodData);
+      this.sendResult(res, result, 201);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to create payment method');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/payment-methods/{id}:
+   *   put:
+   *     summary: Update a payment method (Admin only)
+   *     tags: [Payment Methods]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *     responses:
+   *       200:
+   *         description: Payment method updated successfully
+   *       400:
+   *         description: Validation failed
+   *       404:
+   *         description: Payment method not found
+   */
+  public async updatePaymentMethod(req: Request, res: Response): Promise<void> {
+    try {
+      const { id } = validateRequestParams(ProductIdParamsSchema, req);
+      const methodData = validateRequestBody(PaymentMethodUpdateRequestSchema, req);
+      const result = await this.paymentMethodService.updatePaymentMethod(id, methodData);
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to update payment method');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/payment-methods/{id}:
+   *   delete:
+   *     summary: Delete a payment method (Admin only)
+   *     description: Methods referenced by payments are deactivated instead of deleted
+   *     tags: [Payment Methods]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Payment method deleted or deactivated
+   *       404:
+   *         description: Payment method not found
+   */
+  public async deletePaymentMethod(req: Request, res: Response): Promise<void> {
+    try {
+      const { id } = validateRequestParams(ProductIdParamsSchema, req);
+      const result = await this.paymentMethodService.deletePaymentMethod(id);
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to delete payment method');
+    }
+  }
+}
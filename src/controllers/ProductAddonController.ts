@@ -0,0 +1,313 @@
+/**
+ * 🌸 FloresYa Product Add-on Controller
+ * Public add-on catalog for the product detail page and admin management
+ */
+
+import { Request, Response } from 'express';
+import { z } from 'zod';
+
+import { ProductAddonService } from '../services/ProductAddonService.js';
+import {
+  // Validation Schemas
+  ProductAddonCreateRequestSchema,
+  ProductAddonUpdateRequestSchema,
+  ProductIdParamsSchema,
+  // Interface types
+  ProductAddonApiResponse,
+  ProductAddonListApiResponse,
+} from '../shared/types/index.js';
+
+// ============================================
+// ZOD VALIDATION HELPERS - STANDARDIZED
+// ============================================
+
+/**
+ * Validates request body with Zod schema
+ */
+function validateRequestBody<T>(schema: z.ZodSchema<T>, req: Request): T {
+  try {
+    return schema.parse(req.body);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      const errors = error.issues.map(issue => ({
+        field: issue.path.join('.'),
+        message: issue.message,
+        code: issue.code
+      }));
+      throw new ValidationError('Request body validation failed', errors);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Validates request params with Zod schema
+ */
+function validateRequestParams<T>(schema: z.ZodSchema<T>, req: Request): T {
+  try {
+    return schema.parse(req.params);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      const errors = error.issues.map(issue => ({
+        field: issue.path.join('.'),
+        message: issue.message,
+        code: issue.code
+      }));
+      throw new ValidationError('Request params validation failed', errors);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Custom validation error class
+ */
+class ValidationError extends Error {
+  constructor(public message: string, public errors: Array<{ field: string; message: string; code: string }>) {
+    super(message);
+    this.name = 'ValidationError';
+  }
+}
+
+const ERROR_STATUS: Record<string, number> = {
+  ADDON_NOT_FOUND: 404,
+  ADDON_SKU_TAKEN: 409
+};
+
+// Factory function for dependency injection
+const createProductAddonService = () => new ProductAddonService();
+
+export class ProductAddonController {
+  private productAddonService: ProductAddonService;
+
+  constructor(productAddonServiceFactory: () => ProductAddonService = createProductAddonService) {
+    this.productAddonService = productAddonServiceFactory();
+  }
+
+  private sendResult(
+    res: Response,
+    result: ProductAddonApiResponse | ProductAddonListApiResponse,
+    successStatus = 200
+  ): void {
+    if (!result.success) {
+      res.status(ERROR_STATUS[result.error ?? ''] ?? 500).json(result);
+      return;
+    }
+    res.status(successStatus).json(result);
+  }
+
+  private handleError(res: Response, error: unknown, message: string): void {
+    if (error instanceof ValidationError) {
+      res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.errors
+      });
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message,
+      error: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+
+  /**
+   * @swagger
+   * /api/addons:
+   *   get:
+   *     summary: List active add-ons
+   *     description: Chocolates, balloons, teddy bears, vases and cards that can be attached to any product in the cart
+   *     tags: [Add-ons]
+   *     responses:
+   *       200:
+   *         description: Product add-ons retrieved successfully
+   */
+  public async getActiveAddons(req: Request, res: Response): Promise<void> {
+    try {
+      const result = await this.productAddonService.getAddons();
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to fetch product add-ons');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/addons/all:
+   *   get:
+   *     summary: List all add-ons including inactive ones (Admin only)
+   *     tags: [Add-ons]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Product add-ons retrieved successfully
+   */
+  public async getAllAddons(req: Request, res: Response): Promise<void> {
+    try {
+      const result = await this.productAddonService.getAddons(true);
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to fetch product add-ons');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/addons/{id}:
+   *   get:
+   *     summary: Get add-on by ID (Admin only)
+   *     tags: [Add-ons]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Product add-on retrieved successfully
+   *       404:
+   *         description: Product add-on not found
+   */
+  public async getAddonById(req: Request, res: Response): Promise<void> {
+    try {
+      const { id } = validateRequestParams(ProductIdParamsSchema, req);
+      const result = await this.productAddonService.getAddonById(id);
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to fetch product add-on');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/addons:
+   *   post:
+   *     summary: Create an add-on (Admin only)
+   *     tags: [Add-ons]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [name, price_usd]
+   *             properties:
+   *               name:
+   *                 type: string
+   *               description:
+   *                 type: string
+   *               type:
+   *                 type: string
+   *                 enum: [chocolate, balloon, teddy_bear, vase, card, other]
+   *               sku:
+   *                 type: string
+   *               price_usd:
+   *                 type: number
+   *               price_ves:
+   *                 type: number
+   *               stock:
+   *                 type: integer
+   *               image_url:
+   *                 type: string
+   *               active:
+   *                 type: boolean
+   *               display_order:
+   *                 type: integer
+   *     responses:
+   *       201:
+   *         description: Product add-on created successfully
+   *       400:
+   *         description: Validation failed
+   *       409:
+   *         description: SKU already in use
+   */
+  public async createAddon(req: Request, res: Response): Promise<void> {
+    try {
+      const addonData = validateRequestBody(ProductAddonCreateRequestSchema, req);
+      const result = await this.productAddonService.createAddon(addonData);
+      this.sendResult(res, result, 201);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to create product add-on');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/addons/{id}:
+   *   put:
+   *     summary: Update an add-on (Admin only)
+   *     tags: [Add-ons]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *     responses:
+   *       200:
+   *         description: Product add-on updated successfully
+   *       400:
+   *         description: Validation failed
+   *       404:
+   *         description: Product add-on not found
+   *       409:
+   *         description: SKU already in use
+   */
+  public async updateAddon(req: Request, res: Response): Promise<void> {
+    try {
+      const { id } = validateRequestParams(ProductIdParamsSchema, req);
+      const addonData = validateRequestBody(ProductAddonUpdateRequestSchema, req);
+      const result = await this.productAddonService.updateAddon(id, addonData);
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to update product add-on');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/addons/{id}:
+   *   delete:
+   *     summary: Delete an add-on (Admin only)
+   *     description: Add-ons that were already ordered are deactivated instead of deleted
+   *     tags: [Add-ons]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Product add-on deleted or deactivated
+   *       404:
+   *         description: Product add-on not found
+   */
+  public async deleteAddon(req: Request, res: Response): Promise<void> {
+    try {
+      const { id } = validateRequestParams(ProductIdParamsSchema, req);
+      const result = await this.productAddonService.deleteAddon(id);
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to delete product add-on');
+    }
+  }
+}
@@ -6,7 +6,7 @@
 import { Request, Response } from 'express';
 import { z } from 'zod';
 
-import { ProductService } from '../services/ProductService.js';
+import { ProductService, ProductValidationError, StockChangedError } from '../services/ProductService.js';
 import { typeSafeDatabaseService } from '../services/TypeSafeDatabaseService.js';
 import {
   // Zod Schemas
@@ -31,6 +31,7 @@ import {
   ProductSearchRequestValidated,
   CarouselUpdateRequestValidated,
   // Interface types
+  AuthenticatedRequest,
   ProductQuery,
 } from '../shared/types/index.js';
 
@@ -196,12 +197,38 @@ export class ProductController {
    *           type: string
    *           minLength: 2
    *           maxLength: 100
-   *         description: Search term for product name or description
+   *         description: Full-text search term (Spanish, accent-insensitive); results are ordered by relevance unless sort_by is given
    *       - in: query
-   *         name: occasion
+   *         name: occasion_id
+   *         schema:
+   *           type: integer
+   *         description: Single occasion ID (kept for older clients, see occasion_ids)
+   *       - in: query
+   *         name: occasion_ids
    *         schema:
    *           type: string
-   *         description: Occasion slug to filter products
+   *           example: "1,4"
+   *         description: Comma-separated occasion IDs; products in any of them match
+   *       - in: query
+   *         name: min_price
+   *         schema:
+   *           type: number
+   *       - in: query
+   *         name: max_price
+   *         schema:
+   *           type: number
+   *       - in: query
+   *         name: price_currency
+   *         schema:
+   *           type: string
+   *           enum: [USD, VES]
+   *           default: USD
+   *         description: Currency of min_price and max_price
+   *       - in: query
+   *         name: in_stock
+   *         schema:
+   *           type: boolean
+   *         description: Only products with stock available
    *       - in: query
    *         name: featured
    *         schema:
@@ -216,9 +243,8 @@ export class ProductController {
    *         name: sort
    *         schema:
    *           type: string
-   *           enum: [name:asc, name:desc, price:asc, price:desc, created_at:asc, created_at:desc, carousel_order:asc, carousel_order:desc]
-   *           default: created_at:desc
-   *         description: Sort field and direction (format field-direction)
+   *           example: "featured:desc,price_usd:asc"
+   *         description: Up to three field:direction pairs separated by commas (name, price_usd, price_ves, created_at, carousel_order, stock, featured). Overrides sort_by.
    *     responses:
    *       200:
    *         description: Products retrieved successfully
@@ -248,6 +274,39 @@ export class ProductController {
    *                           type: integer
    *                         totalPages:
    *                           type: integer
+   *                     facets:
+   *                       type: object
+   *                       description: Counts behind each filter; each facet ignores its own selection
+   *                       properties:
+   *                         occasions:
+   *                           type: array
+   *                           items:
+   *                             type: object
+   *                             properties:
+   *                               id:
+   *                                 type: integer
+   *                               name:
+   *                                 type: string
+   *                               slug:
+   *                                 type: string
+   *                               count:
+   *                                 type: integer
+   *                         price_ranges:
+   *                           type: array
+   *                           items:
+   *                             type: object
+   *                             properties:
+   *                               key:
+   *                                 type: string
+   *                               label:
+   *                                 type: string
+   *                               min:
+   *                                 type: number
+   *                               max:
+   *                                 type: number
+   *                                 nullable: true
+   *                               count:
+   *                                 type: integer
    *                 message:
    *                   type: string
    *                   example: "Products retrieved successfully"
@@ -266,10 +325,16 @@ export class ProductController {
         page: queryParams.page ?? 1,
         limit: Math.min(queryParams.limit ?? 20, 100), // Max 100 items
         search: queryParams.search,
-        occasion: queryParams.occasion_id,
+        occasion_ids: queryParams.occasion_ids ?? (queryParams.occasion_id ? [queryParams.occasion_id] : undefined),
         featured: queryParams.is_featured,
         has_carousel_order: undefined, // Not handled in Zod schema yet
-        sort_by: queryParams.sort_by ?? 'created_at',
+        min_price: queryParams.min_price,
+        max_price: queryParams.max_price,
+        price_currency: queryParams.price_currency,
+        in_stock: queryParams.in_stock,
+        include_facets: true,
+        sort: queryParams.sort,
+        sort_by: queryParams.sort_by ?? (queryParams.search ? 'relevance' : 'created_at'),
         sort_direction: queryParams.sort_direction ?? 'desc'
       };
 
@@ -459,7 +524,7 @@ export class ProductController {
    * /api/products/search:
    *   get:
    *     summary: Search products
-   *     description: Performs a full-text search across product names and descriptions
+   *     description: Spanish full-text search (accent-insensitive, with stemming and prefix matching) across product names, summaries and descriptions. Results come best match first with `search_rank` and `search_highlight` snippets where matched words are wrapped in `<mark>`.
    *     tags: [Products]
    *     parameters:
    *       - in: query
@@ -572,7 +637,11 @@ export class ProductController {
    *                 description: Product price in USD
    *               price_ves:
    *                 type: number
-   *                 description: Product price in VES (optional)
+   *                 description: Product price in VES; once an exchange rate is recorded it is derived from price_usd instead
+   *               price_ves_override:
+   *                 type: number
+   *                 nullable: true
+   *                 description: Fixed VES price that wins over the derived one; null goes back to deriving it
    *               stock:
    *                 type: integer
    *                 minimum: 0
@@ -703,12 +772,20 @@ export class ProductController {
    *                 description: Product price in USD
    *               price_ves:
    *                 type: number
-   *                 description: Product price in VES
+   *                 description: Product price in VES; once an exchange rate is recorded it is derived from price_usd instead
+   *               price_ves_override:
+   *                 type: number
+   *                 nullable: true
+   *                 description: Fixed VES price that wins over the derived one; null goes back to deriving it
    *               stock:
    *                 type: integer
    *                 minimum: 0
    *                 maximum: 999999
-   *                 description: Available stock quantity
+   *                 description: Counted stock; the difference is recorded in the inventory ledger as an adjustment
+   *               expected_stock:
+   *                 type: integer
+   *                 minimum: 0
+   *                 description: Stock the form was loaded with; required with stock, which is only saved if the product still has it
    *               sku:
    *                 type: string
    *                 maxLength: 100
@@ -759,6 +836,8 @@ export class ProductController {
    *         description: Unauthorized - Admin access required
    *       404:
    *         description: Product not found
+   *       409:
+   *         description: Stock changed since the form was loaded; current_stock has the new count
    *       500:
    *         description: Server error
    */
@@ -777,7 +856,8 @@ export class ProductController {
         return;
       }
 
-      const product = await this.productService.updateProduct(updateData);
+      const adminId = (req as unknown as AuthenticatedRequest).user?.id; // From auth middleware
+      const product = await this.productService.updateProduct(updateData, adminId);
 
       res.status(200).json({
         success: true,
@@ -785,6 +865,23 @@ export class ProductController {
         message: 'Product updated successfully'
       });
     } catch (error) {
+      if (error instanceof ProductValidationError) {
+        res.status(400).json({
+          success: false,
+          message: error.message,
+          error: 'VALIDATION_ERROR'
+        });
+        return;
+      }
+      if (error instanceof StockChangedError) {
+        res.status(409).json({
+          success: false,
+          message: error.message,
+          error: 'STOCK_CHANGED',
+          data: { current_stock: error.currentStock }
+        });
+        return;
+      }
             res.status(500).json({
         success: false,
         message: 'Failed to update product',
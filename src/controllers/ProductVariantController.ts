@@ -0,0 +1,319 @@
+/**
+ * 🌸 FloresYa Product Variant Controller
+ * Public variant listing for the product detail page and admin management
+ */
+
+import { Request, Response } from 'express';
+import { z } from 'zod';
+
+import { ProductVariantService } from '../services/ProductVariantService.js';
+import {
+  // Validation Schemas
+  ProductIdParamsSchema,
+  ProductVariantCreateRequestSchema,
+  ProductVariantParamsSchema,
+  ProductVariantUpdateRequestSchema,
+  // Interface types
+  ProductVariantApiResponse,
+  ProductVariantListApiResponse,
+} from '../shared/types/index.js';
+
+// ============================================
+// ZOD VALIDATION HELPERS - STANDARDIZED
+// ============================================
+
+/**
+ * Validates request body with Zod schema
+ */
+function validateRequestBody<T>(schema: z.ZodSchema<T>, req: Request): T {
+  try {
+    return schema.parse(req.body);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      const errors = error.issues.map(issue => ({
+        field: issue.path.join('.'),
+        message: issue.message,
+        code: issue.code
+      }));
+      throw new ValidationError('Request body validation failed', errors);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Validates request params with Zod schema
+ */
+function validateRequestParams<T>(schema: z.ZodSchema<T>, req: Request): T {
+  try {
+    return schema.parse(req.params);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      const errors = error.issues.map(issue => ({
+        field: issue.path.join('.'),
+        message: issue.message,
+        code: issue.code
+      }));
+      throw new ValidationError('Request params validation failed', errors);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Custom validation error class
+ */
+class ValidationError extends Error {
+  constructor(public message: string, public errors: Array<{ field: string; message: string; code: string }>) {
+    super(message);
+    this.name = 'ValidationError';
+  }
+}
+
+const ERROR_STATUS: Record<string, number> = {
+  PRODUCT_NOT_FOUND: 404,
+  VARIANT_NOT_FOUND: 404,
+  VARIANT_SKU_TAKEN: 409
+};
+
+// Factory function for dependency injection
+const createProductVariantService = () => new ProductVariantService();
+
+export class ProductVariantController {
+  private productVariantService: ProductVariantService;
+
+  constructor(productVariantServiceFactory: () => ProductVariantService = createProductVariantService) {
+    this.productVariantService = productVariantServiceFactory();
+  }
+
+  private sendResult(
+    res: Response,
+    result: ProductVariantApiResponse | ProductVariantListApiResponse,
+    successStatus = 200
+  ): void {
+    if (!result.success) {
+      res.status(ERROR_STATUS[result.error ?? ''] ?? 500).json(result);
+      return;
+    }
+    res.status(successStatus).json(result);
+  }
+
+  private handleError(res: Response, error: unknown, message: string): void {
+    if (error instanceof ValidationError) {
+      res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.errors
+      });
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message,
+      error: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+
+  /**
+   * @swagger
+   * /api/products/{id}/variants:
+   *   get:
+   *     summary: List active variants of a product
+   *     description: Sizes, colors and arrangement types offered on the product detail page, each with its own price and stock
+   *     tags: [Products]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Product variants retrieved successfully
+   */
+  public async getProductVariants(req: Request, res: Response): Promise<void> {
+    try {
+      const { id } = validateRequestParams(ProductIdParamsSchema, req);
+      const result = await this.productVariantService.getProductVariants(id);
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to fetch product variants');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/products/{id}/variants/all:
+   *   get:
+   *     summary: List all variants of a product including inactive ones (Admin only)
+   *     tags: [Products]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Product variants retrieved successfully
+   */
+  public async getAllProductVariants(req: Request, res: Response): Promise<void> {
+    try {
+      const { id } = validateRequestParams(ProductIdParamsSchema, req);
+      const result = await this.productVariantService.getProductVariants(id, true);
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to fetch product variants');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/products/{id}/variants:
+   *   post:
+   *     summary: Create a product variant (Admin only)
+   *     description: Once a product has variants its stock is the total stock of its active variants
+   *     tags: [Products]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [name, price_usd]
+   *             properties:
+   *               name:
+   *                 type: string
+   *                 example: "24 rosas"
+   *               size:
+   *                 type: string
+   *               color:
+   *                 type: string
+   *               arrangement_type:
+   *                 type: string
+   *               sku:
+   *                 type: string
+   *               price_usd:
+   *                 type: number
+   *               price_ves:
+   *                 type: number
+   *               stock:
+   *                 type: integer
+   *               active:
+   *                 type: boolean
+   *               display_order:
+   *                 type: integer
+   *     responses:
+   *       201:
+   *         description: Product variant created successfully
+   *       400:
+   *         description: Validation failed
+   *       404:
+   *         description: Product not found
+   *       409:
+   *         description: SKU already in use
+   */
+  public async createVariant(req: Request, res: Response): Promise<void> {
+    try {
+      const { id } = validateRequestParams(ProductIdParamsSchema, req);
+      const variantData = validateRequestBody(ProductVariantCreateRequestSchema, req);
+      const result = await this.productVariantService.createVariant(id, variantData);
+      this.sendResult(res, result, 201);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to create product variant');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/products/{id}/variants/{variantId}:
+   *   put:
+   *     summary: Update a product variant (Admin only)
+   *     tags: [Products]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: path
+   *         name: variantId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *     responses:
+   *       200:
+   *         description: Product variant updated successfully
+   *       400:
+   *         description: Validation failed
+   *       404:
+   *         description: Product variant not found
+   *       409:
+   *         description: SKU already in use
+   */
+  public async updateVariant(req: Request, res: Response): Promise<void> {
+    try {
+      const { id, variantId } = validateRequestParams(ProductVariantParamsSchema, req);
+      const variantData = validateRequestBody(ProductVariantUpdateRequestSchema, req);
+      const result = await this.productVariantService.updateVariant(id, variantId, variantData);
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to update product variant');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/products/{id}/variants/{variantId}:
+   *   delete:
+   *     summary: Delete a product variant (Admin only)
+   *     description: Variants that were already ordered are deactivated instead of deleted
+   *     tags: [Products]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: path
+   *         name: variantId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Product variant deleted or deactivated
+   *       404:
+   *         description: Product variant not found
+   */
+  public async deleteVariant(req: Request, res: Response): Promise<void> {
+    try {
+      const { id, variantId } = validateRequestParams(ProductVariantParamsSchema, req);
+      const result = await this.productVariantService.deleteVariant(id, variantId);
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to delete product variant');
+    }
+  }
+}
@@ -0,0 +1,387 @@
+/**
+ * 🌸 FloresYa Promotion Controller
+ * Cart previews with the promotions that apply, the promotions running now,
+ * and promotion management for admins
+ */
+
+import { Request, Response } from 'express';
+import { z } from 'zod';
+
+import { CouponError } from '../services/CouponService.js';
+import { DeliveryZoneError, InsufficientStockError, OrderService } from '../services/OrderService.js';
+import { PromotionService } from '../services/PromotionService.js';
+import {
+  // Validation Schemas
+  OrderQuoteRequestSchema,
+  ProductIdParamsSchema,
+  PromotionCreateRequestSchema,
+  PromotionUpdateRequestSchema,
+  // Interface types
+  PromotionApiResponse,
+  PromotionListApiResponse,
+} from '../shared/types/index.js';
+
+// ============================================
+// ZOD VALIDATION HELPERS - STANDARDIZED
+// ============================================
+
+/**
+ * Validates request body with Zod schema
+ */
+function validateRequestBody<T>(schema: z.ZodSchema<T>, req: Request): T {
+  try {
+    return schema.parse(req.body);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      const errors = error.issues.map(issue => ({
+        field: issue.path.join('.'),
+        message: issue.message,
+        code: issue.code
+      }));
+      throw new ValidationError('Request body validation failed', errors);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Validates request params with Zod schema
+ */
+function validateRequestParams<T>(schema: z.ZodSchema<T>, req: Request): T {
+  try {
+    return schema.parse(req.params);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      const errors = error.issues.map(issue => ({
+        field: issue.path.join('.'),
+        message: issue.message,
+        code: issue.code
+      }));
+      throw new ValidationError('Request params validation failed', errors);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Custom validation error class
+ */
+class ValidationError extends Error {
+  constructor(public message: string, public errors: Array<{ field: string; message: string; code: string }>) {
+    super(message);
+    this.name = 'ValidationError';
+  }
+}
+
+const ERROR_STATUS: Record<string, number> = {
+  PROMOTION_NOT_FOUND: 404,
+  INVALID_PROMOTION: 400
+};
+
+// Factory functions for dependency injection
+const createPromotionService = () => new PromotionService();
+const createOrderService = () => new OrderService();
+
+export class PromotionController {
+  private promotionService: PromotionService;
+  private orderService: OrderService;
+
+  constructor(
+    promotionServiceFactory: () => PromotionService = createPromotionService,
+    orderServiceFactory: () => OrderService = createOrderService
+  ) {
+    this.promotionService = promotionServiceFactory();
+    this.orderService = orderServiceFactory();
+  }
+
+  private sendResult(res: Response, result: PromotionApiResponse | PromotionListApiResponse, successStatus = 200): void {
+    if (!result.success) {
+      res.status(ERROR_STATUS[result.error ?? ''] ?? 500).json(result);
+      return;
+    }
+    res.status(successStatus).json(result);
+  }
+
+  private handleError(res: Response, error: unknown, message: string): void {
+    if (error instanceof ValidationError) {
+      res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.errors
+      });
+      return;
+    }
+
+    if (error instanceof CouponError || error instanceof DeliveryZoneError) {
+      res.status(400).json({
+        success: false,
+        message: error.message,
+        error: error.code
+      });
+      return;
+    }
+
+    if (error instanceof InsufficientStockError) {
+      res.status(409).json({
+        success: false,
+        message: error.message,
+        error: 'INSUFFICIENT_STOCK'
+      });
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message,
+      error: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+
+  /**
+   * @swagger
+   * /api/promotions/preview:
+   *   post:
+   *     summary: Preview a cart with the promotions that apply to it
+   *     description: Quotes the cart like /api/orders/quote. `promotions` explains each promotion applied and what it took off; gift add-ons appear under their item with a promotion_id and no charge. Orders get the same promotions when created.
+   *     tags: [Promotions]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [items]
+   *             properties:
+   *               items:
+   *                 type: array
+   *                 description: Same cart lines as /api/orders/quote
+   *                 items:
+   *                   type: object
+   *               coupon_code:
+   *                 type: string
+   *                 description: Applied after the promotions
+   *     responses:
+   *       200:
+   *         description: Cart priced with promotions, promotion_discount_usd and the new totals
+   *       400:
+   *         description: Validation failed, or the address or coupon cannot be used
+   *       409:
+   *         description: Not enough stock left for one of the products
+   */
+  public async previewCart(req: Request, res: Response): Promise<void> {
+    try {
+      const { items, delivery_city, delivery_state, delivery_date, payment_method_id, coupon_code, customer_email } =
+        validateRequestBody(OrderQuoteRequestSchema, req);
+      const quote = await this.orderService.calculateOrderTotals(
+        items,
+        delivery_city ? { city: delivery_city, state: delivery_state, date: delivery_date } : undefined,
+        payment_method_id,
+        coupon_code ? { code: coupon_code, customer_email } : undefined
+      );
+
+      res.status(200).json({
+        success: true,
+        data: quote,
+        message: `${quote.promotions.length} promotions applied`
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to preview cart');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/promotions/active:
+   *   get:
+   *     summary: Promotions running now, for storefront banners
+   *     tags: [Promotions]
+   *     responses:
+   *       200:
+   *         description: Active promotions, highest priority first
+   */
+  public async getActivePromotions(req: Request, res: Response): Promise<void> {
+    try {
+      const promotions = await this.promotionService.getActivePromotions();
+      res.status(200).json({
+        success: true,
+        data: promotions,
+        message: `Retrieved ${promotions.length} active promotions successfully`
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to fetch active promotions');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/promotions:
+   *   get:
+   *     summary: List every promotion, including inactive and finished ones (Admin only)
+   *     tags: [Promotions]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Promotions retrieved successfully
+   */
+  public async getPromotions(req: Request, res: Response): Promise<void> {
+    try {
+      const result = await this.promotionService.getPromotions();
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to fetch promotions');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/promotions:
+   *   post:
+   *     summary: Create a promotion (Admin only)
+   *     description: Every active promotion whose window, minimum and products match applies on its own, highest priority first
+   *     tags: [Promotions]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [name, action_type]
+   *             properties:
+   *               name:
+   *                 type: string
+   *                 example: "2x1 en rosas"
+   *               description:
+   *                 type: string
+   *                 description: Shown to customers instead of the generated explanation
+   *               starts_at:
+   *                 type: string
+   *                 format: date-time
+   *               ends_at:
+   *                 type: string
+   *                 format: date-time
+   *               priority:
+   *                 type: integer
+   *                 default: 0
+   *               product_ids:
+   *                 type: array
+   *                 description: Only these products qualify and are discounted
+   *                 items:
+   *                   type: integer
+   *               occasion_ids:
+   *                 type: array
+   *                 description: Only products of these occasions qualify and are discounted
+   *                 items:
+   *                   type: integer
+   *               min_order_usd:
+   *                 type: number
+   *                 description: Minimum product subtotal, before any discount
+   *               action_type:
+   *                 type: string
+   *                 enum: [percentage, fixed, buy_x_get_y, free_delivery, free_addon]
+   *               discount_value:
+   *                 type: number
+   *                 description: percentage and fixed; percentage (up to 100) or USD
+   *               buy_quantity:
+   *                 type: integer
+   *                 description: buy_x_get_y; units paid in each group
+   *               get_quantity:
+   *                 type: integer
+   *                 description: buy_x_get_y; cheapest units free in each group
+   *               addon_id:
+   *                 type: integer
+   *                 description: free_addon; the gift
+   *               addon_quantity:
+   *                 type: integer
+   *                 default: 1
+   *               active:
+   *                 type: boolean
+   *     responses:
+   *       201:
+   *         description: Promotion created successfully
+   *       400:
+   *         description: Validation failed or the add-on does not exist
+   */
+  public async createPromotion(req: Request, res: Response): Promise<void> {
+    try {
+      const promotionData = validateRequestBody(PromotionCreateRequestSchema, req);
+      const result = await this.promotionService.createPromotion(promotionData);
+      this.sendResult(res, result, 201);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to create promotion');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/promotions/{id}:
+   *   put:
+   *     summary: Update a promotion (Admin only)
+   *     description: Orders already placed keep the promotions they got
+   *     tags: [Promotions]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *     responses:
+   *       200:
+   *         description: Promotion updated successfully
+   *       400:
+   *         description: Validation failed or the action is missing its fields
+   *       404:
+   *         description: Promotion not found
+   */
+  public async updatePromotion(req: Request, res: Response): Promise<void> {
+    try {
+      const { id } = validateRequestParams(ProductIdParamsSchema, req);
+      const promotionData = validateRequestBody(PromotionUpdateRequestSchema, req);
+      const result = await this.promotionService.updatePromotion(id, promotionData);
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to update promotion');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/promotions/{id}:
+   *   delete:
+   *     summary: Delete a promotion (Admin only)
+   *     description: Orders keep the promotions they got
+   *     tags: [Promotions]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Promotion deleted successfully
+   *       404:
+   *         description: Promotion not found
+   */
+  public async deletePromotion(req: Request, res: Response): Promise<void> {
+    try {
+      const { id } = validateRequestParams(ProductIdParamsSchema, req);
+      const result = await this.promotionService.deletePromotion(id);
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to delete promotion');
+    }
+  }
+}
@@ -0,0 +1,208 @@
+/**
+ * 🌸 FloresYa Settings Controller
+ * Tax rates and loyalty program rules shown at checkout, and their admin management
+ */
+
+import { Request, Response } from 'express';
+import { z } from 'zod';
+
+import { SettingsService } from '../services/SettingsService.js';
+import {
+  // Validation Schemas
+  LoyaltySettingsUpdateRequestSchema,
+  TaxRatesUpdateRequestSchema,
+  // Interface types
+  LoyaltySettingsApiResponse,
+  TaxRatesApiResponse,
+} from '../shared/types/index.js';
+
+// ============================================
+// ZOD VALIDATION HELPERS - STANDARDIZED
+// ============================================
+
+/**
+ * Validates request body with Zod schema
+ */
+function validateRequestBody<T>(schema: z.ZodSchema<T>, req: Request): T {
+  try {
+    return schema.parse(req.body);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      const errors = error.issues.map(issue => ({
+        field: issue.path.join('.'),
+        message: issue.message,
+        code: issue.code
+      }));
+      throw new ValidationError('Request body validation failed', errors);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Custom validation error class
+ */
+class ValidationError extends Error {
+  constructor(public message: string, public errors: Array<{ field: string; message: string; code: string }>) {
+    super(message);
+    this.name = 'ValidationError';
+  }
+}
+
+// Factory function for dependency injection
+const createSettingsService = () => new SettingsService();
+
+export class SettingsController {
+  private settingsService: SettingsService;
+
+  constructor(settingsServiceFactory: () => SettingsService = createSettingsService) {
+    this.settingsService = settingsServiceFactory();
+  }
+
+  private sendResult(res: Response, result: TaxRatesApiResponse | LoyaltySettingsApiResponse): void {
+    res.status(result.success ? 200 : 500).json(result);
+  }
+
+  private handleError(res: Response, error: unknown, message: string): void {
+    if (error instanceof ValidationError) {
+      res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.errors
+      });
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message,
+      error: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+
+  /**
+   * @swagger
+   * /api/settings/taxes:
+   *   get:
+   *     summary: Current IVA and IGTF rates
+   *     description: Percentages, e.g. 16 for 16%. IVA applies to taxable products and add-ons, IGTF to payments in foreign currency
+   *     tags: [Settings]
+   *     responses:
+   *       200:
+   *         description: Tax rates retrieved successfully
+   */
+  public async getTaxRates(req: Request, res: Response): Promise<void> {
+    try {
+      const result = await this.settingsService.getTaxSettings();
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to fetch tax rates');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/settings/taxes:
+   *   put:
+   *     summary: Update the IVA and IGTF rates (Admin only)
+   *     description: Orders already placed keep the rates they were charged with
+   *     tags: [Settings]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               iva_rate:
+   *                 type: number
+   *                 minimum: 0
+   *                 maximum: 100
+   *                 example: 16
+   *               igtf_rate:
+   *                 type: number
+   *                 minimum: 0
+   *                 maximum: 100
+   *                 example: 3
+   *     responses:
+   *       200:
+   *         description: Tax rates updated successfully
+   *       400:
+   *         description: Validation failed
+   */
+  public async updateTaxRates(req: Request, res: Response): Promise<void> {
+    try {
+      const rates = validateRequestBody(TaxRatesUpdateRequestSchema, req);
+      const result = await this.settingsService.updateTaxRates(rates);
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to update tax rates');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/settings/loyalty:
+   *   get:
+   *     summary: Current loyalty program rules
+   *     description: Points earned per dollar spent on products, what a point is worth when redeemed and how many days earned points last (0 means they never expire)
+   *     tags: [Settings]
+   *     responses:
+   *       200:
+   *         description: Loyalty settings retrieved successfully
+   */
+  public async getLoyaltySettings(req: Request, res: Response): Promise<void> {
+    try {
+      const result = await this.settingsService.getLoyaltySettings();
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to fetch loyalty settings');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/settings/loyalty:
+   *   put:
+   *     summary: Update the loyalty program rules (Admin only)
+   *     description: Points already earned keep the expiry they were given
+   *     tags: [Settings]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               loyalty_points_per_usd:
+   *                 type: number
+   *                 minimum: 0
+   *                 example: 1
+   *               loyalty_point_value_usd:
+   *                 type: number
+   *                 exclusiveMinimum: 0
+   *                 example: 0.01
+   *               loyalty_points_expiry_days:
+   *                 type: integer
+   *                 minimum: 0
+   *                 example: 365
+   *     responses:
+   *       200:
+   *         description: Loyalty settings updated successfully
+   *       400:
+   *         description: Validation failed
+   */
+  public async updateLoyaltySettings(req: Request, res: Response): Promise<void> {
+    try {
+      const settings = validateRequestBody(LoyaltySettingsUpdateRequestSchema, req);
+      const result = await this.settingsService.updateLoyaltySettings(settings);
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to update loyalty settings');
+    }
+  }
+}
@@ -0,0 +1,507 @@
+/**
+ * 🌸 FloresYa Store Credit Controller
+ * Gift card balance and redemption at checkout, the customer's store credit, and
+ * admin issuance and void
+ */
+
+import { Request, Response } from 'express';
+import { z } from 'zod';
+
+import { StoreCreditService } from '../services/StoreCreditService.js';
+import {
+  // Validation Schemas
+  GiftCardBalanceRequestSchema,
+  GiftCardRedeemRequestSchema,
+  ProductIdParamsSchema,
+  StoreCreditIssueRequestSchema,
+  StoreCreditQueryRequestSchema,
+  StoreCreditRedeemRequestSchema,
+  StoreCreditVoidRequestSchema,
+  // Interface types
+  AuthenticatedRequest,
+  CustomerStoreCreditApiResponse,
+  GiftCardBalanceApiResponse,
+  StoreCreditApiResponse,
+  StoreCreditDetailsApiResponse,
+  StoreCreditListApiResponse,
+  StoreCreditRedeemApiResponse,
+} from '../shared/types/index.js';
+
+// ============================================
+// ZOD VALIDATION HELPERS - STANDARDIZED
+// ============================================
+
+/**
+ * Validates request body with Zod schema
+ */
+function validateRequestBody<T>(schema: z.ZodSchema<T>, req: Request): T {
+  try {
+    return schema.parse(req.body);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      const errors = error.issues.map(issue => ({
+        field: issue.path.join('.'),
+        message: issue.message,
+        code: issue.code
+      }));
+      throw new ValidationError('Request body validation failed', errors);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Validates request params with Zod schema
+ */
+function validateRequestParams<T>(schema: z.ZodSchema<T>, req: Request): T {
+  try {
+    return schema.parse(req.params);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      const errors = error.issues.map(issue => ({
+        field: issue.path.join('.'),
+        message: issue.message,
+        code: issue.code
+      }));
+      throw new ValidationError('Request params validation failed', errors);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Validates request query with Zod schema
+ */
+function validateRequestQuery<T>(schema: z.ZodSchema<T>, req: Request): T {
+  try {
+    return schema.parse(req.query);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      const errors = error.issues.map(issue => ({
+        field: issue.path.join('.'),
+        message: issue.message,
+        code: issue.code
+      }));
+      throw new ValidationError('Request query validation failed', errors);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Custom validation error class
+ */
+class ValidationError extends Error {
+  constructor(public message: string, public errors: Array<{ field: string; message: string; code: string }>) {
+    super(message);
+    this.name = 'ValidationError';
+  }
+}
+
+const ERROR_STATUS: Record<string, number> = {
+  STORE_CREDIT_NOT_FOUND: 404,
+  GIFT_CARD_NOT_FOUND: 404,
+  ORDER_NOT_FOUND: 404,
+  INVALID_STORE_CREDIT: 400,
+  STORE_CREDIT_ALREADY_VOID: 409,
+  ORDER_NOT_PAYABLE: 409,
+  NO_STORE_CREDIT: 409
+};
+
+// Factory function for dependency injection
+const createStoreCreditService = () => new StoreCreditService();
+
+export class StoreCreditController {
+  private storeCreditService: StoreCreditService;
+
+  constructor(storeCreditServiceFactory: () => StoreCreditService = createStoreCreditService) {
+    this.storeCreditService = storeCreditServiceFactory();
+  }
+
+  private sendResult(
+    res: Response,
+    result:
+      | StoreCreditApiResponse
+      | StoreCreditListApiResponse
+      | StoreCreditDetailsApiResponse
+      | StoreCreditRedeemApiResponse
+      | CustomerStoreCreditApiResponse
+      | GiftCardBalanceApiResponse,
+    successStatus = 200
+  ): void {
+    if (!result.success) {
+      res.status(ERROR_STATUS[result.error ?? ''] ?? 500).json(result);
+      return;
+    }
+    res.status(successStatus).json(result);
+  }
+
+  private handleError(res: Response, error: unknown, message: string): void {
+    if (error instanceof ValidationError) {
+      res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.errors
+      });
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message,
+      error: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+
+  private sendAuthRequired(res: Response): void {
+    res.status(401).json({
+      success: false,
+      message: 'Authentication required',
+      error: 'MISSING_TOKEN'
+    });
+  }
+
+  /**
+   * @swagger
+   * /api/store-credit/gift-cards/balance:
+   *   post:
+   *     summary: Check a gift card balance
+   *     description: The code goes in the body so it does not end up in access logs. Void and expired cards report a balance of 0.
+   *     tags: [Store Credit]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [code]
+   *             properties:
+   *               code:
+   *                 type: string
+   *                 example: FY-1A2B-3C4D-5E6F
+   *     responses:
+   *       200:
+   *         description: Gift card balance retrieved successfully
+   *       404:
+   *         description: Gift card not found
+   */
+  public async getGiftCardBalance(req: Request, res: Response): Promise<void> {
+    try {
+      const { code } = validateRequestBody(GiftCardBalanceRequestSchema, req);
+
+      const result = await this.storeCreditService.getGiftCardBalance(code);
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to fetch gift card balance');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/store-credit/gift-cards/redeem:
+   *   post:
+   *     summary: Pay a pending order with a gift card
+   *     description: Spends up to amount_usd (or what the order still owes) as a completed payment. An order paid in full moves to verified; otherwise the rest is paid with /api/payments.
+   *     tags: [Store Credit]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [order_id, customer_email, code]
+   *             properties:
+   *               order_id:
+   *                 type: integer
+   *               customer_email:
+   *                 type: string
+   *                 format: email
+   *               code:
+   *                 type: string
+   *               amount_usd:
+   *                 type: number
+   *     responses:
+   *       200:
+   *         description: Payment recorded; returns it with the amount still due
+   *       404:
+   *         description: Order not found
+   *       409:
+   *         description: Order not payable or the gift card has no balance
+   */
+  public async redeemGiftCard(req: Request, res: Response): Promise<void> {
+    try {
+      const request = validateRequestBody(GiftCardRedeemRequestSchema, req);
+
+      const result = await this.storeCreditService.redeemGiftCard(request);
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to redeem gift card');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/store-credit/me:
+   *   get:
+   *     summary: The signed-in customer's store credit
+   *     description: Spendable balance, each credit received and the movements of the ledger
+   *     tags: [Store Credit]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Store credit retrieved successfully
+   *       401:
+   *         description: Missing or invalid token
+   */
+  public async getMyStoreCredit(req: Request, res: Response): Promise<void> {
+    try {
+      const userId = (req as unknown as AuthenticatedRequest).user?.id; // From auth middleware
+      if (!userId) {
+        this.sendAuthRequired(res);
+        return;
+      }
+
+      const result = await this.storeCreditService.getCustomerStoreCredit(userId);
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to fetch store credit');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/store-credit/me/redeem:
+   *   post:
+   *     summary: Pay a pending order with the customer's store credit
+   *     tags: [Store Credit]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [order_id, customer_email]
+   *             properties:
+   *               order_id:
+   *                 type: integer
+   *               customer_email:
+   *                 type: string
+   *                 format: email
+   *               amount_usd:
+   *                 type: number
+   *     responses:
+   *       200:
+   *         description: Payment recorded; returns it with the amount still due
+   *       401:
+   *         description: Missing or invalid token
+   *       404:
+   *         description: Order not found
+   *       409:
+   *         description: Order not payable or no balance to spend
+   */
+  public async redeemMyStoreCredit(req: Request, res: Response): Promise<void> {
+    try {
+      const request = validateRequestBody(StoreCreditRedeemRequestSchema, req);
+      const userId = (req as unknown as AuthenticatedRequest).user?.id; // From auth middleware
+      if (!userId) {
+        this.sendAuthRequired(res);
+        return;
+      }
+
+      const result = await this.storeCreditService.redeemStoreCredit(request, userId);
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to redeem store credit');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/store-credit:
+   *   get:
+   *     summary: List gift cards and store credit (Admin only)
+   *     tags: [Store Credit]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: kind
+   *         schema:
+   *           type: string
+   *           enum: [gift_card, store_credit]
+   *       - in: query
+   *         name: status
+   *         schema:
+   *           type: string
+   *           enum: [active, void]
+   *       - in: query
+   *         name: user_id
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: code
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Store credits retrieved successfully
+   */
+  public async getStoreCredits(req: Request, res: Response): Promise<void> {
+    try {
+      const query = validateRequestQuery(StoreCreditQueryRequestSchema, req);
+
+      const result = await this.storeCreditService.getStoreCredits(query);
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to fetch store credits');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/store-credit/{id}:
+   *   get:
+   *     summary: A gift card or store credit with its movements (Admin only)
+   *     tags: [Store Credit]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Store credit retrieved successfully
+   *       404:
+   *         description: Store credit not found
+   */
+  public async getStoreCreditById(req: Request, res: Response): Promise<void> {
+    try {
+      const { id } = validateRequestParams(ProductIdParamsSchema, req);
+
+      const result = await this.storeCreditService.getStoreCreditById(id);
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to fetch store credit');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/store-credit:
+   *   post:
+   *     summary: Issue a gift card or store credit (Admin only)
+   *     description: Gift cards get a generated FY-XXXX-XXXX-XXXX code; sold ones use reason purchase. Store credit belongs to user_id and is given on refunds or as goodwill.
+   *     tags: [Store Credit]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [kind, amount_usd, reason]
+   *             properties:
+   *               kind:
+   *                 type: string
+   *                 enum: [gift_card, store_credit]
+   *               user_id:
+   *                 type: integer
+   *               amount_usd:
+   *                 type: number
+   *               reason:
+   *                 type: string
+   *                 enum: [purchase, refund, goodwill]
+   *               order_id:
+   *                 type: integer
+   *               purchaser_email:
+   *                 type: string
+   *               recipient_name:
+   *                 type: string
+   *               recipient_email:
+   *                 type: string
+   *               message:
+   *                 type: string
+   *               notes:
+   *                 type: string
+   *               expires_at:
+   *                 type: string
+   *                 format: date-time
+   *     responses:
+   *       201:
+   *         description: Store credit issued
+   *       400:
+   *         description: Validation failed or unknown customer/order
+   */
+  public async issueStoreCredit(req: Request, res: Response): Promise<void> {
+    try {
+      const request = validateRequestBody(StoreCreditIssueRequestSchema, req);
+      const adminId = (req as unknown as AuthenticatedRequest).user?.id; // From auth middleware
+
+      const result = await this.storeCreditService.issueStoreCredit(request, adminId);
+      this.sendResult(res, result, 201);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to issue store credit');
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/store-credit/{id}/void:
+   *   patch:
+   *     summary: Void a gift card or store credit (Admin only)
+   *     description: The remaining balance can no longer be spent. Payments already made with it are kept.
+   *     tags: [Store Credit]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [reason]
+   *             properties:
+   *               reason:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Store credit voided
+   *       404:
+   *         description: Store credit not found
+   *       409:
+   *         description: Already void
+   */
+  public async voidStoreCredit(req: Request, res: Response): Promise<void> {
+    try {
+      const { id } = validateRequestParams(ProductIdParamsSchema, req);
+      const { reason } = validateRequestBody(StoreCreditVoidRequestSchema, req);
+      const adminId = (req as unknown as AuthenticatedRequest).user?.id; // From auth middleware
+
+      const result = await this.storeCreditService.voidStoreCredit(id, reason, adminId);
+      this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to void store credit');
+    }
+  }
+}
@@ -106,6 +106,7 @@ const UserCreateRequestSchema = z.object({
 
 const UserUpdateRequestSchema = z.object({
   email: z.string().email().optional(),
+  password: z.string().min(8).optional(),
   full_name: z.string().optional(),
   phone: z.string().optional(),
   role: z.enum(['user', 'admin']).optional(),
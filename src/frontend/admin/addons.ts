@@ -0,0 +1,247 @@
+/**
+ * 🌸 FloresYa Admin Add-ons Module
+ * Manages the chocolates, balloons, teddy bears, vases and cards offered with every bouquet
+ */
+
+import type { ProductAddon, ProductAddonType } from '../../shared/types/index.js';
+
+import { getAuthHeaders } from '../services/apiClient.js';
+
+import type { AdminPanelLogger } from './types.js';
+
+const TYPE_LABELS: Record<ProductAddonType, string> = {
+  chocolate: 'Chocolates',
+  balloon: 'Globos',
+  teddy_bear: 'Peluches',
+  vase: 'Floreros',
+  card: 'Tarjetas impresas',
+  other: 'Otro'
+};
+
+export class AdminAddons {
+  private logger: AdminPanelLogger;
+  private addons: ProductAddon[] = [];
+  private bound = false;
+
+  constructor(logger: AdminPanelLogger) {
+    this.logger = logger;
+  }
+
+  /**
+   * Load every add-on, including inactive ones
+   */
+  public async loadAddonsData(): Promise<void> {
+    try {
+      const response = await fetch('/api/addons/all', { headers: getAuthHeaders() });
+      if (!response.ok) throw new Error('Failed to fetch add-ons');
+
+      const result = await response.json() as { data?: ProductAddon[] };
+      this.addons = result.data ?? [];
+      this.logger.log(`Loaded ${this.addons.length} add-ons from API`, 'success');
+
+      this.renderAddonsTable(this.addons);
+      this.bindFormEvents();
+    } catch (error: unknown) {
+      this.logger.log('Error loading add-ons: ' + (error instanceof Error ? error.message : 'Unknown error'), 'error');
+      this.renderAddonsTable([]);
+    }
+  }
+
+  /**
+   * Open the form empty for a new add-on
+   */
+  public showCreateForm(): void {
+    this.fillForm(null);
+  }
+
+  /**
+   * Open the form with an existing add-on
+   */
+  public editAddon(id: number): void {
+    const addon = this.addons.find(a => a.id === id);
+    if (addon) this.fillForm(addon);
+  }
+
+  /**
+   * Toggle whether the add-on is offered on the product page
+   */
+  public async toggleAddon(id: number, isActive: boolean): Promise<void> {
+    await this.save(id, { active: !isActive },
+      `Complemento ${isActive ? 'desactivado' : 'activado'} exitosamente`);
+  }
+
+  /**
+   * Delete add-on (the API deactivates it instead when orders reference it)
+   */
+  public async deleteAddon(id: number): Promise<void> {
+    if (!window.confirm('¿Estás seguro de que deseas eliminar este complemento?')) return;
+
+    try {
+      const response = await fetch(`/api/addons/${id}`, {
+        method: 'DELETE',
+        headers: getAuthHeaders()
+      });
+      const result = await response.json() as { message?: string };
+      if (!response.ok) throw new Error(result.message ?? 'Failed to delete add-on');
+
+      this.logger.log(result.message ?? `Add-on ${id} deleted`, 'success');
+      void this.loadAddonsData();
+    } catch (error: unknown) {
+      this.logger.log('Error deleting add-on: ' + (error instanceof Error ? error.message : 'Unknown error'), 'error');
+    }
+  }
+
+  private async save(id: number | null, body: Record<string, unknown>, successMessage: string): Promise<boolean> {
+    try {
+      const response = await fetch(id ? `/api/addons/${id}` : '/api/addons', {
+        method: id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json', ...getAuthHeaders() },
+        body: JSON.stringify(body)
+      });
+      const result = await response.json() as { message?: string };
+      if (!response.ok) throw new Error(result.message ?? 'Failed to save add-on');
+
+      this.logger.log(successMessage, 'success');
+      void this.loadAddonsData();
+      return true;
+    } catch (error: unknown) {
+      this.logger.log('Error saving add-on: ' + (error instanceof Error ? error.message : 'Unknown error'), 'error');
+      return false;
+    }
+  }
+
+  private async handleFormSubmit(form: HTMLFormElement): Promise<void> {
+    const data = new FormData(form);
+    const text = (name: string): string => String(data.get(name) ?? '').trim();
+
+    const id = Number(text('id')) || null;
+    const saved = await this.save(id, {
+      name: text('name'),
+      type: text('type'),
+      description: text('description') || null,
+      sku: text('sku') || null,
+      price_usd: Number(text('price_usd')),
+      price_ves: Number(text('price_ves')) || null,
+      stock: Number(text('stock')) || 0,
+      image_url: text('image_url') || null,
+      display_order: Number(text('display_order')) || 0,
+      is_taxable: data.get('is_taxable') === 'on',
+      active: data.get('active') === 'on'
+    }, id ? 'Complemento actualizado exitosamente' : 'Complemento creado exitosamente');
+
+    if (saved) this.hideForm();
+  }
+
+  private fillForm(addon: ProductAddon | null): void {
+    const form = document.getElementById('addonForm');
+    if (!(form instanceof HTMLFormElement)) return;
+
+    form.reset();
+    const setValue = (name: string, value: string | number | undefined | null): void => {
+      const input = form.elements.namedItem(name);
+      if (input instanceof HTMLInputElement || input instanceof HTMLSelectElement || input instanceof HTMLTextAreaElement) {
+        input.value = value === undefined || value === null ? '' : String(value);
+      }
+    };
+
+    setValue('id', addon?.id);
+    setValue('name', addon?.name);
+    setValue('type', addon?.type ?? 'chocolate');
+    setValue('sku', addon?.sku);
+    setValue('description', addon?.description);
+    setValue('price_usd', addon?.price_usd);
+    setValue('price_ves', addon?.price_ves);
+    setValue('stock', addon?.stock ?? 0);
+    setValue('image_url', addon?.image_url);
+    setValue('display_order', addon?.display_order ?? this.addons.length);
+
+    const active = form.elements.namedItem('active');
+    if (active instanceof HTMLInputElement) active.checked = addon?.active ?? true;
+
+    const taxable = form.elements.namedItem('is_taxable');
+    if (taxable instanceof HTMLInputElement) taxable.checked = addon?.is_taxable ?? true;
+
+    const title = document.getElementById('addonFormTitle');
+    if (title) title.textContent = addon ? `Editar ${addon.name}` : 'Nuevo complemento';
+
+    document.getElementById('addonFormCard')?.classList.remove('d-none');
+  }
+
+  private hideForm(): void {
+    document.getElementById('addonFormCard')?.classList.add('d-none');
+  }
+
+  private bindFormEvents(): void {
+    if (this.bound) return;
+    this.bound = true;
+
+    document.getElementById('addAddonBtn')?.addEventListener('click', () => this.showCreateForm());
+    document.getElementById('cancelAddonBtn')?.addEventListener('click', () => this.hideForm());
+
+    const form = document.getElementById('addonForm');
+    form?.addEventListener('submit', (event) => {
+      event.preventDefault();
+      if (form instanceof HTMLFormElement) void this.handleFormSubmit(form);
+    });
+  }
+
+  /**
+   * Render add-ons table
+   */
+  private renderAddonsTable(addons: ProductAddon[]): void {
+    const tableBody = document.getElementById('addonsTableBody');
+    if (!tableBody) return;
+
+    if (addons.length === 0) {
+      tableBody.innerHTML = `
+        <tr>
+          <td colspan="7" class="text-center text-muted">No hay complementos configurados</td>
+        </tr>
+      `;
+      return;
+    }
+
+    tableBody.innerHTML = addons.map(addon => `
+      <tr>
+        <td>${addon.display_order}</td>
+        <td>
+          <div class="fw-medium">${this.escapeHtml(addon.name)}</div>
+          <small class="text-muted">${this.escapeHtml(addon.sku ?? '')}</small>
+        </td>
+        <td>${TYPE_LABELS[addon.type] ?? addon.type}</td>
+        <td>$${addon.price_usd.toFixed(2)}</td>
+        <td>
+          <span class="badge bg-${addon.stock > 0 ? 'light text-dark' : 'danger'}">${addon.stock}</span>
+        </td>
+        <td>
+          <span class="badge bg-${addon.active ? 'success' : 'secondary'}">
+            ${addon.active ? 'Activo' : 'Inactivo'}
+          </span>
+        </td>
+        <td>
+          <div class="btn-group btn-group-sm">
+            <button class="btn btn-outline-primary" onclick="adminPanel.addons.editAddon(${addon.id})"
+                    title="Editar complemento">
+              <i class="bi bi-pencil"></i>
+            </button>
+            <button class="btn btn-outline-${addon.active ? 'warning' : 'success'}"
+                    onclick="adminPanel.addons.toggleAddon(${addon.id}, ${addon.active})"
+                    title="${addon.active ? 'Desactivar' : 'Activar'} complemento">
+              <i class="bi bi-${addon.active ? 'pause' : 'play'}"></i>
+            </button>
+            <button class="btn btn-outline-danger" onclick="adminPanel.addons.deleteAddon(${addon.id})"
+                    title="Eliminar complemento">
+              <i class="bi bi-trash"></i>
+            </button>
+          </div>
+        </td>
+      </tr>
+    `).join('');
+  }
+
+  private escapeHtml(value: string): string {
+    const div = document.createElement('div');
+    div.textContent = value;
+    return div.innerHTML;
+  }
+}
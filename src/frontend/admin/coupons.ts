@@ -0,0 +1,327 @@
+/**
+ * 🌸 FloresYa Admin Coupons Module
+ * Manages discount codes, their limits and restrictions, and shows which orders used each one
+ */
+
+import type { CouponUsageReport, CouponWithUsage } from '../../shared/types/index.js';
+
+import { getAuthHeaders } from '../services/apiClient.js';
+
+import { STATUS_LABELS } from './orders.js';
+import type { AdminPanelLogger } from './types.js';
+
+export class AdminCoupons {
+  private logger: AdminPanelLogger;
+  private coupons: CouponWithUsage[] = [];
+  private bound = false;
+
+  constructor(logger: AdminPanelLogger) {
+    this.logger = logger;
+  }
+
+  /**
+   * Load every coupon, including inactive and expired ones
+   */
+  public async loadCouponsData(): Promise<void> {
+    this.bindFormEvents();
+    await this.loadCoupons();
+  }
+
+  /**
+   * Open the form empty for a new coupon
+   */
+  public showCreateForm(): void {
+    this.fillForm(null);
+  }
+
+  public editCoupon(id: number): void {
+    const coupon = this.coupons.find(c => c.id === id);
+    if (coupon) this.fillForm(coupon);
+  }
+
+  /**
+   * Toggle whether the code is accepted at checkout
+   */
+  public async toggleCoupon(id: number, isActive: boolean): Promise<void> {
+    await this.saveCoupon(id, { active: !isActive },
+      `Cupón ${isActive ? 'desactivado' : 'activado'} exitosamente`);
+  }
+
+  public async deleteCoupon(id: number): Promise<void> {
+    if (!window.confirm('¿Estás seguro de que deseas eliminar este cupón? Los pedidos conservan su descuento, pero se pierde el reporte de uso. Para dejar de aceptarlo basta con desactivarlo.')) return;
+
+    try {
+      const response = await fetch(`/api/coupons/${id}`, {
+        method: 'DELETE',
+        headers: getAuthHeaders()
+      });
+      const result = await response.json() as { message?: string };
+      if (!response.ok) throw new Error(result.message ?? 'Failed to delete coupon');
+
+      this.logger.log(`Coupon ${id} deleted`, 'success');
+      this.hideUsage();
+      void this.loadCoupons();
+    } catch (error: unknown) {
+      this.logger.log('Error deleting coupon: ' + (error instanceof Error ? error.message : 'Unknown error'), 'error');
+    }
+  }
+
+  /**
+   * Show the orders that used the coupon, with its customers and totals
+   */
+  public async showUsage(id: number): Promise<void> {
+    try {
+      const response = await fetch(`/api/coupons/${id}/usage`, { headers: getAuthHeaders() });
+      const result = await response.json() as { data?: CouponUsageReport; message?: string };
+      if (!response.ok || !result.data) throw new Error(result.message ?? 'Failed to fetch coupon usage');
+
+      this.renderUsage(result.data);
+    } catch (error: unknown) {
+      this.logger.log('Error loading coupon usage: ' + (error instanceof Error ? error.message : 'Unknown error'), 'error');
+    }
+  }
+
+  private async loadCoupons(): Promise<void> {
+    try {
+      const response = await fetch('/api/coupons', { headers: getAuthHeaders() });
+      if (!response.ok) throw new Error('Failed to fetch coupons');
+
+      const result = await response.json() as { data?: CouponWithUsage[] };
+      this.coupons = result.data ?? [];
+      this.logger.log(`Loaded ${this.coupons.length} coupons from API`, 'success');
+
+      this.renderCouponsTable(this.coupons);
+    } catch (error: unknown) {
+      this.logger.log('Error loading coupons: ' + (error instanceof Error ? error.message : 'Unknown error'), 'error');
+      this.renderCouponsTable([]);
+    }
+  }
+
+  private async saveCoupon(id: number | null, body: Record<string, unknown>, successMessage: string): Promise<boolean> {
+    try {
+      const response = await fetch(id ? `/api/coupons/${id}` : '/api/coupons', {
+        method: id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json', ...getAuthHeaders() },
+        body: JSON.stringify(body)
+      });
+      const result = await response.json() as { message?: string };
+      if (!response.ok) throw new Error(result.message ?? 'Failed to save coupon');
+
+      this.logger.log(successMessage, 'success');
+      void this.loadCoupons();
+      return true;
+    } catch (error: unknown) {
+      this.logger.log('Error saving coupon: ' + (error instanceof Error ? error.message : 'Unknown error'), 'error');
+      return false;
+    }
+  }
+
+  private async handleCouponSubmit(form: HTMLFormElement): Promise<void> {
+    const data = new FormData(form);
+    const text = (name: string): string => String(data.get(name) ?? '').trim();
+    // datetime-local fields are in the admin's local time
+    const dateTime = (name: string): string | null => text(name) ? new Date(text(name)).toISOString() : null;
+    const limit = (name: string): number | null => Number(text(name)) || null;
+    const ids = (name: string): number[] => text(name).split(',').map(Number).filter(id => Number.isInteger(id) && id > 0);
+
+    const id = Number(text('id')) || null;
+    const saved = await this.saveCoupon(id, {
+      code: text('code'),
+      description: text('description') || null,
+      discount_type: text('discount_type'),
+      discount_value: Number(text('discount_value')),
+      min_order_usd: Number(text('min_order_usd')) || 0,
+      starts_at: dateTime('starts_at'),
+      expires_at: dateTime('expires_at'),
+      usage_limit: limit('usage_limit'),
+      per_customer_limit: limit('per_customer_limit'),
+      occasion_ids: ids('occasion_ids'),
+      product_ids: ids('product_ids'),
+      active: data.get('active') === 'on'
+    }, id ? 'Cupón actualizado exitosamente' : 'Cupón creado exitosamente');
+
+    if (saved) this.hideForm();
+  }
+
+  private fillForm(coupon: CouponWithUsage | null): void {
+    const form = document.getElementById('couponForm');
+    if (!(form instanceof HTMLFormElement)) return;
+
+    form.reset();
+    const setValue = (name: string, value: string | number | undefined | null): void => {
+      const input = form.elements.namedItem(name);
+      if (input instanceof HTMLInputElement || input instanceof HTMLSelectElement) {
+        input.value = value === undefined || value === null ? '' : String(value);
+      }
+    };
+
+    setValue('id', coupon?.id);
+    setValue('code', coupon?.code);
+    setValue('description', coupon?.description);
+    setValue('discount_type', coupon?.discount_type ?? 'percentage');
+    setValue('discount_value', coupon?.discount_value);
+    setValue('min_order_usd', coupon?.min_order_usd ?? 0);
+    setValue('starts_at', this.toLocalInput(coupon?.starts_at));
+    setValue('expires_at', this.toLocalInput(coupon?.expires_at));
+    setValue('usage_limit', coupon?.usage_limit);
+    setValue('per_customer_limit', coupon?.per_customer_limit);
+    setValue('occasion_ids', coupon?.occasion_ids.join(', '));
+    setValue('product_ids', coupon?.product_ids.join(', '));
+
+    const active = form.elements.namedItem('active');
+    if (active instanceof HTMLInputElement) active.checked = coupon?.active ?? true;
+
+    const title = document.getElementById('couponFormTitle');
+    if (title) title.textContent = coupon ? `Editar ${coupon.code}` : 'Nuevo cupón';
+
+    document.getElementById('couponFormCard')?.classList.remove('d-none');
+  }
+
+  private hideForm(): void {
+    document.getElementById('couponFormCard')?.classList.add('d-none');
+  }
+
+  private hideUsage(): void {
+    document.getElementById('couponUsageCard')?.classList.add('d-none');
+  }
+
+  /**
+   * Timestamp as a datetime-local value in the browser's time zone
+   */
+  private toLocalInput(value: string | null | undefined): string {
+    if (!value) return '';
+    const date = new Date(value);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+  }
+
+  private formatDate(value: string | null | undefined): string {
+    return value ? new Date(value).toLocaleDateString('es-VE') : '';
+  }
+
+  private bindFormEvents(): void {
+    if (this.bound) return;
+    this.bound = true;
+
+    document.getElementById('addCouponBtn')?.addEventListener('click', () => this.showCreateForm());
+    document.getElementById('cancelCouponBtn')?.addEventListener('click', () => this.hideForm());
+    document.getElementById('closeCouponUsageBtn')?.addEventListener('click', () => this.hideUsage());
+
+    const couponForm = document.getElementById('couponForm');
+    couponForm?.addEventListener('submit', (event) => {
+      event.preventDefault();
+      if (couponForm instanceof HTMLFormElement) void this.handleCouponSubmit(couponForm);
+    });
+  }
+
+  private renderCouponsTable(coupons: CouponWithUsage[]): void {
+    const tableBody = document.getElementById('couponsTableBody');
+    if (!tableBody) return;
+
+    if (coupons.length === 0) {
+      tableBody.innerHTML = `
+        <tr>
+          <td colspan="8" class="text-center text-muted">No hay cupones configurados</td>
+        </tr>
+      `;
+      return;
+    }
+
+    tableBody.innerHTML = coupons.map(coupon => {
+      const restricted = coupon.occasion_ids.length > 0 || coupon.product_ids.length > 0;
+      const validity = [
+        coupon.starts_at ? `Desde ${this.formatDate(coupon.starts_at)}` : '',
+        coupon.expires_at ? `Hasta ${this.formatDate(coupon.expires_at)}` : ''
+      ].filter(Boolean).join('<br>');
+
+      return `
+      <tr>
+        <td>
+          <strong>${this.escapeHtml(coupon.code)}</strong>
+          ${coupon.description ? `<div class="small text-muted">${this.escapeHtml(coupon.description)}</div>` : ''}
+        </td>
+        <td>
+          ${coupon.discount_type === 'percentage' ? `${coupon.discount_value}%` : `$${coupon.discount_value.toFixed(2)}`}
+          ${restricted ? '<div class="small text-muted">Productos seleccionados</div>' : ''}
+        </td>
+        <td>${coupon.min_order_usd > 0 ? `$${coupon.min_order_usd.toFixed(2)}` : '<span class="text-muted">No</span>'}</td>
+        <td>${validity || '<span class="text-muted">Siempre</span>'}</td>
+        <td>
+          ${coupon.uses}${coupon.usage_limit ? ` / ${coupon.usage_limit}` : ''}
+          ${coupon.per_customer_limit ? `<div class="small text-muted">${coupon.per_customer_limit} por cliente</div>` : ''}
+        </td>
+        <td>$${coupon.discount_total_usd.toFixed(2)}</td>
+        <td>
+          <span class="badge bg-${coupon.active ? 'success' : 'secondary'}">
+            ${coupon.active ? 'Activo' : 'Inactivo'}
+          </span>
+        </td>
+        <td>
+          <div class="btn-group btn-group-sm">
+            <button class="btn btn-outline-info" onclick="adminPanel.coupons.showUsage(${coupon.id})"
+                    title="Ver uso">
+              <i class="bi bi-bar-chart"></i>
+            </button>
+            <button class="btn btn-outline-primary" onclick="adminPanel.coupons.editCoupon(${coupon.id})"
+                    title="Editar cupón">
+              <i class="bi bi-pencil"></i>
+            </button>
+            <button class="btn btn-outline-${coupon.active ? 'warning' : 'success'}"
+                    onclick="adminPanel.coupons.toggleCoupon(${coupon.id}, ${coupon.active})"
+                    title="${coupon.active ? 'Desactivar' : 'Activar'} cupón">
+              <i class="bi bi-${coupon.active ? 'pause' : 'play'}"></i>
+            </button>
+            <button class="btn btn-outline-danger" onclick="adminPanel.coupons.deleteCoupon(${coupon.id})"
+                    title="Eliminar cupón">
+              <i class="bi bi-trash"></i>
+            </button>
+          </div>
+        </td>
+      </tr>
+    `;
+    }).join('');
+  }
+
+  private renderUsage(report: CouponUsageReport): void {
+    const title = document.getElementById('couponUsageTitle');
+    if (title) title.textContent = `Uso de ${report.coupon.code}`;
+
+    const summary = document.getElementById('couponUsageSummary');
+    if (summary) {
+      summary.innerHTML = `
+        <div class="col-md-3"><div class="text-muted small">Pedidos</div><strong>${report.coupon.uses}</strong></div>
+        <div class="col-md-3"><div class="text-muted small">Clientes</div><strong>${report.customers}</strong></div>
+        <div class="col-md-3"><div class="text-muted small">Descuento otorgado</div><strong>$${report.coupon.discount_total_usd.toFixed(2)}</strong></div>
+        <div class="col-md-3"><div class="text-muted small">Ventas</div><strong>$${report.revenue_usd.toFixed(2)}</strong></div>
+        <div class="col-12 small text-muted">
+          ${report.remaining_uses === null ? 'Sin límite de usos' : `Quedan ${report.remaining_uses} usos`}
+        </div>
+      `;
+    }
+
+    const tableBody = document.getElementById('couponUsageTableBody');
+    if (tableBody) {
+      tableBody.innerHTML = report.orders.length === 0
+        ? '<tr><td colspan="5" class="text-center text-muted">Ningún pedido ha usado este cupón</td></tr>'
+        : report.orders.map(order => `
+          <tr>
+            <td>${this.escapeHtml(order.order_number)}</td>
+            <td>
+              ${this.escapeHtml(order.customer_name)}
+              <div class="small text-muted">${this.escapeHtml(order.customer_email)}</div>
+            </td>
+            <td>${STATUS_LABELS[order.status ?? ''] ?? this.escapeHtml(order.status ?? '')}</td>
+            <td>-$${order.discount_usd.toFixed(2)}</td>
+            <td>$${order.total_amount_usd.toFixed(2)}</td>
+          </tr>
+        `).join('');
+    }
+
+    document.getElementById('couponUsageCard')?.classList.remove('d-none');
+  }
+
+  private escapeHtml(value: string): string {
+    const div = document.createElement('div');
+    div.textContent = value;
+    return div.innerHTML;
+  }
+}
@@ -3,6 +3,8 @@
  * Handles dashboard data loading, metrics, alerts, and activity feed
  */
 
+import { getAuthHeaders } from '../services/apiClient.js';
+
 import type { DashboardMetrics, AlertData, ActivityData, AdminPanelLogger } from './types.js';
 
 export class AdminDashboard {
@@ -43,7 +45,7 @@ export class AdminDashboard {
    */
   private async fetchDashboardMetrics(): Promise<DashboardMetrics> {
     try {
-      const response = await fetch('/api/admin/dashboard/metrics');
+      const response = await fetch('/api/admin/dashboard/metrics', { headers: getAuthHeaders() });
       if (!response.ok) throw new Error('Failed to fetch metrics');
       const data = await response.json();
 
@@ -69,7 +71,7 @@ export class AdminDashboard {
    */
   private async fetchDashboardAlerts(): Promise<AlertData[]> {
     try {
-      const response = await fetch('/api/admin/dashboard/alerts');
+      const response = await fetch('/api/admin/dashboard/alerts', { headers: getAuthHeaders() });
       if (!response.ok) throw new Error('Failed to fetch alerts');
       const data = await response.json();
 
@@ -84,7 +86,7 @@ export class AdminDashboard {
    */
   private async fetchRecentActivity(): Promise<ActivityData[]> {
     try {
-      const response = await fetch('/api/admin/dashboard/activity');
+      const response = await fetch('/api/admin/dashboard/activity', { headers: getAuthHeaders() });
       if (!response.ok) throw new Error('Failed to fetch activity');
       const data = await response.json();
 
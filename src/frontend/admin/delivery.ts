@@ -0,0 +1,493 @@
+/**
+ * 🌸 FloresYa Admin Delivery Module
+ * Manages delivery slots per weekday, their capacity and same-day cutoff, days without deliveries
+ * and the zones served with their delivery fee
+ */
+
+import type { DeliveryBlackoutDate, DeliverySlot, DeliveryZone } from '../../shared/types/index.js';
+
+import { getAuthHeaders } from '../services/apiClient.js';
+
+import type { AdminPanelLogger } from './types.js';
+
+// Indexed like delivery_slots.weekday: 0 = domingo
+const WEEKDAY_LABELS = ['Domingo', 'Lunes', 'Martes', 'Miércoles', 'Jueves', 'Viernes', 'Sábado'];
+
+export class AdminDelivery {
+  private logger: AdminPanelLogger;
+  private slots: DeliverySlot[] = [];
+  private zones: DeliveryZone[] = [];
+  private bound = false;
+
+  constructor(logger: AdminPanelLogger) {
+    this.logger = logger;
+  }
+
+  /**
+   * Load every slot and zone, including inactive ones, and the upcoming blackout dates
+   */
+  public async loadDeliveryData(): Promise<void> {
+    this.bindFormEvents();
+    await Promise.all([this.loadSlots(), this.loadBlackoutDates(), this.loadZones()]);
+  }
+
+  /**
+   * Open the form empty for a new slot
+   */
+  public showCreateForm(): void {
+    this.fillForm(null);
+  }
+
+  /**
+   * Open the form with an existing slot
+   */
+  public editSlot(id: number): void {
+    const slot = this.slots.find(s => s.id === id);
+    if (slot) this.fillForm(slot);
+  }
+
+  /**
+   * Toggle whether the slot is offered at checkout
+   */
+  public async toggleSlot(id: number, isActive: boolean): Promise<void> {
+    await this.saveSlot(id, { active: !isActive },
+      `Horario ${isActive ? 'desactivado' : 'activado'} exitosamente`);
+  }
+
+  public async deleteSlot(id: number): Promise<void> {
+    if (!window.confirm('¿Estás seguro de que deseas eliminar este horario? Los pedidos ya realizados lo conservan.')) return;
+
+    try {
+      const response = await fetch(`/api/delivery/slots/${id}`, {
+        method: 'DELETE',
+        headers: getAuthHeaders()
+      });
+      const result = await response.json() as { message?: string };
+      if (!response.ok) throw new Error(result.message ?? 'Failed to delete delivery slot');
+
+      this.logger.log(`Delivery slot ${id} deleted`, 'success');
+      void this.loadSlots();
+    } catch (error: unknown) {
+      this.logger.log('Error deleting delivery slot: ' + (error instanceof Error ? error.message : 'Unknown error'), 'error');
+    }
+  }
+
+  /**
+   * Open the zone form empty for a new zone
+   */
+  public showCreateZoneForm(): void {
+    this.fillZoneForm(null);
+  }
+
+  public editZone(id: number): void {
+    const zone = this.zones.find(z => z.id === id);
+    if (zone) this.fillZoneForm(zone);
+  }
+
+  /**
+   * Toggle whether addresses in the zone can check out
+   */
+  public async toggleZone(id: number, isActive: boolean): Promise<void> {
+    await this.saveZone(id, { active: !isActive },
+      `Zona ${isActive ? 'desactivada' : 'activada'} exitosamente`);
+  }
+
+  public async deleteZone(id: number): Promise<void> {
+    if (!window.confirm('¿Estás seguro de que deseas eliminar esta zona? Los pedidos ya realizados conservan su costo de envío.')) return;
+
+    try {
+      const response = await fetch(`/api/delivery/zones/${id}`, {
+        method: 'DELETE',
+        headers: getAuthHeaders()
+      });
+      const result = await response.json() as { message?: string };
+      if (!response.ok) throw new Error(result.message ?? 'Failed to delete delivery zone');
+
+      this.logger.log(`Delivery zone ${id} deleted`, 'success');
+      void this.loadZones();
+    } catch (error: unknown) {
+      this.logger.log('Error deleting delivery zone: ' + (error instanceof Error ? error.message : 'Unknown error'), 'error');
+    }
+  }
+
+  public async removeBlackoutDate(date: string): Promise<void> {
+    try {
+      const response = await fetch(`/api/delivery/blackouts/${date}`, {
+        method: 'DELETE',
+        headers: getAuthHeaders()
+      });
+      const result = await response.json() as { message?: string };
+      if (!response.ok) throw new Error(result.message ?? 'Failed to remove blackout date');
+
+      this.logger.log(`Blackout date ${date} removed`, 'success');
+      void this.loadBlackoutDates();
+    } catch (error: unknown) {
+      this.logger.log('Error removing blackout date: ' + (error instanceof Error ? error.message : 'Unknown error'), 'error');
+    }
+  }
+
+  private async loadSlots(): Promise<void> {
+    try {
+      const response = await fetch('/api/delivery/slots', { headers: getAuthHeaders() });
+      if (!response.ok) throw new Error('Failed to fetch delivery slots');
+
+      const result = await response.json() as { data?: DeliverySlot[] };
+      this.slots = result.data ?? [];
+      this.logger.log(`Loaded ${this.slots.length} delivery slots from API`, 'success');
+
+      this.renderSlotsTable(this.slots);
+    } catch (error: unknown) {
+      this.logger.log('Error loading delivery slots: ' + (error instanceof Error ? error.message : 'Unknown error'), 'error');
+      this.renderSlotsTable([]);
+    }
+  }
+
+  private async loadBlackoutDates(): Promise<void> {
+    try {
+      const today = new Date().toISOString().split('T')[0] ?? '';
+      const response = await fetch(`/api/delivery/blackouts?from=${today}`, { headers: getAuthHeaders() });
+      if (!response.ok) throw new Error('Failed to fetch blackout dates');
+
+      const result = await response.json() as { data?: DeliveryBlackoutDate[] };
+      this.renderBlackoutList(result.data ?? []);
+    } catch (error: unknown) {
+      this.logger.log('Error loading blackout dates: ' + (error instanceof Error ? error.message : 'Unknown error'), 'error');
+      this.renderBlackoutList([]);
+    }
+  }
+
+  private async loadZones(): Promise<void> {
+    try {
+      const response = await fetch('/api/delivery/zones/all', { headers: getAuthHeaders() });
+      if (!response.ok) throw new Error('Failed to fetch delivery zones');
+
+      const result = await response.json() as { data?: DeliveryZone[] };
+      this.zones = result.data ?? [];
+      this.logger.log(`Loaded ${this.zones.length} delivery zones from API`, 'success');
+
+      this.renderZonesTable(this.zones);
+    } catch (error: unknown) {
+      this.logger.log('Error loading delivery zones: ' + (error instanceof Error ? error.message : 'Unknown error'), 'error');
+      this.renderZonesTable([]);
+    }
+  }
+
+  private async saveZone(id: number | null, body: Record<string, unknown>, successMessage: string): Promise<boolean> {
+    try {
+      const response = await fetch(id ? `/api/delivery/zones/${id}` : '/api/delivery/zones', {
+        method: id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json', ...getAuthHeaders() },
+        body: JSON.stringify(body)
+      });
+      const result = await response.json() as { message?: string };
+      if (!response.ok) throw new Error(result.message ?? 'Failed to save delivery zone');
+
+      this.logger.log(successMessage, 'success');
+      void this.loadZones();
+      return true;
+    } catch (error: unknown) {
+      this.logger.log('Error saving delivery zone: ' + (error instanceof Error ? error.message : 'Unknown error'), 'error');
+      return false;
+    }
+  }
+
+  private async handleZoneSubmit(form: HTMLFormElement): Promise<void> {
+    const data = new FormData(form);
+    const text = (name: string): string => String(data.get(name) ?? '').trim();
+
+    const id = Number(text('id')) || null;
+    const saved = await this.saveZone(id, {
+      name: text('name'),
+      state: text('state'),
+      localities: text('localities').split(',').map(locality => locality.trim()).filter(Boolean),
+      fee_usd: Number(text('fee_usd')),
+      min_order_usd: Number(text('min_order_usd')) || 0,
+      delivery_weekdays: data.getAll('delivery_weekdays').map(Number),
+      active: data.get('active') === 'on'
+    }, id ? 'Zona actualizada exitosamente' : 'Zona creada exitosamente');
+
+    if (saved) this.hideZoneForm();
+  }
+
+  private async saveSlot(id: number | null, body: Record<string, unknown>, successMessage: string): Promise<boolean> {
+    try {
+      const response = await fetch(id ? `/api/delivery/slots/${id}` : '/api/delivery/slots', {
+        method: id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json', ...getAuthHeaders() },
+        body: JSON.stringify(body)
+      });
+      const result = await response.json() as { message?: string };
+      if (!response.ok) throw new Error(result.message ?? 'Failed to save delivery slot');
+
+      this.logger.log(successMessage, 'success');
+      void this.loadSlots();
+      return true;
+    } catch (error: unknown) {
+      this.logger.log('Error saving delivery slot: ' + (error instanceof Error ? error.message : 'Unknown error'), 'error');
+      return false;
+    }
+  }
+
+  private async handleSlotSubmit(form: HTMLFormElement): Promise<void> {
+    const data = new FormData(form);
+    const text = (name: string): string => String(data.get(name) ?? '').trim();
+
+    const id = Number(text('id')) || null;
+    const saved = await this.saveSlot(id, {
+      weekday: Number(text('weekday')),
+      start_time: text('start_time'),
+      end_time: text('end_time'),
+      capacity: Number(text('capacity')),
+      same_day_cutoff: text('same_day_cutoff') || null,
+      active: data.get('active') === 'on'
+    }, id ? 'Horario actualizado exitosamente' : 'Horario creado exitosamente');
+
+    if (saved) this.hideForm();
+  }
+
+  private async handleBlackoutSubmit(form: HTMLFormElement): Promise<void> {
+    const data = new FormData(form);
+
+    try {
+      const response = await fetch('/api/delivery/blackouts', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...getAuthHeaders() },
+        body: JSON.stringify({
+          blackout_date: String(data.get('blackout_date') ?? ''),
+          reason: String(data.get('reason') ?? '').trim() || null
+        })
+      });
+      const result = await response.json() as { message?: string };
+      if (!response.ok) throw new Error(result.message ?? 'Failed to add blackout date');
+
+      this.logger.log('Día sin entregas agregado exitosamente', 'success');
+      form.reset();
+      void this.loadBlackoutDates();
+    } catch (error: unknown) {
+      this.logger.log('Error adding blackout date: ' + (error instanceof Error ? error.message : 'Unknown error'), 'error');
+    }
+  }
+
+  private fillForm(slot: DeliverySlot | null): void {
+    const form = document.getElementById('deliverySlotForm');
+    if (!(form instanceof HTMLFormElement)) return;
+
+    form.reset();
+    const setValue = (name: string, value: string | number | undefined | null): void => {
+      const input = form.elements.namedItem(name);
+      if (input instanceof HTMLInputElement || input instanceof HTMLSelectElement) {
+        input.value = value === undefined || value === null ? '' : String(value);
+      }
+    };
+
+    setValue('id', slot?.id);
+    setValue('weekday', slot?.weekday ?? 1);
+    setValue('start_time', slot?.start_time.slice(0, 5));
+    setValue('end_time', slot?.end_time.slice(0, 5));
+    setValue('capacity', slot?.capacity ?? 10);
+    setValue('same_day_cutoff', slot?.same_day_cutoff?.slice(0, 5));
+
+    const active = form.elements.namedItem('active');
+    if (active instanceof HTMLInputElement) active.checked = slot?.active ?? true;
+
+    const title = document.getElementById('deliverySlotFormTitle');
+    if (title) title.textContent = slot ? `Editar ${WEEKDAY_LABELS[slot.weekday]} ${slot.label}` : 'Nuevo horario';
+
+    document.getElementById('deliverySlotFormCard')?.classList.remove('d-none');
+  }
+
+  private hideForm(): void {
+    document.getElementById('deliverySlotFormCard')?.classList.add('d-none');
+  }
+
+  private fillZoneForm(zone: DeliveryZone | null): void {
+    const form = document.getElementById('deliveryZoneForm');
+    if (!(form instanceof HTMLFormElement)) return;
+
+    form.reset();
+    const setValue = (name: string, value: string | number | undefined | null): void => {
+      const input = form.elements.namedItem(name);
+      if (input instanceof HTMLInputElement) {
+        input.value = value === undefined || value === null ? '' : String(value);
+      }
+    };
+
+    setValue('id', zone?.id);
+    setValue('name', zone?.name);
+    setValue('state', zone?.state);
+    setValue('localities', zone?.localities.join(', '));
+    setValue('fee_usd', zone?.fee_usd);
+    setValue('min_order_usd', zone?.min_order_usd ?? 0);
+
+    form.querySelectorAll<HTMLInputElement>('input[name="delivery_weekdays"]').forEach(input => {
+      input.checked = zone ? zone.delivery_weekdays.includes(Number(input.value)) : true;
+    });
+
+    const active = form.elements.namedItem('active');
+    if (active instanceof HTMLInputElement) active.checked = zone?.active ?? true;
+
+    const title = document.getElementById('deliveryZoneFormTitle');
+    if (title) title.textContent = zone ? `Editar ${zone.name}` : 'Nueva zona';
+
+    document.getElementById('deliveryZoneFormCard')?.classList.remove('d-none');
+  }
+
+  private hideZoneForm(): void {
+    document.getElementById('deliveryZoneFormCard')?.classList.add('d-none');
+  }
+
+  private bindFormEvents(): void {
+    if (this.bound) return;
+    this.bound = true;
+
+    document.getElementById('addDeliverySlotBtn')?.addEventListener('click', () => this.showCreateForm());
+    document.getElementById('cancelDeliverySlotBtn')?.addEventListener('click', () => this.hideForm());
+
+    const slotForm = document.getElementById('deliverySlotForm');
+    slotForm?.addEventListener('submit', (event) => {
+      event.preventDefault();
+      if (slotForm instanceof HTMLFormElement) void this.handleSlotSubmit(slotForm);
+    });
+
+    const blackoutForm = document.getElementById('blackoutDateForm');
+    blackoutForm?.addEventListener('submit', (event) => {
+      event.preventDefault();
+      if (blackoutForm instanceof HTMLFormElement) void this.handleBlackoutSubmit(blackoutForm);
+    });
+
+    document.getElementById('addDeliveryZoneBtn')?.addEventListener('click', () => this.showCreateZoneForm());
+    document.getElementById('cancelDeliveryZoneBtn')?.addEventListener('click', () => this.hideZoneForm());
+
+    const zoneForm = document.getElementById('deliveryZoneForm');
+    zoneForm?.addEventListener('submit', (event) => {
+      event.preventDefault();
+      if (zoneForm instanceof HTMLFormElement) void this.handleZoneSubmit(zoneForm);
+    });
+  }
+
+  /**
+   * Render slots table, grouped by weekday as the API returns them
+   */
+  private renderSlotsTable(slots: DeliverySlot[]): void {
+    const tableBody = document.getElementById('deliverySlotsTableBody');
+    if (!tableBody) return;
+
+    if (slots.length === 0) {
+      tableBody.innerHTML = `
+        <tr>
+          <td colspan="6" class="text-center text-muted">No hay horarios de entrega configurados</td>
+        </tr>
+      `;
+      return;
+    }
+
+    tableBody.innerHTML = slots.map(slot => `
+      <tr>
+        <td>${WEEKDAY_LABELS[slot.weekday] ?? slot.weekday}</td>
+        <td>${this.escapeHtml(slot.label)}</td>
+        <td>${slot.capacity} pedidos</td>
+        <td>${slot.same_day_cutoff ? `Hasta las ${slot.same_day_cutoff.slice(0, 5)}` : '<span class="text-muted">No</span>'}</td>
+        <td>
+          <span class="badge bg-${slot.active ? 'success' : 'secondary'}">
+            ${slot.active ? 'Activo' : 'Inactivo'}
+          </span>
+        </td>
+        <td>
+          <div class="btn-group btn-group-sm">
+            <button class="btn btn-outline-primary" onclick="adminPanel.delivery.editSlot(${slot.id})"
+                    title="Editar horario">
+              <i class="bi bi-pencil"></i>
+            </button>
+            <button class="btn btn-outline-${slot.active ? 'warning' : 'success'}"
+                    onclick="adminPanel.delivery.toggleSlot(${slot.id}, ${slot.active})"
+                    title="${slot.active ? 'Desactivar' : 'Activar'} horario">
+              <i class="bi bi-${slot.active ? 'pause' : 'play'}"></i>
+            </button>
+            <button class="btn btn-outline-danger" onclick="adminPanel.delivery.deleteSlot(${slot.id})"
+                    title="Eliminar horario">
+              <i class="bi bi-trash"></i>
+            </button>
+          </div>
+        </td>
+      </tr>
+    `).join('');
+  }
+
+  private renderBlackoutList(dates: DeliveryBlackoutDate[]): void {
+    const list = document.getElementById('blackoutDatesList');
+    if (!list) return;
+
+    if (dates.length === 0) {
+      list.innerHTML = '<li class="list-group-item text-muted">No hay días sin entregas programados</li>';
+      return;
+    }
+
+    list.innerHTML = dates.map(blackout => `
+      <li class="list-group-item d-flex justify-content-between align-items-center">
+        <span>
+          <strong>${new Date(`${blackout.blackout_date}T00:00:00Z`).toLocaleDateString('es-VE', { timeZone: 'UTC' })}</strong>
+          ${blackout.reason ? `<span class="text-muted ms-2">${this.escapeHtml(blackout.reason)}</span>` : ''}
+        </span>
+        <button class="btn btn-outline-danger btn-sm" onclick="adminPanel.delivery.removeBlackoutDate('${blackout.blackout_date}')"
+                title="Quitar día sin entregas">
+          <i class="bi bi-x-lg"></i>
+        </button>
+      </li>
+    `).join('');
+  }
+
+  private renderZonesTable(zones: DeliveryZone[]): void {
+    const tableBody = document.getElementById('deliveryZonesTableBody');
+    if (!tableBody) return;
+
+    if (zones.length === 0) {
+      tableBody.innerHTML = `
+        <tr>
+          <td colspan="7" class="text-center text-muted">No hay zonas de entrega configuradas; no se aceptarán pedidos</td>
+        </tr>
+      `;
+      return;
+    }
+
+    tableBody.innerHTML = zones.map(zone => `
+      <tr>
+        <td>
+          <strong>${this.escapeHtml(zone.name)}</strong>
+          <div class="small text-muted">${this.escapeHtml(zone.state)}</div>
+        </td>
+        <td>${this.escapeHtml(zone.localities.join(', '))}</td>
+        <td>$${zone.fee_usd.toFixed(2)}</td>
+        <td>${zone.min_order_usd > 0 ? `$${zone.min_order_usd.toFixed(2)}` : '<span class="text-muted">No</span>'}</td>
+        <td>${zone.delivery_weekdays.length === 7 ? 'Todos' : zone.delivery_weekdays.map(day => WEEKDAY_LABELS[day]?.slice(0, 3)).join(', ')}</td>
+        <td>
+          <span class="badge bg-${zone.active ? 'success' : 'secondary'}">
+            ${zone.active ? 'Activa' : 'Inactiva'}
+          </span>
+        </td>
+        <td>
+          <div class="btn-group btn-group-sm">
+            <button class="btn btn-outline-primary" onclick="adminPanel.delivery.editZone(${zone.id})"
+                    title="Editar zona">
+              <i class="bi bi-pencil"></i>
+            </button>
+            <button class="btn btn-outline-${zone.active ? 'warning' : 'success'}"
+                    onclick="adminPanel.delivery.toggleZone(${zone.id}, ${zone.active})"
+                    title="${zone.active ? 'Desactivar' : 'Activar'} zona">
+              <i class="bi bi-${zone.active ? 'pause' : 'play'}"></i>
+            </button>
+            <button class="btn btn-outline-danger" onclick="adminPanel.delivery.deleteZone(${zone.id})"
+                    title="Eliminar zona">
+              <i class="bi bi-trash"></i>
+            </button>
+          </div>
+        </td>
+      </tr>
+    `).join('');
+  }
+
+  private escapeHtml(value: string): string {
+    const div = document.createElement('div');
+    div.textContent = value;
+    return div.innerHTML;
+  }
+}
@@ -0,0 +1,206 @@
+/**
+ * 🌸 FloresYa Admin Inventory Module
+ * Stock history per product and manual adjustments (counts, waste, restock)
+ */
+
+import type { InventoryMovement, InventoryMovementReason, Product } from '../../shared/types/index.js';
+
+import type { FloresYaAPI } from '../services/apiClient.js';
+import { getAuthHeaders } from '../services/apiClient.js';
+
+import type { AdminPanelLogger } from './types.js';
+
+const REASON_LABELS: Record<InventoryMovementReason, string> = {
+  sale: 'Venta',
+  cancellation: 'Cancelación',
+  adjustment: 'Ajuste manual',
+  waste: 'Merma',
+  restock: 'Reposición'
+};
+
+interface StockHistoryData {
+  product: Pick<Product, 'id' | 'name' | 'sku' | 'stock'>;
+  movements: InventoryMovement[];
+}
+
+export class AdminInventory {
+  private logger: AdminPanelLogger;
+  private api: FloresYaAPI;
+  private selectedProductId: number | null = null;
+  private bound = false;
+
+  constructor(logger: AdminPanelLogger, api: FloresYaAPI) {
+    this.logger = logger;
+    this.api = api;
+  }
+
+  /**
+   * Fill the product selector and show the history of the selected product
+   */
+  public async loadInventoryData(): Promise<void> {
+    this.bindEvents();
+
+    try {
+      const response = await this.api.getProducts({
+        limit: 100,
+        sort_by: 'name',
+        sort_direction: 'asc'
+      });
+      const products = (response.data?.products ?? []) as unknown as Product[];
+      this.renderProductOptions(products);
+
+      const firstProduct = products[0];
+      if (this.selectedProductId === null && firstProduct) {
+        this.selectedProductId = firstProduct.id;
+      }
+      if (this.selectedProductId !== null) {
+        await this.loadStockHistory(this.selectedProductId);
+      }
+    } catch (error: unknown) {
+      this.logger.log('Error loading inventory: ' + (error instanceof Error ? error.message : 'Unknown error'), 'error');
+      this.renderMovementsTable([]);
+    }
+  }
+
+  /**
+   * Load current stock and movements of one product
+   */
+  public async loadStockHistory(productId: number): Promise<void> {
+    this.selectedProductId = productId;
+
+    try {
+      const response = await fetch(`/api/inventory/products/${productId}/movements?limit=50`, {
+        headers: getAuthHeaders()
+      });
+      const result = await response.json() as { data?: StockHistoryData; message?: string };
+      if (!response.ok || !result.data) throw new Error(result.message ?? 'Failed to fetch stock history');
+
+      const { product, movements } = result.data;
+      const stockLabel = document.getElementById('inventoryCurrentStock');
+      if (stockLabel) stockLabel.textContent = String(product.stock ?? 0);
+
+      this.renderMovementsTable(movements);
+      this.logger.log(`Loaded ${movements.length} inventory movements for product ${productId}`, 'success');
+    } catch (error: unknown) {
+      this.logger.log('Error loading stock history: ' + (error instanceof Error ? error.message : 'Unknown error'), 'error');
+      this.renderMovementsTable([]);
+    }
+  }
+
+  private async handleAdjustmentSubmit(form: HTMLFormElement): Promise<void> {
+    if (this.selectedProductId === null) return;
+
+    const data = new FormData(form);
+    const reason = String(data.get('reason') ?? 'adjustment') as InventoryMovementReason;
+    const quantity = Math.abs(parseInt(String(data.get('quantity') ?? '0'), 10) || 0);
+    const direction = reason === 'waste' ? -1
+      : reason === 'restock' ? 1
+      : data.get('direction') === 'remove' ? -1 : 1;
+    const notes = String(data.get('notes') ?? '').trim();
+
+    if (quantity === 0) {
+      this.logger.log('La cantidad debe ser mayor que cero', 'warn');
+      return;
+    }
+
+    try {
+      const response = await fetch('/api/inventory/adjustments', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...getAuthHeaders() },
+        body: JSON.stringify({
+          product_id: this.selectedProductId,
+          quantity_change: quantity * direction,
+          reason,
+          notes: notes || undefined
+        })
+      });
+      const result = await response.json() as { message?: string };
+      if (!response.ok) throw new Error(result.message ?? 'Failed to adjust stock');
+
+      this.logger.log(`Movimiento registrado (${REASON_LABELS[reason]}): ${result.message ?? ''}`, 'success');
+      form.reset();
+      this.toggleDirection(form);
+      await this.loadStockHistory(this.selectedProductId);
+    } catch (error: unknown) {
+      this.logger.log('Error adjusting stock: ' + (error instanceof Error ? error.message : 'Unknown error'), 'error');
+    }
+  }
+
+  // Waste always removes and restock always adds; only manual counts can go either way
+  private toggleDirection(form: HTMLFormElement): void {
+    const reason = form.elements.namedItem('reason');
+    const direction = document.getElementById('inventoryDirectionGroup');
+    if (reason instanceof HTMLSelectElement && direction) {
+      direction.classList.toggle('d-none', reason.value !== 'adjustment');
+    }
+  }
+
+  private bindEvents(): void {
+    if (this.bound) return;
+    this.bound = true;
+
+    const select = document.getElementById('inventoryProductSelect');
+    select?.addEventListener('change', () => {
+      if (select instanceof HTMLSelectElement && select.value) {
+        void this.loadStockHistory(parseInt(select.value, 10));
+      }
+    });
+
+    const form = document.getElementById('inventoryAdjustmentForm');
+    if (form instanceof HTMLFormElement) {
+      document.getElementById('inv_reason')?.addEventListener('change', () => this.toggleDirection(form));
+      form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        void this.handleAdjustmentSubmit(form);
+      });
+      this.toggleDirection(form);
+    }
+  }
+
+  private renderProductOptions(products: Product[]): void {
+    const select = document.getElementById('inventoryProductSelect');
+    if (!(select instanceof HTMLSelectElement)) return;
+
+    select.innerHTML = products.map(product => `
+      <option value="${product.id}" ${product.id === this.selectedProductId ? 'selected' : ''}>
+        ${this.escapeHtml(product.name)}${product.sku ? ` (${this.escapeHtml(product.sku)})` : ''}
+      </option>
+    `).join('');
+  }
+
+  /**
+   * Render movements table
+   */
+  private renderMovementsTable(movements: InventoryMovement[]): void {
+    const tableBody = document.getElementById('inventoryMovementsTableBody');
+    if (!tableBody) return;
+
+    if (movements.length === 0) {
+      tableBody.innerHTML = `
+        <tr>
+          <td colspan="6" class="text-center text-muted">Sin movimientos registrados</td>
+        </tr>
+      `;
+      return;
+    }
+
+    tableBody.innerHTML = movements.map(movement => `
+      <tr>
+        <td><small>${new Date(movement.created_at).toLocaleString('es-VE')}</small></td>
+        <td>${REASON_LABELS[movement.reason] ?? movement.reason}</td>
+        <td class="fw-medium text-${movement.quantity_change > 0 ? 'success' : 'danger'}">
+          ${movement.quantity_change > 0 ? '+' : ''}${movement.quantity_change}
+        </td>
+        <td>${movement.balance_after}</td>
+        <td>${movement.order_id ? `#${movement.order_id}` : '-'}</td>
+        <td><small>${this.escapeHtml(movement.notes ?? '')}${movement.created_by ? ` · usuario #${movement.created_by}` : ''}</small></td>
+      </tr>
+    `).join('');
+  }
+
+  private escapeHtml(value: string): string {
+    const div = document.createElement('div');
+    div.textContent = value;
+    return div.innerHTML;
+  }
+}
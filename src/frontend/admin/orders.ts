@@ -3,10 +3,28 @@
  * Handles orders management, filtering, pagination, and order details
  */
 
+import { getAllowedOrderStatuses } from '../../shared/constants/index.js';
+
+import { getAuthHeaders } from '../services/apiClient.js';
+
 import type { AdminOrder, OrdersFilters, OrderDetails, AdminPanelLogger } from './types.js';
 
+type OrderLine = OrderDetails['items'][number];
+
+export const STATUS_LABELS: Record<string, string> = {
+  pending: 'Pendiente',
+  verified: 'Verificado',
+  preparing: 'Preparando',
+  shipped: 'Enviado',
+  delivered: 'Entregado',
+  cancelled: 'Cancelado'
+};
+
 export class AdminOrders {
   private logger: AdminPanelLogger;
+  private currentOrderId: number | null = null;
+  private filters: OrdersFilters = {}; // Kept while paging
+  private bound = false;
 
   constructor(logger: AdminPanelLogger) {
     this.logger = logger;
@@ -15,7 +33,10 @@ export class AdminOrders {
   /**
    * Load orders data with filtering and pagination
    */
-  public async loadOrdersData(page = 1, filters: OrdersFilters = {}): Promise<void> {
+  public async loadOrdersData(page = 1, filters: OrdersFilters = this.filters): Promise<void> {
+    this.bindEvents();
+    this.filters = filters;
+
     try {
       this.showOrdersLoading();
 
@@ -75,10 +96,11 @@ export class AdminOrders {
       this.showLoading();
 
       // Fetch real order details from API
-      const response = await fetch(`/api/admin/orders/${orderId}`);
+      const response = await fetch(`/api/orders/${orderId}`, { headers: getAuthHeaders() });
       if (!response.ok) throw new Error('Failed to fetch order details');
 
-      const orderDetails = await response.json();
+      const result = await response.json() as { data: { order: OrderDetails } };
+      const orderDetails = result.data.order;
       this.logger.log(`Loaded order details for order ${orderId}`, 'success');
 
       // Update modal with order data
@@ -116,20 +138,32 @@ export class AdminOrders {
       this.logger.log(`Updating order ${orderId} status to ${newStatus}`, 'info');
 
       // Send status update to API
-      const response = await fetch(`/api/admin/orders/${orderId}/status`, {
+      const response = await fetch(`/api/orders/${orderId}/status`, {
         method: 'PATCH',
         headers: {
           'Content-Type': 'application/json',
+          ...getAuthHeaders()
         },
         body: JSON.stringify({ status: newStatus })
       });
 
+      // 409 means the transition is not allowed; the API lists the valid next states
+      if (response.status === 409) {
+        const result = await response.json() as { message: string; allowed_statuses: string[] };
+        const allowed = result.allowed_statuses.map(status => STATUS_LABELS[status] ?? status).join(', ');
+        this.showError(`${result.message}. Estados permitidos: ${allowed || 'ninguno'}`);
+        return;
+      }
+
       if (!response.ok) throw new Error('Failed to update order status');
 
       this.logger.log(`Order ${orderId} status updated successfully`, 'success');
 
       // Reload orders to reflect changes
       void this.loadOrdersData();
+      if (this.currentOrderId === orderId) {
+        void this.loadOrderDetails(orderId);
+      }
 
     } catch (error: unknown) {
       this.logger.log('Error updating order status: ' + (error instanceof Error ? error.message : 'Unknown error'), 'error');
@@ -181,6 +215,157 @@ export class AdminOrders {
     }
   }
 
+  /**
+   * Print the packing slip of an order: every arrangement with the add-ons
+   * that go with it, and where and when to deliver it
+   */
+  public async printPackingSlip(orderId: number): Promise<void> {
+    try {
+      const response = await fetch(`/api/orders/${orderId}`, { headers: getAuthHeaders() });
+      if (!response.ok) throw new Error('Failed to fetch order details');
+
+      const result = await response.json() as { data: { order: OrderDetails } };
+      const order = result.data.order;
+
+      const slipWindow = window.open('', '_blank', 'width=800,height=900');
+      if (!slipWindow) throw new Error('Popup blocked');
+
+      slipWindow.document.write(this.renderPackingSlip(order));
+      slipWindow.document.close();
+      slipWindow.focus();
+      slipWindow.print();
+      this.logger.log(`Printed packing slip for order ${orderId}`, 'info');
+    } catch (error: unknown) {
+      this.logger.log('Error printing packing slip: ' + (error instanceof Error ? error.message : 'Unknown error'), 'error');
+      this.showError('Error al imprimir la guía de empaque');
+    }
+  }
+
+  private renderPackingSlip(order: OrderDetails): string {
+    const rows = this.groupOrderLines(order.items).map(({ line, addons }) => `
+      <tr>
+        <td class="qty">${line.quantity}</td>
+        <td>
+          <strong>${this.escapeHtml(line.product_name)}</strong>
+          ${line.variant_name ? ` - ${this.escapeHtml(line.variant_name)}` : ''}
+          ${addons.map(addon => `<div class="addon">+ ${addon.quantity} × ${this.escapeHtml(addon.product_name)}</div>`).join('')}
+        </td>
+        <td class="check">☐</td>
+      </tr>
+    `).join('');
+
+    const delivery = [order.delivery_address, order.delivery_city].filter(Boolean).join(', ');
+    const when = [
+      order.delivery_date ? new Date(order.delivery_date).toLocaleDateString('es-VE') : null,
+      order.delivery_time_slot
+    ].filter(Boolean).join(' · ');
+
+    return `<!DOCTYPE html>
+      <html lang="es">
+      <head>
+        <meta charset="utf-8">
+        <title>Guía de empaque - Pedido ${this.escapeHtml(order.order_number)}</title>
+        <style>
+          body { font-family: Arial, sans-serif; margin: 24px; color: #111; }
+          h1 { font-size: 20px; margin: 0 0 4px; }
+          table { width: 100%; border-collapse: collapse; margin-top: 16px; }
+          th, td { border-bottom: 1px solid #ccc; padding: 8px; text-align: left; vertical-align: top; }
+          .qty, .check { width: 48px; text-align: center; }
+          .addon { margin-left: 16px; font-size: 13px; color: #444; }
+          .notes { margin-top: 16px; padding: 8px; border: 1px dashed #999; }
+        </style>
+      </head>
+      <body>
+        <h1>🌸 FloresYa - Pedido ${this.escapeHtml(order.order_number)}</h1>
+        <div>${this.escapeHtml(order.customer_name)}${order.customer_phone ? ` · ${this.escapeHtml(order.customer_phone)}` : ''}</div>
+        ${order.recipient_name ? `<div><strong>Destinatario:</strong> ${this.escapeHtml(order.recipient_name)}${order.recipient_phone ? ` · ${this.escapeHtml(order.recipient_phone)}` : ''}</div>` : ''}
+        <div><strong>Entrega:</strong> ${this.escapeHtml(delivery || 'No especificada')}</div>
+        ${when ? `<div><strong>Fecha:</strong> ${this.escapeHtml(when)}</div>` : ''}
+        <table>
+          <thead><tr><th class="qty">Cant.</th><th>Artículo</th><th class="check">✓</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+        ${order.card_message ? `<div class="notes"><strong>☐ Incluir tarjeta de regalo</strong>${order.is_anonymous ? ' (anónima)' : ''}</div>` : ''}
+        ${order.delivery_notes ? `<div class="notes"><strong>Notas de entrega:</strong> ${this.escapeHtml(order.delivery_notes)}</div>` : ''}
+      </body>
+      </html>`;
+  }
+
+  /**
+   * Print the card that travels with the bouquet; anonymous orders leave the sender out
+   */
+  public async printGiftCard(orderId: number): Promise<void> {
+    try {
+      const response = await fetch(`/api/orders/${orderId}`, { headers: getAuthHeaders() });
+      if (!response.ok) throw new Error('Failed to fetch order details');
+
+      const result = await response.json() as { data: { order: OrderDetails } };
+      const order = result.data.order;
+
+      const cardWindow = window.open('', '_blank', 'width=600,height=500');
+      if (!cardWindow) throw new Error('Popup blocked');
+
+      cardWindow.document.write(this.renderGiftCard(order));
+      cardWindow.document.close();
+      cardWindow.focus();
+      cardWindow.print();
+      this.logger.log(`Printed gift card for order ${orderId}`, 'info');
+    } catch (error: unknown) {
+      this.logger.log('Error printing gift card: ' + (error instanceof Error ? error.message : 'Unknown error'), 'error');
+      this.showError('Error al imprimir la tarjeta de regalo');
+    }
+  }
+
+  private renderGiftCard(order: OrderDetails): string {
+    const sender = order.is_anonymous ? 'Anónimo' : order.customer_name;
+
+    return `<!DOCTYPE html>
+      <html lang="es">
+      <head>
+        <meta charset="utf-8">
+        <title>Tarjeta - Pedido ${this.escapeHtml(order.order_number)}</title>
+        <style>
+          body { font-family: Georgia, serif; margin: 0; color: #111; }
+          .card { width: 10cm; min-height: 7cm; margin: 24px auto; padding: 24px; border: 1px solid #ccc; box-sizing: border-box; }
+          .to, .from { font-size: 14px; }
+          .message { font-size: 18px; line-height: 1.5; margin: 16px 0; white-space: pre-wrap; }
+          .from { text-align: right; }
+        </style>
+      </head>
+      <body>
+        <div class="card">
+          ${order.recipient_name ? `<div class="to">Para: ${this.escapeHtml(order.recipient_name)}</div>` : ''}
+          <div class="message">${this.escapeHtml(order.card_message ?? '')}</div>
+          <div class="from">De: ${this.escapeHtml(sender)}</div>
+        </div>
+      </body>
+      </html>`;
+  }
+
+  /**
+   * Pair each arrangement line with the add-on lines attached to it
+   */
+  private groupOrderLines(items: OrderDetails['items']): Array<{ line: OrderLine; addons: OrderLine[] }> {
+    const lineIds = new Set(items.map(item => item.id));
+    const groups = items
+      .filter(item => !item.parent_item_id || !lineIds.has(item.parent_item_id))
+      .sort((a, b) => a.id - b.id)
+      .map(line => ({ line, addons: [] as OrderLine[] }));
+
+    items
+      .filter(item => item.parent_item_id && lineIds.has(item.parent_item_id))
+      .sort((a, b) => a.id - b.id)
+      .forEach(addon => groups.find(group => group.line.id === addon.parent_item_id)?.addons.push(addon));
+
+    return groups;
+  }
+
+  private escapeHtml(value: string): string {
+    const div = document.createElement('div');
+    div.textContent = value;
+    return div.innerHTML;
+  }
+
   /**
    * Render orders table
    */
@@ -204,14 +389,14 @@ export class AdminOrders {
 
     ordersTableBody.innerHTML = orders.map(order => `
       <tr>
-        <td><strong>#${order.id}</strong></td>
+        <td><strong>${this.escapeHtml(order.order_number)}</strong></td>
         <td>
-          <div class="font-medium">${order.customer_name}</div>
-          ${order.customer_email ? `<small class="text-gray-500">${order.customer_email}</small>` : ''}
+          <div class="font-medium">${this.escapeHtml(order.customer_name)}</div>
+          ${order.customer_email ? `<small class="text-gray-500">${this.escapeHtml(order.customer_email)}</small>` : ''}
         </td>
         <td>$${order.total_amount_usd.toFixed(2)}</td>
         <td>
-          <span class="px-2 py-1 text-xs font-semibold rounded-full ${this.getStatusColorTailwind(order.status)}">${order.status}</span>
+          <span class="px-2 py-1 text-xs font-semibold rounded-full ${this.getStatusColorTailwind(order.status)}">${STATUS_LABELS[order.status] ?? order.status}</span>
         </td>
         <td>${new Date(order.created_at).toLocaleDateString()}</td>
         <td>${order.delivery_date ? new Date(order.delivery_date).toLocaleDateString() : '-'}</td>
@@ -223,8 +408,8 @@ export class AdminOrders {
               <i class="bi bi-eye"></i>
             </button>
             <button class="px-3 py-1 text-sm border border-gray-500 text-gray-500 rounded hover:bg-gray-50 transition-colors"
-                    onclick="adminPanel.orders.printOrder()"
-                    title="Imprimir">
+                    onclick="adminPanel.orders.printPackingSlip(${order.id})"
+                    title="Imprimir guía de empaque">
               <i class="bi bi-printer"></i>
             </button>
           </div>
@@ -239,7 +424,7 @@ export class AdminOrders {
   private renderOrderDetails(orderDetails: OrderDetails): void {
     // Update modal header
     const orderIdEl = document.getElementById('orderModalId');
-    if (orderIdEl) orderIdEl.textContent = `#${orderDetails.id}`;
+    if (orderIdEl) orderIdEl.textContent = orderDetails.order_number;
 
     // Update customer info
     const customerNameEl = document.getElementById('orderCustomerName');
@@ -250,24 +435,86 @@ export class AdminOrders {
     if (customerEmailEl) customerEmailEl.textContent = orderDetails.customer_email;
     if (customerPhoneEl) customerPhoneEl.textContent = orderDetails.customer_phone ?? 'No especificado';
 
+    // Update gift info
+    const recipientNameEl = document.getElementById('orderRecipientName');
+    const recipientPhoneEl = document.getElementById('orderRecipientPhone');
+    const anonymousBadgeEl = document.getElementById('orderAnonymousBadge');
+    const cardMessageEl = document.getElementById('orderCardMessage');
+
+    if (recipientNameEl) recipientNameEl.textContent = orderDetails.recipient_name ?? orderDetails.customer_name;
+    if (recipientPhoneEl) recipientPhoneEl.textContent = orderDetails.recipient_phone ?? 'No especificado';
+    if (anonymousBadgeEl) anonymousBadgeEl.style.display = orderDetails.is_anonymous ? '' : 'none';
+    if (cardMessageEl) cardMessageEl.textContent = orderDetails.card_message ?? 'Sin tarjeta';
+
     // Update order info
     const orderStatusEl = document.getElementById('orderStatus');
     const orderDateEl = document.getElementById('orderDate');
     const orderTotalEl = document.getElementById('orderTotal');
 
     if (orderStatusEl) {
-      orderStatusEl.innerHTML = `<span class="px-2 py-1 text-xs font-semibold rounded-full ${this.getStatusColorTailwind(orderDetails.status)}">${orderDetails.status}</span>`;
+      orderStatusEl.innerHTML = `<span class="px-2 py-1 text-xs font-semibold rounded-full ${this.getStatusColorTailwind(orderDetails.status)}">${STATUS_LABELS[orderDetails.status] ?? orderDetails.status}</span>`;
     }
     if (orderDateEl) orderDateEl.textContent = new Date(orderDetails.created_at).toLocaleDateString();
-    if (orderTotalEl) orderTotalEl.textContent = `$${orderDetails.total_amount_usd.toFixed(2)}`;
+    if (orderTotalEl) {
+      const included = [
+        ['envío', orderDetails.delivery_fee_usd ?? 0],
+        [`IVA ${orderDetails.iva_rate ?? 0}%`, orderDetails.iva_amount_usd ?? 0],
+        [`IGTF ${orderDetails.igtf_rate ?? 0}%`, orderDetails.igtf_amount_usd ?? 0]
+      ] as const;
+      const breakdown = included
+        .filter(([, amount]) => amount > 0)
+        .map(([label, amount]) => `${label} $${amount.toFixed(2)}`)
+        .join(', ');
+      const discount = orderDetails.discount_usd
+        ? `, descuento${orderDetails.coupon_code ? ` ${orderDetails.coupon_code}` : ''} -$${orderDetails.discount_usd.toFixed(2)}`
+        : '';
+      const promotions = (orderDetails.applied_promotions ?? [])
+        .map(promotion => `, ${promotion.name}${promotion.action_type === 'free_addon' ? '' : ` -$${promotion.discount_usd.toFixed(2)}`}`)
+        .join('');
+      orderTotalEl.textContent = `$${orderDetails.total_amount_usd.toFixed(2)}${breakdown ? ` (incluye ${breakdown})` : ''}${promotions}${discount}`;
+    }
 
     // Render order items
     this.renderOrderItems(orderDetails.items);
 
+    this.currentOrderId = orderDetails.id;
+    this.renderStatusOptions(orderDetails.status);
+
+    const printButton = document.getElementById('printOrderBtn');
+    if (printButton) printButton.onclick = () => void this.printPackingSlip(orderDetails.id);
+
+    const giftCardButton = document.getElementById('printGiftCardBtn');
+    if (giftCardButton) {
+      giftCardButton.style.display = orderDetails.card_message ? '' : 'none';
+      giftCardButton.onclick = () => void this.printGiftCard(orderDetails.id);
+    }
+
     // Show modal
     this.showOrderModal();
   }
 
+  /**
+   * Offer only the statuses the order can move to from its current one
+   */
+  private renderStatusOptions(currentStatus: string): void {
+    const select = document.getElementById('orderStatusSelect');
+    const button = document.getElementById('updateOrderStatusBtn');
+    if (!(select instanceof HTMLSelectElement) || !(button instanceof HTMLButtonElement)) return;
+
+    const allowed = getAllowedOrderStatuses(currentStatus);
+    select.innerHTML = allowed.length > 0
+      ? allowed.map(status => `<option value="${status}">${STATUS_LABELS[status] ?? status}</option>`).join('')
+      : '<option value="">Estado final</option>';
+    select.disabled = allowed.length === 0;
+    button.disabled = allowed.length === 0;
+
+    button.onclick = () => {
+      if (this.currentOrderId !== null && select.value) {
+        void this.updateOrderStatus(this.currentOrderId, select.value);
+      }
+    };
+  }
+
   /**
    * Render order items
    */
@@ -275,15 +522,25 @@ export class AdminOrders {
     const itemsContainer = document.getElementById('orderItemsContainer');
     if (!itemsContainer) return;
 
-    itemsContainer.innerHTML = items.map(item => `
+    // Add-ons are child lines, shown indented under the arrangement they go with
+    itemsContainer.innerHTML = this.groupOrderLines(items).map(({ line, addons }) => `
       <div class="grid grid-cols-4 gap-4 py-2 border-b border-gray-200">
         <div class="col-span-2">
-          <strong>${item.product_name}</strong>
+          <strong>${this.escapeHtml(line.product_name)}</strong>
+          ${line.variant_name ? `<div class="text-sm text-gray-500">${this.escapeHtml(line.variant_name)}</div>` : ''}
         </div>
-        <div class="text-center">${item.quantity}</div>
-        <div class="text-right">$${item.unit_price_usd.toFixed(2)}</div>
-        <div class="text-right">$${item.subtotal_usd.toFixed(2)}</div>
+        <div class="text-center">${line.quantity}</div>
+        <div class="text-right">$${line.unit_price_usd.toFixed(2)}</div>
+        <div class="text-right">$${line.subtotal_usd.toFixed(2)}</div>
       </div>
+      ${addons.map(addon => `
+        <div class="grid grid-cols-4 gap-4 py-1 border-b border-gray-100 text-sm text-gray-600">
+          <div class="col-span-2 pl-4">+ ${this.escapeHtml(addon.product_name)}</div>
+          <div class="text-center">${addon.quantity}</div>
+          <div class="text-right">$${addon.unit_price_usd.toFixed(2)}</div>
+          <div class="text-right">$${addon.subtotal_usd.toFixed(2)}</div>
+        </div>
+      `).join('')}
     `).join('');
   }
 
@@ -339,6 +596,35 @@ export class AdminOrders {
     `;
   }
 
+  private bindEvents(): void {
+    if (this.bound) return;
+    this.bound = true;
+
+    const search = document.getElementById('ordersSearch');
+    document.getElementById('ordersSearchBtn')?.addEventListener('click', () => void this.loadOrdersData(1, this.readFilters()));
+    search?.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') void this.loadOrdersData(1, this.readFilters());
+    });
+    for (const id of ['ordersStatusFilter', 'ordersDateFrom', 'ordersDateTo']) {
+      document.getElementById(id)?.addEventListener('change', () => void this.loadOrdersData(1, this.readFilters()));
+    }
+  }
+
+  private readFilters(): OrdersFilters {
+    const value = (id: string): string | undefined => {
+      const input = document.getElementById(id);
+      const text = input instanceof HTMLInputElement || input instanceof HTMLSelectElement ? input.value.trim() : '';
+      return text || undefined;
+    };
+
+    return {
+      search: value('ordersSearch'), // Order number, customer name or email
+      status: value('ordersStatusFilter'),
+      date_from: value('ordersDateFrom'),
+      date_to: value('ordersDateTo')
+    };
+  }
+
   /**
    * Update filter information
    */
@@ -361,8 +647,8 @@ export class AdminOrders {
   private getStatusColorTailwind(status: string): string {
     const colors: Record<string, string> = {
       'pending': 'bg-yellow-100 text-yellow-800',
-      'confirmed': 'bg-blue-100 text-blue-800',
-      'processing': 'bg-purple-100 text-purple-800',
+      'verified': 'bg-blue-100 text-blue-800',
+      'preparing': 'bg-purple-100 text-purple-800',
       'shipped': 'bg-gray-100 text-gray-800',
       'delivered': 'bg-green-100 text-green-800',
       'cancelled': 'bg-red-100 text-red-800'
@@ -0,0 +1,257 @@
+/**
+ * 🌸 FloresYa Admin Payment Methods Module
+ * Manages bank accounts, Pago Móvil, Zelle, cash and crypto details shown at checkout
+ */
+
+import type { PaymentMethod, PaymentMethodType } from '../../shared/types/index.js';
+
+import { getAuthHeaders } from '../services/apiClient.js';
+
+import type { AdminPanelLogger } from './types.js';
+
+const TYPE_LABELS: Record<PaymentMethodType, string> = {
+  bank_transfer: 'Transferencia bancaria',
+  mobile_payment: 'Pago Móvil',
+  cash: 'Efectivo',
+  crypto: 'Criptomonedas',
+  international: 'Internacional (Zelle)'
+};
+
+// account_info keys editable from the form, in display order
+const ACCOUNT_FIELDS = [
+  'bank_name', 'bank_code', 'account_number', 'account_holder', 'document_id',
+  'phone_number', 'email', 'wallet_address', 'network', 'instructions'
+] as const;
+
+export class AdminPaymentMethods {
+  private logger: AdminPanelLogger;
+  private methods: PaymentMethod[] = [];
+  private bound = false;
+
+  constructor(logger: AdminPanelLogger) {
+    this.logger = logger;
+  }
+
+  /**
+   * Load every payment method, including inactive ones
+   */
+  public async loadPaymentMethodsData(): Promise<void> {
+    try {
+      const response = await fetch('/api/payment-methods/all', { headers: getAuthHeaders() });
+      if (!response.ok) throw new Error('Failed to fetch payment methods');
+
+      const result = await response.json() as { data?: PaymentMethod[] };
+      this.methods = result.data ?? [];
+      this.logger.log(`Loaded ${this.methods.length} payment methods from API`, 'success');
+
+      this.renderPaymentMethodsTable(this.methods);
+      this.bindFormEvents();
+    } catch (error: unknown) {
+      this.logger.log('Error loading payment methods: ' + (error instanceof Error ? error.message : 'Unknown error'), 'error');
+      this.renderPaymentMethodsTable([]);
+    }
+  }
+
+  /**
+   * Open the form empty for a new method
+   */
+  public showCreateForm(): void {
+    this.fillForm(null);
+  }
+
+  /**
+   * Open the form with an existing method
+   */
+  public editPaymentMethod(id: number): void {
+    const method = this.methods.find(m => m.id === id);
+    if (method) this.fillForm(method);
+  }
+
+  /**
+   * Toggle whether the method is offered at checkout
+   */
+  public async togglePaymentMethod(id: number, isActive: boolean): Promise<void> {
+    await this.save(id, { is_active: !isActive },
+      `Método de pago ${isActive ? 'desactivado' : 'activado'} exitosamente`);
+  }
+
+  /**
+   * Delete method (the API deactivates it instead when payments reference it)
+   */
+  public async deletePaymentMethod(id: number): Promise<void> {
+    if (!window.confirm('¿Estás seguro de que deseas eliminar este método de pago?')) return;
+
+    try {
+      const response = await fetch(`/api/payment-methods/${id}`, {
+        method: 'DELETE',
+        headers: getAuthHeaders()
+      });
+      const result = await response.json() as { message?: string };
+      if (!response.ok) throw new Error(result.message ?? 'Failed to delete payment method');
+
+      this.logger.log(result.message ?? `Payment method ${id} deleted`, 'success');
+      void this.loadPaymentMethodsData();
+    } catch (error: unknown) {
+      this.logger.log('Error deleting payment method: ' + (error instanceof Error ? error.message : 'Unknown error'), 'error');
+    }
+  }
+
+  private async save(id: number | null, body: Record<string, unknown>, successMessage: string): Promise<boolean> {
+    try {
+      const response = await fetch(id ? `/api/payment-methods/${id}` : '/api/payment-methods', {
+        method: id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json', ...getAuthHeaders() },
+        body: JSON.stringify(body)
+      });
+      const result = await response.json() as { message?: string };
+      if (!response.ok) throw new Error(result.message ?? 'Failed to save payment method');
+
+      this.logger.log(successMessage, 'success');
+      void this.loadPaymentMethodsData();
+      return true;
+    } catch (error: unknown) {
+      this.logger.log('Error saving payment method: ' + (error instanceof Error ? error.message : 'Unknown error'), 'error');
+      return false;
+    }
+  }
+
+  private async handleFormSubmit(form: HTMLFormElement): Promise<void> {
+    const data = new FormData(form);
+    const text = (name: string): string => String(data.get(name) ?? '').trim();
+
+    const accountInfo: Record<string, string> = {};
+    ACCOUNT_FIELDS.forEach(field => {
+      const value = text(field);
+      if (value) accountInfo[field] = value;
+    });
+
+    const id = Number(text('id')) || null;
+    const saved = await this.save(id, {
+      name: text('name'),
+      type: text('type'),
+      description: text('description') || null,
+      display_order: Number(text('display_order')) || 0,
+      is_active: data.get('is_active') === 'on',
+      is_foreign_currency: data.get('is_foreign_currency') === 'on',
+      account_info: accountInfo
+    }, id ? 'Método de pago actualizado exitosamente' : 'Método de pago creado exitosamente');
+
+    if (saved) this.hideForm();
+  }
+
+  private fillForm(method: PaymentMethod | null): void {
+    const form = document.getElementById('paymentMethodForm');
+    if (!(form instanceof HTMLFormElement)) return;
+
+    form.reset();
+    const setValue = (name: string, value: string | number | undefined | null): void => {
+      const input = form.elements.namedItem(name);
+      if (input instanceof HTMLInputElement || input instanceof HTMLSelectElement || input instanceof HTMLTextAreaElement) {
+        input.value = value === undefined || value === null ? '' : String(value);
+      }
+    };
+
+    setValue('id', method?.id);
+    setValue('name', method?.name);
+    setValue('type', method?.type ?? 'bank_transfer');
+    setValue('description', method?.description);
+    setValue('display_order', method?.display_order ?? this.methods.length);
+    ACCOUNT_FIELDS.forEach(field => setValue(field, method?.account_info?.[field]));
+
+    const active = form.elements.namedItem('is_active');
+    if (active instanceof HTMLInputElement) active.checked = method?.is_active ?? true;
+
+    const foreignCurrency = form.elements.namedItem('is_foreign_currency');
+    if (foreignCurrency instanceof HTMLInputElement) foreignCurrency.checked = method?.is_foreign_currency ?? false;
+
+    const title = document.getElementById('paymentMethodFormTitle');
+    if (title) title.textContent = method ? `Editar ${method.name}` : 'Nuevo método de pago';
+
+    document.getElementById('paymentMethodFormCard')?.classList.remove('d-none');
+  }
+
+  private hideForm(): void {
+    document.getElementById('paymentMethodFormCard')?.classList.add('d-none');
+  }
+
+  private bindFormEvents(): void {
+    if (this.bound) return;
+    this.bound = true;
+
+    document.getElementById('addPaymentMethodBtn')?.addEventListener('click', () => this.showCreateForm());
+    document.getElementById('cancelPaymentMethodBtn')?.addEventListener('click', () => this.hideForm());
+
+    const form = document.getElementById('paymentMethodForm');
+    form?.addEventListener('submit', (event) => {
+      event.preventDefault();
+      if (form instanceof HTMLFormElement) void this.handleFormSubmit(form);
+    });
+  }
+
+  /**
+   * Render payment methods table
+   */
+  private renderPaymentMethodsTable(methods: PaymentMethod[]): void {
+    const tableBody = document.getElementById('paymentMethodsTableBody');
+    if (!tableBody) return;
+
+    if (methods.length === 0) {
+      tableBody.innerHTML = `
+        <tr>
+          <td colspan="6" class="text-center text-muted">No hay métodos de pago configurados</td>
+        </tr>
+      `;
+      return;
+    }
+
+    tableBody.innerHTML = methods.map(method => `
+      <tr>
+        <td>${method.display_order}</td>
+        <td>
+          <div class="fw-medium">${this.escapeHtml(method.name)}</div>
+          <small class="text-muted">${this.escapeHtml(method.description ?? '')}</small>
+        </td>
+        <td>
+          ${TYPE_LABELS[method.type] ?? method.type}
+          ${method.is_foreign_currency ? '<span class="badge bg-info ms-1">Divisas · IGTF</span>' : ''}
+        </td>
+        <td><small>${this.escapeHtml(this.summarizeAccount(method))}</small></td>
+        <td>
+          <span class="badge bg-${method.is_active ? 'success' : 'secondary'}">
+            ${method.is_active ? 'Activo' : 'Inactivo'}
+          </span>
+        </td>
+        <td>
+          <div class="btn-group btn-group-sm">
+            <button class="btn btn-outline-primary" onclick="adminPanel.paymentMethods.editPaymentMethod(${method.id})"
+                    title="Editar método">
+              <i class="bi bi-pencil"></i>
+            </button>
+            <button class="btn btn-outline-${method.is_active ? 'warning' : 'success'}"
+                    onclick="adminPanel.paymentMethods.togglePaymentMethod(${method.id}, ${method.is_active})"
+                    title="${method.is_active ? 'Desactivar' : 'Activar'} método">
+              <i class="bi bi-${method.is_active ? 'pause' : 'play'}"></i>
+            </button>
+            <button class="btn btn-outline-danger" onclick="adminPanel.paymentMethods.deletePaymentMethod(${method.id})"
+                    title="Eliminar método">
+              <i class="bi bi-trash"></i>
+            </button>
+          </div>
+        </td>
+      </tr>
+    `).join('');
+  }
+
+  private summarizeAccount(method: PaymentMethod): string {
+    const info = method.account_info ?? {};
+    return [info.bank_name, info.account_number, info.phone_number, info.document_id, info.email, info.wallet_address]
+      .filter(Boolean)
+      .join(' · ');
+  }
+
+  private escapeHtml(value: string): string {
+    const div = document.createElement('div');
+    div.textContent = value;
+    return div.innerHTML;
+  }
+}
@@ -0,0 +1,294 @@
+/**
+ * 🌸 FloresYa Admin Promotions Module
+ * Manages the automatic promotions of seasonal campaigns: when they apply and what they give
+ */
+
+import type { Promotion, PromotionActionType } from '../../shared/types/index.js';
+
+import { getAuthHeaders } from '../services/apiClient.js';
+
+import type { AdminPanelLogger } from './types.js';
+
+const ACTION_LABELS: Record<PromotionActionType, string> = {
+  percentage: 'Porcentaje',
+  fixed: 'Monto fijo',
+  buy_x_get_y: 'Lleva X, paga Y',
+  free_delivery: 'Envío gratis',
+  free_addon: 'Regalo'
+};
+
+export class AdminPromotions {
+  private logger: AdminPanelLogger;
+  private promotions: Promotion[] = [];
+  private bound = false;
+
+  constructor(logger: AdminPanelLogger) {
+    this.logger = logger;
+  }
+
+  /**
+   * Load every promotion, including inactive and finished ones
+   */
+  public async loadPromotionsData(): Promise<void> {
+    this.bindFormEvents();
+    await this.loadPromotions();
+  }
+
+  /**
+   * Open the form empty for a new promotion
+   */
+  public showCreateForm(): void {
+    this.fillForm(null);
+  }
+
+  public editPromotion(id: number): void {
+    const promotion = this.promotions.find(p => p.id === id);
+    if (promotion) this.fillForm(promotion);
+  }
+
+  /**
+   * Toggle whether the promotion applies to carts
+   */
+  public async togglePromotion(id: number, isActive: boolean): Promise<void> {
+    await this.savePromotion(id, { active: !isActive },
+      `Promoción ${isActive ? 'desactivada' : 'activada'} exitosamente`);
+  }
+
+  public async deletePromotion(id: number): Promise<void> {
+    if (!window.confirm('¿Estás seguro de que deseas eliminar esta promoción? Los pedidos conservan los descuentos que recibieron.')) return;
+
+    try {
+      const response = await fetch(`/api/promotions/${id}`, {
+        method: 'DELETE',
+        headers: getAuthHeaders()
+      });
+      const result = await response.json() as { message?: string };
+      if (!response.ok) throw new Error(result.message ?? 'Failed to delete promotion');
+
+      this.logger.log(`Promotion ${id} deleted`, 'success');
+      void this.loadPromotions();
+    } catch (error: unknown) {
+      this.logger.log('Error deleting promotion: ' + (error instanceof Error ? error.message : 'Unknown error'), 'error');
+    }
+  }
+
+  private async loadPromotions(): Promise<void> {
+    try {
+      const response = await fetch('/api/promotions', { headers: getAuthHeaders() });
+      if (!response.ok) throw new Error('Failed to fetch promotions');
+
+      const result = await response.json() as { data?: Promotion[] };
+      this.promotions = result.data ?? [];
+      this.logger.log(`Loaded ${this.promotions.length} promotions from API`, 'success');
+
+      this.renderPromotionsTable(this.promotions);
+    } catch (error: unknown) {
+      this.logger.log('Error loading promotions: ' + (error instanceof Error ? error.message : 'Unknown error'), 'error');
+      this.renderPromotionsTable([]);
+    }
+  }
+
+  private async savePromotion(id: number | null, body: Record<string, unknown>, successMessage: string): Promise<boolean> {
+    try {
+      const response = await fetch(id ? `/api/promotions/${id}` : '/api/promotions', {
+        method: id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json', ...getAuthHeaders() },
+        body: JSON.stringify(body)
+      });
+      const result = await response.json() as { message?: string };
+      if (!response.ok) throw new Error(result.message ?? 'Failed to save promotion');
+
+      this.logger.log(successMessage, 'success');
+      void this.loadPromotions();
+      return true;
+    } catch (error: unknown) {
+      this.logger.log('Error saving promotion: ' + (error instanceof Error ? error.message : 'Unknown error'), 'error');
+      return false;
+    }
+  }
+
+  private async handlePromotionSubmit(form: HTMLFormElement): Promise<void> {
+    const data = new FormData(form);
+    const text = (name: string): string => String(data.get(name) ?? '').trim();
+    // datetime-local fields are in the admin's local time
+    const dateTime = (name: string): string | null => text(name) ? new Date(text(name)).toISOString() : null;
+    const count = (name: string): number | null => Number(text(name)) || null;
+    const ids = (name: string): number[] => text(name).split(',').map(Number).filter(id => Number.isInteger(id) && id > 0);
+
+    const id = Number(text('id')) || null;
+    const actionType = text('action_type');
+    const saved = await this.savePromotion(id, {
+      name: text('name'),
+      description: text('description') || null,
+      starts_at: dateTime('starts_at'),
+      ends_at: dateTime('ends_at'),
+      priority: Number(text('priority')) || 0,
+      product_ids: ids('product_ids'),
+      occasion_ids: ids('occasion_ids'),
+      min_order_usd: Number(text('min_order_usd')) || 0,
+      action_type: actionType,
+      // Only the fields of the chosen action are kept
+      discount_value: actionType === 'percentage' || actionType === 'fixed' ? Number(text('discount_value')) || null : null,
+      buy_quantity: actionType === 'buy_x_get_y' ? count('buy_quantity') : null,
+      get_quantity: actionType === 'buy_x_get_y' ? count('get_quantity') : null,
+      addon_id: actionType === 'free_addon' ? count('addon_id') : null,
+      addon_quantity: count('addon_quantity') ?? 1,
+      active: data.get('active') === 'on'
+    }, id ? 'Promoción actualizada exitosamente' : 'Promoción creada exitosamente');
+
+    if (saved) this.hideForm();
+  }
+
+  private fillForm(promotion: Promotion | null): void {
+    const form = document.getElementById('promotionForm');
+    if (!(form instanceof HTMLFormElement)) return;
+
+    form.reset();
+    const setValue = (name: string, value: string | number | undefined | null): void => {
+      const input = form.elements.namedItem(name);
+      if (input instanceof HTMLInputElement || input instanceof HTMLSelectElement) {
+        input.value = value === undefined || value === null ? '' : String(value);
+      }
+    };
+
+    setValue('id', promotion?.id);
+    setValue('name', promotion?.name);
+    setValue('description', promotion?.description);
+    setValue('starts_at', this.toLocalInput(promotion?.starts_at));
+    setValue('ends_at', this.toLocalInput(promotion?.ends_at));
+    setValue('priority', promotion?.priority ?? 0);
+    setValue('product_ids', promotion?.product_ids.join(', '));
+    setValue('occasion_ids', promotion?.occasion_ids.join(', '));
+    setValue('min_order_usd', promotion?.min_order_usd ?? 0);
+    setValue('action_type', promotion?.action_type ?? 'percentage');
+    setValue('discount_value', promotion?.discount_value);
+    setValue('buy_quantity', promotion?.buy_quantity);
+    setValue('get_quantity', promotion?.get_quantity);
+    setValue('addon_id', promotion?.addon_id);
+    setValue('addon_quantity', promotion?.addon_quantity ?? 1);
+
+    const active = form.elements.namedItem('active');
+    if (active instanceof HTMLInputElement) active.checked = promotion?.active ?? true;
+
+    const title = document.getElementById('promotionFormTitle');
+    if (title) title.textContent = promotion ? `Editar ${promotion.name}` : 'Nueva promoción';
+
+    document.getElementById('promotionFormCard')?.classList.remove('d-none');
+  }
+
+  private hideForm(): void {
+    document.getElementById('promotionFormCard')?.classList.add('d-none');
+  }
+
+  /**
+   * Timestamp as a datetime-local value in the browser's time zone
+   */
+  private toLocalInput(value: string | null | undefined): string {
+    if (!value) return '';
+    const date = new Date(value);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+  }
+
+  private formatDate(value: string | null | undefined): string {
+    return value ? new Date(value).toLocaleDateString('es-VE') : '';
+  }
+
+  private bindFormEvents(): void {
+    if (this.bound) return;
+    this.bound = true;
+
+    document.getElementById('addPromotionBtn')?.addEventListener('click', () => this.showCreateForm());
+    document.getElementById('cancelPromotionBtn')?.addEventListener('click', () => this.hideForm());
+
+    const promotionForm = document.getElementById('promotionForm');
+    promotionForm?.addEventListener('submit', (event) => {
+      event.preventDefault();
+      if (promotionForm instanceof HTMLFormElement) void this.handlePromotionSubmit(promotionForm);
+    });
+  }
+
+  private describeAction(promotion: Promotion): string {
+    switch (promotion.action_type) {
+      case 'percentage':
+        return `${promotion.discount_value}% de descuento`;
+      case 'fixed':
+        return `$${(promotion.discount_value ?? 0).toFixed(2)} de descuento`;
+      case 'buy_x_get_y':
+        return `Lleva ${(promotion.buy_quantity ?? 0) + (promotion.get_quantity ?? 0)}, paga ${promotion.buy_quantity}`;
+      case 'free_delivery':
+        return 'Envío gratis';
+      case 'free_addon':
+        return `Regalo: ${promotion.addon_quantity} × complemento #${promotion.addon_id}`;
+    }
+  }
+
+  private renderPromotionsTable(promotions: Promotion[]): void {
+    const tableBody = document.getElementById('promotionsTableBody');
+    if (!tableBody) return;
+
+    if (promotions.length === 0) {
+      tableBody.innerHTML = `
+        <tr>
+          <td colspan="7" class="text-center text-muted">No hay promociones configuradas</td>
+        </tr>
+      `;
+      return;
+    }
+
+    tableBody.innerHTML = promotions.map(promotion => {
+      const conditions = [
+        promotion.min_order_usd > 0 ? `Desde $${promotion.min_order_usd.toFixed(2)}` : '',
+        promotion.product_ids.length > 0 ? `Productos ${promotion.product_ids.join(', ')}` : '',
+        promotion.occasion_ids.length > 0 ? `Ocasiones ${promotion.occasion_ids.join(', ')}` : ''
+      ].filter(Boolean).join('<br>');
+      const validity = [
+        promotion.starts_at ? `Desde ${this.formatDate(promotion.starts_at)}` : '',
+        promotion.ends_at ? `Hasta ${this.formatDate(promotion.ends_at)}` : ''
+      ].filter(Boolean).join('<br>');
+
+      return `
+      <tr>
+        <td>
+          <strong>${this.escapeHtml(promotion.name)}</strong>
+          ${promotion.description ? `<div class="small text-muted">${this.escapeHtml(promotion.description)}</div>` : ''}
+        </td>
+        <td>
+          ${this.describeAction(promotion)}
+          <div class="small text-muted">${ACTION_LABELS[promotion.action_type]}</div>
+        </td>
+        <td>${conditions || '<span class="text-muted">Todo pedido</span>'}</td>
+        <td>${validity || '<span class="text-muted">Siempre</span>'}</td>
+        <td>${promotion.priority}</td>
+        <td>
+          <span class="badge bg-${promotion.active ? 'success' : 'secondary'}">
+            ${promotion.active ? 'Activa' : 'Inactiva'}
+          </span>
+        </td>
+        <td>
+          <div class="btn-group btn-group-sm">
+            <button class="btn btn-outline-primary" onclick="adminPanel.promotions.editPromotion(${promotion.id})"
+                    title="Editar promoción">
+              <i class="bi bi-pencil"></i>
+            </button>
+            <button class="btn btn-outline-${promotion.active ? 'warning' : 'success'}"
+                    onclick="adminPanel.promotions.togglePromotion(${promotion.id}, ${promotion.active})"
+                    title="${promotion.active ? 'Desactivar' : 'Activar'} promoción">
+              <i class="bi bi-${promotion.active ? 'pause' : 'play'}"></i>
+            </button>
+            <button class="btn btn-outline-danger" onclick="adminPanel.promotions.deletePromotion(${promotion.id})"
+                    title="Eliminar promoción">
+              <i class="bi bi-trash"></i>
+            </button>
+          </div>
+        </td>
+      </tr>
+    `;
+    }).join('');
+  }
+
+  private escapeHtml(value: string): string {
+    const div = document.createElement('div');
+    div.textContent = value;
+    return div.innerHTML;
+  }
+}
@@ -0,0 +1,276 @@
+/**
+ * 🌸 FloresYa Admin Settings Module
+ * Manages the IVA and IGTF rates, the loyalty program rules and the USD/VES exchange
+ * rate applied to new orders
+ */
+
+import type { CurrentExchangeRate, ExchangeRate, LoyaltySettings, TaxRates } from '../../shared/types/index.js';
+
+import { getAuthHeaders } from '../services/apiClient.js';
+
+import type { AdminPanelLogger } from './types.js';
+
+export class AdminSettings {
+  private logger: AdminPanelLogger;
+  private bound = false;
+
+  constructor(logger: AdminPanelLogger) {
+    this.logger = logger;
+  }
+
+  public async loadSettingsData(): Promise<void> {
+    this.bindFormEvents();
+    await Promise.all([
+      this.loadTaxRates(),
+      this.loadLoyaltySettings(),
+      this.loadExchangeRate(),
+      this.loadExchangeRateHistory()
+    ]);
+  }
+
+  private async loadTaxRates(): Promise<void> {
+    try {
+      const response = await fetch('/api/settings/taxes', { headers: getAuthHeaders() });
+      if (!response.ok) throw new Error('Failed to fetch tax rates');
+
+      const result = await response.json() as { data?: TaxRates };
+      if (result.data) this.fillTaxForm(result.data);
+      this.logger.log('Loaded tax rates from API', 'success');
+    } catch (error: unknown) {
+      this.logger.log('Error loading tax rates: ' + (error instanceof Error ? error.message : 'Unknown error'), 'error');
+    }
+  }
+
+  private fillTaxForm(rates: TaxRates): void {
+    const form = document.getElementById('taxRatesForm');
+    if (!(form instanceof HTMLFormElement)) return;
+
+    const setValue = (name: keyof TaxRates): void => {
+      const input = form.elements.namedItem(name);
+      if (input instanceof HTMLInputElement) input.value = String(rates[name]);
+    };
+    setValue('iva_rate');
+    setValue('igtf_rate');
+  }
+
+  private async handleTaxSubmit(form: HTMLFormElement): Promise<void> {
+    const data = new FormData(form);
+
+    try {
+      const response = await fetch('/api/settings/taxes', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...getAuthHeaders() },
+        body: JSON.stringify({
+          iva_rate: Number(data.get('iva_rate')),
+          igtf_rate: Number(data.get('igtf_rate'))
+        })
+      });
+      const result = await response.json() as { message?: string; data?: TaxRates };
+      if (!response.ok) throw new Error(result.message ?? 'Failed to save tax rates');
+
+      if (result.data) this.fillTaxForm(result.data);
+      this.logger.log('Impuestos actualizados exitosamente', 'success');
+    } catch (error: unknown) {
+      this.logger.log('Error saving tax rates: ' + (error instanceof Error ? error.message : 'Unknown error'), 'error');
+    }
+  }
+
+  private async loadLoyaltySettings(): Promise<void> {
+    try {
+      const response = await fetch('/api/settings/loyalty', { headers: getAuthHeaders() });
+      if (!response.ok) throw new Error('Failed to fetch loyalty settings');
+
+      const result = await response.json() as { data?: LoyaltySettings };
+      if (result.data) this.fillLoyaltyForm(result.data);
+    } catch (error: unknown) {
+      this.logger.log('Error loading loyalty settings: ' + (error instanceof Error ? error.message : 'Unknown error'), 'error');
+    }
+  }
+
+  private fillLoyaltyForm(settings: LoyaltySettings): void {
+    const form = document.getElementById('loyaltySettingsForm');
+    if (!(form instanceof HTMLFormElement)) return;
+
+    for (const name of Object.keys(settings) as Array<keyof LoyaltySettings>) {
+      const input = form.elements.namedItem(name);
+      if (input instanceof HTMLInputElement) input.value = String(settings[name]);
+    }
+  }
+
+  private async handleLoyaltySubmit(form: HTMLFormElement): Promise<void> {
+    const data = new FormData(form);
+
+    try {
+      const response = await fetch('/api/settings/loyalty', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...getAuthHeaders() },
+        body: JSON.stringify({
+          loyalty_points_per_usd: Number(data.get('loyalty_points_per_usd')),
+          loyalty_point_value_usd: Number(data.get('loyalty_point_value_usd')),
+          loyalty_points_expiry_days: Number(data.get('loyalty_points_expiry_days'))
+        })
+      });
+      const result = await response.json() as { message?: string; data?: LoyaltySettings };
+      if (!response.ok) throw new Error(result.message ?? 'Failed to save loyalty settings');
+
+      if (result.data) this.fillLoyaltyForm(result.data);
+      this.logger.log('Programa de puntos actualizado exitosamente', 'success');
+    } catch (error: unknown) {
+      this.logger.log('Error saving loyalty settings: ' + (error instanceof Error ? error.message : 'Unknown error'), 'error');
+    }
+  }
+
+  private async loadExchangeRate(): Promise<void> {
+    try {
+      const response = await fetch('/api/exchange-rates/current', { headers: getAuthHeaders() });
+      if (!response.ok) throw new Error('Failed to fetch exchange rate');
+
+      const result = await response.json() as { data?: CurrentExchangeRate };
+      if (result.data) this.renderExchangeRate(result.data);
+    } catch (error: unknown) {
+      this.logger.log('Error loading exchange rate: ' + (error instanceof Error ? error.message : 'Unknown error'), 'error');
+    }
+  }
+
+  private async loadExchangeRateHistory(): Promise<void> {
+    try {
+      const response = await fetch('/api/exchange-rates?limit=10', { headers: getAuthHeaders() });
+      if (!response.ok) throw new Error('Failed to fetch exchange rate history');
+
+      const result = await response.json() as { data?: { rates: ExchangeRate[] } };
+      this.renderExchangeRateHistory(result.data?.rates ?? []);
+    } catch (error: unknown) {
+      this.logger.log('Error loading exchange rate history: ' + (error instanceof Error ? error.message : 'Unknown error'), 'error');
+    }
+  }
+
+  private renderExchangeRate(current: CurrentExchangeRate): void {
+    const rateEl = document.getElementById('currentExchangeRate');
+    if (rateEl) {
+      rateEl.textContent = current.rate
+        ? `Bs. ${current.rate} por dólar${current.updated_at ? ` (desde ${new Date(current.updated_at).toLocaleString('es-VE')})` : ''}`
+        : 'Sin registrar';
+    }
+
+    const roundingInput = document.getElementById('ves_rounding_step');
+    if (roundingInput instanceof HTMLInputElement) roundingInput.value = String(current.rounding_step);
+  }
+
+  private renderExchangeRateHistory(rates: ExchangeRate[]): void {
+    const tbody = document.getElementById('exchangeRateHistory');
+    if (!tbody) return;
+
+    if (rates.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="4" class="text-center text-muted">Aún no se ha registrado ninguna tasa</td></tr>';
+      return;
+    }
+
+    tbody.innerHTML = rates.map(rate => `
+      <tr>
+        <td>${new Date(rate.created_at).toLocaleString('es-VE')}</td>
+        <td>${rate.rate}</td>
+        <td>${this.escapeHtml(rate.source)}</td>
+        <td>${this.escapeHtml(rate.notes ?? '')}</td>
+      </tr>
+    `).join('');
+  }
+
+  private async handleExchangeRateSubmit(form: HTMLFormElement): Promise<void> {
+    const data = new FormData(form);
+    const notes = String(data.get('notes') ?? '').trim();
+
+    try {
+      const response = await fetch('/api/exchange-rates', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...getAuthHeaders() },
+        body: JSON.stringify({ rate: Number(data.get('rate')), notes: notes || undefined })
+      });
+      const result = await response.json() as { message?: string };
+      if (!response.ok) throw new Error(result.message ?? 'Failed to record exchange rate');
+
+      form.reset();
+      this.logger.log('Tasa de cambio registrada exitosamente', 'success');
+      await Promise.all([this.loadExchangeRate(), this.loadExchangeRateHistory()]);
+    } catch (error: unknown) {
+      this.logger.log('Error recording exchange rate: ' + (error instanceof Error ? error.message : 'Unknown error'), 'error');
+    }
+  }
+
+  private async handleExchangeRateRefresh(): Promise<void> {
+    try {
+      const response = await fetch('/api/exchange-rates/refresh', {
+        method: 'POST',
+        headers: getAuthHeaders()
+      });
+      const result = await response.json() as { message?: string; data?: ExchangeRate };
+      if (!response.ok) throw new Error(result.message ?? 'Failed to refresh exchange rate');
+
+      if (!result.data) {
+        this.logger.log('No hay proveedor automático configurado; registre la tasa manualmente', 'warn');
+        return;
+      }
+      this.logger.log(`Tasa de cambio actualizada desde ${result.data.source}`, 'success');
+      await Promise.all([this.loadExchangeRate(), this.loadExchangeRateHistory()]);
+    } catch (error: unknown) {
+      this.logger.log('Error refreshing exchange rate: ' + (error instanceof Error ? error.message : 'Unknown error'), 'error');
+    }
+  }
+
+  private async handleRoundingSubmit(form: HTMLFormElement): Promise<void> {
+    const data = new FormData(form);
+
+    try {
+      const response = await fetch('/api/exchange-rates/rounding', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...getAuthHeaders() },
+        body: JSON.stringify({ rounding_step: Number(data.get('rounding_step')) })
+      });
+      const result = await response.json() as { message?: string; data?: CurrentExchangeRate };
+      if (!response.ok) throw new Error(result.message ?? 'Failed to save VES rounding');
+
+      if (result.data) this.renderExchangeRate(result.data);
+      this.logger.log('Redondeo de precios en bolívares actualizado', 'success');
+    } catch (error: unknown) {
+      this.logger.log('Error saving VES rounding: ' + (error instanceof Error ? error.message : 'Unknown error'), 'error');
+    }
+  }
+
+  private escapeHtml(value: string): string {
+    const div = document.createElement('div');
+    div.textContent = value;
+    return div.innerHTML;
+  }
+
+  private bindFormEvents(): void {
+    if (this.bound) return;
+    this.bound = true;
+
+    const taxForm = document.getElementById('taxRatesForm');
+    taxForm?.addEventListener('submit', (event) => {
+      event.preventDefault();
+      if (taxForm instanceof HTMLFormElement) void this.handleTaxSubmit(taxForm);
+    });
+
+    const loyaltyForm = document.getElementById('loyaltySettingsForm');
+    loyaltyForm?.addEventListener('submit', (event) => {
+      event.preventDefault();
+      if (loyaltyForm instanceof HTMLFormElement) void this.handleLoyaltySubmit(loyaltyForm);
+    });
+
+    const rateForm = document.getElementById('exchangeRateForm');
+    rateForm?.addEventListener('submit', (event) => {
+      event.preventDefault();
+      if (rateForm instanceof HTMLFormElement) void this.handleExchangeRateSubmit(rateForm);
+    });
+
+    document.getElementById('refreshExchangeRateBtn')?.addEventListener('click', () => {
+      void this.handleExchangeRateRefresh();
+    });
+
+    const roundingForm = document.getElementById('vesRoundingForm');
+    roundingForm?.addEventListener('submit', (event) => {
+      event.preventDefault();
+      if (roundingForm instanceof HTMLFormElement) void this.handleRoundingSubmit(roundingForm);
+    });
+  }
+}
@@ -0,0 +1,260 @@
+/**
+ * 🌸 FloresYa Admin Store Credit Module
+ * Issues gift cards and customer store credit, voids them and shows their movements
+ */
+
+import type { StoreCredit, StoreCreditMovement, StoreCreditMovementType, StoreCreditReason } from '../../shared/types/index.js';
+
+import { getAuthHeaders } from '../services/apiClient.js';
+
+import type { AdminPanelLogger } from './types.js';
+
+const REASON_LABELS: Record<StoreCreditReason, string> = {
+  purchase: 'Venta',
+  refund: 'Reembolso',
+  goodwill: 'Cortesía'
+};
+
+const MOVEMENT_LABELS: Record<StoreCreditMovementType, string> = {
+  issue: 'Emisión',
+  redeem: 'Pago',
+  refund: 'Devolución',
+  void: 'Anulación'
+};
+
+export class AdminStoreCredit {
+  private logger: AdminPanelLogger;
+  private credits: StoreCredit[] = [];
+  private bound = false;
+
+  constructor(logger: AdminPanelLogger) {
+    this.logger = logger;
+  }
+
+  /**
+   * Load gift cards and store credit, newest first
+   */
+  public async loadStoreCreditData(): Promise<void> {
+    this.bindFormEvents();
+    await this.loadStoreCredits();
+  }
+
+  public showIssueForm(): void {
+    const form = document.getElementById('storeCreditForm');
+    if (form instanceof HTMLFormElement) form.reset();
+    document.getElementById('storeCreditFormCard')?.classList.remove('d-none');
+  }
+
+  /**
+   * Void a balance; payments already made with it are kept
+   */
+  public async voidStoreCredit(id: number): Promise<void> {
+    const reason = window.prompt('Motivo de la anulación:');
+    if (!reason?.trim()) return;
+
+    try {
+      const response = await fetch(`/api/store-credit/${id}/void`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json', ...getAuthHeaders() },
+        body: JSON.stringify({ reason: reason.trim() })
+      });
+      const result = await response.json() as { message?: string };
+      if (!response.ok) throw new Error(result.message ?? 'Failed to void store credit');
+
+      this.logger.log(`Store credit ${id} voided`, 'success');
+      void this.loadStoreCredits();
+    } catch (error: unknown) {
+      this.logger.log('Error voiding store credit: ' + (error instanceof Error ? error.message : 'Unknown error'), 'error');
+    }
+  }
+
+  public async showMovements(id: number): Promise<void> {
+    try {
+      const response = await fetch(`/api/store-credit/${id}`, { headers: getAuthHeaders() });
+      if (!response.ok) throw new Error('Failed to fetch store credit movements');
+
+      const result = await response.json() as { data?: { credit: StoreCredit; movements: StoreCreditMovement[] } };
+      if (!result.data) return;
+
+      const title = document.getElementById('storeCreditMovementsTitle');
+      if (title) title.textContent = `Movimientos de ${this.describeHolder(result.data.credit)}`;
+
+      this.renderMovementsTable(result.data.movements);
+      document.getElementById('storeCreditMovementsCard')?.classList.remove('d-none');
+    } catch (error: unknown) {
+      this.logger.log('Error loading store credit movements: ' + (error instanceof Error ? error.message : 'Unknown error'), 'error');
+    }
+  }
+
+  private async loadStoreCredits(): Promise<void> {
+    try {
+      const filter = document.getElementById('storeCreditKindFilter');
+      const kind = filter instanceof HTMLSelectElement ? filter.value : '';
+      const params = new URLSearchParams({ limit: '100' });
+      if (kind) params.set('kind', kind);
+
+      const response = await fetch(`/api/store-credit?${params.toString()}`, { headers: getAuthHeaders() });
+      if (!response.ok) throw new Error('Failed to fetch store credits');
+
+      const result = await response.json() as { data?: { credits: StoreCredit[] } };
+      this.credits = result.data?.credits ?? [];
+      this.logger.log(`Loaded ${this.credits.length} store credits from API`, 'success');
+
+      this.renderStoreCreditsTable(this.credits);
+    } catch (error: unknown) {
+      this.logger.log('Error loading store credits: ' + (error instanceof Error ? error.message : 'Unknown error'), 'error');
+      this.renderStoreCreditsTable([]);
+    }
+  }
+
+  private async handleIssueSubmit(form: HTMLFormElement): Promise<void> {
+    const data = new FormData(form);
+    const text = (name: string): string => String(data.get(name) ?? '').trim();
+    const optional = (name: string): string | undefined => text(name) || undefined;
+    const id = (name: string): number | undefined => Number(text(name)) || undefined;
+
+    try {
+      const response = await fetch('/api/store-credit', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...getAuthHeaders() },
+        body: JSON.stringify({
+          kind: text('kind'),
+          reason: text('reason'),
+          amount_usd: Number(text('amount_usd')),
+          user_id: id('user_id'),
+          order_id: id('order_id'),
+          // datetime-local fields are in the admin's local time
+          expires_at: text('expires_at') ? new Date(text('expires_at')).toISOString() : undefined,
+          purchaser_email: optional('purchaser_email'),
+          recipient_name: optional('recipient_name'),
+          recipient_email: optional('recipient_email'),
+          message: optional('message'),
+          notes: optional('notes')
+        })
+      });
+      const result = await response.json() as { message?: string; data?: StoreCredit };
+      if (!response.ok || !result.data) throw new Error(result.message ?? 'Failed to issue store credit');
+
+      this.logger.log(result.message ?? 'Store credit issued', 'success');
+      // The code is what the buyer gets; show it so it can be handed over
+      if (result.data.code) window.alert(`Código de la tarjeta de regalo: ${result.data.code}`);
+
+      document.getElementById('storeCreditFormCard')?.classList.add('d-none');
+      void this.loadStoreCredits();
+    } catch (error: unknown) {
+      this.logger.log('Error issuing store credit: ' + (error instanceof Error ? error.message : 'Unknown error'), 'error');
+    }
+  }
+
+  private bindFormEvents(): void {
+    if (this.bound) return;
+    this.bound = true;
+
+    document.getElementById('addStoreCreditBtn')?.addEventListener('click', () => this.showIssueForm());
+    document.getElementById('cancelStoreCreditBtn')?.addEventListener('click', () => {
+      document.getElementById('storeCreditFormCard')?.classList.add('d-none');
+    });
+    document.getElementById('closeStoreCreditMovementsBtn')?.addEventListener('click', () => {
+      document.getElementById('storeCreditMovementsCard')?.classList.add('d-none');
+    });
+    document.getElementById('storeCreditKindFilter')?.addEventListener('change', () => void this.loadStoreCredits());
+
+    const storeCreditForm = document.getElementById('storeCreditForm');
+    storeCreditForm?.addEventListener('submit', (event) => {
+      event.preventDefault();
+      if (storeCreditForm instanceof HTMLFormElement) void this.handleIssueSubmit(storeCreditForm);
+    });
+  }
+
+  private describeHolder(credit: StoreCredit): string {
+    return credit.code ?? `cliente #${credit.user_id}`;
+  }
+
+  private formatDate(value: string | null | undefined): string {
+    return value ? new Date(value).toLocaleDateString('es-VE') : '';
+  }
+
+  private renderStoreCreditsTable(credits: StoreCredit[]): void {
+    const tableBody = document.getElementById('storeCreditsTableBody');
+    if (!tableBody) return;
+
+    if (credits.length === 0) {
+      tableBody.innerHTML = `
+        <tr>
+          <td colspan="7" class="text-center text-muted">No hay tarjetas de regalo ni saldos emitidos</td>
+        </tr>
+      `;
+      return;
+    }
+
+    const now = new Date();
+    tableBody.innerHTML = credits.map(credit => {
+      const expired = credit.expires_at !== null && new Date(credit.expires_at) <= now;
+      const [badge, label] = credit.status === 'void'
+        ? ['danger', 'Anulado']
+        : expired ? ['secondary', 'Vencido'] : ['success', 'Activo'];
+
+      return `
+      <tr>
+        <td>
+          <strong>${this.escapeHtml(this.describeHolder(credit))}</strong>
+          ${credit.recipient_name ? `<div class="small text-muted">Para ${this.escapeHtml(credit.recipient_name)}</div>` : ''}
+          ${credit.purchaser_email ? `<div class="small text-muted">Comprada por ${this.escapeHtml(credit.purchaser_email)}</div>` : ''}
+        </td>
+        <td>${credit.kind === 'gift_card' ? 'Tarjeta de regalo' : 'Saldo a favor'}</td>
+        <td>
+          $${credit.balance_usd.toFixed(2)}
+          <div class="small text-muted">de $${credit.initial_amount_usd.toFixed(2)}</div>
+        </td>
+        <td>
+          ${REASON_LABELS[credit.reason]}
+          ${credit.order_id ? `<div class="small text-muted">Pedido #${credit.order_id}</div>` : ''}
+        </td>
+        <td>${this.formatDate(credit.expires_at) || '<span class="text-muted">Nunca</span>'}</td>
+        <td>
+          <span class="badge bg-${badge}">${label}</span>
+          ${credit.void_reason ? `<div class="small text-muted">${this.escapeHtml(credit.void_reason)}</div>` : ''}
+        </td>
+        <td>
+          <div class="btn-group btn-group-sm">
+            <button class="btn btn-outline-primary" onclick="adminPanel.storeCredit.showMovements(${credit.id})"
+                    title="Ver movimientos">
+              <i class="bi bi-list-ul"></i>
+            </button>
+            ${credit.status === 'active' ? `
+            <button class="btn btn-outline-danger" onclick="adminPanel.storeCredit.voidStoreCredit(${credit.id})"
+                    title="Anular saldo">
+              <i class="bi bi-x-circle"></i>
+            </button>
+            ` : ''}
+          </div>
+        </td>
+      </tr>
+    `;
+    }).join('');
+  }
+
+  private renderMovementsTable(movements: StoreCreditMovement[]): void {
+    const tableBody = document.getElementById('storeCreditMovementsTableBody');
+    if (!tableBody) return;
+
+    tableBody.innerHTML = movements.map(movement => `
+      <tr>
+        <td>${new Date(movement.created_at).toLocaleString('es-VE')}</td>
+        <td>${MOVEMENT_LABELS[movement.movement_type]}</td>
+        <td class="${movement.amount_usd < 0 ? 'text-danger' : 'text-success'}">
+          ${movement.amount_usd < 0 ? '-' : '+'}$${Math.abs(movement.amount_usd).toFixed(2)}
+        </td>
+        <td>$${movement.balance_after.toFixed(2)}</td>
+        <td>${movement.order_id ? `#${movement.order_id}` : ''}</td>
+        <td>${movement.notes ? this.escapeHtml(movement.notes) : ''}</td>
+      </tr>
+    `).join('');
+  }
+
+  private escapeHtml(value: string): string {
+    const div = document.createElement('div');
+    div.textContent = value;
+    return div.innerHTML;
+  }
+}
@@ -4,10 +4,18 @@
  * Refactored into modular components for better maintainability
  */
 
+import { AdminAddons } from './admin/addons.js';
+import { AdminCoupons } from './admin/coupons.js';
 import { AdminDashboard } from './admin/dashboard.js';
+import { AdminDelivery } from './admin/delivery.js';
 import { AdminImages } from './admin/images.js';
+import { AdminInventory } from './admin/inventory.js';
 import { AdminOrders } from './admin/orders.js';
+import { AdminPaymentMethods } from './admin/paymentMethods.js';
 import { AdminProducts } from './admin/products.js';
+import { AdminPromotions } from './admin/promotions.js';
+import { AdminSettings } from './admin/settings.js';
+import { AdminStoreCredit } from './admin/storeCredit.js';
 import type {
   AdminUser,
   AdminPanelLogger
@@ -27,6 +35,14 @@ class AdminPanel implements AdminPanelLogger {
   public users: AdminUsers;
   public products: AdminProducts;
   public images: AdminImages;
+  public paymentMethods: AdminPaymentMethods;
+  public addons: AdminAddons;
+  public delivery: AdminDelivery;
+  public coupons: AdminCoupons;
+  public promotions: AdminPromotions;
+  public storeCredit: AdminStoreCredit;
+  public inventory: AdminInventory;
+  public settings: AdminSettings;
 
   constructor() {
     this.api = new FloresYaAPI();
@@ -37,6 +53,14 @@ class AdminPanel implements AdminPanelLogger {
     this.users = new AdminUsers(this);
     this.products = new AdminProducts(this, this.api);
     this.images = new AdminImages(this);
+    this.paymentMethods = new AdminPaymentMethods(this);
+    this.addons = new AdminAddons(this);
+    this.delivery = new AdminDelivery(this);
+    this.coupons = new AdminCoupons(this);
+    this.promotions = new AdminPromotions(this);
+    this.storeCredit = new AdminStoreCredit(this);
+    this.inventory = new AdminInventory(this, this.api);
+    this.settings = new AdminSettings(this);
   }
 
   /**
@@ -236,6 +260,13 @@ class AdminPanel implements AdminPanelLogger {
       orders: 'Pedidos - FloresYa Admin',
       users: 'Usuarios - FloresYa Admin',
       occasions: 'Ocasiones - FloresYa Admin',
+      'payment-methods': 'Métodos de pago - FloresYa Admin',
+      addons: 'Complementos - FloresYa Admin',
+      delivery: 'Entregas - FloresYa Admin',
+      coupons: 'Cupones - FloresYa Admin',
+      promotions: 'Promociones - FloresYa Admin',
+      'store-credit': 'Saldos y tarjetas de regalo - FloresYa Admin',
+      inventory: 'Inventario - FloresYa Admin',
       images: 'Imágenes - FloresYa Admin'
     };
 
@@ -265,9 +296,33 @@ class AdminPanel implements AdminPanelLogger {
         case 'occasions':
           await this.products.loadOccasionsData();
           break;
+        case 'payment-methods':
+          await this.paymentMethods.loadPaymentMethodsData();
+          break;
+        case 'addons':
+          await this.addons.loadAddonsData();
+          break;
+        case 'delivery':
+          await this.delivery.loadDeliveryData();
+          break;
+        case 'coupons':
+          await this.coupons.loadCouponsData();
+          break;
+        case 'promotions':
+          await this.promotions.loadPromotionsData();
+          break;
+        case 'store-credit':
+          await this.storeCredit.loadStoreCreditData();
+          break;
+        case 'inventory':
+          await this.inventory.loadInventoryData();
+          break;
         case 'images':
           await this.images.loadImagesData();
           break;
+        case 'settings':
+          await this.settings.loadSettingsData();
+          break;
         default:
           this.log(`Unknown section: ${section}`, 'warn');
       }
@@ -5,7 +5,9 @@
 
 
 // Import types from shared types
-import type { LoginCredentials } from "shared/types/index";
+import type { LoginCredentials } from '../shared/types/index.js';
+
+import { api } from './services/apiClient.js';
 
 // Define types for authentication
 interface AuthUser {
@@ -75,7 +77,6 @@ export class AuthManager {
         submitBtn.innerHTML = '<i class="bi bi-hourglass-split me-2"></i>Cargando...';
       }
 
-      // Simulate API call (replace with real API call)
       const response: AuthResponse = await this.authenticateUser({ email, password });
 
       if (response.success && response.user) {
@@ -110,23 +111,30 @@ export class AuthManager {
   }
 
   private async authenticateUser(credentials: LoginCredentials): Promise<AuthResponse> {
-    // TODO: Replace with actual authentication service call
     try {
-      // Simulate API delay
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      const response = await api.login(credentials.email, credentials.password);
+
+      if (!response.success || !response.data) {
+        return {
+          success: false,
+          message: response.message ?? 'Credenciales incorrectas'
+        };
+      }
 
-      // Make actual API call to authentication service
-      // This is a placeholder - implement real authentication
-      console.warn('Authentication service not implemented - using placeholder');
-      
+      const { user } = response.data;
       return {
-        success: false,
-        message: 'Servicio de autenticación no implementado'
+        success: true,
+        user: {
+          id: user.id,
+          email: user.email,
+          name: user.full_name ?? undefined,
+          role: user.role === 'admin' ? 'admin' : 'user'
+        }
       };
     } catch (error) {
       return {
         success: false,
-        message: 'Error al conectar con el servicio de autenticación'
+        message: error instanceof Error ? error.message : 'Error al conectar con el servicio de autenticación'
       };
     }
   }
@@ -284,6 +292,9 @@ export class AuthManager {
         }
       }
 
+      void this.showStoreCreditBalance();
+      void this.showLoyaltyPoints();
+
       // Show admin panel link only for admin users
       if (adminPanelLink && user.role === 'admin') {
         adminPanelLink.style.display = 'block';
@@ -307,6 +318,41 @@ export class AuthManager {
     }
   }
 
+  /**
+   * Store credit the customer can spend at checkout, shown in the user menu when there is any
+   */
+  private async showStoreCreditBalance(): Promise<void> {
+    const balanceItem = document.getElementById('storeCreditBalance');
+    if (!balanceItem) {return;}
+
+    try {
+      const response = await api.getMyStoreCredit();
+      const balance = response.success && response.data ? response.data.balance_usd : 0;
+      balanceItem.textContent = `Saldo a favor: $${balance.toFixed(2)}`;
+      balanceItem.classList.toggle('hidden', balance <= 0);
+    } catch {
+      balanceItem.classList.add('hidden');
+    }
+  }
+
+  /**
+   * Loyalty points the customer can spend at checkout, shown in the user menu when there are any
+   */
+  private async showLoyaltyPoints(): Promise<void> {
+    const pointsItem = document.getElementById('loyaltyPointsBalance');
+    if (!pointsItem) {return;}
+
+    try {
+      const response = await api.getMyLoyaltyAccount();
+      const account = response.success && response.data ? response.data : null;
+      const points = account?.points ?? 0;
+      pointsItem.textContent = `Puntos: ${points} ($${(account?.value_usd ?? 0).toFixed(2)})`;
+      pointsItem.classList.toggle('hidden', points <= 0);
+    } catch {
+      pointsItem.classList.add('hidden');
+    }
+  }
+
   private showAlert(message: string, type: 'info' | 'success' | 'warning' | 'danger' = 'info'): void {
     // Create alert element with Tailwind classes
     const alertDiv = document.createElement('div');
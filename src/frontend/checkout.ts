@@ -0,0 +1,1109 @@
+/**
+ * 🌸 FloresYa Checkout - TypeScript Edition
+ * Multi-step checkout: cart review, buyer and recipient, delivery, payment, confirmation
+ */
+
+import { CARD_MESSAGE_MAX_LENGTH, GIFT_CARD_CODE_PATTERN } from '../shared/constants/index.js';
+import type {
+  CartItem,
+  DeliveryAvailabilityDay,
+  DeliveryAvailabilitySlot,
+  DeliveryUnavailableReason,
+  DeliveryZone,
+  LoyaltyAccount,
+  OrderCreateRequest,
+  OrderQuote,
+  PaymentMethod,
+  PaymentMethodAccountInfo
+} from '../shared/types/index.js';
+
+import { ApiError, api } from './services/apiClient.js';
+
+type CheckoutStep = 'cart' | 'details' | 'delivery' | 'payment' | 'confirmation';
+
+interface CheckoutForm {
+  customer_name: string;
+  customer_email: string;
+  customer_phone: string;
+  recipient_name: string;
+  recipient_phone: string;
+  delivery_address: string;
+  delivery_city: string;
+  delivery_state: string;
+  delivery_notes: string;
+  delivery_date: string;
+  delivery_time_slot: string;
+  payment_method_id: string;
+  card_message: string;
+  coupon_code: string;
+  gift_card_code: string;
+  is_anonymous: boolean;
+}
+
+type CheckoutTextField = Exclude<keyof CheckoutForm, 'is_anonymous'>;
+
+interface PlacedOrder {
+  id: number;
+  order_number: string;
+  total_amount_usd: number;
+  amount_due_usd: number; // Lowered by gift card and store credit payments
+  credit_payments: Array<{ label: string; amount_usd: number }>;
+  tracking_url: string | null; // Public status page, no email needed
+}
+
+// Below this the order counts as paid, as on the server
+const PAID_TOLERANCE_USD = 0.01;
+
+const CART_STORAGE_KEY = 'floresya_cart';
+
+const STEPS: Array<{ id: Exclude<CheckoutStep, 'confirmation'>; label: string }> = [
+  { id: 'cart', label: 'Carrito' },
+  { id: 'details', label: 'Datos' },
+  { id: 'delivery', label: 'Entrega' },
+  { id: 'payment', label: 'Pago' }
+];
+
+const SLOT_UNAVAILABLE_LABELS: Record<DeliveryUnavailableReason, string> = {
+  blackout: 'sin entregas',
+  past: 'no disponible',
+  cutoff: 'cerrado',
+  full: 'agotado'
+};
+
+// Labels for the account_info keys admins can fill, in the order customers read them
+const ACCOUNT_INFO_LABELS: Array<[keyof PaymentMethodAccountInfo, string]> = [
+  ['bank_name', 'Banco'],
+  ['bank_code', 'Código'],
+  ['account_number', 'Cuenta'],
+  ['account_holder', 'Titular'],
+  ['document_id', 'RIF / C.I.'],
+  ['phone_number', 'Teléfono'],
+  ['email', 'Correo'],
+  ['wallet_address', 'Wallet'],
+  ['network', 'Red']
+];
+
+const REQUIRED_FIELDS: Record<Exclude<CheckoutStep, 'cart' | 'confirmation'>, Array<CheckoutTextField>> = {
+  details: ['customer_name', 'customer_email', 'customer_phone', 'recipient_name', 'recipient_phone', 'delivery_address', 'delivery_city', 'delivery_state'],
+  delivery: ['delivery_date', 'delivery_time_slot'],
+  payment: ['payment_method_id']
+};
+
+function escapeHtml(value: string): string {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatUSD(amount: number): string {
+  return `$${amount.toFixed(2)}`;
+}
+
+function formatVES(amount: number): string {
+  return `Bs. ${amount.toLocaleString('es-VE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+// Availability dates are plain YYYY-MM-DD days, so format them without shifting time zones
+function formatDeliveryDate(date: string): string {
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString('es-VE', {
+    weekday: 'long',
+    day: 'numeric',
+    month: 'long',
+    timeZone: 'UTC'
+  });
+}
+
+function isSlotAvailable(slot: DeliveryAvailabilitySlot): boolean {
+  return slot.unavailable_reason === null;
+}
+
+// The API's error code, when the request failed with one
+function apiErrorCode(error: unknown): string | undefined {
+  return error instanceof ApiError ? error.code : undefined;
+}
+
+// Delivery zone rejections, by the code the quote and order endpoints send with them
+function deliveryZoneErrorMessage(code: string | undefined): string | null {
+  switch (code) {
+    case 'OUTSIDE_DELIVERY_ZONES':
+      return 'Aún no hacemos entregas en esa ciudad o municipio. Revisa la ciudad y el estado.';
+    case 'BELOW_ZONE_MINIMUM':
+      return 'Tu pedido no alcanza el monto mínimo para entregas en tu zona.';
+    case 'ZONE_NOT_SERVED_ON_DATE':
+      return 'No hacemos entregas en tu zona ese día. Por favor elige otra fecha.';
+    default:
+      return null;
+  }
+}
+
+// Coupon rejections
+function couponErrorMessage(code: string | undefined): string | null {
+  switch (code) {
+    case 'COUPON_NOT_FOUND':
+      return 'El cupón no existe. Revisa el código.';
+    case 'COUPON_NOT_STARTED':
+      return 'El cupón aún no está vigente.';
+    case 'COUPON_EXPIRED':
+      return 'El cupón está vencido.';
+    case 'BELOW_COUPON_MINIMUM':
+      return 'Tu pedido no alcanza el monto mínimo para usar este cupón.';
+    case 'COUPON_NOT_APPLICABLE':
+      return 'El cupón no aplica a los productos de tu carrito.';
+    case 'COUPON_CUSTOMER_LIMIT_REACHED':
+      return 'Ya usaste este cupón el máximo de veces permitido.';
+    case 'COUPON_USAGE_LIMIT_REACHED':
+    case 'COUPON_UNAVAILABLE':
+      return 'El cupón ya no está disponible.';
+    default:
+      return null;
+  }
+}
+
+// Gift card and store credit rejections as well
+function storeCreditErrorMessage(code: string | undefined, source: 'gift_card' | 'store_credit'): string | null {
+  switch (code) {
+    case 'GIFT_CARD_NOT_FOUND':
+      return 'La tarjeta de regalo no existe, está vencida o no tiene saldo.';
+    case 'NO_STORE_CREDIT':
+      return source === 'gift_card'
+        ? 'La tarjeta de regalo no existe, está vencida o no tiene saldo.'
+        : 'No tienes saldo a favor disponible.';
+    case 'ORDER_NOT_PAYABLE':
+      return 'Este pedido ya no admite pagos.';
+    default:
+      return null;
+  }
+}
+
+export class CheckoutFlow {
+  private container: HTMLElement;
+  private step: CheckoutStep = 'cart';
+  private cart: CartItem[] = [];
+  private quote: OrderQuote | null = null;
+  private paymentMethods: PaymentMethod[] = [];
+  private availability: DeliveryAvailabilityDay[] = [];
+  private zones: DeliveryZone[] = [];
+  private exchangeRate: number | null = null;
+  private appliedCoupon: string | null = null;
+  private storeCreditBalance = 0;
+  private loyaltyAccount: LoyaltyAccount | null = null;
+  private useLoyaltyPoints = false;
+  private placedOrder: PlacedOrder | null = null;
+  private orderAttempt: { request: string; idempotency_key: string } | null = null;
+  private error: string | null = null;
+  private isSubmitting = false;
+  private form: CheckoutForm = {
+    customer_name: '',
+    customer_email: '',
+    customer_phone: '',
+    recipient_name: '',
+    recipient_phone: '',
+    delivery_address: '',
+    delivery_city: '',
+    delivery_state: '',
+    delivery_notes: '',
+    delivery_date: '',
+    delivery_time_slot: '',
+    payment_method_id: '',
+    card_message: '',
+    coupon_code: '',
+    gift_card_code: '',
+    is_anonymous: false
+  };
+
+  constructor(container: HTMLElement) {
+    this.container = container;
+    this.container.addEventListener('click', (event) => this.handleClick(event));
+    this.container.addEventListener('input', (event) => this.handleInput(event));
+    this.container.addEventListener('change', (event) => this.handleInput(event));
+  }
+
+  public async start(): Promise<void> {
+    this.cart = this.loadCart();
+    this.render();
+
+    if (this.cart.length > 0) {
+      await Promise.all([
+        this.refreshQuote(),
+        this.loadPaymentMethods(),
+        this.loadZones(),
+        this.loadAvailability(),
+        this.loadExchangeRate(),
+        this.loadStoreCredit(),
+        this.loadLoyaltyAccount()
+      ]);
+      // The rate may arrive after the quote was drawn
+      this.render();
+    }
+  }
+
+  // Only signed-in customers have points to spend
+  private async loadLoyaltyAccount(): Promise<void> {
+    if (!localStorage.getItem('floresya_token')) {return;}
+    try {
+      const response = await api.getMyLoyaltyAccount();
+      this.loyaltyAccount = response.success && response.data ? response.data : null;
+    } catch {
+      this.loyaltyAccount = null;
+    }
+  }
+
+  private async loadPaymentMethods(): Promise<void> {
+    try {
+      const response = await api.getPaymentMethods();
+      this.paymentMethods = response.success && response.data ? response.data : [];
+    } catch {
+      this.paymentMethods = [];
+    }
+  }
+
+  // Without a rate the totals are shown in dollars only
+  private async loadExchangeRate(): Promise<void> {
+    try {
+      const response = await api.getExchangeRate();
+      this.exchangeRate = response.success && response.data ? response.data.rate : null;
+    } catch {
+      this.exchangeRate = null;
+    }
+  }
+
+  // Signed-in customers can pay with their store credit once the order is placed
+  private async loadStoreCredit(): Promise<void> {
+    if (!localStorage.getItem('floresya_token')) {return;}
+    try {
+      const response = await api.getMyStoreCredit();
+      this.storeCreditBalance = response.success && response.data ? response.data.balance_usd : 0;
+    } catch {
+      this.storeCreditBalance = 0;
+    }
+  }
+
+  private async loadZones(): Promise<void> {
+    try {
+      const response = await api.getDeliveryZones();
+      this.zones = response.success && response.data ? response.data : [];
+    } catch {
+      this.zones = [];
+    }
+  }
+
+  /**
+   * Load the delivery calendar and keep the chosen day and slot only while they can still be booked
+   */
+  private async loadAvailability(): Promise<void> {
+    try {
+      const response = await api.getDeliveryAvailability();
+      this.availability = response.success && response.data ? response.data : [];
+    } catch {
+      this.availability = [];
+    }
+
+    this.keepBookableDeliveryDate();
+  }
+
+  private keepBookableDeliveryDate(): void {
+    const chosen = this.availableSlots(this.form.delivery_date)
+      .some(slot => slot.label === this.form.delivery_time_slot);
+    if (!chosen) {
+      const firstDay = this.availability.find(day => this.isDayOpen(day));
+      this.selectDeliveryDate(firstDay?.date ?? '');
+    }
+  }
+
+  /**
+   * Zone the last quote matched, once the address is known
+   */
+  private deliveryZone(): DeliveryZone | undefined {
+    const zoneId = this.quote?.delivery_zone?.id;
+    return this.zones.find(zone => zone.id === zoneId);
+  }
+
+  private isServedOn(day: DeliveryAvailabilityDay): boolean {
+    return this.deliveryZone()?.delivery_weekdays.includes(day.weekday) ?? true;
+  }
+
+  private isDayOpen(day: DeliveryAvailabilityDay): boolean {
+    return this.isServedOn(day) && day.slots.some(isSlotAvailable);
+  }
+
+  private availableSlots(date: string): DeliveryAvailabilitySlot[] {
+    const day = this.availability.find(candidate => candidate.date === date);
+    return day && this.isServedOn(day) ? day.slots.filter(isSlotAvailable) : [];
+  }
+
+  private selectDeliveryDate(date: string): void {
+    this.form.delivery_date = date;
+    this.form.delivery_time_slot = this.availableSlots(date)[0]?.label ?? '';
+  }
+
+  private selectedPaymentMethod(): PaymentMethod | undefined {
+    return this.paymentMethods.find(method => String(method.id) === this.form.payment_method_id);
+  }
+
+  private loadCart(): CartItem[] {
+    try {
+      const saved = sessionStorage.getItem(CART_STORAGE_KEY);
+      return saved ? (JSON.parse(saved) as CartItem[]) : [];
+    } catch {
+      return [];
+    }
+  }
+
+  private toOrderItems(): OrderCreateRequest['items'] {
+    return this.cart.map(item => ({
+      product_id: item.productId,
+      variant_id: item.variantId,
+      quantity: item.quantity,
+      addons: item.addons?.map(addon => ({ addon_id: addon.addonId, quantity: addon.quantity }))
+    }));
+  }
+
+  /**
+   * Re-price the cart on the server so the totals shown are the ones that will be charged.
+   * Once the address is filled in the quote includes its delivery fee; the date is only
+   * checked against the zone after the customer picked it, and IGTF once a payment method is chosen.
+   */
+  private async refreshQuote(withDeliveryDate = false): Promise<boolean> {
+    const city = this.form.delivery_city.trim();
+    const delivery = city ? {
+      delivery_city: city,
+      delivery_state: this.form.delivery_state.trim() || undefined,
+      delivery_date: withDeliveryDate ? this.form.delivery_date : undefined
+    } : undefined;
+
+    try {
+      const response = await api.quoteOrder(this.toOrderItems(), delivery, this.selectedPaymentMethod()?.id, this.couponClaim(), this.loyaltyClaim());
+      this.quote = response.success && response.data ? response.data : null;
+      this.error = this.quote ? null : (response.message ?? 'No se pudo calcular el total del pedido');
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'No se pudo calcular el total del pedido';
+      const code = apiErrorCode(error);
+
+      // A coupon the cart no longer qualifies for is dropped, and the cart re-quoted without it
+      const couponError = this.appliedCoupon ? couponErrorMessage(code) : null;
+      if (couponError) {
+        this.appliedCoupon = null;
+        const quoted = await this.refreshQuote(withDeliveryDate);
+        this.error = couponError;
+        this.render();
+        return quoted;
+      }
+
+      // Points cannot be spent once the session is gone; quote without them
+      if (this.useLoyaltyPoints && code === 'LOYALTY_SIGN_IN_REQUIRED') {
+        this.useLoyaltyPoints = false;
+        const quoted = await this.refreshQuote(withDeliveryDate);
+        this.error = 'Inicia sesión para usar tus puntos.';
+        this.render();
+        return quoted;
+      }
+
+      const zoneError = deliveryZoneErrorMessage(code);
+      // The cart itself is still fine when only the address or the date is rejected
+      if (!zoneError) {this.quote = null;}
+      this.error = zoneError ?? message;
+      this.render();
+      return false;
+    }
+    this.render();
+    return this.quote !== null;
+  }
+
+  private couponClaim(): { coupon_code: string; customer_email?: string } | undefined {
+    if (!this.appliedCoupon) {return undefined;}
+    return { coupon_code: this.appliedCoupon, customer_email: this.form.customer_email.trim() || undefined };
+  }
+
+  // Ask for every point; the quote says how many the cart can take
+  private loyaltyClaim(): number | undefined {
+    const points = this.loyaltyAccount?.points ?? 0;
+    return this.useLoyaltyPoints && points > 0 ? points : undefined;
+  }
+
+  private toggleLoyaltyPoints(): void {
+    this.useLoyaltyPoints = !this.useLoyaltyPoints;
+    void this.refreshQuote();
+  }
+
+  private async applyCoupon(): Promise<void> {
+    const code = this.form.coupon_code.trim().toUpperCase();
+    if (!code) {return;}
+
+    try {
+      const response = await api.applyCoupon(this.toOrderItems(), {
+        coupon_code: code,
+        customer_email: this.form.customer_email.trim() || undefined
+      }, undefined, undefined, this.loyaltyClaim());
+      if (response.success && response.data) {
+        this.quote = response.data;
+        this.appliedCoupon = code;
+        this.form.coupon_code = '';
+        this.error = null;
+      }
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'No se pudo aplicar el cupón';
+      this.error = couponErrorMessage(apiErrorCode(error)) ?? message;
+    }
+    this.render();
+  }
+
+  private removeCoupon(): void {
+    this.appliedCoupon = null;
+    void this.refreshQuote();
+  }
+
+  private handleInput(event: Event): void {
+    const target = event.target;
+    if (!(target instanceof HTMLInputElement || target instanceof HTMLTextAreaElement || target instanceof HTMLSelectElement)) {
+      return;
+    }
+
+    const field = target.name as keyof CheckoutForm;
+    if (!(field in this.form)) {return;}
+
+    if (field === 'is_anonymous') {
+      this.form.is_anonymous = target instanceof HTMLInputElement && target.checked;
+      return;
+    }
+
+    if (target instanceof HTMLInputElement && target.type === 'radio' && !target.checked) {return;}
+    (this.form as unknown as Record<string, string>)[field] = target.value;
+
+    // Updating the counter in place keeps the cursor in the textarea
+    if (field === 'card_message') {
+      const counter = this.container.querySelector('[data-card-message-count]');
+      if (counter) {counter.textContent = String(target.value.length);}
+    }
+
+    // A new day offers its own slots
+    if (field === 'delivery_date') {
+      this.selectDeliveryDate(target.value);
+      this.render();
+    }
+
+    // Show the chosen method's account details right away, then re-price for IGTF
+    if (field === 'payment_method_id') {
+      this.render();
+      void this.refreshQuote(true);
+    }
+  }
+
+  private handleClick(event: Event): void {
+    const target = event.target instanceof Element ? event.target.closest('[data-action]') : null;
+    if (!(target instanceof HTMLElement)) {return;}
+
+    switch (target.dataset.action) {
+      case 'next':
+        void this.goForward();
+        break;
+      case 'back':
+        this.goBack();
+        break;
+      case 'submit':
+        void this.submitOrder();
+        break;
+      case 'apply-coupon':
+        void this.applyCoupon();
+        break;
+      case 'remove-coupon':
+        this.removeCoupon();
+        break;
+      case 'toggle-loyalty':
+        this.toggleLoyaltyPoints();
+        break;
+      case 'redeem-gift-card':
+        void this.redeemBalance('gift_card');
+        break;
+      case 'redeem-store-credit':
+        void this.redeemBalance('store_credit');
+        break;
+      case 'home':
+        window.location.href = '/';
+        break;
+    }
+  }
+
+  private async goForward(): Promise<void> {
+    if (this.step === 'cart') {
+      if (!this.quote) {return;}
+      this.setStep('details');
+      return;
+    }
+
+    // Re-quote with the address, then with the date, so the delivery fee is known before paying
+    if (this.step === 'details' && this.validateStep('details') && await this.refreshQuote()) {
+      this.keepBookableDeliveryDate();
+      this.setStep('delivery');
+    } else if (this.step === 'delivery' && this.validateStep('delivery') && await this.refreshQuote(true)) {
+      this.setStep('payment');
+    }
+  }
+
+  private goBack(): void {
+    const index = STEPS.findIndex(step => step.id === this.step);
+    const previous = STEPS[index - 1];
+    if (previous) {
+      this.setStep(previous.id);
+    } else {
+      window.history.back();
+    }
+  }
+
+  private setStep(step: CheckoutStep): void {
+    this.step = step;
+    this.error = null;
+    this.render();
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  }
+
+  private validateStep(step: keyof typeof REQUIRED_FIELDS): boolean {
+    const missing = REQUIRED_FIELDS[step].filter(field => !this.form[field].trim());
+    if (missing.length > 0) {
+      this.error = 'Por favor completa todos los campos obligatorios.';
+      this.render();
+      return false;
+    }
+
+    if (step === 'details' && !/^\S+@\S+\.\S+$/.test(this.form.customer_email)) {
+      this.error = 'Por favor ingresa un email válido.';
+      this.render();
+      return false;
+    }
+
+    if (step === 'details' && this.form.delivery_address.trim().length < 10) {
+      this.error = 'La dirección de entrega debe tener al menos 10 caracteres.';
+      this.render();
+      return false;
+    }
+
+    return true;
+  }
+
+  private buildOrderRequest(): OrderCreateRequest {
+    const paymentMethod = this.selectedPaymentMethod();
+
+    return {
+      customer_name: this.form.customer_name.trim(),
+      customer_email: this.form.customer_email.trim(),
+      customer_phone: this.form.customer_phone.trim(),
+      delivery_address: this.form.delivery_address.trim(),
+      delivery_city: this.form.delivery_city.trim(),
+      delivery_state: this.form.delivery_state.trim(),
+      delivery_date: this.form.delivery_date,
+      delivery_time_slot: this.form.delivery_time_slot,
+      delivery_notes: this.form.delivery_notes.trim() || undefined,
+      recipient_name: this.form.recipient_name.trim(),
+      recipient_phone: this.form.recipient_phone.trim(),
+      is_anonymous: this.form.is_anonymous,
+      card_message: this.form.card_message.trim() || undefined,
+      notes: `Método de pago: ${paymentMethod?.name ?? ''}`,
+      payment_method_id: paymentMethod?.id,
+      coupon_code: this.appliedCoupon ?? undefined,
+      loyalty_points: this.quote?.loyalty_points_redeemed || undefined,
+      items: this.toOrderItems()
+    };
+  }
+
+  private async submitOrder(): Promise<void> {
+    if (this.isSubmitting || !this.validateStep('payment')) {return;}
+
+    this.isSubmitting = true;
+    this.error = null;
+    this.render();
+
+    try {
+      const request = this.buildOrderRequest();
+      // Retrying the same order reuses its key, so an attempt that timed out is not placed twice
+      const body = JSON.stringify(request);
+      if (this.orderAttempt?.request !== body) {
+        this.orderAttempt = { request: body, idempotency_key: window.crypto.randomUUID() };
+      }
+      const response = await api.createOrder(request, this.orderAttempt.idempotency_key);
+
+      if (!response.success || !response.data) {
+        this.error = response.message ?? 'No se pudo crear el pedido';
+        return;
+      }
+
+      const { order, tracking_token } = response.data;
+      this.placedOrder = {
+        id: order.id,
+        order_number: order.order_number,
+        total_amount_usd: order.total_amount_usd,
+        amount_due_usd: order.total_amount_usd - order.igtf_amount_usd,
+        credit_payments: [],
+        tracking_url: tracking_token
+          ? `/pages/track-order.html?order=${order.id}&token=${encodeURIComponent(tracking_token)}`
+          : null
+      };
+      sessionStorage.removeItem(CART_STORAGE_KEY);
+      this.step = 'confirmation';
+    } catch (error) {
+      this.error = error instanceof Error ? error.message : 'No se pudo crear el pedido';
+      const code = apiErrorCode(error);
+
+      const zoneError = deliveryZoneErrorMessage(code);
+      if (zoneError) {
+        this.error = zoneError;
+      }
+
+      // The coupon expired or ran out while paying: show the total without it
+      const couponError = this.appliedCoupon ? couponErrorMessage(code) : null;
+      if (couponError) {
+        this.appliedCoupon = null;
+        await this.refreshQuote(true);
+        this.error = `${couponError} Revisa el nuevo total antes de confirmar.`;
+      }
+
+      // The points were spent on another order meanwhile: show the total without them
+      if (code === 'INSUFFICIENT_LOYALTY_POINTS') {
+        this.useLoyaltyPoints = false;
+        await this.loadLoyaltyAccount();
+        await this.refreshQuote(true);
+        this.error = 'Tus puntos ya no alcanzan para este pedido. Revisa el nuevo total antes de confirmar.';
+      }
+
+      // Someone took the last place, or the cutoff passed while paying: pick again
+      if (code === 'DELIVERY_SLOT_UNAVAILABLE') {
+        await this.loadAvailability();
+        this.error = 'El horario de entrega elegido ya no está disponible. Por favor elige otro.';
+        this.step = 'delivery';
+      }
+    } finally {
+      this.isSubmitting = false;
+      this.render();
+    }
+  }
+
+  /**
+   * Pay what the order still owes with a gift card or the customer's store credit;
+   * any rest is paid with the method chosen at checkout
+   */
+  private async redeemBalance(source: 'gift_card' | 'store_credit'): Promise<void> {
+    const order = this.placedOrder;
+    const code = this.form.gift_card_code.trim().toUpperCase();
+    if (!order || this.isSubmitting || (source === 'gift_card' && !code)) {return;}
+
+    if (source === 'gift_card' && !GIFT_CARD_CODE_PATTERN.test(code)) {
+      this.error = 'El código de la tarjeta tiene el formato FY-XXXX-XXXX-XXXX.';
+      this.render();
+      return;
+    }
+
+    this.isSubmitting = true;
+    this.error = null;
+    this.render();
+
+    try {
+      const email = this.form.customer_email.trim();
+      const response = source === 'gift_card'
+        ? await api.redeemGiftCard(order.id, email, code)
+        : await api.redeemStoreCredit(order.id, email);
+
+      if (response.success && response.data) {
+        const { payment, amount_due_usd } = response.data;
+        order.amount_due_usd = amount_due_usd;
+        order.credit_payments.push({
+          label: source === 'gift_card' ? `Tarjeta de regalo ${payment.reference_number ?? ''}`.trim() : 'Saldo a favor',
+          amount_usd: payment.amount_usd
+        });
+        if (source === 'gift_card') {
+          this.form.gift_card_code = '';
+        } else {
+          this.storeCreditBalance = Math.max(this.storeCreditBalance - payment.amount_usd, 0);
+        }
+      }
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'No se pudo aplicar el saldo';
+      this.error = storeCreditErrorMessage(apiErrorCode(error), source) ?? message;
+    } finally {
+      this.isSubmitting = false;
+      this.render();
+    }
+  }
+
+  // ============================================
+  // RENDERING
+  // ============================================
+
+  private render(): void {
+    this.container.innerHTML = `
+      <div class="max-w-3xl mx-auto px-4 py-10">
+        <h1 class="text-3xl font-bold text-gray-900 mb-6 text-center">Finalizar Compra</h1>
+        ${this.step === 'confirmation' ? '' : this.renderProgress()}
+        ${this.error ? `<div class="bg-red-50 border border-red-200 text-red-700 rounded-lg p-4 mb-6" role="alert">${escapeHtml(this.error)}</div>` : ''}
+        <div class="bg-white rounded-xl shadow-lg p-6">
+          ${this.renderStep()}
+        </div>
+      </div>
+    `;
+  }
+
+  private renderProgress(): string {
+    const currentIndex = STEPS.findIndex(step => step.id === this.step);
+
+    return `
+      <ol class="flex justify-between mb-8">
+        ${STEPS.map((step, index) => `
+          <li class="flex-1 text-center text-sm ${index <= currentIndex ? 'text-pink-600 font-semibold' : 'text-gray-400'}">
+            <span class="inline-flex w-8 h-8 items-center justify-center rounded-full mb-1 ${index <= currentIndex ? 'bg-pink-600 text-white' : 'bg-gray-200'}">${index + 1}</span>
+            <div>${step.label}</div>
+          </li>
+        `).join('')}
+      </ol>
+    `;
+  }
+
+  private renderStep(): string {
+    switch (this.step) {
+      case 'cart':
+        return this.renderCartStep();
+      case 'details':
+        return this.renderDetailsStep();
+      case 'delivery':
+        return this.renderDeliveryStep();
+      case 'payment':
+        return this.renderPaymentStep();
+      case 'confirmation':
+        return this.renderConfirmation();
+    }
+  }
+
+  private renderCartStep(): string {
+    if (this.cart.length === 0) {
+      return `
+        <div class="text-center py-8">
+          <h2 class="text-xl font-semibold mb-2">Tu carrito está vacío</h2>
+          <p class="text-gray-500 mb-6">Agrega algunos productos para comenzar</p>
+          <button type="button" data-action="home" class="bg-pink-600 text-white px-6 py-2 rounded-lg hover:bg-pink-700">Explorar Productos</button>
+        </div>
+      `;
+    }
+
+    if (!this.quote) {
+      return `<p class="text-center text-gray-500 py-8">${this.error ? 'Revisa tu carrito e inténtalo de nuevo.' : 'Calculando total...'}</p>
+        ${this.renderNavigation('Continuar', !this.quote)}`;
+    }
+
+    return `
+      <h2 class="text-xl font-semibold mb-4">Revisa tu pedido</h2>
+      <ul class="divide-y divide-gray-200 mb-4">
+        ${this.quote.items.map(item => `
+          <li class="flex justify-between py-3">
+            <span>${escapeHtml(item.variant_name ? `${item.product_name} - ${item.variant_name}` : item.product_name)} <span class="text-gray-500">× ${item.quantity}</span></span>
+            <span class="font-medium">${formatUSD(item.subtotal_usd)}</span>
+          </li>
+          ${item.addons.map(addon => `
+            <li class="flex justify-between py-2 pl-6 text-sm text-gray-600">
+              <span>+ ${escapeHtml(addon.addon_name)} <span class="text-gray-500">× ${addon.quantity}</span></span>
+              <span>${addon.promotion_id ? '<span class="text-green-700">Gratis</span>' : formatUSD(addon.subtotal_usd)}</span>
+            </li>
+          `).join('')}
+        `).join('')}
+      </ul>
+      ${this.renderCoupon()}
+      ${this.renderLoyaltyPoints()}
+      ${this.renderTotal()}
+      ${this.renderNavigation('Continuar')}
+    `;
+  }
+
+  private renderCoupon(): string {
+    if (this.appliedCoupon) {
+      return `
+        <div class="flex justify-between items-center bg-green-50 border border-green-200 text-green-800 rounded-lg p-3 mb-4">
+          <span>Cupón <strong>${escapeHtml(this.appliedCoupon)}</strong> aplicado</span>
+          <button type="button" data-action="remove-coupon" class="text-sm underline">Quitar</button>
+        </div>
+      `;
+    }
+
+    return `
+      <div class="flex gap-2 mb-4">
+        <input type="text" name="coupon_code" value="${escapeHtml(this.form.coupon_code)}" placeholder="Código de cupón" maxlength="40" class="flex-1 border border-gray-300 rounded-lg p-2 uppercase">
+        <button type="button" data-action="apply-coupon" class="border border-pink-600 text-pink-600 px-4 py-2 rounded-lg hover:bg-pink-50">Aplicar</button>
+      </div>
+    `;
+  }
+
+  private renderLoyaltyPoints(): string {
+    const account = this.loyaltyAccount;
+    if (!account || account.points <= 0) {return '';}
+
+    if (this.useLoyaltyPoints) {
+      const redeemed = this.quote?.loyalty_points_redeemed ?? 0;
+      return `
+        <div class="flex justify-between items-center bg-green-50 border border-green-200 text-green-800 rounded-lg p-3 mb-4">
+          <span>Usando <strong>${redeemed}</strong> de tus ${account.points} puntos</span>
+          <button type="button" data-action="toggle-loyalty" class="text-sm underline">Quitar</button>
+        </div>
+      `;
+    }
+
+    return `
+      <button type="button" data-action="toggle-loyalty" class="w-full border border-green-600 text-green-700 px-4 py-2 rounded-lg hover:bg-green-50 mb-4">
+        Usar mis ${account.points} puntos (hasta ${formatUSD(account.value_usd)})
+      </button>
+    `;
+  }
+
+  private renderDetailsStep(): string {
+    return `
+      <h2 class="text-xl font-semibold mb-4">¿Quién compra y quién recibe?</h2>
+      <div class="grid md:grid-cols-2 gap-6">
+        <fieldset>
+          <legend class="font-medium text-pink-600 mb-2">Tus datos</legend>
+          ${this.renderInput('customer_name', 'Nombre completo')}
+          ${this.renderInput('customer_email', 'Email', 'email')}
+          ${this.renderInput('customer_phone', 'Teléfono', 'tel', '+58414-1234567')}
+        </fieldset>
+        <fieldset>
+          <legend class="font-medium text-pink-600 mb-2">Destinatario</legend>
+          ${this.renderInput('recipient_name', 'Nombre del destinatario')}
+          ${this.renderInput('recipient_phone', 'Teléfono del destinatario', 'tel', '+58414-1234567')}
+        </fieldset>
+      </div>
+      <fieldset class="mb-4">
+        <legend class="font-medium text-pink-600 mb-2">Tarjeta de regalo</legend>
+        <label class="block mb-2">
+          <span class="block text-sm font-medium text-gray-700 mb-1">Mensaje para la tarjeta</span>
+          <textarea name="card_message" rows="3" maxlength="${CARD_MESSAGE_MAX_LENGTH}" class="w-full border border-gray-300 rounded-lg p-2" placeholder="Escribe tu dedicatoria...">${escapeHtml(this.form.card_message)}</textarea>
+          <span class="block text-right text-xs text-gray-500"><span data-card-message-count>${this.form.card_message.length}</span>/${CARD_MESSAGE_MAX_LENGTH}</span>
+        </label>
+        <label class="flex items-center gap-2 text-sm text-gray-700">
+          <input type="checkbox" name="is_anonymous" ${this.form.is_anonymous ? 'checked' : ''}>
+          Enviar como anónimo (tu nombre no aparecerá en la tarjeta)
+        </label>
+      </fieldset>
+      <label class="block mb-4">
+        <span class="block text-sm font-medium text-gray-700 mb-1">Dirección de entrega *</span>
+        <textarea name="delivery_address" rows="3" class="w-full border border-gray-300 rounded-lg p-2" placeholder="Dirección completa con referencias...">${escapeHtml(this.form.delivery_address)}</textarea>
+      </label>
+      <div class="grid md:grid-cols-2 gap-6">
+        ${this.renderInput('delivery_city', 'Ciudad o municipio', 'text', '', true, 'delivery-localities')}
+        ${this.renderInput('delivery_state', 'Estado', 'text', '', true, 'delivery-states')}
+      </div>
+      <datalist id="delivery-localities">
+        ${this.zones.flatMap(zone => zone.localities).map(locality => `<option value="${escapeHtml(locality)}"></option>`).join('')}
+      </datalist>
+      <datalist id="delivery-states">
+        ${[...new Set(this.zones.map(zone => zone.state))].map(state => `<option value="${escapeHtml(state)}"></option>`).join('')}
+      </datalist>
+      ${this.renderNavigation('Continuar')}
+    `;
+  }
+
+  private renderDeliveryStep(): string {
+    const slots = this.availability.find(day => day.date === this.form.delivery_date)?.slots ?? [];
+
+    return `
+      <h2 class="text-xl font-semibold mb-4">¿Cuándo entregamos?</h2>
+      ${this.availability.length === 0 ? '<p class="text-gray-500 mb-4">No hay fechas de entrega disponibles en este momento.</p>' : ''}
+      <label class="block mb-4">
+        <span class="block text-sm font-medium text-gray-700 mb-1">Fecha de entrega *</span>
+        <select name="delivery_date" class="w-full border border-gray-300 rounded-lg p-2">
+          ${this.availability.map(day => {
+            const open = this.isDayOpen(day);
+            const note = day.blackout_reason ?? (open ? '' : this.isServedOn(day) ? 'sin horarios disponibles' : 'sin entregas en tu zona');
+            return `<option value="${day.date}" ${day.date === this.form.delivery_date ? 'selected' : ''} ${open ? '' : 'disabled'}>${escapeHtml(formatDeliveryDate(day.date))}${note ? ` (${escapeHtml(note)})` : ''}</option>`;
+          }).join('')}
+        </select>
+      </label>
+      <label class="block mb-4">
+        <span class="block text-sm font-medium text-gray-700 mb-1">Horario *</span>
+        <select name="delivery_time_slot" class="w-full border border-gray-300 rounded-lg p-2">
+          ${slots.map(slot => `<option value="${escapeHtml(slot.label)}" ${slot.label === this.form.delivery_time_slot ? 'selected' : ''} ${isSlotAvailable(slot) ? '' : 'disabled'}>${escapeHtml(slot.label)}${slot.unavailable_reason ? ` (${SLOT_UNAVAILABLE_LABELS[slot.unavailable_reason]})` : ''}</option>`).join('')}
+        </select>
+      </label>
+      <label class="block mb-4">
+        <span class="block text-sm font-medium text-gray-700 mb-1">Indicaciones para la entrega</span>
+        <textarea name="delivery_notes" rows="2" class="w-full border border-gray-300 rounded-lg p-2">${escapeHtml(this.form.delivery_notes)}</textarea>
+      </label>
+      ${this.renderNavigation('Continuar')}
+    `;
+  }
+
+  private renderPaymentStep(): string {
+    const selected = this.selectedPaymentMethod();
+
+    return `
+      <h2 class="text-xl font-semibold mb-4">Método de pago</h2>
+      <div class="space-y-2 mb-6">
+        ${this.paymentMethods.length === 0 ? '<p class="text-gray-500">No hay métodos de pago disponibles en este momento.</p>' : ''}
+        ${this.paymentMethods.map(method => `
+          <label class="flex items-center gap-3 border border-gray-200 rounded-lg p-3 cursor-pointer hover:border-pink-400">
+            <input type="radio" name="payment_method_id" value="${method.id}" ${String(method.id) === this.form.payment_method_id ? 'checked' : ''}>
+            <span>
+              <span class="block">${escapeHtml(method.name)}</span>
+              ${method.description ? `<span class="block text-sm text-gray-500">${escapeHtml(method.description)}</span>` : ''}
+            </span>
+          </label>
+        `).join('')}
+      </div>
+      ${selected ? this.renderAccountDetails(selected) : ''}
+      <div class="bg-gray-50 rounded-lg p-4 mb-4 text-sm text-gray-700">
+        <div><strong>Entrega:</strong> ${escapeHtml(formatDeliveryDate(this.form.delivery_date))}, ${escapeHtml(this.form.delivery_time_slot)}</div>
+        <div><strong>Para:</strong> ${escapeHtml(this.form.recipient_name)} (${escapeHtml(this.form.recipient_phone)}) — ${escapeHtml(this.form.delivery_address)}</div>
+        ${this.form.card_message.trim() ? `<div><strong>Tarjeta:</strong> “${escapeHtml(this.form.card_message.trim())}”</div>` : ''}
+        <div><strong>De:</strong> ${this.form.is_anonymous ? 'Anónimo' : escapeHtml(this.form.customer_name)}</div>
+      </div>
+      ${this.renderTotal()}
+      <div class="flex justify-between mt-6">
+        <button type="button" data-action="back" class="px-6 py-2 rounded-lg border border-gray-300 hover:bg-gray-50">Atrás</button>
+        <button type="button" data-action="submit" class="bg-pink-600 text-white px-6 py-2 rounded-lg hover:bg-pink-700 disabled:opacity-50" ${this.isSubmitting ? 'disabled' : ''}>
+          ${this.isSubmitting ? 'Procesando...' : 'Confirmar Pedido'}
+        </button>
+      </div>
+    `;
+  }
+
+  private renderConfirmation(): string {
+    const order = this.placedOrder;
+    const paymentMethod = this.selectedPaymentMethod();
+    const isPaid = order !== null && order.amount_due_usd <= PAID_TOLERANCE_USD;
+
+    return `
+      <div class="text-center py-6">
+        <h2 class="text-2xl font-semibold text-gray-900 mb-2">¡Pedido Confirmado!</h2>
+        <p class="text-gray-600 mb-4">Tu pedido ha sido registrado exitosamente.</p>
+        <div class="bg-gray-50 p-4 rounded-lg inline-block mb-6">
+          <div class="text-sm text-gray-600">Número de Pedido</div>
+          <div class="font-semibold text-xl">${escapeHtml(order?.order_number ?? '')}</div>
+          <div class="text-sm text-gray-600 mt-1">Total: ${formatUSD(order?.total_amount_usd ?? 0)}</div>
+          ${order?.credit_payments.map(payment => `
+            <div class="text-sm text-green-700">${escapeHtml(payment.label)}: -${formatUSD(payment.amount_usd)}</div>
+          `).join('') ?? ''}
+          ${order && order.credit_payments.length > 0 && !isPaid ? `<div class="text-sm font-semibold mt-1">Resta por pagar: ${formatUSD(order.amount_due_usd)}</div>` : ''}
+        </div>
+        ${isPaid ? '' : this.renderStoreCreditPayment()}
+        <h3 class="font-semibold mb-2">Próximos pasos</h3>
+        <ol class="text-left max-w-md mx-auto list-decimal list-inside text-gray-700 space-y-1 mb-6">
+          ${isPaid
+            ? '<li>Tu pedido está pagado.</li>'
+            : `<li>Realiza el pago por ${escapeHtml(paymentMethod?.name ?? '')} indicando el pedido ${escapeHtml(order?.order_number ?? '')}.</li>`}
+          <li>Te enviaremos la confirmación a ${escapeHtml(this.form.customer_email)}.</li>
+          <li>Prepararemos tu pedido para el ${escapeHtml(formatDeliveryDate(this.form.delivery_date))} (${escapeHtml(this.form.delivery_time_slot)}).</li>
+        </ol>
+        ${paymentMethod && !isPaid ? `<div class="max-w-md mx-auto text-left mb-6">${this.renderAccountDetails(paymentMethod)}</div>` : ''}
+        ${order?.tracking_url ? `
+          <p class="text-sm text-gray-600 mb-4">
+            Sigue el estado de tu pedido en <a href="${escapeHtml(order.tracking_url)}" class="text-pink-600 underline">este enlace</a>; guárdalo para consultarlo después.
+          </p>
+        ` : ''}
+        <button type="button" data-action="home" class="bg-pink-600 text-white px-6 py-2 rounded-lg hover:bg-pink-700">Volver al Inicio</button>
+      </div>
+    `;
+  }
+
+  private renderStoreCreditPayment(): string {
+    return `
+      <div class="max-w-md mx-auto text-left border border-gray-200 rounded-lg p-4 mb-6">
+        <div class="font-medium mb-2">¿Tienes una tarjeta de regalo?</div>
+        <div class="flex gap-2">
+          <input type="text" name="gift_card_code" value="${escapeHtml(this.form.gift_card_code)}" placeholder="FY-XXXX-XXXX-XXXX" maxlength="17" class="flex-1 border border-gray-300 rounded-lg p-2 uppercase">
+          <button type="button" data-action="redeem-gift-card" class="border border-pink-600 text-pink-600 px-4 py-2 rounded-lg hover:bg-pink-50 disabled:opacity-50" ${this.isSubmitting ? 'disabled' : ''}>Usar</button>
+        </div>
+        ${this.storeCreditBalance > 0 ? `
+          <button type="button" data-action="redeem-store-credit" class="mt-3 w-full border border-green-600 text-green-700 px-4 py-2 rounded-lg hover:bg-green-50 disabled:opacity-50" ${this.isSubmitting ? 'disabled' : ''}>
+            Usar mi saldo a favor (${formatUSD(this.storeCreditBalance)})
+          </button>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  private renderAccountDetails(method: PaymentMethod): string {
+    const info = method.account_info ?? {};
+    const rows = ACCOUNT_INFO_LABELS.filter(([key]) => info[key]);
+
+    return `
+      <div class="border border-pink-200 bg-pink-50 rounded-lg p-4 mb-4 text-sm">
+        <div class="font-semibold text-pink-700 mb-2">Datos para pagar con ${escapeHtml(method.name)}</div>
+        ${rows.length > 0 ? `
+          <dl class="grid grid-cols-3 gap-x-2 gap-y-1">
+            ${rows.map(([key, label]) => `
+              <dt class="text-gray-600">${label}</dt>
+              <dd class="col-span-2 font-medium break-all">${escapeHtml(String(info[key]))}</dd>
+            `).join('')}
+          </dl>
+        ` : ''}
+        ${info.instructions ? `<p class="mt-2 text-gray-700">${escapeHtml(info.instructions)}</p>` : ''}
+      </div>
+    `;
+  }
+
+  private renderTotal(): string {
+    const zone = this.quote?.delivery_zone;
+
+    return `
+      <div class="flex justify-between text-gray-700 border-t border-gray-200 pt-3">
+        <span>Subtotal</span>
+        <span>${formatUSD(this.quote?.subtotal_usd ?? 0)}</span>
+      </div>
+      ${(this.quote?.promotions ?? []).map(promotion => `
+        <div class="flex justify-between text-green-700">
+          <span>${escapeHtml(promotion.explanation)}</span>
+          <span>${promotion.action_type === 'free_delivery' || promotion.action_type === 'free_addon' ? '' : `-${formatUSD(promotion.discount_usd)}`}</span>
+        </div>
+      `).join('')}
+      ${this.quote?.coupon && this.quote.discount_usd > 0 ? `
+        <div class="flex justify-between text-green-700">
+          <span>Descuento (${escapeHtml(this.quote.coupon.code)})</span>
+          <span>-${formatUSD(this.quote.discount_usd)}</span>
+        </div>
+      ` : ''}
+      ${this.quote && this.quote.loyalty_discount_usd > 0 ? `
+        <div class="flex justify-between text-green-700">
+          <span>Puntos canjeados (${this.quote.loyalty_points_redeemed})</span>
+          <span>-${formatUSD(this.quote.loyalty_discount_usd)}</span>
+        </div>
+      ` : ''}
+      <div class="flex justify-between text-gray-700 mb-2">
+        <span>Envío${zone ? ` (${escapeHtml(zone.name)})` : ''}</span>
+        <span>${zone ? formatUSD(this.quote?.delivery_fee_usd ?? 0) : 'Se calcula con la dirección de entrega'}</span>
+      </div>
+      ${this.quote && this.quote.iva_amount_usd > 0 ? `
+        <div class="flex justify-between text-gray-700">
+          <span>IVA (${this.quote.iva_rate}%)</span>
+          <span>${formatUSD(this.quote.iva_amount_usd)}</span>
+        </div>
+      ` : ''}
+      ${this.quote && this.quote.igtf_amount_usd > 0 ? `
+        <div class="flex justify-between text-gray-700">
+          <span>IGTF (${this.quote.igtf_rate}%) por pago en divisas</span>
+          <span>${formatUSD(this.quote.igtf_amount_usd)}</span>
+        </div>
+      ` : ''}
+      <div class="flex justify-between text-lg font-semibold">
+        <span>Total</span>
+        <span>${formatUSD(this.quote?.total_amount_usd ?? 0)}</span>
+      </div>
+      ${this.exchangeRate && this.quote ? `
+        <div class="text-right text-sm text-gray-500">
+          ${formatVES(this.quote.total_amount_usd * this.exchangeRate)} a la tasa de ${formatVES(this.exchangeRate)} por dólar
+        </div>
+      ` : ''}
+    `;
+  }
+
+  private renderInput(name: CheckoutTextField, label: string, type = 'text', placeholder = '', required = true, list = ''): string {
+    return `
+      <label class="block mb-4">
+        <span class="block text-sm font-medium text-gray-700 mb-1">${label}${required ? ' *' : ''}</span>
+        <input type="${type}" name="${name}" value="${escapeHtml(this.form[name])}" placeholder="${placeholder}" ${list ? `list="${list}"` : ''} class="w-full border border-gray-300 rounded-lg p-2">
+      </label>
+    `;
+  }
+
+  private renderNavigation(nextLabel: string, nextDisabled = false): string {
+    return `
+      <div class="flex justify-between mt-6">
+        <button type="button" data-action="back" class="px-6 py-2 rounded-lg border border-gray-300 hover:bg-gray-50">Atrás</button>
+        <button type="button" data-action="next" class="bg-pink-600 text-white px-6 py-2 rounded-lg hover:bg-pink-700 disabled:opacity-50" ${nextDisabled ? 'disabled' : ''}>${nextLabel}</button>
+      </div>
+    `;
+  }
+}
@@ -13,17 +13,21 @@ import type {
   Occasion,
   PaginationInfo as Pagination,
   Product,
+  ProductFacets,
   ProductQuery,
   ProductResponse,
   ProductWithImages,
   ProductWithOccasion
-} from "shared/types/index";
+} from '../shared/types/index.js';
+
+import { CheckoutFlow } from './checkout.js';
 
 // Window interface extensions are now centralized in src/types/globals.ts.js
 
 export class FloresYaApp {
   private products: ProductWithOccasion[];
   private occasions: Occasion[];
+  private facets: ProductFacets | null;
   private currentPage: number;
   private itemsPerPage: number;
   private currentFilters: ProductQuery;
@@ -36,6 +40,7 @@ export class FloresYaApp {
   constructor() {
     this.products = [];
     this.occasions = [];
+    this.facets = null;
     this.currentPage = 1;
     this.itemsPerPage = 12;
     this.currentFilters = {};
@@ -167,7 +172,7 @@ export class FloresYaApp {
       const response = await window.api.getProducts(params); // ZOD VALIDATED
 
       if (response && typeof response === 'object' && 'success' in response && response.success && 'data' in response && response.data) {
-        const typedResponse = response as { success: true; data: { products: Product[]; pagination?: Pagination } };
+        const typedResponse = response as { success: true; data: { products: Product[]; pagination?: Pagination; facets?: ProductFacets } };
         let products = (typedResponse.data.products ?? []).map((p: Product) => {
           const productWithImages = p as ProductWithImages;
           return {
@@ -179,7 +184,10 @@ export class FloresYaApp {
         });
 
         // Apply custom sorting: group by occasion, then alphabetical by name within each group
-        products = this.sortProductsByOccasionAndName(products);
+        // Search results keep the relevance order from the API
+        if (!this.currentFilters.search) {
+          products = this.sortProductsByOccasionAndName(products);
+        }
 
         this.products = products;
 
@@ -192,6 +200,12 @@ export class FloresYaApp {
           this.renderPagination(typedResponse.data.pagination);
         }
 
+        if (typedResponse.data.facets) {
+          this.facets = typedResponse.data.facets;
+          this.populateOccasionFilter();
+          this.populatePriceFilter();
+        }
+
         this.log('✅ Productos cargados', {
           count: this.products.length,
           page: this.currentPage
@@ -401,12 +415,12 @@ export class FloresYaApp {
         <div class="product-info">
           <!-- Product Title -->
           <h3 class="product-title">
-            ${product.name}
+            ${product.search_highlight?.name ?? product.name}
           </h3>
 
           <!-- Product Description -->
           <p class="product-description">
-            ${product.summary || 'Hermoso arreglo floral perfecto para cualquier ocasión especial.'}
+            ${product.search_highlight?.summary ?? product.search_highlight?.description ?? (product.summary || 'Hermoso arreglo floral perfecto para cualquier ocasión especial.')}
           </p>
 
           <!-- Prominent Price Display -->
@@ -508,12 +522,36 @@ export class FloresYaApp {
     const select = document.getElementById('occasionFilter') as HTMLSelectElement;
     if (!select) {return;}
 
+    const selected = select.value;
     select.innerHTML = '<option value="">Todas las ocasiones</option>';
 
+    // Facet counts arrive with the first product page; until then list plain names
+    const counts = new Map(this.facets?.occasions.map(facet => [facet.id, facet.count]) ?? []);
+
     this.occasions.forEach(occasion => {
       const option = document.createElement('option');
-      option.value = occasion.slug;
-      option.textContent = occasion.name;
+      const count = counts.get(occasion.id);
+      option.value = String(occasion.id);
+      option.textContent = count === undefined ? occasion.name : `${occasion.name} (${count})`;
+      option.disabled = count === 0 && option.value !== selected;
+      option.selected = option.value === selected;
+      select.appendChild(option);
+    });
+  }
+
+  private populatePriceFilter(): void {
+    const select = document.getElementById('priceFilter') as HTMLSelectElement;
+    if (!select || !this.facets) {return;}
+
+    const selected = select.value;
+    select.innerHTML = '<option value="">Todos los precios</option>';
+
+    this.facets.price_ranges.forEach(range => {
+      const option = document.createElement('option');
+      option.value = range.key;
+      option.textContent = `${range.label} (${range.count})`;
+      option.disabled = range.count === 0 && range.key !== selected;
+      option.selected = range.key === selected;
       select.appendChild(option);
     });
   }
@@ -549,6 +587,16 @@ export class FloresYaApp {
       occasionFilter.addEventListener('change', () => this.handleFilter());
     }
 
+    const priceFilter = document.getElementById('priceFilter') as HTMLSelectElement;
+    if (priceFilter) {
+      priceFilter.addEventListener('change', () => this.handleFilter());
+    }
+
+    const inStockFilter = document.getElementById('inStockFilter') as HTMLInputElement;
+    if (inStockFilter) {
+      inStockFilter.addEventListener('change', () => this.handleFilter());
+    }
+
     const sortFilter = document.getElementById('sortFilter') as HTMLSelectElement;
     if (sortFilter) {
       sortFilter.addEventListener('change', () => this.handleFilter());
@@ -649,6 +697,13 @@ export class FloresYaApp {
 
     this.currentFilters.search = searchInput.value.trim();
     this.currentPage = 1;
+
+    // Let the API rank matches by relevance; picking a sort option afterwards overrides it
+    if (this.currentFilters.search) {
+      delete this.currentFilters.sort_by;
+      delete this.currentFilters.sort_direction;
+      delete this.currentFilters.sort;
+    }
     void this.loadProducts();
 
     this.log('🔍 Búsqueda realizada', { query: this.currentFilters.search }, 'info');
@@ -656,41 +711,59 @@ export class FloresYaApp {
 
   private initializeDefaultFilters(): void {
     // Initialize filters based on the current UI state
-    const occasionFilter = document.getElementById('occasionFilter') as HTMLSelectElement;
-    const sortFilter = document.getElementById('sortFilter') as HTMLSelectElement;
-
-    if (occasionFilter?.value) {
-      this.currentFilters.occasion = parseInt(occasionFilter.value);
-    }
+    this.readFilterControls();
 
-    if (sortFilter?.value) {
-      // Parse sort format: "field:direction" -> sort_by and sort_direction
-      const [sortBy, sortDirection] = sortFilter.value.split(':');
+    this.log('🔧 Filtros por defecto inicializados', this.currentFilters, 'info');
+  }
 
-      // Validate sort_by field
-      const validSortFields = ['name', 'price_usd', 'created_at', 'carousel_order', 'stock'];
-      if (sortBy && validSortFields.includes(sortBy)) {
-        this.currentFilters.sort_by = sortBy as 'name' | 'price_usd' | 'created_at' | 'carousel_order' | 'stock';
-      }
+  private handleFilter(): void {
+    this.readFilterControls();
 
-      // Validate sort_direction
-      if (sortDirection && (sortDirection.toLowerCase() === 'asc' || sortDirection.toLowerCase() === 'desc')) {
-        this.currentFilters.sort_direction = sortDirection.toLowerCase() as 'asc' | 'desc';
-      }
-    }
+    this.currentPage = 1;
+    void this.loadProducts();
 
-    this.log('🔧 Filtros por defecto inicializados', this.currentFilters, 'info');
+    this.log('🔽 Filtros aplicados', this.currentFilters, 'info');
   }
 
-  private handleFilter(): void {
+  // Copy the occasion, price, stock and sort controls into currentFilters
+  private readFilterControls(): void {
     const occasionFilter = document.getElementById('occasionFilter') as HTMLSelectElement;
+    const priceFilter = document.getElementById('priceFilter') as HTMLSelectElement;
+    const inStockFilter = document.getElementById('inStockFilter') as HTMLInputElement;
     const sortFilter = document.getElementById('sortFilter') as HTMLSelectElement;
 
-    if (occasionFilter) {
-      this.currentFilters.occasion = parseInt(occasionFilter.value);
+    const occasionId = parseInt(occasionFilter?.value ?? '', 10);
+    if (Number.isInteger(occasionId) && occasionId > 0) {
+      this.currentFilters.occasion_ids = [occasionId];
+    } else {
+      delete this.currentFilters.occasion_ids;
+    }
+
+    const priceRange = this.facets?.price_ranges.find(range => range.key === priceFilter?.value);
+    delete this.currentFilters.min_price;
+    delete this.currentFilters.max_price;
+    if (priceRange) {
+      this.currentFilters.min_price = priceRange.min;
+      if (priceRange.max !== null) {
+        this.currentFilters.max_price = priceRange.max;
+      }
+    }
+
+    if (inStockFilter?.checked) {
+      this.currentFilters.in_stock = true;
+    } else {
+      delete this.currentFilters.in_stock;
     }
 
     if (sortFilter?.value) {
+      // Combined sorts ("featured:desc,price_usd:asc") go through `sort`
+      if (sortFilter.value.includes(',')) {
+        this.currentFilters.sort = sortFilter.value;
+        delete this.currentFilters.sort_by;
+        delete this.currentFilters.sort_direction;
+        return;
+      }
+
       // Parse sort format: "field:direction" -> sort_by and sort_direction
       const [sortBy, sortDirection] = sortFilter.value.split(':');
 
@@ -708,11 +781,6 @@ export class FloresYaApp {
       // Remove old sort property if it exists
       delete this.currentFilters.sort;
     }
-
-    this.currentPage = 1;
-    void this.loadProducts();
-
-    this.log('🔽 Filtros aplicados', this.currentFilters, 'info');
   }
 
   private changePage(page: number): void {
@@ -1520,79 +1588,21 @@ private snapToNearest(pos: number): void {
   }
 
   /**
-   * Shows the payment page with title and navigation buttons
+   * Replaces the storefront with the multi-step checkout for the session cart
    */
   private showPaymentPage(): void {
-    this.log('💳 Mostrando página de pago', {}, 'info');
-
-    // Hide the main content and show payment page
-    document.body.innerHTML = `
-      <!DOCTYPE html>
-      <html lang="es">
-      <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>FloresYa - Zona de Pago</title>
-        <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css" rel="stylesheet">
-        <link href="https://cdn.jsdelivr.net/npm/bootstrap-icons@1.11.0/font/bootstrap-icons.css" rel="stylesheet">
-      </head>
-      <body class="bg-light">
-        <div class="container-fluid min-vh-100 d-flex align-items-center justify-content-center">
-          <div class="row w-100 justify-content-center">
-            <div class="col-12 col-md-8 col-lg-6">
-              <div class="card shadow-lg border-0">
-                <div class="card-header bg-success text-white text-center py-4">
-                  <h1 class="mb-0">
-                    <i class="bi bi-credit-card me-2"></i>
-                    Zona de Pago
-                  </h1>
-                  <p class="mb-0 mt-2 opacity-75">Procesamiento de compra seguro</p>
-                </div>
+    this.log('💳 Mostrando checkout', { cartSize: this.cart.length }, 'info');
 
-                <div class="card-body text-center py-5">
-                  <div class="mb-4">
-                    <i class="bi bi-flower1 display-1 text-success mb-3"></i>
-                    <h3 class="mb-3">FloresYa</h3>
-                    <p class="text-muted lead">
-                      Aquí se implementará el sistema de pago seguro para completar tu compra.
-                    </p>
-                  </div>
-
-                  <div class="alert alert-info" role="alert">
-                    <i class="bi bi-info-circle me-2"></i>
-                    <strong>Página en desarrollo:</strong> La funcionalidad de pago será implementada próximamente.
-                  </div>
-
-                  <div class="d-grid gap-3 mt-4">
-                    <button class="btn btn-outline-secondary btn-lg" onclick="window.history.back()">
-                      <i class="bi bi-arrow-left me-2"></i>
-                      Retornar
-                    </button>
-
-                    <button class="btn btn-success btn-lg" onclick="window.location.href='/'">
-                      <i class="bi bi-house me-2"></i>
-                      Inicio
-                    </button>
-                  </div>
-                </div>
-
-                <div class="card-footer text-center text-muted py-3">
-                  <small>
-                    <i class="bi bi-shield-check me-1"></i>
-                    Compra 100% segura y protegida
-                  </small>
-                </div>
-              </div>
-            </div>
-          </div>
-        </div>
+    document.title = 'FloresYa - Finalizar Compra';
+    document.body.className = 'bg-gray-50 min-h-screen';
+    document.body.innerHTML = '<main id="checkoutRoot"></main>';
 
-        <script src="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/js/bootstrap.bundle.min"></script>
-      </body>
-      </html>
-    `;
+    const root = document.getElementById('checkoutRoot');
+    if (!root) {return;}
 
-    this.log('✅ Página de pago mostrada', {}, 'success');
+    void new CheckoutFlow(root).start()
+      .then(() => this.log('✅ Checkout mostrado', {}, 'success'))
+      .catch(error => this.log('❌ Error al iniciar checkout', { error: String(error) }, 'error'));
   }
 
   // Cart management methods
@@ -1621,7 +1631,13 @@ private snapToNearest(pos: number): void {
       return;
     }
 
-    const existingItem = this.cart.find(item => item.productId === productId);
+    // Size/color is chosen on the detail page, which adds the variant to the cart
+    if (product.has_variants) {
+      this.viewProductDetails(productId);
+      return;
+    }
+
+    const existingItem = this.cart.find(item => item.productId === productId && item.variantId === undefined);
 
     if (existingItem) {
       existingItem.quantity += 1;
@@ -1650,12 +1666,17 @@ private snapToNearest(pos: number): void {
   }
 
   public buyNow(productId: number): void {
+    if (this.products.find(p => p.id === productId)?.has_variants) {
+      this.viewProductDetails(productId);
+      return;
+    }
+
     // Add to cart first
     this.addToCart(productId);
 
     // Redirect to payment page after brief delay
     setTimeout(() => {
-      window.location.href = '/pages/payment.html';
+      window.location.href = '/payment';
     }, 500);
   }
 
@@ -1740,19 +1761,19 @@ private snapToNearest(pos: number): void {
     }, 4000);
   }
 
-  public removeFromCart(productId: number): void {
-    this.cart = this.cart.filter(item => item.productId !== productId);
+  public removeFromCart(productId: number, variantId?: number): void {
+    this.cart = this.cart.filter(item => item.productId !== productId || item.variantId !== variantId);
     this.saveCart();
     this.updateCartUI();
   }
 
-  public updateQuantity(productId: number, quantity: number): void {
-    const item = this.cart.find(item => item.productId === productId);
+  public updateQuantity(productId: number, quantity: number, variantId?: number): void {
+    const item = this.cart.find(item => item.productId === productId && item.variantId === variantId);
     if (item) {
       if (quantity > 0) {
         item.quantity = quantity;
       } else {
-        this.removeFromCart(productId);
+        this.removeFromCart(productId, variantId);
         return;
       }
       this.saveCart();
@@ -1791,7 +1812,8 @@ private snapToNearest(pos: number): void {
     const cartContent = cartOffcanvas.querySelector('.cart-content');
     if (!cartContent) {return;}
 
-    const totalPrice = this.cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+    const totalPrice = this.cart.reduce((sum, item) =>
+      sum + (item.price * item.quantity) + (item.addons ?? []).reduce((addonSum, addon) => addonSum + addon.price * addon.quantity, 0), 0);
 
     if (this.cart.length === 0) {
       cartContent.innerHTML = `
@@ -1812,16 +1834,17 @@ private snapToNearest(pos: number): void {
               <img src="${item.image}" alt="${item.name}" class="cart-item-image me-3">
               <div class="flex-grow-1">
                 <h6 class="mb-1">${item.name}</h6>
+                ${(item.addons ?? []).map(addon => `<div class="small text-muted">+ ${addon.name} × ${addon.quantity}</div>`).join('')}
                 <div class="d-flex justify-content-between align-items-center">
                   <span class="text-muted">$${item.price.toFixed(2)}</span>
                   <div class="quantity-controls d-flex align-items-center">
-                    <button class="btn btn-sm btn-outline-secondary" onclick="floresyaApp.updateQuantity(${item.productId}, ${item.quantity - 1})">-</button>
+                    <button class="btn btn-sm btn-outline-secondary" onclick="floresyaApp.updateQuantity(${item.productId}, ${item.quantity - 1}, ${item.variantId})">-</button>
                     <span class="mx-2 fw-bold">${item.quantity}</span>
-                    <button class="btn btn-sm btn-outline-secondary" onclick="floresyaApp.updateQuantity(${item.productId}, ${item.quantity + 1})">+</button>
+                    <button class="btn btn-sm btn-outline-secondary" onclick="floresyaApp.updateQuantity(${item.productId}, ${item.quantity + 1}, ${item.variantId})">+</button>
                   </div>
                 </div>
               </div>
-              <button class="btn btn-sm btn-outline-danger ms-2" onclick="floresyaApp.removeFromCart(${item.productId})">
+              <button class="btn btn-sm btn-outline-danger ms-2" onclick="floresyaApp.removeFromCart(${item.productId}, ${item.variantId})">
                 <i class="bi bi-trash"></i>
               </button>
             </div>
@@ -1832,7 +1855,7 @@ private snapToNearest(pos: number): void {
             <strong>Total: $${totalPrice.toFixed(2)}</strong>
           </div>
           <div class="d-grid gap-2">
-            <a href="/pages/payment.html" class="btn btn-success btn-lg">
+            <a href="/payment" class="btn btn-success btn-lg">
               <i class="bi bi-credit-card me-2"></i>
               Proceder al Pago
             </a>
@@ -0,0 +1,205 @@
+/**
+ * 🌸 FloresYa Order Tracking - TypeScript Edition
+ * Public order status page: order number and email, or the signed link from checkout
+ */
+
+import type { OrderPaymentState, OrderStatus, OrderTracking } from '../shared/types/index.js';
+
+import { api } from './services/apiClient.js';
+
+const STATUS_LABELS: Record<OrderStatus, string> = {
+  pending: 'Pedido recibido',
+  verified: 'Pago verificado',
+  preparing: 'En preparación',
+  shipped: 'En camino',
+  delivered: 'Entregado',
+  cancelled: 'Cancelado'
+};
+
+const PAYMENT_LABELS: Record<OrderPaymentState, string> = {
+  unpaid: 'Pendiente de pago',
+  pending_verification: 'Pago en verificación',
+  partially_paid: 'Pagado parcialmente',
+  paid: 'Pagado'
+};
+
+// The steps every order goes through, in order; cancelled orders stop wherever they were
+const PROGRESS: OrderStatus[] = ['pending', 'verified', 'preparing', 'shipped', 'delivered'];
+
+function escapeHtml(value: string): string {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatUSD(amount: number): string {
+  return `$${amount.toFixed(2)}`;
+}
+
+// Delivery dates are plain YYYY-MM-DD days, so format them without shifting time zones
+function formatDeliveryDate(date: string): string {
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString('es-VE', {
+    weekday: 'long',
+    day: 'numeric',
+    month: 'long',
+    timeZone: 'UTC'
+  });
+}
+
+function formatDateTime(value: string | null): string {
+  return value ? new Date(value).toLocaleString('es-VE', { dateStyle: 'medium', timeStyle: 'short' }) : '';
+}
+
+export class OrderTrackingPage {
+  private container: HTMLElement;
+  private tracking: OrderTracking | null = null;
+  private error: string | null = null;
+  private isLoading = false;
+
+  constructor(container: HTMLElement) {
+    this.container = container;
+    this.container.addEventListener('submit', (event) => {
+      event.preventDefault();
+      if (event.target instanceof HTMLFormElement) {void this.handleSubmit(event.target);}
+    });
+  }
+
+  /**
+   * Open the order straight away when the page comes from a signed link
+   */
+  public async start(): Promise<void> {
+    const params = new URLSearchParams(window.location.search);
+    const orderId = Number(params.get('order'));
+    const token = params.get('token');
+
+    this.render();
+    if (orderId > 0 && token) {
+      await this.load(() => api.trackOrderByToken(orderId, token));
+    }
+  }
+
+  private async handleSubmit(form: HTMLFormElement): Promise<void> {
+    const data = new FormData(form);
+    const orderNumber = String(data.get('order_number') ?? '').trim();
+    const email = String(data.get('email') ?? '').trim();
+    if (!orderNumber || !email) {return;}
+
+    await this.load(() => api.trackOrder(orderNumber, email));
+  }
+
+  private async load(request: () => ReturnType<typeof api.trackOrder>): Promise<void> {
+    this.isLoading = true;
+    this.error = null;
+    this.render();
+
+    try {
+      const response = await request();
+      this.tracking = response.success && response.data ? response.data : null;
+      if (!this.tracking) {this.error = 'No encontramos tu pedido';}
+    } catch (error) {
+      this.tracking = null;
+      this.error = error instanceof Error && error.message.includes('Order not found')
+        ? 'No encontramos un pedido con ese número y correo. Revisa los datos e intenta de nuevo.'
+        : 'No pudimos consultar tu pedido. Intenta de nuevo en unos minutos.';
+    } finally {
+      this.isLoading = false;
+      this.render();
+    }
+  }
+
+  private render(): void {
+    this.container.innerHTML = `
+      <div class="max-w-2xl mx-auto px-4 py-8">
+        <h1 class="text-2xl font-semibold text-gray-900 mb-6">Seguir mi pedido</h1>
+        ${this.renderForm()}
+        ${this.error ? `<div class="bg-red-50 text-red-700 border border-red-200 rounded-lg p-3 mb-6">${escapeHtml(this.error)}</div>` : ''}
+        ${this.tracking ? this.renderTracking(this.tracking) : ''}
+      </div>
+    `;
+  }
+
+  private renderForm(): string {
+    return `
+      <form class="bg-white rounded-lg shadow-sm p-6 mb-6">
+        <div class="grid gap-4 md:grid-cols-2">
+          <label class="block">
+            <span class="block text-sm font-medium text-gray-700 mb-1">Número de pedido</span>
+            <input type="text" name="order_number" placeholder="FY-2026-000123" required class="w-full border border-gray-300 rounded-lg p-2">
+          </label>
+          <label class="block">
+            <span class="block text-sm font-medium text-gray-700 mb-1">Correo con el que compraste</span>
+            <input type="email" name="email" required class="w-full border border-gray-300 rounded-lg p-2">
+          </label>
+        </div>
+        <button type="submit" class="mt-4 bg-pink-600 text-white px-6 py-2 rounded-lg hover:bg-pink-700 disabled:opacity-50" ${this.isLoading ? 'disabled' : ''}>
+          ${this.isLoading ? 'Consultando...' : 'Consultar'}
+        </button>
+      </form>
+    `;
+  }
+
+  private renderTracking(tracking: OrderTracking): string {
+    const { payment } = tracking;
+
+    return `
+      <div class="bg-white rounded-lg shadow-sm p-6">
+        <div class="flex justify-between items-start mb-4">
+          <div>
+            <div class="text-sm text-gray-600">Pedido</div>
+            <div class="font-semibold text-xl">${escapeHtml(tracking.order_number)}</div>
+          </div>
+          <span class="px-3 py-1 rounded-full text-sm font-medium ${tracking.status === 'cancelled' ? 'bg-red-100 text-red-800' : 'bg-pink-100 text-pink-800'}">
+            ${STATUS_LABELS[tracking.status]}
+          </span>
+        </div>
+        ${tracking.status === 'cancelled' ? '' : this.renderProgress(tracking.status)}
+        <div class="grid gap-4 md:grid-cols-2 mb-6 text-sm">
+          <div>
+            <div class="font-medium text-gray-700">Entrega</div>
+            <div>${tracking.delivery_date ? escapeHtml(formatDeliveryDate(tracking.delivery_date)) : 'Por confirmar'}</div>
+            ${tracking.delivery_time_slot ? `<div class="text-gray-600">${escapeHtml(tracking.delivery_time_slot)}</div>` : ''}
+            ${tracking.delivery_city ? `<div class="text-gray-600">${escapeHtml(tracking.delivery_city)}</div>` : ''}
+          </div>
+          <div>
+            <div class="font-medium text-gray-700">Pago</div>
+            <div>${PAYMENT_LABELS[payment.state]}</div>
+            <div class="text-gray-600">Total: ${formatUSD(tracking.total_amount_usd)}</div>
+            ${payment.paid_usd > 0 && payment.state !== 'paid' ? `<div class="text-gray-600">Resta por pagar: ${formatUSD(payment.due_usd)}</div>` : ''}
+          </div>
+        </div>
+        <h2 class="font-semibold mb-2">Historial</h2>
+        <ol class="border-l-2 border-pink-200 pl-4 space-y-3">
+          ${tracking.timeline.map(entry => `
+            <li>
+              <div class="font-medium">${STATUS_LABELS[entry.status]}</div>
+              <div class="text-sm text-gray-500">${escapeHtml(formatDateTime(entry.created_at))}</div>
+            </li>
+          `).join('')}
+        </ol>
+      </div>
+    `;
+  }
+
+  private renderProgress(status: OrderStatus): string {
+    const reached = PROGRESS.indexOf(status);
+
+    return `
+      <ol class="flex justify-between mb-6 text-xs text-center">
+        ${PROGRESS.map((step, index) => `
+          <li class="flex-1 ${index <= reached ? 'text-pink-600 font-semibold' : 'text-gray-400'}">
+            <div class="mx-auto mb-1 h-3 w-3 rounded-full ${index <= reached ? 'bg-pink-600' : 'bg-gray-300'}"></div>
+            ${STATUS_LABELS[step]}
+          </li>
+        `).join('')}
+      </ol>
+    `;
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const root = document.getElementById('orderTrackingRoot');
+  if (root) {void new OrderTrackingPage(root).start();}
+});
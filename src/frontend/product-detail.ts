@@ -4,7 +4,7 @@
  */
 
 import { FloresYaAPI } from './services/apiClient.js';
-import type { ProductWithImagesAndOccasions, Product, CartItem, ProductImage } from "shared/types/index";
+import type { ProductWithImagesAndOccasions, Product, CartItem, CartItemAddon, ProductAddon, ProductImage, ProductVariant } from "shared/types/index";
 
 
 type ProductWithImagesAndOccasion = ProductWithImagesAndOccasions;
@@ -12,6 +12,9 @@ type ProductWithImagesAndOccasion = ProductWithImagesAndOccasions;
 
 class ProductDetailManager {
   private product: ProductWithImagesAndOccasion | null = null;
+  private selectedVariant: ProductVariant | null = null;
+  private addons: ProductAddon[] = [];
+  private selectedAddonIds = new Set<number>();
   private allProducts: ProductWithImagesAndOccasion[] = [];
   private currentProductIndex = 0;
   private cart: CartItem[] = [];
@@ -42,8 +45,9 @@ class ProductDetailManager {
             // Load all products to enable navigation
       await this.loadAllProducts();
 
-      // Load specific product
+      // Load specific product and the gift add-ons offered with it
       await this.loadProduct(productId);
+      await this.loadAddons();
 
       // Setup UI and events
       this.setupUI();
@@ -189,6 +193,10 @@ class ProductDetailManager {
             occasion: undefined // Will be populated if needed
           };
 
+          // Preselect the first variant that can still be bought
+          const variants = this.product.variants ?? [];
+          this.selectedVariant = variants.find(variant => variant.stock > 0) ?? variants[0] ?? null;
+
           // Find current product index in the sorted array
           this.currentProductIndex = this.allProducts.findIndex(p => p.id === productId);
           if (this.currentProductIndex === -1) {
@@ -259,16 +267,23 @@ class ProductDetailManager {
     const nameElement = document.getElementById('product-name');
     if (nameElement) {nameElement.textContent = this.product.name;}
 
-    // Product price
+    // Product price - the selected variant has its own, in dollars and in bolívars
     const priceElement = document.getElementById('product-price');
     if (priceElement) {
+      const priced = this.selectedVariant ?? this.product;
       const formattedPrice = new Intl.NumberFormat('es-VE', {
         style: 'currency',
         currency: 'USD'
-      }).format(this.product.price_usd);
-      priceElement.textContent = formattedPrice;
+      }).format(priced.price_usd);
+      const priceVes = priced.price_ves
+        ? ` · Bs. ${priced.price_ves.toLocaleString('es-VE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+        : '';
+      priceElement.textContent = formattedPrice + priceVes;
     }
 
+    this.renderVariantSelector();
+    this.renderAddonSelector();
+
     // Product description
     const descriptionElement = document.getElementById('product-description');
     if (descriptionElement) {
@@ -282,6 +297,94 @@ class ProductDetailManager {
     }
   }
 
+  private renderVariantSelector(): void {
+    const container = document.getElementById('product-variants');
+    if (!container || !this.product) {return;}
+
+    const variants = this.product.variants ?? [];
+    container.classList.toggle('d-none', variants.length === 0);
+    if (variants.length === 0) {return;}
+
+    const options = variants.map(variant => {
+      const details = [variant.size, variant.color, variant.arrangement_type].filter(Boolean).join(' · ');
+      const selected = variant.id === this.selectedVariant?.id;
+      return `
+        <button type="button" class="btn btn-sm ${selected ? 'btn-success' : 'btn-outline-secondary'}"
+                data-variant-id="${variant.id}" ${variant.stock > 0 ? '' : 'disabled'}
+                title="${details}">
+          ${variant.name}${variant.stock > 0 ? '' : ' (agotado)'}
+        </button>
+      `;
+    }).join('');
+
+    container.innerHTML = `
+      <label class="form-label fw-semibold mb-2">Elige tu opción</label>
+      <div class="d-flex flex-wrap gap-2">${options}</div>
+    `;
+
+    container.querySelectorAll<HTMLButtonElement>('[data-variant-id]').forEach(button => {
+      button.addEventListener('click', () => {
+        const variantId = parseInt(button.dataset.variantId ?? '0', 10);
+        this.selectedVariant = variants.find(variant => variant.id === variantId) ?? this.selectedVariant;
+        this.updateProductInfo();
+      });
+    });
+  }
+
+  private async loadAddons(): Promise<void> {
+    try {
+      const response = await this.api.getAddons();
+      this.addons = response.success && response.data ? response.data : [];
+    } catch {
+      // Add-ons are optional, the product can still be bought without them
+      this.addons = [];
+    }
+  }
+
+  private renderAddonSelector(): void {
+    const container = document.getElementById('product-addons');
+    if (!container) {return;}
+
+    container.classList.toggle('d-none', this.addons.length === 0);
+    if (this.addons.length === 0) {return;}
+
+    const formatPrice = (value: number): string =>
+      new Intl.NumberFormat('es-VE', { style: 'currency', currency: 'USD' }).format(value);
+
+    const options = this.addons.map(addon => `
+      <div class="form-check">
+        <input class="form-check-input" type="checkbox" id="addon-${addon.id}" data-addon-id="${addon.id}"
+               ${this.selectedAddonIds.has(addon.id) ? 'checked' : ''} ${addon.stock > 0 ? '' : 'disabled'}>
+        <label class="form-check-label d-flex justify-content-between" for="addon-${addon.id}">
+          <span>${addon.name}${addon.stock > 0 ? '' : ' (agotado)'}</span>
+          <span class="text-muted ms-3">+ ${formatPrice(addon.price_usd)}</span>
+        </label>
+      </div>
+    `).join('');
+
+    container.innerHTML = `
+      <label class="form-label fw-semibold mb-2">Complementa tu regalo</label>
+      ${options}
+    `;
+
+    container.querySelectorAll<HTMLInputElement>('[data-addon-id]').forEach(input => {
+      input.addEventListener('change', () => {
+        const addonId = parseInt(input.dataset.addonId ?? '0', 10);
+        if (input.checked) {
+          this.selectedAddonIds.add(addonId);
+        } else {
+          this.selectedAddonIds.delete(addonId);
+        }
+      });
+    });
+  }
+
+  private selectedAddons(): CartItemAddon[] {
+    return this.addons
+      .filter(addon => this.selectedAddonIds.has(addon.id))
+      .map(addon => ({ addonId: addon.id, name: addon.name, price: addon.price_usd, quantity: 1 }));
+  }
+
   private updateProductImages(): void {
     if (!this.product) {return;}
 
@@ -511,18 +614,37 @@ class ProductDetailManager {
   private addToCartInternal(quantity = this.quantity): boolean {
     if (!this.product) return false;
 
-    const existingItem = this.cart.find(item => item.productId === this.product.id);
+    const variant = this.selectedVariant;
+    if (!variant && (this.product.variants?.length ?? 0) > 0) {
+      this.showNavigationMessage('Elige una opción antes de agregar al carrito');
+      return false;
+    }
+
+    const addons = this.selectedAddons();
+    const existingItem = this.cart.find(item => item.productId === this.product?.id && item.variantId === variant?.id);
 
     if (existingItem) {
       existingItem.quantity += quantity;
+      // Add-ons picked again for the same arrangement are added once more
+      addons.forEach(addon => {
+        existingItem.addons ??= [];
+        const current = existingItem.addons.find(a => a.addonId === addon.addonId);
+        if (current) {
+          current.quantity += addon.quantity;
+        } else {
+          existingItem.addons.push(addon);
+        }
+      });
     } else {
       const mainImage = this.product.images?.[0]?.url ?? '/images/placeholder-product-2.webp';
       this.cart.push({
         productId: this.product.id,
-        name: this.product.name,
-        price: this.product.price_usd,
+        ...(variant && { variantId: variant.id, variantName: variant.name }),
+        name: variant ? `${this.product.name} - ${variant.name}` : this.product.name,
+        price: variant?.price_usd ?? this.product.price_usd,
         image: mainImage,
-        quantity
+        quantity,
+        ...(addons.length > 0 && { addons })
       });
     }
 
@@ -552,7 +674,7 @@ class ProductDetailManager {
 
     // Redirect to checkout
     setTimeout(() => {
-      window.location.href = '/pages/payment.html';
+      window.location.href = '/payment';
     }, 1000);
   }
 
@@ -601,7 +723,8 @@ class ProductDetailManager {
     const cartTotal = document.getElementById('cart-total');
 
     const totalItems = this.cart.reduce((sum, item) => sum + item.quantity, 0);
-    const totalPrice = this.cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+    const totalPrice = this.cart.reduce((sum, item) =>
+      sum + (item.price * item.quantity) + (item.addons ?? []).reduce((addonSum, addon) => addonSum + addon.price * addon.quantity, 0), 0);
 
     // Update cart badges
     if (cartBadge instanceof HTMLElement) {
@@ -627,16 +750,17 @@ class ProductDetailManager {
                  style="width: 50px; height: 50px; object-fit: cover; border-radius: 8px;">
             <div class="flex-grow-1">
               <h6 class="mb-1 small">${item.name}</h6>
+              ${(item.addons ?? []).map(addon => `<div class="text-muted small">+ ${addon.name} × ${addon.quantity}</div>`).join('')}
               <div class="d-flex justify-content-between align-items-center">
                 <span class="text-muted small">$${item.price.toFixed(2)}</span>
                 <div class="d-flex align-items-center">
-                  <button class="btn btn-sm btn-outline-secondary me-1" onclick="productDetail.decreaseCartItemQuantity(${item.productId})">-</button>
+                  <button class="btn btn-sm btn-outline-secondary me-1" onclick="productDetail.decreaseCartItemQuantity(${item.productId}, ${item.variantId})">-</button>
                   <span class="mx-2">${item.quantity}</span>
-                  <button class="btn btn-sm btn-outline-secondary ms-1" onclick="productDetail.increaseCartItemQuantity(${item.productId})">+</button>
+                  <button class="btn btn-sm btn-outline-secondary ms-1" onclick="productDetail.increaseCartItemQuantity(${item.productId}, ${item.variantId})">+</button>
                 </div>
               </div>
             </div>
-            <button class="btn btn-sm btn-outline-danger ms-2" onclick="productDetail.removeFromCart(${item.productId})">
+            <button class="btn btn-sm btn-outline-danger ms-2" onclick="productDetail.removeFromCart(${item.productId}, ${item.variantId})">
               <i class="bi bi-trash"></i>
             </button>
           </div>
@@ -655,8 +779,8 @@ class ProductDetailManager {
   }
 
   // Public methods for cart operations (called from inline handlers)
-  increaseCartItemQuantity(productId: number): void {
-    const item = this.cart.find(item => item.productId === productId);
+  increaseCartItemQuantity(productId: number, variantId?: number): void {
+    const item = this.cart.find(item => item.productId === productId && item.variantId === variantId);
     if (item) {
       item.quantity += 1;
       this.saveCart();
@@ -664,8 +788,8 @@ class ProductDetailManager {
     }
   }
 
-  decreaseCartItemQuantity(productId: number): void {
-    const item = this.cart.find(item => item.productId === productId);
+  decreaseCartItemQuantity(productId: number, variantId?: number): void {
+    const item = this.cart.find(item => item.productId === productId && item.variantId === variantId);
     if (item && item.quantity > 1) {
       item.quantity -= 1;
       this.saveCart();
@@ -673,8 +797,8 @@ class ProductDetailManager {
     }
   }
 
-  removeFromCart(productId: number): void {
-    this.cart = this.cart.filter(item => item.productId !== productId);
+  removeFromCart(productId: number, variantId?: number): void {
+    this.cart = this.cart.filter(item => item.productId !== productId || item.variantId !== variantId);
     this.saveCart();
     this.updateCartUI();
   }
@@ -24,8 +24,21 @@ import type {
   User,
   PaginationInfo as Pagination,
   ApiResponse,
+  CurrentExchangeRate,
+  CustomerStoreCreditSummary,
+  DeliveryAvailabilityDay,
+  DeliveryZone,
+  GiftCardBalance,
+  LoyaltyAccount,
+  OrderCreateRequest,
+  OrderQuote,
+  OrderTracking,
+  OrderWithItems,
+  PaymentMethod,
+  ProductAddon,
   ProductQuery,
   ProductListApiResponse,
+  StoreCreditRedemption,
   CarouselApiResponse
 } from "shared/types/index";
 
@@ -45,6 +58,25 @@ type OccasionsApiResponse = z.infer<typeof OccasionsApiResponseSchema>;
 
 // Note: Window interface extended in main.ts to avoid conflicts
 
+/**
+ * Authorization header for admin modules that call fetch directly
+ */
+export function getAuthHeaders(): Record<string, string> {
+  const token = localStorage.getItem('floresya_token');
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+/**
+ * Thrown for non-2xx responses; code is the API's `error` field, so callers
+ * can react to a failure without reading its message
+ */
+export class ApiError extends Error {
+  constructor(message: string, public status: number, public code?: string) {
+    super(message);
+    this.name = 'ApiError';
+  }
+}
+
 export class FloresYaAPI {
   private baseURL: string;
   private token: string | null;
@@ -187,7 +219,7 @@ export class FloresYaAPI {
       const requestOptions = {
         ...options,
         headers: {
-          ...this.getHeaders(false),
+          ...this.getHeaders(true),
           ...options.headers
         }
       };
@@ -238,7 +270,7 @@ export class FloresYaAPI {
           endpoint,
           method: options.method || 'GET'
         }, logLevel);
-        throw new Error(data.message || `HTTP ${response.status}: ${response.statusText}`);
+        throw new ApiError(data.message || `HTTP ${response.status}: ${response.statusText}`, response.status, data.error);
       }
 
       this.log('✅ Data fetched successfully', { endpoint, dataKeys: Object.keys(data) }, 'success');
@@ -272,7 +304,9 @@ export class FloresYaAPI {
         if (typeof value === 'boolean') {
           params.append(key, value.toString());
         } else {
-          if (typeof value === 'object' && value !== null) {
+          if (Array.isArray(value)) {
+            params.append(key, value.join(','));
+          } else if (typeof value === 'object' && value !== null) {
             params.append(key, JSON.stringify(value));
           } else if (typeof value === 'string' || typeof value === 'number') {
             params.append(key, String(value));
@@ -396,6 +430,128 @@ export class FloresYaAPI {
     return validatedResponse;
   }
 
+  // Orders API
+  async quoteOrder(
+    items: OrderCreateRequest['items'],
+    delivery?: Pick<OrderCreateRequest, 'delivery_city' | 'delivery_state' | 'delivery_date'>,
+    paymentMethodId?: number,
+    coupon?: { coupon_code: string; customer_email?: string },
+    loyaltyPoints?: number
+  ): Promise<ApiResponse<OrderQuote>> {
+    this.log('🔄 Quoting order', { items: items.length, city: delivery?.delivery_city, paymentMethodId, coupon: coupon?.coupon_code, loyaltyPoints }, 'info');
+    return this.fetchData<OrderQuote>('/orders/quote', {
+      method: 'POST',
+      body: JSON.stringify({ items, ...delivery, payment_method_id: paymentMethodId, ...coupon, loyalty_points: loyaltyPoints })
+    });
+  }
+
+  // Same quote with the coupon's discount; rejects codes the cart cannot use
+  async applyCoupon(
+    items: OrderCreateRequest['items'],
+    coupon: { coupon_code: string; customer_email?: string },
+    delivery?: Pick<OrderCreateRequest, 'delivery_city' | 'delivery_state' | 'delivery_date'>,
+    paymentMethodId?: number,
+    loyaltyPoints?: number
+  ): Promise<ApiResponse<OrderQuote>> {
+    this.log('🔄 Applying coupon', { items: items.length, coupon: coupon.coupon_code }, 'info');
+    return this.fetchData<OrderQuote>('/coupons/apply', {
+      method: 'POST',
+      body: JSON.stringify({ items, ...delivery, payment_method_id: paymentMethodId, ...coupon, loyalty_points: loyaltyPoints })
+    });
+  }
+
+  // tracking_token opens the order's public tracking page without the email
+  async createOrder(
+    orderData: OrderCreateRequest,
+    idempotencyKey?: string
+  ): Promise<ApiResponse<{ order: OrderWithItems; tracking_token: string | null }>> {
+    this.log('🔄 Creating order', { items: orderData.items.length }, 'info');
+    return this.fetchData<{ order: OrderWithItems; tracking_token: string | null }>('/orders', {
+      method: 'POST',
+      headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : undefined,
+      body: JSON.stringify(orderData)
+    });
+  }
+
+  // Order Tracking API - public, by order number and email or by signed link
+  async trackOrder(orderNumber: string, email: string): Promise<ApiResponse<OrderTracking>> {
+    this.log('🔄 Tracking order', { orderNumber }, 'info');
+    return this.fetchData<OrderTracking>('/order-tracking', {
+      method: 'POST',
+      body: JSON.stringify({ order_number: orderNumber, email })
+    });
+  }
+
+  async trackOrderByToken(orderId: number, token: string): Promise<ApiResponse<OrderTracking>> {
+    this.log('🔄 Tracking order', { orderId }, 'info');
+    return this.fetchData<OrderTracking>(`/order-tracking/${orderId}?token=${encodeURIComponent(token)}`);
+  }
+
+  // Payment Methods API
+  async getPaymentMethods(): Promise<ApiResponse<PaymentMethod[]>> {
+    this.log('🔄 Getting active payment methods', {}, 'info');
+    return this.fetchData<PaymentMethod[]>('/payment-methods');
+  }
+
+  // Store Credit API - gift cards and the customer's balance pay pending orders
+  async checkGiftCardBalance(code: string): Promise<ApiResponse<GiftCardBalance>> {
+    this.log('🔄 Checking gift card balance', {}, 'info');
+    return this.fetchData<GiftCardBalance>('/store-credit/gift-cards/balance', {
+      method: 'POST',
+      body: JSON.stringify({ code })
+    });
+  }
+
+  async redeemGiftCard(orderId: number, customerEmail: string, code: string): Promise<ApiResponse<StoreCreditRedemption>> {
+    this.log('🔄 Paying order with gift card', { orderId }, 'info');
+    return this.fetchData<StoreCreditRedemption>('/store-credit/gift-cards/redeem', {
+      method: 'POST',
+      body: JSON.stringify({ order_id: orderId, customer_email: customerEmail, code })
+    });
+  }
+
+  async getMyStoreCredit(): Promise<ApiResponse<CustomerStoreCreditSummary>> {
+    this.log('🔄 Getting store credit', {}, 'info');
+    return this.fetchData<CustomerStoreCreditSummary>('/store-credit/me');
+  }
+
+  async redeemStoreCredit(orderId: number, customerEmail: string): Promise<ApiResponse<StoreCreditRedemption>> {
+    this.log('🔄 Paying order with store credit', { orderId }, 'info');
+    return this.fetchData<StoreCreditRedemption>('/store-credit/me/redeem', {
+      method: 'POST',
+      body: JSON.stringify({ order_id: orderId, customer_email: customerEmail })
+    });
+  }
+
+  // Loyalty API - points earned on delivered orders, spent at checkout
+  async getMyLoyaltyAccount(): Promise<ApiResponse<LoyaltyAccount>> {
+    this.log('🔄 Getting loyalty points', {}, 'info');
+    return this.fetchData<LoyaltyAccount>('/loyalty/me');
+  }
+
+  // Product Add-ons API
+  async getAddons(): Promise<ApiResponse<ProductAddon[]>> {
+    this.log('🔄 Getting active product add-ons', {}, 'info');
+    return this.fetchData<ProductAddon[]>('/addons');
+  }
+
+  // Delivery API
+  async getDeliveryAvailability(): Promise<ApiResponse<DeliveryAvailabilityDay[]>> {
+    this.log('🔄 Getting delivery availability', {}, 'info');
+    return this.fetchData<DeliveryAvailabilityDay[]>('/delivery/availability');
+  }
+
+  async getDeliveryZones(): Promise<ApiResponse<DeliveryZone[]>> {
+    this.log('🔄 Getting delivery zones', {}, 'info');
+    return this.fetchData<DeliveryZone[]>('/delivery/zones');
+  }
+
+  // Exchange Rate API
+  async getExchangeRate(): Promise<ApiResponse<CurrentExchangeRate>> {
+    this.log('🔄 Getting current exchange rate', {}, 'info');
+    return this.fetchData<CurrentExchangeRate>('/exchange-rates/current');
+  }
+
   // Settings API
   async getSetting(key: string): Promise<ApiResponse<{ key: string, value: string | number | boolean }>> {
     this.log('🔄 Getting setting', { key }, 'info');
@@ -638,6 +794,7 @@ export class FloresYaAPI {
     const url = `${this.baseURL}/images/site`;
     const response = await fetch(url, {
       method: 'POST',
+      headers: getAuthHeaders(),
       body: formData
     });
 
@@ -683,7 +840,10 @@ export class FloresYaAPI {
     body?: unknown;
     params?: Record<string, unknown>;
   } = {}): Promise<ApiResponse<T>> {
-    let url = endpoint;
+    // Callers may pass full '/api/...' paths; fetchData already prefixes baseURL
+    let url = endpoint.startsWith(`${this.baseURL}/`)
+      ? endpoint.slice(this.baseURL.length)
+      : endpoint;
 
     // Handle query parameters
     if (options.params) {
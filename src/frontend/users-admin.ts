@@ -553,8 +553,7 @@ class UsersAdminManager {
 
       if (this.isEditing && userId) {
         // Update user
-        const updateData: UserUpdateRequest = {
-          id: userId,
+        const updateData: Omit<UserUpdateRequest, 'id'> = {
           email: formData.email,
           full_name: formData.full_name,
           phone: formData.phone || undefined,
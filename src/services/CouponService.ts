@@ -0,0 +1,457 @@
+/**
+ * 🌸 FloresYa Coupon Service
+ * Discount codes: admin management, usage reports and the discount a cart gets
+ */
+
+import {
+  type Coupon,
+  type CouponApiResponse,
+  type CouponCreateRequestValidated,
+  type CouponListApiResponse,
+  type CouponUpdateRequestValidated,
+  type CouponUsageApiResponse,
+  type CouponUsageReport,
+  type CouponWithUsage
+} from '../shared/types/index.js';
+
+import { roundCurrency } from './SettingsService.js';
+import { typeSafeDatabaseService } from './TypeSafeDatabaseService.js';
+
+// Get database client dynamically for better testability
+const getDb = () => typeSafeDatabaseService.getClient();
+
+// Postgres error code surfaced by PostgREST
+const UNIQUE_VIOLATION = '23505';
+
+export type CouponErrorCode =
+  | 'COUPON_NOT_FOUND'
+  | 'COUPON_NOT_STARTED'
+  | 'COUPON_EXPIRED'
+  | 'BELOW_COUPON_MINIMUM'
+  | 'COUPON_NOT_APPLICABLE'
+  | 'COUPON_USAGE_LIMIT_REACHED'
+  | 'COUPON_CUSTOMER_LIMIT_REACHED'
+  | 'COUPON_UNAVAILABLE';
+
+/**
+ * Thrown when a coupon does not exist, is outside its validity window, the cart
+ * does not qualify for it or its usage limits are used up
+ */
+export class CouponError extends Error {
+  constructor(
+    message: string,
+    public code: CouponErrorCode
+  ) {
+    super(message);
+    this.name = 'CouponError';
+  }
+}
+
+/**
+ * Who redeems a coupon: the account of a signed-in customer, or the email a
+ * guest typed, which only limits guests who keep typing the same one
+ */
+export interface CouponCustomer {
+  email?: string;
+  user_id?: number;
+}
+
+/** One cart line with its add-ons, as priced by OrderService */
+export interface CouponCartLine {
+  product_id: number;
+  subtotal_usd: number;
+  taxable_usd: number;
+}
+
+export interface CouponDiscount {
+  coupon: Pick<Coupon, 'id' | 'code'>;
+  discount_usd: number;
+  taxable_discount_usd: number; // Part of the discount that lowers the IVA base
+}
+
+type CouponUse = Pick<CouponUsageReport['orders'][number], 'discount_usd' | 'total_amount_usd' | 'customer_email'> & { coupon_id: number };
+
+/**
+ * Customer emails compared with ILIKE, so their _ and % must not act as wildcards
+ */
+function escapeLikePattern(value: string): string {
+  return value.replace(/[\\%_]/g, match => `\\${match}`);
+}
+
+export class CouponService {
+  /**
+   * Every coupon, newest first, with how often it was used
+   */
+  public async getCoupons(): Promise<CouponListApiResponse> {
+    try {
+      const { data, error } = await getDb()
+        .from('coupons')
+        .select('*')
+        .order('created_at', { ascending: false });
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      const uses = await this.getUses();
+      const coupons = ((data ?? []) as Coupon[]).map(coupon => this.withUsage(coupon, uses));
+
+      return {
+        success: true,
+        data: coupons,
+        message: `Retrieved ${coupons.length} coupons successfully`
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'FETCH_COUPONS_ERROR'
+      };
+    }
+  }
+
+  public async createCoupon(request: CouponCreateRequestValidated): Promise<CouponApiResponse> {
+    try {
+      const { data, error } = await getDb()
+        .from('coupons')
+        .insert({
+          code: request.code,
+          description: request.description ?? null,
+          discount_type: request.discount_type,
+          discount_value: request.discount_value,
+          min_order_usd: request.min_order_usd,
+          starts_at: request.starts_at ?? null,
+          expires_at: request.expires_at ?? null,
+          usage_limit: request.usage_limit ?? null,
+          per_customer_limit: request.per_customer_limit ?? null,
+          occasion_ids: request.occasion_ids,
+          product_ids: request.product_ids,
+          active: request.active
+        })
+        .select()
+        .single();
+
+      if (error?.code === UNIQUE_VIOLATION) {
+        return {
+          success: false,
+          message: `There is already a coupon with code ${request.code}`,
+          error: 'COUPON_CODE_TAKEN'
+        };
+      }
+
+      if (error || !data) {
+        throw new Error(`Failed to create coupon: ${error?.message ?? 'No data returned'}`);
+      }
+
+      return {
+        success: true,
+        data: data as Coupon,
+        message: 'Coupon created successfully'
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'CREATE_COUPON_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Orders that already used the coupon keep the discount they got
+   */
+  public async updateCoupon(id: number, request: CouponUpdateRequestValidated): Promise<CouponApiResponse> {
+    try {
+      const { data, error } = await getDb()
+        .from('coupons')
+        .update({
+          ...request,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', id)
+        .select()
+        .single();
+
+      if (error?.code === UNIQUE_VIOLATION) {
+        return {
+          success: false,
+          message: `There is already a coupon with code ${request.code}`,
+          error: 'COUPON_CODE_TAKEN'
+        };
+      }
+
+      if (error || !data) {
+        return {
+          success: false,
+          message: 'Coupon not found',
+          error: 'COUPON_NOT_FOUND'
+        };
+      }
+
+      return {
+        success: true,
+        data: data as Coupon,
+        message: 'Coupon updated successfully'
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'UPDATE_COUPON_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Orders keep the code and discount; their link to the coupon is cleared
+   */
+  public async deleteCoupon(id: number): Promise<CouponApiResponse> {
+    try {
+      const { data, error } = await getDb()
+        .from('coupons')
+        .delete()
+        .eq('id', id)
+        .select()
+        .single();
+
+      if (error || !data) {
+        return {
+          success: false,
+          message: 'Coupon not found',
+          error: 'COUPON_NOT_FOUND'
+        };
+      }
+
+      return {
+        success: true,
+        data: data as Coupon,
+        message: 'Coupon deleted successfully'
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'DELETE_COUPON_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Orders that used the coupon, newest first, with totals; cancelled orders are left out
+   */
+  public async getCouponUsage(id: number): Promise<CouponUsageApiResponse> {
+    try {
+      const { data: coupon } = await getDb()
+        .from('coupons')
+        .select('*')
+        .eq('id', id)
+        .single();
+
+      if (!coupon) {
+        return {
+          success: false,
+          message: 'Coupon not found',
+          error: 'COUPON_NOT_FOUND'
+        };
+      }
+
+      const { data, error } = await getDb()
+        .from('orders')
+        .select('id, order_number, customer_email, customer_name, status, discount_usd, total_amount_usd, created_at')
+        .eq('coupon_id', id)
+        .neq('status', 'cancelled')
+        .order('created_at', { ascending: false });
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      const orders = (data ?? []) as CouponUsageReport['orders'];
+      const withUsage = this.withUsage(coupon as Coupon, orders.map(order => ({ ...order, coupon_id: id })));
+
+      return {
+        success: true,
+        data: {
+          coupon: withUsage,
+          customers: new Set(orders.map(order => order.customer_email.toLowerCase())).size,
+          revenue_usd: roundCurrency(orders.reduce((sum, order) => sum + order.total_amount_usd, 0)),
+          remaining_uses: withUsage.usage_limit === null ? null : Math.max(withUsage.usage_limit - withUsage.uses, 0),
+          orders
+        },
+        message: `Coupon ${withUsage.code} was used ${orders.length} times`
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'FETCH_COUPON_USAGE_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Discount the coupon gives these cart lines. Only lines of the coupon's
+   * products or occasions are discounted (all of them without a restriction),
+   * and the minimum order applies to the whole subtotal. Signed-in customers
+   * are held to the per-customer limit by account, guests by email; without
+   * either the limit is left to the order transaction
+   */
+  public async applyCoupon(
+    code: string,
+    lines: CouponCartLine[],
+    customer: CouponCustomer = {},
+    now: Date = new Date()
+  ): Promise<CouponDiscount> {
+    const { data, error } = await getDb()
+      .from('coupons')
+      .select('*')
+      .eq('code', code.trim().toUpperCase())
+      .eq('active', true)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch coupon: ${error.message}`);
+    }
+
+    const coupon = data as Coupon | null;
+    if (!coupon) {
+      throw new CouponError(`Coupon ${code} does not exist`, 'COUPON_NOT_FOUND');
+    }
+
+    if (coupon.starts_at && new Date(coupon.starts_at) > now) {
+      throw new CouponError(`Coupon ${coupon.code} is not valid yet`, 'COUPON_NOT_STARTED');
+    }
+
+    if (coupon.expires_at && new Date(coupon.expires_at) <= now) {
+      throw new CouponError(`Coupon ${coupon.code} has expired`, 'COUPON_EXPIRED');
+    }
+
+    const subtotal = lines.reduce((sum, line) => sum + line.subtotal_usd, 0);
+    if (subtotal < coupon.min_order_usd) {
+      throw new CouponError(
+        `Coupon ${coupon.code} needs an order of at least $${coupon.min_order_usd.toFixed(2)}`,
+        'BELOW_COUPON_MINIMUM'
+      );
+    }
+
+    const eligible = await this.eligibleProductIds(coupon, lines.map(line => line.product_id));
+    const eligibleLines = lines.filter(line => eligible.has(line.product_id));
+    const eligibleSubtotal = eligibleLines.reduce((sum, line) => sum + line.subtotal_usd, 0);
+    const eligibleTaxable = eligibleLines.reduce((sum, line) => sum + line.taxable_usd, 0);
+
+    if (eligibleSubtotal <= 0) {
+      throw new CouponError(`Coupon ${coupon.code} does not apply to the products in the cart`, 'COUPON_NOT_APPLICABLE');
+    }
+
+    await this.checkUsageLimits(coupon, customer);
+
+    const discount_usd = coupon.discount_type === 'percentage'
+      ? roundCurrency(eligibleSubtotal * coupon.discount_value / 100)
+      : roundCurrency(Math.min(coupon.discount_value, eligibleSubtotal));
+
+    return {
+      coupon: { id: coupon.id, code: coupon.code },
+      discount_usd,
+      taxable_discount_usd: roundCurrency(discount_usd * eligibleTaxable / eligibleSubtotal)
+    };
+  }
+
+  /**
+   * Products of the cart the coupon covers, by product or by occasion
+   */
+  private async eligibleProductIds(coupon: Coupon, productIds: number[]): Promise<Set<number>> {
+    if (coupon.product_ids.length === 0 && coupon.occasion_ids.length === 0) {
+      return new Set(productIds);
+    }
+
+    const eligible = new Set(productIds.filter(id => coupon.product_ids.includes(id)));
+    if (coupon.occasion_ids.length > 0) {
+      const { data, error } = await getDb()
+        .from('product_occasions')
+        .select('product_id')
+        .in('product_id', productIds)
+        .in('occasion_id', coupon.occasion_ids);
+
+      if (error) {
+        throw new Error(`Failed to fetch product occasions: ${error.message}`);
+      }
+
+      for (const row of (data ?? []) as Array<{ product_id: number }>) {
+        eligible.add(row.product_id);
+      }
+    }
+
+    return eligible;
+  }
+
+  /**
+   * Early, friendly answer; redeem_coupon() enforces the limits when the order is created
+   */
+  private async checkUsageLimits(coupon: Coupon, customer: CouponCustomer): Promise<void> {
+    if (coupon.usage_limit !== null) {
+      const used = await this.countUses(coupon.id);
+      if (used >= coupon.usage_limit) {
+        throw new CouponError(`Coupon ${coupon.code} has reached its usage limit`, 'COUPON_USAGE_LIMIT_REACHED');
+      }
+    }
+
+    if (coupon.per_customer_limit !== null && (customer.user_id !== undefined || customer.email)) {
+      const used = await this.countUses(coupon.id, customer);
+      if (used >= coupon.per_customer_limit) {
+        throw new CouponError(`You already used coupon ${coupon.code} the maximum number of times`, 'COUPON_CUSTOMER_LIMIT_REACHED');
+      }
+    }
+  }
+
+  // A signed-in customer's uses are counted by account, whatever email they type
+  private async countUses(couponId: number, customer?: CouponCustomer): Promise<number> {
+    let query = getDb()
+      .from('orders')
+      .select('id', { count: 'exact', head: true })
+      .eq('coupon_id', couponId)
+      .neq('status', 'cancelled');
+
+    if (customer?.user_id !== undefined) {
+      query = query.eq('user_id', customer.user_id);
+    } else if (customer?.email) {
+      query = query.ilike('customer_email', escapeLikePattern(customer.email.trim()));
+    }
+
+    const { count, error } = await query;
+    if (error) {
+      throw new Error(`Failed to count coupon uses: ${error.message}`);
+    }
+
+    return count ?? 0;
+  }
+
+  private async getUses(): Promise<CouponUse[]> {
+    const { data, error } = await getDb()
+      .from('orders')
+      .select('coupon_id, customer_email, discount_usd, total_amount_usd')
+      .not('coupon_id', 'is', null)
+      .neq('status', 'cancelled');
+
+    if (error) {
+      throw new Error(`Failed to fetch coupon uses: ${error.message}`);
+    }
+
+    return (data ?? []) as CouponUse[];
+  }
+
+  private withUsage(coupon: Coupon, uses: CouponUse[]): CouponWithUsage {
+    const own = uses.filter(use => use.coupon_id === coupon.id);
+    return {
+      ...coupon,
+      uses: own.length,
+      discount_total_usd: roundCurrency(own.reduce((sum, use) => sum + use.discount_usd, 0))
+    };
+  }
+}
+
+export const couponService = new CouponService();
@@ -0,0 +1,332 @@
+/**
+ * 🌸 FloresYa Delivery Slot Service
+ * Delivery windows per weekday with order capacity, same-day cutoff and blackout dates
+ */
+
+import {
+  type DeliveryAvailabilityApiResponse,
+  type DeliveryAvailabilityDay,
+  type DeliveryBlackoutDate,
+  type DeliveryBlackoutDateApiResponse,
+  type DeliveryBlackoutDateCreateRequestValidated,
+  type DeliveryBlackoutDateListApiResponse,
+  type DeliverySlot,
+  type DeliverySlotApiResponse,
+  type DeliverySlotCreateRequestValidated,
+  type DeliverySlotListApiResponse,
+  type DeliverySlotUpdateRequestValidated
+} from '../shared/types/index.js';
+import { DELIVERY_AVAILABILITY_DAYS } from '../shared/constants/index.js';
+
+import { typeSafeDatabaseService } from './TypeSafeDatabaseService.js';
+
+// Get database client dynamically for better testability
+const getDb = () => typeSafeDatabaseService.getClient();
+
+// Postgres error codes surfaced by PostgREST
+const UNIQUE_VIOLATION = '23505';
+const CHECK_VIOLATION = '23514';
+
+export class DeliverySlotService {
+  /**
+   * Days from `from` (today in Caracas by default) with each slot's bookings
+   * and why it cannot be chosen, if it cannot. The same rules guard order creation.
+   */
+  public async getAvailability(from?: string, days = DELIVERY_AVAILABILITY_DAYS): Promise<DeliveryAvailabilityApiResponse> {
+    try {
+      const data = await typeSafeDatabaseService.executeRpc<DeliveryAvailabilityDay[] | null>('get_delivery_availability', {
+        start_date: from ?? null,
+        days
+      });
+
+      const calendar = data ?? [];
+
+      return {
+        success: true,
+        data: calendar,
+        message: `Retrieved delivery availability for ${calendar.length} days`
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'FETCH_DELIVERY_AVAILABILITY_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Slots by weekday and start time; inactive ones only for the admin panel
+   */
+  public async getSlots(includeInactive = false): Promise<DeliverySlotListApiResponse> {
+    try {
+      let query = getDb()
+        .from('delivery_slots')
+        .select('*');
+
+      if (!includeInactive) {
+        query = query.eq('active', true);
+      }
+
+      const { data, error } = await query
+        .order('weekday', { ascending: true })
+        .order('start_time', { ascending: true });
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      const slots = (data ?? []) as DeliverySlot[];
+
+      return {
+        success: true,
+        data: slots,
+        message: `Retrieved ${slots.length} delivery slots successfully`
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'FETCH_DELIVERY_SLOTS_ERROR'
+      };
+    }
+  }
+
+  public async createSlot(request: DeliverySlotCreateRequestValidated): Promise<DeliverySlotApiResponse> {
+    try {
+      const { data, error } = await getDb()
+        .from('delivery_slots')
+        .insert({
+          weekday: request.weekday,
+          start_time: request.start_time,
+          end_time: request.end_time,
+          capacity: request.capacity,
+          same_day_cutoff: request.same_day_cutoff ?? null,
+          active: request.active
+        })
+        .select()
+        .single();
+
+      if (error?.code === UNIQUE_VIOLATION) {
+        return {
+          success: false,
+          message: `There is already a ${request.start_time}-${request.end_time} slot on that weekday`,
+          error: 'DELIVERY_SLOT_TAKEN'
+        };
+      }
+
+      if (error || !data) {
+        throw new Error(`Failed to create delivery slot: ${error?.message ?? 'No data returned'}`);
+      }
+
+      return {
+        success: true,
+        data: data as DeliverySlot,
+        message: 'Delivery slot created successfully'
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'CREATE_DELIVERY_SLOT_ERROR'
+      };
+    }
+  }
+
+  public async updateSlot(id: number, request: DeliverySlotUpdateRequestValidated): Promise<DeliverySlotApiResponse> {
+    try {
+      const { data, error } = await getDb()
+        .from('delivery_slots')
+        .update({
+          ...request,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', id)
+        .select()
+        .single();
+
+      if (error?.code === UNIQUE_VIOLATION) {
+        return {
+          success: false,
+          message: 'There is already a slot with those times on that weekday',
+          error: 'DELIVERY_SLOT_TAKEN'
+        };
+      }
+
+      if (error?.code === CHECK_VIOLATION) {
+        return {
+          success: false,
+          message: 'The slot must end after it starts and its same-day cutoff cannot be after its start',
+          error: 'INVALID_DELIVERY_SLOT'
+        };
+      }
+
+      if (error || !data) {
+        return {
+          success: false,
+          message: 'Delivery slot not found',
+          error: 'DELIVERY_SLOT_NOT_FOUND'
+        };
+      }
+
+      return {
+        success: true,
+        data: data as DeliverySlot,
+        message: 'Delivery slot updated successfully'
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'UPDATE_DELIVERY_SLOT_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Orders keep the slot label they were placed with, so slots can be deleted freely
+   */
+  public async deleteSlot(id: number): Promise<DeliverySlotApiResponse> {
+    try {
+      const { data, error } = await getDb()
+        .from('delivery_slots')
+        .delete()
+        .eq('id', id)
+        .select()
+        .single();
+
+      if (error || !data) {
+        return {
+          success: false,
+          message: 'Delivery slot not found',
+          error: 'DELIVERY_SLOT_NOT_FOUND'
+        };
+      }
+
+      return {
+        success: true,
+        data: data as DeliverySlot,
+        message: 'Delivery slot deleted successfully'
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'DELETE_DELIVERY_SLOT_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Blackout dates from `from` on (all of them when omitted), soonest first
+   */
+  public async getBlackoutDates(from?: string): Promise<DeliveryBlackoutDateListApiResponse> {
+    try {
+      let query = getDb()
+        .from('delivery_blackout_dates')
+        .select('*');
+
+      if (from) {
+        query = query.gte('blackout_date', from);
+      }
+
+      const { data, error } = await query.order('blackout_date', { ascending: true });
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      const dates = (data ?? []) as DeliveryBlackoutDate[];
+
+      return {
+        success: true,
+        data: dates,
+        message: `Retrieved ${dates.length} blackout dates successfully`
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'FETCH_BLACKOUT_DATES_ERROR'
+      };
+    }
+  }
+
+  public async addBlackoutDate(request: DeliveryBlackoutDateCreateRequestValidated): Promise<DeliveryBlackoutDateApiResponse> {
+    try {
+      const { data, error } = await getDb()
+        .from('delivery_blackout_dates')
+        .insert({
+          blackout_date: request.blackout_date,
+          reason: request.reason ?? null
+        })
+        .select()
+        .single();
+
+      if (error?.code === UNIQUE_VIOLATION) {
+        return {
+          success: false,
+          message: `${request.blackout_date} is already a blackout date`,
+          error: 'BLACKOUT_DATE_EXISTS'
+        };
+      }
+
+      if (error || !data) {
+        throw new Error(`Failed to add blackout date: ${error?.message ?? 'No data returned'}`);
+      }
+
+      return {
+        success: true,
+        data: data as DeliveryBlackoutDate,
+        message: 'Blackout date added successfully'
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'CREATE_BLACKOUT_DATE_ERROR'
+      };
+    }
+  }
+
+  public async removeBlackoutDate(date: string): Promise<DeliveryBlackoutDateApiResponse> {
+    try {
+      const { data, error } = await getDb()
+        .from('delivery_blackout_dates')
+        .delete()
+        .eq('blackout_date', date)
+        .select()
+        .single();
+
+      if (error || !data) {
+        return {
+          success: false,
+          message: 'Blackout date not found',
+          error: 'BLACKOUT_DATE_NOT_FOUND'
+        };
+      }
+
+      return {
+        success: true,
+        data: data as DeliveryBlackoutDate,
+        message: 'Blackout date removed successfully'
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'DELETE_BLACKOUT_DATE_ERROR'
+      };
+    }
+  }
+}
+
+export const deliverySlotService = new DeliverySlotService();
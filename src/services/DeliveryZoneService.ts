@@ -0,0 +1,253 @@
+/**
+ * 🌸 FloresYa Delivery Zone Service
+ * Cities and municipalities the shop delivers to, with their fee, minimum order and served weekdays
+ */
+
+import {
+  type DeliveryZone,
+  type DeliveryZoneApiResponse,
+  type DeliveryZoneCreateRequestValidated,
+  type DeliveryZoneListApiResponse,
+  type DeliveryZoneUpdateRequestValidated
+} from '../shared/types/index.js';
+
+import { typeSafeDatabaseService } from './TypeSafeDatabaseService.js';
+
+// Get database client dynamically for better testability
+const getDb = () => typeSafeDatabaseService.getClient();
+
+// Postgres error code surfaced by PostgREST
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Customers type "San Cristóbal", "san cristobal " or "SAN CRISTOBAL" for the same place
+ */
+export function normalizePlaceName(value: string): string {
+  return value
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+export class DeliveryZoneService {
+  /**
+   * Zones by state and name; inactive ones only for the admin panel
+   */
+  public async getZones(includeInactive = false): Promise<DeliveryZoneListApiResponse> {
+    try {
+      let query = getDb()
+        .from('delivery_zones')
+        .select('*');
+
+      if (!includeInactive) {
+        query = query.eq('active', true);
+      }
+
+      const { data, error } = await query
+        .order('state', { ascending: true })
+        .order('name', { ascending: true });
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      const zones = (data ?? []) as DeliveryZone[];
+
+      return {
+        success: true,
+        data: zones,
+        message: `Retrieved ${zones.length} delivery zones successfully`
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'FETCH_DELIVERY_ZONES_ERROR'
+      };
+    }
+  }
+
+  public async createZone(request: DeliveryZoneCreateRequestValidated): Promise<DeliveryZoneApiResponse> {
+    try {
+      if (request.active) {
+        const overlap = await this.findOverlap(request.state, request.localities);
+        if (overlap) return overlap;
+      }
+
+      const { data, error } = await getDb()
+        .from('delivery_zones')
+        .insert({
+          name: request.name,
+          state: request.state,
+          localities: request.localities,
+          fee_usd: request.fee_usd,
+          min_order_usd: request.min_order_usd,
+          delivery_weekdays: request.delivery_weekdays,
+          active: request.active
+        })
+        .select()
+        .single();
+
+      if (error?.code === UNIQUE_VIOLATION) {
+        return {
+          success: false,
+          message: `There is already a delivery zone named ${request.name}`,
+          error: 'DELIVERY_ZONE_NAME_TAKEN'
+        };
+      }
+
+      if (error || !data) {
+        throw new Error(`Failed to create delivery zone: ${error?.message ?? 'No data returned'}`);
+      }
+
+      return {
+        success: true,
+        data: data as DeliveryZone,
+        message: 'Delivery zone created successfully'
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'CREATE_DELIVERY_ZONE_ERROR'
+      };
+    }
+  }
+
+  public async updateZone(id: number, request: DeliveryZoneUpdateRequestValidated): Promise<DeliveryZoneApiResponse> {
+    try {
+      // Overlaps depend on the stored state, cities and status the request may leave out
+      if (request.state !== undefined || request.localities !== undefined || request.active) {
+        const { data: current } = await getDb()
+          .from('delivery_zones')
+          .select('*')
+          .eq('id', id)
+          .single();
+
+        if (!current) {
+          return {
+            success: false,
+            message: 'Delivery zone not found',
+            error: 'DELIVERY_ZONE_NOT_FOUND'
+          };
+        }
+
+        const zone = { ...(current as DeliveryZone), ...request };
+        if (zone.active) {
+          const overlap = await this.findOverlap(zone.state, zone.localities, id);
+          if (overlap) return overlap;
+        }
+      }
+
+      const { data, error } = await getDb()
+        .from('delivery_zones')
+        .update({
+          ...request,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', id)
+        .select()
+        .single();
+
+      if (error?.code === UNIQUE_VIOLATION) {
+        return {
+          success: false,
+          message: `There is already a delivery zone named ${request.name}`,
+          error: 'DELIVERY_ZONE_NAME_TAKEN'
+        };
+      }
+
+      if (error || !data) {
+        return {
+          success: false,
+          message: 'Delivery zone not found',
+          error: 'DELIVERY_ZONE_NOT_FOUND'
+        };
+      }
+
+      return {
+        success: true,
+        data: data as DeliveryZone,
+        message: 'Delivery zone updated successfully'
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'UPDATE_DELIVERY_ZONE_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Orders keep the fee they paid; their link to the zone is cleared
+   */
+  public async deleteZone(id: number): Promise<DeliveryZoneApiResponse> {
+    try {
+      const { data, error } = await getDb()
+        .from('delivery_zones')
+        .delete()
+        .eq('id', id)
+        .select()
+        .single();
+
+      if (error || !data) {
+        return {
+          success: false,
+          message: 'Delivery zone not found',
+          error: 'DELIVERY_ZONE_NOT_FOUND'
+        };
+      }
+
+      return {
+        success: true,
+        data: data as DeliveryZone,
+        message: 'Delivery zone deleted successfully'
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'DELETE_DELIVERY_ZONE_ERROR'
+      };
+    }
+  }
+
+  /**
+   * An address must match a single active zone, or its fee would depend on which one is found first
+   */
+  private async findOverlap(state: string, localities: string[], excludeId?: number): Promise<DeliveryZoneApiResponse | null> {
+    const { data, error } = await getDb()
+      .from('delivery_zones')
+      .select('id, name, state, localities')
+      .eq('active', true);
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    const wanted = new Set(localities.map(normalizePlaceName));
+    for (const zone of (data ?? []) as Array<Pick<DeliveryZone, 'id' | 'name' | 'state' | 'localities'>>) {
+      if (zone.id === excludeId || normalizePlaceName(zone.state) !== normalizePlaceName(state)) continue;
+
+      const taken = zone.localities.find(locality => wanted.has(normalizePlaceName(locality)));
+      if (taken) {
+        return {
+          success: false,
+          message: `${taken} is already served by the ${zone.name} zone`,
+          error: 'DELIVERY_ZONE_OVERLAP'
+        };
+      }
+    }
+
+    return null;
+  }
+}
+
+export const deliveryZoneService = new DeliveryZoneService();
@@ -0,0 +1,110 @@
+/**
+ * 🌸 FloresYa Exchange Rate Providers
+ * Where the scheduled refresh gets the USD/VES rate from, chosen with EXCHANGE_RATE_PROVIDER
+ */
+
+import { readFile } from 'fs/promises';
+
+export interface ExchangeRateProvider {
+  /** Stored as the source of the rates it records */
+  readonly name: string;
+  /** Bolívares per dollar, or null when the provider has nothing to fetch */
+  fetchRate(): Promise<number | null>;
+}
+
+const BCV_DEFAULT_URL = 'https://www.bcv.org.ve/';
+
+/**
+ * Read a rate written with either decimal separator ("36,5432" or "36.5432")
+ */
+function parseRateValue(value: unknown): number | null {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value > 0 ? value : null;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  // With a comma, dots only group thousands
+  const text = value.trim();
+  const rate = Number(text.includes(',') ? text.replace(/\./g, '').replace(',', '.') : text);
+  return Number.isFinite(rate) && rate > 0 ? rate : null;
+}
+
+/**
+ * Dollar rate from a BCV response: JSON with a `rate` or `usd` field,
+ * or the bcv.org.ve home page, where it sits in the "dolar" block
+ */
+export function parseBcvRate(body: string): number | null {
+  try {
+    const json = JSON.parse(body) as Record<string, unknown>;
+    return parseRateValue(json.rate ?? json.usd);
+  } catch {
+    const match = /id="dolar"[\s\S]*?<strong>\s*([\d.,]+)\s*<\/strong>/.exec(body);
+    return match?.[1] ? parseRateValue(match[1]) : null;
+  }
+}
+
+/**
+ * Official rate published by the Banco Central de Venezuela
+ */
+export class BcvRateProvider implements ExchangeRateProvider {
+  public readonly name = 'bcv';
+
+  constructor(private readonly url: string = process.env.BCV_API_URL ?? BCV_DEFAULT_URL) {}
+
+  public async fetchRate(): Promise<number | null> {
+    const response = await fetch(this.url, { signal: AbortSignal.timeout(15000) });
+    if (!response.ok) {
+      throw new Error(`BCV responded with HTTP ${response.status}`);
+    }
+
+    const rate = parseBcvRate(await response.text());
+    if (rate === null) {
+      throw new Error('BCV response has no dollar rate');
+    }
+    return rate;
+  }
+}
+
+/**
+ * Rate kept in a JSON file such as {"rate": 36.52}, for offline and development use
+ */
+export class FileRateProvider implements ExchangeRateProvider {
+  public readonly name = 'file';
+
+  constructor(private readonly path: string = process.env.EXCHANGE_RATE_FILE ?? 'exchange-rate.json') {}
+
+  public async fetchRate(): Promise<number | null> {
+    const content = await readFile(this.path, 'utf8');
+    const rate = parseRateValue((JSON.parse(content) as { rate?: unknown }).rate);
+    if (rate === null) {
+      throw new Error(`${this.path} has no valid "rate"`);
+    }
+    return rate;
+  }
+}
+
+/**
+ * Admins type the rate in themselves; the scheduled refresh does nothing
+ */
+export class ManualRateProvider implements ExchangeRateProvider {
+  public readonly name = 'manual';
+
+  public fetchRate(): Promise<number | null> {
+    return Promise.resolve(null);
+  }
+}
+
+export function createExchangeRateProvider(name: string = process.env.EXCHANGE_RATE_PROVIDER ?? 'manual'): ExchangeRateProvider {
+  switch (name) {
+    case 'bcv':
+      return new BcvRateProvider();
+    case 'file':
+      return new FileRateProvider();
+    case 'manual':
+      return new ManualRateProvider();
+    default:
+      throw new Error(`Unknown exchange rate provider: ${name}`);
+  }
+}
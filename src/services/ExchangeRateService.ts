@@ -0,0 +1,281 @@
+/**
+ * 🌸 FloresYa Exchange Rate Service
+ * USD/VES rate history, the current rate and the VES prices derived from it,
+ * kept up to date by hand or by the scheduled refresh from a provider
+ */
+
+import {
+  DEFAULT_VES_ROUNDING_STEP,
+  EXCHANGE_RATE_MAX_AGE_HOURS,
+  EXCHANGE_RATE_MAX_DEVIATION_PERCENT
+} from '../shared/constants/index.js';
+import {
+  type AlertData,
+  type CurrentExchangeRate,
+  type CurrentExchangeRateApiResponse,
+  type ExchangeRate,
+  type ExchangeRateApiResponse,
+  type ExchangeRateCreateRequestValidated,
+  type ExchangeRateListApiResponse,
+  type ExchangeRateQueryRequestValidated,
+  type VesRoundingUpdateRequestValidated
+} from '../shared/types/index.js';
+
+import { createExchangeRateProvider, type ExchangeRateProvider } from './ExchangeRateProviders.js';
+import { roundCurrency, settingsService } from './SettingsService.js';
+import { typeSafeDatabaseService } from './TypeSafeDatabaseService.js';
+
+// Get database client dynamically for better testability
+const getDb = () => typeSafeDatabaseService.getClient();
+
+const RATE_KEY = 'usd_ves_rate';
+const ROUNDING_KEY = 'ves_price_rounding';
+const REFRESH_ERROR_KEY = 'exchange_rate_refresh_error';
+
+type SettingRow = { key: string; value: string | null; updated_at: string | null };
+
+/**
+ * Bolívar amount of a dollar amount at a given rate, or null without a rate.
+ * Order totals and payments convert exactly; catalog prices are rounded up,
+ * and order lines keep the catalog price when the product has one
+ */
+export function toVes(amountUsd: number, rate: number | null): number | null {
+  return rate ? roundCurrency(amountUsd * rate) : null;
+}
+
+export class ExchangeRateService {
+  /**
+   * Rate in effect now, as stored in settings by record_exchange_rate()
+   */
+  public async getCurrentRate(): Promise<CurrentExchangeRate> {
+    const current: CurrentExchangeRate = { rate: null, rounding_step: DEFAULT_VES_ROUNDING_STEP, updated_at: null };
+    for (const setting of await this.readSettings([RATE_KEY, ROUNDING_KEY])) {
+      const value = Number(setting.value);
+      if (setting.value === null || !Number.isFinite(value) || value <= 0) continue;
+
+      if (setting.key === RATE_KEY) {
+        current.rate = value;
+        current.updated_at = setting.updated_at;
+      } else if (setting.key === ROUNDING_KEY) {
+        current.rounding_step = value;
+      }
+    }
+
+    return current;
+  }
+
+  private async readSettings(keys: string[]): Promise<SettingRow[]> {
+    const { data, error } = await getDb()
+      .from('settings')
+      .select('key, value, updated_at')
+      .in('key', keys);
+
+    if (error) {
+      throw new Error(`Failed to fetch exchange rate: ${error.message}`);
+    }
+
+    return (data ?? []) as SettingRow[];
+  }
+
+  public async getCurrent(): Promise<CurrentExchangeRateApiResponse> {
+    try {
+      return {
+        success: true,
+        data: await this.getCurrentRate(),
+        message: 'Exchange rate retrieved successfully'
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'FETCH_EXCHANGE_RATE_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Recorded rates, newest first
+   */
+  public async getRateHistory(query: ExchangeRateQueryRequestValidated = {}): Promise<ExchangeRateListApiResponse> {
+    try {
+      const { page = 1, limit = 20 } = query;
+      const offset = (page - 1) * limit;
+
+      const { data, error, count } = await getDb()
+        .from('exchange_rates')
+        .select('*', { count: 'exact' })
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      const rates = (data ?? []) as ExchangeRate[];
+      const totalItems = count ?? 0;
+
+      return {
+        success: true,
+        data: {
+          rates,
+          pagination: {
+            current_page: page,
+            total_pages: Math.ceil(totalItems / limit),
+            total_items: totalItems,
+            items_per_page: limit
+          }
+        },
+        message: `Retrieved ${rates.length} exchange rates successfully`
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'FETCH_EXCHANGE_RATES_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Record a new rate typed in by an admin; it becomes the current rate
+   * and every derived VES price is recalculated in the same transaction
+   */
+  public async recordRate(request: ExchangeRateCreateRequestValidated, userId?: number): Promise<ExchangeRateApiResponse> {
+    try {
+      const recorded = await typeSafeDatabaseService.executeRpc<ExchangeRate>('record_exchange_rate', {
+        new_rate: request.rate,
+        rate_source: 'manual',
+        rate_notes: request.notes ?? null,
+        created_by: userId ?? null
+      });
+
+      return {
+        success: true,
+        data: recorded,
+        message: 'Exchange rate recorded successfully'
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'RECORD_EXCHANGE_RATE_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Fetch the rate from a provider and record it unless it jumped too far from
+   * the current one or did not change. A failure stays on the dashboard until
+   * a refresh succeeds
+   */
+  public async refreshFromProvider(provider: ExchangeRateProvider = createExchangeRateProvider()): Promise<ExchangeRateApiResponse> {
+    try {
+      const rate = await provider.fetchRate();
+      if (rate === null) {
+        return { success: true, message: `The ${provider.name} provider has no rate to fetch` };
+      }
+
+      const { rate: previous } = await this.getCurrentRate();
+      // Recording the same rate again would only add history rows and reprice the catalog for nothing.
+      // Rates are stored with four decimals, so compare at that precision
+      if (previous !== null && Math.round(previous * 10000) === Math.round(rate * 10000)) {
+        await this.saveRefreshError('');
+        return { success: true, message: 'Exchange rate unchanged' };
+      }
+
+      if (previous) {
+        const deviation = Math.abs(rate - previous) / previous * 100;
+        if (deviation > EXCHANGE_RATE_MAX_DEVIATION_PERCENT) {
+          throw new Error(`Rate ${rate} differs ${deviation.toFixed(1)}% from the current ${previous}, above the ${EXCHANGE_RATE_MAX_DEVIATION_PERCENT}% limit`);
+        }
+      }
+
+      const recorded = await typeSafeDatabaseService.executeRpc<ExchangeRate>('record_exchange_rate', {
+        new_rate: rate,
+        rate_source: provider.name,
+        rate_notes: 'Actualización automática',
+        created_by: null
+      });
+      await this.saveRefreshError('');
+
+      return {
+        success: true,
+        data: recorded,
+        message: 'Exchange rate refreshed successfully'
+      };
+
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unknown error occurred';
+      // The refresh already failed; not being able to flag it must not hide the cause
+      await this.saveRefreshError(`${provider.name}: ${message}`).catch(() => undefined);
+
+      return {
+        success: false,
+        message,
+        error: 'REFRESH_EXCHANGE_RATE_ERROR'
+      };
+    }
+  }
+
+  private saveRefreshError(message: string): Promise<void> {
+    return settingsService.saveSetting(REFRESH_ERROR_KEY, message, 'Último error al actualizar la tasa de cambio', 'string', false);
+  }
+
+  /**
+   * Dashboard alerts for a failed refresh and for a missing or stale rate
+   */
+  public async getRefreshAlerts(now: Date = new Date()): Promise<AlertData[]> {
+    const settings = await this.readSettings([RATE_KEY, REFRESH_ERROR_KEY]);
+    const rateSetting = settings.find(setting => setting.key === RATE_KEY && setting.value);
+    const refreshSetting = settings.find(setting => setting.key === REFRESH_ERROR_KEY);
+    const refreshError = refreshSetting?.value;
+    const alerts: AlertData[] = [];
+
+    if (refreshError) {
+      alerts.push({ type: 'danger', message: `No se pudo actualizar la tasa de cambio (${refreshError})` });
+    }
+
+    if (!rateSetting) {
+      alerts.push({ type: 'warning', message: 'No hay tasa de cambio registrada: los precios en bolívares no se actualizan' });
+    } else if (rateSetting.updated_at) {
+      // A refresh that found the same rate confirms it without recording it again
+      const confirmedAt = refreshSetting && !refreshSetting.value && refreshSetting.updated_at
+        ? Math.max(new Date(rateSetting.updated_at).getTime(), new Date(refreshSetting.updated_at).getTime())
+        : new Date(rateSetting.updated_at).getTime();
+      const ageHours = Math.floor((now.getTime() - confirmedAt) / (60 * 60 * 1000));
+      if (ageHours > EXCHANGE_RATE_MAX_AGE_HOURS) {
+        alerts.push({ type: 'warning', message: `La tasa de cambio tiene ${ageHours} horas sin actualizarse` });
+      }
+    }
+
+    return alerts;
+  }
+
+  /**
+   * Change how VES prices are rounded and reprice the catalog
+   */
+  public async updateRounding(request: VesRoundingUpdateRequestValidated): Promise<CurrentExchangeRateApiResponse> {
+    try {
+      await settingsService.saveSetting(ROUNDING_KEY, String(request.rounding_step), 'Redondeo de precios en bolívares (múltiplo)');
+      await typeSafeDatabaseService.executeRpc<number>('refresh_ves_prices');
+
+      return {
+        success: true,
+        data: await this.getCurrentRate(),
+        message: 'VES price rounding updated successfully'
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'UPDATE_VES_ROUNDING_ERROR'
+      };
+    }
+  }
+}
+
+export const exchangeRateService = new ExchangeRateService();
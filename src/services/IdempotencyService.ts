@@ -0,0 +1,212 @@
+/**
+ * 🌸 FloresYa Idempotency Service
+ * Idempotency-Key storage for order and payment creation: the first request
+ * with a key claims it, a retry with the same body gets the stored response
+ */
+
+import { createHash } from 'crypto';
+
+import { type Json } from '../shared/types/schema_supabase.js';
+import {
+  IDEMPOTENCY_KEY_LOCK_TIMEOUT_MS,
+  IDEMPOTENCY_KEY_TTL_HOURS
+} from '../shared/constants/index.js';
+
+import { typeSafeDatabaseService } from './TypeSafeDatabaseService.js';
+
+// Get database client dynamically for better testability
+const getDb = () => typeSafeDatabaseService.getClient();
+
+// Postgres error codes surfaced by PostgREST
+const UNIQUE_VIOLATION = '23505';
+
+export type IdempotencyScope = 'orders' | 'payments';
+
+export const IDEMPOTENCY_KEY_HEADER = 'Idempotency-Key';
+
+// Printable ASCII, as clients send UUIDs or similar
+export const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+// Same value for the same data whatever the order of its keys
+function canonicalJson(value: unknown): string {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson((value as Record<string, unknown>)[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * Fingerprint of what a key was used with: the body, the uploaded file if
+ * any, and the signed-in customer, so nobody else can replay their response
+ */
+export function idempotencyFingerprint(userId: number | null, body: unknown, file?: Buffer): string {
+  return createHash('sha256').update(canonicalJson({
+    user_id: userId,
+    body: body ?? null,
+    file: file ? createHash('sha256').update(file).digest('hex') : null
+  })).digest('hex');
+}
+
+/**
+ * What to do with a request carrying a key:
+ *  - claimed: first use, run it and record the response
+ *  - replay: answer with the stored response
+ *  - mismatch: the key was used with another body
+ *  - in_progress: the first request with the key is still running
+ */
+export type IdempotencyClaim =
+  | { state: 'claimed' }
+  | { state: 'replay'; status: number; body: unknown }
+  | { state: 'mismatch' }
+  | { state: 'in_progress' };
+
+interface IdempotencyKeyRow {
+  request_hash: string;
+  response_status: number | null;
+  response_body: unknown;
+  created_at: string;
+}
+
+export class IdempotencyService {
+  /**
+   * Claim a key for a request. Keys past their TTL, and claims whose request
+   * never answered, are taken over as if the key were new
+   */
+  public async claim(
+    scope: IdempotencyScope,
+    key: string,
+    requestHash: string,
+    now: Date = new Date()
+  ): Promise<IdempotencyClaim> {
+    const { error } = await getDb()
+      .from('idempotency_keys')
+      .insert({ scope, key, request_hash: requestHash, created_at: now.toISOString() });
+
+    if (!error) {
+      return { state: 'claimed' };
+    }
+    if (error.code !== UNIQUE_VIOLATION) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    const { data, error: fetchError } = await getDb()
+      .from('idempotency_keys')
+      .select('request_hash, response_status, response_body, created_at')
+      .eq('scope', scope)
+      .eq('key', key)
+      .maybeSingle();
+
+    if (fetchError) {
+      throw new Error(`Database error: ${fetchError.message}`);
+    }
+
+    const existing = data as IdempotencyKeyRow | null;
+    if (!existing) {
+      // The first request failed between the insert and the read; a retry can claim the key
+      return { state: 'in_progress' };
+    }
+
+    const age = now.getTime() - new Date(existing.created_at).getTime();
+    const isStale = existing.response_status === null
+      ? age > IDEMPOTENCY_KEY_LOCK_TIMEOUT_MS
+      : age > IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000;
+    if (isStale) {
+      return this.takeOver(scope, key, requestHash, existing.created_at, now);
+    }
+
+    if (existing.request_hash !== requestHash) {
+      return { state: 'mismatch' };
+    }
+    if (existing.response_status === null) {
+      return { state: 'in_progress' };
+    }
+    return { state: 'replay', status: existing.response_status, body: existing.response_body };
+  }
+
+  /**
+   * Store the response a claimed key replays from now on
+   */
+  public async complete(scope: IdempotencyScope, key: string, status: number, body: unknown): Promise<void> {
+    const { error } = await getDb()
+      .from('idempotency_keys')
+      .update({ response_status: status, response_body: body as Json })
+      .eq('scope', scope)
+      .eq('key', key);
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Free a claimed key whose request failed, so the customer can retry with it
+   */
+  public async release(scope: IdempotencyScope, key: string): Promise<void> {
+    const { error } = await getDb()
+      .from('idempotency_keys')
+      .delete()
+      .eq('scope', scope)
+      .eq('key', key)
+      .is('response_status', null);
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete keys past their TTL
+   * Returns how many keys were deleted
+   */
+  public async purgeExpiredKeys(now: Date = new Date()): Promise<number> {
+    const cutoff = new Date(now.getTime() - IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000);
+    const { data, error } = await getDb()
+      .from('idempotency_keys')
+      .delete()
+      .lt('created_at', cutoff.toISOString())
+      .select('key');
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data?.length ?? 0;
+  }
+
+  /**
+   * Replace a stale row, only if no other request replaced it first
+   */
+  private async takeOver(
+    scope: IdempotencyScope,
+    key: string,
+    requestHash: string,
+    staleCreatedAt: string,
+    now: Date
+  ): Promise<IdempotencyClaim> {
+    const { data, error } = await getDb()
+      .from('idempotency_keys')
+      .update({
+        request_hash: requestHash,
+        response_status: null,
+        response_body: null,
+        created_at: now.toISOString()
+      })
+      .eq('scope', scope)
+      .eq('key', key)
+      .eq('created_at', staleCreatedAt)
+      .select('key');
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data && data.length > 0 ? { state: 'claimed' } : { state: 'in_progress' };
+  }
+}
+
+export const idempotencyService = new IdempotencyService();
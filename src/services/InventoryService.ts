@@ -0,0 +1,140 @@
+/**
+ * 🌸 FloresYa Inventory Service
+ * Stock ledger: manual adjustments and per-product movement history
+ */
+
+import {
+  type InventoryAdjustmentRequestValidated,
+  type InventoryMovement,
+  type InventoryMovementApiResponse,
+  type InventoryMovementQueryRequestValidated,
+  type Product,
+  type ProductStockHistoryApiResponse
+} from '../shared/types/index.js';
+
+import { typeSafeDatabaseService } from './TypeSafeDatabaseService.js';
+
+// Get database client dynamically for better testability
+const getDb = () => typeSafeDatabaseService.getClient();
+
+const RPC_ERROR_PREFIX = 'Database RPC error: ';
+
+export class InventoryService {
+  /**
+   * Post a manual movement (adjustment, waste or restock)
+   * The products trigger writes the ledger row; the RPC locks the product and
+   * refuses movements that would leave stock below zero
+   */
+  public async adjustStock(
+    request: InventoryAdjustmentRequestValidated,
+    adminId?: number
+  ): Promise<InventoryMovementApiResponse> {
+    try {
+      const movement = await typeSafeDatabaseService.executeRpc<InventoryMovement | null>('adjust_product_stock', {
+        product_id: request.product_id,
+        quantity_change: request.quantity_change,
+        reason: request.reason,
+        notes: request.notes ?? null,
+        created_by: adminId ?? null
+      });
+
+      if (!movement) {
+        throw new Error('No movement returned from stock adjustment');
+      }
+
+      return {
+        success: true,
+        data: movement,
+        message: `Stock updated to ${movement.balance_after}`
+      };
+
+    } catch (error) {
+      const message = error instanceof Error ? error.message.replace(RPC_ERROR_PREFIX, '') : 'Unknown error occurred';
+
+      if (message.includes('not found')) {
+        return { success: false, message: 'Product not found', error: 'PRODUCT_NOT_FOUND' };
+      }
+      if (message.includes('Insufficient stock')) {
+        return { success: false, message, error: 'INSUFFICIENT_STOCK' };
+      }
+
+      return {
+        success: false,
+        message,
+        error: 'ADJUST_STOCK_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Current stock plus the movements that produced it, newest first
+   */
+  public async getProductStockHistory(
+    productId: number,
+    query: InventoryMovementQueryRequestValidated = {}
+  ): Promise<ProductStockHistoryApiResponse> {
+    try {
+      const { page = 1, limit = 20, reason } = query;
+
+      const { data: product } = await getDb()
+        .from('products')
+        .select('id, name, sku, stock')
+        .eq('id', productId)
+        .single();
+
+      if (!product) {
+        return {
+          success: false,
+          message: 'Product not found',
+          error: 'PRODUCT_NOT_FOUND'
+        };
+      }
+
+      let supabaseQuery = getDb()
+        .from('inventory_movements')
+        .select('*', { count: 'exact' })
+        .eq('product_id', productId);
+
+      if (reason) {
+        supabaseQuery = supabaseQuery.eq('reason', reason);
+      }
+
+      const offset = (page - 1) * limit;
+      const { data, error, count } = await supabaseQuery
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      const movements = (data ?? []) as InventoryMovement[];
+      const totalItems = count ?? 0;
+
+      return {
+        success: true,
+        data: {
+          product: product as Pick<Product, 'id' | 'name' | 'sku' | 'stock'>,
+          movements,
+          pagination: {
+            current_page: page,
+            total_pages: Math.ceil(totalItems / limit),
+            total_items: totalItems,
+            items_per_page: limit
+          }
+        },
+        message: `Retrieved ${movements.length} inventory movements successfully`
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'FETCH_INVENTORY_MOVEMENTS_ERROR'
+      };
+    }
+  }
+}
+
+export const inventoryService = new InventoryService();
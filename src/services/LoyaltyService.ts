@@ -0,0 +1,161 @@
+/**
+ * 🌸 FloresYa Loyalty Service
+ * Loyalty points: customer balances and their ledger, the discount points give
+ * at checkout and the expiry sweep
+ */
+
+import {
+  type LoyaltyAccountApiResponse,
+  type LoyaltyPointMovement
+} from '../shared/types/index.js';
+
+import { roundCurrency, settingsService } from './SettingsService.js';
+import { typeSafeDatabaseService } from './TypeSafeDatabaseService.js';
+
+// Get database client dynamically for better testability
+const getDb = () => typeSafeDatabaseService.getClient();
+
+// Latest movements shown with a balance
+const MOVEMENTS_SHOWN = 50;
+
+export type LoyaltyErrorCode = 'LOYALTY_SIGN_IN_REQUIRED' | 'INSUFFICIENT_LOYALTY_POINTS';
+
+/**
+ * Thrown when points are redeemed without an account or, when the order is
+ * placed, the balance no longer covers them
+ */
+export class LoyaltyError extends Error {
+  constructor(
+    message: string,
+    public code: LoyaltyErrorCode
+  ) {
+    super(message);
+    this.name = 'LoyaltyError';
+  }
+}
+
+export interface LoyaltyDiscount {
+  points: number; // Points actually spent
+  discount_usd: number;
+  taxable_discount_usd: number; // Part of the discount that lowers the IVA base
+}
+
+type LoyaltyLot = Pick<LoyaltyPointMovement, 'remaining_points' | 'expires_at'>;
+
+function isSpendable(lot: LoyaltyLot, now: Date): boolean {
+  return !lot.expires_at || new Date(lot.expires_at) > now;
+}
+
+export class LoyaltyService {
+  /**
+   * A customer's points: what they can spend, what expires when, and the latest movements
+   */
+  public async getLoyaltyAccount(userId: number, now = new Date()): Promise<LoyaltyAccountApiResponse> {
+    try {
+      const rules = await settingsService.getLoyaltyRules();
+      const lots = (await this.getLots(userId)).filter(lot => isSpendable(lot, now));
+      const points = lots.reduce((sum, lot) => sum + lot.remaining_points, 0);
+
+      const { data: movements, error } = await getDb()
+        .from('loyalty_point_movements')
+        .select('*')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false })
+        .limit(MOVEMENTS_SHOWN);
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return {
+        success: true,
+        data: {
+          points,
+          value_usd: roundCurrency(points * rules.loyalty_point_value_usd),
+          point_value_usd: rules.loyalty_point_value_usd,
+          points_per_usd: rules.loyalty_points_per_usd,
+          expiring: lots
+            .filter((lot): lot is LoyaltyLot & { expires_at: string } => lot.expires_at !== null)
+            .sort((a, b) => a.expires_at.localeCompare(b.expires_at))
+            .map(lot => ({ points: lot.remaining_points, expires_at: lot.expires_at })),
+          movements: (movements ?? []) as LoyaltyPointMovement[]
+        },
+        message: 'Loyalty points retrieved successfully'
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'FETCH_LOYALTY_POINTS_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Discount the customer's points give an order. The points asked for are
+   * capped at the unexpired balance and at what the products still cost after
+   * promotions and the coupon; the balance is spent for good by the order
+   * transaction, which checks it again
+   */
+  public async redeemPoints(
+    points: number,
+    userId: number | undefined,
+    discountableUsd: number,
+    taxableUsd: number,
+    now: Date = new Date()
+  ): Promise<LoyaltyDiscount> {
+    if (userId === undefined) {
+      throw new LoyaltyError('Sign in to redeem loyalty points', 'LOYALTY_SIGN_IN_REQUIRED');
+    }
+
+    const { loyalty_point_value_usd: pointValue } = await settingsService.getLoyaltyRules();
+    const available = (await this.getLots(userId))
+      .filter(lot => isSpendable(lot, now))
+      .reduce((sum, lot) => sum + lot.remaining_points, 0);
+
+    // The epsilon keeps 0.3 / 0.01 from rounding down to 29 points
+    const coveredByProducts = Math.floor(Math.max(discountableUsd, 0) / pointValue + 1e-9);
+    const spent = Math.min(points, available, coveredByProducts);
+    if (spent <= 0) {
+      return { points: 0, discount_usd: 0, taxable_discount_usd: 0 };
+    }
+
+    const discount_usd = roundCurrency(spent * pointValue);
+    return {
+      points: spent,
+      discount_usd,
+      taxable_discount_usd: roundCurrency(taxableUsd * discount_usd / discountableUsd)
+    };
+  }
+
+  /**
+   * Close the points past their expiry
+   * Returns how many points expired
+   */
+  public async expireLoyaltyPoints(): Promise<number> {
+    const expired = await typeSafeDatabaseService.executeRpc<number>('expire_loyalty_points');
+    return expired ?? 0;
+  }
+
+  /**
+   * Earned and given back points the customer has not spent yet, including
+   * expired ones the sweep has not closed
+   */
+  private async getLots(userId: number): Promise<LoyaltyLot[]> {
+    const { data, error } = await getDb()
+      .from('loyalty_point_movements')
+      .select('remaining_points, expires_at')
+      .eq('user_id', userId)
+      .gt('remaining_points', 0);
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    return (data ?? []) as LoyaltyLot[];
+  }
+}
+
+export const loyaltyService = new LoyaltyService();
@@ -4,8 +4,11 @@
  */
 
 import {
+  type DeliveryZone,
   type Order,
   type OrderCreateRequest,
+  type OrderQuote,
+  type OrderQuoteAddon,
   type OrderResponse,
   type OrderStatus,
   type OrderStatusHistory,
@@ -13,21 +16,142 @@ import {
   type OrderWithItems,
   type OrderWithItemsAndPayments,
   type Product,
+  type ProductAddon,
+  type ProductVariant,
   type RawOrderStatusHistoryWithUser,
   type RawOrderWithItemsAndUser,
   type RawOrderWithItemsPaymentsHistory
 } from '../shared/types/index.js';
-
+import { getAllowedOrderStatuses, STOCK_RESERVATION_MINUTES } from '../shared/constants/index.js';
+
+import { CouponError, couponService } from './CouponService.js';
+import { normalizePlaceName } from './DeliveryZoneService.js';
+import { exchangeRateService, toVes } from './ExchangeRateService.js';
+import { LoyaltyError, loyaltyService } from './LoyaltyService.js';
+import { promotionService } from './PromotionService.js';
+import { roundCurrency, settingsService, taxOn } from './SettingsService.js';
 import { typeSafeDatabaseService } from './TypeSafeDatabaseService.js';
 
 // Get database client dynamically for better testability
 const getDb = () => typeSafeDatabaseService.getClient();
 
+// Cash is collected on delivery, so a reported cash payment is enough to ship
+const PAY_ON_DELIVERY_METHODS = ['cash'];
+
+/**
+ * Thrown when an order status change is not allowed from its current status
+ */
+export class OrderStatusTransitionError extends Error {
+  constructor(
+    message: string,
+    public currentStatus: OrderStatus,
+    public allowedStatuses: readonly OrderStatus[]
+  ) {
+    super(message);
+    this.name = 'OrderStatusTransitionError';
+  }
+}
+
+/**
+ * Thrown when a product cannot cover the requested quantity, including when
+ * another order reserved the last units between quote and checkout
+ */
+export class InsufficientStockError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'InsufficientStockError';
+  }
+}
+
+/**
+ * Thrown when the chosen delivery slot is full, past its same-day cutoff,
+ * on a blackout date or not offered that day
+ */
+export class DeliverySlotUnavailableError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'DeliverySlotUnavailableError';
+  }
+}
+
+export type DeliveryZoneErrorCode = 'OUTSIDE_DELIVERY_ZONES' | 'BELOW_ZONE_MINIMUM' | 'ZONE_NOT_SERVED_ON_DATE';
+
+/**
+ * Thrown when the delivery address is outside every active zone, the cart does
+ * not reach the zone's minimum or the zone is not served on the delivery date
+ */
+export class DeliveryZoneError extends Error {
+  constructor(
+    message: string,
+    public code: DeliveryZoneErrorCode
+  ) {
+    super(message);
+    this.name = 'DeliveryZoneError';
+  }
+}
+
+export class OrderNotFoundError extends Error {
+  constructor(orderId: number) {
+    super(`Order ${orderId} not found`);
+    this.name = 'OrderNotFoundError';
+  }
+}
+
+type AddonForCalculation = Pick<ProductAddon, 'id' | 'name' | 'price_usd' | 'price_ves' | 'stock' | 'is_taxable'>;
+type ZoneForCalculation = Pick<DeliveryZone, 'id' | 'name' | 'state' | 'localities' | 'fee_usd' | 'min_order_usd' | 'delivery_weekdays'>;
+
+/**
+ * Bolívar amounts of an order line: its catalog VES price when it has one,
+ * otherwise its dollar price at the order's rate
+ */
+function lineVesAmounts(
+  line: { unit_price_usd: number; unit_price_ves: number | null; quantity: number; subtotal_usd: number },
+  rate: number | null
+): { unit_price_ves: number | null; subtotal_ves: number | null } {
+  if (line.unit_price_ves === null) {
+    return { unit_price_ves: toVes(line.unit_price_usd, rate), subtotal_ves: toVes(line.subtotal_usd, rate) };
+  }
+  return { unit_price_ves: line.unit_price_ves, subtotal_ves: roundCurrency(line.unit_price_ves * line.quantity) };
+}
+
+interface DeliveryAddress {
+  city?: string;
+  state?: string;
+  date?: string; // YYYY-MM-DD
+}
+
+interface CouponClaim {
+  code: string;
+  customer_email?: string; // Needed for the per-customer limit of guests
+  user_id?: number; // Signed-in customers are limited by account instead
+}
+
+interface LoyaltyClaim {
+  points: number;
+  user_id?: number; // Signed-in customer whose balance is spent
+}
+
+/**
+ * PostgREST filter matching the order number, customer name or email; plain
+ * numbers also match the id staff used before order numbers existed
+ */
+function orderSearchFilter(search: string): string {
+  // Commas and parentheses would break the filter list, wildcards are ours to add
+  const pattern = `%${search.trim().replace(/[,()%*\\]/g, '')}%`;
+  const filters = ['order_number', 'customer_name', 'customer_email'].map(column => `${column}.ilike.${pattern}`);
+  const legacyId = /^#?(\d{1,9})$/.exec(search.trim());
+  if (legacyId) {
+    filters.push(`id.eq.${legacyId[1]}`);
+  }
+  return filters.join(',');
+}
+
 interface OrderQuery {
   page?: number;
   limit?: number;
   status?: OrderStatus;
   customer_email?: string;
+  search?: string; // Order number, customer name or email
   date_from?: string;
   date_to?: string;
   sort_by?: 'created_at' | 'total_amount_usd' | 'status';
@@ -46,6 +170,7 @@ export class OrderService {
       limit = 20,
       status,
       customer_email,
+      search,
       date_from,
       date_to,
       sort_by = 'created_at',
@@ -69,6 +194,9 @@ export class OrderService {
     if (customer_email) {
       queryBuilder = queryBuilder.ilike('customer_email', `%${customer_email}%`);
     }
+    if (search) {
+      queryBuilder = queryBuilder.or(orderSearchFilter(search));
+    }
     if (date_from) {
       queryBuilder = queryBuilder.gte('created_at', date_from);
     }
@@ -145,31 +273,93 @@ export class OrderService {
   }
 
   /**
-   * Create new order with items using transaction
+   * Create new order with items using transaction; orders of signed-in
+   * customers are linked to their account, which is what earns them points
    */
-  public async createOrder(orderData: OrderCreateRequest): Promise<OrderWithItems> {
-    const { items, total_amount_usd } = await this.calculateOrderTotals(orderData.items);
-
-    const { items: _items, ...orderFields } = orderData; // Exclude items from order insert
+  public async createOrder(orderData: OrderCreateRequest, userId?: number): Promise<OrderWithItems> {
+    const quote = await this.calculateOrderTotals(orderData.items, {
+      city: orderData.delivery_city,
+      state: orderData.delivery_state,
+      date: orderData.delivery_date
+    }, orderData.payment_method_id, orderData.coupon_code
+      ? { code: orderData.coupon_code, customer_email: orderData.customer_email, user_id: userId }
+      : undefined, orderData.loyalty_points
+      ? { points: orderData.loyalty_points, user_id: userId }
+      : undefined);
+    const { items, delivery_zone, coupon } = quote;
+    // Snapshot of the rate so the bolívar amounts stay as the customer saw them
+    const { rate } = await exchangeRateService.getCurrentRate();
+
+    const { items: _items, coupon_code: _couponCode, loyalty_points: _loyaltyPoints, ...orderFields } = orderData; // Exclude items from order insert
     void _items; // Silence unused variable warning
-
-    // Use PostgreSQL function for atomic transaction
-    const data = await typeSafeDatabaseService.executeRpc('create_order_with_items', {
-      order_data: {
-        ...orderFields,
-        status: 'pending',
-        total_amount_usd
-      },
-      order_items: items.map(item => ({
-        product_id: item.product_id,
-        product_name: item.product_name,
-        product_summary: item.product_summary,
-        unit_price_usd: item.unit_price_usd,
-        quantity: item.quantity,
-        subtotal_usd: item.subtotal_usd
-      }))
-    });
-
+    void _couponCode; // Stored as the coupon's canonical code below
+    void _loyaltyPoints; // Stored as the points the quote could spend below
+
+    // Use PostgreSQL function for atomic transaction - it also reserves the stock
+    // and a place in the delivery slot, so the check above is only a friendly
+    // early answer, not the guarantee
+    let data: unknown;
+    try {
+      data = await typeSafeDatabaseService.executeRpc('create_order_with_items', {
+        order_data: {
+          ...orderFields,
+          user_id: userId ?? null,
+          status: 'pending',
+          delivery_zone_id: delivery_zone?.id ?? null,
+          delivery_fee_usd: quote.delivery_fee_usd,
+          coupon_id: coupon?.id ?? null,
+          coupon_code: coupon?.code ?? null,
+          discount_usd: quote.discount_usd,
+          promotion_discount_usd: quote.promotion_discount_usd,
+          applied_promotions: quote.promotions,
+          loyalty_points_redeemed: quote.loyalty_points_redeemed,
+          loyalty_discount_usd: quote.loyalty_discount_usd,
+          subtotal_usd: quote.subtotal_usd,
+          taxable_amount_usd: quote.taxable_amount_usd,
+          iva_rate: quote.iva_rate,
+          iva_amount_usd: quote.iva_amount_usd,
+          igtf_rate: quote.igtf_rate,
+          igtf_amount_usd: quote.igtf_amount_usd,
+          total_amount_usd: quote.total_amount_usd,
+          total_amount_ves: toVes(quote.total_amount_usd, rate),
+          currency_rate: rate
+        },
+        order_items: items.map(item => ({
+          product_id: item.product_id,
+          variant_id: item.variant_id,
+          product_name: item.product_name,
+          variant_name: item.variant_name,
+          product_summary: item.product_summary,
+          unit_price_usd: item.unit_price_usd,
+          quantity: item.quantity,
+          subtotal_usd: item.subtotal_usd,
+          ...lineVesAmounts(item, rate),
+          addons: item.addons.map(addon => ({
+            addon_id: addon.addon_id,
+            product_name: addon.addon_name,
+            unit_price_usd: addon.unit_price_usd,
+            quantity: addon.quantity,
+            subtotal_usd: addon.subtotal_usd,
+            ...lineVesAmounts(addon, rate)
+          }))
+        })),
+        reservation_minutes: STOCK_RESERVATION_MINUTES
+      });
+    } catch (error) {
+      if (error instanceof Error && error.message.includes('Insufficient stock')) {
+        throw new InsufficientStockError(error.message.replace('Database RPC error: ', ''));
+      }
+      if (error instanceof Error && error.message.includes('Delivery slot unavailable')) {
+        throw new DeliverySlotUnavailableError(error.message.replace('Database RPC error: ', ''));
+      }
+      if (error instanceof Error && error.message.includes('Coupon unavailable')) {
+        throw new CouponError(error.message.replace('Database RPC error: ', ''), 'COUPON_UNAVAILABLE');
+      }
+      if (error instanceof Error && error.message.includes('Insufficient loyalty points')) {
+        throw new LoyaltyError(error.message.replace('Database RPC error: ', ''), 'INSUFFICIENT_LOYALTY_POINTS');
+      }
+      throw error;
+    }
 
     if (!data) {
       throw new Error('No data returned from order creation transaction');
@@ -182,8 +372,18 @@ export class OrderService {
   /**
    * Update order (admin only)
    */
-  public async updateOrder(updateData: OrderUpdateRequest): Promise<Order> {
-    const { id, ...updates } = updateData;
+  public async updateOrder(updateData: OrderUpdateRequest, changedBy?: number): Promise<Order> {
+    const { id, status, ...updates } = updateData;
+
+    // Status changes go through the state machine like any other status update
+    let order: Order | null = null;
+    if (status) {
+      order = await this.updateOrderStatus(id, status, undefined, changedBy);
+    }
+
+    if (Object.keys(updates).length === 0 && order) {
+      return order;
+    }
 
     const { data, error } = await getDb()
       .from('orders')
@@ -205,15 +405,61 @@ export class OrderService {
 
   /**
    * Update order status with history tracking using transaction
+   * Rejects transitions outside ORDER_STATUS_TRANSITIONS and those whose guards fail
    */
   public async updateOrderStatus(orderId: number, newStatus: OrderStatus, notes?: string, changedBy?: number): Promise<Order> {
+    const { data: current } = await getDb()
+      .from('orders')
+      .select('id, status, total_amount_usd, igtf_amount_usd')
+      .eq('id', orderId)
+      .single();
+
+    if (!current) {
+      throw new OrderNotFoundError(orderId);
+    }
+
+    const currentStatus = (current.status ?? 'pending') as OrderStatus;
+    const allowedStatuses = getAllowedOrderStatuses(currentStatus);
+
+    if (!allowedStatuses.includes(newStatus)) {
+      throw new OrderStatusTransitionError(
+        `Cannot change order status from ${currentStatus} to ${newStatus}`,
+        currentStatus,
+        allowedStatuses
+      );
+    }
+
+    if (newStatus === 'shipped' && !(await this.isOrderPaid(orderId, current.total_amount_usd - current.igtf_amount_usd))) {
+      throw new OrderStatusTransitionError(
+        'Cannot ship an unpaid order',
+        currentStatus,
+        allowedStatuses.filter(status => status !== 'shipped')
+      );
+    }
+
     // Use PostgreSQL function for atomic status update with history
-    const data = await typeSafeDatabaseService.executeRpc('update_order_status_with_history', {
-      order_id: orderId,
-      new_status: newStatus,
-      notes: notes ?? null,
-      changed_by: changedBy ?? null
-    });
+    // It rejects the change if the order left currentStatus after the checks above
+    let data: unknown;
+    try {
+      data = await typeSafeDatabaseService.executeRpc('update_order_status_with_history', {
+        order_id: orderId,
+        new_status: newStatus,
+        notes: notes ?? null,
+        changed_by: changedBy ?? null,
+        expected_status: currentStatus
+      });
+    } catch (error) {
+      const changedTo = error instanceof Error ? /Order status changed to (\w+)/.exec(error.message)?.[1] : undefined;
+      if (changedTo) {
+        const latestStatus = changedTo as OrderStatus;
+        throw new OrderStatusTransitionError(
+          `Order status changed to ${latestStatus} meanwhile; cannot change it to ${newStatus}`,
+          latestStatus,
+          getAllowedOrderStatuses(latestStatus)
+        );
+      }
+      throw error;
+    }
 
     if (!data) {
       throw new Error('No data returned from order status update transaction');
@@ -222,6 +468,48 @@ export class OrderService {
     return data as Order;
   }
 
+  /**
+   * An order is paid when confirmed payments cover its total,
+   * or when the customer chose to pay cash on delivery.
+   * Amounts are compared without IGTF, which depends on how each payment was made
+   */
+  private async isOrderPaid(orderId: number, amountDueUsd: number): Promise<boolean> {
+    const { data: payments, error } = await getDb()
+      .from('payments')
+      .select('amount_usd, igtf_amount_usd, status, payment_methods(type)')
+      .eq('order_id', orderId);
+
+    if (error) {
+      throw new Error(`Failed to fetch order payments: ${error.message}`);
+    }
+
+    type PaymentForGuard = { amount_usd: number; igtf_amount_usd: number; status: string | null; payment_methods: { type: string } | null };
+    const rows = (payments ?? []) as PaymentForGuard[];
+
+    const paidAmount = rows
+      .filter(payment => payment.status === 'completed')
+      .reduce((sum, payment) => sum + payment.amount_usd - payment.igtf_amount_usd, 0);
+
+    // Cent tolerance for amounts converted from bolívares
+    if (paidAmount + 0.01 >= amountDueUsd) {
+      return true;
+    }
+
+    return rows.some(payment =>
+      payment.status === 'pending' &&
+      PAY_ON_DELIVERY_METHODS.includes(payment.payment_methods?.type ?? '')
+    );
+  }
+
+  /**
+   * Cancel pending orders whose stock reservation expired and return their stock
+   * Returns how many orders were cancelled
+   */
+  public async releaseExpiredReservations(): Promise<number> {
+    const released = await typeSafeDatabaseService.executeRpc<number>('release_expired_stock_reservations');
+    return released ?? 0;
+  }
+
   /**
    * Get order status history
    */
@@ -240,14 +528,30 @@ export class OrderService {
   }
 
   /**
-   * Calculate order totals from items
+   * Calculate order totals from items using current catalog prices
+   * Used both for checkout quotes and for createOrder, so the client never sets prices.
+   * Items of products with variants are priced and stock-checked per variant.
+   * Add-ons are priced per line and stock-checked against their total across the cart.
+   * With a delivery address the zone's fee is added as its own line; addresses
+   * outside every zone are rejected. Without one (early checkout quotes) there is no fee yet.
+   * Active promotions apply next (discounts, free delivery, gift add-ons), then the coupon
+   * on what they left to pay, then loyalty points on what the coupon left; each lowers
+   * the IVA base by its taxable part.
+   * IVA applies to taxable products and add-ons (variants follow their product), not to the
+   * fee. IGTF applies to the whole amount once the chosen payment method is in foreign currency.
    */
-  private async calculateOrderTotals(items: Array<{ product_id: number; quantity: number }>) {
+  public async calculateOrderTotals(
+    items: Array<{ product_id: number; variant_id?: number; quantity: number; addons?: Array<{ addon_id: number; quantity: number }> }>,
+    delivery?: DeliveryAddress,
+    paymentMethodId?: number,
+    couponClaim?: CouponClaim,
+    loyaltyClaim?: LoyaltyClaim
+  ): Promise<OrderQuote> {
     const productIds = items.map(item => item.product_id);
 
     const { data: products, error } = await getDb()
       .from('products')
-      .select('id, name, summary, price_usd, stock')
+      .select('id, name, summary, price_usd, price_ves, stock, is_taxable')
       .in('id', productIds)
       .eq('active', true);
 
@@ -255,12 +559,45 @@ export class OrderService {
       throw new Error(`Failed to fetch product details: ${error?.message ?? 'No products returned'}`);
     }
 
+    const { data: variants, error: variantsError } = await getDb()
+      .from('product_variants')
+      .select('id, product_id, name, price_usd, price_ves, stock')
+      .in('product_id', productIds)
+      .eq('active', true);
+
+    if (variantsError) {
+      throw new Error(`Failed to fetch product variants: ${variantsError.message}`);
+    }
+
+    const addonIds = [...new Set(items.flatMap(item => (item.addons ?? []).map(addon => addon.addon_id)))];
+    let addons: AddonForCalculation[] = [];
+    if (addonIds.length > 0) {
+      const { data: addonRows, error: addonsError } = await getDb()
+        .from('product_addons')
+        .select('id, name, price_usd, price_ves, stock, is_taxable')
+        .in('id', addonIds)
+        .eq('active', true);
+
+      if (addonsError) {
+        throw new Error(`Failed to fetch product add-ons: ${addonsError.message}`);
+      }
+      addons = (addonRows ?? []) as AddonForCalculation[];
+    }
+
     // Create type for the limited product data we need
-    type ProductForCalculation = Pick<Product, 'id' | 'name' | 'summary' | 'price_usd' | 'stock'>;
+    type ProductForCalculation = Pick<Product, 'id' | 'name' | 'summary' | 'price_usd' | 'price_ves' | 'stock' | 'is_taxable'>;
+    type VariantForCalculation = Pick<ProductVariant, 'id' | 'product_id' | 'name' | 'price_usd' | 'price_ves' | 'stock'>;
+    const addonMap = new Map<number, AddonForCalculation>(addons.map(a => [a.id, a]));
+    const addonUnits = new Map<number, number>();
     const productMap = new Map<number, ProductForCalculation>(
       products.map((p: ProductForCalculation) => [p.id, p])
     );
-    let total_amount_usd = 0;
+    const variantMap = new Map<number, VariantForCalculation>(
+      ((variants ?? []) as VariantForCalculation[]).map(v => [v.id, v])
+    );
+    const productsWithVariants = new Set([...variantMap.values()].map(v => v.product_id));
+    let subtotal_usd = 0;
+    let taxable_amount_usd = 0;
 
     const calculatedItems = items.map(item => {
       const product = productMap.get(item.product_id);
@@ -268,28 +605,220 @@ export class OrderService {
         throw new Error(`Product with ID ${item.product_id} not found or inactive`);
       }
 
-      if (product.stock < item.quantity) {
-        throw new Error(`Insufficient stock for product ${product.name}. Available: ${product.stock}, Requested: ${item.quantity}`);
+      let variant: VariantForCalculation | undefined;
+      if (item.variant_id !== undefined) {
+        variant = variantMap.get(item.variant_id);
+        if (variant?.product_id !== product.id) {
+          throw new Error(`Variant with ID ${item.variant_id} not found or inactive for product ${product.name}`);
+        }
+      } else if (productsWithVariants.has(product.id)) {
+        throw new Error(`Product ${product.name} requires choosing a variant`);
       }
 
-      const unitPrice = product.price_usd;
+      const itemName = variant ? `${product.name} - ${variant.name}` : product.name;
+      const available = variant ? variant.stock : product.stock;
+      if (available < item.quantity) {
+        throw new InsufficientStockError(`Insufficient stock for product ${itemName}. Available: ${available}, Requested: ${item.quantity}`);
+      }
+
+      const unitPrice = variant ? variant.price_usd : product.price_usd;
       if (isNaN(unitPrice)) {
-        throw new Error(`Invalid price format for product ${product.name}`);
+        throw new Error(`Invalid price format for product ${itemName}`);
       }
 
       const subtotal = unitPrice * item.quantity;
-      total_amount_usd += subtotal;
+      const isTaxable = product.is_taxable === true;
+      subtotal_usd += subtotal;
+      if (isTaxable) taxable_amount_usd += subtotal;
+
+      const itemAddons = (item.addons ?? []).map((requested): OrderQuoteAddon => {
+        const addon = addonMap.get(requested.addon_id);
+        if (!addon) {
+          throw new Error(`Add-on with ID ${requested.addon_id} not found or inactive`);
+        }
+
+        const units = (addonUnits.get(addon.id) ?? 0) + requested.quantity;
+        if (addon.stock < units) {
+          throw new InsufficientStockError(`Insufficient stock for add-on ${addon.name}. Available: ${addon.stock}, Requested: ${units}`);
+        }
+        addonUnits.set(addon.id, units);
+
+        const addonSubtotal = addon.price_usd * requested.quantity;
+        subtotal_usd += addonSubtotal;
+        if (addon.is_taxable) taxable_amount_usd += addonSubtotal;
+
+        return {
+          addon_id: addon.id,
+          addon_name: addon.name,
+          unit_price_usd: addon.price_usd,
+          unit_price_ves: addon.price_ves ?? null,
+          quantity: requested.quantity,
+          subtotal_usd: addonSubtotal,
+          is_taxable: addon.is_taxable
+        };
+      });
 
       return {
         product_id: product.id,
+        variant_id: variant?.id ?? null,
         product_name: product.name,
+        variant_name: variant?.name ?? null,
         product_summary: product.summary,
         unit_price_usd: unitPrice,
+        // The catalog's bolívar price, override included, so the order shows the one the customer saw
+        unit_price_ves: (variant ? variant.price_ves : product.price_ves) ?? null,
         quantity: item.quantity,
-        subtotal_usd: subtotal
+        subtotal_usd: subtotal,
+        is_taxable: isTaxable,
+        addons: itemAddons
       };
     });
 
-    return { items: calculatedItems, total_amount_usd };
+    const zone = delivery ? await this.findDeliveryZone(delivery, subtotal_usd) : null;
+
+    // Each bouquet with its add-ons is one line for promotions and the coupon
+    const lines = calculatedItems.map(item => ({
+      product_id: item.product_id,
+      unit_price_usd: item.unit_price_usd,
+      quantity: item.quantity,
+      subtotal_usd: item.subtotal_usd + item.addons.reduce((sum, addon) => sum + addon.subtotal_usd, 0),
+      taxable_usd: (item.is_taxable ? item.subtotal_usd : 0) +
+        item.addons.reduce((sum, addon) => sum + (addon.is_taxable ? addon.subtotal_usd : 0), 0)
+    }));
+
+    const promotion = await promotionService.evaluatePromotions({
+      lines,
+      delivery_fee_usd: zone?.fee_usd ?? 0,
+      addon_units: addonUnits
+    });
+    for (const gift of promotion.gifts) {
+      calculatedItems[gift.line_index]?.addons.push({
+        addon_id: gift.addon_id,
+        addon_name: gift.addon_name,
+        unit_price_usd: 0,
+        unit_price_ves: 0,
+        quantity: gift.quantity,
+        subtotal_usd: 0,
+        is_taxable: gift.is_taxable,
+        promotion_id: gift.promotion_id
+      });
+    }
+    const delivery_fee_usd = promotion.free_delivery ? 0 : zone?.fee_usd ?? 0;
+    taxable_amount_usd -= promotion.taxable_discount_usd;
+
+    // The coupon applies to what the promotions left to pay
+    const discount = couponClaim
+      ? await couponService.applyCoupon(
+        couponClaim.code,
+        lines.map((line, index) => ({
+          product_id: line.product_id,
+          subtotal_usd: roundCurrency(line.subtotal_usd - (promotion.lines[index]?.discount_usd ?? 0)),
+          taxable_usd: roundCurrency(line.taxable_usd - (promotion.lines[index]?.taxable_discount_usd ?? 0))
+        })),
+        { email: couponClaim.customer_email, user_id: couponClaim.user_id }
+      )
+      : null;
+    const discount_usd = discount?.discount_usd ?? 0;
+    taxable_amount_usd -= discount?.taxable_discount_usd ?? 0;
+
+    // Points apply to what the coupon left to pay
+    const loyalty = loyaltyClaim
+      ? await loyaltyService.redeemPoints(
+        loyaltyClaim.points,
+        loyaltyClaim.user_id,
+        roundCurrency(subtotal_usd - promotion.discount_usd - discount_usd),
+        roundCurrency(taxable_amount_usd)
+      )
+      : null;
+    const loyalty_discount_usd = loyalty?.discount_usd ?? 0;
+    taxable_amount_usd -= loyalty?.taxable_discount_usd ?? 0;
+    const discounted_usd = subtotal_usd - promotion.discount_usd - discount_usd - loyalty_discount_usd;
+
+    const rates = await settingsService.getTaxRates();
+    const iva_amount_usd = taxOn(taxable_amount_usd, rates.iva_rate);
+    const igtf_rate = paymentMethodId !== undefined && await this.isForeignCurrencyMethod(paymentMethodId) ? rates.igtf_rate : 0;
+    const igtf_amount_usd = taxOn(discounted_usd + delivery_fee_usd + iva_amount_usd, igtf_rate);
+
+    return {
+      items: calculatedItems,
+      subtotal_usd: roundCurrency(subtotal_usd),
+      promotions: promotion.promotions,
+      promotion_discount_usd: promotion.discount_usd,
+      coupon: discount?.coupon ?? null,
+      discount_usd,
+      loyalty_points_redeemed: loyalty?.points ?? 0,
+      loyalty_discount_usd,
+      taxable_amount_usd: roundCurrency(taxable_amount_usd),
+      delivery_zone: zone ? { id: zone.id, name: zone.name } : null,
+      delivery_fee_usd,
+      iva_rate: rates.iva_rate,
+      iva_amount_usd,
+      igtf_rate,
+      igtf_amount_usd,
+      total_amount_usd: roundCurrency(discounted_usd + delivery_fee_usd + iva_amount_usd + igtf_amount_usd)
+    };
   }
-}
\ No newline at end of file
+
+  private async isForeignCurrencyMethod(paymentMethodId: number): Promise<boolean> {
+    const { data: method } = await getDb()
+      .from('payment_methods')
+      .select('id, is_active, is_foreign_currency')
+      .eq('id', paymentMethodId)
+      .single();
+
+    if (!method?.is_active) {
+      throw new Error(`Payment method with ID ${paymentMethodId} not found or inactive`);
+    }
+
+    return method.is_foreign_currency;
+  }
+
+  /**
+   * Active zone listing the address city (or municipality) in its state,
+   * checked against the zone's minimum order and served weekdays
+   */
+  private async findDeliveryZone(delivery: DeliveryAddress, subtotalUsd: number): Promise<ZoneForCalculation> {
+    const city = normalizePlaceName(delivery.city ?? '');
+    const state = normalizePlaceName(delivery.state ?? '');
+
+    if (!city) {
+      throw new DeliveryZoneError('A delivery city is required to calculate the delivery fee', 'OUTSIDE_DELIVERY_ZONES');
+    }
+
+    const { data: zones, error } = await getDb()
+      .from('delivery_zones')
+      .select('id, name, state, localities, fee_usd, min_order_usd, delivery_weekdays')
+      .eq('active', true)
+      .order('id', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to fetch delivery zones: ${error.message}`);
+    }
+
+    const zone = ((zones ?? []) as ZoneForCalculation[]).find(candidate =>
+      (!state || normalizePlaceName(candidate.state) === state) &&
+      candidate.localities.some(locality => normalizePlaceName(locality) === city)
+    );
+
+    if (!zone) {
+      const place = [delivery.city?.trim(), delivery.state?.trim()].filter(Boolean).join(', ');
+      throw new DeliveryZoneError(`We do not deliver to ${place} yet`, 'OUTSIDE_DELIVERY_ZONES');
+    }
+
+    if (subtotalUsd < zone.min_order_usd) {
+      throw new DeliveryZoneError(
+        `Orders delivered to ${zone.name} must be at least $${zone.min_order_usd.toFixed(2)} before the delivery fee`,
+        'BELOW_ZONE_MINIMUM'
+      );
+    }
+
+    // Delivery dates are plain days, so read their weekday in UTC to avoid shifting them
+    if (delivery.date && !zone.delivery_weekdays.includes(new Date(`${delivery.date}T00:00:00Z`).getUTCDay())) {
+      throw new DeliveryZoneError(`${zone.name} is not served on ${delivery.date}`, 'ZONE_NOT_SERVED_ON_DATE');
+    }
+
+    return zone;
+  }
+}
+
+export const orderService = new OrderService();
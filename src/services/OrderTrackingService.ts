@@ -0,0 +1,162 @@
+/**
+ * 🌸 FloresYa Order Tracking Service
+ * Public order status for customers: looked up by order number and email, or
+ * through the signed link they get at checkout
+ */
+
+import { createHmac, timingSafeEqual } from 'crypto';
+
+import {
+  type OrderPaymentState,
+  type OrderStatus,
+  type OrderTracking,
+  type OrderTrackingApiResponse
+} from '../shared/types/index.js';
+import { PAID_TOLERANCE_USD } from '../shared/constants/index.js';
+
+import { roundCurrency } from './SettingsService.js';
+import { typeSafeDatabaseService } from './TypeSafeDatabaseService.js';
+
+// Get database client dynamically for better testability
+const getDb = () => typeSafeDatabaseService.getClient();
+
+// Only what the customer may see; admin notes and the history's notes and authors stay out
+const TRACKING_COLUMNS = 'id, order_number, customer_email, status, created_at, delivery_date, delivery_time_slot, delivery_city, total_amount_usd, igtf_amount_usd, order_status_history(new_status, created_at), payments(status, amount_usd, igtf_amount_usd)';
+
+interface TrackedOrderRow {
+  id: number;
+  order_number: string;
+  customer_email: string;
+  status: OrderStatus | null;
+  created_at: string | null;
+  delivery_date: string | null;
+  delivery_time_slot: string | null;
+  delivery_city: string | null;
+  total_amount_usd: number;
+  igtf_amount_usd: number;
+  order_status_history: Array<{ new_status: OrderStatus; created_at: string | null }> | null;
+  payments: Array<{ status: string | null; amount_usd: number; igtf_amount_usd: number }> | null;
+}
+
+const ORDER_NOT_FOUND: OrderTrackingApiResponse = {
+  success: false,
+  message: 'Order not found',
+  error: 'ORDER_NOT_FOUND'
+};
+
+// Empty variables count as unset
+function trackingSecret(): string | undefined {
+  return process.env.ORDER_TRACKING_SECRET || process.env.JWT_SECRET || undefined;
+}
+
+/**
+ * Token of the order's tracking link; null when no secret is configured
+ */
+export function createTrackingToken(orderId: number): string | null {
+  const secret = trackingSecret();
+  if (!secret) {
+    return null;
+  }
+  return createHmac('sha256', secret).update(`order-tracking:${orderId}`).digest('base64url');
+}
+
+function isValidTrackingToken(orderId: number, token: string): boolean {
+  const expected = createTrackingToken(orderId);
+  if (!expected || expected.length !== token.length) {
+    return false;
+  }
+  return timingSafeEqual(Buffer.from(expected), Buffer.from(token));
+}
+
+export class OrderTrackingService {
+  /**
+   * Track an order by its number and the email it was placed with. A wrong
+   * email answers like a missing order, so order numbers cannot be probed.
+   * Numeric values are the ids customers were shown before order numbers
+   */
+  public async trackOrder(orderNumber: string | number, email: string): Promise<OrderTrackingApiResponse> {
+    const column = typeof orderNumber === 'number' ? 'id' : 'order_number';
+    return this.track(column, orderNumber, order =>
+      order.customer_email.trim().toLowerCase() === email.trim().toLowerCase());
+  }
+
+  /**
+   * Track an order through its signed link
+   */
+  public async trackOrderByToken(orderId: number, token: string): Promise<OrderTrackingApiResponse> {
+    if (!isValidTrackingToken(orderId, token)) {
+      return ORDER_NOT_FOUND;
+    }
+    return this.track('id', orderId, () => true);
+  }
+
+  private async track(
+    column: 'id' | 'order_number',
+    value: string | number,
+    isOwner: (order: TrackedOrderRow) => boolean
+  ): Promise<OrderTrackingApiResponse> {
+    try {
+      const { data, error } = await getDb()
+        .from('orders')
+        .select(TRACKING_COLUMNS)
+        .eq(column, value)
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      const order = data as TrackedOrderRow | null;
+      if (!order || !isOwner(order)) {
+        return ORDER_NOT_FOUND;
+      }
+
+      return {
+        success: true,
+        data: this.toTracking(order),
+        message: 'Order status retrieved successfully'
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'TRACK_ORDER_ERROR'
+      };
+    }
+  }
+
+  private toTracking(order: TrackedOrderRow): OrderTracking {
+    const payments = order.payments ?? [];
+    const paid_usd = roundCurrency(payments
+      .filter(payment => payment.status === 'completed')
+      .reduce((sum, payment) => sum + payment.amount_usd - payment.igtf_amount_usd, 0));
+    const due_usd = Math.max(roundCurrency(order.total_amount_usd - order.igtf_amount_usd - paid_usd), 0);
+
+    let state: OrderPaymentState = 'unpaid';
+    if (due_usd <= PAID_TOLERANCE_USD) {
+      state = 'paid';
+    } else if (payments.some(payment => payment.status === 'pending')) {
+      state = 'pending_verification';
+    } else if (paid_usd > 0) {
+      state = 'partially_paid';
+    }
+
+    return {
+      order_id: order.id,
+      order_number: order.order_number,
+      status: order.status ?? 'pending',
+      created_at: order.created_at,
+      delivery_date: order.delivery_date,
+      delivery_time_slot: order.delivery_time_slot,
+      delivery_city: order.delivery_city,
+      total_amount_usd: order.total_amount_usd,
+      payment: { state, paid_usd, due_usd },
+      timeline: (order.order_status_history ?? [])
+        .map(entry => ({ status: entry.new_status, created_at: entry.created_at }))
+        .sort((a, b) => (a.created_at ?? '').localeCompare(b.created_at ?? ''))
+    };
+  }
+}
+
+export const orderTrackingService = new OrderTrackingService();
@@ -0,0 +1,241 @@
+/**
+ * 🌸 FloresYa Payment Method Service
+ * Bank accounts, Pago Móvil, Zelle, cash and crypto details shown at checkout
+ */
+
+import {
+  type PaymentMethod,
+  type PaymentMethodApiResponse,
+  type PaymentMethodCreateRequestValidated,
+  type PaymentMethodListApiResponse,
+  type PaymentMethodUpdateRequestValidated
+} from '../shared/types/index.js';
+
+import { typeSafeDatabaseService } from './TypeSafeDatabaseService.js';
+
+// Get database client dynamically for better testability
+const getDb = () => typeSafeDatabaseService.getClient();
+
+// Fields customers need to pay - timestamps and the active flag stay admin-only
+const PUBLIC_FIELDS = 'id, name, type, description, account_info, display_order';
+
+export class PaymentMethodService {
+  /**
+   * Active methods in the configured checkout order
+   */
+  public async getActivePaymentMethods(): Promise<PaymentMethodListApiResponse> {
+    try {
+      const { data, error } = await getDb()
+        .from('payment_methods')
+        .select(PUBLIC_FIELDS)
+        .eq('is_active', true)
+        .order('display_order', { ascending: true })
+        .order('id', { ascending: true });
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      const methods = (data ?? []) as PaymentMethod[];
+
+      return {
+        success: true,
+        data: methods,
+        message: `Retrieved ${methods.length} payment methods successfully`
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'FETCH_PAYMENT_METHODS_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Every method, including inactive ones, for the admin panel
+   */
+  public async getAllPaymentMethods(): Promise<PaymentMethodListApiResponse> {
+    try {
+      const { data, error } = await getDb()
+        .from('payment_methods')
+        .select('*')
+        .order('display_order', { ascending: true })
+        .order('id', { ascending: true });
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      const methods = (data ?? []) as PaymentMethod[];
+
+      return {
+        success: true,
+        data: methods,
+        message: `Retrieved ${methods.length} payment methods successfully`
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'FETCH_PAYMENT_METHODS_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Get a single payment method by ID
+   */
+  public async getPaymentMethodById(id: number): Promise<PaymentMethodApiResponse> {
+    try {
+      const { data, error } = await getDb()
+        .from('payment_methods')
+        .select('*')
+        .eq('id', id)
+        .single();
+
+      if (error || !data) {
+        return {
+          success: false,
+          message: 'Payment method not found',
+          error: 'PAYMENT_METHOD_NOT_FOUND'
+        };
+      }
+
+      return {
+        success: true,
+        data: data as PaymentMethod,
+        message: 'Payment method retrieved successfully'
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'FETCH_PAYMENT_METHOD_ERROR'
+      };
+    }
+  }
+
+  public async createPaymentMethod(request: PaymentMethodCreateRequestValidated): Promise<PaymentMethodApiResponse> {
+    try {
+      const { data, error } = await getDb()
+        .from('payment_methods')
+        .insert({
+          name: request.name,
+          type: request.type,
+          description: request.description ?? null,
+          account_info: request.account_info,
+          display_order: request.display_order,
+          is_active: request.is_active,
+          is_foreign_currency: request.is_foreign_currency
+        })
+        .select()
+        .single();
+
+      if (error || !data) {
+        throw new Error(`Failed to create payment method: ${error?.message ?? 'No data returned'}`);
+      }
+
+      return {
+        success: true,
+        data: data as PaymentMethod,
+        message: 'Payment method created successfully'
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'CREATE_PAYMENT_METHOD_ERROR'
+      };
+    }
+  }
+
+  public async updatePaymentMethod(id: number, request: PaymentMethodUpdateRequestValidated): Promise<PaymentMethodApiResponse> {
+    try {
+      const { data, error } = await getDb()
+        .from('payment_methods')
+        .update({
+          ...request,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', id)
+        .select()
+        .single();
+
+      if (error || !data) {
+        return {
+          success: false,
+          message: 'Payment method not found',
+          error: 'PAYMENT_METHOD_NOT_FOUND'
+        };
+      }
+
+      return {
+        success: true,
+        data: data as PaymentMethod,
+        message: 'Payment method updated successfully'
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'UPDATE_PAYMENT_METHOD_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Methods already used by payments keep their row (payments reference them),
+   * so those are only deactivated and disappear from checkout
+   */
+  public async deletePaymentMethod(id: number): Promise<PaymentMethodApiResponse> {
+    try {
+      const current = await this.getPaymentMethodById(id);
+      if (!current.success || !current.data) {
+        return current;
+      }
+
+      const { count } = await getDb()
+        .from('payments')
+        .select('id', { count: 'exact', head: true })
+        .eq('payment_method_id', id);
+
+      if (count && count > 0) {
+        const result = await this.updatePaymentMethod(id, { is_active: false });
+        if (result.success) {
+          result.message = 'Payment method has payments and was deactivated instead of deleted';
+        }
+        return result;
+      }
+
+      const { error } = await getDb()
+        .from('payment_methods')
+        .delete()
+        .eq('id', id);
+
+      if (error) {
+        throw new Error(`Failed to delete payment method: ${error.message}`);
+      }
+
+      return {
+        success: true,
+        data: current.data,
+        message: 'Payment method deleted successfully'
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'DELETE_PAYMENT_METHOD_ERROR'
+      };
+    }
+  }
+}
+
+export const paymentMethodService = new PaymentMethodService();
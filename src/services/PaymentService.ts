@@ -0,0 +1,483 @@
+/**
+ * 🌸 FloresYa Payment Service - Manual Payments Edition
+ * Pago Móvil / transfer references with receipt images, verified by admins
+ */
+
+import {
+  type MulterFile,
+  type Payment,
+  type PaymentApiResponse,
+  type PaymentListApiResponse,
+  type PaymentQuery,
+  type PaymentReceiptApiResponse,
+  type PaymentSubmitRequestValidated
+} from '../shared/types/index.js';
+import { PAID_TOLERANCE_USD } from '../shared/constants/index.js';
+
+import { exchangeRateService, toVes } from './ExchangeRateService.js';
+import { OrderService } from './OrderService.js';
+import { roundCurrency, settingsService, taxOn } from './SettingsService.js';
+import { typeSafeDatabaseService } from './TypeSafeDatabaseService.js';
+
+// Get database client dynamically for better testability
+const getDb = () => typeSafeDatabaseService.getClient();
+
+// Private: receipts are customers' financial documents, opened through signed URLs only
+const RECEIPTS_BUCKET = 'payment-receipts';
+const RECEIPTS_FOLDER = 'receipts';
+const RECEIPT_URL_TTL_SECONDS = 10 * 60;
+
+// Postgres error code surfaced by PostgREST
+const UNIQUE_VIOLATION = '23505';
+
+// Cash is settled on delivery, every other method needs a bank/wallet reference
+const METHODS_WITHOUT_REFERENCE = ['cash'];
+
+export class PaymentService {
+  private orderService: OrderService;
+
+  constructor(orderService: OrderService = new OrderService()) {
+    this.orderService = orderService;
+  }
+
+  /**
+   * Register a customer payment for a pending order
+   * The payment stays 'pending' until an admin confirms or rejects it.
+   * Foreign-currency payments add IGTF on top of the part of the order they settle,
+   * whatever method the customer picked at checkout
+   */
+  public async submitPayment(
+    request: PaymentSubmitRequestValidated,
+    receipt?: MulterFile,
+    userId?: number
+  ): Promise<PaymentApiResponse> {
+    try {
+      const { data: order } = await getDb()
+        .from('orders')
+        .select('id, status, customer_email, total_amount_usd, iva_amount_usd, igtf_rate, igtf_amount_usd, currency_rate, payments(amount_usd, igtf_amount_usd, status)')
+        .eq('id', request.order_id)
+        .single();
+
+      // Same answer for unknown orders and wrong emails so order ids cannot be probed
+      if (!order || order.customer_email.toLowerCase() !== request.customer_email.toLowerCase()) {
+        return {
+          success: false,
+          message: 'Order not found',
+          error: 'ORDER_NOT_FOUND'
+        };
+      }
+
+      if (order.status !== 'pending') {
+        return {
+          success: false,
+          message: `Order is ${order.status ?? 'not pending'} and cannot receive payments`,
+          error: 'ORDER_NOT_PAYABLE'
+        };
+      }
+
+      const { data: method } = await getDb()
+        .from('payment_methods')
+        .select('id, name, type, is_active, is_foreign_currency')
+        .eq('id', request.payment_method_id)
+        .single();
+
+      if (!method?.is_active) {
+        return {
+          success: false,
+          message: 'Payment method not found or inactive',
+          error: 'PAYMENT_METHOD_NOT_FOUND'
+        };
+      }
+
+      if (!request.reference_number && !METHODS_WITHOUT_REFERENCE.includes(method.type)) {
+        return {
+          success: false,
+          message: 'A reference number is required for this payment method',
+          error: 'VALIDATION_ERROR'
+        };
+      }
+
+      if (request.reference_number) {
+        const { data: duplicates } = await getDb()
+          .from('payments')
+          .select('id')
+          .eq('payment_method_id', method.id)
+          .eq('reference_number', request.reference_number)
+          .neq('status', 'failed');
+
+        if (duplicates && duplicates.length > 0) {
+          return {
+            success: false,
+            message: 'This reference number was already reported',
+            error: 'DUPLICATE_REFERENCE'
+          };
+        }
+      }
+
+      // The order total only includes IGTF when a foreign-currency method was chosen at checkout
+      const amountDue = order.total_amount_usd - order.igtf_amount_usd;
+      // Gift cards and store credit settle part of the order as completed payments
+      const alreadyPaid = (order.payments ?? [])
+        .filter(payment => payment.status === 'completed')
+        .reduce((sum, payment) => sum + payment.amount_usd - payment.igtf_amount_usd, 0);
+      const remaining = roundCurrency(Math.max(amountDue - alreadyPaid, 0));
+      const igtfRate = method.is_foreign_currency
+        ? order.igtf_rate || (await settingsService.getTaxRates()).igtf_rate
+        : 0;
+      const settled = request.amount_usd !== undefined
+        ? roundCurrency(request.amount_usd / (1 + igtfRate / 100))
+        : remaining;
+      const igtf_amount_usd = request.amount_usd !== undefined
+        ? roundCurrency(request.amount_usd - settled)
+        : taxOn(remaining, igtfRate);
+      const iva_amount_usd = amountDue > 0
+        ? roundCurrency(order.iva_amount_usd * Math.min(settled / amountDue, 1))
+        : 0;
+      const amount_usd = roundCurrency(settled + igtf_amount_usd);
+
+      // Bolívar payments are converted at the rate of the day they are reported
+      const currency_rate = (await exchangeRateService.getCurrentRate()).rate ?? order.currency_rate;
+
+      // Uploaded last, so a payment rejected above leaves no file behind
+      const receipt_path = receipt
+        ? await this.uploadReceipt(order.id, receipt)
+        : null;
+
+      const { data, error } = await getDb()
+        .from('payments')
+        .insert({
+          order_id: order.id,
+          user_id: userId ?? null,
+          payment_method_id: method.id,
+          payment_method_name: method.name,
+          amount_usd,
+          subtotal_usd: roundCurrency(settled - iva_amount_usd),
+          iva_amount_usd,
+          igtf_amount_usd,
+          amount_ves: request.amount_ves ?? toVes(amount_usd, currency_rate),
+          currency_rate,
+          reference_number: request.reference_number ?? null,
+          receipt_path,
+          payment_date: request.payment_date ?? new Date().toISOString(),
+          status: 'pending'
+        })
+        .select()
+        .single();
+
+      if ((error || !data) && receipt_path) {
+        await this.removeReceipt(receipt_path);
+      }
+
+      // Another report with the same reference got in between the check above and this insert
+      if (error?.code === UNIQUE_VIOLATION) {
+        return {
+          success: false,
+          message: 'This reference number was already reported',
+          error: 'DUPLICATE_REFERENCE'
+        };
+      }
+
+      if (error || !data) {
+        throw new Error(`Failed to register payment: ${error?.message ?? 'No data returned'}`);
+      }
+
+      return {
+        success: true,
+        data: data as Payment,
+        message: 'Payment submitted and awaiting verification'
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'SUBMIT_PAYMENT_ERROR'
+      };
+    }
+  }
+
+  /**
+   * List payments for the admin review queue
+   */
+  public async getPayments(query: PaymentQuery = {}): Promise<PaymentListApiResponse> {
+    try {
+      const { page = 1, limit = 20, status, order_id } = query;
+
+      let supabaseQuery = getDb()
+        .from('payments')
+        .select('*', { count: 'exact' });
+
+      if (status) {
+        supabaseQuery = supabaseQuery.eq('status', status);
+      }
+
+      if (order_id) {
+        supabaseQuery = supabaseQuery.eq('order_id', order_id);
+      }
+
+      const offset = (page - 1) * limit;
+      const { data, error, count } = await supabaseQuery
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      const payments = (data ?? []) as Payment[];
+      const totalItems = count ?? 0;
+
+      return {
+        success: true,
+        data: {
+          payments,
+          pagination: {
+            current_page: page,
+            total_pages: Math.ceil(totalItems / limit),
+            total_items: totalItems,
+            items_per_page: limit
+          }
+        },
+        message: `Retrieved ${payments.length} payments successfully`
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'FETCH_PAYMENTS_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Get a single payment by ID
+   */
+  public async getPaymentById(id: number): Promise<PaymentApiResponse> {
+    try {
+      const { data, error } = await getDb()
+        .from('payments')
+        .select('*')
+        .eq('id', id)
+        .single();
+
+      if (error || !data) {
+        return {
+          success: false,
+          message: 'Payment not found',
+          error: 'PAYMENT_NOT_FOUND'
+        };
+      }
+
+      return {
+        success: true,
+        data: data as Payment,
+        message: 'Payment retrieved successfully'
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'FETCH_PAYMENT_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Link for admins and support to open a payment's receipt
+   */
+  public async getReceiptUrl(id: number): Promise<PaymentReceiptApiResponse> {
+    try {
+      const { data: payment } = await getDb()
+        .from('payments')
+        .select('id, receipt_path, receipt_image_url')
+        .eq('id', id)
+        .single();
+
+      if (!payment) {
+        return { success: false, message: 'Payment not found', error: 'PAYMENT_NOT_FOUND' };
+      }
+
+      if (!payment.receipt_path) {
+        // Receipts reported before the private bucket only have their public link
+        return payment.receipt_image_url
+          ? { success: true, data: { url: payment.receipt_image_url, expires_at: null }, message: 'Receipt retrieved successfully' }
+          : { success: false, message: 'This payment has no receipt', error: 'RECEIPT_NOT_FOUND' };
+      }
+
+      const { data, error } = await getDb().storage
+        .from(RECEIPTS_BUCKET)
+        .createSignedUrl(payment.receipt_path, RECEIPT_URL_TTL_SECONDS);
+
+      if (error || !data?.signedUrl) {
+        throw new Error(`Failed to sign receipt URL: ${error?.message ?? 'No URL returned'}`);
+      }
+
+      return {
+        success: true,
+        data: {
+          url: data.signedUrl,
+          expires_at: new Date(Date.now() + RECEIPT_URL_TTL_SECONDS * 1000).toISOString()
+        },
+        message: 'Receipt retrieved successfully'
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'FETCH_RECEIPT_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Confirm a pending payment. Its order moves from 'pending' to 'verified'
+   * once the completed payments cover the total; partial payments leave it pending
+   */
+  public async confirmPayment(id: number, adminId?: number, notes?: string): Promise<PaymentApiResponse> {
+    const result = await this.reviewPayment(id, 'completed', notes);
+    if (!result.success || !result.data) {
+      return result;
+    }
+
+    try {
+      const payment = result.data;
+      const { data: order } = await getDb()
+        .from('orders')
+        .select('id, status, total_amount_usd, igtf_amount_usd, payments(amount_usd, igtf_amount_usd, status)')
+        .eq('id', payment.order_id)
+        .single();
+
+      // IGTF is only owed on the foreign-currency payments that add it, as on submitPayment
+      const paid = (order?.payments ?? [])
+        .filter(orderPayment => orderPayment.status === 'completed')
+        .reduce((sum, orderPayment) => sum + orderPayment.amount_usd - orderPayment.igtf_amount_usd, 0);
+      const due = order ? roundCurrency(order.total_amount_usd - order.igtf_amount_usd - paid) : 0;
+
+      if (order?.status === 'pending' && due <= PAID_TOLERANCE_USD) {
+        await this.orderService.updateOrderStatus(
+          payment.order_id,
+          'verified',
+          `Pago #${payment.id} confirmado${notes ? `: ${notes}` : ''}`,
+          adminId
+        );
+      }
+
+      return {
+        success: true,
+        data: payment,
+        message: due > PAID_TOLERANCE_USD
+          ? `Payment confirmed, $${due.toFixed(2)} left to pay`
+          : 'Payment confirmed successfully'
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        data: result.data,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'ORDER_STATUS_UPDATE_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Reject a pending payment; the order stays pending so the customer can report again
+   */
+  public async rejectPayment(id: number, notes?: string): Promise<PaymentApiResponse> {
+    const result = await this.reviewPayment(id, 'failed', notes);
+    if (result.success) {
+      result.message = 'Payment rejected successfully';
+    }
+    return result;
+  }
+
+  private async reviewPayment(id: number, status: 'completed' | 'failed', notes?: string): Promise<PaymentApiResponse> {
+    try {
+      const current = await this.getPaymentById(id);
+      if (!current.success || !current.data) {
+        return current;
+      }
+
+      if (current.data.status !== 'pending') {
+        return {
+          success: false,
+          message: `Payment was already ${current.data.status ?? 'processed'}`,
+          error: 'PAYMENT_ALREADY_PROCESSED'
+        };
+      }
+
+      // Guard on status so two admins cannot review the same payment twice
+      const { data, error } = await getDb()
+        .from('payments')
+        .update({
+          status,
+          admin_notes: notes ?? null,
+          confirmed_date: status === 'completed' ? new Date().toISOString() : null
+        })
+        .eq('id', id)
+        .eq('status', 'pending')
+        .select()
+        .single();
+
+      if (error || !data) {
+        return {
+          success: false,
+          message: 'Payment was already processed',
+          error: 'PAYMENT_ALREADY_PROCESSED'
+        };
+      }
+
+      return {
+        success: true,
+        data: data as Payment,
+        message: 'Payment reviewed successfully'
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'REVIEW_PAYMENT_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Store a receipt in the private bucket
+   * Returns its path there
+   */
+  private async uploadReceipt(orderId: number, file: MulterFile): Promise<string> {
+    const extension = file.mimetype.split('/')[1] ?? 'jpg';
+    const random = Math.random().toString(36).substring(2, 8);
+    const filePath = `${RECEIPTS_FOLDER}/order_${orderId}_${Date.now()}_${random}.${extension}`;
+
+    const { error } = await getDb().storage
+      .from(RECEIPTS_BUCKET)
+      .upload(filePath, file.buffer, {
+        contentType: file.mimetype,
+        upsert: false
+      });
+
+    if (error) {
+      throw new Error(`Failed to upload receipt: ${error.message}`);
+    }
+
+    return filePath;
+  }
+
+  /**
+   * Delete the receipt of a payment that could not be registered
+   * Best effort: the payment already failed, so a leftover file must not hide why
+   */
+  private async removeReceipt(filePath: string): Promise<void> {
+    await getDb().storage
+      .from(RECEIPTS_BUCKET)
+      .remove([filePath])
+      .catch(() => undefined);
+  }
+}
+
+export const paymentService = new PaymentService();
@@ -0,0 +1,232 @@
+/**
+ * 🌸 FloresYa Product Add-on Service
+ * Chocolates, balloons, teddy bears, vases and cards customers attach to any bouquet
+ */
+
+import {
+  type ProductAddon,
+  type ProductAddonApiResponse,
+  type ProductAddonCreateRequestValidated,
+  type ProductAddonListApiResponse,
+  type ProductAddonUpdateRequestValidated
+} from '../shared/types/index.js';
+
+import { typeSafeDatabaseService } from './TypeSafeDatabaseService.js';
+
+// Get database client dynamically for better testability
+const getDb = () => typeSafeDatabaseService.getClient();
+
+// Postgres error code surfaced by PostgREST
+const UNIQUE_VIOLATION = '23505';
+
+export class ProductAddonService {
+  /**
+   * Add-ons offered on the product page; inactive ones only for the admin panel
+   */
+  public async getAddons(includeInactive = false): Promise<ProductAddonListApiResponse> {
+    try {
+      let query = getDb()
+        .from('product_addons')
+        .select('*');
+
+      if (!includeInactive) {
+        query = query.eq('active', true);
+      }
+
+      const { data, error } = await query
+        .order('display_order', { ascending: true })
+        .order('id', { ascending: true });
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      const addons = (data ?? []) as ProductAddon[];
+
+      return {
+        success: true,
+        data: addons,
+        message: `Retrieved ${addons.length} product add-ons successfully`
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'FETCH_PRODUCT_ADDONS_ERROR'
+      };
+    }
+  }
+
+  public async getAddonById(id: number): Promise<ProductAddonApiResponse> {
+    try {
+      const { data, error } = await getDb()
+        .from('product_addons')
+        .select('*')
+        .eq('id', id)
+        .single();
+
+      if (error || !data) {
+        return {
+          success: false,
+          message: 'Product add-on not found',
+          error: 'ADDON_NOT_FOUND'
+        };
+      }
+
+      return {
+        success: true,
+        data: data as ProductAddon,
+        message: 'Product add-on retrieved successfully'
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'FETCH_PRODUCT_ADDON_ERROR'
+      };
+    }
+  }
+
+  public async createAddon(request: ProductAddonCreateRequestValidated): Promise<ProductAddonApiResponse> {
+    try {
+      const { data, error } = await getDb()
+        .from('product_addons')
+        .insert({
+          name: request.name,
+          description: request.description ?? null,
+          type: request.type,
+          sku: request.sku ?? null,
+          price_usd: request.price_usd,
+          price_ves: request.price_ves ?? null,
+          stock: request.stock,
+          image_url: request.image_url ?? null,
+          is_taxable: request.is_taxable,
+          active: request.active,
+          display_order: request.display_order
+        })
+        .select()
+        .single();
+
+      if (error?.code === UNIQUE_VIOLATION) {
+        return {
+          success: false,
+          message: `SKU ${request.sku} is already used by another add-on`,
+          error: 'ADDON_SKU_TAKEN'
+        };
+      }
+
+      if (error || !data) {
+        throw new Error(`Failed to create product add-on: ${error?.message ?? 'No data returned'}`);
+      }
+
+      return {
+        success: true,
+        data: data as ProductAddon,
+        message: 'Product add-on created successfully'
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'CREATE_PRODUCT_ADDON_ERROR'
+      };
+    }
+  }
+
+  public async updateAddon(id: number, request: ProductAddonUpdateRequestValidated): Promise<ProductAddonApiResponse> {
+    try {
+      const { data, error } = await getDb()
+        .from('product_addons')
+        .update({
+          ...request,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', id)
+        .select()
+        .single();
+
+      if (error?.code === UNIQUE_VIOLATION) {
+        return {
+          success: false,
+          message: `SKU ${request.sku} is already used by another add-on`,
+          error: 'ADDON_SKU_TAKEN'
+        };
+      }
+
+      if (error || !data) {
+        return {
+          success: false,
+          message: 'Product add-on not found',
+          error: 'ADDON_NOT_FOUND'
+        };
+      }
+
+      return {
+        success: true,
+        data: data as ProductAddon,
+        message: 'Product add-on updated successfully'
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'UPDATE_PRODUCT_ADDON_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Add-ons that were already ordered are deactivated instead of deleted,
+   * so packing slips of past orders still show them
+   */
+  public async deleteAddon(id: number): Promise<ProductAddonApiResponse> {
+    try {
+      const { count } = await getDb()
+        .from('order_items')
+        .select('id', { count: 'exact', head: true })
+        .eq('addon_id', id);
+
+      if (count && count > 0) {
+        const result = await this.updateAddon(id, { active: false });
+        if (result.success) {
+          result.message = 'Product add-on has orders and was deactivated instead of deleted';
+        }
+        return result;
+      }
+
+      const { data, error } = await getDb()
+        .from('product_addons')
+        .delete()
+        .eq('id', id)
+        .select()
+        .single();
+
+      if (error || !data) {
+        return {
+          success: false,
+          message: 'Product add-on not found',
+          error: 'ADDON_NOT_FOUND'
+        };
+      }
+
+      return {
+        success: true,
+        data: data as ProductAddon,
+        message: 'Product add-on deleted successfully'
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'DELETE_PRODUCT_ADDON_ERROR'
+      };
+    }
+  }
+}
+
+export const productAddonService = new ProductAddonService();
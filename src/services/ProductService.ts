@@ -3,16 +3,22 @@
  * Implements new carousel_order logic with optimal performance
  */
 
+import { PRODUCT_PRICE_BUCKETS } from '../shared/constants/index.js';
 import {
+  PRODUCT_SORT_FIELDS,
   type CarouselProduct,
   type CarouselResponse,
   type ImageSize,
   type Product,
   type ProductCreateRequest,
+  type ProductFacets,
   type ProductImage,
   type ProductInsert,
   type ProductQuery,
   type ProductResponse,
+  type ProductSearchMatch,
+  type ProductSearchPage,
+  type ProductSortField,
   type ProductUpdateRequest,
   type ProductWithImages,
   type RawProductWithImages
@@ -24,6 +30,28 @@ import { typeSafeDatabaseService } from './TypeSafeDatabaseService.js';
 
 // Using TypeSafeDatabaseService for type-safe operations
 
+/**
+ * Thrown when a product's stock changed after the form that edits it was
+ * loaded, so saving its count would undo those sales or adjustments
+ */
+export class StockChangedError extends Error {
+  constructor(public currentStock: number) {
+    super(`Stock changed to ${currentStock} since the product was loaded`);
+    this.name = 'StockChangedError';
+  }
+}
+
+/**
+ * Thrown when an update cannot be applied as sent, such as a stock count
+ * without the stock it was based on
+ */
+export class ProductValidationError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'ProductValidationError';
+  }
+}
+
 export class ProductService {
   /**
    * Get carousel products with their primary thumb images
@@ -138,21 +166,30 @@ export class ProductService {
 
   /**
    * Get all products with advanced filtering
+   * Searches go through Postgres full-text search and default to relevance order
    */
   public async getProducts(query: ProductQuery = {}): Promise<ProductResponse> {
     const {
       page = 1,
       limit = 20,
       search,
-      occasion,
       featured,
       active = true,
       has_carousel_order,
-      sort_by = 'created_at',
+      min_price,
+      max_price,
+      price_currency = 'USD',
+      in_stock,
+      include_facets,
+      sort,
+      sort_by = search ? 'relevance' : 'created_at',
       sort_direction = 'desc'
     } = query;
 
     const offset = (page - 1) * limit;
+    const sorts = this.parseSortList(sort);
+    const rankByRelevance = Boolean(search) && sorts.length === 0 && sort_by === 'relevance';
+    const occasionIds = await this.resolveOccasionIds(query);
 
     let queryBuilder = typeSafeDatabaseService.getClient()
       .from('products')
@@ -169,72 +206,104 @@ export class ProductService {
           is_primary,
           created_at,
           updated_at
-        )
+        ),
+        product_variants(id, active)
       `, { count: 'exact' })
       .eq('active', active);
 
-    // Apply filters
+    // Apply filters - searches filter in search_products(), which also cuts
+    // relevance pages and counts the matches, since rank order lives there
+    let searchMatches: Map<number, ProductSearchMatch> | null = null;
+    let searchTotal: number | null = null;
     if (search) {
-      queryBuilder = queryBuilder.or(`name.ilike.%${search}%,description.ilike.%${search}%`);
-    }
-
-    // Filter by occasion using N:N relationship through product_occasions
-    if (occasion) {
-      // Filter by occasion slug - resolve slug to ID first
-      const { data: occasionData, error: occasionError } = await typeSafeDatabaseService.getClient()
-        .from('occasions')
-        .select('id')
-        .eq('slug', occasion)
-        .single();
-
-      if (occasionError || !occasionData) {
-        throw new Error(`Invalid occasion slug: ${occasion}`);
+      const searchPage = await this.runProductSearch({
+        search_text: search,
+        active,
+        occasion_ids: occasionIds ?? null,
+        min_price: min_price ?? null,
+        max_price: max_price ?? null,
+        price_currency,
+        in_stock: in_stock ?? false,
+        featured: featured ?? null,
+        has_carousel_order: has_carousel_order ?? null,
+        ...(rankByRelevance && { result_limit: limit, result_offset: offset })
+      });
+      searchMatches = new Map(searchPage.matches.map(match => [match.product_id, match]));
+      searchTotal = rankByRelevance ? searchPage.total_count : null;
+      queryBuilder = searchMatches.size > 0
+        ? queryBuilder.in('id', [...searchMatches.keys()])
+        : queryBuilder.eq('id', -1); // No matches - return empty result
+    } else {
+      // Several occasions at once: products in any of them
+      if (occasionIds && occasionIds.length > 0) {
+        const { data: occasionRows, error: occasionRowsError } = await typeSafeDatabaseService.getClient()
+          .from('product_occasions')
+          .select('product_id')
+          .in('occasion_id', occasionIds);
+
+        if (occasionRowsError) {
+          throw new Error(`Error filtering by occasions: ${occasionRowsError.message}`);
+        }
+
+        const ids = [...new Set(((occasionRows ?? []) as Array<{ product_id: number }>).map(row => row.product_id))];
+        queryBuilder = ids.length > 0
+          ? queryBuilder.in('id', ids)
+          : queryBuilder.eq('id', -1); // No products for these occasions
       }
 
-      // Get product IDs for this occasion
-      const { data: productIds, error: productIdsError } = await typeSafeDatabaseService.getClient()
-        .from('product_occasions')
-        .select('product_id')
-        .eq('occasion_id', occasionData.id);
-
-      if (productIdsError) {
-        throw new Error(`Error filtering by occasion: ${productIdsError.message}`);
+      const priceColumn = price_currency === 'VES' ? 'price_ves' : 'price_usd';
+      if (min_price !== undefined) {
+        queryBuilder = queryBuilder.gte(priceColumn, min_price);
+      }
+      if (max_price !== undefined) {
+        queryBuilder = queryBuilder.lte(priceColumn, max_price);
       }
 
-      if (productIds && productIds.length > 0) {
-        const ids = (productIds as Array<{ product_id: number }>).map((row) => row.product_id);
-        queryBuilder = queryBuilder.in('id', ids);
-      } else {
-        // No products for this occasion - return empty result
-        queryBuilder = queryBuilder.eq('id', -1); // Non-existent ID
+      if (in_stock) {
+        queryBuilder = queryBuilder.gt('stock', 0);
       }
-    }
 
+      if (typeof featured === 'boolean') {
+        queryBuilder = queryBuilder.eq('featured', featured);
+      }
 
-    if (typeof featured === 'boolean') {
-      queryBuilder = queryBuilder.eq('featured', featured);
+      if (typeof has_carousel_order === 'boolean') {
+        if (has_carousel_order) {
+          queryBuilder = queryBuilder.not('carousel_order', 'is', null);
+        } else {
+          queryBuilder = queryBuilder.is('carousel_order', null);
+        }
+      }
     }
 
-    if (typeof has_carousel_order === 'boolean') {
-      if (has_carousel_order) {
-        queryBuilder = queryBuilder.not('carousel_order', 'is', null);
-      } else {
-        queryBuilder = queryBuilder.is('carousel_order', null);
+    if (!rankByRelevance) {
+      if (sorts.length === 0) {
+        sorts.push({
+          field: sort_by === 'relevance' ? 'created_at' : sort_by,
+          ascending: sort_direction === 'asc'
+        });
+      }
+      for (const { field, ascending } of sorts) {
+        queryBuilder = queryBuilder.order(field, { ascending });
       }
+      queryBuilder = queryBuilder.range(offset, offset + limit - 1);
     }
 
-    const ascending = sort_direction === 'asc';
-    queryBuilder = queryBuilder.order(sort_by, { ascending });
-    queryBuilder = queryBuilder.range(offset, offset + limit - 1);
-
     const { data, error, count } = await queryBuilder;
 
     if (error) {
       throw new Error(`Failed to fetch products: ${error.message}`);
     }
 
+    let rows = (data as RawProductWithImages[] | null) ?? [];
+    if (rankByRelevance) {
+      const position = new Map([...(searchMatches?.keys() ?? [])].map((id, index) => [id, index]));
+      rows = [...rows].sort((a, b) => (position.get(a.id) ?? 0) - (position.get(b.id) ?? 0));
+    }
+    const totalItems = searchTotal ?? count ?? 0;
+
     // Get product IDs to fetch medium images for hover effect
-    const productIds = (data as RawProductWithImages[] ?? []).map(p => p.id);
+    const productIds = rows.map(p => p.id);
 
     // Get all medium images for hover effect
     const { data: mediumImagesData, error: mediumImagesError } = await typeSafeDatabaseService.getClient()
@@ -256,7 +325,7 @@ export class ProductService {
       return acc;
     }, {} as Record<number, string[]>);
 
-    const productsWithImages: ProductWithImages[] = (data as RawProductWithImages[] ?? []).map((product) => {
+    const productsWithImages: ProductWithImages[] = rows.map((product) => {
       const sortedImages = (product.product_images ?? []).sort((a: ProductImage, b: ProductImage) => a.image_index - b.image_index);
       const mediumImages = mediumImagesByProduct[product.id] ?? [];
 
@@ -268,28 +337,101 @@ export class ProductService {
 
       const primaryImageUrl = imagesWithSupabaseUrls.find((img) => img.is_primary)?.url;
 
-      const { product_images: _product_images, ...productWithoutImages } = product;
+      const { product_images: _product_images, product_variants: productVariants, ...productWithoutImages } = product;
+      const match = searchMatches?.get(product.id);
       return {
         ...productWithoutImages,
+        has_variants: (productVariants ?? []).some(variant => variant.active),
         images: imagesWithSupabaseUrls,
         primary_image_url: primaryImageUrl,
-        medium_images: mediumImages // Agregar imágenes medium para hover
+        medium_images: mediumImages, // Agregar imágenes medium para hover
+        ...(match && {
+          search_rank: match.rank,
+          search_highlight: {
+            name: match.name_highlight,
+            summary: match.summary_highlight,
+            description: match.description_highlight
+          }
+        })
       } as ProductWithImages & { medium_images: string[] };
     });
 
-    const totalPages = Math.ceil((count ?? 0) / limit);
+    const totalPages = Math.ceil(totalItems / limit);
+    const facets = include_facets
+      ? await this.getProductFacets({ ...query, occasion: undefined, occasion_ids: occasionIds })
+      : undefined;
 
     return {
       products: productsWithImages,
       pagination: {
         current_page: page,
         total_pages: totalPages,
-        total_items: count ?? 0,
+        total_items: totalItems,
         items_per_page: limit
-      }
+      },
+      ...(facets && { facets })
     };
   }
 
+  /**
+   * Product counts per occasion and per price bucket for the storefront filters
+   * Each facet applies every filter in the query except its own
+   */
+  public async getProductFacets(query: ProductQuery = {}): Promise<ProductFacets> {
+    const occasionIds = await this.resolveOccasionIds(query);
+    const data = await typeSafeDatabaseService.executeRpc<ProductFacets | null>('get_product_facets', {
+      search_text: query.search ?? null,
+      occasion_ids: occasionIds ?? null,
+      min_price: query.min_price ?? null,
+      max_price: query.max_price ?? null,
+      price_currency: query.price_currency ?? 'USD',
+      in_stock: query.in_stock ?? false,
+      featured: query.featured ?? null,
+      only_active: query.active ?? true,
+      price_buckets: PRODUCT_PRICE_BUCKETS
+    });
+
+    return data ?? { occasions: [], price_ranges: [] };
+  }
+
+  /**
+   * Occasions a catalog query filters by: occasion_ids plus the one its
+   * occasion slug names, so the product list and its facets count the same
+   */
+  private async resolveOccasionIds({ occasion, occasion_ids }: ProductQuery): Promise<number[] | undefined> {
+    if (!occasion) {
+      return occasion_ids;
+    }
+
+    const { data: occasionData, error: occasionError } = await typeSafeDatabaseService.getClient()
+      .from('occasions')
+      .select('id')
+      .eq('slug', occasion)
+      .single();
+
+    if (occasionError || !occasionData) {
+      throw new Error(`Invalid occasion slug: ${occasion}`);
+    }
+
+    return [...new Set([...(occasion_ids ?? []), (occasionData as { id: number }).id])];
+  }
+
+  /**
+   * "featured:desc,price_usd:asc" -> ordered sort keys, skipping unknown fields
+   */
+  private parseSortList(sort?: string): Array<{ field: ProductSortField; ascending: boolean }> {
+    if (!sort) {
+      return [];
+    }
+
+    return sort.split(',').flatMap(part => {
+      const [field, direction] = part.split(':');
+      return PRODUCT_SORT_FIELDS.includes(field as ProductSortField)
+        ? [{ field: field as ProductSortField, ascending: direction === 'asc' }]
+        : [];
+    });
+  }
+
   /**
    * Get single product by ID with images and occasions
    */
@@ -309,7 +451,8 @@ export class ProductService {
           is_primary,
           created_at,
           updated_at
-        )
+        ),
+        product_variants(*)
       `)
       .eq('id', id)
       .eq('active', true)
@@ -329,10 +472,17 @@ export class ProductService {
     const rawProduct = data as RawProductWithImages;
     const sortedImages = (rawProduct.product_images ?? []).sort((a: ProductImage, b: ProductImage) => a.image_index - b.image_index);
 
-    const { product_images: _product_images, ...productWithoutImages } = rawProduct;
+    // Only active variants are offered, in the order the admin arranged them
+    const variants = (rawProduct.product_variants ?? [])
+      .filter(variant => variant.active)
+      .sort((a, b) => a.display_order - b.display_order || a.id - b.id);
+
+    const { product_images: _product_images, product_variants: _product_variants, ...productWithoutImages } = rawProduct;
     const productWithImages: ProductWithImages = {
       ...productWithoutImages,
       images: sortedImages,
+      variants,
+      has_variants: variants.length > 0,
       primary_image_url: sortedImages.find((img) => img.is_primary)?.url
     };
 
@@ -442,9 +592,19 @@ export class ProductService {
 
   /**
    * Update product (admin only)
+   * A new stock count is posted to the inventory ledger as an adjustment
+   * for the difference instead of overwriting the column, and only if the
+   * stock is still expected_stock, the count the form was loaded with.
+   * The stock goes last, so a failed update of the other fields leaves it
+   * untouched; if it changed meanwhile, the other fields are already saved
+   * and only the count has to be reviewed and sent again
    */
-  public async updateProduct(updateData: ProductUpdateRequest): Promise<Product> {
-    const { id, stock, active, featured, carousel_order, ...updates } = updateData;
+  public async updateProduct(updateData: ProductUpdateRequest, changedBy?: number): Promise<Product> {
+    const { id, stock, expected_stock, active, featured, carousel_order, ...updates } = updateData;
+
+    if (stock !== undefined && expected_stock === undefined) {
+      throw new ProductValidationError('expected_stock is required to change the stock');
+    }
 
     // Handle carousel reorganization if carousel_order is being changed
     if (carousel_order !== undefined) {
@@ -457,9 +617,6 @@ export class ProductService {
       ...updates
     };
 
-    if (stock !== undefined) {
-      updatePayload.stock = stock;
-    }
     if (active !== undefined) {
       updatePayload.active = active;
     }
@@ -470,22 +627,52 @@ export class ProductService {
       updatePayload.carousel_order = carousel_order ?? undefined;
     }
 
-    const { data, error } = await typeSafeDatabaseService.getClient()
-      .from('products')
-      .update(updatePayload as Partial<Product>)
-      .eq('id', id)
-      .select()
-      .single();
+    const client = typeSafeDatabaseService.getClient();
+    let product: Product | null = null;
 
-    if (error) {
-      throw new Error(`Failed to update product: ${error.message}`);
+    if (Object.keys(updatePayload).length > 0) {
+      const { data, error } = await client.from('products').update(updatePayload as Partial<Product>).eq('id', id).select().single();
+
+      if (error) {
+        throw new Error(`Failed to update product: ${error.message}`);
+      }
+
+      product = data as Product | null;
     }
 
-    if (!data) {
+    if (stock !== undefined) {
+      try {
+        await typeSafeDatabaseService.executeRpc('set_product_stock', {
+          product_id: id,
+          new_stock: stock,
+          expected_stock,
+          created_by: changedBy ?? null
+        });
+      } catch (error) {
+        const currentStock = error instanceof Error ? /Stock changed to (\d+)/.exec(error.message)?.[1] : undefined;
+        if (currentStock !== undefined) {
+          throw new StockChangedError(Number(currentStock));
+        }
+        throw error;
+      }
+    }
+
+    // Read the product back for its new stock, or when there were no other fields to write
+    if (stock !== undefined || !product) {
+      const { data, error } = await client.from('products').select().eq('id', id).single();
+
+      if (error) {
+        throw new Error(`Failed to update product: ${error.message}`);
+      }
+
+      product = data as Product | null;
+    }
+
+    if (!product) {
       throw new Error('No data returned from product update');
     }
 
-    return data as Product;
+    return product;
   }
 
   /**
@@ -521,19 +708,41 @@ export class ProductService {
   }
 
   /**
-   * Search products by name or description
+   * Search products by name, summary or description, best match first
    */
   public async searchProducts(searchTerm: string, limit = 20): Promise<ProductWithImages[]> {
     const response = await this.getProducts({
       search: searchTerm,
       limit,
-      sort_by: 'name',
-      sort_direction: 'asc'
+      sort_by: 'relevance'
     });
 
     return response.products;
   }
 
+  /**
+   * Full-text matches for a search term (Spanish stemming, accent-insensitive)
+   * The term is passed to search_products() as a parameter, never spliced into a filter
+   */
+  public async findSearchMatches(searchTerm: string, onlyActive = true): Promise<ProductSearchMatch[]> {
+    const { matches } = await this.runProductSearch({
+      search_text: searchTerm,
+      active: onlyActive ? true : null
+    });
+
+    return matches;
+  }
+
+  /**
+   * search_products() call: matches after the catalog filters, best first,
+   * plus their total when result_limit/result_offset cut out a single page
+   */
+  private async runProductSearch(args: Record<string, unknown>): Promise<ProductSearchPage> {
+    const data = await typeSafeDatabaseService.executeRpc<ProductSearchPage | null>('search_products', args);
+
+    return data ?? { total_count: 0, matches: [] };
+  }
+
   /**
    * Delete product (conditional logic)
    * Performs logical deletion if product has references, physical deletion if not
@@ -654,3 +863,5 @@ export class ProductService {
     return `${supabaseUrl}/storage/v1/object/public/product-images/${cleanPath}`;
   }
 }
+
+export const productService = new ProductService();
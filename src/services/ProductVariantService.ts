@@ -0,0 +1,217 @@
+/**
+ * 🌸 FloresYa Product Variant Service
+ * Sizes, colors and arrangement types of a product, each with its own price, stock and SKU
+ */
+
+import {
+  type ProductVariant,
+  type ProductVariantApiResponse,
+  type ProductVariantCreateRequestValidated,
+  type ProductVariantListApiResponse,
+  type ProductVariantUpdateRequestValidated
+} from '../shared/types/index.js';
+
+import { typeSafeDatabaseService } from './TypeSafeDatabaseService.js';
+
+// Get database client dynamically for better testability
+const getDb = () => typeSafeDatabaseService.getClient();
+
+// Postgres error codes surfaced by PostgREST
+const FOREIGN_KEY_VIOLATION = '23503';
+const UNIQUE_VIOLATION = '23505';
+
+export class ProductVariantService {
+  /**
+   * Variants of a product in selector order; inactive ones only for the admin panel
+   */
+  public async getProductVariants(productId: number, includeInactive = false): Promise<ProductVariantListApiResponse> {
+    try {
+      let query = getDb()
+        .from('product_variants')
+        .select('*')
+        .eq('product_id', productId);
+
+      if (!includeInactive) {
+        query = query.eq('active', true);
+      }
+
+      const { data, error } = await query
+        .order('display_order', { ascending: true })
+        .order('id', { ascending: true });
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      const variants = (data ?? []) as ProductVariant[];
+
+      return {
+        success: true,
+        data: variants,
+        message: `Retrieved ${variants.length} product variants successfully`
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'FETCH_PRODUCT_VARIANTS_ERROR'
+      };
+    }
+  }
+
+  public async createVariant(productId: number, request: ProductVariantCreateRequestValidated): Promise<ProductVariantApiResponse> {
+    try {
+      const { data, error } = await getDb()
+        .from('product_variants')
+        .insert({
+          product_id: productId,
+          name: request.name,
+          size: request.size ?? null,
+          color: request.color ?? null,
+          arrangement_type: request.arrangement_type ?? null,
+          sku: request.sku ?? null,
+          price_usd: request.price_usd,
+          price_ves: request.price_ves ?? null,
+          stock: request.stock,
+          active: request.active,
+          display_order: request.display_order
+        })
+        .select()
+        .single();
+
+      if (error?.code === FOREIGN_KEY_VIOLATION) {
+        return {
+          success: false,
+          message: `Product ${productId} not found`,
+          error: 'PRODUCT_NOT_FOUND'
+        };
+      }
+
+      if (error?.code === UNIQUE_VIOLATION) {
+        return {
+          success: false,
+          message: `SKU ${request.sku} is already used by another variant`,
+          error: 'VARIANT_SKU_TAKEN'
+        };
+      }
+
+      if (error || !data) {
+        throw new Error(`Failed to create product variant: ${error?.message ?? 'No data returned'}`);
+      }
+
+      return {
+        success: true,
+        data: data as ProductVariant,
+        message: 'Product variant created successfully'
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'CREATE_PRODUCT_VARIANT_ERROR'
+      };
+    }
+  }
+
+  public async updateVariant(
+    productId: number,
+    variantId: number,
+    request: ProductVariantUpdateRequestValidated
+  ): Promise<ProductVariantApiResponse> {
+    try {
+      const { data, error } = await getDb()
+        .from('product_variants')
+        .update({
+          ...request,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', variantId)
+        .eq('product_id', productId)
+        .select()
+        .single();
+
+      if (error?.code === UNIQUE_VIOLATION) {
+        return {
+          success: false,
+          message: `SKU ${request.sku} is already used by another variant`,
+          error: 'VARIANT_SKU_TAKEN'
+        };
+      }
+
+      if (error || !data) {
+        return {
+          success: false,
+          message: 'Product variant not found',
+          error: 'VARIANT_NOT_FOUND'
+        };
+      }
+
+      return {
+        success: true,
+        data: data as ProductVariant,
+        message: 'Product variant updated successfully'
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'UPDATE_PRODUCT_VARIANT_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Variants that were already ordered are deactivated instead of deleted,
+   * so order items keep pointing at what was bought
+   */
+  public async deleteVariant(productId: number, variantId: number): Promise<ProductVariantApiResponse> {
+    try {
+      const { count } = await getDb()
+        .from('order_items')
+        .select('id', { count: 'exact', head: true })
+        .eq('variant_id', variantId);
+
+      if (count && count > 0) {
+        const result = await this.updateVariant(productId, variantId, { active: false });
+        if (result.success) {
+          result.message = 'Product variant has orders and was deactivated instead of deleted';
+        }
+        return result;
+      }
+
+      const { data, error } = await getDb()
+        .from('product_variants')
+        .delete()
+        .eq('id', variantId)
+        .eq('product_id', productId)
+        .select()
+        .single();
+
+      if (error || !data) {
+        return {
+          success: false,
+          message: 'Product variant not found',
+          error: 'VARIANT_NOT_FOUND'
+        };
+      }
+
+      return {
+        success: true,
+        data: data as ProductVariant,
+        message: 'Product variant deleted successfully'
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'DELETE_PRODUCT_VARIANT_ERROR'
+      };
+    }
+  }
+}
+
+export const productVariantService = new ProductVariantService();
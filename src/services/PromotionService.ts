@@ -0,0 +1,484 @@
+/**
+ * 🌸 FloresYa Promotion Service
+ * Seasonal promotions applied without a code: admin management and the rules
+ * engine that decides what a cart gets from them
+ */
+
+import {
+  type AppliedPromotion,
+  type Promotion,
+  type PromotionApiResponse,
+  type PromotionCreateRequestValidated,
+  type PromotionListApiResponse,
+  type PromotionUpdateRequestValidated
+} from '../shared/types/index.js';
+
+import { roundCurrency } from './SettingsService.js';
+import { typeSafeDatabaseService } from './TypeSafeDatabaseService.js';
+
+// Get database client dynamically for better testability
+const getDb = () => typeSafeDatabaseService.getClient();
+
+// Postgres error codes surfaced by PostgREST
+const FOREIGN_KEY_VIOLATION = '23503';
+const CHECK_VIOLATION = '23514';
+
+/** One cart line with its add-ons, as priced by OrderService before any discount */
+export interface PromotionCartLine {
+  product_id: number;
+  unit_price_usd: number; // Of the product or its variant, without add-ons
+  quantity: number;
+  subtotal_usd: number;
+  taxable_usd: number;
+}
+
+export interface PromotionCart {
+  lines: PromotionCartLine[];
+  delivery_fee_usd: number; // 0 until the address is known
+  addon_units: Map<number, number>; // Add-on units the cart already takes, for the stock of gifts
+}
+
+/** Add-on a free add-on promotion puts on one of the cart lines, at no charge */
+export interface PromotionGift {
+  line_index: number;
+  promotion_id: number;
+  addon_id: number;
+  addon_name: string;
+  quantity: number;
+  is_taxable: boolean;
+}
+
+export interface PromotionResult {
+  promotions: AppliedPromotion[];
+  lines: Array<{ discount_usd: number; taxable_discount_usd: number }>; // Aligned with cart.lines
+  discount_usd: number;
+  taxable_discount_usd: number; // Part of the discount that lowers the IVA base
+  free_delivery: boolean;
+  gifts: PromotionGift[];
+}
+
+type GiftAddon = { id: number; name: string; price_usd: number; stock: number; is_taxable: boolean };
+
+const ACTION_ERRORS: Record<string, string> = {
+  [FOREIGN_KEY_VIOLATION]: 'The add-on of the promotion does not exist',
+  [CHECK_VIOLATION]: 'The promotion is missing the fields its action needs'
+};
+
+/**
+ * Spread an amount over the lines in proportion to what each has left,
+ * so the cents add up to exactly the amount
+ */
+function spreadAmount(amount: number, remaining: number[], indexes: number[]): number[] {
+  const pool = indexes.reduce((sum, index) => sum + (remaining[index] ?? 0), 0);
+  const shares = remaining.map(() => 0);
+  let assigned = 0;
+
+  indexes.forEach((index, position) => {
+    const share = position === indexes.length - 1
+      ? roundCurrency(amount - assigned)
+      : roundCurrency(amount * (remaining[index] ?? 0) / pool);
+    shares[index] = share;
+    assigned += share;
+  });
+
+  return shares;
+}
+
+export class PromotionService {
+  /**
+   * Every promotion, highest priority first
+   */
+  public async getPromotions(): Promise<PromotionListApiResponse> {
+    try {
+      const { data, error } = await getDb()
+        .from('promotions')
+        .select('*')
+        .order('priority', { ascending: false })
+        .order('id', { ascending: true });
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      const promotions = (data ?? []) as Promotion[];
+      return {
+        success: true,
+        data: promotions,
+        message: `Retrieved ${promotions.length} promotions successfully`
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'FETCH_PROMOTIONS_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Active promotions whose window includes the given moment, in the order they apply
+   */
+  public async getActivePromotions(now: Date = new Date()): Promise<Promotion[]> {
+    const { data, error } = await getDb()
+      .from('promotions')
+      .select('*')
+      .eq('active', true)
+      .order('priority', { ascending: false })
+      .order('id', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to fetch promotions: ${error.message}`);
+    }
+
+    return ((data ?? []) as Promotion[]).filter(promotion =>
+      (!promotion.starts_at || new Date(promotion.starts_at) <= now) &&
+      (!promotion.ends_at || new Date(promotion.ends_at) > now)
+    );
+  }
+
+  public async createPromotion(request: PromotionCreateRequestValidated): Promise<PromotionApiResponse> {
+    try {
+      const { data, error } = await getDb()
+        .from('promotions')
+        .insert({
+          name: request.name,
+          description: request.description ?? null,
+          starts_at: request.starts_at ?? null,
+          ends_at: request.ends_at ?? null,
+          priority: request.priority,
+          product_ids: request.product_ids,
+          occasion_ids: request.occasion_ids,
+          min_order_usd: request.min_order_usd,
+          action_type: request.action_type,
+          discount_value: request.discount_value ?? null,
+          buy_quantity: request.buy_quantity ?? null,
+          get_quantity: request.get_quantity ?? null,
+          addon_id: request.addon_id ?? null,
+          addon_quantity: request.addon_quantity,
+          active: request.active
+        })
+        .select()
+        .single();
+
+      const actionError = ACTION_ERRORS[error?.code ?? ''];
+      if (actionError) {
+        return { success: false, message: actionError, error: 'INVALID_PROMOTION' };
+      }
+
+      if (error || !data) {
+        throw new Error(`Failed to create promotion: ${error?.message ?? 'No data returned'}`);
+      }
+
+      return {
+        success: true,
+        data: data as Promotion,
+        message: 'Promotion created successfully'
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'CREATE_PROMOTION_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Orders already placed keep the promotions they got
+   */
+  public async updatePromotion(id: number, request: PromotionUpdateRequestValidated): Promise<PromotionApiResponse> {
+    try {
+      const { data, error } = await getDb()
+        .from('promotions')
+        .update({
+          ...request,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', id)
+        .select()
+        .single();
+
+      const actionError = ACTION_ERRORS[error?.code ?? ''];
+      if (actionError) {
+        return { success: false, message: actionError, error: 'INVALID_PROMOTION' };
+      }
+
+      if (error || !data) {
+        return {
+          success: false,
+          message: 'Promotion not found',
+          error: 'PROMOTION_NOT_FOUND'
+        };
+      }
+
+      return {
+        success: true,
+        data: data as Promotion,
+        message: 'Promotion updated successfully'
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'UPDATE_PROMOTION_ERROR'
+      };
+    }
+  }
+
+  public async deletePromotion(id: number): Promise<PromotionApiResponse> {
+    try {
+      const { data, error } = await getDb()
+        .from('promotions')
+        .delete()
+        .eq('id', id)
+        .select()
+        .single();
+
+      if (error || !data) {
+        return {
+          success: false,
+          message: 'Promotion not found',
+          error: 'PROMOTION_NOT_FOUND'
+        };
+      }
+
+      return {
+        success: true,
+        data: data as Promotion,
+        message: 'Promotion deleted successfully'
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'DELETE_PROMOTION_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Apply every active promotion the cart qualifies for, highest priority first.
+   * A promotion qualifies when the product subtotal reaches its minimum and the
+   * cart has one of its products or occasions (any product without either).
+   * Discounts only touch those lines, each on what earlier promotions left to pay,
+   * so they stack without ever going below zero
+   */
+  public async evaluatePromotions(cart: PromotionCart, now: Date = new Date()): Promise<PromotionResult> {
+    const result: PromotionResult = {
+      promotions: [],
+      lines: cart.lines.map(() => ({ discount_usd: 0, taxable_discount_usd: 0 })),
+      discount_usd: 0,
+      taxable_discount_usd: 0,
+      free_delivery: false,
+      gifts: []
+    };
+
+    const subtotal = cart.lines.reduce((sum, line) => sum + line.subtotal_usd, 0);
+    const promotions = (await this.getActivePromotions(now))
+      .filter(promotion => subtotal >= promotion.min_order_usd);
+    if (promotions.length === 0) {
+      return result;
+    }
+
+    const occasionsByProduct = await this.getProductOccasions(
+      cart.lines.map(line => line.product_id),
+      [...new Set(promotions.flatMap(promotion => promotion.occasion_ids))]
+    );
+    const remaining = cart.lines.map(line => line.subtotal_usd);
+    const addonUnits = new Map(cart.addon_units);
+
+    for (const promotion of promotions) {
+      const eligible = cart.lines
+        .map((line, index) => ({ line, index }))
+        .filter(({ line }) => this.coversProduct(promotion, line.product_id, occasionsByProduct))
+        .map(({ index }) => index);
+      if (eligible.length === 0) continue;
+
+      if (promotion.action_type === 'free_delivery') {
+        if (result.free_delivery) continue;
+        result.free_delivery = true;
+        result.promotions.push(this.describe(promotion, cart.delivery_fee_usd, 'Envío gratis'));
+        continue;
+      }
+
+      if (promotion.action_type === 'free_addon') {
+        const gift = await this.findGift(promotion, addonUnits);
+        if (!gift) continue;
+
+        addonUnits.set(gift.id, (addonUnits.get(gift.id) ?? 0) + promotion.addon_quantity);
+        result.gifts.push({
+          line_index: eligible[0] ?? 0,
+          promotion_id: promotion.id,
+          addon_id: gift.id,
+          addon_name: gift.name,
+          quantity: promotion.addon_quantity,
+          is_taxable: gift.is_taxable
+        });
+        result.promotions.push(this.describe(
+          promotion,
+          roundCurrency(gift.price_usd * promotion.addon_quantity),
+          `Regalo: ${promotion.addon_quantity} × ${gift.name}`
+        ));
+        continue;
+      }
+
+      const discounts = this.lineDiscounts(promotion, cart.lines, eligible, remaining);
+      const total = roundCurrency(discounts.reduce((sum, discount) => sum + discount, 0));
+      if (total <= 0) continue;
+
+      discounts.forEach((discount, index) => {
+        const line = cart.lines[index];
+        const lineResult = result.lines[index];
+        if (!line || !lineResult || discount <= 0) return;
+
+        remaining[index] = roundCurrency((remaining[index] ?? 0) - discount);
+        lineResult.discount_usd = roundCurrency(lineResult.discount_usd + discount);
+        lineResult.taxable_discount_usd = roundCurrency(
+          lineResult.taxable_discount_usd + (line.subtotal_usd > 0 ? discount * line.taxable_usd / line.subtotal_usd : 0)
+        );
+      });
+      result.promotions.push(this.describe(promotion, total, this.explainDiscount(promotion)));
+    }
+
+    result.discount_usd = roundCurrency(result.lines.reduce((sum, line) => sum + line.discount_usd, 0));
+    result.taxable_discount_usd = roundCurrency(result.lines.reduce((sum, line) => sum + line.taxable_discount_usd, 0));
+    return result;
+  }
+
+  /**
+   * Discount of a percentage, fixed or buy X get Y promotion on each line,
+   * never more than the line has left to pay
+   */
+  private lineDiscounts(promotion: Promotion, lines: PromotionCartLine[], eligible: number[], remaining: number[]): number[] {
+    const pool = eligible.reduce((sum, index) => sum + (remaining[index] ?? 0), 0);
+    if (pool <= 0) {
+      return remaining.map(() => 0);
+    }
+
+    switch (promotion.action_type) {
+      case 'percentage':
+        return spreadAmount(roundCurrency(pool * (promotion.discount_value ?? 0) / 100), remaining, eligible);
+
+      case 'fixed':
+        return spreadAmount(roundCurrency(Math.min(promotion.discount_value ?? 0, pool)), remaining, eligible);
+
+      case 'buy_x_get_y': {
+        // Units go most expensive first; the last get_quantity of every full group are free
+        const buy = promotion.buy_quantity ?? 0;
+        const groupSize = buy + (promotion.get_quantity ?? 0);
+        const units = eligible
+          .flatMap(index => Array.from({ length: lines[index]?.quantity ?? 0 }, () => ({
+            index,
+            price: lines[index]?.unit_price_usd ?? 0
+          })))
+          .sort((a, b) => b.price - a.price);
+
+        const grouped = Math.floor(units.length / groupSize) * groupSize;
+        const discounts = remaining.map(() => 0);
+        units.forEach((unit, position) => {
+          if (position < grouped && position % groupSize >= buy) {
+            discounts[unit.index] = (discounts[unit.index] ?? 0) + unit.price;
+          }
+        });
+        return discounts.map((discount, index) => roundCurrency(Math.min(discount, remaining[index] ?? 0)));
+      }
+
+      default:
+        return remaining.map(() => 0);
+    }
+  }
+
+  private coversProduct(promotion: Promotion, productId: number, occasionsByProduct: Map<number, Set<number>>): boolean {
+    if (promotion.product_ids.length === 0 && promotion.occasion_ids.length === 0) {
+      return true;
+    }
+
+    const occasions = occasionsByProduct.get(productId);
+    return promotion.product_ids.includes(productId) ||
+      promotion.occasion_ids.some(occasionId => occasions?.has(occasionId));
+  }
+
+  private async getProductOccasions(productIds: number[], occasionIds: number[]): Promise<Map<number, Set<number>>> {
+    const occasionsByProduct = new Map<number, Set<number>>();
+    if (occasionIds.length === 0) {
+      return occasionsByProduct;
+    }
+
+    const { data, error } = await getDb()
+      .from('product_occasions')
+      .select('product_id, occasion_id')
+      .in('product_id', productIds)
+      .in('occasion_id', occasionIds);
+
+    if (error) {
+      throw new Error(`Failed to fetch product occasions: ${error.message}`);
+    }
+
+    for (const row of (data ?? []) as Array<{ product_id: number; occasion_id: number }>) {
+      const occasions = occasionsByProduct.get(row.product_id) ?? new Set<number>();
+      occasions.add(row.occasion_id);
+      occasionsByProduct.set(row.product_id, occasions);
+    }
+    return occasionsByProduct;
+  }
+
+  /**
+   * The gift add-on, unless it is inactive or the cart already takes the stock it needs
+   */
+  private async findGift(promotion: Promotion, addonUnits: Map<number, number>): Promise<GiftAddon | null> {
+    if (promotion.addon_id === null) {
+      return null;
+    }
+
+    const { data, error } = await getDb()
+      .from('product_addons')
+      .select('id, name, price_usd, stock, is_taxable')
+      .eq('id', promotion.addon_id)
+      .eq('active', true)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch promotion add-on: ${error.message}`);
+    }
+
+    const addon = data as GiftAddon | null;
+    if (!addon || addon.stock < (addonUnits.get(addon.id) ?? 0) + promotion.addon_quantity) {
+      return null;
+    }
+    return addon;
+  }
+
+  private explainDiscount(promotion: Promotion): string {
+    const scope = promotion.product_ids.length > 0 || promotion.occasion_ids.length > 0
+      ? 'en productos seleccionados'
+      : 'en tu pedido';
+    const minimum = promotion.min_order_usd > 0 ? ` por compras desde $${promotion.min_order_usd.toFixed(2)}` : '';
+
+    switch (promotion.action_type) {
+      case 'percentage':
+        return `${promotion.discount_value}% de descuento ${scope}${minimum}`;
+      case 'fixed':
+        return `$${(promotion.discount_value ?? 0).toFixed(2)} de descuento ${scope}${minimum}`;
+      default: {
+        const buy = promotion.buy_quantity ?? 0;
+        return `Lleva ${buy + (promotion.get_quantity ?? 0)} y paga ${buy} ${scope}${minimum}`;
+      }
+    }
+  }
+
+  private describe(promotion: Promotion, discountUsd: number, explanation: string): AppliedPromotion {
+    return {
+      promotion_id: promotion.id,
+      name: promotion.name,
+      action_type: promotion.action_type,
+      discount_usd: discountUsd,
+      explanation: promotion.description ?? explanation
+    };
+  }
+}
+
+export const promotionService = new PromotionService();
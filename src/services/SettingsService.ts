@@ -0,0 +1,231 @@
+/**
+ * 🌸 FloresYa Settings Service
+ * Store-wide settings admins can change, such as the IVA and IGTF rates and the
+ * loyalty program rules
+ */
+
+import {
+  DEFAULT_IGTF_RATE,
+  DEFAULT_IVA_RATE,
+  DEFAULT_LOYALTY_POINT_VALUE_USD,
+  DEFAULT_LOYALTY_POINTS_EXPIRY_DAYS,
+  DEFAULT_LOYALTY_POINTS_PER_USD
+} from '../shared/constants/index.js';
+import {
+  type LoyaltySettings,
+  type LoyaltySettingsApiResponse,
+  type LoyaltySettingsUpdateRequestValidated,
+  type Setting,
+  type TaxRates,
+  type TaxRatesApiResponse,
+  type TaxRatesUpdateRequestValidated
+} from '../shared/types/index.js';
+
+import { typeSafeDatabaseService } from './TypeSafeDatabaseService.js';
+
+// Get database client dynamically for better testability
+const getDb = () => typeSafeDatabaseService.getClient();
+
+const TAX_RATE_DEFAULTS: TaxRates = {
+  iva_rate: DEFAULT_IVA_RATE,
+  igtf_rate: DEFAULT_IGTF_RATE
+};
+
+const TAX_RATE_DESCRIPTIONS: Record<keyof TaxRates, string> = {
+  iva_rate: 'IVA (%) sobre productos y complementos gravados',
+  igtf_rate: 'IGTF (%) sobre pagos en divisas'
+};
+
+const LOYALTY_DEFAULTS: LoyaltySettings = {
+  loyalty_points_per_usd: DEFAULT_LOYALTY_POINTS_PER_USD,
+  loyalty_point_value_usd: DEFAULT_LOYALTY_POINT_VALUE_USD,
+  loyalty_points_expiry_days: DEFAULT_LOYALTY_POINTS_EXPIRY_DAYS
+};
+
+const LOYALTY_DESCRIPTIONS: Record<keyof LoyaltySettings, string> = {
+  loyalty_points_per_usd: 'Puntos de fidelidad ganados por cada dólar en productos',
+  loyalty_point_value_usd: 'Valor en dólares de cada punto de fidelidad al canjearlo',
+  loyalty_points_expiry_days: 'Días de vigencia de los puntos ganados (0: no vencen)'
+};
+
+/**
+ * Round to cents, as amounts are stored in NUMERIC(10,2) columns
+ */
+export function roundCurrency(amount: number): number {
+  return Math.round((amount + Number.EPSILON) * 100) / 100;
+}
+
+/**
+ * Tax on an amount for a percentage rate (16 means 16%), rounded to cents
+ */
+export function taxOn(amount: number, rate: number): number {
+  return roundCurrency(amount * rate / 100);
+}
+
+export class SettingsService {
+  /**
+   * Current tax rates; a missing or invalid setting falls back to its default
+   */
+  public async getTaxRates(): Promise<TaxRates> {
+    return this.readNumbers(TAX_RATE_DEFAULTS, 'tax');
+  }
+
+  public async getTaxSettings(): Promise<TaxRatesApiResponse> {
+    try {
+      return {
+        success: true,
+        data: await this.getTaxRates(),
+        message: 'Tax rates retrieved successfully'
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'FETCH_TAX_RATES_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Save new rates; existing orders keep the rates they were charged with
+   */
+  public async updateTaxRates(request: TaxRatesUpdateRequestValidated): Promise<TaxRatesApiResponse> {
+    try {
+      for (const key of Object.keys(TAX_RATE_DEFAULTS) as Array<keyof TaxRates>) {
+        const rate = request[key];
+        if (rate !== undefined) {
+          await this.saveSetting(key, String(rate), TAX_RATE_DESCRIPTIONS[key]);
+        }
+      }
+
+      return {
+        success: true,
+        data: await this.getTaxRates(),
+        message: 'Tax rates updated successfully'
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'UPDATE_TAX_RATES_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Current loyalty program rules; a missing or invalid setting falls back to its default
+   */
+  public async getLoyaltyRules(): Promise<LoyaltySettings> {
+    const rules = await this.readNumbers(LOYALTY_DEFAULTS, 'loyalty');
+    // A point worth nothing could never be redeemed
+    if (rules.loyalty_point_value_usd === 0) {
+      rules.loyalty_point_value_usd = LOYALTY_DEFAULTS.loyalty_point_value_usd;
+    }
+    rules.loyalty_points_expiry_days = Math.floor(rules.loyalty_points_expiry_days);
+    return rules;
+  }
+
+  public async getLoyaltySettings(): Promise<LoyaltySettingsApiResponse> {
+    try {
+      return {
+        success: true,
+        data: await this.getLoyaltyRules(),
+        message: 'Loyalty settings retrieved successfully'
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'FETCH_LOYALTY_SETTINGS_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Save new loyalty rules; points already earned keep the expiry they were given
+   */
+  public async updateLoyaltySettings(request: LoyaltySettingsUpdateRequestValidated): Promise<LoyaltySettingsApiResponse> {
+    try {
+      for (const key of Object.keys(LOYALTY_DEFAULTS) as Array<keyof LoyaltySettings>) {
+        const value = request[key];
+        if (value !== undefined) {
+          await this.saveSetting(key, String(value), LOYALTY_DESCRIPTIONS[key]);
+        }
+      }
+
+      return {
+        success: true,
+        data: await this.getLoyaltyRules(),
+        message: 'Loyalty settings updated successfully'
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'UPDATE_LOYALTY_SETTINGS_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Save a setting, creating its row the first time
+   */
+  public async saveSetting(
+    key: string,
+    value: string,
+    description: string,
+    type: Setting['type'] = 'number',
+    isPublic = true
+  ): Promise<void> {
+    const { data, error } = await getDb()
+      .from('settings')
+      .update({ value, updated_at: new Date().toISOString() })
+      .eq('key', key)
+      .select('key');
+
+    if (error) {
+      throw new Error(`Failed to update ${key}: ${error.message}`);
+    }
+
+    // Databases created before the setting existed have no row yet
+    if (!data || data.length === 0) {
+      const { error: insertError } = await getDb()
+        .from('settings')
+        .insert({ key, value, type, description, is_public: isPublic });
+
+      if (insertError) {
+        throw new Error(`Failed to update ${key}: ${insertError.message}`);
+      }
+    }
+  }
+
+  /**
+   * Numeric settings by key, each falling back to its default when missing or invalid
+   */
+  private async readNumbers<T extends TaxRates | LoyaltySettings>(defaults: T, label: string): Promise<T> {
+    const { data, error } = await getDb()
+      .from('settings')
+      .select('key, value')
+      .in('key', Object.keys(defaults));
+
+    if (error) {
+      throw new Error(`Failed to fetch ${label} settings: ${error.message}`);
+    }
+
+    const values = { ...defaults };
+    for (const setting of (data ?? []) as Array<{ key: string; value: string | null }>) {
+      const value = Number(setting.value);
+      if (setting.key in values && setting.value !== null && Number.isFinite(value) && value >= 0) {
+        values[setting.key as keyof T] = value as T[keyof T];
+      }
+    }
+
+    return values;
+  }
+}
+
+export const settingsService = new SettingsService();
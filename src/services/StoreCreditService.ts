@@ -0,0 +1,417 @@
+/**
+ * 🌸 FloresYa Store Credit Service
+ * Gift cards and customer store credit: admin issuance, the balance ledger and
+ * spending balances on orders
+ */
+
+import {
+  type CustomerStoreCredit,
+  type CustomerStoreCreditApiResponse,
+  type GiftCardBalanceApiResponse,
+  type GiftCardRedeemRequestValidated,
+  type StoreCredit,
+  type StoreCreditApiResponse,
+  type StoreCreditDetailsApiResponse,
+  type StoreCreditIssueRequestValidated,
+  type StoreCreditListApiResponse,
+  type StoreCreditMovement,
+  type StoreCreditQueryRequestValidated,
+  type StoreCreditRedeemApiResponse,
+  type StoreCreditRedeemRequestValidated,
+  type StoreCreditRedemption
+} from '../shared/types/index.js';
+import { PAID_TOLERANCE_USD } from '../shared/constants/index.js';
+
+import { OrderService } from './OrderService.js';
+import { roundCurrency } from './SettingsService.js';
+import { typeSafeDatabaseService } from './TypeSafeDatabaseService.js';
+
+// Get database client dynamically for better testability
+const getDb = () => typeSafeDatabaseService.getClient();
+
+const RPC_ERROR_PREFIX = 'Database RPC error: ';
+
+function isSpendable(credit: Pick<StoreCredit, 'status' | 'expires_at'>, now: Date): boolean {
+  return credit.status === 'active' && (!credit.expires_at || new Date(credit.expires_at) > now);
+}
+
+export class StoreCreditService {
+  private orderService: OrderService;
+
+  constructor(orderService: OrderService = new OrderService()) {
+    this.orderService = orderService;
+  }
+
+  /**
+   * Gift cards and store credit for the admin list, newest first
+   */
+  public async getStoreCredits(query: StoreCreditQueryRequestValidated = {}): Promise<StoreCreditListApiResponse> {
+    try {
+      const { page = 1, limit = 20, kind, status, user_id, code } = query;
+
+      let supabaseQuery = getDb()
+        .from('store_credits')
+        .select('*', { count: 'exact' });
+
+      if (kind) {
+        supabaseQuery = supabaseQuery.eq('kind', kind);
+      }
+      if (status) {
+        supabaseQuery = supabaseQuery.eq('status', status);
+      }
+      if (user_id) {
+        supabaseQuery = supabaseQuery.eq('user_id', user_id);
+      }
+      if (code) {
+        supabaseQuery = supabaseQuery.eq('code', code);
+      }
+
+      const offset = (page - 1) * limit;
+      const { data, error, count } = await supabaseQuery
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      const credits = (data ?? []) as StoreCredit[];
+      const totalItems = count ?? 0;
+
+      return {
+        success: true,
+        data: {
+          credits,
+          pagination: {
+            current_page: page,
+            total_pages: Math.ceil(totalItems / limit),
+            total_items: totalItems,
+            items_per_page: limit
+          }
+        },
+        message: `Retrieved ${credits.length} store credits successfully`
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'FETCH_STORE_CREDITS_ERROR'
+      };
+    }
+  }
+
+  /**
+   * One balance with its ledger, newest movement first
+   */
+  public async getStoreCreditById(id: number): Promise<StoreCreditDetailsApiResponse> {
+    try {
+      const { data: credit } = await getDb()
+        .from('store_credits')
+        .select('*')
+        .eq('id', id)
+        .single();
+
+      if (!credit) {
+        return {
+          success: false,
+          message: 'Store credit not found',
+          error: 'STORE_CREDIT_NOT_FOUND'
+        };
+      }
+
+      const { data: movements, error } = await getDb()
+        .from('store_credit_movements')
+        .select('*')
+        .eq('store_credit_id', id)
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false });
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return {
+        success: true,
+        data: {
+          credit: credit as StoreCredit,
+          movements: (movements ?? []) as StoreCreditMovement[]
+        },
+        message: 'Store credit retrieved successfully'
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'FETCH_STORE_CREDIT_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Issue a gift card (the RPC generates its code) or a customer's store credit
+   */
+  public async issueStoreCredit(
+    request: StoreCreditIssueRequestValidated,
+    adminId?: number
+  ): Promise<StoreCreditApiResponse> {
+    try {
+      const credit = await typeSafeDatabaseService.executeRpc<StoreCredit | null>('issue_store_credit', {
+        credit_data: {
+          ...request,
+          created_by: adminId ?? null
+        }
+      });
+
+      if (!credit) {
+        throw new Error('No store credit returned from issuance');
+      }
+
+      return {
+        success: true,
+        data: credit,
+        message: credit.kind === 'gift_card'
+          ? `Gift card ${credit.code} issued for $${credit.initial_amount_usd.toFixed(2)}`
+          : `Store credit of $${credit.initial_amount_usd.toFixed(2)} issued`
+      };
+
+    } catch (error) {
+      const message = error instanceof Error ? error.message.replace(RPC_ERROR_PREFIX, '') : 'Unknown error occurred';
+
+      // Unknown customer or refunded order
+      if (message.includes('foreign key')) {
+        return { success: false, message: 'Customer or order not found', error: 'INVALID_STORE_CREDIT' };
+      }
+
+      return {
+        success: false,
+        message,
+        error: 'ISSUE_STORE_CREDIT_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Void a balance; what was left on it can no longer be spent
+   */
+  public async voidStoreCredit(id: number, reason: string, adminId?: number): Promise<StoreCreditApiResponse> {
+    try {
+      const credit = await typeSafeDatabaseService.executeRpc<StoreCredit | null>('void_store_credit', {
+        target_id: id,
+        reason,
+        voided_by: adminId ?? null
+      });
+
+      if (!credit) {
+        throw new Error('No store credit returned from void');
+      }
+
+      return {
+        success: true,
+        data: credit,
+        message: 'Store credit voided successfully'
+      };
+
+    } catch (error) {
+      const message = error instanceof Error ? error.message.replace(RPC_ERROR_PREFIX, '') : 'Unknown error occurred';
+
+      if (message.includes('Store credit not found')) {
+        return { success: false, message: 'Store credit not found', error: 'STORE_CREDIT_NOT_FOUND' };
+      }
+      if (message.includes('already void')) {
+        return { success: false, message: 'Store credit is already void', error: 'STORE_CREDIT_ALREADY_VOID' };
+      }
+
+      return {
+        success: false,
+        message,
+        error: 'VOID_STORE_CREDIT_ERROR'
+      };
+    }
+  }
+
+  /**
+   * What a gift card code has left to spend, for whoever holds it
+   */
+  public async getGiftCardBalance(code: string, now = new Date()): Promise<GiftCardBalanceApiResponse> {
+    try {
+      const { data: card } = await getDb()
+        .from('store_credits')
+        .select('code, balance_usd, expires_at, status')
+        .eq('kind', 'gift_card')
+        .eq('code', code)
+        .maybeSingle();
+
+      if (!card?.code) {
+        return {
+          success: false,
+          message: 'Gift card not found',
+          error: 'GIFT_CARD_NOT_FOUND'
+        };
+      }
+
+      return {
+        success: true,
+        data: {
+          code: card.code,
+          balance_usd: isSpendable(card as Pick<StoreCredit, 'status' | 'expires_at'>, now) ? card.balance_usd : 0,
+          expires_at: card.expires_at
+        },
+        message: 'Gift card balance retrieved successfully'
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'FETCH_GIFT_CARD_ERROR'
+      };
+    }
+  }
+
+  /**
+   * The customer's store credit: spendable balance, each credit and its movements
+   */
+  public async getCustomerStoreCredit(userId: number, now = new Date()): Promise<CustomerStoreCreditApiResponse> {
+    try {
+      const { data, error } = await getDb()
+        .from('store_credits')
+        .select('id, kind, code, user_id, reason, initial_amount_usd, balance_usd, order_id, purchaser_email, recipient_name, recipient_email, message, expires_at, status, voided_at, void_reason, created_at, updated_at')
+        .eq('kind', 'store_credit')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false });
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      const credits = (data ?? []) as CustomerStoreCredit[];
+      const balance_usd = roundCurrency(credits
+        .filter(credit => isSpendable(credit, now))
+        .reduce((sum, credit) => sum + credit.balance_usd, 0));
+
+      let movements: StoreCreditMovement[] = [];
+      if (credits.length > 0) {
+        const { data: movementRows, error: movementsError } = await getDb()
+          .from('store_credit_movements')
+          .select('*')
+          .in('store_credit_id', credits.map(credit => credit.id))
+          .order('created_at', { ascending: false })
+          .order('id', { ascending: false });
+
+        if (movementsError) {
+          throw new Error(`Database error: ${movementsError.message}`);
+        }
+        movements = (movementRows ?? []) as StoreCreditMovement[];
+      }
+
+      return {
+        success: true,
+        data: { balance_usd, credits, movements },
+        message: 'Store credit retrieved successfully'
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'FETCH_STORE_CREDIT_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Pay part or all of a pending order with a gift card
+   */
+  public async redeemGiftCard(request: GiftCardRedeemRequestValidated): Promise<StoreCreditRedeemApiResponse> {
+    return this.redeem(request, { gift_card_code: request.code }, 'tarjeta de regalo');
+  }
+
+  /**
+   * Pay part or all of a pending order with the customer's store credit
+   */
+  public async redeemStoreCredit(
+    request: StoreCreditRedeemRequestValidated,
+    userId: number
+  ): Promise<StoreCreditRedeemApiResponse> {
+    return this.redeem(request, { credit_user_id: userId }, 'saldo a favor');
+  }
+
+  /**
+   * The RPC locks the order and the balances, spends what it can and records a
+   * completed payment; an order paid in full moves on to 'verified' like one
+   * whose transfer an admin confirmed
+   */
+  private async redeem(
+    request: StoreCreditRedeemRequestValidated,
+    source: { gift_card_code: string } | { credit_user_id: number },
+    label: string
+  ): Promise<StoreCreditRedeemApiResponse> {
+    let redemption: StoreCreditRedemption | null;
+    try {
+      redemption = await typeSafeDatabaseService.executeRpc<StoreCreditRedemption | null>('redeem_store_credit', {
+        target_order_id: request.order_id,
+        customer_email: request.customer_email,
+        ...source,
+        max_amount_usd: request.amount_usd ?? null
+      });
+
+      if (!redemption) {
+        throw new Error('No payment returned from redemption');
+      }
+
+    } catch (error) {
+      const message = error instanceof Error ? error.message.replace(RPC_ERROR_PREFIX, '') : 'Unknown error occurred';
+
+      if (message.includes('Order not found')) {
+        return { success: false, message: 'Order not found', error: 'ORDER_NOT_FOUND' };
+      }
+      if (message.includes('Order not payable')) {
+        return { success: false, message, error: 'ORDER_NOT_PAYABLE' };
+      }
+      if (message.includes('No store credit available')) {
+        return { success: false, message, error: 'NO_STORE_CREDIT' };
+      }
+
+      return {
+        success: false,
+        message,
+        error: 'REDEEM_STORE_CREDIT_ERROR'
+      };
+    }
+
+    const { payment, amount_due_usd } = redemption;
+    if (amount_due_usd > PAID_TOLERANCE_USD) {
+      return {
+        success: true,
+        data: redemption,
+        message: `$${payment.amount_usd.toFixed(2)} paid, $${amount_due_usd.toFixed(2)} left to pay`
+      };
+    }
+
+    try {
+      await this.orderService.updateOrderStatus(
+        request.order_id,
+        'verified',
+        `Pagado con ${label} (pago #${payment.id})`
+      );
+
+      return {
+        success: true,
+        data: redemption,
+        message: 'Order paid in full'
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        data: redemption,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'ORDER_STATUS_UPDATE_ERROR'
+      };
+    }
+  }
+}
+
+export const storeCreditService = new StoreCreditService();
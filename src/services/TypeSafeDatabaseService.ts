@@ -390,10 +390,10 @@ export class TypeSafeDatabaseService {
     return data;
   }
 
-  async getRecentOrders(limit: number = 5): Promise<Array<{id: any, created_at: any, customer_name: any}>> {
+  async getRecentOrders(limit: number = 5): Promise<Array<{id: any, order_number: any, created_at: any, customer_name: any}>> {
     const { data, error } = await this.client
       .from('orders')
-      .select('id, created_at, customer_name')
+      .select('id, order_number, created_at, customer_name')
       .order('created_at', { ascending: false })
       .limit(limit);
 
@@ -206,6 +206,67 @@ export class UserService {
     }
   }
 
+  /**
+   * Verify login credentials against the stored password hash
+   */
+  public async authenticateUser(email: string, password: string): Promise<UserApiResponse> {
+    try {
+      if (!email?.trim() || !password) {
+        return {
+          success: false,
+          message: 'Email and password are required',
+          error: 'INVALID_CREDENTIALS'
+        };
+      }
+
+      const { data, error } = await typeSafeDatabaseService.getClient()
+        .from('users')
+        .select('id, email, password_hash, full_name, phone, role, is_active, email_verified, created_at, updated_at')
+        .eq('email', email.trim().toLowerCase())
+        .single();
+
+      if (error && error.code !== 'PGRST116') {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      const user = data as (UserResponse & { password_hash?: string | null }) | null;
+      const isValidPassword = user?.password_hash
+        ? await bcrypt.compare(password, user.password_hash)
+        : false;
+
+      if (!user || !isValidPassword) {
+        return {
+          success: false,
+          message: 'Invalid email or password',
+          error: 'INVALID_CREDENTIALS'
+        };
+      }
+
+      if (!user.is_active) {
+        return {
+          success: false,
+          message: 'User account is inactive',
+          error: 'USER_INACTIVE'
+        };
+      }
+
+      const { password_hash: _passwordHash, ...safeUser } = user;
+
+      return {
+        success: true,
+        data: safeUser,
+        message: 'User authenticated successfully'
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: error instanceof Error ? error.message : 'Unknown error occurred',
+        error: 'AUTHENTICATION_ERROR'
+      };
+    }
+  }
+
   /**
    * Create new user using atomic transaction
    */
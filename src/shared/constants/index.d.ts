@@ -96,12 +96,56 @@ export declare const HTTP_STATUS: {
 };
 export declare const ORDER_STATUS_FLOW: {
     readonly PENDING: "pending";
-    readonly CONFIRMED: "confirmed";
-    readonly PROCESSING: "processing";
+    readonly VERIFIED: "verified";
+    readonly PREPARING: "preparing";
     readonly SHIPPED: "shipped";
     readonly DELIVERED: "delivered";
     readonly CANCELLED: "cancelled";
 };
+export type OrderStatusValue = typeof ORDER_STATUS_FLOW[keyof typeof ORDER_STATUS_FLOW];
+export declare const ORDER_STATUS_TRANSITIONS: Record<OrderStatusValue, readonly OrderStatusValue[]>;
+export declare function getAllowedOrderStatuses(status: string | null | undefined): readonly OrderStatusValue[];
+export declare const STOCK_RESERVATION_MINUTES: number;
+export declare const STOCK_RESERVATION_SWEEP_INTERVAL_MS: number;
+export declare const IDEMPOTENCY_KEY_TTL_HOURS = 24;
+export declare const IDEMPOTENCY_KEY_LOCK_TIMEOUT_MS: number;
+export declare const IDEMPOTENCY_KEY_PURGE_INTERVAL_MS: number;
+export declare const PAID_TOLERANCE_USD = 0.01;
+export declare const CARD_MESSAGE_MAX_LENGTH = 250;
+export declare const GIFT_CARD_CODE_PATTERN: RegExp;
+export declare const DELIVERY_AVAILABILITY_DAYS = 14;
+export declare const MAX_DELIVERY_AVAILABILITY_DAYS = 60;
+export declare const DEFAULT_IVA_RATE = 16;
+export declare const DEFAULT_IGTF_RATE = 3;
+export declare const DEFAULT_LOYALTY_POINTS_PER_USD = 1;
+export declare const DEFAULT_LOYALTY_POINT_VALUE_USD = 0.01;
+export declare const DEFAULT_LOYALTY_POINTS_EXPIRY_DAYS = 365;
+export declare const LOYALTY_POINTS_EXPIRY_SWEEP_INTERVAL_MS: number;
+export declare const DEFAULT_VES_ROUNDING_STEP = 1;
+export declare const EXCHANGE_RATE_REFRESH_INTERVAL_MS: number;
+export declare const EXCHANGE_RATE_MAX_DEVIATION_PERCENT = 10;
+export declare const EXCHANGE_RATE_MAX_AGE_HOURS = 24;
+export declare const PRODUCT_PRICE_BUCKETS: readonly [{
+    readonly key: "under-25";
+    readonly label: "Menos de $25";
+    readonly min: 0;
+    readonly max: 24.99;
+}, {
+    readonly key: "25-50";
+    readonly label: "$25 - $50";
+    readonly min: 25;
+    readonly max: 49.99;
+}, {
+    readonly key: "50-100";
+    readonly label: "$50 - $100";
+    readonly min: 50;
+    readonly max: 99.99;
+}, {
+    readonly key: "100-plus";
+    readonly label: "Más de $100";
+    readonly min: 100;
+    readonly max: null;
+}];
 export declare const USER_ROLES: {
     readonly ADMIN: "admin";
     readonly USER: "user";
@@ -122,13 +122,82 @@ export const HTTP_STATUS = {
 
 export const ORDER_STATUS_FLOW = {
   PENDING: 'pending',
-  CONFIRMED: 'confirmed',
-  PROCESSING: 'processing',
+  VERIFIED: 'verified',
+  PREPARING: 'preparing',
   SHIPPED: 'shipped',
   DELIVERED: 'delivered',
   CANCELLED: 'cancelled'
 } as const;
 
+export type OrderStatusValue = typeof ORDER_STATUS_FLOW[keyof typeof ORDER_STATUS_FLOW];
+
+// Allowed next states for each order status - the only source for REST, tRPC and the admin UI.
+// Orders can be cancelled until they leave the shop; delivered and cancelled are final.
+export const ORDER_STATUS_TRANSITIONS: Record<OrderStatusValue, readonly OrderStatusValue[]> = {
+  pending: ['verified', 'cancelled'],
+  verified: ['preparing', 'cancelled'],
+  preparing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+export function getAllowedOrderStatuses(status: string | null | undefined): readonly OrderStatusValue[] {
+  return ORDER_STATUS_TRANSITIONS[(status ?? 'pending') as OrderStatusValue] ?? [];
+}
+
+// Pending orders hold their stock this long while the customer pays (manual payments can take a while)
+export const STOCK_RESERVATION_MINUTES = 48 * 60;
+export const STOCK_RESERVATION_SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+// Idempotency-Key of order and payment creation: how long a key replays its
+// response, how long an unfinished request holds it, and how often old keys are purged
+export const IDEMPOTENCY_KEY_TTL_HOURS = 24;
+export const IDEMPOTENCY_KEY_LOCK_TIMEOUT_MS = 2 * 60 * 1000;
+export const IDEMPOTENCY_KEY_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// What an order may still owe, left over from rounding its shares, and count as paid
+export const PAID_TOLERANCE_USD = 0.01;
+
+// Printed gift cards fit this many characters
+export const CARD_MESSAGE_MAX_LENGTH = 250;
+
+// Gift card codes as printed: FY-1A2B-3C4D-5E6F
+export const GIFT_CARD_CODE_PATTERN = /^FY-[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{4}$/;
+
+// Days of delivery calendar checkout shows, and the most the availability endpoint returns
+export const DELIVERY_AVAILABILITY_DAYS = 14;
+export const MAX_DELIVERY_AVAILABILITY_DAYS = 60;
+
+// Tax percentages used until admins save their own in settings
+export const DEFAULT_IVA_RATE = 16;
+export const DEFAULT_IGTF_RATE = 3;
+
+// Loyalty program rules used until admins save their own in settings, and how
+// often points past their expiry are swept
+export const DEFAULT_LOYALTY_POINTS_PER_USD = 1;
+export const DEFAULT_LOYALTY_POINT_VALUE_USD = 0.01;
+export const DEFAULT_LOYALTY_POINTS_EXPIRY_DAYS = 365;
+export const LOYALTY_POINTS_EXPIRY_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+// VES prices are rounded up to a multiple of this step until admins set their own
+export const DEFAULT_VES_ROUNDING_STEP = 1;
+
+// Scheduled exchange rate refresh: how often it runs, the largest jump from the
+// previous rate it accepts, and when the dashboard calls the current rate stale
+export const EXCHANGE_RATE_REFRESH_INTERVAL_MS = 60 * 60 * 1000;
+export const EXCHANGE_RATE_MAX_DEVIATION_PERCENT = 10;
+export const EXCHANGE_RATE_MAX_AGE_HOURS = 24;
+
+// Storefront price filter buckets in USD; both bounds are inclusive, like the
+// min_price/max_price filters they are sent as, and null means no upper bound
+export const PRODUCT_PRICE_BUCKETS = [
+  { key: 'under-25', label: 'Menos de $25', min: 0, max: 24.99 },
+  { key: '25-50', label: '$25 - $50', min: 25, max: 49.99 },
+  { key: '50-100', label: '$50 - $100', min: 50, max: 99.99 },
+  { key: '100-plus', label: 'Más de $100', min: 100, max: null }
+] as const;
+
 export const USER_ROLES = {
   ADMIN: 'admin',
   USER: 'user',
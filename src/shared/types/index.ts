@@ -15,6 +15,8 @@
 
 import { z } from 'zod';
 
+import { CARD_MESSAGE_MAX_LENGTH, GIFT_CARD_CODE_PATTERN, MAX_DELIVERY_AVAILABILITY_DAYS } from '../constants/index.js';
+
 // Import official Supabase generated types - SINGLE SOURCE OF TRUTH
 export type { Database, Tables, TablesInsert, TablesUpdate, Enums } from './schema_supabase.js';
 
@@ -38,6 +40,28 @@ export type PaymentMethodType = z.infer<typeof PaymentMethodTypeSchema>;
 export const UserRoleSchema = z.enum(['user', 'admin']);
 export type UserRole = z.infer<typeof UserRoleSchema>;
 
+// Inventory Movement Reason Schema - sale/cancellation come from orders, the rest from admins
+export const InventoryMovementReasonSchema = z.enum(['sale', 'cancellation', 'adjustment', 'waste', 'restock']);
+export type InventoryMovementReason = z.infer<typeof InventoryMovementReasonSchema>;
+
+// Store Credit Schemas - gift cards are spent by code, store credit by the customer it belongs to
+export const StoreCreditKindSchema = z.enum(['gift_card', 'store_credit']);
+export type StoreCreditKind = z.infer<typeof StoreCreditKindSchema>;
+
+export const StoreCreditReasonSchema = z.enum(['purchase', 'refund', 'goodwill']);
+export type StoreCreditReason = z.infer<typeof StoreCreditReasonSchema>;
+
+export const StoreCreditMovementTypeSchema = z.enum(['issue', 'redeem', 'refund', 'void']);
+export type StoreCreditMovementType = z.infer<typeof StoreCreditMovementTypeSchema>;
+
+// Loyalty Point Schemas - earned on delivered orders, spent at checkout
+export const LoyaltyMovementTypeSchema = z.enum(['earn', 'redeem', 'refund', 'reversal', 'expire']);
+export type LoyaltyMovementType = z.infer<typeof LoyaltyMovementTypeSchema>;
+
+// Product Add-on Type Schema - gift extras attachable to any bouquet
+export const ProductAddonTypeSchema = z.enum(['chocolate', 'balloon', 'teddy_bear', 'vase', 'card', 'other']);
+export type ProductAddonType = z.infer<typeof ProductAddonTypeSchema>;
+
 // Image Size Schema
 export const ImageSizeSchema = z.enum(['thumb', 'small', 'medium', 'large']);
 export type ImageSize = z.infer<typeof ImageSizeSchema>;
@@ -122,12 +146,14 @@ export const ProductSchema = z.object({
   summary: z.string().nullable().optional(),
   description: z.string().nullable().optional(),
   price_usd: z.number(), // Primary USD price - required
-  price_ves: z.number().nullable().optional(), // Optional VES price
+  price_ves: z.number().nullable().optional(), // Derived from price_usd at the current rate
+  price_ves_override: z.number().nullable().optional(), // Fixed VES price, wins over the derived one
   stock: z.number().int().nullable().optional(),
   sku: z.string().nullable().optional(),
   active: z.boolean().nullable().optional(),
   featured: z.boolean().nullable().optional(), // Uses 'featured' not 'is_featured'
   carousel_order: z.number().int().nullable().optional(),
+  is_taxable: z.boolean().optional(), // IVA applies; false for exempt products
   created_at: FlexibleDatetimeSchema,
   updated_at: FlexibleDatetimeSchema,
 });
@@ -149,6 +175,138 @@ export const ProductImageSchema = z.object({
 });
 export type ProductImage = z.infer<typeof ProductImageSchema>;
 
+// Product Variant Schema - sellable size/color/arrangement of a product
+export const ProductVariantSchema = z.object({
+  id: z.number().int().positive(),
+  product_id: z.number().int().positive(),
+  name: z.string().min(1).max(100), // Label shown in the selector, e.g. "24 rosas"
+  size: z.string().nullable(),
+  color: z.string().nullable(),
+  arrangement_type: z.string().nullable(),
+  sku: z.string().nullable(),
+  price_usd: z.number().positive(),
+  price_ves: z.number().positive().nullable(),
+  stock: z.number().int().nonnegative(),
+  active: z.boolean(),
+  display_order: z.number().int(),
+  created_at: FlexibleDatetimeSchema,
+  updated_at: FlexibleDatetimeSchema,
+});
+export type ProductVariant = z.infer<typeof ProductVariantSchema>;
+
+// Product Add-on Schema - chocolates, balloons, vases... sold alongside a product
+export const ProductAddonSchema = z.object({
+  id: z.number().int().positive(),
+  name: z.string().min(1).max(100),
+  description: z.string().nullable(),
+  type: ProductAddonTypeSchema,
+  sku: z.string().nullable(),
+  price_usd: z.number().positive(),
+  price_ves: z.number().positive().nullable(),
+  stock: z.number().int().nonnegative(),
+  image_url: z.string().nullable(),
+  is_taxable: z.boolean(), // IVA applies; false for exempt add-ons
+  active: z.boolean(),
+  display_order: z.number().int(),
+  created_at: FlexibleDatetimeSchema,
+  updated_at: FlexibleDatetimeSchema,
+});
+export type ProductAddon = z.infer<typeof ProductAddonSchema>;
+
+// Delivery Slot Schema - a time window offered on one weekday, with its order capacity
+export const DeliverySlotSchema = z.object({
+  id: z.number().int().positive(),
+  weekday: z.number().int().min(0).max(6), // 0 = domingo
+  start_time: z.string(),
+  end_time: z.string(),
+  label: z.string(), // "09:00-12:00", what orders store in delivery_time_slot
+  capacity: z.number().int().positive(),
+  same_day_cutoff: z.string().nullable(), // Caracas time; null = never sold for the same day
+  active: z.boolean(),
+  created_at: FlexibleDatetimeSchema,
+  updated_at: FlexibleDatetimeSchema,
+});
+export type DeliverySlot = z.infer<typeof DeliverySlotSchema>;
+
+export const DeliveryBlackoutDateSchema = z.object({
+  blackout_date: z.string().date(),
+  reason: z.string().nullable(),
+  created_at: FlexibleDatetimeSchema,
+});
+export type DeliveryBlackoutDate = z.infer<typeof DeliveryBlackoutDateSchema>;
+
+// Delivery Zone Schema - cities and municipalities of a state served for one fee
+export const DeliveryZoneSchema = z.object({
+  id: z.number().int().positive(),
+  name: z.string(),
+  state: z.string(),
+  localities: z.array(z.string()), // Cities and municipalities, matched against delivery_city
+  fee_usd: z.number().nonnegative(),
+  min_order_usd: z.number().nonnegative(), // Minimum product subtotal, before the fee
+  delivery_weekdays: z.array(z.number().int().min(0).max(6)), // 0 = domingo
+  active: z.boolean(),
+  created_at: FlexibleDatetimeSchema,
+  updated_at: FlexibleDatetimeSchema,
+});
+export type DeliveryZone = z.infer<typeof DeliveryZoneSchema>;
+
+// Coupon Schema - discount code; empty occasion_ids and product_ids mean the whole cart
+export const CouponSchema = z.object({
+  id: z.number().int().positive(),
+  code: z.string(), // Upper case, matched ignoring case
+  description: z.string().nullable(),
+  discount_type: z.enum(['percentage', 'fixed']),
+  discount_value: z.number().positive(), // Percentage, or USD for fixed coupons
+  min_order_usd: z.number().nonnegative(), // Minimum product subtotal, before the discount
+  starts_at: FlexibleDatetimeSchema, // null: valid right away
+  expires_at: FlexibleDatetimeSchema, // null: never expires
+  usage_limit: z.number().int().positive().nullable(), // Orders in total, null: unlimited
+  per_customer_limit: z.number().int().positive().nullable(), // Orders per account, or per email for guests, null: unlimited
+  occasion_ids: z.array(z.number().int()),
+  product_ids: z.array(z.number().int()),
+  active: z.boolean(),
+  created_at: FlexibleDatetimeSchema,
+  updated_at: FlexibleDatetimeSchema,
+});
+export type Coupon = z.infer<typeof CouponSchema>;
+
+// Promotion Schema - applied automatically while active and in its window; empty
+// occasion_ids and product_ids mean any product
+export const PromotionActionTypeSchema = z.enum(['percentage', 'fixed', 'buy_x_get_y', 'free_delivery', 'free_addon']);
+export type PromotionActionType = z.infer<typeof PromotionActionTypeSchema>;
+
+export const PromotionSchema = z.object({
+  id: z.number().int().positive(),
+  name: z.string().min(1).max(100),
+  description: z.string().nullable(), // Shown to customers instead of the generated explanation
+  starts_at: FlexibleDatetimeSchema, // null: valid right away
+  ends_at: FlexibleDatetimeSchema, // null: no end date
+  priority: z.number().int(), // Higher applies first
+  product_ids: z.array(z.number().int()),
+  occasion_ids: z.array(z.number().int()),
+  min_order_usd: z.number().nonnegative(), // Product subtotal, before any discount
+  action_type: PromotionActionTypeSchema,
+  discount_value: z.number().positive().nullable(), // Percentage, or USD for fixed discounts
+  buy_quantity: z.number().int().positive().nullable(), // buy_x_get_y: units paid...
+  get_quantity: z.number().int().positive().nullable(), // ...and units free after them
+  addon_id: z.number().int().positive().nullable(), // free_addon: the gift
+  addon_quantity: z.number().int().positive(),
+  active: z.boolean(),
+  created_at: FlexibleDatetimeSchema,
+  updated_at: FlexibleDatetimeSchema,
+});
+export type Promotion = z.infer<typeof PromotionSchema>;
+
+// What a promotion did to an order, as stored in orders.applied_promotions
+export const AppliedPromotionSchema = z.object({
+  promotion_id: z.number().int().positive(),
+  name: z.string(),
+  action_type: PromotionActionTypeSchema,
+  discount_usd: z.number().nonnegative(), // Taken off the products, delivery fee waived or catalog value of the gift
+  explanation: z.string(),
+});
+export type AppliedPromotion = z.infer<typeof AppliedPromotionSchema>;
+
 // Occasion Schema - Updated to match raw database structure
 export const OccasionSchema = z.object({
   id: z.number().int().positive(),
@@ -167,6 +325,10 @@ export type Occasion = z.infer<typeof OccasionSchema>;
 export const OrderSchema = z.object({
   id: z.number().int().positive(),
   admin_notes: z.string().nullable(), // Nullable to match DB
+  applied_promotions: z.unknown(), // Json type: AppliedPromotion[] behind promotion_discount_usd, free delivery or add-ons
+  card_message: z.string().nullable(), // Nullable to match DB
+  coupon_code: z.string().nullable(), // Code as typed at checkout, kept if the coupon is deleted
+  coupon_id: z.number().int().nullable(), // Nullable to match DB
   created_at: FlexibleDatetimeSchema, // Nullable to match DB
   currency_rate: z.number().nullable(), // Nullable to match DB
   customer_email: z.string().email(), // Non-nullable to match DB
@@ -175,12 +337,30 @@ export const OrderSchema = z.object({
   delivery_address: z.string(), // Non-nullable to match DB
   delivery_city: z.string().nullable(), // Nullable to match DB
   delivery_date: FlexibleDatetimeSchema, // Nullable to match DB
+  delivery_fee_usd: z.number().nonnegative(), // Non-nullable to match DB, included in total_amount_usd
   delivery_notes: z.string().nullable(), // Nullable to match DB
   delivery_state: z.string().nullable(), // Nullable to match DB
   delivery_time_slot: z.string().nullable(), // Nullable to match DB
   delivery_zip: z.string().nullable(), // Nullable to match DB
+  delivery_zone_id: z.number().int().nullable(), // Nullable to match DB
+  discount_usd: z.number().nonnegative(), // Non-nullable to match DB, taken off total_amount_usd
+  igtf_amount_usd: z.number().nonnegative(), // Non-nullable to match DB, included in total_amount_usd
+  igtf_rate: z.number().nonnegative(), // Percentage charged, 0 unless paid in foreign currency
+  is_anonymous: z.boolean(), // Non-nullable to match DB
+  iva_amount_usd: z.number().nonnegative(), // Non-nullable to match DB, included in total_amount_usd
+  iva_rate: z.number().nonnegative(), // Percentage charged on taxable_amount_usd
+  loyalty_discount_usd: z.number().nonnegative(), // Non-nullable to match DB, taken off total_amount_usd
+  loyalty_points_earned: z.number().int().nonnegative(), // Given once the order is delivered
+  loyalty_points_redeemed: z.number().int().nonnegative(), // Spent for loyalty_discount_usd
   notes: z.string().nullable(), // Nullable to match DB
+  order_number: z.string(), // FY-<year>-<sequence>, what customers and staff see instead of the id
+  payment_method_id: z.number().int().nullable(), // Method chosen at checkout
+  promotion_discount_usd: z.number().nonnegative(), // Non-nullable to match DB, taken off total_amount_usd
+  recipient_name: z.string().nullable(), // Nullable to match DB
+  recipient_phone: z.string().nullable(), // Nullable to match DB
   status: z.string().nullable(), // Using string to match DB enum
+  subtotal_usd: z.number().nonnegative(), // Products and add-ons, before taxes and delivery fee
+  taxable_amount_usd: z.number().nonnegative(), // Part of the subtotal IVA applies to
   total_amount_usd: z.number().positive(), // Non-nullable to match DB
   total_amount_ves: z.number().positive().nullable(), // Nullable to match DB
   updated_at: FlexibleDatetimeSchema, // Nullable to match DB
@@ -202,6 +382,10 @@ export const OrderItemSchema = z.object({
   unit_price_usd: z.number().positive(), // Non-nullable to match DB
   unit_price_ves: z.number().positive().nullable(), // Nullable to match DB
   updated_at: FlexibleDatetimeSchema, // Nullable to match DB
+  variant_id: z.number().int().nullable().optional(),
+  variant_name: z.string().nullable().optional(),
+  parent_item_id: z.number().int().nullable().optional(), // Set on add-on lines, points at their bouquet line
+  addon_id: z.number().int().nullable().optional(),
 });
 export type OrderItem = z.infer<typeof OrderItemSchema>;
 
@@ -217,25 +401,96 @@ export const OrderStatusHistorySchema = z.object({
 });
 export type OrderStatusHistory = z.infer<typeof OrderStatusHistorySchema>;
 
+export interface InventoryMovement {
+  id: number;
+  product_id: number;
+  quantity_change: number; // Negative when stock leaves the shop
+  balance_after: number;
+  reason: InventoryMovementReason;
+  order_id: number | null;
+  notes: string | null;
+  created_by: number | null;
+  created_at: string;
+}
+
+export interface StoreCredit {
+  id: number;
+  kind: StoreCreditKind;
+  code: string | null; // Gift cards only
+  user_id: number | null; // Store credit only
+  reason: StoreCreditReason;
+  initial_amount_usd: number;
+  balance_usd: number;
+  order_id: number | null; // Order refunded, if any
+  purchaser_email: string | null;
+  recipient_name: string | null;
+  recipient_email: string | null;
+  message: string | null;
+  notes: string | null; // Internal
+  expires_at: string | null;
+  status: 'active' | 'void';
+  voided_at: string | null;
+  void_reason: string | null;
+  created_by: number | null;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface StoreCreditMovement {
+  id: number;
+  store_credit_id: number;
+  movement_type: StoreCreditMovementType;
+  amount_usd: number; // Negative when the balance goes down
+  balance_after: number;
+  order_id: number | null;
+  payment_id: number | null;
+  notes: string | null;
+  created_by: number | null;
+  created_at: string;
+}
+
+export interface LoyaltyPointMovement {
+  id: number;
+  user_id: number;
+  movement_type: LoyaltyMovementType;
+  points: number; // Negative when the balance goes down
+  balance_after: number;
+  remaining_points: number; // Earned and given back points not yet spent, reversed or expired
+  expires_at: string | null; // Earned and given back points only; null: never
+  order_id: number | null;
+  notes: string | null;
+  created_by: number | null;
+  created_at: string;
+}
+
 export interface PaymentMethod {
   id: number;
   name: string;
   type: PaymentMethodType;
+  description?: string | null;
   is_active: boolean;
+  is_foreign_currency: boolean; // Payments in dollars, euros or crypto pay IGTF
   display_order: number;
   account_info?: PaymentMethodAccountInfo;
   created_at?: string;
   updated_at?: string;
 }
 
-export interface PaymentMethodAccountInfo {
-  bank_name?: string;
-  account_number?: string;
-  account_holder?: string;
-  phone_number?: string;
-  wallet_address?: string;
-  qr_code_url?: string;
-}
+// Every field is optional - each method type only fills the ones shown to customers
+export const PaymentMethodAccountInfoSchema = z.object({
+  bank_name: z.string().trim().max(100).optional(),
+  bank_code: z.string().trim().max(10).optional(), // Pago Móvil needs the 4-digit bank code
+  account_number: z.string().trim().max(50).optional(),
+  account_holder: z.string().trim().max(100).optional(),
+  document_id: z.string().trim().max(20).optional(), // RIF / cédula of the account holder
+  phone_number: z.string().trim().max(20).optional(),
+  email: z.string().trim().email().optional(), // Zelle and other international transfers
+  wallet_address: z.string().trim().max(150).optional(),
+  network: z.string().trim().max(30).optional(), // Crypto network, e.g. TRC20
+  qr_code_url: z.string().url().optional(),
+  instructions: z.string().trim().max(500).optional(),
+});
+export type PaymentMethodAccountInfo = z.infer<typeof PaymentMethodAccountInfoSchema>;
 
 // Payment Details Object Schema
 export const PaymentDetailsObjectSchema = z.object({
@@ -250,20 +505,24 @@ export type PaymentDetailsObject = z.infer<typeof PaymentDetailsObjectSchema>;
 // Payment Schema - Updated to match raw database structure
 export const PaymentSchema = z.object({
   admin_notes: z.string().nullable(), // Nullable to match DB
-  amount_usd: z.number().positive(), // Non-nullable to match DB
+  amount_usd: z.number().positive(), // Non-nullable to match DB, includes igtf_amount_usd
   amount_ves: z.number().positive().nullable(), // Nullable to match DB
   confirmed_date: FlexibleDatetimeSchema, // Nullable to match DB
   created_at: FlexibleDatetimeSchema, // Nullable to match DB
   currency_rate: z.number().nullable(), // Nullable to match DB
   id: z.number().int().positive(),
+  igtf_amount_usd: z.number().nonnegative(), // Surcharge paid by this payment
+  iva_amount_usd: z.number().nonnegative(), // IVA in the part of the order this payment settles
   order_id: z.number().int().positive(), // Non-nullable to match DB
   payment_date: FlexibleDatetimeSchema, // Nullable to match DB
   payment_details: z.unknown().nullable(), // Using unknown for Json type
   payment_method_id: z.number().int().nullable(), // Nullable to match DB
   payment_method_name: z.string(), // Non-nullable to match DB
-  receipt_image_url: z.string().nullable(), // Nullable to match DB
+  receipt_image_url: z.string().nullable(), // Public link, only on receipts reported before receipt_path
+  receipt_path: z.string().nullable(), // In the private payment-receipts bucket, opened through a signed URL
   reference_number: z.string().nullable(), // Nullable to match DB
   status: z.string().nullable(), // Using string to match DB enum
+  subtotal_usd: z.number().nonnegative(), // Part of the order this payment settles, before IVA
   transaction_id: z.string().nullable(), // Nullable to match DB
   updated_at: FlexibleDatetimeSchema, // Nullable to match DB
   user_id: z.number().int().nullable(), // Nullable to match DB
@@ -281,6 +540,36 @@ export interface Setting {
   updated_at?: string;
 }
 
+// Current IVA and IGTF percentages, read from settings
+export interface TaxRates {
+  iva_rate: number;
+  igtf_rate: number;
+}
+
+// Loyalty program rules, read from settings
+export interface LoyaltySettings {
+  loyalty_points_per_usd: number; // Earned per dollar spent on products after discounts
+  loyalty_point_value_usd: number; // Taken off an order per point redeemed
+  loyalty_points_expiry_days: number; // 0: earned points never expire
+}
+
+// One USD/VES rate recorded by an admin, oldest first in the history
+export interface ExchangeRate {
+  id: number;
+  rate: number; // Bolívares per dollar
+  source: string; // 'manual' for rates typed in by an admin
+  notes: string | null;
+  created_by: number | null;
+  created_at: string;
+}
+
+// Rate in effect now, read from settings; rate is null until one is recorded
+export interface CurrentExchangeRate {
+  rate: number | null;
+  rounding_step: number; // VES prices are rounded up to a multiple of this
+  updated_at: string | null;
+}
+
 // ============================================
 // EXTENDED SHARED INTERFACES
 // ============================================
@@ -289,6 +578,14 @@ export interface Setting {
 // ZOD SCHEMAS - EXTENDED PRODUCT TYPES
 // ============================================
 
+// Search snippets are HTML-escaped text with matched words wrapped in <mark>
+export const ProductSearchHighlightSchema = z.object({
+  name: z.string(),
+  summary: z.string().nullable(),
+  description: z.string().nullable(),
+});
+export type ProductSearchHighlight = z.infer<typeof ProductSearchHighlightSchema>;
+
 // Product with Images Schema - Updated for compatibility
 export const ProductWithImagesSchema = z.object({
   // Include all Product fields
@@ -309,6 +606,12 @@ export const ProductWithImagesSchema = z.object({
   images: z.array(ProductImageSchema).optional(),
   primary_image_url: z.string().url().optional(),
   primary_thumb_url: z.string().url().optional(),
+  // Only present on search results
+  search_rank: z.number().optional(),
+  search_highlight: ProductSearchHighlightSchema.optional(),
+  // Active variants on the product detail; list endpoints only flag their presence
+  variants: z.array(ProductVariantSchema).optional(),
+  has_variants: z.boolean().optional(),
 });
 export type ProductWithImages = z.infer<typeof ProductWithImagesSchema>;
 
@@ -356,6 +659,10 @@ export const ProductWithImagesAndOccasionsSchema = z.object({
   occasion: OccasionSchema.optional(),
   primary_image_url: z.string().optional(),
   primary_thumb_url: z.string().optional(),
+  search_rank: z.number().optional(),
+  search_highlight: ProductSearchHighlightSchema.optional(),
+  variants: z.array(ProductVariantSchema).optional(),
+  has_variants: z.boolean().optional(),
 });
 export type ProductWithImagesAndOccasions = z.infer<typeof ProductWithImagesAndOccasionsSchema>;
 
@@ -381,6 +688,7 @@ export const ProductWithOccasionSchema = z.object({
   // Add additional fields
   occasion: OccasionSchema.optional(),
   price: z.number().positive(), // Alias for price_usd for easier use
+  has_variants: z.boolean().optional(), // Variants are picked on the detail page
 });
 export type ProductWithOccasion = z.infer<typeof ProductWithOccasionSchema>;
 
@@ -389,6 +697,10 @@ export const OrderWithItemsSchema = z.object({
   // Include all Order fields
   id: z.number().int().positive(),
   admin_notes: z.string().nullable(),
+  applied_promotions: z.unknown(),
+  card_message: z.string().nullable(),
+  coupon_code: z.string().nullable(),
+  coupon_id: z.number().int().nullable(),
   created_at: FlexibleDatetimeSchema,
   currency_rate: z.number().nullable(),
   customer_email: z.string().email(),
@@ -397,12 +709,30 @@ export const OrderWithItemsSchema = z.object({
   delivery_address: z.string(),
   delivery_city: z.string().nullable(),
   delivery_date: FlexibleDatetimeSchema,
+  delivery_fee_usd: z.number().nonnegative(),
   delivery_notes: z.string().nullable(),
   delivery_state: z.string().nullable(),
   delivery_time_slot: z.string().nullable(),
   delivery_zip: z.string().nullable(),
+  delivery_zone_id: z.number().int().nullable(),
+  discount_usd: z.number().nonnegative(),
+  igtf_amount_usd: z.number().nonnegative(),
+  igtf_rate: z.number().nonnegative(),
+  is_anonymous: z.boolean(),
+  iva_amount_usd: z.number().nonnegative(),
+  iva_rate: z.number().nonnegative(),
+  loyalty_discount_usd: z.number().nonnegative(),
+  loyalty_points_earned: z.number().int().nonnegative(),
+  loyalty_points_redeemed: z.number().int().nonnegative(),
   notes: z.string().nullable(),
+  order_number: z.string(),
+  payment_method_id: z.number().int().nullable(),
+  promotion_discount_usd: z.number().nonnegative(),
+  recipient_name: z.string().nullable(),
+  recipient_phone: z.string().nullable(),
   status: z.string().nullable(),
+  subtotal_usd: z.number().nonnegative(),
+  taxable_amount_usd: z.number().nonnegative(),
   total_amount_usd: z.number().positive(),
   total_amount_ves: z.number().positive().nullable(),
   updated_at: FlexibleDatetimeSchema,
@@ -459,12 +789,14 @@ export const ProductCreateRequestSchema = z.object({
   description: z.string().min(10).max(2000),
   summary: z.string().max(500).optional(),
   price_usd: z.number().positive().max(999999.99),
-  price_ves: z.number().positive().optional(),
+  price_ves: z.number().positive().optional(), // Only kept until an exchange rate is recorded
+  price_ves_override: z.number().positive().nullable().optional(),
   stock: z.number().int().nonnegative().max(999999),
   sku: z.string().max(100).optional(),
   active: z.boolean().optional(),
   featured: z.boolean().optional(),
   carousel_order: z.number().int().positive().optional(),
+  is_taxable: z.boolean().optional(),
   occasion_id: z.number().int().positive().optional(),
   category: z.string().max(100).optional(),
   care_instructions: z.string().optional(),
@@ -477,18 +809,26 @@ export const ProductUpdateRequestSchema = z.object({
   description: z.string().min(10).max(2000).optional(),
   summary: z.string().max(500).optional(),
   price_usd: z.number().positive().max(999999.99).optional(),
-  price_ves: z.number().positive().optional(),
+  price_ves: z.number().positive().optional(), // Only kept until an exchange rate is recorded
+  price_ves_override: z.number().positive().nullable().optional(),
   stock: z.number().int().nonnegative().max(999999).optional(),
+  expected_stock: z.number().int().nonnegative().optional(), // Stock the form was loaded with, required with stock
   sku: z.string().max(100).optional(),
   active: z.boolean().optional(),
   featured: z.boolean().optional(),
   carousel_order: z.number().int().positive().nullable().optional(),
+  is_taxable: z.boolean().optional(),
   occasion_id: z.number().int().positive().optional(),
   category: z.string().max(100).optional(),
   care_instructions: z.string().optional(),
 });
 export type ProductUpdateRequestValidated = z.infer<typeof ProductUpdateRequestSchema>;
 
+// Combined sorts: "featured:desc,price_usd:asc" (up to three keys)
+export const PRODUCT_SORT_FIELDS = ['name', 'price_usd', 'price_ves', 'created_at', 'carousel_order', 'stock', 'featured'] as const;
+export type ProductSortField = typeof PRODUCT_SORT_FIELDS[number];
+const PRODUCT_SORT_PATTERN = new RegExp(`^(${PRODUCT_SORT_FIELDS.join('|')}):(asc|desc)(,(${PRODUCT_SORT_FIELDS.join('|')}):(asc|desc)){0,2}$`);
+
 export const ProductQueryRequestSchema = z.object({
   page: z.string().transform(val => parseInt(val, 10)).pipe(z.number().int().positive()).optional(),
   limit: z.string().transform(val => parseInt(val, 10)).pipe(z.number().int().positive().max(100)).optional(),
@@ -496,8 +836,21 @@ export const ProductQueryRequestSchema = z.object({
   occasion_id: z.string().transform(val => parseInt(val, 10)).pipe(z.number().int().positive()).optional(),
   is_featured: z.string().transform(val => val === 'true').pipe(z.boolean()).optional(),
   is_available: z.string().transform(val => val === 'true').pipe(z.boolean()).optional(),
-  sort_by: z.enum(['name', 'price_usd', 'created_at', 'carousel_order']).optional(),
+  sort_by: z.enum(['name', 'price_usd', 'created_at', 'carousel_order', 'relevance']).optional(),
   sort_direction: z.enum(['asc', 'desc']).optional(),
+  // Faceted filters
+  occasion_ids: z.string()
+    .transform(val => val.split(',').filter(Boolean).map(id => parseInt(id, 10)))
+    .pipe(z.array(z.number().int().positive()).max(20))
+    .optional(),
+  min_price: z.coerce.number().nonnegative().optional(),
+  max_price: z.coerce.number().nonnegative().optional(),
+  price_currency: z.enum(['USD', 'VES']).optional(),
+  in_stock: z.string().transform(val => val === 'true').pipe(z.boolean()).optional(),
+  sort: z.string().regex(PRODUCT_SORT_PATTERN, 'Use field:direction pairs separated by commas').optional(),
+}).refine(data => data.min_price === undefined || data.max_price === undefined || data.min_price <= data.max_price, {
+  message: 'min_price cannot be greater than max_price',
+  path: ['min_price'],
 });
 export type ProductQueryRequestValidated = z.infer<typeof ProductQueryRequestSchema>;
 
@@ -506,6 +859,246 @@ export const ProductIdParamsSchema = z.object({
 });
 export type ProductIdParamsValidated = z.infer<typeof ProductIdParamsSchema>;
 
+export const ProductVariantParamsSchema = z.object({
+  id: z.string().transform(val => parseInt(val, 10)).pipe(z.number().int().positive()),
+  variantId: z.string().transform(val => parseInt(val, 10)).pipe(z.number().int().positive())
+});
+export type ProductVariantParamsValidated = z.infer<typeof ProductVariantParamsSchema>;
+
+// Product Variant Request Validation Schemas
+export const ProductVariantCreateRequestSchema = z.object({
+  name: z.string().trim().min(1).max(100),
+  size: z.string().trim().max(50).nullable().optional(),
+  color: z.string().trim().max(50).nullable().optional(),
+  arrangement_type: z.string().trim().max(50).nullable().optional(),
+  sku: z.string().trim().max(50).nullable().optional(),
+  price_usd: z.number().positive(),
+  price_ves: z.number().positive().nullable().optional(),
+  stock: z.number().int().min(0).default(0),
+  active: z.boolean().default(true),
+  display_order: z.number().int().min(0).default(0),
+});
+export type ProductVariantCreateRequestValidated = z.infer<typeof ProductVariantCreateRequestSchema>;
+
+export const ProductVariantUpdateRequestSchema = z.object({
+  name: z.string().trim().min(1).max(100).optional(),
+  size: z.string().trim().max(50).nullable().optional(),
+  color: z.string().trim().max(50).nullable().optional(),
+  arrangement_type: z.string().trim().max(50).nullable().optional(),
+  sku: z.string().trim().max(50).nullable().optional(),
+  price_usd: z.number().positive().optional(),
+  price_ves: z.number().positive().nullable().optional(),
+  stock: z.number().int().min(0).optional(),
+  active: z.boolean().optional(),
+  display_order: z.number().int().min(0).optional(),
+});
+export type ProductVariantUpdateRequestValidated = z.infer<typeof ProductVariantUpdateRequestSchema>;
+
+// Product Add-on Request Validation Schemas
+export const ProductAddonCreateRequestSchema = z.object({
+  name: z.string().trim().min(1).max(100),
+  description: z.string().trim().max(500).nullable().optional(),
+  type: ProductAddonTypeSchema.default('other'),
+  sku: z.string().trim().max(50).nullable().optional(),
+  price_usd: z.number().positive(),
+  price_ves: z.number().positive().nullable().optional(),
+  stock: z.number().int().min(0).default(0),
+  image_url: z.string().trim().max(500).nullable().optional(),
+  is_taxable: z.boolean().default(true),
+  active: z.boolean().default(true),
+  display_order: z.number().int().min(0).default(0),
+});
+export type ProductAddonCreateRequestValidated = z.infer<typeof ProductAddonCreateRequestSchema>;
+
+export const ProductAddonUpdateRequestSchema = z.object({
+  name: z.string().trim().min(1).max(100).optional(),
+  description: z.string().trim().max(500).nullable().optional(),
+  type: ProductAddonTypeSchema.optional(),
+  sku: z.string().trim().max(50).nullable().optional(),
+  price_usd: z.number().positive().optional(),
+  price_ves: z.number().positive().nullable().optional(),
+  stock: z.number().int().min(0).optional(),
+  image_url: z.string().trim().max(500).nullable().optional(),
+  is_taxable: z.boolean().optional(),
+  active: z.boolean().optional(),
+  display_order: z.number().int().min(0).optional(),
+});
+export type ProductAddonUpdateRequestValidated = z.infer<typeof ProductAddonUpdateRequestSchema>;
+
+// Delivery Slot Request Validation Schemas
+const TimeOfDaySchema = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Expected HH:MM');
+
+export const DeliverySlotCreateRequestSchema = z.object({
+  weekday: z.number().int().min(0).max(6),
+  start_time: TimeOfDaySchema,
+  end_time: TimeOfDaySchema,
+  capacity: z.number().int().positive().max(500),
+  same_day_cutoff: TimeOfDaySchema.nullable().optional(),
+  active: z.boolean().default(true),
+}).refine(slot => slot.end_time > slot.start_time, {
+  message: 'end_time must be after start_time',
+  path: ['end_time']
+}).refine(slot => !slot.same_day_cutoff || slot.same_day_cutoff <= slot.start_time, {
+  message: 'same_day_cutoff cannot be after start_time',
+  path: ['same_day_cutoff']
+});
+export type DeliverySlotCreateRequestValidated = z.infer<typeof DeliverySlotCreateRequestSchema>;
+
+// Times are checked against each other by the table constraints, since only some may change
+export const DeliverySlotUpdateRequestSchema = z.object({
+  weekday: z.number().int().min(0).max(6).optional(),
+  start_time: TimeOfDaySchema.optional(),
+  end_time: TimeOfDaySchema.optional(),
+  capacity: z.number().int().positive().max(500).optional(),
+  same_day_cutoff: TimeOfDaySchema.nullable().optional(),
+  active: z.boolean().optional(),
+});
+export type DeliverySlotUpdateRequestValidated = z.infer<typeof DeliverySlotUpdateRequestSchema>;
+
+export const DeliveryBlackoutDateCreateRequestSchema = z.object({
+  blackout_date: z.string().date(),
+  reason: z.string().trim().max(200).nullable().optional(),
+});
+export type DeliveryBlackoutDateCreateRequestValidated = z.infer<typeof DeliveryBlackoutDateCreateRequestSchema>;
+
+export const DeliveryBlackoutDateParamsSchema = z.object({
+  date: z.string().date()
+});
+export type DeliveryBlackoutDateParamsValidated = z.infer<typeof DeliveryBlackoutDateParamsSchema>;
+
+export const DeliveryAvailabilityQuerySchema = z.object({
+  from: z.string().date().optional(),
+  days: z.string().transform(val => parseInt(val, 10)).pipe(z.number().int().positive().max(MAX_DELIVERY_AVAILABILITY_DAYS)).optional(),
+});
+export type DeliveryAvailabilityQueryValidated = z.infer<typeof DeliveryAvailabilityQuerySchema>;
+
+// Delivery Zone Request Validation Schemas
+const DeliveryWeekdaysSchema = z.array(z.number().int().min(0).max(6)).min(1).max(7)
+  .transform(days => [...new Set(days)].sort((a, b) => a - b));
+
+export const DeliveryZoneCreateRequestSchema = z.object({
+  name: z.string().trim().min(2).max(100),
+  state: z.string().trim().min(2).max(100),
+  localities: z.array(z.string().trim().min(2).max(100)).min(1).max(50),
+  fee_usd: z.number().nonnegative(),
+  min_order_usd: z.number().nonnegative().default(0),
+  delivery_weekdays: DeliveryWeekdaysSchema.default([0, 1, 2, 3, 4, 5, 6]),
+  active: z.boolean().default(true),
+});
+export type DeliveryZoneCreateRequestValidated = z.infer<typeof DeliveryZoneCreateRequestSchema>;
+
+export const DeliveryZoneUpdateRequestSchema = z.object({
+  name: z.string().trim().min(2).max(100).optional(),
+  state: z.string().trim().min(2).max(100).optional(),
+  localities: z.array(z.string().trim().min(2).max(100)).min(1).max(50).optional(),
+  fee_usd: z.number().nonnegative().optional(),
+  min_order_usd: z.number().nonnegative().optional(),
+  delivery_weekdays: DeliveryWeekdaysSchema.optional(),
+  active: z.boolean().optional(),
+});
+export type DeliveryZoneUpdateRequestValidated = z.infer<typeof DeliveryZoneUpdateRequestSchema>;
+
+// Coupon Request Validation Schemas - codes are stored and matched upper case
+const CouponCodeSchema = z.string().trim().toUpperCase().regex(/^[A-Z0-9_-]{3,40}$/, 'Expected 3 to 40 letters, digits, - or _');
+
+const CouponFieldsSchema = z.object({
+  code: CouponCodeSchema,
+  description: z.string().trim().max(200).nullable().optional(),
+  discount_type: z.enum(['percentage', 'fixed']),
+  discount_value: z.number().positive(),
+  min_order_usd: z.number().nonnegative().default(0),
+  starts_at: z.string().datetime({ offset: true }).nullable().optional(),
+  expires_at: z.string().datetime({ offset: true }).nullable().optional(),
+  usage_limit: z.number().int().positive().nullable().optional(),
+  per_customer_limit: z.number().int().positive().nullable().optional(),
+  occasion_ids: z.array(z.number().int().positive()).max(50).default([]),
+  product_ids: z.array(z.number().int().positive()).max(200).default([]),
+  active: z.boolean().default(true),
+});
+
+export const CouponCreateRequestSchema = CouponFieldsSchema.refine(
+  coupon => coupon.discount_type !== 'percentage' || coupon.discount_value <= 100,
+  { message: 'A percentage discount cannot exceed 100', path: ['discount_value'] }
+).refine(
+  coupon => !coupon.starts_at || !coupon.expires_at || coupon.expires_at > coupon.starts_at,
+  { message: 'expires_at must be after starts_at', path: ['expires_at'] }
+);
+export type CouponCreateRequestValidated = z.infer<typeof CouponCreateRequestSchema>;
+
+// Fields are checked against each other by the table constraints, since only some may change
+export const CouponUpdateRequestSchema = z.object({
+  code: CouponCodeSchema.optional(),
+  description: z.string().trim().max(200).nullable().optional(),
+  discount_type: z.enum(['percentage', 'fixed']).optional(),
+  discount_value: z.number().positive().optional(),
+  min_order_usd: z.number().nonnegative().optional(),
+  starts_at: z.string().datetime({ offset: true }).nullable().optional(),
+  expires_at: z.string().datetime({ offset: true }).nullable().optional(),
+  usage_limit: z.number().int().positive().nullable().optional(),
+  per_customer_limit: z.number().int().positive().nullable().optional(),
+  occasion_ids: z.array(z.number().int().positive()).max(50).optional(),
+  product_ids: z.array(z.number().int().positive()).max(200).optional(),
+  active: z.boolean().optional(),
+});
+export type CouponUpdateRequestValidated = z.infer<typeof CouponUpdateRequestSchema>;
+
+// Promotion Request Validation Schemas - each action needs its own fields
+const PromotionFieldsSchema = z.object({
+  name: z.string().trim().min(1).max(100),
+  description: z.string().trim().max(200).nullable().optional(),
+  starts_at: z.string().datetime({ offset: true }).nullable().optional(),
+  ends_at: z.string().datetime({ offset: true }).nullable().optional(),
+  priority: z.number().int().min(-100).max(100).default(0),
+  product_ids: z.array(z.number().int().positive()).max(200).default([]),
+  occasion_ids: z.array(z.number().int().positive()).max(50).default([]),
+  min_order_usd: z.number().nonnegative().default(0),
+  action_type: PromotionActionTypeSchema,
+  discount_value: z.number().positive().nullable().optional(),
+  buy_quantity: z.number().int().positive().max(20).nullable().optional(),
+  get_quantity: z.number().int().positive().max(20).nullable().optional(),
+  addon_id: z.number().int().positive().nullable().optional(),
+  addon_quantity: z.number().int().positive().max(10).default(1),
+  active: z.boolean().default(true),
+});
+
+export const PromotionCreateRequestSchema = PromotionFieldsSchema.refine(
+  promotion => !['percentage', 'fixed'].includes(promotion.action_type) || promotion.discount_value != null,
+  { message: 'Discounts need a discount_value', path: ['discount_value'] }
+).refine(
+  promotion => promotion.action_type !== 'percentage' || (promotion.discount_value ?? 0) <= 100,
+  { message: 'A percentage discount cannot exceed 100', path: ['discount_value'] }
+).refine(
+  promotion => promotion.action_type !== 'buy_x_get_y' || (promotion.buy_quantity != null && promotion.get_quantity != null),
+  { message: 'Buy X get Y promotions need buy_quantity and get_quantity', path: ['buy_quantity'] }
+).refine(
+  promotion => promotion.action_type !== 'free_addon' || promotion.addon_id != null,
+  { message: 'Free add-on promotions need an addon_id', path: ['addon_id'] }
+).refine(
+  promotion => !promotion.starts_at || !promotion.ends_at || promotion.ends_at > promotion.starts_at,
+  { message: 'ends_at must be after starts_at', path: ['ends_at'] }
+);
+export type PromotionCreateRequestValidated = z.infer<typeof PromotionCreateRequestSchema>;
+
+// Fields are checked against each other by the table constraints, since only some may change
+export const PromotionUpdateRequestSchema = z.object({
+  name: z.string().trim().min(1).max(100).optional(),
+  description: z.string().trim().max(200).nullable().optional(),
+  starts_at: z.string().datetime({ offset: true }).nullable().optional(),
+  ends_at: z.string().datetime({ offset: true }).nullable().optional(),
+  priority: z.number().int().min(-100).max(100).optional(),
+  product_ids: z.array(z.number().int().positive()).max(200).optional(),
+  occasion_ids: z.array(z.number().int().positive()).max(50).optional(),
+  min_order_usd: z.number().nonnegative().optional(),
+  action_type: PromotionActionTypeSchema.optional(),
+  discount_value: z.number().positive().nullable().optional(),
+  buy_quantity: z.number().int().positive().max(20).nullable().optional(),
+  get_quantity: z.number().int().positive().max(20).nullable().optional(),
+  addon_id: z.number().int().positive().nullable().optional(),
+  addon_quantity: z.number().int().positive().max(10).optional(),
+  active: z.boolean().optional(),
+});
+export type PromotionUpdateRequestValidated = z.infer<typeof PromotionUpdateRequestSchema>;
+
 export const ProductSearchRequestSchema = z.object({
   q: z.string().min(2).max(100),
   limit: z.string().transform(val => parseInt(val, 10)).pipe(z.number().int().positive().max(50)).optional(),
@@ -518,6 +1111,12 @@ export const CarouselUpdateRequestSchema = z.object({
 export type CarouselUpdateRequestValidated = z.infer<typeof CarouselUpdateRequestSchema>;
 
 // Order Request Validation Schemas
+// Add-ons attached to one order line - quantity is per line, not per bouquet
+const OrderItemAddonRequestSchema = z.object({
+  addon_id: z.number().int().positive(),
+  quantity: z.number().int().positive().max(20).default(1)
+});
+
 export const OrderCreateRequestSchema = z.object({
   customer_email: z.string().email(),
   customer_name: z.string().min(2).max(100),
@@ -529,22 +1128,64 @@ export const OrderCreateRequestSchema = z.object({
   delivery_date: z.string().date().optional(),
   delivery_time_slot: z.string().optional(),
   delivery_notes: z.string().optional(),
+  // Gift details: who receives the bouquet and what the printed card says
+  recipient_name: z.string().trim().min(2).max(100).optional(),
+  recipient_phone: z.string().trim().max(30).optional(),
+  is_anonymous: z.boolean().default(false),
+  card_message: z.string().trim().max(CARD_MESSAGE_MAX_LENGTH).optional(),
+  // Payments in foreign currency add IGTF to the total
+  payment_method_id: z.number().int().positive().optional(),
+  coupon_code: CouponCodeSchema.optional(),
+  // Signed-in customers only; capped at what the products cost after discounts
+  loyalty_points: z.number().int().positive().optional(),
+  // Client prices are informational only - OrderService re-prices every item
   items: z.array(z.object({
     product_id: z.number().int().positive(),
+    variant_id: z.number().int().positive().optional(), // Required for products with variants
     quantity: z.number().int().positive(),
-    unit_price_usd: z.number().positive(),
-    unit_price_ves: z.number().positive().optional()
+    unit_price_usd: z.number().positive().optional(),
+    unit_price_ves: z.number().positive().optional(),
+    addons: z.array(OrderItemAddonRequestSchema).max(10).optional()
   })).min(1),
   notes: z.string().optional(),
 });
 export type OrderCreateRequestValidated = z.infer<typeof OrderCreateRequestSchema>;
 
+export const OrderQuoteRequestSchema = z.object({
+  items: z.array(z.object({
+    product_id: z.number().int().positive(),
+    variant_id: z.number().int().positive().optional(),
+    quantity: z.number().int().positive(),
+    addons: z.array(OrderItemAddonRequestSchema).max(10).optional()
+  })).min(1),
+  // Once the address is known the quote adds its zone's delivery fee
+  delivery_city: z.string().optional(),
+  delivery_state: z.string().optional(),
+  delivery_date: z.string().date().optional(),
+  // Once the payment method is chosen the quote adds IGTF when it applies
+  payment_method_id: z.number().int().positive().optional(),
+  // The coupon's per-customer limit is only checked once the email is known
+  coupon_code: CouponCodeSchema.optional(),
+  customer_email: z.string().email().optional(),
+  loyalty_points: z.number().int().positive().optional(),
+});
+export type OrderQuoteRequestValidated = z.infer<typeof OrderQuoteRequestSchema>;
+
+export const CouponApplyRequestSchema = OrderQuoteRequestSchema.extend({
+  coupon_code: CouponCodeSchema,
+});
+export type CouponApplyRequestValidated = z.infer<typeof CouponApplyRequestSchema>;
+
 export const OrderUpdateRequestSchema = z.object({
   id: z.number().int().positive(),
   status: OrderStatusSchema.optional(),
   delivery_date: z.string().date().optional(),
   delivery_time_slot: z.string().optional(),
   delivery_notes: z.string().optional(),
+  recipient_name: z.string().trim().min(2).max(100).optional(),
+  recipient_phone: z.string().trim().max(30).optional(),
+  is_anonymous: z.boolean().optional(),
+  card_message: z.string().trim().max(CARD_MESSAGE_MAX_LENGTH).optional(),
   admin_notes: z.string().max(1000).optional(),
 });
 export type OrderUpdateRequestValidated = z.infer<typeof OrderUpdateRequestSchema>;
@@ -560,6 +1201,7 @@ export const OrderQueryRequestSchema = z.object({
   limit: z.string().transform(val => parseInt(val, 10)).pipe(z.number().int().positive().max(100)).optional(),
   status: OrderStatusSchema.optional(),
   customer_email: z.string().email().optional(),
+  search: z.string().trim().min(2).max(100).optional(), // Order number, customer name or email
   date_from: z.string().date().optional(),
   date_to: z.string().date().optional(),
   sort_by: z.enum(['created_at', 'total_amount_usd', 'status']).optional(),
@@ -567,6 +1209,185 @@ export const OrderQueryRequestSchema = z.object({
 });
 export type OrderQueryRequestValidated = z.infer<typeof OrderQueryRequestSchema>;
 
+// Payment Request Validation Schemas
+// Coerced numbers because payments may arrive as multipart form data with a receipt image
+export const PaymentSubmitRequestSchema = z.object({
+  order_id: z.coerce.number().int().positive(),
+  customer_email: z.string().email(), // Must match the order - guests have no other proof of ownership
+  payment_method_id: z.coerce.number().int().positive(),
+  reference_number: z.string().trim().min(4).max(50).optional(),
+  amount_usd: z.coerce.number().positive().optional(),
+  amount_ves: z.coerce.number().positive().optional(),
+  payment_date: z.string().date().optional(),
+});
+export type PaymentSubmitRequestValidated = z.infer<typeof PaymentSubmitRequestSchema>;
+
+export const PaymentReviewRequestSchema = z.object({
+  notes: z.string().max(500).optional(),
+});
+export type PaymentReviewRequestValidated = z.infer<typeof PaymentReviewRequestSchema>;
+
+export const PaymentQueryRequestSchema = z.object({
+  page: z.string().transform(val => parseInt(val, 10)).pipe(z.number().int().positive()).optional(),
+  limit: z.string().transform(val => parseInt(val, 10)).pipe(z.number().int().positive().max(100)).optional(),
+  status: PaymentStatusSchema.optional(),
+  order_id: z.string().transform(val => parseInt(val, 10)).pipe(z.number().int().positive()).optional(),
+});
+export type PaymentQueryRequestValidated = z.infer<typeof PaymentQueryRequestSchema>;
+
+// Payment Method Request Validation Schemas
+export const PaymentMethodCreateRequestSchema = z.object({
+  name: z.string().trim().min(2).max(100),
+  type: PaymentMethodTypeSchema,
+  description: z.string().max(500).nullable().optional(),
+  account_info: PaymentMethodAccountInfoSchema.default({}),
+  display_order: z.number().int().min(0).default(0),
+  is_active: z.boolean().default(true),
+  is_foreign_currency: z.boolean().default(false),
+});
+export type PaymentMethodCreateRequestValidated = z.infer<typeof PaymentMethodCreateRequestSchema>;
+
+export const PaymentMethodUpdateRequestSchema = z.object({
+  name: z.string().trim().min(2).max(100).optional(),
+  type: PaymentMethodTypeSchema.optional(),
+  description: z.string().max(500).nullable().optional(),
+  account_info: PaymentMethodAccountInfoSchema.optional(),
+  display_order: z.number().int().min(0).optional(),
+  is_active: z.boolean().optional(),
+  is_foreign_currency: z.boolean().optional(),
+});
+export type PaymentMethodUpdateRequestValidated = z.infer<typeof PaymentMethodUpdateRequestSchema>;
+
+// Tax Settings Request Validation Schemas - percentages, e.g. 16 for 16%
+export const TaxRatesUpdateRequestSchema = z.object({
+  iva_rate: z.number().min(0).max(100).optional(),
+  igtf_rate: z.number().min(0).max(100).optional(),
+}).refine(data => data.iva_rate !== undefined || data.igtf_rate !== undefined, {
+  message: 'Provide iva_rate, igtf_rate or both',
+});
+export type TaxRatesUpdateRequestValidated = z.infer<typeof TaxRatesUpdateRequestSchema>;
+
+export const LoyaltySettingsUpdateRequestSchema = z.object({
+  loyalty_points_per_usd: z.number().min(0).max(1000).optional(),
+  loyalty_point_value_usd: z.number().positive().max(100).optional(),
+  loyalty_points_expiry_days: z.number().int().min(0).max(3650).optional(),
+}).refine(data => Object.values(data).some(value => value !== undefined), {
+  message: 'Provide at least one loyalty setting',
+});
+export type LoyaltySettingsUpdateRequestValidated = z.infer<typeof LoyaltySettingsUpdateRequestSchema>;
+
+// Order Tracking Request Validation Schemas - public, so the email must match the order
+export const OrderTrackingRequestSchema = z.object({
+  // FY-2026-000123, or the #id shown on orders placed before order numbers
+  order_number: z.string().trim().toUpperCase().regex(/^(FY-\d{4}-\d{6,}|#?\d+)$/, 'Invalid order number')
+    .transform(value => (value.startsWith('FY-') ? value : Number(value.replace('#', '')))),
+  email: z.string().trim().email(),
+});
+export type OrderTrackingRequestValidated = z.infer<typeof OrderTrackingRequestSchema>;
+
+// Signed link sent to the customer instead of the email
+export const OrderTrackingTokenQuerySchema = z.object({
+  token: z.string().min(1).max(128),
+});
+export type OrderTrackingTokenQueryValidated = z.infer<typeof OrderTrackingTokenQuerySchema>;
+
+// Exchange Rate Request Validation Schemas - bolívares per dollar
+export const ExchangeRateCreateRequestSchema = z.object({
+  rate: z.number().positive().max(1000000),
+  notes: z.string().trim().max(500).optional(),
+});
+export type ExchangeRateCreateRequestValidated = z.infer<typeof ExchangeRateCreateRequestSchema>;
+
+export const VesRoundingUpdateRequestSchema = z.object({
+  rounding_step: z.number().min(0.01).max(1000),
+});
+export type VesRoundingUpdateRequestValidated = z.infer<typeof VesRoundingUpdateRequestSchema>;
+
+export const ExchangeRateQueryRequestSchema = z.object({
+  page: z.string().transform(val => parseInt(val, 10)).pipe(z.number().int().positive()).optional(),
+  limit: z.string().transform(val => parseInt(val, 10)).pipe(z.number().int().positive().max(100)).optional(),
+});
+export type ExchangeRateQueryRequestValidated = z.infer<typeof ExchangeRateQueryRequestSchema>;
+
+// Inventory Request Validation Schemas
+export const InventoryAdjustmentRequestSchema = z.object({
+  product_id: z.number().int().positive(),
+  quantity_change: z.number().int().refine(val => val !== 0, 'Quantity change cannot be zero'),
+  reason: z.enum(['adjustment', 'waste', 'restock']), // sale/cancellation are posted by the order flow
+  notes: z.string().trim().max(500).optional(),
+}).refine(data => data.reason !== 'waste' || data.quantity_change < 0, {
+  message: 'Waste must reduce stock',
+  path: ['quantity_change'],
+}).refine(data => data.reason !== 'restock' || data.quantity_change > 0, {
+  message: 'Restock must increase stock',
+  path: ['quantity_change'],
+});
+export type InventoryAdjustmentRequestValidated = z.infer<typeof InventoryAdjustmentRequestSchema>;
+
+export const InventoryMovementQueryRequestSchema = z.object({
+  page: z.string().transform(val => parseInt(val, 10)).pipe(z.number().int().positive()).optional(),
+  limit: z.string().transform(val => parseInt(val, 10)).pipe(z.number().int().positive().max(100)).optional(),
+  reason: InventoryMovementReasonSchema.optional(),
+});
+export type InventoryMovementQueryRequestValidated = z.infer<typeof InventoryMovementQueryRequestSchema>;
+
+// Store Credit Request Validation Schemas - gift card codes look like FY-1A2B-3C4D-5E6F
+const GiftCardCodeSchema = z.string().trim().toUpperCase().regex(GIFT_CARD_CODE_PATTERN, 'Expected a code like FY-1A2B-3C4D-5E6F');
+
+export const StoreCreditIssueRequestSchema = z.object({
+  kind: StoreCreditKindSchema,
+  user_id: z.number().int().positive().optional(), // Required for store credit
+  amount_usd: z.number().positive().max(10000),
+  reason: StoreCreditReasonSchema,
+  order_id: z.number().int().positive().optional(),
+  purchaser_email: z.string().email().optional(),
+  recipient_name: z.string().trim().max(255).optional(),
+  recipient_email: z.string().email().optional(),
+  message: z.string().trim().max(500).optional(),
+  notes: z.string().trim().max(500).optional(),
+  expires_at: z.string().datetime({ offset: true }).nullable().optional(),
+}).refine(credit => credit.kind !== 'store_credit' || credit.user_id !== undefined, {
+  message: 'Store credit needs the user_id of its customer',
+  path: ['user_id'],
+}).refine(credit => credit.kind !== 'store_credit' || credit.reason !== 'purchase', {
+  message: 'Store credit is given on refunds or as goodwill; sold balances are gift cards',
+  path: ['reason'],
+});
+export type StoreCreditIssueRequestValidated = z.infer<typeof StoreCreditIssueRequestSchema>;
+
+export const StoreCreditVoidRequestSchema = z.object({
+  reason: z.string().trim().min(3).max(500),
+});
+export type StoreCreditVoidRequestValidated = z.infer<typeof StoreCreditVoidRequestSchema>;
+
+export const StoreCreditQueryRequestSchema = z.object({
+  page: z.string().transform(val => parseInt(val, 10)).pipe(z.number().int().positive()).optional(),
+  limit: z.string().transform(val => parseInt(val, 10)).pipe(z.number().int().positive().max(100)).optional(),
+  kind: StoreCreditKindSchema.optional(),
+  status: z.enum(['active', 'void']).optional(),
+  user_id: z.string().transform(val => parseInt(val, 10)).pipe(z.number().int().positive()).optional(),
+  code: z.string().trim().toUpperCase().max(20).optional(),
+});
+export type StoreCreditQueryRequestValidated = z.infer<typeof StoreCreditQueryRequestSchema>;
+
+export const GiftCardBalanceRequestSchema = z.object({
+  code: GiftCardCodeSchema,
+});
+export type GiftCardBalanceRequestValidated = z.infer<typeof GiftCardBalanceRequestSchema>;
+
+// amount_usd caps what is spent; without it the balance pays as much of the order as it can
+export const StoreCreditRedeemRequestSchema = z.object({
+  order_id: z.number().int().positive(),
+  customer_email: z.string().email(), // Must match the order, as for other payments
+  amount_usd: z.number().positive().optional(),
+});
+export type StoreCreditRedeemRequestValidated = z.infer<typeof StoreCreditRedeemRequestSchema>;
+
+export const GiftCardRedeemRequestSchema = StoreCreditRedeemRequestSchema.extend({
+  code: GiftCardCodeSchema,
+});
+export type GiftCardRedeemRequestValidated = z.infer<typeof GiftCardRedeemRequestSchema>;
+
 // User Request Validation Schemas
 export const UserCreateRequestSchema = z.object({
   email: z.string().email(),
@@ -637,19 +1458,38 @@ export interface ProductQuery {
   limit?: number;
   search?: string;
   occasion_id?: number;
-  occasion?: number; // Alternative naming
+  occasion?: string; // Occasion slug, one more occasion on top of occasion_ids
   is_featured?: boolean;
   featured?: boolean; // Alternative naming
   is_available?: boolean;
   active?: boolean; // Alternative naming
   min_price?: number;
   max_price?: number;
-  sort_by?: 'name' | 'price_usd' | 'created_at' | 'carousel_order' | 'stock';
+  price_currency?: 'USD' | 'VES'; // Currency of min_price/max_price
+  occasion_ids?: number[]; // Products in any of these occasions
+  in_stock?: boolean;
+  include_facets?: boolean; // Add occasion/price facet counts to the response
+  sort_by?: 'name' | 'price_usd' | 'created_at' | 'carousel_order' | 'stock' | 'relevance'; // relevance needs search
   sort_direction?: 'asc' | 'desc';
-  sort?: string; // Alternative naming
+  sort?: string; // Combined sorts "field:direction,field:direction", overrides sort_by
   [key: string]: unknown;
 }
 
+// One match from the search_products() RPC, best match first
+export interface ProductSearchMatch {
+  product_id: number;
+  rank: number;
+  name_highlight: string;
+  summary_highlight: string | null;
+  description_highlight: string | null;
+}
+
+// search_products() result: one page of matches and the total after filters
+export interface ProductSearchPage {
+  total_count: number;
+  matches: ProductSearchMatch[];
+}
+
 export interface UserQuery {
   page?: number;
   limit?: number;
@@ -727,10 +1567,21 @@ export interface ToastManager {
 
 export interface CartItem {
   productId: number;
+  variantId?: number;
+  variantName?: string;
   name: string;
   price: number;
   image: string;
   quantity: number;
+  addons?: CartItemAddon[];
+}
+
+// Gift extra attached to a cart line; price is per unit
+export interface CartItemAddon {
+  addonId: number;
+  name: string;
+  price: number;
+  quantity: number;
 }
 
 // ============================================
@@ -1084,6 +1935,7 @@ export interface AdminPanelInstance {
 }
 
 export interface OrdersFilters {
+  search?: string;
   status?: string;
   customer_email?: string;
   date_from?: string;
@@ -1101,6 +1953,7 @@ export interface OrdersData {
 
 export interface OrderDetails {
   id: number;
+  order_number: string;
   customer_name: string;
   customer_email: string;
   customer_phone?: string;
@@ -1110,10 +1963,33 @@ export interface OrderDetails {
   created_at: string;
   delivery_date?: string;
   delivery_address?: string;
+  delivery_city?: string;
+  delivery_state?: string;
+  delivery_fee_usd?: number;
+  subtotal_usd?: number;
+  promotion_discount_usd?: number;
+  applied_promotions?: AppliedPromotion[];
+  coupon_code?: string | null;
+  discount_usd?: number;
+  loyalty_discount_usd?: number;
+  taxable_amount_usd?: number;
+  iva_rate?: number;
+  iva_amount_usd?: number;
+  igtf_rate?: number;
+  igtf_amount_usd?: number;
+  delivery_time_slot?: string;
+  delivery_notes?: string;
+  recipient_name?: string | null;
+  recipient_phone?: string | null;
+  is_anonymous?: boolean;
+  card_message?: string | null;
   notes?: string;
   items: Array<{
     id: number;
     product_name: string;
+    variant_name?: string | null;
+    parent_item_id?: number | null;
+    addon_id?: number | null;
     quantity: number;
     unit_price_usd: number;
     unit_price_ves?: number;
@@ -1124,6 +2000,7 @@ export interface OrderDetails {
     id: number;
     amount_usd: number;
     amount_ves?: number;
+    igtf_amount_usd?: number;
     method: string;
     status: string;
     created_at: string;
@@ -1175,6 +2052,7 @@ export interface RawProductWithImages extends Product {
   image_is_primary?: boolean;
   image_display_order?: number;
   product_images?: ProductImage[];
+  product_variants?: ProductVariant[];
 }
 
 export interface RawCarouselProduct extends Product {
@@ -1221,9 +2099,11 @@ export interface ProductCreateRequest {
   description?: string;
   price: number;
   price_usd: number;
+  price_ves_override?: number | null;
   is_featured?: boolean;
   featured?: boolean; // Alternative naming
   is_available?: boolean;
+  is_taxable?: boolean;
   active?: boolean; // Alternative naming
   carousel_order?: number;
   category_id?: number;
@@ -1239,14 +2119,17 @@ export interface ProductUpdateRequest {
   description?: string;
   price?: number;
   price_usd?: number;
+  price_ves_override?: number | null;
   is_featured?: boolean;
   featured?: boolean;
   is_available?: boolean;
+  is_taxable?: boolean;
   active?: boolean;
   carousel_order?: number;
   category_id?: number;
   occasion_ids?: number[];
   stock?: number;
+  expected_stock?: number;
   sku?: string;
 }
 
@@ -1278,19 +2161,96 @@ export interface OrderCreateRequest {
   customer_email: string;
   customer_phone?: string;
   delivery_address?: string;
+  delivery_city?: string;
+  delivery_state?: string;
+  delivery_zip?: string;
   delivery_date?: string;
+  delivery_time_slot?: string;
+  delivery_notes?: string;
+  recipient_name?: string;
+  recipient_phone?: string;
+  is_anonymous?: boolean;
+  card_message?: string;
+  payment_method_id?: number; // Foreign-currency methods add IGTF
+  coupon_code?: string;
+  loyalty_points?: number; // Signed-in customers only
   notes?: string;
   items: Array<{
     product_id: number;
+    variant_id?: number;
     quantity: number;
-    unit_price_usd: number;
+    unit_price_usd?: number;
     unit_price_ves?: number;
+    addons?: Array<{ addon_id: number; quantity: number }>;
   }>;
 }
 
+export interface OrderQuote {
+  items: Array<{
+    product_id: number;
+    variant_id: number | null;
+    product_name: string;
+    variant_name: string | null;
+    product_summary: string | null;
+    unit_price_usd: number;
+    unit_price_ves: number | null; // Catalog VES price, null until the product has one
+    quantity: number;
+    subtotal_usd: number;
+    is_taxable: boolean;
+    addons: OrderQuoteAddon[];
+  }>;
+  subtotal_usd: number; // Products and add-ons
+  promotions: AppliedPromotion[]; // Every promotion the cart qualifies for, with what it did
+  promotion_discount_usd: number; // Taken off the subtotal by the promotions
+  coupon: Pick<Coupon, 'id' | 'code'> | null;
+  discount_usd: number; // Taken off what the promotions left by the coupon
+  loyalty_points_redeemed: number; // Points asked for, capped at what the products still cost
+  loyalty_discount_usd: number; // Taken off what the coupon left by the points
+  taxable_amount_usd: number; // Part of the discounted subtotal IVA applies to
+  delivery_zone: Pick<DeliveryZone, 'id' | 'name'> | null; // null until the quote has an address
+  delivery_fee_usd: number; // 0 with a free delivery promotion
+  iva_rate: number;
+  iva_amount_usd: number;
+  igtf_rate: number; // 0 until a foreign-currency payment method is chosen
+  igtf_amount_usd: number;
+  total_amount_usd: number; // Subtotal less discounts and points, plus delivery fee, IVA and IGTF
+}
+
+export interface OrderQuoteAddon {
+  addon_id: number;
+  addon_name: string;
+  unit_price_usd: number; // 0 for gifts of a promotion
+  unit_price_ves: number | null; // Catalog VES price, null until the add-on has one
+  quantity: number;
+  subtotal_usd: number;
+  is_taxable: boolean;
+  promotion_id?: number; // Set on gifts of a free add-on promotion
+}
+
+// Delivery calendar shown at checkout, one entry per day
+export type DeliveryUnavailableReason = 'blackout' | 'past' | 'cutoff' | 'full';
+
+export interface DeliveryAvailabilitySlot {
+  id: number;
+  label: string;
+  start_time: string;
+  end_time: string;
+  capacity: number;
+  booked: number;
+  remaining: number;
+  unavailable_reason: DeliveryUnavailableReason | null;
+}
+
+export interface DeliveryAvailabilityDay {
+  date: string;
+  weekday: number;
+  blackout_reason: string | null;
+  slots: DeliveryAvailabilitySlot[];
+}
+
 export interface OrderUpdateRequest {
   id: number;
-  status?: Order['status'];
+  status?: OrderStatus;
   delivery_address?: string;
   delivery_date?: string;
   notes?: string;
@@ -1305,6 +2265,351 @@ export interface PaymentCreateRequest {
   payment_details?: PaymentDetailsObject;
 }
 
+export interface PaymentQuery {
+  page?: number;
+  limit?: number;
+  status?: PaymentStatus;
+  order_id?: number;
+}
+
+export interface PaymentApiResponse {
+  success: boolean;
+  data?: Payment;
+  message: string;
+  error?: string;
+}
+
+// Link to open a payment's receipt; signed and short-lived unless the receipt predates the private bucket
+export interface PaymentReceipt {
+  url: string;
+  expires_at: string | null;
+}
+
+export interface PaymentReceiptApiResponse {
+  success: boolean;
+  data?: PaymentReceipt;
+  message: string;
+  error?: string;
+}
+
+export interface PaymentMethodApiResponse {
+  success: boolean;
+  data?: PaymentMethod;
+  message: string;
+  error?: string;
+}
+
+export interface PaymentMethodListApiResponse {
+  success: boolean;
+  data?: PaymentMethod[];
+  message: string;
+  error?: string;
+}
+
+export interface ProductVariantApiResponse {
+  success: boolean;
+  data?: ProductVariant;
+  message: string;
+  error?: string;
+}
+
+export interface ProductVariantListApiResponse {
+  success: boolean;
+  data?: ProductVariant[];
+  message: string;
+  error?: string;
+}
+
+export interface ProductAddonApiResponse {
+  success: boolean;
+  data?: ProductAddon;
+  message: string;
+  error?: string;
+}
+
+export interface ProductAddonListApiResponse {
+  success: boolean;
+  data?: ProductAddon[];
+  message: string;
+  error?: string;
+}
+
+export interface DeliverySlotApiResponse {
+  success: boolean;
+  data?: DeliverySlot;
+  message: string;
+  error?: string;
+}
+
+export interface DeliverySlotListApiResponse {
+  success: boolean;
+  data?: DeliverySlot[];
+  message: string;
+  error?: string;
+}
+
+export interface DeliveryBlackoutDateApiResponse {
+  success: boolean;
+  data?: DeliveryBlackoutDate;
+  message: string;
+  error?: string;
+}
+
+export interface DeliveryBlackoutDateListApiResponse {
+  success: boolean;
+  data?: DeliveryBlackoutDate[];
+  message: string;
+  error?: string;
+}
+
+export interface DeliveryAvailabilityApiResponse {
+  success: boolean;
+  data?: DeliveryAvailabilityDay[];
+  message: string;
+  error?: string;
+}
+
+export interface TaxRatesApiResponse {
+  success: boolean;
+  data?: TaxRates;
+  message: string;
+  error?: string;
+}
+
+export interface LoyaltySettingsApiResponse {
+  success: boolean;
+  data?: LoyaltySettings;
+  message: string;
+  error?: string;
+}
+
+export interface ExchangeRateApiResponse {
+  success: boolean;
+  data?: ExchangeRate;
+  message: string;
+  error?: string;
+}
+
+export interface CurrentExchangeRateApiResponse {
+  success: boolean;
+  data?: CurrentExchangeRate;
+  message: string;
+  error?: string;
+}
+
+export interface ExchangeRateListApiResponse {
+  success: boolean;
+  data?: {
+    rates: ExchangeRate[];
+    pagination: PaginationInfo;
+  };
+  message: string;
+  error?: string;
+}
+
+export interface DeliveryZoneApiResponse {
+  success: boolean;
+  data?: DeliveryZone;
+  message: string;
+  error?: string;
+}
+
+export interface DeliveryZoneListApiResponse {
+  success: boolean;
+  data?: DeliveryZone[];
+  message: string;
+  error?: string;
+}
+
+// Uses are orders with the coupon that were not cancelled
+export interface CouponWithUsage extends Coupon {
+  uses: number;
+  discount_total_usd: number;
+}
+
+export interface CouponUsageReport {
+  coupon: CouponWithUsage;
+  customers: number; // Distinct customer emails
+  revenue_usd: number; // total_amount_usd of the orders, after the discount
+  remaining_uses: number | null; // null without a usage limit
+  orders: Array<Pick<Order, 'id' | 'order_number' | 'customer_email' | 'customer_name' | 'status' | 'discount_usd' | 'total_amount_usd' | 'created_at'>>;
+}
+
+export interface CouponApiResponse {
+  success: boolean;
+  data?: Coupon;
+  message: string;
+  error?: string;
+}
+
+export interface CouponListApiResponse {
+  success: boolean;
+  data?: CouponWithUsage[];
+  message: string;
+  error?: string;
+}
+
+export interface CouponUsageApiResponse {
+  success: boolean;
+  data?: CouponUsageReport;
+  message: string;
+  error?: string;
+}
+
+export interface PromotionApiResponse {
+  success: boolean;
+  data?: Promotion;
+  message: string;
+  error?: string;
+}
+
+export interface PromotionListApiResponse {
+  success: boolean;
+  data?: Promotion[];
+  message: string;
+  error?: string;
+}
+
+// Customers see what they can spend, not the admin notes
+export type CustomerStoreCredit = Omit<StoreCredit, 'notes' | 'created_by'>;
+
+export interface CustomerStoreCreditSummary {
+  balance_usd: number; // Active, unexpired store credit
+  credits: CustomerStoreCredit[];
+  movements: StoreCreditMovement[];
+}
+
+export interface GiftCardBalance {
+  code: string;
+  balance_usd: number; // 0 once void or expired
+  expires_at: string | null;
+}
+
+export interface StoreCreditRedemption {
+  payment: Payment;
+  amount_due_usd: number; // Left to pay with other methods
+}
+
+export interface StoreCreditApiResponse {
+  success: boolean;
+  data?: StoreCredit;
+  message: string;
+  error?: string;
+}
+
+export interface StoreCreditListApiResponse {
+  success: boolean;
+  data?: {
+    credits: StoreCredit[];
+    pagination: PaginationInfo;
+  };
+  message: string;
+  error?: string;
+}
+
+export interface StoreCreditDetailsApiResponse {
+  success: boolean;
+  data?: {
+    credit: StoreCredit;
+    movements: StoreCreditMovement[];
+  };
+  message: string;
+  error?: string;
+}
+
+export interface CustomerStoreCreditApiResponse {
+  success: boolean;
+  data?: CustomerStoreCreditSummary;
+  message: string;
+  error?: string;
+}
+
+export interface GiftCardBalanceApiResponse {
+  success: boolean;
+  data?: GiftCardBalance;
+  message: string;
+  error?: string;
+}
+
+export interface StoreCreditRedeemApiResponse {
+  success: boolean;
+  data?: StoreCreditRedemption;
+  message: string;
+  error?: string;
+}
+
+export interface LoyaltyAccount {
+  points: number; // Unexpired points the customer can spend
+  value_usd: number; // What those points take off an order
+  point_value_usd: number;
+  points_per_usd: number;
+  expiring: Array<{ points: number; expires_at: string }>; // Points with an expiry, soonest first
+  movements: LoyaltyPointMovement[]; // Newest first
+}
+
+export interface LoyaltyAccountApiResponse {
+  success: boolean;
+  data?: LoyaltyAccount;
+  message: string;
+  error?: string;
+}
+
+// What the customer's payments amount to; transfers stay pending until an admin checks them
+export type OrderPaymentState = 'unpaid' | 'pending_verification' | 'partially_paid' | 'paid';
+
+// Public view of an order: no admin notes, addresses or who changed its status
+export interface OrderTracking {
+  order_id: number;
+  order_number: string;
+  status: OrderStatus;
+  created_at: string | null;
+  delivery_date: string | null;
+  delivery_time_slot: string | null;
+  delivery_city: string | null;
+  total_amount_usd: number;
+  payment: {
+    state: OrderPaymentState;
+    paid_usd: number;
+    due_usd: number; // IGTF left out, as it only applies to foreign-currency payments
+  };
+  timeline: Array<{ status: OrderStatus; created_at: string | null }>; // Oldest first
+}
+
+export interface OrderTrackingApiResponse {
+  success: boolean;
+  data?: OrderTracking;
+  message: string;
+  error?: string;
+}
+
+export interface InventoryMovementApiResponse {
+  success: boolean;
+  data?: InventoryMovement;
+  message: string;
+  error?: string;
+}
+
+export interface ProductStockHistoryApiResponse {
+  success: boolean;
+  data?: {
+    product: Pick<Product, 'id' | 'name' | 'sku' | 'stock'>;
+    movements: InventoryMovement[];
+    pagination: PaginationInfo;
+  };
+  message: string;
+  error?: string;
+}
+
+export interface PaymentListApiResponse {
+  success: boolean;
+  data?: {
+    payments: Payment[];
+    pagination: PaginationInfo;
+  };
+  message: string;
+  error?: string;
+}
+
 export interface UserCreateRequest {
   email: string;
   password: string;
@@ -1356,10 +2661,29 @@ export const UserListResponseSchema = z.object({
 });
 export type UserListResponse = z.infer<typeof UserListResponseSchema>;
 
+// Catalog facets - each count applies every active filter except its own
+export const ProductFacetsSchema = z.object({
+  occasions: z.array(z.object({
+    id: z.number().int().positive(),
+    name: z.string(),
+    slug: z.string(),
+    count: z.number().int().nonnegative(),
+  })),
+  price_ranges: z.array(z.object({
+    key: z.string(),
+    label: z.string(),
+    min: z.number(),
+    max: z.number().nullable(),
+    count: z.number().int().nonnegative(),
+  })),
+});
+export type ProductFacets = z.infer<typeof ProductFacetsSchema>;
+
 // Product Response Schema
 export const ProductResponseSchema = z.object({
   products: z.array(ProductWithImagesAndOccasionsSchema),
   pagination: PaginationInfoSchema.optional(),
+  facets: ProductFacetsSchema.optional(),
 });
 export type ProductResponse = z.infer<typeof ProductResponseSchema>;
 
@@ -1411,12 +2735,14 @@ export interface ProductInsert {
   price: number;
   price_usd: number;
   price_ves?: number;
+  price_ves_override?: number | null;
   stock?: number;
   sku?: string;
   active?: boolean;
   is_featured: boolean;
   featured?: boolean;
   is_available?: boolean;
+  is_taxable?: boolean;
   carousel_order?: number;
   image_url?: string;
   category_id?: number;
@@ -1430,12 +2756,14 @@ export interface ProductUpdate {
   price?: number;
   price_usd?: number;
   price_ves?: number;
+  price_ves_override?: number | null;
   stock?: number;
   sku?: string;
   active?: boolean;
   is_featured?: boolean;
   featured?: boolean;
   is_available?: boolean;
+  is_taxable?: boolean;
   carousel_order?: number;
   image_url?: string;
   category_id?: number;
@@ -1501,6 +2829,10 @@ export interface ProductOccasionUpdate {
 
 export interface OrderInsert {
   admin_notes?: string | null;
+  applied_promotions?: AppliedPromotion[];
+  card_message?: string | null;
+  coupon_code?: string | null;
+  coupon_id?: number | null;
   created_at?: string | null;
   currency_rate?: number | null;
   customer_email: string;
@@ -1509,12 +2841,30 @@ export interface OrderInsert {
   delivery_address: string;
   delivery_city?: string | null;
   delivery_date?: string | null;
+  delivery_fee_usd?: number;
   delivery_notes?: string | null;
   delivery_state?: string | null;
   delivery_time_slot?: string | null;
   delivery_zip?: string | null;
+  delivery_zone_id?: number | null;
+  discount_usd?: number;
+  igtf_amount_usd?: number;
+  igtf_rate?: number;
+  is_anonymous?: boolean;
+  iva_amount_usd?: number;
+  iva_rate?: number;
+  loyalty_discount_usd?: number;
+  loyalty_points_earned?: number;
+  loyalty_points_redeemed?: number;
   notes?: string | null;
+  order_number?: string;
+  payment_method_id?: number | null;
+  promotion_discount_usd?: number;
+  recipient_name?: string | null;
+  recipient_phone?: string | null;
   status?: string | null; // Using string for compatibility with custom OrderStatus enum
+  subtotal_usd?: number;
+  taxable_amount_usd?: number;
   total_amount_usd: number;
   total_amount_ves?: number | null;
   updated_at?: string | null;
@@ -1523,6 +2873,10 @@ export interface OrderInsert {
 
 export interface OrderUpdate {
   admin_notes?: string | null;
+  applied_promotions?: AppliedPromotion[];
+  card_message?: string | null;
+  coupon_code?: string | null;
+  coupon_id?: number | null;
   created_at?: string | null;
   currency_rate?: number | null;
   customer_email?: string;
@@ -1531,13 +2885,31 @@ export interface OrderUpdate {
   delivery_address?: string;
   delivery_city?: string | null;
   delivery_date?: string | null;
+  delivery_fee_usd?: number;
   delivery_notes?: string | null;
   delivery_state?: string | null;
   delivery_time_slot?: string | null;
   delivery_zip?: string | null;
+  delivery_zone_id?: number | null;
+  discount_usd?: number;
   id?: number;
+  igtf_amount_usd?: number;
+  igtf_rate?: number;
+  is_anonymous?: boolean;
+  iva_amount_usd?: number;
+  iva_rate?: number;
+  loyalty_discount_usd?: number;
+  loyalty_points_earned?: number;
+  loyalty_points_redeemed?: number;
   notes?: string | null;
+  order_number?: string;
+  payment_method_id?: number | null;
+  promotion_discount_usd?: number;
+  recipient_name?: string | null;
+  recipient_phone?: string | null;
   status?: string | null; // Using string for compatibility with custom OrderStatus enum
+  subtotal_usd?: number;
+  taxable_amount_usd?: number;
   total_amount_usd?: number;
   total_amount_ves?: number | null;
   updated_at?: string | null;
@@ -1557,6 +2929,10 @@ export interface OrderItemInsert {
   unit_price_usd: number;
   unit_price_ves?: number | null;
   updated_at?: string | null;
+  variant_id?: number | null;
+  variant_name?: string | null;
+  parent_item_id?: number | null;
+  addon_id?: number | null;
 }
 
 export interface OrderItemUpdate {
@@ -1572,6 +2948,10 @@ export interface OrderItemUpdate {
   unit_price_usd?: number;
   unit_price_ves?: number | null;
   updated_at?: string | null;
+  variant_id?: number | null;
+  variant_name?: string | null;
+  parent_item_id?: number | null;
+  addon_id?: number | null;
 }
 
 export interface OrderStatusHistoryInsert {
@@ -1601,6 +2981,7 @@ export interface PaymentMethodInsert {
   display_order?: number | null;
   id?: number;
   is_active?: boolean | null;
+  is_foreign_currency?: boolean;
   name: string;
   type: string; // Using string for compatibility with custom PaymentMethodType enum
   updated_at?: string | null;
@@ -1613,6 +2994,7 @@ export interface PaymentMethodUpdate {
   display_order?: number | null;
   id?: number;
   is_active?: boolean | null;
+  is_foreign_currency?: boolean;
   name?: string;
   type?: string; // Using string for compatibility with custom PaymentMethodType enum
   updated_at?: string | null;
@@ -1626,14 +3008,18 @@ export interface PaymentInsert {
   created_at?: string | null;
   currency_rate?: number | null;
   id?: number;
+  igtf_amount_usd?: number;
+  iva_amount_usd?: number;
   order_id: number;
   payment_date?: string | null;
   payment_details?: unknown | null; // Json type
   payment_method_id?: number | null;
   payment_method_name: string;
   receipt_image_url?: string | null;
+  receipt_path?: string | null;
   reference_number?: string | null;
   status?: string | null; // Using string for compatibility with custom PaymentStatus enum
+  subtotal_usd?: number;
   transaction_id?: string | null;
   updated_at?: string | null;
   user_id?: number | null;
@@ -1647,14 +3033,18 @@ export interface PaymentUpdate {
   created_at?: string | null;
   currency_rate?: number | null;
   id?: number;
+  igtf_amount_usd?: number;
+  iva_amount_usd?: number;
   order_id?: number;
   payment_date?: string | null;
   payment_details?: unknown | null; // Json type
   payment_method_id?: number | null;
   payment_method_name?: string;
   receipt_image_url?: string | null;
+  receipt_path?: string | null;
   reference_number?: string | null;
   status?: string | null; // Using string for compatibility with custom PaymentStatus enum
+  subtotal_usd?: number;
   transaction_id?: string | null;
   updated_at?: string | null;
   user_id?: number | null;
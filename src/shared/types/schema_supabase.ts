@@ -14,6 +14,340 @@ export type Database = {
   }
   public: {
     Tables: {
+      coupons: {
+        Row: {
+          active: boolean
+          code: string
+          created_at: string
+          description: string | null
+          discount_type: string
+          discount_value: number
+          expires_at: string | null
+          id: number
+          min_order_usd: number
+          occasion_ids: number[]
+          per_customer_limit: number | null
+          product_ids: number[]
+          starts_at: string | null
+          updated_at: string
+          usage_limit: number | null
+        }
+        Insert: {
+          active?: boolean
+          code: string
+          created_at?: string
+          description?: string | null
+          discount_type: string
+          discount_value: number
+          expires_at?: string | null
+          id?: number
+          min_order_usd?: number
+          occasion_ids?: number[]
+          per_customer_limit?: number | null
+          product_ids?: number[]
+          starts_at?: string | null
+          updated_at?: string
+          usage_limit?: number | null
+        }
+        Update: {
+          active?: boolean
+          code?: string
+          created_at?: string
+          description?: string | null
+          discount_type?: string
+          discount_value?: number
+          expires_at?: string | null
+          id?: number
+          min_order_usd?: number
+          occasion_ids?: number[]
+          per_customer_limit?: number | null
+          product_ids?: number[]
+          starts_at?: string | null
+          updated_at?: string
+          usage_limit?: number | null
+        }
+        Relationships: []
+      }
+      delivery_blackout_dates: {
+        Row: {
+          blackout_date: string
+          created_at: string
+          reason: string | null
+        }
+        Insert: {
+          blackout_date: string
+          created_at?: string
+          reason?: string | null
+        }
+        Update: {
+          blackout_date?: string
+          created_at?: string
+          reason?: string | null
+        }
+        Relationships: []
+      }
+      delivery_slots: {
+        Row: {
+          active: boolean
+          capacity: number
+          created_at: string
+          end_time: string
+          id: number
+          label: string
+          same_day_cutoff: string | null
+          start_time: string
+          updated_at: string
+          weekday: number
+        }
+        Insert: {
+          active?: boolean
+          capacity: number
+          created_at?: string
+          end_time: string
+          id?: number
+          label?: never
+          same_day_cutoff?: string | null
+          start_time: string
+          updated_at?: string
+          weekday: number
+        }
+        Update: {
+          active?: boolean
+          capacity?: number
+          created_at?: string
+          end_time?: string
+          id?: number
+          label?: never
+          same_day_cutoff?: string | null
+          start_time?: string
+          updated_at?: string
+          weekday?: number
+        }
+        Relationships: []
+      }
+      delivery_zones: {
+        Row: {
+          active: boolean
+          created_at: string
+          delivery_weekdays: number[]
+          fee_usd: number
+          id: number
+          localities: string[]
+          min_order_usd: number
+          name: string
+          state: string
+          updated_at: string
+        }
+        Insert: {
+          active?: boolean
+          created_at?: string
+          delivery_weekdays?: number[]
+          fee_usd?: number
+          id?: number
+          localities: string[]
+          min_order_usd?: number
+          name: string
+          state: string
+          updated_at?: string
+        }
+        Update: {
+          active?: boolean
+          created_at?: string
+          delivery_weekdays?: number[]
+          fee_usd?: number
+          id?: number
+          localities?: string[]
+          min_order_usd?: number
+          name?: string
+          state?: string
+          updated_at?: string
+        }
+        Relationships: []
+      }
+      exchange_rates: {
+        Row: {
+          created_at: string
+          created_by: number | null
+          id: number
+          notes: string | null
+          rate: number
+          source: string
+        }
+        Insert: {
+          created_at?: string
+          created_by?: number | null
+          id?: number
+          notes?: string | null
+          rate: number
+          source?: string
+        }
+        Update: {
+          created_at?: string
+          created_by?: number | null
+          id?: number
+          notes?: string | null
+          rate?: number
+          source?: string
+        }
+        Relationships: [
+          {
+            foreignKeyName: "exchange_rates_created_by_fkey"
+            columns: ["created_by"]
+            isOneToOne: false
+            referencedRelation: "users"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
+      idempotency_keys: {
+        Row: {
+          created_at: string
+          key: string
+          request_hash: string
+          response_body: Json | null
+          response_status: number | null
+          scope: string
+        }
+        Insert: {
+          created_at?: string
+          key: string
+          request_hash: string
+          response_body?: Json | null
+          response_status?: number | null
+          scope: string
+        }
+        Update: {
+          created_at?: string
+          key?: string
+          request_hash?: string
+          response_body?: Json | null
+          response_status?: number | null
+          scope?: string
+        }
+        Relationships: []
+      }
+      inventory_movements: {
+        Row: {
+          balance_after: number
+          created_at: string
+          created_by: number | null
+          id: number
+          notes: string | null
+          order_id: number | null
+          product_id: number
+          quantity_change: number
+          reason: Database["public"]["Enums"]["inventory_movement_reason"]
+        }
+        Insert: {
+          balance_after: number
+          created_at?: string
+          created_by?: number | null
+          id?: number
+          notes?: string | null
+          order_id?: number | null
+          product_id: number
+          quantity_change: number
+          reason: Database["public"]["Enums"]["inventory_movement_reason"]
+        }
+        Update: {
+          balance_after?: number
+          created_at?: string
+          created_by?: number | null
+          id?: number
+          notes?: string | null
+          order_id?: number | null
+          product_id?: number
+          quantity_change?: number
+          reason?: Database["public"]["Enums"]["inventory_movement_reason"]
+        }
+        Relationships: [
+          {
+            foreignKeyName: "inventory_movements_created_by_fkey"
+            columns: ["created_by"]
+            isOneToOne: false
+            referencedRelation: "users"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "inventory_movements_order_id_fkey"
+            columns: ["order_id"]
+            isOneToOne: false
+            referencedRelation: "orders"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "inventory_movements_product_id_fkey"
+            columns: ["product_id"]
+            isOneToOne: false
+            referencedRelation: "products"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
+      loyalty_point_movements: {
+        Row: {
+          balance_after: number
+          created_at: string
+          created_by: number | null
+          expires_at: string | null
+          id: number
+          movement_type: string
+          notes: string | null
+          order_id: number | null
+          points: number
+          remaining_points: number
+          user_id: number
+        }
+        Insert: {
+          balance_after: number
+          created_at?: string
+          created_by?: number | null
+          expires_at?: string | null
+          id?: number
+          movement_type: string
+          notes?: string | null
+          order_id?: number | null
+          points: number
+          remaining_points?: number
+          user_id: number
+        }
+        Update: {
+          balance_after?: number
+          created_at?: string
+          created_by?: number | null
+          expires_at?: string | null
+          id?: number
+          movement_type?: string
+          notes?: string | null
+          order_id?: number | null
+          points?: number
+          remaining_points?: number
+          user_id?: number
+        }
+        Relationships: [
+          {
+            foreignKeyName: "loyalty_point_movements_created_by_fkey"
+            columns: ["created_by"]
+            isOneToOne: false
+            referencedRelation: "users"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "loyalty_point_movements_order_id_fkey"
+            columns: ["order_id"]
+            isOneToOne: false
+            referencedRelation: "orders"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "loyalty_point_movements_user_id_fkey"
+            columns: ["user_id"]
+            isOneToOne: false
+            referencedRelation: "users"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
       occasions: {
         Row: {
           created_at: string | null
@@ -49,9 +383,11 @@ export type Database = {
       }
       order_items: {
         Row: {
+          addon_id: number | null
           created_at: string | null
           id: number
           order_id: number
+          parent_item_id: number | null
           product_id: number | null
           product_name: string
           product_summary: string | null
@@ -61,11 +397,15 @@ export type Database = {
           unit_price_usd: number
           unit_price_ves: number | null
           updated_at: string | null
+          variant_id: number | null
+          variant_name: string | null
         }
         Insert: {
+          addon_id?: number | null
           created_at?: string | null
           id?: number
           order_id: number
+          parent_item_id?: number | null
           product_id?: number | null
           product_name: string
           product_summary?: string | null
@@ -75,11 +415,15 @@ export type Database = {
           unit_price_usd: number
           unit_price_ves?: number | null
           updated_at?: string | null
+          variant_id?: number | null
+          variant_name?: string | null
         }
         Update: {
+          addon_id?: number | null
           created_at?: string | null
           id?: number
           order_id?: number
+          parent_item_id?: number | null
           product_id?: number | null
           product_name?: string
           product_summary?: string | null
@@ -89,8 +433,17 @@ export type Database = {
           unit_price_usd?: number
           unit_price_ves?: number | null
           updated_at?: string | null
+          variant_id?: number | null
+          variant_name?: string | null
         }
         Relationships: [
+          {
+            foreignKeyName: "order_items_addon_id_fkey"
+            columns: ["addon_id"]
+            isOneToOne: false
+            referencedRelation: "product_addons"
+            referencedColumns: ["id"]
+          },
           {
             foreignKeyName: "order_items_order_id_fkey"
             columns: ["order_id"]
@@ -98,6 +451,13 @@ export type Database = {
             referencedRelation: "orders"
             referencedColumns: ["id"]
           },
+          {
+            foreignKeyName: "order_items_parent_item_id_fkey"
+            columns: ["parent_item_id"]
+            isOneToOne: false
+            referencedRelation: "order_items"
+            referencedColumns: ["id"]
+          },
           {
             foreignKeyName: "order_items_product_id_fkey"
             columns: ["product_id"]
@@ -105,8 +465,30 @@ export type Database = {
             referencedRelation: "products"
             referencedColumns: ["id"]
           },
+          {
+            foreignKeyName: "order_items_variant_id_fkey"
+            columns: ["variant_id"]
+            isOneToOne: false
+            referencedRelation: "product_variants"
+            referencedColumns: ["id"]
+          },
         ]
       }
+      order_number_counters: {
+        Row: {
+          last_number: number
+          year: number
+        }
+        Insert: {
+          last_number: number
+          year: number
+        }
+        Update: {
+          last_number?: number
+          year?: number
+        }
+        Relationships: []
+      }
       order_status_history: {
         Row: {
           changed_by: number | null
@@ -155,6 +537,10 @@ export type Database = {
       orders: {
         Row: {
           admin_notes: string | null
+          applied_promotions: Json
+          card_message: string | null
+          coupon_code: string | null
+          coupon_id: number | null
           created_at: string | null
           currency_rate: number | null
           customer_email: string
@@ -163,13 +549,31 @@ export type Database = {
           delivery_address: string
           delivery_city: string | null
           delivery_date: string | null
+          delivery_fee_usd: number
           delivery_notes: string | null
           delivery_state: string | null
           delivery_time_slot: string | null
           delivery_zip: string | null
+          delivery_zone_id: number | null
+          discount_usd: number
           id: number
+          igtf_amount_usd: number
+          igtf_rate: number
+          is_anonymous: boolean
+          iva_amount_usd: number
+          iva_rate: number
+          loyalty_discount_usd: number
+          loyalty_points_earned: number
+          loyalty_points_redeemed: number
           notes: string | null
+          order_number: string
+          payment_method_id: number | null
+          promotion_discount_usd: number
+          recipient_name: string | null
+          recipient_phone: string | null
           status: Database["public"]["Enums"]["order_status"] | null
+          subtotal_usd: number
+          taxable_amount_usd: number
           total_amount_usd: number
           total_amount_ves: number | null
           updated_at: string | null
@@ -177,6 +581,10 @@ export type Database = {
         }
         Insert: {
           admin_notes?: string | null
+          applied_promotions?: Json
+          card_message?: string | null
+          coupon_code?: string | null
+          coupon_id?: number | null
           created_at?: string | null
           currency_rate?: number | null
           customer_email: string
@@ -185,13 +593,31 @@ export type Database = {
           delivery_address: string
           delivery_city?: string | null
           delivery_date?: string | null
+          delivery_fee_usd?: number
           delivery_notes?: string | null
           delivery_state?: string | null
           delivery_time_slot?: string | null
           delivery_zip?: string | null
+          delivery_zone_id?: number | null
+          discount_usd?: number
           id?: number
+          igtf_amount_usd?: number
+          igtf_rate?: number
+          is_anonymous?: boolean
+          iva_amount_usd?: number
+          iva_rate?: number
+          loyalty_discount_usd?: number
+          loyalty_points_earned?: number
+          loyalty_points_redeemed?: number
           notes?: string | null
+          order_number?: string
+          payment_method_id?: number | null
+          promotion_discount_usd?: number
+          recipient_name?: string | null
+          recipient_phone?: string | null
           status?: Database["public"]["Enums"]["order_status"] | null
+          subtotal_usd?: number
+          taxable_amount_usd?: number
           total_amount_usd: number
           total_amount_ves?: number | null
           updated_at?: string | null
@@ -199,6 +625,10 @@ export type Database = {
         }
         Update: {
           admin_notes?: string | null
+          applied_promotions?: Json
+          card_message?: string | null
+          coupon_code?: string | null
+          coupon_id?: number | null
           created_at?: string | null
           currency_rate?: number | null
           customer_email?: string
@@ -207,19 +637,58 @@ export type Database = {
           delivery_address?: string
           delivery_city?: string | null
           delivery_date?: string | null
+          delivery_fee_usd?: number
           delivery_notes?: string | null
           delivery_state?: string | null
           delivery_time_slot?: string | null
           delivery_zip?: string | null
+          delivery_zone_id?: number | null
+          discount_usd?: number
           id?: number
+          igtf_amount_usd?: number
+          igtf_rate?: number
+          is_anonymous?: boolean
+          iva_amount_usd?: number
+          iva_rate?: number
+          loyalty_discount_usd?: number
+          loyalty_points_earned?: number
+          loyalty_points_redeemed?: number
           notes?: string | null
+          order_number?: string
+          payment_method_id?: number | null
+          promotion_discount_usd?: number
+          recipient_name?: string | null
+          recipient_phone?: string | null
           status?: Database["public"]["Enums"]["order_status"] | null
+          subtotal_usd?: number
+          taxable_amount_usd?: number
           total_amount_usd?: number
           total_amount_ves?: number | null
           updated_at?: string | null
           user_id?: number | null
         }
         Relationships: [
+          {
+            foreignKeyName: "orders_coupon_id_fkey"
+            columns: ["coupon_id"]
+            isOneToOne: false
+            referencedRelation: "coupons"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "orders_delivery_zone_id_fkey"
+            columns: ["delivery_zone_id"]
+            isOneToOne: false
+            referencedRelation: "delivery_zones"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "orders_payment_method_id_fkey"
+            columns: ["payment_method_id"]
+            isOneToOne: false
+            referencedRelation: "payment_methods"
+            referencedColumns: ["id"]
+          },
           {
             foreignKeyName: "orders_user_id_fkey"
             columns: ["user_id"]
@@ -237,6 +706,7 @@ export type Database = {
           display_order: number | null
           id: number
           is_active: boolean | null
+          is_foreign_currency: boolean
           name: string
           type: Database["public"]["Enums"]["payment_method_type"]
           updated_at: string | null
@@ -248,6 +718,7 @@ export type Database = {
           display_order?: number | null
           id?: number
           is_active?: boolean | null
+          is_foreign_currency?: boolean
           name: string
           type: Database["public"]["Enums"]["payment_method_type"]
           updated_at?: string | null
@@ -259,6 +730,7 @@ export type Database = {
           display_order?: number | null
           id?: number
           is_active?: boolean | null
+          is_foreign_currency?: boolean
           name?: string
           type?: Database["public"]["Enums"]["payment_method_type"]
           updated_at?: string | null
@@ -274,14 +746,18 @@ export type Database = {
           created_at: string | null
           currency_rate: number | null
           id: number
+          igtf_amount_usd: number
+          iva_amount_usd: number
           order_id: number
           payment_date: string | null
           payment_details: Json | null
           payment_method_id: number | null
           payment_method_name: string
           receipt_image_url: string | null
+          receipt_path: string | null
           reference_number: string | null
           status: Database["public"]["Enums"]["payment_status"] | null
+          subtotal_usd: number
           transaction_id: string | null
           updated_at: string | null
           user_id: number | null
@@ -294,14 +770,18 @@ export type Database = {
           created_at?: string | null
           currency_rate?: number | null
           id?: number
+          igtf_amount_usd?: number
+          iva_amount_usd?: number
           order_id: number
           payment_date?: string | null
           payment_details?: Json | null
           payment_method_id?: number | null
           payment_method_name: string
           receipt_image_url?: string | null
+          receipt_path?: string | null
           reference_number?: string | null
           status?: Database["public"]["Enums"]["payment_status"] | null
+          subtotal_usd?: number
           transaction_id?: string | null
           updated_at?: string | null
           user_id?: number | null
@@ -314,14 +794,18 @@ export type Database = {
           created_at?: string | null
           currency_rate?: number | null
           id?: number
+          igtf_amount_usd?: number
+          iva_amount_usd?: number
           order_id?: number
           payment_date?: string | null
           payment_details?: Json | null
           payment_method_id?: number | null
           payment_method_name?: string
           receipt_image_url?: string | null
+          receipt_path?: string | null
           reference_number?: string | null
           status?: Database["public"]["Enums"]["payment_status"] | null
+          subtotal_usd?: number
           transaction_id?: string | null
           updated_at?: string | null
           user_id?: number | null
@@ -350,6 +834,57 @@ export type Database = {
           },
         ]
       }
+      product_addons: {
+        Row: {
+          active: boolean
+          created_at: string
+          description: string | null
+          display_order: number
+          id: number
+          image_url: string | null
+          is_taxable: boolean
+          name: string
+          price_usd: number
+          price_ves: number | null
+          sku: string | null
+          stock: number
+          type: string
+          updated_at: string
+        }
+        Insert: {
+          active?: boolean
+          created_at?: string
+          description?: string | null
+          display_order?: number
+          id?: number
+          image_url?: string | null
+          is_taxable?: boolean
+          name: string
+          price_usd: number
+          price_ves?: number | null
+          sku?: string | null
+          stock?: number
+          type?: string
+          updated_at?: string
+        }
+        Update: {
+          active?: boolean
+          created_at?: string
+          description?: string | null
+          display_order?: number
+          id?: number
+          image_url?: string | null
+          is_taxable?: boolean
+          name?: string
+          price_usd?: number
+          price_ves?: number | null
+          sku?: string | null
+          stock?: number
+          type?: string
+          updated_at?: string
+        }
+        Relationships: []
+      }
       product_images: {
         Row: {
           created_at: string | null
@@ -436,6 +971,65 @@ export type Database = {
           },
         ]
       }
+      product_variants: {
+        Row: {
+          active: boolean
+          arrangement_type: string | null
+          color: string | null
+          created_at: string
+          display_order: number
+          id: number
+          name: string
+          price_usd: number
+          price_ves: number | null
+          product_id: number
+          size: string | null
+          sku: string | null
+          stock: number
+          updated_at: string
+        }
+        Insert: {
+          active?: boolean
+          arrangement_type?: string | null
+          color?: string | null
+          created_at?: string
+          display_order?: number
+          id?: number
+          name: string
+          price_usd: number
+          price_ves?: number | null
+          product_id: number
+          size?: string | null
+          sku?: string | null
+          stock?: number
+          updated_at?: string
+        }
+        Update: {
+          active?: boolean
+          arrangement_type?: string | null
+          color?: string | null
+          created_at?: string
+          display_order?: number
+          id?: number
+          name?: string
+          price_usd?: number
+          price_ves?: number | null
+          product_id?: number
+          size?: string | null
+          sku?: string | null
+          stock?: number
+          updated_at?: string
+        }
+        Relationships: [
+          {
+            foreignKeyName: "product_variants_product_id_fkey"
+            columns: ["product_id"]
+            isOneToOne: false
+            referencedRelation: "products"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
       products: {
         Row: {
           active: boolean | null
@@ -444,9 +1038,11 @@ export type Database = {
           description: string | null
           featured: boolean | null
           id: number
+          is_taxable: boolean
           name: string
           price_usd: number
           price_ves: number | null
+          price_ves_override: number | null
           sku: string | null
           stock: number | null
           summary: string | null
@@ -459,9 +1055,11 @@ export type Database = {
           description?: string | null
           featured?: boolean | null
           id?: number
+          is_taxable?: boolean
           name: string
           price_usd: number
           price_ves?: number | null
+          price_ves_override?: number | null
           sku?: string | null
           stock?: number | null
           summary?: string | null
@@ -474,9 +1072,11 @@ export type Database = {
           description?: string | null
           featured?: boolean | null
           id?: number
+          is_taxable?: boolean
           name?: string
           price_usd?: number
           price_ves?: number | null
+          price_ves_override?: number | null
           sku?: string | null
           stock?: number | null
           summary?: string | null
@@ -484,6 +1084,77 @@ export type Database = {
         }
         Relationships: []
       }
+      promotions: {
+        Row: {
+          action_type: string
+          active: boolean
+          addon_id: number | null
+          addon_quantity: number
+          buy_quantity: number | null
+          created_at: string
+          description: string | null
+          discount_value: number | null
+          ends_at: string | null
+          get_quantity: number | null
+          id: number
+          min_order_usd: number
+          name: string
+          occasion_ids: number[]
+          priority: number
+          product_ids: number[]
+          starts_at: string | null
+          updated_at: string
+        }
+        Insert: {
+          action_type: string
+          active?: boolean
+          addon_id?: number | null
+          addon_quantity?: number
+          buy_quantity?: number | null
+          created_at?: string
+          description?: string | null
+          discount_value?: number | null
+          ends_at?: string | null
+          get_quantity?: number | null
+          id?: number
+          min_order_usd?: number
+          name: string
+          occasion_ids?: number[]
+          priority?: number
+          product_ids?: number[]
+          starts_at?: string | null
+          updated_at?: string
+        }
+        Update: {
+          action_type?: string
+          active?: boolean
+          addon_id?: number | null
+          addon_quantity?: number
+          buy_quantity?: number | null
+          created_at?: string
+          description?: string | null
+          discount_value?: number | null
+          ends_at?: string | null
+          get_quantity?: number | null
+          id?: number
+          min_order_usd?: number
+          name?: string
+          occasion_ids?: number[]
+          priority?: number
+          product_ids?: number[]
+          starts_at?: string | null
+          updated_at?: string
+        }
+        Relationships: [
+          {
+            foreignKeyName: "promotions_addon_id_fkey"
+            columns: ["addon_id"]
+            isOneToOne: false
+            referencedRelation: "product_addons"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
       settings: {
         Row: {
           created_at: string | null
@@ -517,6 +1188,233 @@ export type Database = {
         }
         Relationships: []
       }
+      stock_reservations: {
+        Row: {
+          addon_id: number | null
+          created_at: string
+          expires_at: string
+          id: number
+          order_id: number
+          product_id: number | null
+          quantity: number
+          status: Database["public"]["Enums"]["stock_reservation_status"]
+          updated_at: string
+          variant_id: number | null
+        }
+        Insert: {
+          addon_id?: number | null
+          created_at?: string
+          expires_at: string
+          id?: number
+          order_id: number
+          product_id?: number | null
+          quantity: number
+          status?: Database["public"]["Enums"]["stock_reservation_status"]
+          updated_at?: string
+          variant_id?: number | null
+        }
+        Update: {
+          addon_id?: number | null
+          created_at?: string
+          expires_at?: string
+          id?: number
+          order_id?: number
+          product_id?: number | null
+          quantity?: number
+          status?: Database["public"]["Enums"]["stock_reservation_status"]
+          updated_at?: string
+          variant_id?: number | null
+        }
+        Relationships: [
+          {
+            foreignKeyName: "stock_reservations_addon_id_fkey"
+            columns: ["addon_id"]
+            isOneToOne: false
+            referencedRelation: "product_addons"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "stock_reservations_order_id_fkey"
+            columns: ["order_id"]
+            isOneToOne: false
+            referencedRelation: "orders"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "stock_reservations_product_id_fkey"
+            columns: ["product_id"]
+            isOneToOne: false
+            referencedRelation: "products"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "stock_reservations_variant_id_fkey"
+            columns: ["variant_id"]
+            isOneToOne: false
+            referencedRelation: "product_variants"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
+      store_credit_movements: {
+        Row: {
+          amount_usd: number
+          balance_after: number
+          created_at: string
+          created_by: number | null
+          id: number
+          movement_type: string
+          notes: string | null
+          order_id: number | null
+          payment_id: number | null
+          store_credit_id: number
+        }
+        Insert: {
+          amount_usd: number
+          balance_after: number
+          created_at?: string
+          created_by?: number | null
+          id?: number
+          movement_type: string
+          notes?: string | null
+          order_id?: number | null
+          payment_id?: number | null
+          store_credit_id: number
+        }
+        Update: {
+          amount_usd?: number
+          balance_after?: number
+          created_at?: string
+          created_by?: number | null
+          id?: number
+          movement_type?: string
+          notes?: string | null
+          order_id?: number | null
+          payment_id?: number | null
+          store_credit_id?: number
+        }
+        Relationships: [
+          {
+            foreignKeyName: "store_credit_movements_created_by_fkey"
+            columns: ["created_by"]
+            isOneToOne: false
+            referencedRelation: "users"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "store_credit_movements_order_id_fkey"
+            columns: ["order_id"]
+            isOneToOne: false
+            referencedRelation: "orders"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "store_credit_movements_payment_id_fkey"
+            columns: ["payment_id"]
+            isOneToOne: false
+            referencedRelation: "payments"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "store_credit_movements_store_credit_id_fkey"
+            columns: ["store_credit_id"]
+            isOneToOne: false
+            referencedRelation: "store_credits"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
+      store_credits: {
+        Row: {
+          balance_usd: number
+          code: string | null
+          created_at: string
+          created_by: number | null
+          expires_at: string | null
+          id: number
+          initial_amount_usd: number
+          kind: string
+          message: string | null
+          notes: string | null
+          order_id: number | null
+          purchaser_email: string | null
+          reason: string
+          recipient_email: string | null
+          recipient_name: string | null
+          status: string
+          updated_at: string
+          user_id: number | null
+          void_reason: string | null
+          voided_at: string | null
+        }
+        Insert: {
+          balance_usd: number
+          code?: string | null
+          created_at?: string
+          created_by?: number | null
+          expires_at?: string | null
+          id?: number
+          initial_amount_usd: number
+          kind: string
+          message?: string | null
+          notes?: string | null
+          order_id?: number | null
+          purchaser_email?: string | null
+          reason: string
+          recipient_email?: string | null
+          recipient_name?: string | null
+          status?: string
+          updated_at?: string
+          user_id?: number | null
+          void_reason?: string | null
+          voided_at?: string | null
+        }
+        Update: {
+          balance_usd?: number
+          code?: string | null
+          created_at?: string
+          created_by?: number | null
+          expires_at?: string | null
+          id?: number
+          initial_amount_usd?: number
+          kind?: string
+          message?: string | null
+          notes?: string | null
+          order_id?: number | null
+          purchaser_email?: string | null
+          reason?: string
+          recipient_email?: string | null
+          recipient_name?: string | null
+          status?: string
+          updated_at?: string
+          user_id?: number | null
+          void_reason?: string | null
+          voided_at?: string | null
+        }
+        Relationships: [
+          {
+            foreignKeyName: "store_credits_created_by_fkey"
+            columns: ["created_by"]
+            isOneToOne: false
+            referencedRelation: "users"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "store_credits_order_id_fkey"
+            columns: ["order_id"]
+            isOneToOne: false
+            referencedRelation: "orders"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "store_credits_user_id_fkey"
+            columns: ["user_id"]
+            isOneToOne: false
+            referencedRelation: "users"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
       users: {
         Row: {
           created_at: string | null
@@ -525,6 +1423,7 @@ export type Database = {
           full_name: string | null
           id: number
           is_active: boolean | null
+          loyalty_points: number
           password_hash: string | null
           phone: string | null
           role: Database["public"]["Enums"]["user_role"] | null
@@ -537,6 +1436,7 @@ export type Database = {
           full_name?: string | null
           id?: number
           is_active?: boolean | null
+          loyalty_points?: number
           password_hash?: string | null
           phone?: string | null
           role?: Database["public"]["Enums"]["user_role"] | null
@@ -549,6 +1449,7 @@ export type Database = {
           full_name?: string | null
           id?: number
           is_active?: boolean | null
+          loyalty_points?: number
           password_hash?: string | null
           phone?: string | null
           role?: Database["public"]["Enums"]["user_role"] | null
@@ -561,8 +1462,22 @@ export type Database = {
       [_ in never]: never
     }
     Functions: {
+      adjust_product_stock: {
+        Args: {
+          created_by?: number
+          notes?: string
+          product_id: number
+          quantity_change: number
+          reason: Database["public"]["Enums"]["inventory_movement_reason"]
+        }
+        Returns: Json
+      }
       create_order_with_items: {
-        Args: { order_data: Json; order_items: Json[] }
+        Args: {
+          order_data: Json
+          order_items: Json[]
+          reservation_minutes?: number
+        }
         Returns: Json
       }
       create_product_images_atomic: {
@@ -582,6 +1497,22 @@ export type Database = {
         Args: { product_id: number }
         Returns: boolean
       }
+      delivery_local_now: {
+        Args: Record<PropertyKey, never>
+        Returns: string
+      }
+      derive_ves_price: {
+        Args: { price_usd: number }
+        Returns: number
+      }
+      expire_loyalty_points: {
+        Args: { target_user_id?: number }
+        Returns: number
+      }
+      get_delivery_availability: {
+        Args: { days?: number; start_date?: string }
+        Returns: Json
+      }
       get_existing_image_by_hash: {
         Args: { hash_input: string }
         Returns: {
@@ -594,6 +1525,20 @@ export type Database = {
           url_thumb: string
         }[]
       }
+      get_product_facets: {
+        Args: {
+          featured?: boolean
+          in_stock?: boolean
+          max_price?: number
+          min_price?: number
+          occasion_ids?: number[]
+          only_active?: boolean
+          price_buckets?: Json
+          price_currency?: string
+          search_text?: string
+        }
+        Returns: Json
+      }
       get_product_occasions: {
         Args: { p_product_id: number }
         Returns: {
@@ -628,6 +1573,96 @@ export type Database = {
           primary_image: string
         }[]
       }
+      issue_store_credit: {
+        Args: { credit_data: Json }
+        Returns: Json
+      }
+      next_order_number: {
+        Args: Record<PropertyKey, never>
+        Returns: string
+      }
+      product_search_document: {
+        Args: { description: string; name: string; summary: string }
+        Returns: unknown
+      }
+      product_search_query: {
+        Args: { search_text: string }
+        Returns: unknown
+      }
+      record_exchange_rate: {
+        Args: {
+          created_by?: number
+          new_rate: number
+          rate_notes?: string
+          rate_source?: string
+        }
+        Returns: Json
+      }
+      refresh_ves_prices: {
+        Args: Record<PropertyKey, never>
+        Returns: number
+      }
+      redeem_coupon: {
+        Args: { customer_email: string; redeemed_coupon_id: number }
+        Returns: undefined
+      }
+      redeem_store_credit: {
+        Args: {
+          credit_user_id?: number
+          customer_email: string
+          gift_card_code?: string
+          max_amount_usd?: number
+          target_order_id: number
+        }
+        Returns: Json
+      }
+      release_expired_stock_reservations: {
+        Args: Record<PropertyKey, never>
+        Returns: number
+      }
+      reserve_delivery_slot: {
+        Args: { delivery_day: string; slot_label: string }
+        Returns: undefined
+      }
+      search_products: {
+        Args: {
+          active?: boolean
+          featured?: boolean
+          has_carousel_order?: boolean
+          in_stock?: boolean
+          max_price?: number
+          min_price?: number
+          occasion_ids?: number[]
+          price_currency?: string
+          result_limit?: number
+          result_offset?: number
+          search_text: string
+        }
+        Returns: Json
+      }
+      set_inventory_context: {
+        Args: {
+          created_by?: number
+          notes?: string
+          order_id?: number
+          reason: Database["public"]["Enums"]["inventory_movement_reason"]
+        }
+        Returns: undefined
+      }
+      set_product_stock: {
+        Args: {
+          created_by?: number
+          expected_stock: number
+          new_stock: number
+          notes?: string
+          product_id: number
+        }
+        Returns: Json
+      }
+      setting_number: {
+        Args: { setting_key: string }
+        Returns: number
+      }
       update_carousel_order_atomic: {
         Args: { new_order: number; product_id: number }
         Returns: Json
@@ -635,15 +1670,26 @@ export type Database = {
       update_order_status_with_history: {
         Args: {
           changed_by?: number
+          expected_status?: Database["public"]["Enums"]["order_status"]
           new_status: Database["public"]["Enums"]["order_status"]
           notes?: string
           order_id: number
         }
         Returns: Json
       }
+      void_store_credit: {
+        Args: { reason: string; target_id: number; voided_by?: number }
+        Returns: Json
+      }
     }
     Enums: {
       image_size: "thumb" | "small" | "medium" | "large"
+      inventory_movement_reason:
+        | "sale"
+        | "cancellation"
+        | "adjustment"
+        | "waste"
+        | "restock"
       order_status:
         | "pending"
         | "verified"
@@ -663,6 +1709,7 @@ export type Database = {
         | "failed"
         | "refunded"
         | "partially_refunded"
+      stock_reservation_status: "reserved" | "committed" | "released"
       user_role: "user" | "admin"
     }
     CompositeTypes: {
@@ -792,6 +1839,13 @@ export const Constants = {
   public: {
     Enums: {
       image_size: ["thumb", "small", "medium", "large"],
+      inventory_movement_reason: [
+        "sale",
+        "cancellation",
+        "adjustment",
+        "waste",
+        "restock",
+      ],
       order_status: [
         "pending",
         "verified",
@@ -814,6 +1868,7 @@ export const Constants = {
         "refunded",
         "partially_refunded",
       ],
+      stock_reservation_status: ["reserved", "committed", "released"],
       user_role: ["user", "admin"],
     },
   },
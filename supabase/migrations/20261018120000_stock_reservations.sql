@@ -0,0 +1,248 @@
+-- =========================================================================
+-- 🌸 FloresYa - Stock reservations tied to the order lifecycle
+-- =========================================================================
+-- products.stock is the stock still available for sale.
+--   * create_order_with_items reserves (decrements) stock in the same transaction
+--     that inserts the order, so two concurrent orders cannot oversell.
+--   * update_order_status_with_history commits the reservation on 'verified'
+--     and gives the stock back on 'cancelled'.
+--   * release_expired_stock_reservations cancels pending orders whose
+--     reservation timed out and returns their stock.
+-- =========================================================================
+
+ALTER TABLE public.products
+  ADD CONSTRAINT products_stock_non_negative CHECK (stock >= 0) NOT VALID;
+
+DO $$
+BEGIN
+  CREATE TYPE public.stock_reservation_status AS ENUM ('reserved', 'committed', 'released');
+EXCEPTION
+  WHEN duplicate_object THEN NULL;
+END $$;
+
+CREATE TABLE IF NOT EXISTS public.stock_reservations (
+  id BIGSERIAL PRIMARY KEY,
+  order_id INTEGER NOT NULL REFERENCES public.orders(id) ON DELETE CASCADE,
+  product_id INTEGER NOT NULL REFERENCES public.products(id),
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  status public.stock_reservation_status NOT NULL DEFAULT 'reserved',
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_reservations_order ON public.stock_reservations(order_id);
+CREATE INDEX IF NOT EXISTS idx_stock_reservations_expiry
+  ON public.stock_reservations(expires_at)
+  WHERE status = 'reserved';
+
+-- -------------------------------------------------------------------------
+-- create_order_with_items: order + items + stock reservation, all or nothing
+-- -------------------------------------------------------------------------
+DROP FUNCTION IF EXISTS public.create_order_with_items(json, json[]);
+DROP FUNCTION IF EXISTS public.create_order_with_items(jsonb, jsonb[]);
+
+CREATE OR REPLACE FUNCTION public.create_order_with_items(
+  order_data jsonb,
+  order_items jsonb[],
+  reservation_minutes integer DEFAULT 2880
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  new_order public.orders%ROWTYPE;
+  item jsonb;
+  reserved_product_id integer;
+  result jsonb;
+BEGIN
+  INSERT INTO public.orders (
+    user_id, customer_email, customer_name, customer_phone,
+    delivery_address, delivery_city, delivery_state, delivery_zip,
+    delivery_date, delivery_time_slot, delivery_notes,
+    status, total_amount_usd, total_amount_ves, currency_rate, notes, admin_notes
+  )
+  VALUES (
+    (order_data->>'user_id')::integer,
+    order_data->>'customer_email',
+    order_data->>'customer_name',
+    order_data->>'customer_phone',
+    order_data->>'delivery_address',
+    order_data->>'delivery_city',
+    order_data->>'delivery_state',
+    order_data->>'delivery_zip',
+    (order_data->>'delivery_date')::date,
+    order_data->>'delivery_time_slot',
+    order_data->>'delivery_notes',
+    COALESCE((order_data->>'status')::public.order_status, 'pending'),
+    (order_data->>'total_amount_usd')::numeric,
+    (order_data->>'total_amount_ves')::numeric,
+    (order_data->>'currency_rate')::numeric,
+    order_data->>'notes',
+    order_data->>'admin_notes'
+  )
+  RETURNING * INTO new_order;
+
+  -- Lock products in id order so concurrent checkouts cannot deadlock each other
+  FOR item IN
+    SELECT value FROM unnest(order_items) AS value
+    ORDER BY (value->>'product_id')::integer
+  LOOP
+    UPDATE public.products
+       SET stock = stock - (item->>'quantity')::integer,
+           updated_at = now()
+     WHERE id = (item->>'product_id')::integer
+       AND active = true
+       AND stock >= (item->>'quantity')::integer
+    RETURNING id INTO reserved_product_id;
+
+    IF reserved_product_id IS NULL THEN
+      RAISE EXCEPTION 'Insufficient stock for product %', item->>'product_name'
+        USING ERRCODE = 'check_violation';
+    END IF;
+
+    INSERT INTO public.order_items (
+      order_id, product_id, product_name, product_summary,
+      unit_price_usd, unit_price_ves, quantity, subtotal_usd, subtotal_ves
+    )
+    VALUES (
+      new_order.id,
+      reserved_product_id,
+      item->>'product_name',
+      item->>'product_summary',
+      (item->>'unit_price_usd')::numeric,
+      (item->>'unit_price_ves')::numeric,
+      (item->>'quantity')::integer,
+      (item->>'subtotal_usd')::numeric,
+      (item->>'subtotal_ves')::numeric
+    );
+
+    INSERT INTO public.stock_reservations (order_id, product_id, quantity, expires_at)
+    VALUES (
+      new_order.id,
+      reserved_product_id,
+      (item->>'quantity')::integer,
+      now() + make_interval(mins => reservation_minutes)
+    );
+
+    reserved_product_id := NULL;
+  END LOOP;
+
+  INSERT INTO public.order_status_history (order_id, old_status, new_status, notes)
+  VALUES (new_order.id, NULL, new_order.status, 'Pedido creado');
+
+  SELECT to_jsonb(new_order) || jsonb_build_object(
+           'items', COALESCE(jsonb_agg(to_jsonb(oi) ORDER BY oi.id), '[]'::jsonb)
+         )
+    INTO result
+    FROM public.order_items oi
+   WHERE oi.order_id = new_order.id;
+
+  RETURN result;
+END;
+$$;
+
+-- -------------------------------------------------------------------------
+-- update_order_status_with_history: status + history + reservation bookkeeping
+-- -------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.update_order_status_with_history(
+  order_id integer,
+  new_status public.order_status,
+  notes text DEFAULT NULL,
+  changed_by integer DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  target_id integer := update_order_status_with_history.order_id;
+  previous_status public.order_status;
+  updated_order public.orders%ROWTYPE;
+BEGIN
+  SELECT o.status INTO previous_status
+    FROM public.orders o
+   WHERE o.id = target_id
+   FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Order % not found', target_id USING ERRCODE = 'no_data_found';
+  END IF;
+
+  UPDATE public.orders o
+     SET status = new_status,
+         updated_at = now()
+   WHERE o.id = target_id
+  RETURNING * INTO updated_order;
+
+  INSERT INTO public.order_status_history (order_id, old_status, new_status, notes, changed_by)
+  VALUES (target_id, previous_status, new_status,
+          update_order_status_with_history.notes,
+          update_order_status_with_history.changed_by);
+
+  IF new_status = 'verified' THEN
+    UPDATE public.stock_reservations r
+       SET status = 'committed', updated_at = now()
+     WHERE r.order_id = target_id
+       AND r.status = 'reserved';
+  ELSIF new_status = 'cancelled' THEN
+    -- Cancelled orders never leave the shop, so committed stock goes back too
+    UPDATE public.products p
+       SET stock = p.stock + released.quantity,
+           updated_at = now()
+      FROM (
+        SELECT r.product_id, SUM(r.quantity) AS quantity
+          FROM public.stock_reservations r
+         WHERE r.order_id = target_id
+           AND r.status IN ('reserved', 'committed')
+         GROUP BY r.product_id
+      ) AS released
+     WHERE p.id = released.product_id;
+
+    UPDATE public.stock_reservations r
+       SET status = 'released', updated_at = now()
+     WHERE r.order_id = target_id
+       AND r.status IN ('reserved', 'committed');
+  END IF;
+
+  RETURN to_jsonb(updated_order);
+END;
+$$;
+
+-- -------------------------------------------------------------------------
+-- release_expired_stock_reservations: cancel pending orders whose hold expired
+-- Orders with a payment awaiting review are kept until an admin decides.
+-- -------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.release_expired_stock_reservations()
+RETURNS integer
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  expired_order_id integer;
+  released_count integer := 0;
+BEGIN
+  FOR expired_order_id IN
+    SELECT o.id
+      FROM public.orders o
+     WHERE o.status = 'pending'
+       AND EXISTS (
+         SELECT 1 FROM public.stock_reservations r
+          WHERE r.order_id = o.id
+            AND r.status = 'reserved'
+            AND r.expires_at < now()
+       )
+       AND NOT EXISTS (
+         SELECT 1 FROM public.payments pay
+          WHERE pay.order_id = o.id
+            AND pay.status = 'pending'
+       )
+     FOR UPDATE SKIP LOCKED
+  LOOP
+    PERFORM public.update_order_status_with_history(
+      expired_order_id, 'cancelled', 'Reserva de stock expirada sin pago', NULL
+    );
+    released_count := released_count + 1;
+  END LOOP;
+
+  RETURN released_count;
+END;
+$$;
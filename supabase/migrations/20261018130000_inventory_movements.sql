@@ -0,0 +1,408 @@
+-- =========================================================================
+-- 🌸 FloresYa - Inventory movement ledger
+-- =========================================================================
+-- Every change to products.stock leaves a row in inventory_movements with the
+-- reason, who made it and the resulting balance. A trigger on products writes
+-- the rows, so no code path (RPCs, admin edits, direct SQL) can skip the ledger.
+--
+-- Callers describe the change through transaction-local settings:
+--   floresya.inventory_reason    sale | cancellation | adjustment | waste | restock
+--   floresya.inventory_order_id  order that caused the change, if any
+--   floresya.inventory_notes     free text shown in the stock history
+--   floresya.inventory_actor     users.id of the admin making the change
+-- Changes made without context are logged as 'adjustment' ('restock' on insert).
+-- =========================================================================
+
+DO $$
+BEGIN
+  CREATE TYPE public.inventory_movement_reason AS ENUM (
+    'sale', 'cancellation', 'adjustment', 'waste', 'restock'
+  );
+EXCEPTION
+  WHEN duplicate_object THEN NULL;
+END $$;
+
+CREATE TABLE IF NOT EXISTS public.inventory_movements (
+  id BIGSERIAL PRIMARY KEY,
+  product_id INTEGER NOT NULL REFERENCES public.products(id) ON DELETE CASCADE,
+  quantity_change INTEGER NOT NULL CHECK (quantity_change <> 0),
+  balance_after INTEGER NOT NULL,
+  reason public.inventory_movement_reason NOT NULL,
+  order_id INTEGER REFERENCES public.orders(id) ON DELETE SET NULL,
+  notes TEXT,
+  created_by INTEGER REFERENCES public.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_product
+  ON public.inventory_movements(product_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_order
+  ON public.inventory_movements(order_id)
+  WHERE order_id IS NOT NULL;
+
+-- -------------------------------------------------------------------------
+-- set_inventory_context: describe the next stock changes in this transaction
+-- Pass NULLs to clear it again.
+-- -------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.set_inventory_context(
+  reason public.inventory_movement_reason,
+  order_id integer DEFAULT NULL,
+  notes text DEFAULT NULL,
+  created_by integer DEFAULT NULL
+)
+RETURNS void
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  PERFORM set_config('floresya.inventory_reason', COALESCE(reason::text, ''), true);
+  PERFORM set_config('floresya.inventory_order_id', COALESCE(order_id::text, ''), true);
+  PERFORM set_config('floresya.inventory_notes', COALESCE(notes, ''), true);
+  PERFORM set_config('floresya.inventory_actor', COALESCE(created_by::text, ''), true);
+END;
+$$;
+
+-- -------------------------------------------------------------------------
+-- log_inventory_movement: products trigger that appends to the ledger
+-- -------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.log_inventory_movement()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  previous_stock integer := 0;
+  movement_reason public.inventory_movement_reason;
+  movement_notes text;
+BEGIN
+  IF TG_OP = 'UPDATE' THEN
+    previous_stock := COALESCE(OLD.stock, 0);
+  END IF;
+
+  IF COALESCE(NEW.stock, 0) = previous_stock THEN
+    RETURN NEW;
+  END IF;
+
+  movement_reason := COALESCE(
+    NULLIF(current_setting('floresya.inventory_reason', true), '')::public.inventory_movement_reason,
+    CASE WHEN TG_OP = 'INSERT' THEN 'restock' ELSE 'adjustment' END::public.inventory_movement_reason
+  );
+  movement_notes := COALESCE(
+    NULLIF(current_setting('floresya.inventory_notes', true), ''),
+    CASE WHEN TG_OP = 'INSERT' THEN 'Stock inicial' END
+  );
+
+  INSERT INTO public.inventory_movements (
+    product_id, quantity_change, balance_after, reason, order_id, notes, created_by
+  )
+  VALUES (
+    NEW.id,
+    COALESCE(NEW.stock, 0) - previous_stock,
+    COALESCE(NEW.stock, 0),
+    movement_reason,
+    NULLIF(current_setting('floresya.inventory_order_id', true), '')::integer,
+    movement_notes,
+    NULLIF(current_setting('floresya.inventory_actor', true), '')::integer
+  );
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS products_inventory_movement ON public.products;
+CREATE TRIGGER products_inventory_movement
+  AFTER INSERT OR UPDATE OF stock ON public.products
+  FOR EACH ROW
+  EXECUTE FUNCTION public.log_inventory_movement();
+
+-- Opening balance so existing stock has a starting point in the history
+INSERT INTO public.inventory_movements (product_id, quantity_change, balance_after, reason, notes)
+SELECT p.id, p.stock, p.stock, 'restock', 'Saldo inicial del registro de inventario'
+  FROM public.products p
+ WHERE COALESCE(p.stock, 0) <> 0
+   AND NOT EXISTS (
+     SELECT 1 FROM public.inventory_movements m WHERE m.product_id = p.id
+   );
+
+-- -------------------------------------------------------------------------
+-- adjust_product_stock: manual movement posted from the admin panel
+-- -------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.adjust_product_stock(
+  product_id integer,
+  quantity_change integer,
+  reason public.inventory_movement_reason,
+  notes text DEFAULT NULL,
+  created_by integer DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  target_id integer := adjust_product_stock.product_id;
+  current_stock integer;
+  movement jsonb;
+BEGIN
+  IF quantity_change = 0 THEN
+    RAISE EXCEPTION 'Quantity change cannot be zero' USING ERRCODE = 'check_violation';
+  END IF;
+
+  SELECT p.stock INTO current_stock
+    FROM public.products p
+   WHERE p.id = target_id
+   FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Product % not found', target_id USING ERRCODE = 'no_data_found';
+  END IF;
+
+  IF COALESCE(current_stock, 0) + quantity_change < 0 THEN
+    RAISE EXCEPTION 'Insufficient stock for product %: % available', target_id, COALESCE(current_stock, 0)
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  PERFORM public.set_inventory_context(
+    reason, NULL, adjust_product_stock.notes, adjust_product_stock.created_by
+  );
+
+  UPDATE public.products p
+     SET stock = COALESCE(p.stock, 0) + quantity_change,
+         updated_at = now()
+   WHERE p.id = target_id;
+
+  PERFORM public.set_inventory_context(NULL);
+
+  SELECT to_jsonb(m) INTO movement
+    FROM public.inventory_movements m
+   WHERE m.product_id = target_id
+   ORDER BY m.id DESC
+   LIMIT 1;
+
+  RETURN movement;
+END;
+$$;
+
+-- -------------------------------------------------------------------------
+-- set_product_stock: absolute stock count from the product form, logged as
+-- an adjustment for the difference. Returns NULL when nothing changed.
+-- -------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.set_product_stock(
+  product_id integer,
+  new_stock integer,
+  notes text DEFAULT NULL,
+  created_by integer DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  target_id integer := set_product_stock.product_id;
+  current_stock integer;
+BEGIN
+  IF new_stock < 0 THEN
+    RAISE EXCEPTION 'Stock cannot be negative' USING ERRCODE = 'check_violation';
+  END IF;
+
+  SELECT p.stock INTO current_stock
+    FROM public.products p
+   WHERE p.id = target_id
+   FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Product % not found', target_id USING ERRCODE = 'no_data_found';
+  END IF;
+
+  IF COALESCE(current_stock, 0) = new_stock THEN
+    RETURN NULL;
+  END IF;
+
+  RETURN public.adjust_product_stock(
+    target_id,
+    new_stock - COALESCE(current_stock, 0),
+    'adjustment',
+    COALESCE(set_product_stock.notes, 'Stock editado desde el producto'),
+    set_product_stock.created_by
+  );
+END;
+$$;
+
+-- -------------------------------------------------------------------------
+-- create_order_with_items: same as before, stock reservations logged as 'sale'
+-- -------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.create_order_with_items(
+  order_data jsonb,
+  order_items jsonb[],
+  reservation_minutes integer DEFAULT 2880
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  new_order public.orders%ROWTYPE;
+  item jsonb;
+  reserved_product_id integer;
+  result jsonb;
+BEGIN
+  INSERT INTO public.orders (
+    user_id, customer_email, customer_name, customer_phone,
+    delivery_address, delivery_city, delivery_state, delivery_zip,
+    delivery_date, delivery_time_slot, delivery_notes,
+    status, total_amount_usd, total_amount_ves, currency_rate, notes, admin_notes
+  )
+  VALUES (
+    (order_data->>'user_id')::integer,
+    order_data->>'customer_email',
+    order_data->>'customer_name',
+    order_data->>'customer_phone',
+    order_data->>'delivery_address',
+    order_data->>'delivery_city',
+    order_data->>'delivery_state',
+    order_data->>'delivery_zip',
+    (order_data->>'delivery_date')::date,
+    order_data->>'delivery_time_slot',
+    order_data->>'delivery_notes',
+    COALESCE((order_data->>'status')::public.order_status, 'pending'),
+    (order_data->>'total_amount_usd')::numeric,
+    (order_data->>'total_amount_ves')::numeric,
+    (order_data->>'currency_rate')::numeric,
+    order_data->>'notes',
+    order_data->>'admin_notes'
+  )
+  RETURNING * INTO new_order;
+
+  PERFORM public.set_inventory_context(
+    'sale', new_order.id, 'Pedido #' || new_order.id, new_order.user_id
+  );
+
+  -- Lock products in id order so concurrent checkouts cannot deadlock each other
+  FOR item IN
+    SELECT value FROM unnest(order_items) AS value
+    ORDER BY (value->>'product_id')::integer
+  LOOP
+    UPDATE public.products
+       SET stock = stock - (item->>'quantity')::integer,
+           updated_at = now()
+     WHERE id = (item->>'product_id')::integer
+       AND active = true
+       AND stock >= (item->>'quantity')::integer
+    RETURNING id INTO reserved_product_id;
+
+    IF reserved_product_id IS NULL THEN
+      RAISE EXCEPTION 'Insufficient stock for product %', item->>'product_name'
+        USING ERRCODE = 'check_violation';
+    END IF;
+
+    INSERT INTO public.order_items (
+      order_id, product_id, product_name, product_summary,
+      unit_price_usd, unit_price_ves, quantity, subtotal_usd, subtotal_ves
+    )
+    VALUES (
+      new_order.id,
+      reserved_product_id,
+      item->>'product_name',
+      item->>'product_summary',
+      (item->>'unit_price_usd')::numeric,
+      (item->>'unit_price_ves')::numeric,
+      (item->>'quantity')::integer,
+      (item->>'subtotal_usd')::numeric,
+      (item->>'subtotal_ves')::numeric
+    );
+
+    INSERT INTO public.stock_reservations (order_id, product_id, quantity, expires_at)
+    VALUES (
+      new_order.id,
+      reserved_product_id,
+      (item->>'quantity')::integer,
+      now() + make_interval(mins => reservation_minutes)
+    );
+
+    reserved_product_id := NULL;
+  END LOOP;
+
+  PERFORM public.set_inventory_context(NULL);
+
+  INSERT INTO public.order_status_history (order_id, old_status, new_status, notes)
+  VALUES (new_order.id, NULL, new_order.status, 'Pedido creado');
+
+  SELECT to_jsonb(new_order) || jsonb_build_object(
+           'items', COALESCE(jsonb_agg(to_jsonb(oi) ORDER BY oi.id), '[]'::jsonb)
+         )
+    INTO result
+    FROM public.order_items oi
+   WHERE oi.order_id = new_order.id;
+
+  RETURN result;
+END;
+$$;
+
+-- -------------------------------------------------------------------------
+-- update_order_status_with_history: same as before, returned stock logged
+-- as 'cancellation'
+-- -------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.update_order_status_with_history(
+  order_id integer,
+  new_status public.order_status,
+  notes text DEFAULT NULL,
+  changed_by integer DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  target_id integer := update_order_status_with_history.order_id;
+  previous_status public.order_status;
+  updated_order public.orders%ROWTYPE;
+BEGIN
+  SELECT o.status INTO previous_status
+    FROM public.orders o
+   WHERE o.id = target_id
+   FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Order % not found', target_id USING ERRCODE = 'no_data_found';
+  END IF;
+
+  UPDATE public.orders o
+     SET status = new_status,
+         updated_at = now()
+   WHERE o.id = target_id
+  RETURNING * INTO updated_order;
+
+  INSERT INTO public.order_status_history (order_id, old_status, new_status, notes, changed_by)
+  VALUES (target_id, previous_status, new_status,
+          update_order_status_with_history.notes,
+          update_order_status_with_history.changed_by);
+
+  IF new_status = 'verified' THEN
+    UPDATE public.stock_reservations r
+       SET status = 'committed', updated_at = now()
+     WHERE r.order_id = target_id
+       AND r.status = 'reserved';
+  ELSIF new_status = 'cancelled' THEN
+    PERFORM public.set_inventory_context(
+      'cancellation', target_id,
+      COALESCE(update_order_status_with_history.notes, 'Pedido #' || target_id || ' cancelado'),
+      update_order_status_with_history.changed_by
+    );
+
+    -- Cancelled orders never leave the shop, so committed stock goes back too
+    UPDATE public.products p
+       SET stock = p.stock + released.quantity,
+           updated_at = now()
+      FROM (
+        SELECT r.product_id, SUM(r.quantity) AS quantity
+          FROM public.stock_reservations r
+         WHERE r.order_id = target_id
+           AND r.status IN ('reserved', 'committed')
+         GROUP BY r.product_id
+      ) AS released
+     WHERE p.id = released.product_id;
+
+    PERFORM public.set_inventory_context(NULL);
+
+    UPDATE public.stock_reservations r
+       SET status = 'released', updated_at = now()
+     WHERE r.order_id = target_id
+       AND r.status IN ('reserved', 'committed');
+  END IF;
+
+  RETURN to_jsonb(updated_order);
+END;
+$$;
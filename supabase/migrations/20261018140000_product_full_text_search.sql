@@ -0,0 +1,118 @@
+-- =========================================================================
+-- 🌸 FloresYa - Spanish full-text search for products
+-- =========================================================================
+-- product_search_document() weighs name (A), summary (B) and description (C)
+-- with the Spanish stemmer after stripping accents, so "girasol", "girasól"
+-- and "girasoles" all match. search_products() ranks the matches and returns
+-- highlighted snippets; the search text is only ever passed as a parameter.
+-- =========================================================================
+
+CREATE EXTENSION IF NOT EXISTS unaccent;
+
+DO $$
+BEGIN
+  CREATE TEXT SEARCH CONFIGURATION public.spanish_unaccent (COPY = pg_catalog.spanish);
+EXCEPTION
+  WHEN unique_violation THEN NULL;
+END $$;
+
+ALTER TEXT SEARCH CONFIGURATION public.spanish_unaccent
+  ALTER MAPPING FOR hword, hword_part, word
+  WITH unaccent, spanish_stem;
+
+-- Weighted document for one product. Kept as an expression index instead of a
+-- column so `SELECT *` on products does not start returning the tsvector.
+CREATE OR REPLACE FUNCTION public.product_search_document(
+  name text,
+  summary text,
+  description text
+)
+RETURNS tsvector
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT setweight(to_tsvector('public.spanish_unaccent'::regconfig, COALESCE(name, '')), 'A') ||
+         setweight(to_tsvector('public.spanish_unaccent'::regconfig, COALESCE(summary, '')), 'B') ||
+         setweight(to_tsvector('public.spanish_unaccent'::regconfig, COALESCE(description, '')), 'C');
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_products_search_document
+  ON public.products
+  USING GIN (public.product_search_document(name, summary, description));
+
+-- -------------------------------------------------------------------------
+-- product_search_query: user text -> tsquery
+-- Every word becomes a prefix term ANDed with the rest, so results show up
+-- while the customer is still typing ("giras" finds "girasoles"). Words are
+-- quoted before reaching to_tsquery, so operators in the input are inert.
+-- -------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.product_search_query(search_text text)
+RETURNS tsquery
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT to_tsquery(
+           'public.spanish_unaccent'::regconfig,
+           string_agg(quote_literal(word) || ':*', ' & ')
+         )
+    FROM regexp_split_to_table(lower(COALESCE(search_text, '')), '[^[:alnum:]]+') AS word
+   WHERE word <> '';
+$$;
+
+-- -------------------------------------------------------------------------
+-- search_products: ranked matches with <mark>-highlighted snippets
+-- Product text is HTML-escaped before highlighting, so the only markup in
+-- the snippets is the <mark> tags added here.
+-- -------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.search_products(
+  search_text text,
+  only_active boolean DEFAULT true,
+  max_results integer DEFAULT 500
+)
+RETURNS TABLE (
+  product_id integer,
+  rank real,
+  name_highlight text,
+  summary_highlight text,
+  description_highlight text
+)
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+  search_query tsquery := public.product_search_query(search_text);
+  highlight_options text := 'StartSel=<mark>, StopSel=</mark>, MaxWords=30, MinWords=10, ShortWord=2, MaxFragments=2, FragmentDelimiter=" … "';
+BEGIN
+  IF search_query IS NULL OR numnode(search_query) = 0 THEN
+    RETURN;
+  END IF;
+
+  RETURN QUERY
+  WITH matches AS (
+    SELECT p.id, p.name, p.summary, p.description,
+           ts_rank_cd(public.product_search_document(p.name, p.summary, p.description), search_query) AS match_rank
+      FROM public.products p
+     WHERE public.product_search_document(p.name, p.summary, p.description) @@ search_query
+       AND (NOT only_active OR p.active = true)
+     ORDER BY match_rank DESC, p.id
+     LIMIT GREATEST(max_results, 1)
+  )
+  SELECT m.id,
+         m.match_rank,
+         ts_headline('public.spanish_unaccent'::regconfig,
+                     replace(replace(replace(m.name, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'),
+                     search_query, 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true'),
+         CASE WHEN m.summary IS NULL THEN NULL ELSE
+           ts_headline('public.spanish_unaccent'::regconfig,
+                       replace(replace(replace(m.summary, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'),
+                       search_query, highlight_options)
+         END,
+         CASE WHEN m.description IS NULL THEN NULL ELSE
+           ts_headline('public.spanish_unaccent'::regconfig,
+                       replace(replace(replace(m.description, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'),
+                       search_query, highlight_options)
+         END
+    FROM matches m
+   ORDER BY m.match_rank DESC, m.id;
+END;
+$$;
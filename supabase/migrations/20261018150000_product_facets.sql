@@ -0,0 +1,90 @@
+-- =========================================================================
+-- 🌸 FloresYa - Catalog facet counts
+-- =========================================================================
+-- get_product_facets() counts the products behind each storefront filter.
+-- Each facet ignores its own selection and applies every other filter, so
+-- picking "Cumpleaños" still shows how many products the other occasions
+-- have, while the price buckets shrink to the birthday products.
+-- =========================================================================
+
+CREATE INDEX IF NOT EXISTS idx_product_occasions_occasion
+  ON public.product_occasions(occasion_id, product_id);
+
+CREATE OR REPLACE FUNCTION public.get_product_facets(
+  search_text text DEFAULT NULL,
+  occasion_ids integer[] DEFAULT NULL,
+  min_price numeric DEFAULT NULL,
+  max_price numeric DEFAULT NULL,
+  price_currency text DEFAULT 'USD',
+  in_stock boolean DEFAULT false,
+  featured boolean DEFAULT NULL,
+  only_active boolean DEFAULT true,
+  price_buckets jsonb DEFAULT '[]'::jsonb
+)
+RETURNS jsonb
+LANGUAGE sql
+STABLE
+AS $$
+  WITH base AS (
+    SELECT p.id, p.price_usd, p.price_ves
+      FROM public.products p
+     WHERE (NOT only_active OR p.active = true)
+       AND (NOT in_stock OR COALESCE(p.stock, 0) > 0)
+       AND (get_product_facets.featured IS NULL OR p.featured = get_product_facets.featured)
+       AND (
+         NULLIF(btrim(search_text), '') IS NULL
+         OR public.product_search_document(p.name, p.summary, p.description)
+            @@ public.product_search_query(search_text)
+       )
+  ),
+  price_filtered AS (
+    SELECT b.id
+      FROM base b
+     WHERE (min_price IS NULL OR
+            CASE WHEN upper(price_currency) = 'VES' THEN b.price_ves ELSE b.price_usd END >= min_price)
+       AND (max_price IS NULL OR
+            CASE WHEN upper(price_currency) = 'VES' THEN b.price_ves ELSE b.price_usd END <= max_price)
+  ),
+  occasion_filtered AS (
+    SELECT b.id, b.price_usd
+      FROM base b
+     WHERE COALESCE(cardinality(occasion_ids), 0) = 0
+        OR EXISTS (
+          SELECT 1 FROM public.product_occasions po
+           WHERE po.product_id = b.id
+             AND po.occasion_id = ANY (occasion_ids)
+        )
+  )
+  SELECT jsonb_build_object(
+    'occasions', COALESCE((
+      SELECT jsonb_agg(jsonb_build_object(
+               'id', o.id,
+               'name', o.name,
+               'slug', o.slug,
+               'count', (
+                 SELECT count(DISTINCT po.product_id)
+                   FROM public.product_occasions po
+                   JOIN price_filtered pf ON pf.id = po.product_id
+                  WHERE po.occasion_id = o.id
+               )
+             ) ORDER BY o.display_order NULLS LAST, o.name)
+        FROM public.occasions o
+       WHERE o.is_active = true
+    ), '[]'::jsonb),
+    'price_ranges', COALESCE((
+      SELECT jsonb_agg(jsonb_build_object(
+               'key', bucket->>'key',
+               'label', bucket->>'label',
+               'min', (bucket->>'min')::numeric,
+               'max', (bucket->>'max')::numeric,
+               'count', (
+                 SELECT count(*)
+                   FROM occasion_filtered ofl
+                  WHERE ofl.price_usd >= (bucket->>'min')::numeric
+                    AND (bucket->>'max' IS NULL OR ofl.price_usd < (bucket->>'max')::numeric)
+               )
+             ) ORDER BY ordinality)
+        FROM jsonb_array_elements(price_buckets) WITH ORDINALITY AS buckets(bucket, ordinality)
+    ), '[]'::jsonb)
+  );
+$$;
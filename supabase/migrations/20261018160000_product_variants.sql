@@ -0,0 +1,309 @@
+-- =========================================================================
+-- 🌸 FloresYa - Product variants
+-- =========================================================================
+-- A product can be sold in several variants (size, color, arrangement type),
+-- each with its own price, stock and SKU: "Ramo de rosas" → 12 / 24 rosas.
+--   * products.stock of a product with variants is the total stock of its
+--     active variants, kept in sync by a trigger so the inventory ledger,
+--     the in-stock filter and the facet counts keep working unchanged.
+--     Adjust the stock of those products through their variants.
+--   * order_items and stock_reservations record the variant that was bought,
+--     so cancellations give the stock back to the right variant.
+-- =========================================================================
+
+CREATE TABLE IF NOT EXISTS public.product_variants (
+  id SERIAL PRIMARY KEY,
+  product_id INTEGER NOT NULL REFERENCES public.products(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  size VARCHAR(50),
+  color VARCHAR(50),
+  arrangement_type VARCHAR(50),
+  sku VARCHAR(50) UNIQUE,
+  price_usd NUMERIC(10, 2) NOT NULL CHECK (price_usd > 0),
+  price_ves NUMERIC(14, 2) CHECK (price_ves > 0),
+  stock INTEGER NOT NULL DEFAULT 0 CHECK (stock >= 0),
+  active BOOLEAN NOT NULL DEFAULT true,
+  display_order INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_variants_product
+  ON public.product_variants(product_id, display_order);
+
+ALTER TABLE public.order_items
+  ADD COLUMN IF NOT EXISTS variant_id INTEGER REFERENCES public.product_variants(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS variant_name VARCHAR(100);
+
+ALTER TABLE public.stock_reservations
+  ADD COLUMN IF NOT EXISTS variant_id INTEGER REFERENCES public.product_variants(id);
+
+-- -------------------------------------------------------------------------
+-- sync_product_stock_from_variants: keep products.stock = Σ active variants
+-- Applied as a delta so concurrent orders on sibling variants serialize on
+-- the product row without losing each other's change. The first variant of
+-- a product replaces whatever stock the product had on its own.
+-- -------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.sync_product_stock_from_variants()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  old_units integer := 0;
+  new_units integer := 0;
+BEGIN
+  IF TG_OP IN ('UPDATE', 'DELETE') AND OLD.active THEN
+    old_units := OLD.stock;
+  END IF;
+  IF TG_OP IN ('INSERT', 'UPDATE') AND NEW.active THEN
+    new_units := NEW.stock;
+  END IF;
+
+  IF TG_OP = 'INSERT' AND NOT EXISTS (
+    SELECT 1 FROM public.product_variants v
+     WHERE v.product_id = NEW.product_id
+       AND v.id <> NEW.id
+  ) THEN
+    UPDATE public.products
+       SET stock = new_units, updated_at = now()
+     WHERE id = NEW.product_id;
+    RETURN NULL;
+  END IF;
+
+  IF new_units <> old_units THEN
+    UPDATE public.products
+       SET stock = stock + new_units - old_units,
+           updated_at = now()
+     WHERE id = COALESCE(NEW.product_id, OLD.product_id);
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS product_variants_sync_stock ON public.product_variants;
+CREATE TRIGGER product_variants_sync_stock
+  AFTER INSERT OR DELETE OR UPDATE OF stock, active ON public.product_variants
+  FOR EACH ROW
+  EXECUTE FUNCTION public.sync_product_stock_from_variants();
+
+-- -------------------------------------------------------------------------
+-- create_order_with_items: reserves variant stock when the item has one
+-- -------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.create_order_with_items(
+  order_data jsonb,
+  order_items jsonb[],
+  reservation_minutes integer DEFAULT 2880
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  new_order public.orders%ROWTYPE;
+  item jsonb;
+  reserved_product_id integer;
+  reserved_variant_id integer;
+  result jsonb;
+BEGIN
+  INSERT INTO public.orders (
+    user_id, customer_email, customer_name, customer_phone,
+    delivery_address, delivery_city, delivery_state, delivery_zip,
+    delivery_date, delivery_time_slot, delivery_notes,
+    status, total_amount_usd, total_amount_ves, currency_rate, notes, admin_notes
+  )
+  VALUES (
+    (order_data->>'user_id')::integer,
+    order_data->>'customer_email',
+    order_data->>'customer_name',
+    order_data->>'customer_phone',
+    order_data->>'delivery_address',
+    order_data->>'delivery_city',
+    order_data->>'delivery_state',
+    order_data->>'delivery_zip',
+    (order_data->>'delivery_date')::date,
+    order_data->>'delivery_time_slot',
+    order_data->>'delivery_notes',
+    COALESCE((order_data->>'status')::public.order_status, 'pending'),
+    (order_data->>'total_amount_usd')::numeric,
+    (order_data->>'total_amount_ves')::numeric,
+    (order_data->>'currency_rate')::numeric,
+    order_data->>'notes',
+    order_data->>'admin_notes'
+  )
+  RETURNING * INTO new_order;
+
+  PERFORM public.set_inventory_context(
+    'sale', new_order.id, 'Pedido #' || new_order.id, new_order.user_id
+  );
+
+  -- Lock rows in (product, variant) order so concurrent checkouts cannot deadlock
+  FOR item IN
+    SELECT value FROM unnest(order_items) AS value
+    ORDER BY (value->>'product_id')::integer, (value->>'variant_id')::integer NULLS FIRST
+  LOOP
+    reserved_variant_id := (item->>'variant_id')::integer;
+
+    IF reserved_variant_id IS NOT NULL THEN
+      -- The variant trigger moves products.stock along with it
+      UPDATE public.product_variants v
+         SET stock = v.stock - (item->>'quantity')::integer,
+             updated_at = now()
+       WHERE v.id = reserved_variant_id
+         AND v.product_id = (item->>'product_id')::integer
+         AND v.active = true
+         AND v.stock >= (item->>'quantity')::integer
+         AND EXISTS (
+           SELECT 1 FROM public.products p
+            WHERE p.id = v.product_id AND p.active = true
+         )
+      RETURNING v.product_id INTO reserved_product_id;
+    ELSE
+      UPDATE public.products
+         SET stock = stock - (item->>'quantity')::integer,
+             updated_at = now()
+       WHERE id = (item->>'product_id')::integer
+         AND active = true
+         AND stock >= (item->>'quantity')::integer
+      RETURNING id INTO reserved_product_id;
+    END IF;
+
+    IF reserved_product_id IS NULL THEN
+      RAISE EXCEPTION 'Insufficient stock for product %',
+        concat_ws(' - ', item->>'product_name', item->>'variant_name')
+        USING ERRCODE = 'check_violation';
+    END IF;
+
+    INSERT INTO public.order_items (
+      order_id, product_id, variant_id, product_name, variant_name, product_summary,
+      unit_price_usd, unit_price_ves, quantity, subtotal_usd, subtotal_ves
+    )
+    VALUES (
+      new_order.id,
+      reserved_product_id,
+      reserved_variant_id,
+      item->>'product_name',
+      item->>'variant_name',
+      item->>'product_summary',
+      (item->>'unit_price_usd')::numeric,
+      (item->>'unit_price_ves')::numeric,
+      (item->>'quantity')::integer,
+      (item->>'subtotal_usd')::numeric,
+      (item->>'subtotal_ves')::numeric
+    );
+
+    INSERT INTO public.stock_reservations (order_id, product_id, variant_id, quantity, expires_at)
+    VALUES (
+      new_order.id,
+      reserved_product_id,
+      reserved_variant_id,
+      (item->>'quantity')::integer,
+      now() + make_interval(mins => reservation_minutes)
+    );
+
+    reserved_product_id := NULL;
+  END LOOP;
+
+  PERFORM public.set_inventory_context(NULL);
+
+  INSERT INTO public.order_status_history (order_id, old_status, new_status, notes)
+  VALUES (new_order.id, NULL, new_order.status, 'Pedido creado');
+
+  SELECT to_jsonb(new_order) || jsonb_build_object(
+           'items', COALESCE(jsonb_agg(to_jsonb(oi) ORDER BY oi.id), '[]'::jsonb)
+         )
+    INTO result
+    FROM public.order_items oi
+   WHERE oi.order_id = new_order.id;
+
+  RETURN result;
+END;
+$$;
+
+-- -------------------------------------------------------------------------
+-- update_order_status_with_history: cancelled variant items go back to
+-- their variant, everything else to the product as before
+-- -------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.update_order_status_with_history(
+  order_id integer,
+  new_status public.order_status,
+  notes text DEFAULT NULL,
+  changed_by integer DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  target_id integer := update_order_status_with_history.order_id;
+  previous_status public.order_status;
+  updated_order public.orders%ROWTYPE;
+BEGIN
+  SELECT o.status INTO previous_status
+    FROM public.orders o
+   WHERE o.id = target_id
+   FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Order % not found', target_id USING ERRCODE = 'no_data_found';
+  END IF;
+
+  UPDATE public.orders o
+     SET status = new_status,
+         updated_at = now()
+   WHERE o.id = target_id
+  RETURNING * INTO updated_order;
+
+  INSERT INTO public.order_status_history (order_id, old_status, new_status, notes, changed_by)
+  VALUES (target_id, previous_status, new_status,
+          update_order_status_with_history.notes,
+          update_order_status_with_history.changed_by);
+
+  IF new_status = 'verified' THEN
+    UPDATE public.stock_reservations r
+       SET status = 'committed', updated_at = now()
+     WHERE r.order_id = target_id
+       AND r.status = 'reserved';
+  ELSIF new_status = 'cancelled' THEN
+    PERFORM public.set_inventory_context(
+      'cancellation', target_id,
+      COALESCE(update_order_status_with_history.notes, 'Pedido #' || target_id || ' cancelado'),
+      update_order_status_with_history.changed_by
+    );
+
+    -- Cancelled orders never leave the shop, so committed stock goes back too
+    UPDATE public.product_variants v
+       SET stock = v.stock + released.quantity,
+           updated_at = now()
+      FROM (
+        SELECT r.variant_id, SUM(r.quantity) AS quantity
+          FROM public.stock_reservations r
+         WHERE r.order_id = target_id
+           AND r.variant_id IS NOT NULL
+           AND r.status IN ('reserved', 'committed')
+         GROUP BY r.variant_id
+      ) AS released
+     WHERE v.id = released.variant_id;
+
+    UPDATE public.products p
+       SET stock = p.stock + released.quantity,
+           updated_at = now()
+      FROM (
+        SELECT r.product_id, SUM(r.quantity) AS quantity
+          FROM public.stock_reservations r
+         WHERE r.order_id = target_id
+           AND r.variant_id IS NULL
+           AND r.status IN ('reserved', 'committed')
+         GROUP BY r.product_id
+      ) AS released
+     WHERE p.id = released.product_id;
+
+    PERFORM public.set_inventory_context(NULL);
+
+    UPDATE public.stock_reservations r
+       SET status = 'released', updated_at = now()
+     WHERE r.order_id = target_id
+       AND r.status IN ('reserved', 'committed');
+  END IF;
+
+  RETURN to_jsonb(updated_order);
+END;
+$$;
@@ -0,0 +1,339 @@
+-- =========================================================================
+-- 🌸 FloresYa - Gift add-ons
+-- =========================================================================
+-- Chocolates, balloons, teddy bears, vases and printed cards that customers
+-- attach to any bouquet in the cart. Add-ons are their own catalog with
+-- their own price and stock, and are not tied to a particular product.
+--   * Each attached add-on is stored as a child line in order_items:
+--     parent_item_id points at the bouquet line, addon_id at the add-on and
+--     product_id stays NULL, so product reports keep counting only bouquets.
+--   * Add-on stock is reserved and released with the order, through
+--     stock_reservations rows that carry addon_id instead of product_id.
+-- =========================================================================
+
+CREATE TABLE IF NOT EXISTS public.product_addons (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  type VARCHAR(20) NOT NULL DEFAULT 'other'
+    CHECK (type IN ('chocolate', 'balloon', 'teddy_bear', 'vase', 'card', 'other')),
+  sku VARCHAR(50) UNIQUE,
+  price_usd NUMERIC(10, 2) NOT NULL CHECK (price_usd > 0),
+  price_ves NUMERIC(14, 2) CHECK (price_ves > 0),
+  stock INTEGER NOT NULL DEFAULT 0 CHECK (stock >= 0),
+  image_url TEXT,
+  active BOOLEAN NOT NULL DEFAULT true,
+  display_order INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_addons_active
+  ON public.product_addons(display_order)
+  WHERE active = true;
+
+ALTER TABLE public.order_items
+  ADD COLUMN IF NOT EXISTS parent_item_id INTEGER REFERENCES public.order_items(id) ON DELETE CASCADE,
+  ADD COLUMN IF NOT EXISTS addon_id INTEGER REFERENCES public.product_addons(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_order_items_parent
+  ON public.order_items(parent_item_id)
+  WHERE parent_item_id IS NOT NULL;
+
+ALTER TABLE public.stock_reservations
+  ALTER COLUMN product_id DROP NOT NULL,
+  ADD COLUMN IF NOT EXISTS addon_id INTEGER REFERENCES public.product_addons(id),
+  ADD CONSTRAINT stock_reservations_item_check
+    CHECK ((product_id IS NULL) <> (addon_id IS NULL));
+
+-- -------------------------------------------------------------------------
+-- create_order_with_items: each item may carry an "addons" array that is
+-- inserted as child lines right after it. Add-on stock is reserved once all
+-- products are locked, summed per add-on and in add-on order, so concurrent
+-- checkouts cannot deadlock.
+-- -------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.create_order_with_items(
+  order_data jsonb,
+  order_items jsonb[],
+  reservation_minutes integer DEFAULT 2880
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  new_order public.orders%ROWTYPE;
+  item jsonb;
+  addon jsonb;
+  parent_line_id integer;
+  reserved_product_id integer;
+  reserved_variant_id integer;
+  addon_total record;
+  result jsonb;
+BEGIN
+  INSERT INTO public.orders (
+    user_id, customer_email, customer_name, customer_phone,
+    delivery_address, delivery_city, delivery_state, delivery_zip,
+    delivery_date, delivery_time_slot, delivery_notes,
+    status, total_amount_usd, total_amount_ves, currency_rate, notes, admin_notes
+  )
+  VALUES (
+    (order_data->>'user_id')::integer,
+    order_data->>'customer_email',
+    order_data->>'customer_name',
+    order_data->>'customer_phone',
+    order_data->>'delivery_address',
+    order_data->>'delivery_city',
+    order_data->>'delivery_state',
+    order_data->>'delivery_zip',
+    (order_data->>'delivery_date')::date,
+    order_data->>'delivery_time_slot',
+    order_data->>'delivery_notes',
+    COALESCE((order_data->>'status')::public.order_status, 'pending'),
+    (order_data->>'total_amount_usd')::numeric,
+    (order_data->>'total_amount_ves')::numeric,
+    (order_data->>'currency_rate')::numeric,
+    order_data->>'notes',
+    order_data->>'admin_notes'
+  )
+  RETURNING * INTO new_order;
+
+  PERFORM public.set_inventory_context(
+    'sale', new_order.id, 'Pedido #' || new_order.id, new_order.user_id
+  );
+
+  -- Lock rows in (product, variant) order so concurrent checkouts cannot deadlock
+  FOR item IN
+    SELECT value FROM unnest(order_items) AS value
+    ORDER BY (value->>'product_id')::integer, (value->>'variant_id')::integer NULLS FIRST
+  LOOP
+    reserved_variant_id := (item->>'variant_id')::integer;
+
+    IF reserved_variant_id IS NOT NULL THEN
+      -- The variant trigger moves products.stock along with it
+      UPDATE public.product_variants v
+         SET stock = v.stock - (item->>'quantity')::integer,
+             updated_at = now()
+       WHERE v.id = reserved_variant_id
+         AND v.product_id = (item->>'product_id')::integer
+         AND v.active = true
+         AND v.stock >= (item->>'quantity')::integer
+         AND EXISTS (
+           SELECT 1 FROM public.products p
+            WHERE p.id = v.product_id AND p.active = true
+         )
+      RETURNING v.product_id INTO reserved_product_id;
+    ELSE
+      UPDATE public.products
+         SET stock = stock - (item->>'quantity')::integer,
+             updated_at = now()
+       WHERE id = (item->>'product_id')::integer
+         AND active = true
+         AND stock >= (item->>'quantity')::integer
+      RETURNING id INTO reserved_product_id;
+    END IF;
+
+    IF reserved_product_id IS NULL THEN
+      RAISE EXCEPTION 'Insufficient stock for product %',
+        concat_ws(' - ', item->>'product_name', item->>'variant_name')
+        USING ERRCODE = 'check_violation';
+    END IF;
+
+    INSERT INTO public.order_items (
+      order_id, product_id, variant_id, product_name, variant_name, product_summary,
+      unit_price_usd, unit_price_ves, quantity, subtotal_usd, subtotal_ves
+    )
+    VALUES (
+      new_order.id,
+      reserved_product_id,
+      reserved_variant_id,
+      item->>'product_name',
+      item->>'variant_name',
+      item->>'product_summary',
+      (item->>'unit_price_usd')::numeric,
+      (item->>'unit_price_ves')::numeric,
+      (item->>'quantity')::integer,
+      (item->>'subtotal_usd')::numeric,
+      (item->>'subtotal_ves')::numeric
+    )
+    RETURNING id INTO parent_line_id;
+
+    INSERT INTO public.stock_reservations (order_id, product_id, variant_id, quantity, expires_at)
+    VALUES (
+      new_order.id,
+      reserved_product_id,
+      reserved_variant_id,
+      (item->>'quantity')::integer,
+      now() + make_interval(mins => reservation_minutes)
+    );
+
+    FOR addon IN
+      SELECT value FROM jsonb_array_elements(COALESCE(item->'addons', '[]'::jsonb)) AS value
+    LOOP
+      INSERT INTO public.order_items (
+        order_id, parent_item_id, addon_id, product_name,
+        unit_price_usd, unit_price_ves, quantity, subtotal_usd, subtotal_ves
+      )
+      VALUES (
+        new_order.id,
+        parent_line_id,
+        (addon->>'addon_id')::integer,
+        addon->>'product_name',
+        (addon->>'unit_price_usd')::numeric,
+        (addon->>'unit_price_ves')::numeric,
+        (addon->>'quantity')::integer,
+        (addon->>'subtotal_usd')::numeric,
+        (addon->>'subtotal_ves')::numeric
+      );
+    END LOOP;
+
+    reserved_product_id := NULL;
+  END LOOP;
+
+  PERFORM public.set_inventory_context(NULL);
+
+  FOR addon_total IN
+    SELECT (extra.value->>'addon_id')::integer AS addon_id,
+           min(extra.value->>'product_name') AS addon_name,
+           SUM((extra.value->>'quantity')::integer)::integer AS quantity
+      FROM unnest(order_items) AS line(value),
+           jsonb_array_elements(COALESCE(line.value->'addons', '[]'::jsonb)) AS extra(value)
+     GROUP BY 1
+     ORDER BY 1
+  LOOP
+    UPDATE public.product_addons a
+       SET stock = a.stock - addon_total.quantity,
+           updated_at = now()
+     WHERE a.id = addon_total.addon_id
+       AND a.active = true
+       AND a.stock >= addon_total.quantity;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Insufficient stock for add-on %', addon_total.addon_name
+        USING ERRCODE = 'check_violation';
+    END IF;
+
+    INSERT INTO public.stock_reservations (order_id, addon_id, quantity, expires_at)
+    VALUES (
+      new_order.id,
+      addon_total.addon_id,
+      addon_total.quantity,
+      now() + make_interval(mins => reservation_minutes)
+    );
+  END LOOP;
+
+  INSERT INTO public.order_status_history (order_id, old_status, new_status, notes)
+  VALUES (new_order.id, NULL, new_order.status, 'Pedido creado');
+
+  SELECT to_jsonb(new_order) || jsonb_build_object(
+           'items', COALESCE(jsonb_agg(to_jsonb(oi) ORDER BY oi.id), '[]'::jsonb)
+         )
+    INTO result
+    FROM public.order_items oi
+   WHERE oi.order_id = new_order.id;
+
+  RETURN result;
+END;
+$$;
+
+-- -------------------------------------------------------------------------
+-- update_order_status_with_history: cancelled add-ons go back to the
+-- add-on catalog alongside the variant and product stock
+-- -------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.update_order_status_with_history(
+  order_id integer,
+  new_status public.order_status,
+  notes text DEFAULT NULL,
+  changed_by integer DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  target_id integer := update_order_status_with_history.order_id;
+  previous_status public.order_status;
+  updated_order public.orders%ROWTYPE;
+BEGIN
+  SELECT o.status INTO previous_status
+    FROM public.orders o
+   WHERE o.id = target_id
+   FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Order % not found', target_id USING ERRCODE = 'no_data_found';
+  END IF;
+
+  UPDATE public.orders o
+     SET status = new_status,
+         updated_at = now()
+   WHERE o.id = target_id
+  RETURNING * INTO updated_order;
+
+  INSERT INTO public.order_status_history (order_id, old_status, new_status, notes, changed_by)
+  VALUES (target_id, previous_status, new_status,
+          update_order_status_with_history.notes,
+          update_order_status_with_history.changed_by);
+
+  IF new_status = 'verified' THEN
+    UPDATE public.stock_reservations r
+       SET status = 'committed', updated_at = now()
+     WHERE r.order_id = target_id
+       AND r.status = 'reserved';
+  ELSIF new_status = 'cancelled' THEN
+    PERFORM public.set_inventory_context(
+      'cancellation', target_id,
+      COALESCE(update_order_status_with_history.notes, 'Pedido #' || target_id || ' cancelado'),
+      update_order_status_with_history.changed_by
+    );
+
+    -- Cancelled orders never leave the shop, so committed stock goes back too
+    UPDATE public.product_variants v
+       SET stock = v.stock + released.quantity,
+           updated_at = now()
+      FROM (
+        SELECT r.variant_id, SUM(r.quantity) AS quantity
+          FROM public.stock_reservations r
+         WHERE r.order_id = target_id
+           AND r.variant_id IS NOT NULL
+           AND r.status IN ('reserved', 'committed')
+         GROUP BY r.variant_id
+      ) AS released
+     WHERE v.id = released.variant_id;
+
+    UPDATE public.products p
+       SET stock = p.stock + released.quantity,
+           updated_at = now()
+      FROM (
+        SELECT r.product_id, SUM(r.quantity) AS quantity
+          FROM public.stock_reservations r
+         WHERE r.order_id = target_id
+           AND r.product_id IS NOT NULL
+           AND r.variant_id IS NULL
+           AND r.status IN ('reserved', 'committed')
+         GROUP BY r.product_id
+      ) AS released
+     WHERE p.id = released.product_id;
+
+    UPDATE public.product_addons a
+       SET stock = a.stock + released.quantity,
+           updated_at = now()
+      FROM (
+        SELECT r.addon_id, SUM(r.quantity) AS quantity
+          FROM public.stock_reservations r
+         WHERE r.order_id = target_id
+           AND r.addon_id IS NOT NULL
+           AND r.status IN ('reserved', 'committed')
+         GROUP BY r.addon_id
+      ) AS released
+     WHERE a.id = released.addon_id;
+
+    PERFORM public.set_inventory_context(NULL);
+
+    UPDATE public.stock_reservations r
+       SET status = 'released', updated_at = now()
+     WHERE r.order_id = target_id
+       AND r.status IN ('reserved', 'committed');
+  END IF;
+
+  RETURN to_jsonb(updated_order);
+END;
+$$;
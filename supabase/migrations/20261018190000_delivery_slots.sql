@@ -0,0 +1,401 @@
+-- =========================================================================
+-- 🌸 FloresYa - Delivery slots, capacity and same-day cutoff
+-- =========================================================================
+-- orders.delivery_date / delivery_time_slot used to accept anything.
+--   * delivery_slots: the time windows offered on each weekday, with the
+--     maximum number of orders each one takes and, optionally, the last
+--     time (America/Caracas) a same-day order can still get it.
+--   * delivery_blackout_dates: days without deliveries (holidays, stock-take).
+--   * get_delivery_availability() feeds the checkout calendar and
+--     create_order_with_items() rejects a full, past or closed slot in the
+--     same transaction that creates the order.
+-- Cancelled orders, including pending ones whose stock hold expired, give
+-- their place in the slot back.
+-- =========================================================================
+
+CREATE TABLE IF NOT EXISTS public.delivery_slots (
+  id SERIAL PRIMARY KEY,
+  weekday SMALLINT NOT NULL CHECK (weekday BETWEEN 0 AND 6), -- 0 = domingo, as extract(dow)
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  label VARCHAR(11) GENERATED ALWAYS AS (left(start_time::text, 5) || '-' || left(end_time::text, 5)) STORED,
+  capacity INTEGER NOT NULL CHECK (capacity > 0),
+  same_day_cutoff TIME, -- NULL: the slot is never sold for the same day
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK (end_time > start_time),
+  CHECK (same_day_cutoff IS NULL OR same_day_cutoff <= start_time),
+  UNIQUE (weekday, start_time, end_time)
+);
+
+CREATE TABLE IF NOT EXISTS public.delivery_blackout_dates (
+  blackout_date DATE PRIMARY KEY,
+  reason VARCHAR(200),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_orders_delivery_slot
+  ON public.orders(delivery_date, delivery_time_slot)
+  WHERE status <> 'cancelled';
+
+-- The three windows checkout offered so far, Monday to Saturday, plus Sunday mornings
+INSERT INTO public.delivery_slots (weekday, start_time, end_time, capacity, same_day_cutoff)
+SELECT weekday, start_time, end_time, 10, cutoff
+  FROM generate_series(1, 6) AS weekday,
+       (VALUES ('09:00'::time, '12:00'::time, NULL::time),
+               ('12:00'::time, '15:00'::time, '10:00'::time),
+               ('15:00'::time, '18:00'::time, '13:00'::time)) AS windows(start_time, end_time, cutoff)
+UNION ALL
+SELECT 0, '09:00', '12:00', 5, NULL
+ON CONFLICT (weekday, start_time, end_time) DO NOTHING;
+
+-- -------------------------------------------------------------------------
+-- Shop time: every cutoff and "today" is Caracas time, whatever the server uses
+-- -------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.delivery_local_now()
+RETURNS timestamp
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT now() AT TIME ZONE 'America/Caracas'
+$$;
+
+-- -------------------------------------------------------------------------
+-- delivery_slot_unavailable_reason: why a slot cannot be sold on a day
+-- ('blackout', 'past', 'cutoff' or 'full'), NULL when it can. Shared by the
+-- availability calendar and the order transaction so both always agree.
+-- -------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.delivery_slot_unavailable_reason(
+  delivery_day date,
+  slot public.delivery_slots,
+  booked integer,
+  local_now timestamp DEFAULT public.delivery_local_now()
+)
+RETURNS text
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT CASE
+    WHEN EXISTS (
+      SELECT 1 FROM public.delivery_blackout_dates b WHERE b.blackout_date = delivery_day
+    ) THEN 'blackout'
+    WHEN delivery_day < local_now::date THEN 'past'
+    WHEN delivery_day = local_now::date
+     AND (slot.same_day_cutoff IS NULL OR local_now::time >= slot.same_day_cutoff) THEN 'cutoff'
+    WHEN booked >= slot.capacity THEN 'full'
+  END
+$$;
+
+-- -------------------------------------------------------------------------
+-- get_delivery_availability: every day from start_date (today by default)
+-- with its slots, how many orders each holds and whether it can be chosen
+-- -------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.get_delivery_availability(
+  start_date date DEFAULT NULL,
+  days integer DEFAULT 14
+)
+RETURNS jsonb
+LANGUAGE sql
+STABLE
+AS $$
+  WITH local AS (
+    SELECT public.delivery_local_now() AS now_at
+  ),
+  calendar AS (
+    SELECT d::date AS day
+      FROM local,
+           generate_series(
+             COALESCE(start_date, local.now_at::date),
+             COALESCE(start_date, local.now_at::date) + (days - 1),
+             interval '1 day'
+           ) AS d
+  ),
+  booked AS (
+    SELECT o.delivery_date::date AS day, o.delivery_time_slot AS label, count(*)::integer AS orders
+      FROM public.orders o
+     WHERE o.status <> 'cancelled'
+       AND o.delivery_date::date IN (SELECT day FROM calendar)
+     GROUP BY 1, 2
+  )
+  SELECT COALESCE(jsonb_agg(jsonb_build_object(
+           'date', c.day,
+           'weekday', extract(dow FROM c.day)::integer,
+           'blackout_reason', bd.reason,
+           'slots', COALESCE((
+             SELECT jsonb_agg(jsonb_build_object(
+                      'id', s.id,
+                      'label', s.label,
+                      'start_time', left(s.start_time::text, 5),
+                      'end_time', left(s.end_time::text, 5),
+                      'capacity', s.capacity,
+                      'booked', COALESCE(b.orders, 0),
+                      'remaining', greatest(s.capacity - COALESCE(b.orders, 0), 0),
+                      'unavailable_reason', public.delivery_slot_unavailable_reason(c.day, s, COALESCE(b.orders, 0), l.now_at)
+                    ) ORDER BY s.start_time)
+               FROM public.delivery_slots s
+               LEFT JOIN booked b ON b.day = c.day AND b.label = s.label
+              WHERE s.weekday = extract(dow FROM c.day)
+                AND s.active = true
+           ), '[]'::jsonb)
+         ) ORDER BY c.day), '[]'::jsonb)
+    FROM calendar c
+   CROSS JOIN local l
+    LEFT JOIN public.delivery_blackout_dates bd ON bd.blackout_date = c.day
+$$;
+
+-- -------------------------------------------------------------------------
+-- reserve_delivery_slot: raises unless the slot can take one more order.
+-- Locking the slot row serializes checkouts for it, so the count below
+-- cannot be overtaken before the caller inserts its order.
+-- -------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.reserve_delivery_slot(
+  delivery_day date,
+  slot_label text
+)
+RETURNS void
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  slot public.delivery_slots%ROWTYPE;
+  booked integer;
+  reason text;
+BEGIN
+  IF delivery_day IS NULL AND slot_label IS NULL THEN
+    RETURN;
+  END IF;
+
+  IF delivery_day IS NULL OR slot_label IS NULL THEN
+    RAISE EXCEPTION 'Delivery slot unavailable: choose both a delivery date and a time slot'
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  SELECT * INTO slot
+    FROM public.delivery_slots s
+   WHERE s.weekday = extract(dow FROM delivery_day)
+     AND s.label = slot_label
+     AND s.active = true
+   FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Delivery slot unavailable: % is not offered on %', slot_label, delivery_day
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  SELECT count(*)::integer INTO booked
+    FROM public.orders o
+   WHERE o.delivery_date::date = delivery_day
+     AND o.delivery_time_slot = slot_label
+     AND o.status <> 'cancelled';
+
+  reason := public.delivery_slot_unavailable_reason(delivery_day, slot, booked);
+
+  IF reason IS NOT NULL THEN
+    RAISE EXCEPTION 'Delivery slot unavailable: % on % is %', slot_label, delivery_day,
+      CASE reason
+        WHEN 'blackout' THEN 'a day without deliveries'
+        WHEN 'past' THEN 'in the past'
+        WHEN 'cutoff' THEN 'past the same-day cutoff'
+        ELSE 'fully booked'
+      END
+      USING ERRCODE = 'check_violation';
+  END IF;
+END;
+$$;
+
+-- -------------------------------------------------------------------------
+-- create_order_with_items: checks and takes a place in the delivery slot
+-- -------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.create_order_with_items(
+  order_data jsonb,
+  order_items jsonb[],
+  reservation_minutes integer DEFAULT 2880
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  new_order public.orders%ROWTYPE;
+  item jsonb;
+  addon jsonb;
+  parent_line_id integer;
+  reserved_product_id integer;
+  reserved_variant_id integer;
+  addon_total record;
+  result jsonb;
+BEGIN
+  -- Before the insert, so the new order is not counted against its own slot
+  PERFORM public.reserve_delivery_slot(
+    (order_data->>'delivery_date')::date,
+    NULLIF(btrim(order_data->>'delivery_time_slot'), '')
+  );
+
+  INSERT INTO public.orders (
+    user_id, customer_email, customer_name, customer_phone,
+    delivery_address, delivery_city, delivery_state, delivery_zip,
+    delivery_date, delivery_time_slot, delivery_notes,
+    recipient_name, recipient_phone, is_anonymous, card_message,
+    status, total_amount_usd, total_amount_ves, currency_rate, notes, admin_notes
+  )
+  VALUES (
+    (order_data->>'user_id')::integer,
+    order_data->>'customer_email',
+    order_data->>'customer_name',
+    order_data->>'customer_phone',
+    order_data->>'delivery_address',
+    order_data->>'delivery_city',
+    order_data->>'delivery_state',
+    order_data->>'delivery_zip',
+    (order_data->>'delivery_date')::date,
+    order_data->>'delivery_time_slot',
+    order_data->>'delivery_notes',
+    order_data->>'recipient_name',
+    order_data->>'recipient_phone',
+    COALESCE((order_data->>'is_anonymous')::boolean, false),
+    NULLIF(btrim(order_data->>'card_message'), ''),
+    COALESCE((order_data->>'status')::public.order_status, 'pending'),
+    (order_data->>'total_amount_usd')::numeric,
+    (order_data->>'total_amount_ves')::numeric,
+    (order_data->>'currency_rate')::numeric,
+    order_data->>'notes',
+    order_data->>'admin_notes'
+  )
+  RETURNING * INTO new_order;
+
+  PERFORM public.set_inventory_context(
+    'sale', new_order.id, 'Pedido #' || new_order.id, new_order.user_id
+  );
+
+  -- Lock rows in (product, variant) order so concurrent checkouts cannot deadlock
+  FOR item IN
+    SELECT value FROM unnest(order_items) AS value
+    ORDER BY (value->>'product_id')::integer, (value->>'variant_id')::integer NULLS FIRST
+  LOOP
+    reserved_variant_id := (item->>'variant_id')::integer;
+
+    IF reserved_variant_id IS NOT NULL THEN
+      -- The variant trigger moves products.stock along with it
+      UPDATE public.product_variants v
+         SET stock = v.stock - (item->>'quantity')::integer,
+             updated_at = now()
+       WHERE v.id = reserved_variant_id
+         AND v.product_id = (item->>'product_id')::integer
+         AND v.active = true
+         AND v.stock >= (item->>'quantity')::integer
+         AND EXISTS (
+           SELECT 1 FROM public.products p
+            WHERE p.id = v.product_id AND p.active = true
+         )
+      RETURNING v.product_id INTO reserved_product_id;
+    ELSE
+      UPDATE public.products
+         SET stock = stock - (item->>'quantity')::integer,
+             updated_at = now()
+       WHERE id = (item->>'product_id')::integer
+         AND active = true
+         AND stock >= (item->>'quantity')::integer
+      RETURNING id INTO reserved_product_id;
+    END IF;
+
+    IF reserved_product_id IS NULL THEN
+      RAISE EXCEPTION 'Insufficient stock for product %',
+        concat_ws(' - ', item->>'product_name', item->>'variant_name')
+        USING ERRCODE = 'check_violation';
+    END IF;
+
+    INSERT INTO public.order_items (
+      order_id, product_id, variant_id, product_name, variant_name, product_summary,
+      unit_price_usd, unit_price_ves, quantity, subtotal_usd, subtotal_ves
+    )
+    VALUES (
+      new_order.id,
+      reserved_product_id,
+      reserved_variant_id,
+      item->>'product_name',
+      item->>'variant_name',
+      item->>'product_summary',
+      (item->>'unit_price_usd')::numeric,
+      (item->>'unit_price_ves')::numeric,
+      (item->>'quantity')::integer,
+      (item->>'subtotal_usd')::numeric,
+      (item->>'subtotal_ves')::numeric
+    )
+    RETURNING id INTO parent_line_id;
+
+    INSERT INTO public.stock_reservations (order_id, product_id, variant_id, quantity, expires_at)
+    VALUES (
+      new_order.id,
+      reserved_product_id,
+      reserved_variant_id,
+      (item->>'quantity')::integer,
+      now() + make_interval(mins => reservation_minutes)
+    );
+
+    FOR addon IN
+      SELECT value FROM jsonb_array_elements(COALESCE(item->'addons', '[]'::jsonb)) AS value
+    LOOP
+      INSERT INTO public.order_items (
+        order_id, parent_item_id, addon_id, product_name,
+        unit_price_usd, unit_price_ves, quantity, subtotal_usd, subtotal_ves
+      )
+      VALUES (
+        new_order.id,
+        parent_line_id,
+        (addon->>'addon_id')::integer,
+        addon->>'product_name',
+        (addon->>'unit_price_usd')::numeric,
+        (addon->>'unit_price_ves')::numeric,
+        (addon->>'quantity')::integer,
+        (addon->>'subtotal_usd')::numeric,
+        (addon->>'subtotal_ves')::numeric
+      );
+    END LOOP;
+
+    reserved_product_id := NULL;
+  END LOOP;
+
+  PERFORM public.set_inventory_context(NULL);
+
+  FOR addon_total IN
+    SELECT (extra.value->>'addon_id')::integer AS addon_id,
+           min(extra.value->>'product_name') AS addon_name,
+           SUM((extra.value->>'quantity')::integer)::integer AS quantity
+      FROM unnest(order_items) AS line(value),
+           jsonb_array_elements(COALESCE(line.value->'addons', '[]'::jsonb)) AS extra(value)
+     GROUP BY 1
+     ORDER BY 1
+  LOOP
+    UPDATE public.product_addons a
+       SET stock = a.stock - addon_total.quantity,
+           updated_at = now()
+     WHERE a.id = addon_total.addon_id
+       AND a.active = true
+       AND a.stock >= addon_total.quantity;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Insufficient stock for add-on %', addon_total.addon_name
+        USING ERRCODE = 'check_violation';
+    END IF;
+
+    INSERT INTO public.stock_reservations (order_id, addon_id, quantity, expires_at)
+    VALUES (
+      new_order.id,
+      addon_total.addon_id,
+      addon_total.quantity,
+      now() + make_interval(mins => reservation_minutes)
+    );
+  END LOOP;
+
+  INSERT INTO public.order_status_history (order_id, old_status, new_status, notes)
+  VALUES (new_order.id, NULL, new_order.status, 'Pedido creado');
+
+  SELECT to_jsonb(new_order) || jsonb_build_object(
+           'items', COALESCE(jsonb_agg(to_jsonb(oi) ORDER BY oi.id), '[]'::jsonb)
+         )
+    INTO result
+    FROM public.order_items oi
+   WHERE oi.order_id = new_order.id;
+
+  RETURN result;
+END;
+$$;
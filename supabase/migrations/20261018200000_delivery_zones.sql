@@ -0,0 +1,240 @@
+-- =========================================================================
+-- 🌸 FloresYa - Delivery zones and delivery fee
+-- =========================================================================
+-- Order totals used to cover the products only, wherever they went.
+--   * delivery_zones: the cities and municipalities of a state the shop
+--     delivers to, with the fee charged, the minimum order and the weekdays
+--     the zone is served.
+--   * orders.delivery_zone_id / delivery_fee_usd: the zone an order matched
+--     and the fee it paid, already included in total_amount_usd.
+-- OrderService matches the address against the active zones and prices the
+-- fee; create_order_with_items() stores what it was given.
+-- =========================================================================
+
+CREATE TABLE IF NOT EXISTS public.delivery_zones (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL UNIQUE,
+  state VARCHAR(100) NOT NULL,
+  localities TEXT[] NOT NULL CHECK (cardinality(localities) > 0), -- cities and municipalities
+  fee_usd NUMERIC(10,2) NOT NULL DEFAULT 0 CHECK (fee_usd >= 0),
+  min_order_usd NUMERIC(10,2) NOT NULL DEFAULT 0 CHECK (min_order_usd >= 0),
+  delivery_weekdays SMALLINT[] NOT NULL DEFAULT '{0,1,2,3,4,5,6}' -- 0 = domingo, as delivery_slots.weekday
+    CHECK (cardinality(delivery_weekdays) > 0 AND delivery_weekdays <@ '{0,1,2,3,4,5,6}'::smallint[]),
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+ALTER TABLE public.orders
+  ADD COLUMN IF NOT EXISTS delivery_zone_id INTEGER REFERENCES public.delivery_zones(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS delivery_fee_usd NUMERIC(10,2) NOT NULL DEFAULT 0 CHECK (delivery_fee_usd >= 0);
+
+CREATE INDEX IF NOT EXISTS idx_orders_delivery_zone ON public.orders(delivery_zone_id);
+
+-- Greater Caracas, where the shop has delivered so far
+INSERT INTO public.delivery_zones (name, state, localities, fee_usd, min_order_usd, delivery_weekdays)
+VALUES
+  ('Caracas', 'Distrito Capital', '{Caracas,Libertador}', 3, 0, '{0,1,2,3,4,5,6}'),
+  ('Caracas Este', 'Miranda', '{Chacao,Baruta,Sucre,El Hatillo,Petare}', 5, 0, '{0,1,2,3,4,5,6}'),
+  ('Altos Mirandinos', 'Miranda', '{Los Teques,Guaicaipuro,San Antonio de los Altos,Los Salias,Carrizal}', 10, 40, '{2,4,6}')
+ON CONFLICT (name) DO NOTHING;
+
+-- -------------------------------------------------------------------------
+-- create_order_with_items: stores the delivery zone and fee of the quote
+-- -------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.create_order_with_items(
+  order_data jsonb,
+  order_items jsonb[],
+  reservation_minutes integer DEFAULT 2880
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  new_order public.orders%ROWTYPE;
+  item jsonb;
+  addon jsonb;
+  parent_line_id integer;
+  reserved_product_id integer;
+  reserved_variant_id integer;
+  addon_total record;
+  result jsonb;
+BEGIN
+  -- Before the insert, so the new order is not counted against its own slot
+  PERFORM public.reserve_delivery_slot(
+    (order_data->>'delivery_date')::date,
+    NULLIF(btrim(order_data->>'delivery_time_slot'), '')
+  );
+
+  INSERT INTO public.orders (
+    user_id, customer_email, customer_name, customer_phone,
+    delivery_address, delivery_city, delivery_state, delivery_zip,
+    delivery_date, delivery_time_slot, delivery_notes,
+    recipient_name, recipient_phone, is_anonymous, card_message,
+    delivery_zone_id, delivery_fee_usd,
+    status, total_amount_usd, total_amount_ves, currency_rate, notes, admin_notes
+  )
+  VALUES (
+    (order_data->>'user_id')::integer,
+    order_data->>'customer_email',
+    order_data->>'customer_name',
+    order_data->>'customer_phone',
+    order_data->>'delivery_address',
+    order_data->>'delivery_city',
+    order_data->>'delivery_state',
+    order_data->>'delivery_zip',
+    (order_data->>'delivery_date')::date,
+    order_data->>'delivery_time_slot',
+    order_data->>'delivery_notes',
+    order_data->>'recipient_name',
+    order_data->>'recipient_phone',
+    COALESCE((order_data->>'is_anonymous')::boolean, false),
+    NULLIF(btrim(order_data->>'card_message'), ''),
+    (order_data->>'delivery_zone_id')::integer,
+    COALESCE((order_data->>'delivery_fee_usd')::numeric, 0),
+    COALESCE((order_data->>'status')::public.order_status, 'pending'),
+    (order_data->>'total_amount_usd')::numeric,
+    (order_data->>'total_amount_ves')::numeric,
+    (order_data->>'currency_rate')::numeric,
+    order_data->>'notes',
+    order_data->>'admin_notes'
+  )
+  RETURNING * INTO new_order;
+
+  PERFORM public.set_inventory_context(
+    'sale', new_order.id, 'Pedido #' || new_order.id, new_order.user_id
+  );
+
+  -- Lock rows in (product, variant) order so concurrent checkouts cannot deadlock
+  FOR item IN
+    SELECT value FROM unnest(order_items) AS value
+    ORDER BY (value->>'product_id')::integer, (value->>'variant_id')::integer NULLS FIRST
+  LOOP
+    reserved_variant_id := (item->>'variant_id')::integer;
+
+    IF reserved_variant_id IS NOT NULL THEN
+      -- The variant trigger moves products.stock along with it
+      UPDATE public.product_variants v
+         SET stock = v.stock - (item->>'quantity')::integer,
+             updated_at = now()
+       WHERE v.id = reserved_variant_id
+         AND v.product_id = (item->>'product_id')::integer
+         AND v.active = true
+         AND v.stock >= (item->>'quantity')::integer
+         AND EXISTS (
+           SELECT 1 FROM public.products p
+            WHERE p.id = v.product_id AND p.active = true
+         )
+      RETURNING v.product_id INTO reserved_product_id;
+    ELSE
+      UPDATE public.products
+         SET stock = stock - (item->>'quantity')::integer,
+             updated_at = now()
+       WHERE id = (item->>'product_id')::integer
+         AND active = true
+         AND stock >= (item->>'quantity')::integer
+      RETURNING id INTO reserved_product_id;
+    END IF;
+
+    IF reserved_product_id IS NULL THEN
+      RAISE EXCEPTION 'Insufficient stock for product %',
+        concat_ws(' - ', item->>'product_name', item->>'variant_name')
+        USING ERRCODE = 'check_violation';
+    END IF;
+
+    INSERT INTO public.order_items (
+      order_id, product_id, variant_id, product_name, variant_name, product_summary,
+      unit_price_usd, unit_price_ves, quantity, subtotal_usd, subtotal_ves
+    )
+    VALUES (
+      new_order.id,
+      reserved_product_id,
+      reserved_variant_id,
+      item->>'product_name',
+      item->>'variant_name',
+      item->>'product_summary',
+      (item->>'unit_price_usd')::numeric,
+      (item->>'unit_price_ves')::numeric,
+      (item->>'quantity')::integer,
+      (item->>'subtotal_usd')::numeric,
+      (item->>'subtotal_ves')::numeric
+    )
+    RETURNING id INTO parent_line_id;
+
+    INSERT INTO public.stock_reservations (order_id, product_id, variant_id, quantity, expires_at)
+    VALUES (
+      new_order.id,
+      reserved_product_id,
+      reserved_variant_id,
+      (item->>'quantity')::integer,
+      now() + make_interval(mins => reservation_minutes)
+    );
+
+    FOR addon IN
+      SELECT value FROM jsonb_array_elements(COALESCE(item->'addons', '[]'::jsonb)) AS value
+    LOOP
+      INSERT INTO public.order_items (
+        order_id, parent_item_id, addon_id, product_name,
+        unit_price_usd, unit_price_ves, quantity, subtotal_usd, subtotal_ves
+      )
+      VALUES (
+        new_order.id,
+        parent_line_id,
+        (addon->>'addon_id')::integer,
+        addon->>'product_name',
+        (addon->>'unit_price_usd')::numeric,
+        (addon->>'unit_price_ves')::numeric,
+        (addon->>'quantity')::integer,
+        (addon->>'subtotal_usd')::numeric,
+        (addon->>'subtotal_ves')::numeric
+      );
+    END LOOP;
+
+    reserved_product_id := NULL;
+  END LOOP;
+
+  PERFORM public.set_inventory_context(NULL);
+
+  FOR addon_total IN
+    SELECT (extra.value->>'addon_id')::integer AS addon_id,
+           min(extra.value->>'product_name') AS addon_name,
+           SUM((extra.value->>'quantity')::integer)::integer AS quantity
+      FROM unnest(order_items) AS line(value),
+           jsonb_array_elements(COALESCE(line.value->'addons', '[]'::jsonb)) AS extra(value)
+     GROUP BY 1
+     ORDER BY 1
+  LOOP
+    UPDATE public.product_addons a
+       SET stock = a.stock - addon_total.quantity,
+           updated_at = now()
+     WHERE a.id = addon_total.addon_id
+       AND a.active = true
+       AND a.stock >= addon_total.quantity;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Insufficient stock for add-on %', addon_total.addon_name
+        USING ERRCODE = 'check_violation';
+    END IF;
+
+    INSERT INTO public.stock_reservations (order_id, addon_id, quantity, expires_at)
+    VALUES (
+      new_order.id,
+      addon_total.addon_id,
+      addon_total.quantity,
+      now() + make_interval(mins => reservation_minutes)
+    );
+  END LOOP;
+
+  INSERT INTO public.order_status_history (order_id, old_status, new_status, notes)
+  VALUES (new_order.id, NULL, new_order.status, 'Pedido creado');
+
+  SELECT to_jsonb(new_order) || jsonb_build_object(
+           'items', COALESCE(jsonb_agg(to_jsonb(oi) ORDER BY oi.id), '[]'::jsonb)
+         )
+    INTO result
+    FROM public.order_items oi
+   WHERE oi.order_id = new_order.id;
+
+  RETURN result;
+END;
+$$;
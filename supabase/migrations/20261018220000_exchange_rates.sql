@@ -0,0 +1,169 @@
+-- =========================================================================
+-- 🌸 FloresYa - USD/VES exchange rate
+-- =========================================================================
+-- VES prices were typed in by hand and went stale with every new rate.
+--   * exchange_rates: every rate admins recorded, newest last. The current
+--     one is copied to settings usd_ves_rate so readers need no history.
+--   * settings ves_price_rounding: VES prices are rounded up to a multiple
+--     of this step (1 = whole bolívares).
+--   * products.price_ves_override: fixed VES price for a product; when NULL
+--     price_ves follows price_usd at the current rate.
+--   * price_ves on products, variants and add-ons is derived by triggers and
+--     refreshed when the rate or the rounding changes. Until a rate exists
+--     the price_ves given on insert/update is kept as before.
+-- Orders and payments already have currency_rate; OrderService and
+-- PaymentService now fill it with the rate current when they are created.
+-- =========================================================================
+
+CREATE TABLE IF NOT EXISTS public.exchange_rates (
+  id BIGSERIAL PRIMARY KEY,
+  rate NUMERIC(14,4) NOT NULL CHECK (rate > 0),
+  source TEXT NOT NULL DEFAULT 'manual',
+  notes TEXT,
+  created_by INTEGER REFERENCES public.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_exchange_rates_created_at
+  ON public.exchange_rates(created_at DESC);
+
+INSERT INTO public.settings (key, value, type, description, is_public)
+SELECT 'ves_price_rounding', '1', 'number', 'Redondeo de precios en bolívares (múltiplo)', true
+ WHERE NOT EXISTS (SELECT 1 FROM public.settings s WHERE s.key = 'ves_price_rounding');
+
+ALTER TABLE public.products
+  ADD COLUMN IF NOT EXISTS price_ves_override NUMERIC(14,2) CHECK (price_ves_override > 0);
+
+-- -------------------------------------------------------------------------
+-- setting_number: numeric setting, NULL when missing or not a number
+-- -------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.setting_number(setting_key text)
+RETURNS numeric
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT value::numeric
+    FROM public.settings
+   WHERE key = setting_key
+     AND value ~ '^[0-9]+(\.[0-9]+)?$';
+$$;
+
+-- -------------------------------------------------------------------------
+-- derive_ves_price: VES price of a USD amount at the current rate, rounded
+-- up to the configured step. NULL when no rate was recorded yet.
+-- -------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.derive_ves_price(price_usd numeric)
+RETURNS numeric
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+  current_rate numeric := public.setting_number('usd_ves_rate');
+  rounding_step numeric := COALESCE(NULLIF(public.setting_number('ves_price_rounding'), 0), 1);
+BEGIN
+  IF price_usd IS NULL OR current_rate IS NULL OR current_rate <= 0 THEN
+    RETURN NULL;
+  END IF;
+
+  RETURN CEIL(price_usd * current_rate / rounding_step) * rounding_step;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.set_product_price_ves()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  NEW.price_ves := COALESCE(NEW.price_ves_override, public.derive_ves_price(NEW.price_usd), NEW.price_ves);
+  RETURN NEW;
+END;
+$$;
+
+-- Variants and add-ons have no override of their own
+CREATE OR REPLACE FUNCTION public.set_derived_price_ves()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  NEW.price_ves := COALESCE(public.derive_ves_price(NEW.price_usd), NEW.price_ves);
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS products_price_ves ON public.products;
+CREATE TRIGGER products_price_ves
+  BEFORE INSERT OR UPDATE OF price_usd, price_ves, price_ves_override ON public.products
+  FOR EACH ROW
+  EXECUTE FUNCTION public.set_product_price_ves();
+
+DROP TRIGGER IF EXISTS product_variants_price_ves ON public.product_variants;
+CREATE TRIGGER product_variants_price_ves
+  BEFORE INSERT OR UPDATE OF price_usd, price_ves ON public.product_variants
+  FOR EACH ROW
+  EXECUTE FUNCTION public.set_derived_price_ves();
+
+DROP TRIGGER IF EXISTS product_addons_price_ves ON public.product_addons;
+CREATE TRIGGER product_addons_price_ves
+  BEFORE INSERT OR UPDATE OF price_usd, price_ves ON public.product_addons
+  FOR EACH ROW
+  EXECUTE FUNCTION public.set_derived_price_ves();
+
+-- -------------------------------------------------------------------------
+-- refresh_ves_prices: re-derive every VES price after the rate or the
+-- rounding changed. Returns how many products were repriced.
+-- -------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.refresh_ves_prices()
+RETURNS integer
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  repriced integer;
+BEGIN
+  IF public.setting_number('usd_ves_rate') IS NULL THEN
+    RETURN 0;
+  END IF;
+
+  -- Touching price_ves fires the triggers above, which derive the new value
+  UPDATE public.product_variants SET price_ves = price_ves;
+  UPDATE public.product_addons SET price_ves = price_ves;
+  UPDATE public.products SET price_ves = price_ves;
+  GET DIAGNOSTICS repriced = ROW_COUNT;
+
+  RETURN repriced;
+END;
+$$;
+
+-- -------------------------------------------------------------------------
+-- record_exchange_rate: append to the history, make it the current rate
+-- and reprice the catalog, all in one transaction
+-- -------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.record_exchange_rate(
+  new_rate numeric,
+  rate_source text DEFAULT 'manual',
+  rate_notes text DEFAULT NULL,
+  created_by integer DEFAULT NULL
+)
+RETURNS public.exchange_rates
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  recorded public.exchange_rates;
+BEGIN
+  INSERT INTO public.exchange_rates (rate, source, notes, created_by)
+  VALUES (new_rate, COALESCE(rate_source, 'manual'), rate_notes, record_exchange_rate.created_by)
+  RETURNING * INTO recorded;
+
+  UPDATE public.settings
+     SET value = new_rate::text, updated_at = now()
+   WHERE key = 'usd_ves_rate';
+
+  IF NOT FOUND THEN
+    INSERT INTO public.settings (key, value, type, description, is_public)
+    VALUES ('usd_ves_rate', new_rate::text, 'number', 'Tasa de cambio USD/VES vigente', true);
+  END IF;
+
+  PERFORM public.refresh_ves_prices();
+
+  RETURN recorded;
+END;
+$$;
@@ -0,0 +1,276 @@
+-- =========================================================================
+-- 🌸 FloresYa - Automatic promotions
+-- =========================================================================
+-- Seasonal campaigns ("2x1 en rosas", "10% en pedidos desde $80", "envío
+-- gratis para el Día de las Madres") apply on their own, without a code.
+--   * promotions: a date window and conditions on the products, occasions
+--     and product subtotal of the cart, plus one action: a percentage or
+--     fixed discount, buy X get Y free, free delivery or a free add-on.
+--     Every active promotion whose conditions hold applies, highest
+--     priority first, each on what the previous ones left to pay.
+--   * orders.promotion_discount_usd / applied_promotions: what the
+--     promotions took off the products and why, as shown at checkout.
+--     total_amount_usd is now subtotal - promotion discount - coupon
+--     discount + delivery fee + IVA + IGTF. Free delivery leaves
+--     delivery_fee_usd at 0 and free add-ons are order lines priced at 0.
+-- OrderService evaluates the promotions; create_order_with_items() only
+-- stores the result, since nothing about a promotion runs out.
+-- =========================================================================
+
+CREATE TABLE IF NOT EXISTS public.promotions (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  description VARCHAR(200), -- shown to customers instead of the generated explanation
+  starts_at TIMESTAMPTZ, -- NULL: valid right away
+  ends_at TIMESTAMPTZ, -- NULL: no end date
+  priority INTEGER NOT NULL DEFAULT 0, -- higher applies first
+  -- Conditions; empty arrays: any product
+  product_ids INTEGER[] NOT NULL DEFAULT '{}',
+  occasion_ids INTEGER[] NOT NULL DEFAULT '{}',
+  min_order_usd NUMERIC(10,2) NOT NULL DEFAULT 0 CHECK (min_order_usd >= 0),
+  -- Action
+  action_type VARCHAR(20) NOT NULL
+    CHECK (action_type IN ('percentage', 'fixed', 'buy_x_get_y', 'free_delivery', 'free_addon')),
+  discount_value NUMERIC(10,2) CHECK (discount_value > 0), -- percentage or USD
+  buy_quantity INTEGER CHECK (buy_quantity > 0),
+  get_quantity INTEGER CHECK (get_quantity > 0),
+  addon_id INTEGER REFERENCES public.product_addons(id) ON DELETE CASCADE, -- the gift goes with its add-on
+  addon_quantity INTEGER NOT NULL DEFAULT 1 CHECK (addon_quantity > 0),
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK (action_type NOT IN ('percentage', 'fixed') OR discount_value IS NOT NULL),
+  CHECK (action_type <> 'percentage' OR discount_value <= 100),
+  CHECK (action_type <> 'buy_x_get_y' OR (buy_quantity IS NOT NULL AND get_quantity IS NOT NULL)),
+  CHECK (action_type <> 'free_addon' OR addon_id IS NOT NULL),
+  CHECK (starts_at IS NULL OR ends_at IS NULL OR ends_at > starts_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_promotions_active
+  ON public.promotions(priority DESC, id)
+  WHERE active = true;
+
+ALTER TABLE public.orders
+  ADD COLUMN IF NOT EXISTS promotion_discount_usd NUMERIC(10,2) NOT NULL DEFAULT 0 CHECK (promotion_discount_usd >= 0),
+  ADD COLUMN IF NOT EXISTS applied_promotions JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+-- -------------------------------------------------------------------------
+-- create_order_with_items: also stores the promotions of the quote
+-- -------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.create_order_with_items(
+  order_data jsonb,
+  order_items jsonb[],
+  reservation_minutes integer DEFAULT 2880
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  new_order public.orders%ROWTYPE;
+  item jsonb;
+  addon jsonb;
+  parent_line_id integer;
+  reserved_product_id integer;
+  reserved_variant_id integer;
+  addon_total record;
+  result jsonb;
+BEGIN
+  -- Before the insert, so the new order is not counted against its own slot
+  PERFORM public.reserve_delivery_slot(
+    (order_data->>'delivery_date')::date,
+    NULLIF(btrim(order_data->>'delivery_time_slot'), '')
+  );
+
+  -- Also before the insert, for the same reason with the coupon's usage limits
+  PERFORM public.redeem_coupon(
+    (order_data->>'coupon_id')::integer,
+    order_data->>'customer_email'
+  );
+
+  INSERT INTO public.orders (
+    user_id, customer_email, customer_name, customer_phone,
+    delivery_address, delivery_city, delivery_state, delivery_zip,
+    delivery_date, delivery_time_slot, delivery_notes,
+    recipient_name, recipient_phone, is_anonymous, card_message,
+    delivery_zone_id, delivery_fee_usd, payment_method_id,
+    coupon_id, coupon_code, discount_usd,
+    promotion_discount_usd, applied_promotions,
+    subtotal_usd, taxable_amount_usd, iva_rate, iva_amount_usd, igtf_rate, igtf_amount_usd,
+    status, total_amount_usd, total_amount_ves, currency_rate, notes, admin_notes
+  )
+  VALUES (
+    (order_data->>'user_id')::integer,
+    order_data->>'customer_email',
+    order_data->>'customer_name',
+    order_data->>'customer_phone',
+    order_data->>'delivery_address',
+    order_data->>'delivery_city',
+    order_data->>'delivery_state',
+    order_data->>'delivery_zip',
+    (order_data->>'delivery_date')::date,
+    order_data->>'delivery_time_slot',
+    order_data->>'delivery_notes',
+    order_data->>'recipient_name',
+    order_data->>'recipient_phone',
+    COALESCE((order_data->>'is_anonymous')::boolean, false),
+    NULLIF(btrim(order_data->>'card_message'), ''),
+    (order_data->>'delivery_zone_id')::integer,
+    COALESCE((order_data->>'delivery_fee_usd')::numeric, 0),
+    (order_data->>'payment_method_id')::integer,
+    (order_data->>'coupon_id')::integer,
+    order_data->>'coupon_code',
+    COALESCE((order_data->>'discount_usd')::numeric, 0),
+    COALESCE((order_data->>'promotion_discount_usd')::numeric, 0),
+    COALESCE(order_data->'applied_promotions', '[]'::jsonb),
+    COALESCE((order_data->>'subtotal_usd')::numeric, 0),
+    COALESCE((order_data->>'taxable_amount_usd')::numeric, 0),
+    COALESCE((order_data->>'iva_rate')::numeric, 0),
+    COALESCE((order_data->>'iva_amount_usd')::numeric, 0),
+    COALESCE((order_data->>'igtf_rate')::numeric, 0),
+    COALESCE((order_data->>'igtf_amount_usd')::numeric, 0),
+    COALESCE((order_data->>'status')::public.order_status, 'pending'),
+    (order_data->>'total_amount_usd')::numeric,
+    (order_data->>'total_amount_ves')::numeric,
+    (order_data->>'currency_rate')::numeric,
+    order_data->>'notes',
+    order_data->>'admin_notes'
+  )
+  RETURNING * INTO new_order;
+
+  PERFORM public.set_inventory_context(
+    'sale', new_order.id, 'Pedido #' || new_order.id, new_order.user_id
+  );
+
+  -- Lock rows in (product, variant) order so concurrent checkouts cannot deadlock
+  FOR item IN
+    SELECT value FROM unnest(order_items) AS value
+    ORDER BY (value->>'product_id')::integer, (value->>'variant_id')::integer NULLS FIRST
+  LOOP
+    reserved_variant_id := (item->>'variant_id')::integer;
+
+    IF reserved_variant_id IS NOT NULL THEN
+      -- The variant trigger moves products.stock along with it
+      UPDATE public.product_variants v
+         SET stock = v.stock - (item->>'quantity')::integer,
+             updated_at = now()
+       WHERE v.id = reserved_variant_id
+         AND v.product_id = (item->>'product_id')::integer
+         AND v.active = true
+         AND v.stock >= (item->>'quantity')::integer
+         AND EXISTS (
+           SELECT 1 FROM public.products p
+            WHERE p.id = v.product_id AND p.active = true
+         )
+      RETURNING v.product_id INTO reserved_product_id;
+    ELSE
+      UPDATE public.products
+         SET stock = stock - (item->>'quantity')::integer,
+             updated_at = now()
+       WHERE id = (item->>'product_id')::integer
+         AND active = true
+         AND stock >= (item->>'quantity')::integer
+      RETURNING id INTO reserved_product_id;
+    END IF;
+
+    IF reserved_product_id IS NULL THEN
+      RAISE EXCEPTION 'Insufficient stock for product %',
+        concat_ws(' - ', item->>'product_name', item->>'variant_name')
+        USING ERRCODE = 'check_violation';
+    END IF;
+
+    INSERT INTO public.order_items (
+      order_id, product_id, variant_id, product_name, variant_name, product_summary,
+      unit_price_usd, unit_price_ves, quantity, subtotal_usd, subtotal_ves
+    )
+    VALUES (
+      new_order.id,
+      reserved_product_id,
+      reserved_variant_id,
+      item->>'product_name',
+      item->>'variant_name',
+      item->>'product_summary',
+      (item->>'unit_price_usd')::numeric,
+      (item->>'unit_price_ves')::numeric,
+      (item->>'quantity')::integer,
+      (item->>'subtotal_usd')::numeric,
+      (item->>'subtotal_ves')::numeric
+    )
+    RETURNING id INTO parent_line_id;
+
+    INSERT INTO public.stock_reservations (order_id, product_id, variant_id, quantity, expires_at)
+    VALUES (
+      new_order.id,
+      reserved_product_id,
+      reserved_variant_id,
+      (item->>'quantity')::integer,
+      now() + make_interval(mins => reservation_minutes)
+    );
+
+    FOR addon IN
+      SELECT value FROM jsonb_array_elements(COALESCE(item->'addons', '[]'::jsonb)) AS value
+    LOOP
+      INSERT INTO public.order_items (
+        order_id, parent_item_id, addon_id, product_name,
+        unit_price_usd, unit_price_ves, quantity, subtotal_usd, subtotal_ves
+      )
+      VALUES (
+        new_order.id,
+        parent_line_id,
+        (addon->>'addon_id')::integer,
+        addon->>'product_name',
+        (addon->>'unit_price_usd')::numeric,
+        (addon->>'unit_price_ves')::numeric,
+        (addon->>'quantity')::integer,
+        (addon->>'subtotal_usd')::numeric,
+        (addon->>'subtotal_ves')::numeric
+      );
+    END LOOP;
+
+    reserved_product_id := NULL;
+  END LOOP;
+
+  PERFORM public.set_inventory_context(NULL);
+
+  FOR addon_total IN
+    SELECT (extra.value->>'addon_id')::integer AS addon_id,
+           min(extra.value->>'product_name') AS addon_name,
+           SUM((extra.value->>'quantity')::integer)::integer AS quantity
+      FROM unnest(order_items) AS line(value),
+           jsonb_array_elements(COALESCE(line.value->'addons', '[]'::jsonb)) AS extra(value)
+     GROUP BY 1
+     ORDER BY 1
+  LOOP
+    UPDATE public.product_addons a
+       SET stock = a.stock - addon_total.quantity,
+           updated_at = now()
+     WHERE a.id = addon_total.addon_id
+       AND a.active = true
+       AND a.stock >= addon_total.quantity;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Insufficient stock for add-on %', addon_total.addon_name
+        USING ERRCODE = 'check_violation';
+    END IF;
+
+    INSERT INTO public.stock_reservations (order_id, addon_id, quantity, expires_at)
+    VALUES (
+      new_order.id,
+      addon_total.addon_id,
+      addon_total.quantity,
+      now() + make_interval(mins => reservation_minutes)
+    );
+  END LOOP;
+
+  INSERT INTO public.order_status_history (order_id, old_status, new_status, notes)
+  VALUES (new_order.id, NULL, new_order.status, 'Pedido creado');
+
+  SELECT to_jsonb(new_order) || jsonb_build_object(
+           'items', COALESCE(jsonb_agg(to_jsonb(oi) ORDER BY oi.id), '[]'::jsonb)
+         )
+    INTO result
+    FROM public.order_items oi
+   WHERE oi.order_id = new_order.id;
+
+  RETURN result;
+END;
+$$;
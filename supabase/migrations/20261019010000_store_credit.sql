@@ -0,0 +1,377 @@
+-- =========================================================================
+-- 🌸 FloresYa - Gift cards and store credit
+-- =========================================================================
+-- Customers can pay part or all of an order with a balance kept by the shop.
+--   * store_credits: one balance each. Gift cards have a unique code anyone
+--     holding it can spend; store credit belongs to a customer account and
+--     is what admins give back on refunds or as a goodwill gesture. Both can
+--     expire and can be voided by an admin.
+--   * store_credit_movements: the ledger. Every change to a balance leaves a
+--     row with the amount, the resulting balance, and the order and payment
+--     involved, like inventory_movements does for stock.
+-- Spending a balance adds a 'completed' payment to the order, next to the
+-- payments reported by transfer or Pago Móvil, so the rest of the order can
+-- still be paid with any method. A cancelled order gets its balances back.
+-- Balances only change through the functions below.
+-- =========================================================================
+
+CREATE TABLE IF NOT EXISTS public.store_credits (
+  id SERIAL PRIMARY KEY,
+  kind VARCHAR(20) NOT NULL CHECK (kind IN ('gift_card', 'store_credit')),
+  code VARCHAR(20) UNIQUE, -- gift cards only, stored upper case
+  user_id INTEGER REFERENCES public.users(id) ON DELETE CASCADE, -- store credit only
+  reason VARCHAR(20) NOT NULL CHECK (reason IN ('purchase', 'refund', 'goodwill')),
+  initial_amount_usd NUMERIC(10,2) NOT NULL CHECK (initial_amount_usd > 0),
+  balance_usd NUMERIC(10,2) NOT NULL CHECK (balance_usd >= 0),
+  order_id INTEGER REFERENCES public.orders(id) ON DELETE SET NULL, -- order refunded, if any
+  purchaser_email VARCHAR(255),
+  recipient_name VARCHAR(255),
+  recipient_email VARCHAR(255),
+  message VARCHAR(500),
+  notes TEXT, -- internal, shown to admins only
+  expires_at TIMESTAMPTZ, -- NULL: never expires
+  status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'void')),
+  voided_at TIMESTAMPTZ,
+  void_reason TEXT,
+  created_by INTEGER REFERENCES public.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK ((kind = 'gift_card') = (code IS NOT NULL)),
+  CHECK (kind <> 'store_credit' OR user_id IS NOT NULL),
+  CHECK (balance_usd <= initial_amount_usd)
+);
+
+CREATE INDEX IF NOT EXISTS idx_store_credits_user
+  ON public.store_credits(user_id)
+  WHERE user_id IS NOT NULL AND status = 'active';
+
+CREATE TABLE IF NOT EXISTS public.store_credit_movements (
+  id BIGSERIAL PRIMARY KEY,
+  store_credit_id INTEGER NOT NULL REFERENCES public.store_credits(id) ON DELETE CASCADE,
+  movement_type VARCHAR(20) NOT NULL CHECK (movement_type IN ('issue', 'redeem', 'refund', 'void')),
+  amount_usd NUMERIC(10,2) NOT NULL CHECK (amount_usd <> 0), -- negative when the balance goes down
+  balance_after NUMERIC(10,2) NOT NULL,
+  order_id INTEGER REFERENCES public.orders(id) ON DELETE SET NULL,
+  payment_id INTEGER REFERENCES public.payments(id) ON DELETE SET NULL,
+  notes TEXT,
+  created_by INTEGER REFERENCES public.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_store_credit_movements_credit
+  ON public.store_credit_movements(store_credit_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_store_credit_movements_order
+  ON public.store_credit_movements(order_id)
+  WHERE order_id IS NOT NULL;
+
+-- -------------------------------------------------------------------------
+-- issue_store_credit: create a gift card (with a fresh code) or a customer's
+-- store credit, with its 'issue' movement
+-- -------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.issue_store_credit(credit_data jsonb)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  new_credit public.store_credits%ROWTYPE;
+  new_code text;
+  amount numeric := (credit_data->>'amount_usd')::numeric;
+BEGIN
+  LOOP
+    -- 12 hex digits in three groups: FY-1A2B-3C4D-5E6F
+    new_code := CASE WHEN credit_data->>'kind' = 'gift_card'
+      THEN 'FY-' || array_to_string(regexp_match(
+        upper(substr(replace(gen_random_uuid()::text, '-', ''), 1, 12)),
+        '^(.{4})(.{4})(.{4})$'
+      ), '-')
+      ELSE NULL
+    END;
+
+    BEGIN
+      INSERT INTO public.store_credits (
+        kind, code, user_id, reason, initial_amount_usd, balance_usd, order_id,
+        purchaser_email, recipient_name, recipient_email, message, notes,
+        expires_at, created_by
+      ) VALUES (
+        credit_data->>'kind',
+        new_code,
+        (credit_data->>'user_id')::integer,
+        credit_data->>'reason',
+        amount,
+        amount,
+        (credit_data->>'order_id')::integer,
+        credit_data->>'purchaser_email',
+        credit_data->>'recipient_name',
+        credit_data->>'recipient_email',
+        credit_data->>'message',
+        credit_data->>'notes',
+        (credit_data->>'expires_at')::timestamptz,
+        (credit_data->>'created_by')::integer
+      )
+      RETURNING * INTO new_credit;
+      EXIT;
+    EXCEPTION
+      WHEN unique_violation THEN
+        NULL; -- the code was taken, draw another
+    END;
+  END LOOP;
+
+  INSERT INTO public.store_credit_movements (
+    store_credit_id, movement_type, amount_usd, balance_after, order_id, notes, created_by
+  ) VALUES (
+    new_credit.id, 'issue', amount, amount, new_credit.order_id,
+    credit_data->>'notes', new_credit.created_by
+  );
+
+  RETURN to_jsonb(new_credit);
+END;
+$$;
+
+-- -------------------------------------------------------------------------
+-- void_store_credit: zero an active balance so it cannot be spent anymore.
+-- What was already spent stays on its orders.
+-- -------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.void_store_credit(
+  target_id integer,
+  reason text,
+  voided_by integer DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  credit public.store_credits%ROWTYPE;
+  previous_balance numeric;
+BEGIN
+  SELECT * INTO credit
+    FROM public.store_credits c
+   WHERE c.id = target_id
+   FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Store credit not found: %', target_id
+      USING ERRCODE = 'no_data_found';
+  END IF;
+
+  IF credit.status = 'void' THEN
+    RAISE EXCEPTION 'Store credit already void: %', target_id
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  previous_balance := credit.balance_usd;
+
+  UPDATE public.store_credits c
+     SET status = 'void',
+         balance_usd = 0,
+         voided_at = now(),
+         void_reason = void_store_credit.reason,
+         updated_at = now()
+   WHERE c.id = target_id
+  RETURNING * INTO credit;
+
+  IF previous_balance > 0 THEN
+    INSERT INTO public.store_credit_movements (
+      store_credit_id, movement_type, amount_usd, balance_after, notes, created_by
+    ) VALUES (
+      credit.id, 'void', -previous_balance, 0, reason, voided_by
+    );
+  END IF;
+
+  RETURN to_jsonb(credit);
+END;
+$$;
+
+-- -------------------------------------------------------------------------
+-- redeem_store_credit: pay what is left of a pending order with a gift
+-- card (by code) or with a customer's store credit (by user), as one
+-- 'completed' payment. Store credit is spent soonest-to-expire first.
+-- Locks the order, then the balances, so two checkouts cannot spend the
+-- same money or pay the same order twice.
+-- -------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.redeem_store_credit(
+  target_order_id integer,
+  customer_email text,
+  gift_card_code text DEFAULT NULL,
+  credit_user_id integer DEFAULT NULL,
+  max_amount_usd numeric DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  target_order public.orders%ROWTYPE;
+  credit public.store_credits%ROWTYPE;
+  new_payment public.payments%ROWTYPE;
+  order_due numeric;
+  paid numeric;
+  remaining numeric;
+  taken numeric;
+  amount numeric := 0;
+  spent jsonb := '[]'::jsonb;
+  item jsonb;
+BEGIN
+  SELECT * INTO target_order
+    FROM public.orders o
+   WHERE o.id = target_order_id
+   FOR UPDATE;
+
+  -- Same answer for unknown orders and wrong emails so order ids cannot be probed
+  IF NOT FOUND OR lower(target_order.customer_email) <> lower(redeem_store_credit.customer_email) THEN
+    RAISE EXCEPTION 'Order not found: %', target_order_id
+      USING ERRCODE = 'no_data_found';
+  END IF;
+
+  IF target_order.status <> 'pending' THEN
+    RAISE EXCEPTION 'Order not payable: order % is %', target_order_id, target_order.status
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  -- IGTF only applies to foreign-currency payments, never to balances
+  order_due := target_order.total_amount_usd - target_order.igtf_amount_usd;
+  SELECT COALESCE(sum(p.amount_usd - p.igtf_amount_usd), 0) INTO paid
+    FROM public.payments p
+   WHERE p.order_id = target_order_id
+     AND p.status = 'completed';
+
+  remaining := round(LEAST(order_due - paid, COALESCE(max_amount_usd, order_due - paid)), 2);
+  IF remaining <= 0 THEN
+    RAISE EXCEPTION 'Order not payable: order % is already paid', target_order_id
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  FOR credit IN
+    SELECT *
+      FROM public.store_credits c
+     WHERE c.status = 'active'
+       AND c.balance_usd > 0
+       AND (c.expires_at IS NULL OR c.expires_at > now())
+       AND (
+         (gift_card_code IS NOT NULL AND c.kind = 'gift_card' AND c.code = upper(gift_card_code))
+         OR (gift_card_code IS NULL AND c.kind = 'store_credit' AND c.user_id = credit_user_id)
+       )
+     ORDER BY c.expires_at NULLS LAST, c.id
+     FOR UPDATE
+  LOOP
+    EXIT WHEN remaining <= 0;
+
+    taken := LEAST(credit.balance_usd, remaining);
+    UPDATE public.store_credits c
+       SET balance_usd = c.balance_usd - taken,
+           updated_at = now()
+     WHERE c.id = credit.id;
+
+    remaining := remaining - taken;
+    amount := amount + taken;
+    spent := spent || jsonb_build_object(
+      'store_credit_id', credit.id,
+      'amount_usd', taken,
+      'balance_after', credit.balance_usd - taken
+    );
+  END LOOP;
+
+  IF amount = 0 THEN
+    RAISE EXCEPTION 'No store credit available: %',
+      CASE WHEN gift_card_code IS NOT NULL
+        THEN 'the gift card does not exist, expired or has no balance'
+        ELSE 'the customer has no balance to spend'
+      END
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  INSERT INTO public.payments (
+    order_id, user_id, payment_method_id, payment_method_name, amount_usd,
+    subtotal_usd, iva_amount_usd, igtf_amount_usd, amount_ves, currency_rate,
+    reference_number, payment_date, confirmed_date, status
+  ) VALUES (
+    target_order_id,
+    credit_user_id,
+    NULL,
+    CASE WHEN gift_card_code IS NOT NULL THEN 'Tarjeta de regalo' ELSE 'Saldo a favor' END,
+    amount,
+    amount - round(target_order.iva_amount_usd * amount / order_due, 2),
+    round(target_order.iva_amount_usd * amount / order_due, 2),
+    0,
+    CASE WHEN target_order.currency_rate IS NULL THEN NULL ELSE round(amount * target_order.currency_rate, 2) END,
+    target_order.currency_rate,
+    -- Last group only, so the receipt does not give the code away
+    CASE WHEN gift_card_code IS NOT NULL THEN '****' || right(upper(gift_card_code), 4) ELSE NULL END,
+    now(),
+    now(),
+    'completed'
+  )
+  RETURNING * INTO new_payment;
+
+  FOR item IN SELECT * FROM jsonb_array_elements(spent)
+  LOOP
+    INSERT INTO public.store_credit_movements (
+      store_credit_id, movement_type, amount_usd, balance_after, order_id, payment_id, created_by
+    ) VALUES (
+      (item->>'store_credit_id')::integer,
+      'redeem',
+      -(item->>'amount_usd')::numeric,
+      (item->>'balance_after')::numeric,
+      target_order_id,
+      new_payment.id,
+      credit_user_id
+    );
+  END LOOP;
+
+  RETURN jsonb_build_object(
+    'payment', to_jsonb(new_payment),
+    'amount_due_usd', round(order_due - paid - amount, 2)
+  );
+END;
+$$;
+
+-- -------------------------------------------------------------------------
+-- restore_store_credit_on_cancel: orders trigger that gives back what
+-- gift cards and store credit paid when an order is cancelled, whether an
+-- admin cancelled it or its stock hold expired. Expired balances get it
+-- back as they are; voided ones stay void.
+-- -------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.restore_store_credit_on_cancel()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  redeemed record;
+  new_balance numeric;
+BEGIN
+  FOR redeemed IN
+    SELECT m.store_credit_id, m.payment_id, -m.amount_usd AS amount_usd
+      FROM public.store_credit_movements m
+     WHERE m.order_id = NEW.id
+       AND m.movement_type = 'redeem'
+  LOOP
+    UPDATE public.store_credits c
+       SET balance_usd = c.balance_usd + redeemed.amount_usd,
+           updated_at = now()
+     WHERE c.id = redeemed.store_credit_id
+       AND c.status = 'active'
+    RETURNING c.balance_usd INTO new_balance;
+
+    IF FOUND THEN
+      INSERT INTO public.store_credit_movements (
+        store_credit_id, movement_type, amount_usd, balance_after, order_id, payment_id, notes
+      ) VALUES (
+        redeemed.store_credit_id, 'refund', redeemed.amount_usd, new_balance, NEW.id,
+        redeemed.payment_id, 'Pedido cancelado'
+      );
+    END IF;
+
+    UPDATE public.payments p
+       SET status = 'refunded', updated_at = now()
+     WHERE p.id = redeemed.payment_id
+       AND p.status = 'completed';
+  END LOOP;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_restore_store_credit_on_cancel ON public.orders;
+CREATE TRIGGER trg_restore_store_credit_on_cancel
+  AFTER UPDATE OF status ON public.orders
+  FOR EACH ROW
+  WHEN (NEW.status = 'cancelled' AND OLD.status IS DISTINCT FROM 'cancelled')
+  EXECUTE FUNCTION public.restore_store_credit_on_cancel();
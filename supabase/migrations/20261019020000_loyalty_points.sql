@@ -0,0 +1,558 @@
+-- =========================================================================
+-- 🌸 FloresYa - Loyalty points
+-- =========================================================================
+-- Signed-in customers earn points on their delivered orders and spend them
+-- at checkout for a discount.
+--   * settings loyalty_points_per_usd / loyalty_point_value_usd /
+--     loyalty_points_expiry_days: points earned per dollar spent on
+--     products after discounts, what one point is worth when redeemed, and
+--     how many days earned points last (0: they never expire).
+--   * users.loyalty_points: the customer's balance.
+--   * loyalty_point_movements: the ledger. Every change to a balance leaves
+--     a row with the points, the resulting balance and the order involved.
+--     Points earned (and points given back by a cancelled order) are lots
+--     with their own expiry; remaining_points is what is left of each lot
+--     and redemptions use the lots closest to expiring first.
+--   * orders.loyalty_points_redeemed / loyalty_discount_usd: points spent on
+--     the order and the discount they gave, taken off the products like the
+--     coupon. total_amount_usd is now subtotal - promotion discount - coupon
+--     discount - loyalty discount + delivery fee + IVA + IGTF.
+--     orders.loyalty_points_earned: points the order gave once delivered.
+-- Delivered orders earn their points and cancelled ones give back what was
+-- spent on them and take back what they earned, through triggers on the
+-- order status. Balances only change through the functions below.
+-- =========================================================================
+
+INSERT INTO public.settings (key, value, type, description, is_public)
+SELECT defaults.key, defaults.value, 'number', defaults.description, true
+  FROM (VALUES
+    ('loyalty_points_per_usd', '1', 'Puntos de fidelidad ganados por cada dólar en productos'),
+    ('loyalty_point_value_usd', '0.01', 'Valor en dólares de cada punto de fidelidad al canjearlo'),
+    ('loyalty_points_expiry_days', '365', 'Días de vigencia de los puntos ganados (0: no vencen)')
+  ) AS defaults(key, value, description)
+ WHERE NOT EXISTS (SELECT 1 FROM public.settings s WHERE s.key = defaults.key);
+
+ALTER TABLE public.users
+  ADD COLUMN IF NOT EXISTS loyalty_points INTEGER NOT NULL DEFAULT 0 CHECK (loyalty_points >= 0);
+
+ALTER TABLE public.orders
+  ADD COLUMN IF NOT EXISTS loyalty_points_redeemed INTEGER NOT NULL DEFAULT 0 CHECK (loyalty_points_redeemed >= 0),
+  ADD COLUMN IF NOT EXISTS loyalty_discount_usd NUMERIC(10,2) NOT NULL DEFAULT 0 CHECK (loyalty_discount_usd >= 0),
+  ADD COLUMN IF NOT EXISTS loyalty_points_earned INTEGER NOT NULL DEFAULT 0 CHECK (loyalty_points_earned >= 0);
+
+CREATE TABLE IF NOT EXISTS public.loyalty_point_movements (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  movement_type VARCHAR(20) NOT NULL
+    CHECK (movement_type IN ('earn', 'redeem', 'refund', 'reversal', 'expire')),
+  points INTEGER NOT NULL CHECK (points <> 0), -- negative when points leave the balance
+  balance_after INTEGER NOT NULL CHECK (balance_after >= 0),
+  -- Lots: earned and given back points, until spent, reversed or expired
+  remaining_points INTEGER NOT NULL DEFAULT 0 CHECK (remaining_points >= 0),
+  expires_at TIMESTAMPTZ, -- lots only; NULL: never
+  order_id INTEGER REFERENCES public.orders(id) ON DELETE SET NULL,
+  notes TEXT,
+  created_by INTEGER REFERENCES public.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK (remaining_points = 0 OR movement_type IN ('earn', 'refund'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_loyalty_point_movements_user
+  ON public.loyalty_point_movements(user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_loyalty_point_movements_lots
+  ON public.loyalty_point_movements(user_id, expires_at)
+  WHERE remaining_points > 0;
+
+CREATE INDEX IF NOT EXISTS idx_loyalty_point_movements_order
+  ON public.loyalty_point_movements(order_id)
+  WHERE order_id IS NOT NULL;
+
+-- -------------------------------------------------------------------------
+-- add_loyalty_points / take_loyalty_points: move a customer's balance and
+-- record the movement. Adding opens a lot that expires with the current
+-- policy; taking uses up the lots closest to expiring first, starting with
+-- the lot of from_order_id when given. Callers lock the user row first.
+-- -------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.add_loyalty_points(
+  target_user_id integer,
+  movement_type text,
+  points integer,
+  order_id integer,
+  notes text,
+  created_by integer DEFAULT NULL
+)
+RETURNS void
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  expiry_days integer := COALESCE(public.setting_number('loyalty_points_expiry_days'), 365)::integer;
+  new_balance integer;
+BEGIN
+  UPDATE public.users u
+     SET loyalty_points = u.loyalty_points + add_loyalty_points.points
+   WHERE u.id = target_user_id
+  RETURNING u.loyalty_points INTO new_balance;
+
+  INSERT INTO public.loyalty_point_movements (
+    user_id, movement_type, points, balance_after, remaining_points, expires_at, order_id, notes, created_by
+  ) VALUES (
+    target_user_id, add_loyalty_points.movement_type, add_loyalty_points.points, new_balance,
+    add_loyalty_points.points,
+    CASE WHEN expiry_days > 0 THEN now() + make_interval(days => expiry_days) END,
+    add_loyalty_points.order_id, add_loyalty_points.notes, add_loyalty_points.created_by
+  );
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.take_loyalty_points(
+  target_user_id integer,
+  movement_type text,
+  points integer,
+  order_id integer,
+  notes text,
+  from_order_id integer DEFAULT NULL
+)
+RETURNS void
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  lot record;
+  left_to_take integer := take_loyalty_points.points;
+  taken integer;
+  new_balance integer;
+BEGIN
+  FOR lot IN
+    SELECT m.id, m.remaining_points
+      FROM public.loyalty_point_movements m
+     WHERE m.user_id = target_user_id
+       AND m.remaining_points > 0
+       AND (m.expires_at IS NULL OR m.expires_at > now())
+     ORDER BY (m.movement_type = 'earn' AND m.order_id = from_order_id) DESC NULLS LAST,
+              m.expires_at NULLS LAST, m.id
+     FOR UPDATE
+  LOOP
+    EXIT WHEN left_to_take = 0;
+    taken := LEAST(lot.remaining_points, left_to_take);
+
+    UPDATE public.loyalty_point_movements
+       SET remaining_points = remaining_points - taken
+     WHERE id = lot.id;
+
+    left_to_take := left_to_take - taken;
+  END LOOP;
+
+  IF left_to_take > 0 THEN
+    RAISE EXCEPTION 'Insufficient loyalty points: % requested, % available',
+      take_loyalty_points.points, take_loyalty_points.points - left_to_take
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  UPDATE public.users u
+     SET loyalty_points = u.loyalty_points - take_loyalty_points.points
+   WHERE u.id = target_user_id
+  RETURNING u.loyalty_points INTO new_balance;
+
+  INSERT INTO public.loyalty_point_movements (
+    user_id, movement_type, points, balance_after, order_id, notes
+  ) VALUES (
+    target_user_id, take_loyalty_points.movement_type, -take_loyalty_points.points, new_balance,
+    take_loyalty_points.order_id, take_loyalty_points.notes
+  );
+END;
+$$;
+
+-- -------------------------------------------------------------------------
+-- expire_loyalty_points: close the lots past their expiry, for one
+-- customer or everyone; returns how many points expired. Runs on a
+-- schedule, and before a balance is spent so expired points never are.
+-- -------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.expire_loyalty_points(target_user_id integer DEFAULT NULL)
+RETURNS integer
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  expired record;
+  new_balance integer;
+  total_expired integer := 0;
+BEGIN
+  FOR expired IN
+    SELECT m.user_id, SUM(m.remaining_points)::integer AS points
+      FROM public.loyalty_point_movements m
+     WHERE m.remaining_points > 0
+       AND m.expires_at <= now()
+       AND (target_user_id IS NULL OR m.user_id = target_user_id)
+     GROUP BY m.user_id
+     ORDER BY m.user_id
+  LOOP
+    PERFORM 1 FROM public.users u WHERE u.id = expired.user_id FOR UPDATE;
+
+    UPDATE public.loyalty_point_movements m
+       SET remaining_points = 0
+     WHERE m.user_id = expired.user_id
+       AND m.remaining_points > 0
+       AND m.expires_at <= now();
+
+    UPDATE public.users u
+       SET loyalty_points = GREATEST(u.loyalty_points - expired.points, 0)
+     WHERE u.id = expired.user_id
+    RETURNING u.loyalty_points INTO new_balance;
+
+    INSERT INTO public.loyalty_point_movements (user_id, movement_type, points, balance_after, notes)
+    VALUES (expired.user_id, 'expire', -expired.points, new_balance, 'Puntos vencidos');
+
+    total_expired := total_expired + expired.points;
+  END LOOP;
+
+  RETURN total_expired;
+END;
+$$;
+
+-- -------------------------------------------------------------------------
+-- redeem_loyalty_points: spend the points of a new order from its
+-- customer's balance; called by create_order_with_items
+-- -------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.redeem_loyalty_points(target_order_id integer)
+RETURNS void
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  target_order public.orders%ROWTYPE;
+BEGIN
+  SELECT * INTO target_order FROM public.orders o WHERE o.id = target_order_id;
+
+  IF target_order.loyalty_points_redeemed = 0 THEN
+    RETURN;
+  END IF;
+
+  IF target_order.user_id IS NULL THEN
+    RAISE EXCEPTION 'Insufficient loyalty points: sign in to redeem points'
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  PERFORM 1 FROM public.users u WHERE u.id = target_order.user_id FOR UPDATE;
+  PERFORM public.expire_loyalty_points(target_order.user_id);
+
+  PERFORM public.take_loyalty_points(
+    target_order.user_id, 'redeem', target_order.loyalty_points_redeemed,
+    target_order.id, 'Canje en el pedido #' || target_order.id
+  );
+END;
+$$;
+
+-- -------------------------------------------------------------------------
+-- award_loyalty_points_on_delivery: orders trigger that gives a customer's
+-- delivered order its points, once
+-- -------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.award_loyalty_points_on_delivery()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  earned integer;
+BEGIN
+  IF NEW.user_id IS NULL OR NEW.loyalty_points_earned > 0 THEN
+    RETURN NEW;
+  END IF;
+
+  earned := floor(
+    GREATEST(NEW.subtotal_usd - NEW.promotion_discount_usd - NEW.discount_usd - NEW.loyalty_discount_usd, 0)
+    * COALESCE(public.setting_number('loyalty_points_per_usd'), 1)
+  )::integer;
+
+  IF earned = 0 THEN
+    RETURN NEW;
+  END IF;
+
+  PERFORM 1 FROM public.users u WHERE u.id = NEW.user_id FOR UPDATE;
+  PERFORM public.add_loyalty_points(NEW.user_id, 'earn', earned, NEW.id, 'Pedido #' || NEW.id || ' entregado');
+
+  UPDATE public.orders o
+     SET loyalty_points_earned = earned
+   WHERE o.id = NEW.id;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_award_loyalty_points_on_delivery ON public.orders;
+CREATE TRIGGER trg_award_loyalty_points_on_delivery
+  AFTER UPDATE OF status ON public.orders
+  FOR EACH ROW
+  WHEN (NEW.status = 'delivered' AND OLD.status IS DISTINCT FROM 'delivered')
+  EXECUTE FUNCTION public.award_loyalty_points_on_delivery();
+
+-- -------------------------------------------------------------------------
+-- reverse_loyalty_points_on_cancel: orders trigger that gives back the
+-- points spent on a cancelled order, as a new lot, and takes back the
+-- points it earned, as far as the balance still covers them
+-- -------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.reverse_loyalty_points_on_cancel()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  reversed integer;
+BEGIN
+  IF NEW.user_id IS NULL OR (NEW.loyalty_points_redeemed = 0 AND NEW.loyalty_points_earned = 0) THEN
+    RETURN NEW;
+  END IF;
+
+  PERFORM 1 FROM public.users u WHERE u.id = NEW.user_id FOR UPDATE;
+  PERFORM public.expire_loyalty_points(NEW.user_id);
+
+  IF NEW.loyalty_points_redeemed > 0 THEN
+    PERFORM public.add_loyalty_points(
+      NEW.user_id, 'refund', NEW.loyalty_points_redeemed, NEW.id, 'Pedido #' || NEW.id || ' cancelado'
+    );
+  END IF;
+
+  IF NEW.loyalty_points_earned > 0 THEN
+    -- Points already spent elsewhere cannot be taken back
+    SELECT LEAST(NEW.loyalty_points_earned, u.loyalty_points) INTO reversed
+      FROM public.users u
+     WHERE u.id = NEW.user_id;
+
+    IF reversed > 0 THEN
+      PERFORM public.take_loyalty_points(
+        NEW.user_id, 'reversal', reversed, NEW.id, 'Pedido #' || NEW.id || ' cancelado', NEW.id
+      );
+    END IF;
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_reverse_loyalty_points_on_cancel ON public.orders;
+CREATE TRIGGER trg_reverse_loyalty_points_on_cancel
+  AFTER UPDATE OF status ON public.orders
+  FOR EACH ROW
+  WHEN (NEW.status = 'cancelled' AND OLD.status IS DISTINCT FROM 'cancelled')
+  EXECUTE FUNCTION public.reverse_loyalty_points_on_cancel();
+
+-- -------------------------------------------------------------------------
+-- create_order_with_items: also stores the loyalty discount of the quote and
+-- spends its points
+-- -------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.create_order_with_items(
+  order_data jsonb,
+  order_items jsonb[],
+  reservation_minutes integer DEFAULT 2880
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  new_order public.orders%ROWTYPE;
+  item jsonb;
+  addon jsonb;
+  parent_line_id integer;
+  reserved_product_id integer;
+  reserved_variant_id integer;
+  addon_total record;
+  result jsonb;
+BEGIN
+  -- Before the insert, so the new order is not counted against its own slot
+  PERFORM public.reserve_delivery_slot(
+    (order_data->>'delivery_date')::date,
+    NULLIF(btrim(order_data->>'delivery_time_slot'), '')
+  );
+
+  -- Also before the insert, for the same reason with the coupon's usage limits
+  PERFORM public.redeem_coupon(
+    (order_data->>'coupon_id')::integer,
+    order_data->>'customer_email'
+  );
+
+  INSERT INTO public.orders (
+    user_id, customer_email, customer_name, customer_phone,
+    delivery_address, delivery_city, delivery_state, delivery_zip,
+    delivery_date, delivery_time_slot, delivery_notes,
+    recipient_name, recipient_phone, is_anonymous, card_message,
+    delivery_zone_id, delivery_fee_usd, payment_method_id,
+    coupon_id, coupon_code, discount_usd,
+    promotion_discount_usd, applied_promotions, loyalty_points_redeemed, loyalty_discount_usd,
+    subtotal_usd, taxable_amount_usd, iva_rate, iva_amount_usd, igtf_rate, igtf_amount_usd,
+    status, total_amount_usd, total_amount_ves, currency_rate, notes, admin_notes
+  )
+  VALUES (
+    (order_data->>'user_id')::integer,
+    order_data->>'customer_email',
+    order_data->>'customer_name',
+    order_data->>'customer_phone',
+    order_data->>'delivery_address',
+    order_data->>'delivery_city',
+    order_data->>'delivery_state',
+    order_data->>'delivery_zip',
+    (order_data->>'delivery_date')::date,
+    order_data->>'delivery_time_slot',
+    order_data->>'delivery_notes',
+    order_data->>'recipient_name',
+    order_data->>'recipient_phone',
+    COALESCE((order_data->>'is_anonymous')::boolean, false),
+    NULLIF(btrim(order_data->>'card_message'), ''),
+    (order_data->>'delivery_zone_id')::integer,
+    COALESCE((order_data->>'delivery_fee_usd')::numeric, 0),
+    (order_data->>'payment_method_id')::integer,
+    (order_data->>'coupon_id')::integer,
+    order_data->>'coupon_code',
+    COALESCE((order_data->>'discount_usd')::numeric, 0),
+    COALESCE((order_data->>'promotion_discount_usd')::numeric, 0),
+    COALESCE(order_data->'applied_promotions', '[]'::jsonb),
+    COALESCE((order_data->>'loyalty_points_redeemed')::integer, 0),
+    COALESCE((order_data->>'loyalty_discount_usd')::numeric, 0),
+    COALESCE((order_data->>'subtotal_usd')::numeric, 0),
+    COALESCE((order_data->>'taxable_amount_usd')::numeric, 0),
+    COALESCE((order_data->>'iva_rate')::numeric, 0),
+    COALESCE((order_data->>'iva_amount_usd')::numeric, 0),
+    COALESCE((order_data->>'igtf_rate')::numeric, 0),
+    COALESCE((order_data->>'igtf_amount_usd')::numeric, 0),
+    COALESCE((order_data->>'status')::public.order_status, 'pending'),
+    (order_data->>'total_amount_usd')::numeric,
+    (order_data->>'total_amount_ves')::numeric,
+    (order_data->>'currency_rate')::numeric,
+    order_data->>'notes',
+    order_data->>'admin_notes'
+  )
+  RETURNING * INTO new_order;
+
+  PERFORM public.redeem_loyalty_points(new_order.id);
+
+  PERFORM public.set_inventory_context(
+    'sale', new_order.id, 'Pedido #' || new_order.id, new_order.user_id
+  );
+
+  -- Lock rows in (product, variant) order so concurrent checkouts cannot deadlock
+  FOR item IN
+    SELECT value FROM unnest(order_items) AS value
+    ORDER BY (value->>'product_id')::integer, (value->>'variant_id')::integer NULLS FIRST
+  LOOP
+    reserved_variant_id := (item->>'variant_id')::integer;
+
+    IF reserved_variant_id IS NOT NULL THEN
+      -- The variant trigger moves products.stock along with it
+      UPDATE public.product_variants v
+         SET stock = v.stock - (item->>'quantity')::integer,
+             updated_at = now()
+       WHERE v.id = reserved_variant_id
+         AND v.product_id = (item->>'product_id')::integer
+         AND v.active = true
+         AND v.stock >= (item->>'quantity')::integer
+         AND EXISTS (
+           SELECT 1 FROM public.products p
+            WHERE p.id = v.product_id AND p.active = true
+         )
+      RETURNING v.product_id INTO reserved_product_id;
+    ELSE
+      UPDATE public.products
+         SET stock = stock - (item->>'quantity')::integer,
+             updated_at = now()
+       WHERE id = (item->>'product_id')::integer
+         AND active = true
+         AND stock >= (item->>'quantity')::integer
+      RETURNING id INTO reserved_product_id;
+    END IF;
+
+    IF reserved_product_id IS NULL THEN
+      RAISE EXCEPTION 'Insufficient stock for product %',
+        concat_ws(' - ', item->>'product_name', item->>'variant_name')
+        USING ERRCODE = 'check_violation';
+    END IF;
+
+    INSERT INTO public.order_items (
+      order_id, product_id, variant_id, product_name, variant_name, product_summary,
+      unit_price_usd, unit_price_ves, quantity, subtotal_usd, subtotal_ves
+    )
+    VALUES (
+      new_order.id,
+      reserved_product_id,
+      reserved_variant_id,
+      item->>'product_name',
+      item->>'variant_name',
+      item->>'product_summary',
+      (item->>'unit_price_usd')::numeric,
+      (item->>'unit_price_ves')::numeric,
+      (item->>'quantity')::integer,
+      (item->>'subtotal_usd')::numeric,
+      (item->>'subtotal_ves')::numeric
+    )
+    RETURNING id INTO parent_line_id;
+
+    INSERT INTO public.stock_reservations (order_id, product_id, variant_id, quantity, expires_at)
+    VALUES (
+      new_order.id,
+      reserved_product_id,
+      reserved_variant_id,
+      (item->>'quantity')::integer,
+      now() + make_interval(mins => reservation_minutes)
+    );
+
+    FOR addon IN
+      SELECT value FROM jsonb_array_elements(COALESCE(item->'addons', '[]'::jsonb)) AS value
+    LOOP
+      INSERT INTO public.order_items (
+        order_id, parent_item_id, addon_id, product_name,
+        unit_price_usd, unit_price_ves, quantity, subtotal_usd, subtotal_ves
+      )
+      VALUES (
+        new_order.id,
+        parent_line_id,
+        (addon->>'addon_id')::integer,
+        addon->>'product_name',
+        (addon->>'unit_price_usd')::numeric,
+        (addon->>'unit_price_ves')::numeric,
+        (addon->>'quantity')::integer,
+        (addon->>'subtotal_usd')::numeric,
+        (addon->>'subtotal_ves')::numeric
+      );
+    END LOOP;
+
+    reserved_product_id := NULL;
+  END LOOP;
+
+  PERFORM public.set_inventory_context(NULL);
+
+  FOR addon_total IN
+    SELECT (extra.value->>'addon_id')::integer AS addon_id,
+           min(extra.value->>'product_name') AS addon_name,
+           SUM((extra.value->>'quantity')::integer)::integer AS quantity
+      FROM unnest(order_items) AS line(value),
+           jsonb_array_elements(COALESCE(line.value->'addons', '[]'::jsonb)) AS extra(value)
+     GROUP BY 1
+     ORDER BY 1
+  LOOP
+    UPDATE public.product_addons a
+       SET stock = a.stock - addon_total.quantity,
+           updated_at = now()
+     WHERE a.id = addon_total.addon_id
+       AND a.active = true
+       AND a.stock >= addon_total.quantity;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Insufficient stock for add-on %', addon_total.addon_name
+        USING ERRCODE = 'check_violation';
+    END IF;
+
+    INSERT INTO public.stock_reservations (order_id, addon_id, quantity, expires_at)
+    VALUES (
+      new_order.id,
+      addon_total.addon_id,
+      addon_total.quantity,
+      now() + make_interval(mins => reservation_minutes)
+    );
+  END LOOP;
+
+  INSERT INTO public.order_status_history (order_id, old_status, new_status, notes)
+  VALUES (new_order.id, NULL, new_order.status, 'Pedido creado');
+
+  SELECT to_jsonb(new_order) || jsonb_build_object(
+           'items', COALESCE(jsonb_agg(to_jsonb(oi) ORDER BY oi.id), '[]'::jsonb)
+         )
+    INTO result
+    FROM public.order_items oi
+   WHERE oi.order_id = new_order.id;
+
+  RETURN result;
+END;
+$$;
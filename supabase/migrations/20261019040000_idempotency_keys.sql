@@ -0,0 +1,26 @@
+-- =========================================================================
+-- 🌸 FloresYa - Idempotency keys
+-- =========================================================================
+-- Order and payment creation accept an Idempotency-Key header so a checkout
+-- retried after a timeout does not create the order twice.
+--   * idempotency_keys: one row per key and endpoint, claimed before the
+--     request runs. request_hash is the body (and receipt, and customer) the
+--     key was first used with; response_status and response_body are filled
+--     once the request succeeds and replayed for the same key and body.
+--     A row without a response is a request still running; failed requests
+--     delete theirs so the key can be retried. Rows are purged a day after
+--     their creation.
+-- =========================================================================
+
+CREATE TABLE IF NOT EXISTS public.idempotency_keys (
+  scope VARCHAR(20) NOT NULL CHECK (scope IN ('orders', 'payments')),
+  key VARCHAR(255) NOT NULL,
+  request_hash CHAR(64) NOT NULL, -- sha256, hex
+  response_status INTEGER,
+  response_body JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (scope, key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created
+  ON public.idempotency_keys (created_at);
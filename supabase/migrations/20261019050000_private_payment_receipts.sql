@@ -0,0 +1,17 @@
+-- =========================================================================
+-- 🌸 FloresYa - Private payment receipts
+-- =========================================================================
+-- Receipts of bank transfers and Pago Móvil are customers' financial
+-- documents, so they no longer go to the public product-images bucket.
+--   * payment-receipts: private bucket; only the service role reads it, and
+--     admins and support open a receipt through a short-lived signed URL.
+--   * payments.receipt_path: where the receipt is in that bucket.
+--     receipt_image_url only remains for receipts reported before this
+--     change, which still have public links until they are moved.
+-- =========================================================================
+
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('payment-receipts', 'payment-receipts', false)
+ON CONFLICT (id) DO UPDATE SET public = false;
+
+ALTER TABLE public.payments ADD COLUMN IF NOT EXISTS receipt_path text;
@@ -0,0 +1,162 @@
+-- =========================================================================
+-- 🌸 FloresYa - Order status changes against the status they were checked on
+-- =========================================================================
+-- OrderService checks a status change against ORDER_STATUS_TRANSITIONS
+-- before update_order_status_with_history locks the order, so a change made
+-- in between (another admin, or the reservation sweeper cancelling it) went
+-- unnoticed and, for example, a cancelled order could still be verified.
+--   * update_order_status_with_history takes expected_status, the status the
+--     change was checked on, and raises 'Order status changed to <status>'
+--     when the locked order has another one.
+--   * release_expired_stock_reservations expects 'pending' as well.
+-- =========================================================================
+
+-- The new parameter would otherwise add an overload next to the old function
+DROP FUNCTION IF EXISTS public.update_order_status_with_history(integer, public.order_status, text, integer);
+
+-- -------------------------------------------------------------------------
+-- update_order_status_with_history: expected_status is checked under the lock
+-- -------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.update_order_status_with_history(
+  order_id integer,
+  new_status public.order_status,
+  notes text DEFAULT NULL,
+  changed_by integer DEFAULT NULL,
+  expected_status public.order_status DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  target_id integer := update_order_status_with_history.order_id;
+  previous_status public.order_status;
+  updated_order public.orders%ROWTYPE;
+BEGIN
+  SELECT o.status INTO previous_status
+    FROM public.orders o
+   WHERE o.id = target_id
+   FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Order % not found', target_id USING ERRCODE = 'no_data_found';
+  END IF;
+
+  -- The caller checked the transition against expected_status before the lock
+  IF expected_status IS NOT NULL AND COALESCE(previous_status, 'pending') <> expected_status THEN
+    RAISE EXCEPTION 'Order status changed to %', previous_status
+      USING ERRCODE = 'serialization_failure';
+  END IF;
+
+  UPDATE public.orders o
+     SET status = new_status,
+         updated_at = now()
+   WHERE o.id = target_id
+  RETURNING * INTO updated_order;
+
+  INSERT INTO public.order_status_history (order_id, old_status, new_status, notes, changed_by)
+  VALUES (target_id, previous_status, new_status,
+          update_order_status_with_history.notes,
+          update_order_status_with_history.changed_by);
+
+  IF new_status = 'verified' THEN
+    UPDATE public.stock_reservations r
+       SET status = 'committed', updated_at = now()
+     WHERE r.order_id = target_id
+       AND r.status = 'reserved';
+  ELSIF new_status = 'cancelled' THEN
+    PERFORM public.set_inventory_context(
+      'cancellation', target_id,
+      COALESCE(update_order_status_with_history.notes, 'Pedido #' || target_id || ' cancelado'),
+      update_order_status_with_history.changed_by
+    );
+
+    -- Cancelled orders never leave the shop, so committed stock goes back too
+    UPDATE public.product_variants v
+       SET stock = v.stock + released.quantity,
+           updated_at = now()
+      FROM (
+        SELECT r.variant_id, SUM(r.quantity) AS quantity
+          FROM public.stock_reservations r
+         WHERE r.order_id = target_id
+           AND r.variant_id IS NOT NULL
+           AND r.status IN ('reserved', 'committed')
+         GROUP BY r.variant_id
+      ) AS released
+     WHERE v.id = released.variant_id;
+
+    UPDATE public.products p
+       SET stock = p.stock + released.quantity,
+           updated_at = now()
+      FROM (
+        SELECT r.product_id, SUM(r.quantity) AS quantity
+          FROM public.stock_reservations r
+         WHERE r.order_id = target_id
+           AND r.product_id IS NOT NULL
+           AND r.variant_id IS NULL
+           AND r.status IN ('reserved', 'committed')
+         GROUP BY r.product_id
+      ) AS released
+     WHERE p.id = released.product_id;
+
+    UPDATE public.product_addons a
+       SET stock = a.stock + released.quantity,
+           updated_at = now()
+      FROM (
+        SELECT r.addon_id, SUM(r.quantity) AS quantity
+          FROM public.stock_reservations r
+         WHERE r.order_id = target_id
+           AND r.addon_id IS NOT NULL
+           AND r.status IN ('reserved', 'committed')
+         GROUP BY r.addon_id
+      ) AS released
+     WHERE a.id = released.addon_id;
+
+    PERFORM public.set_inventory_context(NULL);
+
+    UPDATE public.stock_reservations r
+       SET status = 'released', updated_at = now()
+     WHERE r.order_id = target_id
+       AND r.status IN ('reserved', 'committed');
+  END IF;
+
+  RETURN to_jsonb(updated_order);
+END;
+$$;
+
+-- -------------------------------------------------------------------------
+-- release_expired_stock_reservations: only cancel orders still pending
+-- -------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.release_expired_stock_reservations()
+RETURNS integer
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  expired_order_id integer;
+  released_count integer := 0;
+BEGIN
+  FOR expired_order_id IN
+    SELECT o.id
+      FROM public.orders o
+     WHERE o.status = 'pending'
+       AND EXISTS (
+         SELECT 1 FROM public.stock_reservations r
+          WHERE r.order_id = o.id
+            AND r.status = 'reserved'
+            AND r.expires_at < now()
+       )
+       AND NOT EXISTS (
+         SELECT 1 FROM public.payments pay
+          WHERE pay.order_id = o.id
+            AND pay.status = 'pending'
+       )
+     FOR UPDATE SKIP LOCKED
+  LOOP
+    PERFORM public.update_order_status_with_history(
+      expired_order_id, 'cancelled', 'Reserva de stock expirada sin pago', NULL, 'pending'
+    );
+    released_count := released_count + 1;
+  END LOOP;
+
+  RETURN released_count;
+END;
+$$;
@@ -0,0 +1,63 @@
+-- =========================================================================
+-- 🌸 FloresYa - Product stock edits against the stock they started from
+-- =========================================================================
+-- set_product_stock wrote the form's count as the new stock, so units sold
+-- or adjusted while an admin had the form open came back into stock.
+--   * set_product_stock takes expected_stock, the stock the form was loaded
+--     with, and raises 'Stock changed to <stock>' when the product has
+--     another one, so the admin reviews the new count before saving again.
+-- =========================================================================
+
+-- The new parameter would otherwise add an overload next to the old function
+DROP FUNCTION IF EXISTS public.set_product_stock(integer, integer, text, integer);
+
+-- -------------------------------------------------------------------------
+-- set_product_stock: absolute stock count from the product form, logged as
+-- an adjustment for the difference. Returns NULL when nothing changed.
+-- -------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.set_product_stock(
+  product_id integer,
+  new_stock integer,
+  expected_stock integer,
+  notes text DEFAULT NULL,
+  created_by integer DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  target_id integer := set_product_stock.product_id;
+  current_stock integer;
+BEGIN
+  IF new_stock < 0 THEN
+    RAISE EXCEPTION 'Stock cannot be negative' USING ERRCODE = 'check_violation';
+  END IF;
+
+  SELECT p.stock INTO current_stock
+    FROM public.products p
+   WHERE p.id = target_id
+   FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Product % not found', target_id USING ERRCODE = 'no_data_found';
+  END IF;
+
+  -- The form was filled in with expected_stock; sales or adjustments since then would be lost
+  IF COALESCE(current_stock, 0) <> expected_stock THEN
+    RAISE EXCEPTION 'Stock changed to %', COALESCE(current_stock, 0)
+      USING ERRCODE = 'serialization_failure';
+  END IF;
+
+  IF COALESCE(current_stock, 0) = new_stock THEN
+    RETURN NULL;
+  END IF;
+
+  RETURN public.adjust_product_stock(
+    target_id,
+    new_stock - COALESCE(current_stock, 0),
+    'adjustment',
+    COALESCE(set_product_stock.notes, 'Stock editado desde el producto'),
+    set_product_stock.created_by
+  );
+END;
+$$;
@@ -0,0 +1,35 @@
+-- =========================================================================
+-- 🌸 FloresYa - Loyalty points: cancelling only refunds what was spent
+-- =========================================================================
+-- Points are earned when an order is delivered, and delivered is a final
+-- status (ORDER_STATUS_TRANSITIONS allows nothing after it), so an order
+-- that earned points can never be cancelled. The branch of
+-- reverse_loyalty_points_on_cancel that took earned points back could not
+-- run; the function now only gives back the points spent on the order.
+-- If delivered orders ever become cancellable, points will need to be
+-- earned provisionally and taken back here again.
+-- =========================================================================
+
+-- -------------------------------------------------------------------------
+-- reverse_loyalty_points_on_cancel: orders trigger that gives back the
+-- points spent on a cancelled order, as a new lot
+-- -------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.reverse_loyalty_points_on_cancel()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.user_id IS NULL OR NEW.loyalty_points_redeemed = 0 THEN
+    RETURN NEW;
+  END IF;
+
+  PERFORM 1 FROM public.users u WHERE u.id = NEW.user_id FOR UPDATE;
+  PERFORM public.expire_loyalty_points(NEW.user_id);
+
+  PERFORM public.add_loyalty_points(
+    NEW.user_id, 'refund', NEW.loyalty_points_redeemed, NEW.id, 'Pedido #' || NEW.id || ' cancelado'
+  );
+
+  RETURN NEW;
+END;
+$$;
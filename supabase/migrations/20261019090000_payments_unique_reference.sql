@@ -0,0 +1,14 @@
+-- =========================================================================
+-- 🌸 FloresYa - One payment report per reference
+-- =========================================================================
+-- A Pago Móvil or transfer reference can only be reported once per payment
+-- method, unless the earlier report was rejected. PaymentService checks it
+-- before inserting; this index closes the gap between that check and the
+-- insert when two reports of the same reference arrive at the same time.
+-- Gift card and store credit payments have no payment method, so they are
+-- never compared.
+-- =========================================================================
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_payments_method_reference
+  ON public.payments(payment_method_id, reference_number)
+  WHERE status <> 'failed';
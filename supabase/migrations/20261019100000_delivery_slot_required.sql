@@ -0,0 +1,71 @@
+-- =========================================================================
+-- 🌸 FloresYa - Delivery slot required at checkout
+-- =========================================================================
+-- reserve_delivery_slot let an order without a delivery date and time slot
+-- through, so a client that left both out skipped the capacity, cutoff and
+-- blackout checks. Once the store offers any active slot, every order must
+-- now pick one; stores without slots keep taking orders as before.
+-- =========================================================================
+
+-- -------------------------------------------------------------------------
+-- reserve_delivery_slot: raises unless the slot can take one more order,
+-- or when no slot was chosen while the store offers them
+-- -------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.reserve_delivery_slot(
+  delivery_day date,
+  slot_label text
+)
+RETURNS void
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  slot public.delivery_slots%ROWTYPE;
+  booked integer;
+  reason text;
+BEGIN
+  -- Only stores that have not set up their slots take orders without one
+  IF delivery_day IS NULL AND slot_label IS NULL THEN
+    IF EXISTS (SELECT 1 FROM public.delivery_slots s WHERE s.active = true) THEN
+      RAISE EXCEPTION 'Delivery slot unavailable: choose a delivery date and a time slot'
+        USING ERRCODE = 'check_violation';
+    END IF;
+    RETURN;
+  END IF;
+
+  IF delivery_day IS NULL OR slot_label IS NULL THEN
+    RAISE EXCEPTION 'Delivery slot unavailable: choose both a delivery date and a time slot'
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  SELECT * INTO slot
+    FROM public.delivery_slots s
+   WHERE s.weekday = extract(dow FROM delivery_day)
+     AND s.label = slot_label
+     AND s.active = true
+   FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Delivery slot unavailable: % is not offered on %', slot_label, delivery_day
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  SELECT count(*)::integer INTO booked
+    FROM public.orders o
+   WHERE o.delivery_date::date = delivery_day
+     AND o.delivery_time_slot = slot_label
+     AND o.status <> 'cancelled';
+
+  reason := public.delivery_slot_unavailable_reason(delivery_day, slot, booked);
+
+  IF reason IS NOT NULL THEN
+    RAISE EXCEPTION 'Delivery slot unavailable: % on % is %', slot_label, delivery_day,
+      CASE reason
+        WHEN 'blackout' THEN 'a day without deliveries'
+        WHEN 'past' THEN 'in the past'
+        WHEN 'cutoff' THEN 'past the same-day cutoff'
+        ELSE 'fully booked'
+      END
+      USING ERRCODE = 'check_violation';
+  END IF;
+END;
+$$;
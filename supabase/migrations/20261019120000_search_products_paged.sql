@@ -0,0 +1,101 @@
+-- =========================================================================
+-- 🌸 FloresYa - Paged and filtered product search
+-- =========================================================================
+-- search_products() returned at most 500 ranked ids and the API filtered and
+-- paged them afterwards, so page counts stopped at 500 matches and every page
+-- loaded the whole result set. The catalog filters, the page window and the
+-- total now live in SQL: the function returns
+--   { "total_count": <matches after filters>, "matches": [<one page>] }
+-- and only the rows of that page get highlighted snippets.
+-- active = NULL searches active and inactive products alike.
+-- =========================================================================
+
+DROP FUNCTION IF EXISTS public.search_products(text, boolean, integer);
+
+CREATE OR REPLACE FUNCTION public.search_products(
+  search_text text,
+  active boolean DEFAULT true,
+  occasion_ids integer[] DEFAULT NULL,
+  min_price numeric DEFAULT NULL,
+  max_price numeric DEFAULT NULL,
+  price_currency text DEFAULT 'USD',
+  in_stock boolean DEFAULT false,
+  featured boolean DEFAULT NULL,
+  has_carousel_order boolean DEFAULT NULL,
+  result_limit integer DEFAULT NULL,
+  result_offset integer DEFAULT 0
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+  search_query tsquery := public.product_search_query(search_text);
+  highlight_options text := 'StartSel=<mark>, StopSel=</mark>, MaxWords=30, MinWords=10, ShortWord=2, MaxFragments=2, FragmentDelimiter=" … "';
+  result jsonb;
+BEGIN
+  IF search_query IS NULL OR numnode(search_query) = 0 THEN
+    RETURN jsonb_build_object('total_count', 0, 'matches', '[]'::jsonb);
+  END IF;
+
+  WITH filtered AS (
+    SELECT p.id, p.name, p.summary, p.description,
+           ts_rank_cd(public.product_search_document(p.name, p.summary, p.description), search_query) AS match_rank
+      FROM public.products p
+     WHERE public.product_search_document(p.name, p.summary, p.description) @@ search_query
+       AND (search_products.active IS NULL OR p.active = search_products.active)
+       AND (NOT in_stock OR COALESCE(p.stock, 0) > 0)
+       AND (search_products.featured IS NULL OR p.featured = search_products.featured)
+       AND (search_products.has_carousel_order IS NULL
+            OR (p.carousel_order IS NOT NULL) = search_products.has_carousel_order)
+       AND (min_price IS NULL OR
+            CASE WHEN upper(price_currency) = 'VES' THEN p.price_ves ELSE p.price_usd END >= min_price)
+       AND (max_price IS NULL OR
+            CASE WHEN upper(price_currency) = 'VES' THEN p.price_ves ELSE p.price_usd END <= max_price)
+       AND (
+         COALESCE(cardinality(occasion_ids), 0) = 0
+         OR EXISTS (
+           SELECT 1 FROM public.product_occasions po
+            WHERE po.product_id = p.id
+              AND po.occasion_id = ANY (occasion_ids)
+         )
+       )
+  ),
+  page AS (
+    SELECT f.*
+      FROM filtered f
+     ORDER BY f.match_rank DESC, f.id
+     LIMIT result_limit
+    OFFSET GREATEST(COALESCE(result_offset, 0), 0)
+  )
+  SELECT jsonb_build_object(
+           'total_count', (SELECT count(*) FROM filtered),
+           'matches', COALESCE((
+             SELECT jsonb_agg(jsonb_build_object(
+                      'product_id', pg.id,
+                      'rank', pg.match_rank,
+                      'name_highlight',
+                        ts_headline('public.spanish_unaccent'::regconfig,
+                                    replace(replace(replace(pg.name, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'),
+                                    search_query, 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true'),
+                      'summary_highlight',
+                        CASE WHEN pg.summary IS NULL THEN NULL ELSE
+                          ts_headline('public.spanish_unaccent'::regconfig,
+                                      replace(replace(replace(pg.summary, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'),
+                                      search_query, highlight_options)
+                        END,
+                      'description_highlight',
+                        CASE WHEN pg.description IS NULL THEN NULL ELSE
+                          ts_headline('public.spanish_unaccent'::regconfig,
+                                      replace(replace(replace(pg.description, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'),
+                                      search_query, highlight_options)
+                        END
+                    ) ORDER BY pg.match_rank DESC, pg.id)
+               FROM page pg
+           ), '[]'::jsonb)
+         )
+    INTO result;
+
+  RETURN result;
+END;
+$$;
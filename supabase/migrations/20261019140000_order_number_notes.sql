@@ -0,0 +1,182 @@
+-- =========================================================================
+-- 🌸 FloresYa - Order numbers in loyalty and inventory notes
+-- =========================================================================
+-- The order number is the id customers and staff know an order by, but the
+-- loyalty ledger and the inventory movements of a cancellation still wrote
+-- 'Pedido #<id>' in their notes. They now write 'Pedido <order_number>',
+-- like the sale movements written by create_order_with_items.
+--   * award_loyalty_points_on_delivery and reverse_loyalty_points_on_cancel
+--     name the order by NEW.order_number.
+--   * update_order_status_with_history reads the number of the order it
+--     locks for the default cancellation note.
+-- =========================================================================
+
+-- -------------------------------------------------------------------------
+-- award_loyalty_points_on_delivery: orders trigger that gives a customer's
+-- delivered order its points, once
+-- -------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.award_loyalty_points_on_delivery()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  earned integer;
+BEGIN
+  IF NEW.user_id IS NULL OR NEW.loyalty_points_earned > 0 THEN
+    RETURN NEW;
+  END IF;
+
+  earned := floor(
+    GREATEST(NEW.subtotal_usd - NEW.promotion_discount_usd - NEW.discount_usd - NEW.loyalty_discount_usd, 0)
+    * COALESCE(public.setting_number('loyalty_points_per_usd'), 1)
+  )::integer;
+
+  IF earned = 0 THEN
+    RETURN NEW;
+  END IF;
+
+  PERFORM 1 FROM public.users u WHERE u.id = NEW.user_id FOR UPDATE;
+  PERFORM public.add_loyalty_points(NEW.user_id, 'earn', earned, NEW.id, 'Pedido ' || NEW.order_number || ' entregado');
+
+  UPDATE public.orders o
+     SET loyalty_points_earned = earned
+   WHERE o.id = NEW.id;
+
+  RETURN NEW;
+END;
+$$;
+
+-- -------------------------------------------------------------------------
+-- reverse_loyalty_points_on_cancel: orders trigger that gives back the
+-- points spent on a cancelled order, as a new lot
+-- -------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.reverse_loyalty_points_on_cancel()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.user_id IS NULL OR NEW.loyalty_points_redeemed = 0 THEN
+    RETURN NEW;
+  END IF;
+
+  PERFORM 1 FROM public.users u WHERE u.id = NEW.user_id FOR UPDATE;
+  PERFORM public.expire_loyalty_points(NEW.user_id);
+
+  PERFORM public.add_loyalty_points(
+    NEW.user_id, 'refund', NEW.loyalty_points_redeemed, NEW.id, 'Pedido ' || NEW.order_number || ' cancelado'
+  );
+
+  RETURN NEW;
+END;
+$$;
+
+-- -------------------------------------------------------------------------
+-- update_order_status_with_history: the default cancellation note names the
+-- order by its number
+-- -------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.update_order_status_with_history(
+  order_id integer,
+  new_status public.order_status,
+  notes text DEFAULT NULL,
+  changed_by integer DEFAULT NULL,
+  expected_status public.order_status DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  target_id integer := update_order_status_with_history.order_id;
+  previous_status public.order_status;
+  target_number text;
+  updated_order public.orders%ROWTYPE;
+BEGIN
+  SELECT o.status, o.order_number INTO previous_status, target_number
+    FROM public.orders o
+   WHERE o.id = target_id
+   FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Order % not found', target_id USING ERRCODE = 'no_data_found';
+  END IF;
+
+  -- The caller checked the transition against expected_status before the lock
+  IF expected_status IS NOT NULL AND COALESCE(previous_status, 'pending') <> expected_status THEN
+    RAISE EXCEPTION 'Order status changed to %', previous_status
+      USING ERRCODE = 'serialization_failure';
+  END IF;
+
+  UPDATE public.orders o
+     SET status = new_status,
+         updated_at = now()
+   WHERE o.id = target_id
+  RETURNING * INTO updated_order;
+
+  INSERT INTO public.order_status_history (order_id, old_status, new_status, notes, changed_by)
+  VALUES (target_id, previous_status, new_status,
+          update_order_status_with_history.notes,
+          update_order_status_with_history.changed_by);
+
+  IF new_status = 'verified' THEN
+    UPDATE public.stock_reservations r
+       SET status = 'committed', updated_at = now()
+     WHERE r.order_id = target_id
+       AND r.status = 'reserved';
+  ELSIF new_status = 'cancelled' THEN
+    PERFORM public.set_inventory_context(
+      'cancellation', target_id,
+      COALESCE(update_order_status_with_history.notes, 'Pedido ' || target_number || ' cancelado'),
+      update_order_status_with_history.changed_by
+    );
+
+    -- Cancelled orders never leave the shop, so committed stock goes back too
+    UPDATE public.product_variants v
+       SET stock = v.stock + released.quantity,
+           updated_at = now()
+      FROM (
+        SELECT r.variant_id, SUM(r.quantity) AS quantity
+          FROM public.stock_reservations r
+         WHERE r.order_id = target_id
+           AND r.variant_id IS NOT NULL
+           AND r.status IN ('reserved', 'committed')
+         GROUP BY r.variant_id
+      ) AS released
+     WHERE v.id = released.variant_id;
+
+    UPDATE public.products p
+       SET stock = p.stock + released.quantity,
+           updated_at = now()
+      FROM (
+        SELECT r.product_id, SUM(r.quantity) AS quantity
+          FROM public.stock_reservations r
+         WHERE r.order_id = target_id
+           AND r.product_id IS NOT NULL
+           AND r.variant_id IS NULL
+           AND r.status IN ('reserved', 'committed')
+         GROUP BY r.product_id
+      ) AS released
+     WHERE p.id = released.product_id;
+
+    UPDATE public.product_addons a
+       SET stock = a.stock + released.quantity,
+           updated_at = now()
+      FROM (
+        SELECT r.addon_id, SUM(r.quantity) AS quantity
+          FROM public.stock_reservations r
+         WHERE r.order_id = target_id
+           AND r.addon_id IS NOT NULL
+           AND r.status IN ('reserved', 'committed')
+         GROUP BY r.addon_id
+      ) AS released
+     WHERE a.id = released.addon_id;
+
+    PERFORM public.set_inventory_context(NULL);
+
+    UPDATE public.stock_reservations r
+       SET status = 'released', updated_at = now()
+     WHERE r.order_id = target_id
+       AND r.status IN ('reserved', 'committed');
+  END IF;
+
+  RETURN to_jsonb(updated_order);
+END;
+$$;
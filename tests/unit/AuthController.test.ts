@@ -0,0 +1,165 @@
+/**
+ * 🌸 FloresYa AuthController Unit Tests
+ * Login, registration and session profile over REST
+ */
+
+import { Request, Response } from 'express';
+import jwt from 'jsonwebtoken';
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+
+import { AuthController } from '../../src/controllers/AuthController';
+import { userService } from '../../src/services/UserService';
+
+// Mock dependencies
+vi.mock('../../src/services/UserService', () => ({
+  userService: {
+    authenticateUser: vi.fn(),
+    createUser: vi.fn(),
+    getUserById: vi.fn()
+  }
+}));
+
+vi.mock('../../src/config/supabase', () => ({
+  supabaseService: { from: vi.fn() }
+}));
+
+const JWT_SECRET = 'test-secret';
+
+describe('AuthController', () => {
+  let controller: AuthController;
+  let mockRequest: Partial<Request>;
+  let mockResponse: Partial<Response>;
+  let jsonSpy: ReturnType<typeof vi.fn>;
+  let statusSpy: ReturnType<typeof vi.fn>;
+
+  const createTestUser = (overrides = {}) => ({
+    id: 7,
+    email: 'cliente@example.com',
+    full_name: 'Cliente Prueba',
+    role: 'user' as const,
+    is_active: true,
+    email_verified: false,
+    created_at: '2024-01-01T00:00:00Z',
+    updated_at: '2024-01-01T00:00:00Z',
+    ...overrides
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    process.env.JWT_SECRET = JWT_SECRET;
+    controller = new AuthController();
+    jsonSpy = vi.fn().mockReturnThis();
+    statusSpy = vi.fn().mockReturnThis();
+    mockRequest = { body: {}, headers: {} };
+    mockResponse = { json: jsonSpy, status: statusSpy };
+  });
+
+  describe('login', () => {
+    it('should return a token that carries the user id and role', async () => {
+      // Arrange
+      mockRequest.body = { email: 'cliente@example.com', password: 'Secret123' };
+      vi.mocked(userService.authenticateUser).mockResolvedValue({
+        success: true,
+        data: createTestUser(),
+        message: 'Login successful'
+      });
+
+      // Act
+      await controller.login(mockRequest as Request, mockResponse as Response);
+
+      // Assert
+      expect(statusSpy).toHaveBeenCalledWith(200);
+      const body = jsonSpy.mock.calls[0][0];
+      const decoded = jwt.verify(body.data.token, JWT_SECRET) as { sub: string; userId: number; role: string };
+      expect(decoded).toMatchObject({ sub: '7', userId: 7, role: 'user' });
+      expect(body.data.user.email).toBe('cliente@example.com');
+    });
+
+    it('should return 401 for invalid credentials', async () => {
+      // Arrange
+      mockRequest.body = { email: 'cliente@example.com', password: 'wrong' };
+      vi.mocked(userService.authenticateUser).mockResolvedValue({
+        success: false,
+        message: 'Invalid email or password',
+        error: 'INVALID_CREDENTIALS'
+      });
+
+      // Act
+      await controller.login(mockRequest as Request, mockResponse as Response);
+
+      // Assert
+      expect(statusSpy).toHaveBeenCalledWith(401);
+    });
+
+    it('should return 400 when the body is invalid', async () => {
+      // Arrange
+      mockRequest.body = { email: 'not-an-email' };
+
+      // Act
+      await controller.login(mockRequest as Request, mockResponse as Response);
+
+      // Assert
+      expect(statusSpy).toHaveBeenCalledWith(400);
+      expect(userService.authenticateUser).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('register', () => {
+    it('should always create a regular user even if a role is sent', async () => {
+      // Arrange
+      mockRequest.body = {
+        email: 'nuevo@example.com',
+        password: 'Secret123',
+        full_name: 'Nuevo Cliente',
+        role: 'admin'
+      };
+      vi.mocked(userService.createUser).mockResolvedValue({
+        success: true,
+        data: createTestUser({ email: 'nuevo@example.com' }),
+        message: 'User created successfully'
+      });
+
+      // Act
+      await controller.register(mockRequest as Request, mockResponse as Response);
+
+      // Assert
+      expect(userService.createUser).toHaveBeenCalledWith(expect.objectContaining({ role: 'user' }));
+      expect(statusSpy).toHaveBeenCalledWith(201);
+    });
+
+    it('should return 409 when the email already exists', async () => {
+      // Arrange
+      mockRequest.body = { email: 'cliente@example.com', password: 'Secret123', full_name: 'Cliente' };
+      vi.mocked(userService.createUser).mockResolvedValue({
+        success: false,
+        message: 'Email already exists',
+        error: 'EMAIL_EXISTS'
+      });
+
+      // Act
+      await controller.register(mockRequest as Request, mockResponse as Response);
+
+      // Assert
+      expect(statusSpy).toHaveBeenCalledWith(409);
+    });
+  });
+
+  describe('me', () => {
+    it('should return the profile of the authenticated user', async () => {
+      // Arrange
+      (mockRequest as Request & { user?: unknown }).user = { id: 7, email: 'cliente@example.com', role: 'user' };
+      vi.mocked(userService.getUserById).mockResolvedValue({
+        success: true,
+        data: createTestUser(),
+        message: 'User retrieved successfully'
+      });
+
+      // Act
+      await controller.me(mockRequest as Request, mockResponse as Response);
+
+      // Assert
+      expect(userService.getUserById).toHaveBeenCalledWith(7);
+      expect(statusSpy).toHaveBeenCalledWith(200);
+    });
+  });
+});
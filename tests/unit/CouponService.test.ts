@@ -0,0 +1,299 @@
+/**
+ * 🌸 FloresYa CouponService Unit Tests
+ * Coupon discounts, their validity, restrictions and usage limits, and usage reports
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// Create hoisted mocks
+const mockTypeSafeDatabaseService = vi.hoisted(() => ({
+  getClient: vi.fn(),
+  executeRpc: vi.fn()
+}));
+
+vi.mock('../../src/services/TypeSafeDatabaseService', () => ({
+  typeSafeDatabaseService: mockTypeSafeDatabaseService
+}));
+
+// Import after mocking
+import { CouponError, CouponService } from '../../src/services/CouponService';
+import { createSupabaseQueryMocks } from '../utils/mock-factory';
+
+const { mockQueries } = createSupabaseQueryMocks(mockTypeSafeDatabaseService.getClient);
+
+function createTestCoupon(overrides = {}) {
+  return {
+    id: 4,
+    code: 'MADRES10',
+    description: 'Día de las madres',
+    discount_type: 'percentage',
+    discount_value: 10,
+    min_order_usd: 0,
+    starts_at: null,
+    expires_at: null,
+    usage_limit: null,
+    per_customer_limit: null,
+    occasion_ids: [],
+    product_ids: [],
+    active: true,
+    created_at: '2026-10-01T12:00:00Z',
+    updated_at: '2026-10-01T12:00:00Z',
+    ...overrides
+  };
+}
+
+const cart = [
+  { product_id: 1, subtotal_usd: 80, taxable_usd: 80 },
+  { product_id: 2, subtotal_usd: 20, taxable_usd: 0 }
+];
+
+const now = new Date('2026-10-18T15:00:00Z');
+
+describe('CouponService', () => {
+  let couponService: CouponService;
+
+  beforeEach(() => {
+    couponService = new CouponService();
+  });
+
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('applyCoupon', () => {
+    it('should take a percentage off the whole cart, matching the code in any case', async () => {
+      // Arrange
+      const { builders: [couponQuery] } = mockQueries({ data: createTestCoupon(), error: null });
+
+      // Act
+      const result = await couponService.applyCoupon(' madres10 ', cart, undefined, now);
+
+      // Assert
+      expect(couponQuery?.eq).toHaveBeenCalledWith('code', 'MADRES10');
+      expect(result.coupon).toEqual({ id: 4, code: 'MADRES10' });
+      expect(result.discount_usd).toBe(10);
+      expect(result.taxable_discount_usd).toBe(8);
+    });
+
+    it('should cap fixed discounts at the discounted subtotal', async () => {
+      // Arrange
+      mockQueries({ data: createTestCoupon({ discount_type: 'fixed', discount_value: 150 }), error: null });
+
+      // Act
+      const result = await couponService.applyCoupon('MADRES10', cart, undefined, now);
+
+      // Assert
+      expect(result.discount_usd).toBe(100);
+      expect(result.taxable_discount_usd).toBe(80);
+    });
+
+    it('should only discount products of the coupon occasions', async () => {
+      // Arrange
+      const { builders: [, occasionsQuery] } = mockQueries(
+        { data: createTestCoupon({ occasion_ids: [5] }), error: null },
+        { data: [{ product_id: 2 }], error: null }
+      );
+
+      // Act
+      const result = await couponService.applyCoupon('MADRES10', cart, undefined, now);
+
+      // Assert
+      expect(occasionsQuery?.in).toHaveBeenCalledWith('occasion_id', [5]);
+      expect(result.discount_usd).toBe(2);
+      expect(result.taxable_discount_usd).toBe(0);
+    });
+
+    it('should reject carts without any of the coupon products', async () => {
+      // Arrange
+      mockQueries({ data: createTestCoupon({ product_ids: [9] }), error: null });
+
+      // Act
+      const error = await couponService.applyCoupon('MADRES10', cart, undefined, now).catch((e: unknown) => e);
+
+      // Assert
+      expect(error).toBeInstanceOf(CouponError);
+      expect((error as CouponError).code).toBe('COUPON_NOT_APPLICABLE');
+    });
+
+    it('should reject unknown or inactive codes', async () => {
+      // Arrange
+      mockQueries({ data: null, error: null });
+
+      // Act
+      const error = await couponService.applyCoupon('NOEXISTE', cart, undefined, now).catch((e: unknown) => e);
+
+      // Assert
+      expect((error as CouponError).code).toBe('COUPON_NOT_FOUND');
+    });
+
+    it('should reject coupons outside their validity window', async () => {
+      // Arrange
+      mockQueries(
+        { data: createTestCoupon({ starts_at: '2026-10-20T00:00:00Z' }), error: null },
+        { data: createTestCoupon({ expires_at: '2026-10-18T15:00:00Z' }), error: null }
+      );
+
+      // Act
+      const notStarted = await couponService.applyCoupon('MADRES10', cart, undefined, now).catch((e: unknown) => e);
+      const expired = await couponService.applyCoupon('MADRES10', cart, undefined, now).catch((e: unknown) => e);
+
+      // Assert
+      expect((notStarted as CouponError).code).toBe('COUPON_NOT_STARTED');
+      expect((expired as CouponError).code).toBe('COUPON_EXPIRED');
+    });
+
+    it('should reject carts below the coupon minimum', async () => {
+      // Arrange
+      mockQueries({ data: createTestCoupon({ min_order_usd: 120 }), error: null });
+
+      // Act
+      const error = await couponService.applyCoupon('MADRES10', cart, undefined, now).catch((e: unknown) => e);
+
+      // Assert
+      expect((error as CouponError).code).toBe('BELOW_COUPON_MINIMUM');
+      expect((error as Error).message).toBe('Coupon MADRES10 needs an order of at least $120.00');
+    });
+
+    it('should reject coupons that reached their usage limit', async () => {
+      // Arrange
+      const { builders: [, usesQuery] } = mockQueries(
+        { data: createTestCoupon({ usage_limit: 50 }), error: null },
+        { data: null, error: null, count: 50 }
+      );
+
+      // Act
+      const error = await couponService.applyCoupon('MADRES10', cart, undefined, now).catch((e: unknown) => e);
+
+      // Assert
+      expect((error as CouponError).code).toBe('COUPON_USAGE_LIMIT_REACHED');
+      expect(usesQuery?.neq).toHaveBeenCalledWith('status', 'cancelled');
+    });
+
+    it('should count the customer uses by email, ignoring case', async () => {
+      // Arrange
+      const { builders: [, usesQuery] } = mockQueries(
+        { data: createTestCoupon({ per_customer_limit: 1 }), error: null },
+        { data: null, error: null, count: 1 }
+      );
+
+      // Act
+      const error = await couponService.applyCoupon('MADRES10', cart, { email: 'Ana_Perez@example.com' }, now).catch((e: unknown) => e);
+
+      // Assert
+      expect((error as CouponError).code).toBe('COUPON_CUSTOMER_LIMIT_REACHED');
+      expect(usesQuery?.ilike).toHaveBeenCalledWith('customer_email', 'Ana\\_Perez@example.com');
+    });
+
+    it('should count a signed-in customer uses by account, whatever email they type', async () => {
+      // Arrange
+      const { builders: [, usesQuery] } = mockQueries(
+        { data: createTestCoupon({ per_customer_limit: 1 }), error: null },
+        { data: null, error: null, count: 1 }
+      );
+
+      // Act
+      const error = await couponService.applyCoupon('MADRES10', cart, { email: 'otro@example.com', user_id: 12 }, now).catch((e: unknown) => e);
+
+      // Assert
+      expect((error as CouponError).code).toBe('COUPON_CUSTOMER_LIMIT_REACHED');
+      expect(usesQuery?.eq).toHaveBeenCalledWith('user_id', 12);
+      expect(usesQuery?.ilike).not.toHaveBeenCalled();
+    });
+
+    it('should leave the per-customer limit to the order until the customer is known', async () => {
+      // Arrange
+      const { from } = mockQueries({ data: createTestCoupon({ per_customer_limit: 1 }), error: null });
+
+      // Act
+      const result = await couponService.applyCoupon('MADRES10', cart, undefined, now);
+
+      // Assert
+      expect(result.discount_usd).toBe(10);
+      expect(from).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('getCoupons', () => {
+    it('should add the uses and discount given by orders that were not cancelled', async () => {
+      // Arrange
+      const { builders: [, usesQuery] } = mockQueries(
+        { data: [createTestCoupon(), createTestCoupon({ id: 5, code: 'ENVIOGRATIS' })], error: null },
+        {
+          data: [
+            { coupon_id: 4, customer_email: 'ana@example.com', discount_usd: 7.5, total_amount_usd: 80 },
+            { coupon_id: 4, customer_email: 'luis@example.com', discount_usd: 2.25, total_amount_usd: 30 }
+          ],
+          error: null
+        }
+      );
+
+      // Act
+      const result = await couponService.getCoupons();
+
+      // Assert
+      expect(result.success).toBe(true);
+      expect(result.data?.[0]).toMatchObject({ code: 'MADRES10', uses: 2, discount_total_usd: 9.75 });
+      expect(result.data?.[1]).toMatchObject({ code: 'ENVIOGRATIS', uses: 0, discount_total_usd: 0 });
+      expect(usesQuery?.neq).toHaveBeenCalledWith('status', 'cancelled');
+    });
+  });
+
+  describe('getCouponUsage', () => {
+    it('should report customers, revenue and remaining uses', async () => {
+      // Arrange
+      mockQueries(
+        { data: createTestCoupon({ usage_limit: 10 }), error: null },
+        {
+          data: [
+            { id: 12, customer_email: 'ana@example.com', customer_name: 'Ana', status: 'delivered', discount_usd: 8, total_amount_usd: 92.8, created_at: '2026-10-12T10:00:00Z' },
+            { id: 9, customer_email: 'ANA@example.com', customer_name: 'Ana', status: 'pending', discount_usd: 4, total_amount_usd: 46.4, created_at: '2026-10-10T10:00:00Z' }
+          ],
+          error: null
+        }
+      );
+
+      // Act
+      const result = await couponService.getCouponUsage(4);
+
+      // Assert
+      expect(result.success).toBe(true);
+      expect(result.data).toMatchObject({ customers: 1, revenue_usd: 139.2, remaining_uses: 8 });
+      expect(result.data?.coupon).toMatchObject({ uses: 2, discount_total_usd: 12 });
+      expect(result.data?.orders).toHaveLength(2);
+    });
+
+    it('should return COUPON_NOT_FOUND for unknown coupons', async () => {
+      // Arrange
+      mockQueries({ data: null, error: { message: 'No rows' } });
+
+      // Act
+      const result = await couponService.getCouponUsage(99);
+
+      // Assert
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('COUPON_NOT_FOUND');
+    });
+  });
+
+  describe('createCoupon', () => {
+    it('should report COUPON_CODE_TAKEN for a repeated code', async () => {
+      // Arrange
+      mockQueries({ data: null, error: { code: '23505', message: 'duplicate key value' } });
+
+      // Act
+      const result = await couponService.createCoupon({
+        code: 'MADRES10',
+        discount_type: 'percentage',
+        discount_value: 10,
+        min_order_usd: 0,
+        occasion_ids: [],
+        product_ids: [],
+        active: true
+      });
+
+      // Assert
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('COUPON_CODE_TAKEN');
+    });
+  });
+});
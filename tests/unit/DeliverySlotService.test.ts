@@ -0,0 +1,167 @@
+/**
+ * 🌸 FloresYa DeliverySlotService Unit Tests
+ * Delivery calendar, slot conflicts and blackout dates
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// Create hoisted mocks
+const mockTypeSafeDatabaseService = vi.hoisted(() => ({
+  getClient: vi.fn(),
+  executeRpc: vi.fn()
+}));
+
+vi.mock('../../src/services/TypeSafeDatabaseService', () => ({
+  typeSafeDatabaseService: mockTypeSafeDatabaseService
+}));
+
+// Import after mocking
+import { DeliverySlotService } from '../../src/services/DeliverySlotService';
+import { DELIVERY_AVAILABILITY_DAYS } from '../../src/shared/constants/index';
+import { createResolvedQueryBuilder } from '../utils/mock-factory';
+
+function mockTable(result: { data: unknown; error: unknown }) {
+  const builder = createResolvedQueryBuilder(result);
+  mockTypeSafeDatabaseService.getClient.mockReturnValue({ from: vi.fn(() => builder) });
+  return builder;
+}
+
+function createTestSlot(overrides = {}) {
+  return {
+    id: 4,
+    weekday: 1,
+    start_time: '12:00:00',
+    end_time: '15:00:00',
+    label: '12:00-15:00',
+    capacity: 10,
+    same_day_cutoff: '10:00:00',
+    active: true,
+    created_at: '2026-10-18T12:00:00Z',
+    updated_at: '2026-10-18T12:00:00Z',
+    ...overrides
+  };
+}
+
+describe('DeliverySlotService', () => {
+  let deliverySlotService: DeliverySlotService;
+
+  beforeEach(() => {
+    deliverySlotService = new DeliverySlotService();
+  });
+
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('getAvailability', () => {
+    it('should ask the database for the default window starting today', async () => {
+      // Arrange
+      const calendar = [{
+        date: '2026-10-19',
+        weekday: 1,
+        blackout_reason: null,
+        slots: [{
+          id: 4,
+          label: '12:00-15:00',
+          start_time: '12:00',
+          end_time: '15:00',
+          capacity: 10,
+          booked: 10,
+          remaining: 0,
+          unavailable_reason: 'full'
+        }]
+      }];
+      mockTypeSafeDatabaseService.executeRpc.mockResolvedValue(calendar);
+
+      // Act
+      const result = await deliverySlotService.getAvailability();
+
+      // Assert
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual(calendar);
+      expect(mockTypeSafeDatabaseService.executeRpc).toHaveBeenCalledWith('get_delivery_availability', {
+        start_date: null,
+        days: DELIVERY_AVAILABILITY_DAYS
+      });
+    });
+  });
+
+  describe('createSlot', () => {
+    it('should report DELIVERY_SLOT_TAKEN when the weekday already has those times', async () => {
+      // Arrange
+      mockTable({ data: null, error: { code: '23505', message: 'duplicate key value' } });
+
+      // Act
+      const result = await deliverySlotService.createSlot({
+        weekday: 1,
+        start_time: '12:00',
+        end_time: '15:00',
+        capacity: 10,
+        same_day_cutoff: '10:00',
+        active: true
+      });
+
+      // Assert
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('DELIVERY_SLOT_TAKEN');
+    });
+  });
+
+  describe('updateSlot', () => {
+    it('should report INVALID_DELIVERY_SLOT when the new times contradict the stored ones', async () => {
+      // Arrange
+      mockTable({ data: null, error: { code: '23514', message: 'violates check constraint' } });
+
+      // Act
+      const result = await deliverySlotService.updateSlot(4, { start_time: '16:00' });
+
+      // Assert
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('INVALID_DELIVERY_SLOT');
+    });
+
+    it('should save capacity changes', async () => {
+      // Arrange
+      const slotsQuery = mockTable({ data: createTestSlot({ capacity: 15 }), error: null });
+
+      // Act
+      const result = await deliverySlotService.updateSlot(4, { capacity: 15 });
+
+      // Assert
+      expect(result.success).toBe(true);
+      expect(result.data?.capacity).toBe(15);
+      expect(slotsQuery.update).toHaveBeenCalledWith(expect.objectContaining({ capacity: 15 }));
+      expect(slotsQuery.eq).toHaveBeenCalledWith('id', 4);
+    });
+  });
+
+  describe('blackout dates', () => {
+    it('should list only dates from the given day on', async () => {
+      // Arrange
+      const blackoutsQuery = mockTable({
+        data: [{ blackout_date: '2026-12-25', reason: 'Navidad', created_at: '2026-10-18T12:00:00Z' }],
+        error: null
+      });
+
+      // Act
+      const result = await deliverySlotService.getBlackoutDates('2026-10-18');
+
+      // Assert
+      expect(result.success).toBe(true);
+      expect(result.data).toHaveLength(1);
+      expect(blackoutsQuery.gte).toHaveBeenCalledWith('blackout_date', '2026-10-18');
+    });
+
+    it('should report BLACKOUT_DATE_EXISTS for a date that is already blocked', async () => {
+      // Arrange
+      mockTable({ data: null, error: { code: '23505', message: 'duplicate key value' } });
+
+      // Act
+      const result = await deliverySlotService.addBlackoutDate({ blackout_date: '2026-12-25', reason: 'Navidad' });
+
+      // Assert
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('BLACKOUT_DATE_EXISTS');
+    });
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * 🌸 FloresYa DeliveryZoneService Unit Tests
+ * Delivery zones, overlapping cities and name conflicts
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// Create hoisted mocks
+const mockTypeSafeDatabaseService = vi.hoisted(() => ({
+  getClient: vi.fn(),
+  executeRpc: vi.fn()
+}));
+
+vi.mock('../../src/services/TypeSafeDatabaseService', () => ({
+  typeSafeDatabaseService: mockTypeSafeDatabaseService
+}));
+
+// Import after mocking
+import { DeliveryZoneService, normalizePlaceName } from '../../src/services/DeliveryZoneService';
+import { createSupabaseQueryMocks } from '../utils/mock-factory';
+
+const { mockQueries } = createSupabaseQueryMocks(mockTypeSafeDatabaseService.getClient);
+
+function createTestZone(overrides = {}) {
+  return {
+    id: 2,
+    name: 'Caracas Este',
+    state: 'Miranda',
+    localities: ['Chacao', 'Baruta', 'El Hatillo'],
+    fee_usd: 5,
+    min_order_usd: 0,
+    delivery_weekdays: [0, 1, 2, 3, 4, 5, 6],
+    active: true,
+    created_at: '2026-10-18T12:00:00Z',
+    updated_at: '2026-10-18T12:00:00Z',
+    ...overrides
+  };
+}
+
+const newZone = {
+  name: 'Altos Mirandinos',
+  state: 'Miranda',
+  localities: ['Los Teques', 'Carrizal'],
+  fee_usd: 10,
+  min_order_usd: 40,
+  delivery_weekdays: [2, 4, 6],
+  active: true
+};
+
+describe('DeliveryZoneService', () => {
+  let deliveryZoneService: DeliveryZoneService;
+
+  beforeEach(() => {
+    deliveryZoneService = new DeliveryZoneService();
+  });
+
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('normalizePlaceName', () => {
+    it('should ignore case, accents and extra spaces', () => {
+      expect(normalizePlaceName('  San   Cristóbal ')).toBe(normalizePlaceName('SAN CRISTOBAL'));
+    });
+  });
+
+  describe('createZone', () => {
+    it('should reject cities already served by another active zone of the state', async () => {
+      // Arrange
+      const { builders: [, insertQuery] } = mockQueries({ data: [createTestZone()], error: null });
+
+      // Act
+      const result = await deliveryZoneService.createZone({ ...newZone, localities: ['Los Teques', 'chacao'] });
+
+      // Assert
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('DELIVERY_ZONE_OVERLAP');
+      expect(result.message).toBe('Chacao is already served by the Caracas Este zone');
+      expect(insertQuery).toBeUndefined();
+    });
+
+    it('should allow the same city name in another state', async () => {
+      // Arrange
+      const { builders: [, insertQuery] } = mockQueries(
+        { data: [createTestZone({ localities: ['Sucre'] })], error: null },
+        { data: createTestZone({ id: 3, name: 'Cumaná', state: 'Sucre', localities: ['Sucre'] }), error: null }
+      );
+
+      // Act
+      const result = await deliveryZoneService.createZone({ ...newZone, name: 'Cumaná', state: 'Sucre', localities: ['Sucre'] });
+
+      // Assert
+      expect(result.success).toBe(true);
+      expect(insertQuery?.insert).toHaveBeenCalledWith(expect.objectContaining({ state: 'Sucre', localities: ['Sucre'] }));
+    });
+
+    it('should report DELIVERY_ZONE_NAME_TAKEN for a repeated name', async () => {
+      // Arrange
+      mockQueries(
+        { data: [], error: null },
+        { data: null, error: { code: '23505', message: 'duplicate key value' } }
+      );
+
+      // Act
+      const result = await deliveryZoneService.createZone(newZone);
+
+      // Assert
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('DELIVERY_ZONE_NAME_TAKEN');
+    });
+  });
+
+  describe('updateZone', () => {
+    it('should save fee changes without checking for overlaps', async () => {
+      // Arrange
+      const { builders: [zonesQuery] } = mockQueries({ data: createTestZone({ fee_usd: 6 }), error: null });
+
+      // Act
+      const result = await deliveryZoneService.updateZone(2, { fee_usd: 6 });
+
+      // Assert
+      expect(result.success).toBe(true);
+      expect(result.data?.fee_usd).toBe(6);
+      expect(zonesQuery?.update).toHaveBeenCalledWith(expect.objectContaining({ fee_usd: 6 }));
+      expect(zonesQuery?.eq).toHaveBeenCalledWith('id', 2);
+    });
+
+    it('should not count the zone being edited as an overlap', async () => {
+      // Arrange
+      mockQueries(
+        { data: createTestZone(), error: null },
+        { data: [createTestZone()], error: null },
+        { data: createTestZone({ localities: ['Chacao', 'Baruta'] }), error: null }
+      );
+
+      // Act
+      const result = await deliveryZoneService.updateZone(2, { localities: ['Chacao', 'Baruta'] });
+
+      // Assert
+      expect(result.success).toBe(true);
+    });
+  });
+});
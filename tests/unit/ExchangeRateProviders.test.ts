@@ -0,0 +1,75 @@
+/**
+ * 🌸 FloresYa ExchangeRateProviders Unit Tests
+ * BCV parsing, the rate file and provider selection
+ */
+
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+
+import { describe, it, expect, afterEach } from 'vitest';
+
+import {
+  createExchangeRateProvider,
+  FileRateProvider,
+  parseBcvRate
+} from '../../src/services/ExchangeRateProviders';
+
+describe('ExchangeRateProviders', () => {
+  describe('parseBcvRate', () => {
+    it('should read the dollar block of the BCV home page', () => {
+      // Arrange
+      const html = '<div id="euro"><strong> 42,10 </strong></div><div id="dolar"><span>USD</span><strong> 36,5432 </strong></div>';
+
+      // Act & Assert
+      expect(parseBcvRate(html)).toBe(36.5432);
+    });
+
+    it('should read JSON responses and thousands separators', () => {
+      expect(parseBcvRate('{"rate": 36.52}')).toBe(36.52);
+      expect(parseBcvRate('{"usd": "1.036,50"}')).toBe(1036.5);
+    });
+
+    it('should give null when there is no rate', () => {
+      expect(parseBcvRate('<html>Mantenimiento</html>')).toBeNull();
+      expect(parseBcvRate('{"rate": 0}')).toBeNull();
+    });
+  });
+
+  describe('FileRateProvider', () => {
+    let dir: string | undefined;
+
+    afterEach(async () => {
+      if (dir) await rm(dir, { recursive: true, force: true });
+    });
+
+    it('should read the rate from the file', async () => {
+      // Arrange
+      dir = await mkdtemp(path.join(tmpdir(), 'floresya-rate-'));
+      const file = path.join(dir, 'exchange-rate.json');
+      await writeFile(file, '{"rate": 36.52}');
+
+      // Act & Assert
+      await expect(new FileRateProvider(file).fetchRate()).resolves.toBe(36.52);
+    });
+
+    it('should fail when the file has no valid rate', async () => {
+      // Arrange
+      dir = await mkdtemp(path.join(tmpdir(), 'floresya-rate-'));
+      const file = path.join(dir, 'exchange-rate.json');
+      await writeFile(file, '{"rate": "n/a"}');
+
+      // Act & Assert
+      await expect(new FileRateProvider(file).fetchRate()).rejects.toThrow('has no valid "rate"');
+    });
+  });
+
+  describe('createExchangeRateProvider', () => {
+    it('should pick the provider by name and reject unknown ones', async () => {
+      expect(createExchangeRateProvider('bcv').name).toBe('bcv');
+      expect(createExchangeRateProvider('file').name).toBe('file');
+      await expect(createExchangeRateProvider('manual').fetchRate()).resolves.toBeNull();
+      expect(() => createExchangeRateProvider('yahoo')).toThrow('Unknown exchange rate provider: yahoo');
+    });
+  });
+});
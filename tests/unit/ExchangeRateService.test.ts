@@ -0,0 +1,275 @@
+/**
+ * 🌸 FloresYa ExchangeRateService Unit Tests
+ * Current USD/VES rate, new rates, provider refresh, dashboard alerts and VES rounding
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// Create hoisted mocks
+const mockTypeSafeDatabaseService = vi.hoisted(() => ({
+  getClient: vi.fn(),
+  executeRpc: vi.fn()
+}));
+
+vi.mock('../../src/services/TypeSafeDatabaseService', () => ({
+  typeSafeDatabaseService: mockTypeSafeDatabaseService
+}));
+
+// Import after mocking
+import type { ExchangeRateProvider } from '../../src/services/ExchangeRateProviders';
+import { ExchangeRateService, toVes } from '../../src/services/ExchangeRateService';
+import { createSupabaseQueryMocks } from '../utils/mock-factory';
+
+const { mockQueries } = createSupabaseQueryMocks(mockTypeSafeDatabaseService.getClient);
+
+function createProvider(name: string, rate: number | null | Error): ExchangeRateProvider {
+  return {
+    name,
+    fetchRate: vi.fn(() => (rate instanceof Error ? Promise.reject(rate) : Promise.resolve(rate)))
+  };
+}
+
+const currentRate = { data: [{ key: 'usd_ves_rate', value: '36.52', updated_at: '2026-10-18T12:00:00Z' }], error: null };
+const savedSetting = { data: [{ key: 'exchange_rate_refresh_error' }], error: null };
+
+describe('ExchangeRateService', () => {
+  let exchangeRateService: ExchangeRateService;
+
+  beforeEach(() => {
+    exchangeRateService = new ExchangeRateService();
+  });
+
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('toVes', () => {
+    it('should convert exactly to cents, or give null without a rate', () => {
+      expect(toVes(12.5, 36.52)).toBe(456.5);
+      expect(toVes(12.5, null)).toBeNull();
+    });
+  });
+
+  describe('getCurrentRate', () => {
+    it('should report no rate until one is recorded', async () => {
+      // Arrange
+      mockQueries({ data: [], error: null });
+
+      // Act
+      const current = await exchangeRateService.getCurrentRate();
+
+      // Assert
+      expect(current).toEqual({ rate: null, rounding_step: 1, updated_at: null });
+    });
+
+    it('should read the rate and rounding step from settings', async () => {
+      // Arrange
+      mockQueries({
+        data: [
+          { key: 'usd_ves_rate', value: '36.52', updated_at: '2026-10-18T12:00:00Z' },
+          { key: 'ves_price_rounding', value: '10', updated_at: '2026-10-01T12:00:00Z' }
+        ],
+        error: null
+      });
+
+      // Act
+      const current = await exchangeRateService.getCurrentRate();
+
+      // Assert
+      expect(current).toEqual({ rate: 36.52, rounding_step: 10, updated_at: '2026-10-18T12:00:00Z' });
+    });
+  });
+
+  describe('recordRate', () => {
+    it('should record the rate with its author in one transaction', async () => {
+      // Arrange
+      const recorded = { id: 4, rate: 36.52, source: 'manual', notes: 'BCV', created_by: 1, created_at: '2026-10-18T12:00:00Z' };
+      mockTypeSafeDatabaseService.executeRpc.mockResolvedValue(recorded);
+
+      // Act
+      const result = await exchangeRateService.recordRate({ rate: 36.52, notes: 'BCV' }, 1);
+
+      // Assert
+      expect(result).toMatchObject({ success: true, data: recorded });
+      expect(mockTypeSafeDatabaseService.executeRpc).toHaveBeenCalledWith('record_exchange_rate', {
+        new_rate: 36.52,
+        rate_source: 'manual',
+        rate_notes: 'BCV',
+        created_by: 1
+      });
+    });
+
+    it('should report RECORD_EXCHANGE_RATE_ERROR when the transaction fails', async () => {
+      // Arrange
+      mockTypeSafeDatabaseService.executeRpc.mockRejectedValue(new Error('Database RPC error: permission denied'));
+
+      // Act
+      const result = await exchangeRateService.recordRate({ rate: 36.52 });
+
+      // Assert
+      expect(result).toMatchObject({ success: false, error: 'RECORD_EXCHANGE_RATE_ERROR' });
+    });
+  });
+
+  describe('refreshFromProvider', () => {
+    it('should record the fetched rate under the provider name and clear the last error', async () => {
+      // Arrange
+      const { builders: [, errorUpdate] } = mockQueries(currentRate, savedSetting);
+      const recorded = { id: 5, rate: 37.1, source: 'bcv', notes: 'Actualización automática', created_by: null, created_at: '2026-10-19T12:00:00Z' };
+      mockTypeSafeDatabaseService.executeRpc.mockResolvedValue(recorded);
+
+      // Act
+      const result = await exchangeRateService.refreshFromProvider(createProvider('bcv', 37.1));
+
+      // Assert
+      expect(result).toMatchObject({ success: true, data: recorded });
+      expect(mockTypeSafeDatabaseService.executeRpc).toHaveBeenCalledWith('record_exchange_rate', {
+        new_rate: 37.1,
+        rate_source: 'bcv',
+        rate_notes: 'Actualización automática',
+        created_by: null
+      });
+      expect(errorUpdate?.update).toHaveBeenCalledWith(expect.objectContaining({ value: '' }));
+    });
+
+    it('should reject a rate too far from the current one and keep the error', async () => {
+      // Arrange
+      const { builders: [, errorUpdate] } = mockQueries(currentRate, savedSetting);
+
+      // Act
+      const result = await exchangeRateService.refreshFromProvider(createProvider('bcv', 45));
+
+      // Assert
+      expect(result).toMatchObject({ success: false, error: 'REFRESH_EXCHANGE_RATE_ERROR' });
+      expect(result.message).toContain('23.2%');
+      expect(mockTypeSafeDatabaseService.executeRpc).not.toHaveBeenCalled();
+      expect(errorUpdate?.update).toHaveBeenCalledWith(expect.objectContaining({ value: expect.stringContaining('bcv: Rate 45') }));
+    });
+
+    it('should not record or reprice a rate that did not change', async () => {
+      // Arrange
+      const { builders: [, errorUpdate] } = mockQueries(currentRate, savedSetting);
+
+      // Act
+      const result = await exchangeRateService.refreshFromProvider(createProvider('bcv', 36.52));
+
+      // Assert
+      expect(result).toMatchObject({ success: true, message: 'Exchange rate unchanged' });
+      expect(result.data).toBeUndefined();
+      expect(mockTypeSafeDatabaseService.executeRpc).not.toHaveBeenCalled();
+      expect(errorUpdate?.update).toHaveBeenCalledWith(expect.objectContaining({ value: '' }));
+    });
+
+    it('should keep the error when the provider cannot be reached', async () => {
+      // Arrange
+      const { builders: [errorUpdate] } = mockQueries(savedSetting);
+
+      // Act
+      const result = await exchangeRateService.refreshFromProvider(createProvider('bcv', new Error('BCV responded with HTTP 503')));
+
+      // Assert
+      expect(result).toMatchObject({ success: false, message: 'BCV responded with HTTP 503' });
+      expect(errorUpdate?.update).toHaveBeenCalledWith(expect.objectContaining({ value: 'bcv: BCV responded with HTTP 503' }));
+    });
+
+    it('should do nothing with the manual provider', async () => {
+      // Arrange
+      const from = vi.fn();
+      mockTypeSafeDatabaseService.getClient.mockReturnValue({ from });
+
+      // Act
+      const result = await exchangeRateService.refreshFromProvider(createProvider('manual', null));
+
+      // Assert
+      expect(result.success).toBe(true);
+      expect(result.data).toBeUndefined();
+      expect(from).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getRefreshAlerts', () => {
+    const now = new Date('2026-10-19T10:00:00Z');
+
+    it('should not alert while the rate is fresh and the last refresh worked', async () => {
+      // Arrange
+      mockQueries({
+        data: [...currentRate.data, { key: 'exchange_rate_refresh_error', value: '', updated_at: null }],
+        error: null
+      });
+
+      // Act
+      const alerts = await exchangeRateService.getRefreshAlerts(now);
+
+      // Assert
+      expect(alerts).toEqual([]);
+    });
+
+    it('should alert on a failed refresh and on a stale rate', async () => {
+      // Arrange
+      mockQueries({
+        data: [
+          { key: 'usd_ves_rate', value: '36.52', updated_at: '2026-10-17T12:00:00Z' },
+          { key: 'exchange_rate_refresh_error', value: 'bcv: BCV responded with HTTP 503', updated_at: '2026-10-19T09:00:00Z' }
+        ],
+        error: null
+      });
+
+      // Act
+      const alerts = await exchangeRateService.getRefreshAlerts(now);
+
+      // Assert
+      expect(alerts).toEqual([
+        { type: 'danger', message: 'No se pudo actualizar la tasa de cambio (bcv: BCV responded with HTTP 503)' },
+        { type: 'warning', message: 'La tasa de cambio tiene 46 horas sin actualizarse' }
+      ]);
+    });
+
+    it('should not call a rate stale while refreshes keep confirming it', async () => {
+      // Arrange
+      mockQueries({
+        data: [
+          { key: 'usd_ves_rate', value: '36.52', updated_at: '2026-10-17T12:00:00Z' },
+          { key: 'exchange_rate_refresh_error', value: '', updated_at: '2026-10-19T09:00:00Z' }
+        ],
+        error: null
+      });
+
+      // Act
+      const alerts = await exchangeRateService.getRefreshAlerts(now);
+
+      // Assert
+      expect(alerts).toEqual([]);
+    });
+
+    it('should warn when no rate was ever recorded', async () => {
+      // Arrange
+      mockQueries({ data: [], error: null });
+
+      // Act
+      const alerts = await exchangeRateService.getRefreshAlerts(now);
+
+      // Assert
+      expect(alerts).toEqual([{ type: 'warning', message: expect.stringContaining('No hay tasa de cambio registrada') }]);
+    });
+  });
+
+  describe('updateRounding', () => {
+    it('should save the step and reprice the catalog', async () => {
+      // Arrange
+      const { builders: [updateQuery] } = mockQueries(
+        { data: [{ key: 'ves_price_rounding' }], error: null },
+        { data: [{ key: 'ves_price_rounding', value: '5', updated_at: null }], error: null }
+      );
+      mockTypeSafeDatabaseService.executeRpc.mockResolvedValue(12);
+
+      // Act
+      const result = await exchangeRateService.updateRounding({ rounding_step: 5 });
+
+      // Assert
+      expect(result.success).toBe(true);
+      expect(result.data?.rounding_step).toBe(5);
+      expect(updateQuery?.update).toHaveBeenCalledWith(expect.objectContaining({ value: '5' }));
+      expect(mockTypeSafeDatabaseService.executeRpc).toHaveBeenCalledWith('refresh_ves_prices');
+    });
+  });
+});
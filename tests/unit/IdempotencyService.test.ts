@@ -0,0 +1,154 @@
+/**
+ * 🌸 FloresYa IdempotencyService Unit Tests
+ * Claiming Idempotency-Keys, replaying their responses and taking over stale ones
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// Create hoisted mocks
+const mockTypeSafeDatabaseService = vi.hoisted(() => ({
+  getClient: vi.fn(),
+  executeRpc: vi.fn()
+}));
+
+vi.mock('../../src/services/TypeSafeDatabaseService', () => ({
+  typeSafeDatabaseService: mockTypeSafeDatabaseService
+}));
+
+// Import after mocking
+import { IdempotencyService } from '../../src/services/IdempotencyService';
+import { createSupabaseQueryMocks } from '../utils/mock-factory';
+
+const { mockQueries } = createSupabaseQueryMocks(mockTypeSafeDatabaseService.getClient);
+
+const keyTaken = { error: { code: '23505', message: 'duplicate key value violates unique constraint' } };
+const now = new Date('2026-10-18T15:00:00Z');
+
+describe('IdempotencyService', () => {
+  let idempotencyService: IdempotencyService;
+
+  beforeEach(() => {
+    idempotencyService = new IdempotencyService();
+  });
+
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('claim', () => {
+    it('should claim a key used for the first time', async () => {
+      // Arrange
+      const { builders: [insert] } = mockQueries({ error: null });
+
+      // Act
+      const result = await idempotencyService.claim('orders', 'key-1', 'hash-a', now);
+
+      // Assert
+      expect(insert?.insert).toHaveBeenCalledWith({
+        scope: 'orders',
+        key: 'key-1',
+        request_hash: 'hash-a',
+        created_at: '2026-10-18T15:00:00.000Z'
+      });
+      expect(result).toEqual({ state: 'claimed' });
+    });
+
+    it('should replay the stored response for the same body and refuse another body', async () => {
+      // Arrange
+      const stored = {
+        data: {
+          request_hash: 'hash-a',
+          response_status: 201,
+          response_body: { success: true, data: { order: { id: 7 } } },
+          created_at: '2026-10-18T14:59:00Z'
+        },
+        error: null
+      };
+      mockQueries(keyTaken, stored);
+      const replay = await idempotencyService.claim('orders', 'key-1', 'hash-a', now);
+      mockQueries(keyTaken, stored);
+
+      // Act
+      const mismatch = await idempotencyService.claim('orders', 'key-1', 'hash-b', now);
+
+      // Assert
+      expect(replay).toEqual({ state: 'replay', status: 201, body: stored.data.response_body });
+      expect(mismatch).toEqual({ state: 'mismatch' });
+    });
+
+    it('should hold a key while its first request runs and take it over once abandoned', async () => {
+      // Arrange
+      const running = { request_hash: 'hash-a', response_status: null, response_body: null };
+      mockQueries(keyTaken, { data: { ...running, created_at: '2026-10-18T14:59:30Z' }, error: null });
+      const inProgress = await idempotencyService.claim('orders', 'key-1', 'hash-a', now);
+      const { builders: [, , takeOver] } = mockQueries(
+        keyTaken,
+        { data: { ...running, created_at: '2026-10-18T14:50:00Z' }, error: null },
+        { data: [{ key: 'key-1' }], error: null }
+      );
+
+      // Act
+      const abandoned = await idempotencyService.claim('orders', 'key-1', 'hash-a', now);
+
+      // Assert
+      expect(inProgress).toEqual({ state: 'in_progress' });
+      expect(abandoned).toEqual({ state: 'claimed' });
+      expect(takeOver?.eq).toHaveBeenCalledWith('created_at', '2026-10-18T14:50:00Z');
+    });
+
+    it('should treat a key past its TTL as new, even with another body', async () => {
+      // Arrange
+      mockQueries(
+        keyTaken,
+        {
+          data: { request_hash: 'hash-a', response_status: 201, response_body: {}, created_at: '2026-10-17T14:00:00Z' },
+          error: null
+        },
+        { data: [{ key: 'key-1' }], error: null }
+      );
+
+      // Act
+      const result = await idempotencyService.claim('orders', 'key-1', 'hash-b', now);
+
+      // Assert
+      expect(result).toEqual({ state: 'claimed' });
+    });
+
+    it('should throw when the key cannot be stored', async () => {
+      // Arrange
+      mockQueries({ error: { code: '08006', message: 'connection lost' } });
+
+      // Act & Assert
+      await expect(idempotencyService.claim('payments', 'key-1', 'hash-a', now))
+        .rejects.toThrow('Database error: connection lost');
+    });
+  });
+
+  describe('release', () => {
+    it('should only delete keys without a stored response', async () => {
+      // Arrange
+      const { builders: [release] } = mockQueries({ error: null });
+
+      // Act
+      await idempotencyService.release('orders', 'key-1');
+
+      // Assert
+      expect(release?.eq).toHaveBeenCalledWith('key', 'key-1');
+      expect(release?.is).toHaveBeenCalledWith('response_status', null);
+    });
+  });
+
+  describe('purgeExpiredKeys', () => {
+    it('should delete keys older than a day', async () => {
+      // Arrange
+      const { builders: [purge] } = mockQueries({ data: [{ key: 'a' }, { key: 'b' }], error: null });
+
+      // Act
+      const purged = await idempotencyService.purgeExpiredKeys(now);
+
+      // Assert
+      expect(purge?.lt).toHaveBeenCalledWith('created_at', '2026-10-17T15:00:00.000Z');
+      expect(purged).toBe(2);
+    });
+  });
+});
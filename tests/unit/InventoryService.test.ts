@@ -0,0 +1,146 @@
+/**
+ * 🌸 FloresYa InventoryService Unit Tests
+ * Manual stock movements and per-product stock history
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// Create hoisted mocks
+const mockTypeSafeDatabaseService = vi.hoisted(() => ({
+  getClient: vi.fn(),
+  executeRpc: vi.fn()
+}));
+
+vi.mock('../../src/services/TypeSafeDatabaseService', () => ({
+  typeSafeDatabaseService: mockTypeSafeDatabaseService
+}));
+
+// Import after mocking
+import { InventoryService } from '../../src/services/InventoryService';
+import { createSupabaseQueryMocks } from '../utils/mock-factory';
+
+const { mockTables } = createSupabaseQueryMocks(mockTypeSafeDatabaseService.getClient);
+
+function createTestMovement(overrides = {}) {
+  return {
+    id: 10,
+    product_id: 3,
+    quantity_change: -2,
+    balance_after: 8,
+    reason: 'waste',
+    order_id: null,
+    notes: 'Rosas marchitas',
+    created_by: 1,
+    created_at: '2026-10-18T12:00:00Z',
+    ...overrides
+  };
+}
+
+describe('InventoryService', () => {
+  let inventoryService: InventoryService;
+
+  beforeEach(() => {
+    inventoryService = new InventoryService();
+  });
+
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('adjustStock', () => {
+    it('should post the movement through the locking RPC with the admin as author', async () => {
+      // Arrange
+      mockTypeSafeDatabaseService.executeRpc.mockResolvedValue(createTestMovement());
+
+      // Act
+      const result = await inventoryService.adjustStock(
+        { product_id: 3, quantity_change: -2, reason: 'waste', notes: 'Rosas marchitas' },
+        1
+      );
+
+      // Assert
+      expect(mockTypeSafeDatabaseService.executeRpc).toHaveBeenCalledWith('adjust_product_stock', {
+        product_id: 3,
+        quantity_change: -2,
+        reason: 'waste',
+        notes: 'Rosas marchitas',
+        created_by: 1
+      });
+      expect(result.success).toBe(true);
+      expect(result.data?.balance_after).toBe(8);
+    });
+
+    it('should report INSUFFICIENT_STOCK when the movement would leave stock below zero', async () => {
+      // Arrange
+      mockTypeSafeDatabaseService.executeRpc.mockRejectedValue(
+        new Error('Database RPC error: Insufficient stock for product 3: 1 available')
+      );
+
+      // Act
+      const result = await inventoryService.adjustStock({ product_id: 3, quantity_change: -2, reason: 'waste' });
+
+      // Assert
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('INSUFFICIENT_STOCK');
+      expect(result.message).toBe('Insufficient stock for product 3: 1 available');
+    });
+
+    it('should report PRODUCT_NOT_FOUND for unknown products', async () => {
+      // Arrange
+      mockTypeSafeDatabaseService.executeRpc.mockRejectedValue(
+        new Error('Database RPC error: Product 99 not found')
+      );
+
+      // Act
+      const result = await inventoryService.adjustStock({ product_id: 99, quantity_change: 5, reason: 'restock' });
+
+      // Assert
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('PRODUCT_NOT_FOUND');
+    });
+  });
+
+  describe('getProductStockHistory', () => {
+    it('should return current stock with paginated movements, newest first', async () => {
+      // Arrange
+      const { builders } = mockTables({
+        products: [{ data: { id: 3, name: 'Rosas Rojas', sku: 'ROS-01', stock: 8 }, error: null }],
+        inventory_movements: [{ data: [createTestMovement()], error: null, count: 21 }]
+      });
+      const movementsQuery = builders.inventory_movements?.[0];
+
+      // Act
+      const result = await inventoryService.getProductStockHistory(3, { page: 2, limit: 10, reason: 'waste' });
+
+      // Assert
+      expect(result.success).toBe(true);
+      expect(result.data?.product.stock).toBe(8);
+      expect(result.data?.movements).toHaveLength(1);
+      expect(result.data?.pagination).toEqual({
+        current_page: 2,
+        total_pages: 3,
+        total_items: 21,
+        items_per_page: 10
+      });
+      expect(movementsQuery?.eq).toHaveBeenCalledWith('product_id', 3);
+      expect(movementsQuery?.eq).toHaveBeenCalledWith('reason', 'waste');
+      expect(movementsQuery?.order).toHaveBeenCalledWith('created_at', { ascending: false });
+      expect(movementsQuery?.range).toHaveBeenCalledWith(10, 19);
+    });
+
+    it('should return PRODUCT_NOT_FOUND without querying movements', async () => {
+      // Arrange
+      const { client } = mockTables({
+        products: [{ data: null, error: { message: 'No rows' } }]
+      });
+
+      // Act
+      const result = await inventoryService.getProductStockHistory(99);
+
+      // Assert
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('PRODUCT_NOT_FOUND');
+      expect(client.from).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * 🌸 FloresYa LoyaltyService Unit Tests
+ * Point balances, what expires when and the discount points give at checkout
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// Create hoisted mocks
+const mockTypeSafeDatabaseService = vi.hoisted(() => ({
+  getClient: vi.fn(),
+  executeRpc: vi.fn()
+}));
+
+vi.mock('../../src/services/TypeSafeDatabaseService', () => ({
+  typeSafeDatabaseService: mockTypeSafeDatabaseService
+}));
+
+// Import after mocking
+import { LoyaltyError, LoyaltyService } from '../../src/services/LoyaltyService';
+import { createSupabaseQueryMocks } from '../utils/mock-factory';
+
+const { mockQueries } = createSupabaseQueryMocks(mockTypeSafeDatabaseService.getClient);
+
+const loyaltySettings = {
+  data: [
+    { key: 'loyalty_points_per_usd', value: '2' },
+    { key: 'loyalty_point_value_usd', value: '0.05' },
+    { key: 'loyalty_points_expiry_days', value: '180' }
+  ],
+  error: null
+};
+
+const now = new Date('2026-10-18T15:00:00Z');
+
+describe('LoyaltyService', () => {
+  let loyaltyService: LoyaltyService;
+
+  beforeEach(() => {
+    loyaltyService = new LoyaltyService();
+  });
+
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('getLoyaltyAccount', () => {
+    it('should add up the unexpired points and list what expires first', async () => {
+      // Arrange
+      const { builders: [, lotsQuery, movementsQuery] } = mockQueries(
+        loyaltySettings,
+        {
+          data: [
+            { remaining_points: 120, expires_at: '2027-03-01T00:00:00Z' },
+            { remaining_points: 40, expires_at: '2026-11-30T00:00:00Z' },
+            { remaining_points: 15, expires_at: null },
+            { remaining_points: 60, expires_at: '2026-10-01T00:00:00Z' }
+          ],
+          error: null
+        },
+        { data: [{ id: 9, user_id: 8, movement_type: 'earn', points: 40, balance_after: 175 }], error: null }
+      );
+
+      // Act
+      const result = await loyaltyService.getLoyaltyAccount(8, now);
+
+      // Assert
+      expect(lotsQuery?.eq).toHaveBeenCalledWith('user_id', 8);
+      expect(lotsQuery?.gt).toHaveBeenCalledWith('remaining_points', 0);
+      expect(movementsQuery?.limit).toHaveBeenCalledWith(50);
+      expect(result.data).toMatchObject({
+        points: 175,
+        value_usd: 8.75,
+        point_value_usd: 0.05,
+        points_per_usd: 2,
+        expiring: [
+          { points: 40, expires_at: '2026-11-30T00:00:00Z' },
+          { points: 120, expires_at: '2027-03-01T00:00:00Z' }
+        ]
+      });
+      expect(result.data?.movements).toHaveLength(1);
+    });
+
+    it('should report FETCH_LOYALTY_POINTS_ERROR when the ledger cannot be read', async () => {
+      // Arrange
+      mockQueries(loyaltySettings, { data: null, error: { message: 'connection lost' } });
+
+      // Act
+      const result = await loyaltyService.getLoyaltyAccount(8, now);
+
+      // Assert
+      expect(result).toMatchObject({
+        success: false,
+        message: 'Database error: connection lost',
+        error: 'FETCH_LOYALTY_POINTS_ERROR'
+      });
+    });
+  });
+
+  describe('redeemPoints', () => {
+    it('should require a signed-in customer', async () => {
+      // Act
+      const error = await loyaltyService.redeemPoints(100, undefined, 50, 50, now).catch((e: unknown) => e);
+
+      // Assert
+      expect(error).toBeInstanceOf(LoyaltyError);
+      expect((error as LoyaltyError).code).toBe('LOYALTY_SIGN_IN_REQUIRED');
+      expect(mockTypeSafeDatabaseService.getClient).not.toHaveBeenCalled();
+    });
+
+    it('should spend at most the unexpired balance and share the discount with the IVA base', async () => {
+      // Arrange
+      mockQueries(loyaltySettings, {
+        data: [
+          { remaining_points: 100, expires_at: null },
+          { remaining_points: 500, expires_at: '2026-10-01T00:00:00Z' }
+        ],
+        error: null
+      });
+
+      // Act
+      const result = await loyaltyService.redeemPoints(300, 8, 80, 60, now);
+
+      // Assert
+      expect(result).toEqual({ points: 100, discount_usd: 5, taxable_discount_usd: 3.75 });
+    });
+
+    it('should not discount more than the products cost', async () => {
+      // Arrange
+      mockQueries(loyaltySettings, { data: [{ remaining_points: 1000, expires_at: null }], error: null });
+
+      // Act
+      const result = await loyaltyService.redeemPoints(1000, 8, 12.3, 0, now);
+
+      // Assert
+      expect(result).toEqual({ points: 246, discount_usd: 12.3, taxable_discount_usd: 0 });
+    });
+
+    it('should give no discount without points to spend', async () => {
+      // Arrange
+      mockQueries(loyaltySettings, { data: [], error: null });
+
+      // Act
+      const result = await loyaltyService.redeemPoints(100, 8, 50, 50, now);
+
+      // Assert
+      expect(result).toEqual({ points: 0, discount_usd: 0, taxable_discount_usd: 0 });
+    });
+  });
+
+  describe('expireLoyaltyPoints', () => {
+    it('should close expired points through the RPC', async () => {
+      // Arrange
+      mockTypeSafeDatabaseService.executeRpc.mockResolvedValue(60);
+
+      // Act
+      const expired = await loyaltyService.expireLoyaltyPoints();
+
+      // Assert
+      expect(mockTypeSafeDatabaseService.executeRpc).toHaveBeenCalledWith('expire_loyalty_points');
+      expect(expired).toBe(60);
+    });
+  });
+});
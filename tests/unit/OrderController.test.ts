@@ -4,39 +4,23 @@
  */
 
 import { Request, Response } from 'express';
-import { validationResult } from 'express-validator';
 import { vi, describe, it, expect, beforeEach, afterEach } from 'vitest';
-import { OrderController, orderValidators } from '../../src/controllers/OrderController';
-import { OrderService } from '../../src/services/OrderService';
-import { createMockRequest, createMockResponse, createMockService } from '../utils/test-mocks';
-import { createTestOrder, createTestOrderList, createTestStatusHistory } from '../utils/test-factories';
 
-// Clean mock for express-validator
-vi.mock('express-validator', () => ({
-  body: vi.fn(() => ({
-    isEmail: vi.fn().mockReturnThis(),
-    notEmpty: vi.fn().mockReturnThis(),
-    isLength: vi.fn().mockReturnThis(),
-    isArray: vi.fn().mockReturnThis(),
-    isInt: vi.fn().mockReturnThis(),
-    isIn: vi.fn().mockReturnThis(),
-    isISO8601: vi.fn().mockReturnThis(),
-    optional: vi.fn().mockReturnThis(),
-    withMessage: vi.fn().mockReturnThis()
-  })),
-  param: vi.fn(() => ({
-    isInt: vi.fn().mockReturnThis(),
-    withMessage: vi.fn().mockReturnThis()
-  })),
-  query: vi.fn(() => ({
-    optional: vi.fn().mockReturnThis(),
-    isInt: vi.fn().mockReturnThis(),
-    isIn: vi.fn().mockReturnThis(),
-    withMessage: vi.fn().mockReturnThis()
-  })),
-  validationResult: vi.fn()
+// Mock the TypeSafeDatabaseService module so the services load without Supabase credentials
+vi.mock('../../src/services/TypeSafeDatabaseService', () => ({
+  typeSafeDatabaseService: {
+    getClient: vi.fn(),
+    executeRpc: vi.fn()
+  }
 }));
 
+// Import after mocking
+import { OrderController } from '../../src/controllers/OrderController';
+import { CouponError } from '../../src/services/CouponService';
+import { DeliveryZoneError, OrderStatusTransitionError } from '../../src/services/OrderService';
+import { createMockRequest } from '../utils/test-mocks';
+import { createTestOrder, createTestOrderList, createTestStatusHistory } from '../utils/test-factories';
+
 describe('OrderController - Silicon Valley Simple Tests', () => {
   let controller: OrderController;
   let mockOrderService: any;
@@ -74,23 +58,14 @@ describe('OrderController - Silicon Valley Simple Tests', () => {
 
   afterEach(() => {
     vi.clearAllMocks();
+    vi.unstubAllEnvs();
   });
 
-  // Simple validation result factory
-  const createValidationResult = (overrides = {}) => ({
-    isEmpty: () => true,
-    array: () => [],
-    ...overrides
-  } as any);
-
   describe('getOrders', () => {
     it('should return orders successfully - clean simple test', async () => {
       // Arrange - One line setup!
       mockOrderService.getOrders.mockResolvedValue(createTestOrderList());
 
-      const mockValidationResult = vi.mocked(validationResult);
-      mockValidationResult.mockReturnValue(createValidationResult());
-
       mockRequest = createMockRequest({
         query: { page: '1', limit: '20' }
       });
@@ -115,12 +90,6 @@ describe('OrderController - Silicon Valley Simple Tests', () => {
 
     it('should handle validation errors', async () => {
       // Arrange
-      const mockValidationResult = vi.mocked(validationResult);
-      mockValidationResult.mockReturnValue(createValidationResult({
-        isEmpty: () => false,
-        array: () => [{ field: 'page', message: 'Invalid page' }]
-      }));
-
       mockRequest = createMockRequest({
         query: { page: 'invalid' }
       });
@@ -129,12 +98,12 @@ describe('OrderController - Silicon Valley Simple Tests', () => {
       await controller.getOrders(mockRequest as Request, mockResponse as Response);
 
       // Assert
-      expect(mockValidationResult).toHaveBeenCalledWith(mockRequest);
+      expect(mockOrderService.getOrders).not.toHaveBeenCalled();
       expect(statusSpy).toHaveBeenCalledWith(400);
       expect(jsonSpy).toHaveBeenCalledWith({
         success: false,
-        message: 'Invalid query parameters',
-        errors: [{ field: 'page', message: 'Invalid page' }]
+        message: 'Request query validation failed',
+        errors: [expect.objectContaining({ field: 'page' })]
       });
     });
 
@@ -142,9 +111,6 @@ describe('OrderController - Silicon Valley Simple Tests', () => {
       // Arrange - Clean error setup
       mockOrderService.getOrders.mockRejectedValue(new Error('Database connection failed'));
 
-      const mockValidationResult = vi.mocked(validationResult);
-      mockValidationResult.mockReturnValue(createValidationResult());
-
       mockRequest = createMockRequest({
         query: { page: '1', limit: '20' }
       });
@@ -165,9 +131,6 @@ describe('OrderController - Silicon Valley Simple Tests', () => {
       // Arrange - Clean defaults test
       mockOrderService.getOrders.mockResolvedValue(createTestOrderList());
 
-      const mockValidationResult = vi.mocked(validationResult);
-      mockValidationResult.mockReturnValue(createValidationResult());
-
       mockRequest = createMockRequest({
         query: {}
       });
@@ -184,27 +147,21 @@ describe('OrderController - Silicon Valley Simple Tests', () => {
       });
     });
 
-    it('should limit maximum limit value', async () => {
+    it('should reject limits above 100', async () => {
       // Arrange - Clean limit test
-      mockOrderService.getOrders.mockResolvedValue(createTestOrderList());
-
-      const mockValidationResult = vi.mocked(validationResult);
-      mockValidationResult.mockReturnValue(createValidationResult());
-
       mockRequest = createMockRequest({
-        query: { limit: '200' } // Should be limited to 100
+        query: { limit: '200' }
       });
 
       // Act
       await controller.getOrders(mockRequest as Request, mockResponse as Response);
 
       // Assert
-      expect(mockOrderService.getOrders).toHaveBeenCalledWith({
-        page: 1,
-        limit: 100, // Should be limited to 100
-        sort_by: 'created_at',
-        sort_direction: 'desc'
-      });
+      expect(mockOrderService.getOrders).not.toHaveBeenCalled();
+      expect(statusSpy).toHaveBeenCalledWith(400);
+      expect(jsonSpy).toHaveBeenCalledWith(expect.objectContaining({
+        errors: [expect.objectContaining({ field: 'limit' })]
+      }));
     });
   });
 
@@ -213,9 +170,6 @@ describe('OrderController - Silicon Valley Simple Tests', () => {
       // Arrange - Clean setup
       mockOrderService.getOrderById.mockResolvedValue(createTestOrder());
 
-      const mockValidationResult = vi.mocked(validationResult);
-      mockValidationResult.mockReturnValue(createValidationResult());
-
       mockRequest = createMockRequest({
         params: { id: '1' }
       });
@@ -224,7 +178,6 @@ describe('OrderController - Silicon Valley Simple Tests', () => {
       await controller.getOrderById(mockRequest as Request, mockResponse as Response);
 
       // Assert
-      expect(mockValidationResult).toHaveBeenCalledWith(mockRequest);
       expect(mockOrderService.getOrderById).toHaveBeenCalledWith(1);
       expect(statusSpy).toHaveBeenCalledWith(200);
       expect(jsonSpy).toHaveBeenCalledWith({
@@ -236,12 +189,6 @@ describe('OrderController - Silicon Valley Simple Tests', () => {
 
     it('should handle validation errors', async () => {
       // Arrange
-      const mockValidationResult = vi.mocked(validationResult);
-      mockValidationResult.mockReturnValue(createValidationResult({
-        isEmpty: () => false,
-        array: () => [{ field: 'id', message: 'Invalid order ID' }]
-      }));
-
       mockRequest = createMockRequest({
         params: { id: 'invalid' }
       });
@@ -250,12 +197,12 @@ describe('OrderController - Silicon Valley Simple Tests', () => {
       await controller.getOrderById(mockRequest as Request, mockResponse as Response);
 
       // Assert
-      expect(mockValidationResult).toHaveBeenCalledWith(mockRequest);
+      expect(mockOrderService.getOrderById).not.toHaveBeenCalled();
       expect(statusSpy).toHaveBeenCalledWith(400);
       expect(jsonSpy).toHaveBeenCalledWith({
         success: false,
-        message: 'Invalid order ID',
-        errors: [{ field: 'id', message: 'Invalid order ID' }]
+        message: 'Request params validation failed',
+        errors: [expect.objectContaining({ field: 'id' })]
       });
     });
 
@@ -263,9 +210,6 @@ describe('OrderController - Silicon Valley Simple Tests', () => {
       // Arrange - Clean null response
       mockOrderService.getOrderById.mockResolvedValue(null);
 
-      const mockValidationResult = vi.mocked(validationResult);
-      mockValidationResult.mockReturnValue(createValidationResult());
-
       mockRequest = createMockRequest({
         params: { id: '1' }
       });
@@ -286,9 +230,6 @@ describe('OrderController - Silicon Valley Simple Tests', () => {
       // Arrange - Clean error test
       mockOrderService.getOrderById.mockRejectedValue(new Error('Database connection failed'));
 
-      const mockValidationResult = vi.mocked(validationResult);
-      mockValidationResult.mockReturnValue(createValidationResult());
-
       mockRequest = createMockRequest({
         params: { id: '1' }
       });
@@ -309,11 +250,9 @@ describe('OrderController - Silicon Valley Simple Tests', () => {
   describe('createOrder', () => {
     it('should create order successfully', async () => {
       // Arrange - Clean order creation
+      vi.stubEnv('ORDER_TRACKING_SECRET', 'test-tracking-secret');
       mockOrderService.createOrder.mockResolvedValue(createTestOrder());
 
-      const mockValidationResult = vi.mocked(validationResult);
-      mockValidationResult.mockReturnValue(createValidationResult());
-
       const newOrderData = {
         customer_email: 'customer@example.com',
         customer_name: 'Test Customer',
@@ -330,36 +269,29 @@ describe('OrderController - Silicon Valley Simple Tests', () => {
             product_id: 1,
             quantity: 2
           }
-        ],
-        notes: 'Birthday order'
+        ]
       };
 
       mockRequest = createMockRequest({
-        body: newOrderData
-      });
+        body: newOrderData,
+        user: { id: 7 } // Signed-in customer
+      } as any);
 
       // Act
       await controller.createOrder(mockRequest as Request, mockResponse as Response);
 
       // Assert
-      expect(mockValidationResult).toHaveBeenCalledWith(mockRequest);
-      expect(mockOrderService.createOrder).toHaveBeenCalledWith(newOrderData);
+      expect(mockOrderService.createOrder).toHaveBeenCalledWith({ ...newOrderData, is_anonymous: false }, 7);
       expect(statusSpy).toHaveBeenCalledWith(201);
       expect(jsonSpy).toHaveBeenCalledWith({
         success: true,
-        data: { order: createTestOrder() },
+        data: { order: createTestOrder(), tracking_token: expect.any(String) },
         message: 'Order created successfully'
       });
     });
 
     it('should handle validation errors', async () => {
       // Arrange
-      const mockValidationResult = vi.mocked(validationResult);
-      mockValidationResult.mockReturnValue(createValidationResult({
-        isEmpty: () => false,
-        array: () => [{ field: 'customer_email', message: 'Invalid email' }]
-      }));
-
       mockRequest = createMockRequest({
         body: { customer_email: 'invalid-email' }
       });
@@ -368,11 +300,12 @@ describe('OrderController - Silicon Valley Simple Tests', () => {
       await controller.createOrder(mockRequest as Request, mockResponse as Response);
 
       // Assert
+      expect(mockOrderService.createOrder).not.toHaveBeenCalled();
       expect(statusSpy).toHaveBeenCalledWith(400);
       expect(jsonSpy).toHaveBeenCalledWith({
         success: false,
-        message: 'Validation failed',
-        errors: [{ field: 'customer_email', message: 'Invalid email' }]
+        message: 'Request body validation failed',
+        errors: expect.arrayContaining([expect.objectContaining({ field: 'customer_email' })])
       });
     });
 
@@ -380,9 +313,6 @@ describe('OrderController - Silicon Valley Simple Tests', () => {
       // Arrange - Clean error handling
       mockOrderService.createOrder.mockRejectedValue(new Error('Database connection failed'));
 
-      const mockValidationResult = vi.mocked(validationResult);
-      mockValidationResult.mockReturnValue(createValidationResult());
-
       mockRequest = createMockRequest({
         body: {
           customer_email: 'customer@example.com',
@@ -403,6 +333,150 @@ describe('OrderController - Silicon Valley Simple Tests', () => {
         error: 'Database connection failed'
       });
     });
+
+    it('should reject addresses outside every delivery zone with 400', async () => {
+      // Arrange
+      mockOrderService.createOrder.mockRejectedValue(
+        new DeliveryZoneError('We do not deliver to Maracaibo, Zulia yet', 'OUTSIDE_DELIVERY_ZONES')
+      );
+
+      mockRequest = createMockRequest({
+        body: {
+          customer_email: 'customer@example.com',
+          customer_name: 'Test Customer',
+          delivery_address: '123 Test Street',
+          delivery_city: 'Maracaibo',
+          delivery_state: 'Zulia',
+          items: [{ product_id: 1, quantity: 1 }]
+        }
+      });
+
+      // Act
+      await controller.createOrder(mockRequest as Request, mockResponse as Response);
+
+      // Assert
+      expect(statusSpy).toHaveBeenCalledWith(400);
+      expect(jsonSpy).toHaveBeenCalledWith({
+        success: false,
+        message: 'We do not deliver to Maracaibo, Zulia yet',
+        error: 'OUTSIDE_DELIVERY_ZONES'
+      });
+    });
+
+    it('should answer 400 when the cart does not qualify for the coupon', async () => {
+      // Arrange
+      mockOrderService.createOrder.mockRejectedValue(
+        new CouponError('Coupon MADRES10 needs an order of at least $40.00', 'BELOW_COUPON_MINIMUM')
+      );
+
+      mockRequest = createMockRequest({
+        body: {
+          customer_email: 'customer@example.com',
+          customer_name: 'Test Customer',
+          delivery_address: '123 Test Street',
+          coupon_code: 'MADRES10',
+          items: [{ product_id: 1, quantity: 1 }]
+        }
+      });
+
+      // Act
+      await controller.createOrder(mockRequest as Request, mockResponse as Response);
+
+      // Assert
+      expect(statusSpy).toHaveBeenCalledWith(400);
+      expect(jsonSpy).toHaveBeenCalledWith({
+        success: false,
+        message: 'Coupon MADRES10 needs an order of at least $40.00',
+        error: 'BELOW_COUPON_MINIMUM'
+      });
+    });
+
+    it('should answer 409 when the coupon ran out while the order was created', async () => {
+      // Arrange
+      mockOrderService.createOrder.mockRejectedValue(
+        new CouponError('Coupon unavailable: MADRES10 has reached its usage limit', 'COUPON_UNAVAILABLE')
+      );
+
+      mockRequest = createMockRequest({
+        body: {
+          customer_email: 'customer@example.com',
+          customer_name: 'Test Customer',
+          delivery_address: '123 Test Street',
+          coupon_code: 'MADRES10',
+          items: [{ product_id: 1, quantity: 1 }]
+        }
+      });
+
+      // Act
+      await controller.createOrder(mockRequest as Request, mockResponse as Response);
+
+      // Assert
+      expect(statusSpy).toHaveBeenCalledWith(409);
+      expect(jsonSpy).toHaveBeenCalledWith({
+        success: false,
+        message: 'Coupon unavailable: MADRES10 has reached its usage limit',
+        error: 'COUPON_UNAVAILABLE'
+      });
+    });
+  });
+
+  describe('quoteOrder', () => {
+    it('should quote the cart with the normalized coupon code and the customer email', async () => {
+      // Arrange
+      const quote = { subtotal_usd: 50, discount_usd: 5, total_amount_usd: 45 };
+      mockOrderService.calculateOrderTotals.mockResolvedValue(quote);
+
+      mockRequest = createMockRequest({
+        body: {
+          items: [{ product_id: 1, quantity: 2 }],
+          coupon_code: ' madres10 ',
+          customer_email: 'customer@example.com'
+        }
+      });
+
+      // Act
+      await controller.quoteOrder(mockRequest as Request, mockResponse as Response);
+
+      // Assert
+      expect(mockOrderService.calculateOrderTotals).toHaveBeenCalledWith(
+        [{ product_id: 1, quantity: 2 }],
+        undefined,
+        undefined,
+        { code: 'MADRES10', customer_email: 'customer@example.com' },
+        undefined
+      );
+      expect(statusSpy).toHaveBeenCalledWith(200);
+      expect(jsonSpy).toHaveBeenCalledWith({
+        success: true,
+        data: quote,
+        message: 'Order quoted successfully'
+      });
+    });
+
+    it('should answer 400 with the reason a coupon cannot be used', async () => {
+      // Arrange
+      mockOrderService.calculateOrderTotals.mockRejectedValue(
+        new CouponError('Coupon MADRES10 expired on 2026-05-11', 'COUPON_EXPIRED')
+      );
+
+      mockRequest = createMockRequest({
+        body: {
+          items: [{ product_id: 1, quantity: 2 }],
+          coupon_code: 'MADRES10'
+        }
+      });
+
+      // Act
+      await controller.quoteOrder(mockRequest as Request, mockResponse as Response);
+
+      // Assert
+      expect(statusSpy).toHaveBeenCalledWith(400);
+      expect(jsonSpy).toHaveBeenCalledWith({
+        success: false,
+        message: 'Coupon MADRES10 expired on 2026-05-11',
+        error: 'COUPON_EXPIRED'
+      });
+    });
   });
 
   describe('updateOrder', () => {
@@ -410,29 +484,26 @@ describe('OrderController - Silicon Valley Simple Tests', () => {
       // Arrange - Clean update test
       mockOrderService.updateOrder.mockResolvedValue(createTestOrder());
 
-      const mockValidationResult = vi.mocked(validationResult);
-      mockValidationResult.mockReturnValue(createValidationResult());
-
       const updateData = {
-        status: 'confirmed' as const,
+        status: 'verified' as const,
         delivery_date: '2024-01-21',
         admin_notes: 'Updated by admin'
       };
 
       mockRequest = createMockRequest({
         params: { id: '1' },
-        body: updateData
-      });
+        body: updateData,
+        user: { id: 1 } // Mock authenticated user
+      } as any);
 
       // Act
       await controller.updateOrder(mockRequest as Request, mockResponse as Response);
 
       // Assert
-      expect(mockValidationResult).toHaveBeenCalledWith(mockRequest);
       expect(mockOrderService.updateOrder).toHaveBeenCalledWith({
         id: 1,
         ...updateData
-      });
+      }, 1);
       expect(statusSpy).toHaveBeenCalledWith(200);
       expect(jsonSpy).toHaveBeenCalledWith({
         success: true,
@@ -443,12 +514,6 @@ describe('OrderController - Silicon Valley Simple Tests', () => {
 
     it('should handle validation errors', async () => {
       // Arrange
-      const mockValidationResult = vi.mocked(validationResult);
-      mockValidationResult.mockReturnValue(createValidationResult({
-        isEmpty: () => false,
-        array: () => [{ field: 'status', message: 'Invalid status' }]
-      }));
-
       mockRequest = createMockRequest({
         params: { id: '1' },
         body: { status: 'invalid' }
@@ -458,18 +523,17 @@ describe('OrderController - Silicon Valley Simple Tests', () => {
       await controller.updateOrder(mockRequest as Request, mockResponse as Response);
 
       // Assert
+      expect(mockOrderService.updateOrder).not.toHaveBeenCalled();
       expect(statusSpy).toHaveBeenCalledWith(400);
       expect(jsonSpy).toHaveBeenCalledWith({
         success: false,
-        message: 'Validation failed',
-        errors: [{ field: 'status', message: 'Invalid status' }]
+        message: 'Request body validation failed',
+        errors: [expect.objectContaining({ field: 'status' })]
       });
     });
 
     it('should handle empty update data', async () => {
       // Arrange
-      const mockValidationResult = vi.mocked(validationResult);
-      mockValidationResult.mockReturnValue(createValidationResult());
 
       mockRequest = createMockRequest({
         params: { id: '1' },
@@ -491,12 +555,9 @@ describe('OrderController - Silicon Valley Simple Tests', () => {
       // Arrange - Clean update error
       mockOrderService.updateOrder.mockRejectedValue(new Error('Database connection failed'));
 
-      const mockValidationResult = vi.mocked(validationResult);
-      mockValidationResult.mockReturnValue(createValidationResult());
-
       mockRequest = createMockRequest({
         params: { id: '1' },
-        body: { status: 'confirmed' }
+        body: { status: 'verified' }
       });
 
       // Act
@@ -517,11 +578,8 @@ describe('OrderController - Silicon Valley Simple Tests', () => {
       // Arrange - Clean status update
       mockOrderService.updateOrderStatus.mockResolvedValue(createTestOrder());
 
-      const mockValidationResult = vi.mocked(validationResult);
-      mockValidationResult.mockReturnValue(createValidationResult());
-
       const statusUpdate = {
-        status: 'confirmed' as const,
+        status: 'verified' as const,
         notes: 'Order confirmed by admin'
       };
 
@@ -535,8 +593,7 @@ describe('OrderController - Silicon Valley Simple Tests', () => {
       await controller.updateOrderStatus(mockRequest as Request, mockResponse as Response);
 
       // Assert
-      expect(mockValidationResult).toHaveBeenCalledWith(mockRequest);
-      expect(mockOrderService.updateOrderStatus).toHaveBeenCalledWith(1, 'confirmed', 'Order confirmed by admin', 1);
+      expect(mockOrderService.updateOrderStatus).toHaveBeenCalledWith(1, 'verified', 'Order confirmed by admin', 1);
       expect(statusSpy).toHaveBeenCalledWith(200);
       expect(jsonSpy).toHaveBeenCalledWith({
         success: true,
@@ -547,12 +604,6 @@ describe('OrderController - Silicon Valley Simple Tests', () => {
 
     it('should handle validation errors', async () => {
       // Arrange
-      const mockValidationResult = vi.mocked(validationResult);
-      mockValidationResult.mockReturnValue(createValidationResult({
-        isEmpty: () => false,
-        array: () => [{ field: 'status', message: 'Invalid status' }]
-      }));
-
       mockRequest = createMockRequest({
         params: { id: '1' },
         body: { status: 'invalid' }
@@ -562,11 +613,37 @@ describe('OrderController - Silicon Valley Simple Tests', () => {
       await controller.updateOrderStatus(mockRequest as Request, mockResponse as Response);
 
       // Assert
+      expect(mockOrderService.updateOrderStatus).not.toHaveBeenCalled();
       expect(statusSpy).toHaveBeenCalledWith(400);
       expect(jsonSpy).toHaveBeenCalledWith({
         success: false,
-        message: 'Validation failed',
-        errors: [{ field: 'status', message: 'Invalid status' }]
+        message: 'Request body validation failed',
+        errors: [expect.objectContaining({ field: 'status' })]
+      });
+    });
+
+    it('should answer 409 with the allowed statuses when the transition is not allowed', async () => {
+      // Arrange
+      mockOrderService.updateOrderStatus.mockRejectedValue(
+        new OrderStatusTransitionError('Cannot change order status from shipped to cancelled', 'shipped', ['delivered'])
+      );
+
+      mockRequest = createMockRequest({
+        params: { id: '1' },
+        body: { status: 'cancelled' }
+      });
+
+      // Act
+      await controller.updateOrderStatus(mockRequest as Request, mockResponse as Response);
+
+      // Assert
+      expect(statusSpy).toHaveBeenCalledWith(409);
+      expect(jsonSpy).toHaveBeenCalledWith({
+        success: false,
+        message: 'Cannot change order status from shipped to cancelled',
+        error: 'INVALID_STATUS_TRANSITION',
+        current_status: 'shipped',
+        allowed_statuses: ['delivered']
       });
     });
 
@@ -574,12 +651,9 @@ describe('OrderController - Silicon Valley Simple Tests', () => {
       // Arrange - Clean status error
       mockOrderService.updateOrderStatus.mockRejectedValue(new Error('Database connection failed'));
 
-      const mockValidationResult = vi.mocked(validationResult);
-      mockValidationResult.mockReturnValue(createValidationResult());
-
       mockRequest = createMockRequest({
         params: { id: '1' },
-        body: { status: 'confirmed' },
+        body: { status: 'verified' },
         user: { id: 1 }
       } as any);
 
@@ -638,51 +712,4 @@ describe('OrderController - Silicon Valley Simple Tests', () => {
       });
     });
   });
-
-  describe('orderValidators', () => {
-    it('should validate getOrders correctly', () => {
-      // Arrange
-      const validators = orderValidators.getOrders;
-
-      // Act & Assert
-      expect(validators).toBeDefined();
-      expect(validators.length).toBeGreaterThan(0);
-    });
-
-    it('should validate getOrderById correctly', () => {
-      // Arrange
-      const validators = orderValidators.getOrderById;
-
-      // Act & Assert
-      expect(validators).toBeDefined();
-      expect(validators.length).toBeGreaterThan(0);
-    });
-
-    it('should validate createOrder correctly', () => {
-      // Arrange
-      const validators = orderValidators.createOrder;
-
-      // Act & Assert
-      expect(validators).toBeDefined();
-      expect(validators.length).toBeGreaterThan(0);
-    });
-
-    it('should validate updateOrder correctly', () => {
-      // Arrange
-      const validators = orderValidators.updateOrder;
-
-      // Act & Assert
-      expect(validators).toBeDefined();
-      expect(validators.length).toBeGreaterThan(0);
-    });
-
-    it('should validate updateOrderStatus correctly', () => {
-      // Arrange
-      const validators = orderValidators.updateOrderStatus;
-
-      // Act & Assert
-      expect(validators).toBeDefined();
-      expect(validators.length).toBeGreaterThan(0);
-    });
-  });
 });
\ No newline at end of file
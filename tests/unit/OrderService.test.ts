@@ -17,8 +17,19 @@ vi.mock('../../src/services/TypeSafeDatabaseService', () => ({
 }));
 
 // Import after mocking
+import { CouponError, couponService } from '../../src/services/CouponService';
+import { exchangeRateService } from '../../src/services/ExchangeRateService';
 import { typeSafeDatabaseService } from '../../src/services/TypeSafeDatabaseService';
-import { OrderService } from '../../src/services/OrderService';
+import {
+  DeliverySlotUnavailableError,
+  DeliveryZoneError,
+  InsufficientStockError,
+  OrderNotFoundError,
+  OrderService,
+  OrderStatusTransitionError
+} from '../../src/services/OrderService';
+import { LoyaltyError, loyaltyService } from '../../src/services/LoyaltyService';
+import { promotionService } from '../../src/services/PromotionService';
 
 // Helper functions for test data
 function createTestOrder() {
@@ -66,6 +77,30 @@ function createTestProduct(overrides = {}) {
   };
 }
 
+function createTestZone(overrides = {}) {
+  return {
+    id: 2,
+    name: 'Caracas Este',
+    state: 'Miranda',
+    localities: ['Chacao', 'Baruta', 'El Hatillo'],
+    fee_usd: 5,
+    min_order_usd: 0,
+    delivery_weekdays: [0, 1, 2, 3, 4, 5, 6],
+    ...overrides
+  };
+}
+
+// Active delivery zones lookup: select -> eq -> order
+function createZonesQueryBuilder(zones: unknown[]) {
+  return {
+    select: vi.fn(() => ({
+      eq: vi.fn(() => ({
+        order: vi.fn().mockResolvedValue({ data: zones, error: null })
+      }))
+    }))
+  };
+}
+
 function createTestError(message: string) {
   return {
     message,
@@ -78,6 +113,8 @@ describe('OrderService', () => {
 
   beforeEach(() => {
     orderService = new OrderService();
+    // No seasonal campaign running unless a test sets one up
+    vi.spyOn(promotionService, 'getActivePromotions').mockResolvedValue([]);
   });
 
   afterEach(() => {
@@ -138,6 +175,31 @@ describe('OrderService', () => {
       expect(result.pagination?.total_items).toBe(1);
     });
 
+    it('should search by order number, customer name or email and the old numeric id', async () => {
+      // Arrange
+      const mockQueryBuilder = {
+        or: vi.fn().mockReturnThis(),
+        order: vi.fn().mockReturnThis(),
+        range: vi.fn().mockResolvedValue({ data: [], error: null, count: 0 })
+      };
+      mockTypeSafeDatabaseService.getClient.mockReturnValue({
+        from: vi.fn(() => ({ select: vi.fn(() => mockQueryBuilder) }))
+      });
+
+      // Act
+      await orderService.getOrders({ search: 'FY-2026-0001' });
+      await orderService.getOrders({ search: ' #42 ' });
+      await orderService.getOrders({ search: 'ana,(status.eq.pending)' });
+
+      // Assert
+      expect(mockQueryBuilder.or).toHaveBeenNthCalledWith(1,
+        'order_number.ilike.%FY-2026-0001%,customer_name.ilike.%FY-2026-0001%,customer_email.ilike.%FY-2026-0001%');
+      expect(mockQueryBuilder.or).toHaveBeenNthCalledWith(2,
+        'order_number.ilike.%#42%,customer_name.ilike.%#42%,customer_email.ilike.%#42%,id.eq.42');
+      expect(mockQueryBuilder.or).toHaveBeenNthCalledWith(3,
+        'order_number.ilike.%anastatus.eq.pending%,customer_name.ilike.%anastatus.eq.pending%,customer_email.ilike.%anastatus.eq.pending%');
+    });
+
     it('should handle database errors', async () => {
       // Arrange
       const mockQueryBuilder = {
@@ -256,6 +318,8 @@ describe('OrderService', () => {
         customer_email: 'test@example.com',
         customer_phone: '+1234567890',
         delivery_address: '123 Test Street',
+        delivery_city: 'Chacao',
+        delivery_state: 'Miranda',
         delivery_date: '2024-12-25',
         notes: 'Test order',
         items: [
@@ -310,6 +374,9 @@ describe('OrderService', () => {
           if (tableName === 'products') {
             return mockProductQueryBuilder;
           }
+          if (tableName === 'delivery_zones') {
+            return createZonesQueryBuilder([createTestZone()]);
+          }
           return mockOrderQueryBuilder;  // Default for other tables
         })
       };
@@ -330,6 +397,8 @@ describe('OrderService', () => {
         user_id: 1,
         customer_name: 'Test Customer',
         customer_email: 'test@example.com',
+        delivery_city: 'Chacao',
+        delivery_state: 'Miranda',
         items: [
           {
             product_id: 1,
@@ -382,6 +451,9 @@ describe('OrderService', () => {
           if (tableName === 'products') {
             return mockProductQueryBuilder;
           }
+          if (tableName === 'delivery_zones') {
+            return createZonesQueryBuilder([createTestZone()]);
+          }
           return mockOrderQueryBuilder;  // Default for other tables
         })
       };
@@ -394,6 +466,825 @@ describe('OrderService', () => {
     });
   });
 
+  describe('calculateOrderTotals', () => {
+    function mockProductLookup(products: unknown[], variants: unknown[] = [], addons: unknown[] = []) {
+      const rowsByTable: Record<string, unknown[]> = { product_variants: variants, product_addons: addons };
+      mockTypeSafeDatabaseService.getClient.mockReturnValue({
+        from: vi.fn((tableName: string) => ({
+          select: vi.fn(() => ({
+            in: vi.fn(() => ({
+              eq: vi.fn().mockResolvedValue({
+                data: rowsByTable[tableName] ?? products,
+                error: null
+              })
+            }))
+          }))
+        }))
+      });
+    }
+
+    function createTestAddon(overrides = {}) {
+      return {
+        id: 3,
+        name: 'Caja de bombones',
+        price_usd: 12,
+        stock: 5,
+        ...overrides
+      };
+    }
+
+    function createTestVariant(overrides = {}) {
+      return {
+        id: 7,
+        product_id: 1,
+        name: '24 rosas',
+        price_usd: 120,
+        stock: 4,
+        ...overrides
+      };
+    }
+
+    it('should price items from the catalog, not from the client', async () => {
+      // Arrange
+      mockProductLookup([createTestProduct({ price_usd: 80 })]);
+
+      // Act
+      const result = await orderService.calculateOrderTotals([
+        { product_id: 1, quantity: 2, unit_price_usd: 1 } as { product_id: number; quantity: number }
+      ]);
+
+      // Assert
+      expect(result.items[0]).toMatchObject({ product_id: 1, unit_price_usd: 80, subtotal_usd: 160 });
+      expect(result.total_amount_usd).toBe(160);
+    });
+
+    it('should reject quantities above available stock', async () => {
+      // Arrange
+      mockProductLookup([createTestProduct({ stock: 1 })]);
+
+      // Act & Assert
+      await expect(orderService.calculateOrderTotals([{ product_id: 1, quantity: 3 }]))
+        .rejects.toThrow('Insufficient stock for product Rose Bouquet');
+    });
+
+    it('should price and stock-check the chosen variant instead of the product', async () => {
+      // Arrange
+      mockProductLookup([createTestProduct({ price_usd: 80, stock: 10 })], [createTestVariant()]);
+
+      // Act
+      const result = await orderService.calculateOrderTotals([{ product_id: 1, variant_id: 7, quantity: 2 }]);
+
+      // Assert
+      expect(result.items[0]).toMatchObject({
+        product_id: 1,
+        variant_id: 7,
+        variant_name: '24 rosas',
+        unit_price_usd: 120,
+        subtotal_usd: 240
+      });
+      expect(result.total_amount_usd).toBe(240);
+    });
+
+    it('should reject quantities above the variant stock even when the product has more', async () => {
+      // Arrange
+      mockProductLookup([createTestProduct({ stock: 10 })], [createTestVariant({ stock: 1 })]);
+
+      // Act & Assert
+      await expect(orderService.calculateOrderTotals([{ product_id: 1, variant_id: 7, quantity: 2 }]))
+        .rejects.toThrow('Insufficient stock for product Rose Bouquet - 24 rosas');
+    });
+
+    it('should require a variant for products that have them', async () => {
+      // Arrange
+      mockProductLookup([createTestProduct()], [createTestVariant()]);
+
+      // Act & Assert
+      await expect(orderService.calculateOrderTotals([{ product_id: 1, quantity: 1 }]))
+        .rejects.toThrow('Product Rose Bouquet requires choosing a variant');
+    });
+
+    it('should reject variants that belong to another product', async () => {
+      // Arrange
+      mockProductLookup([createTestProduct()], [createTestVariant({ product_id: 2 })]);
+
+      // Act & Assert
+      await expect(orderService.calculateOrderTotals([{ product_id: 1, variant_id: 7, quantity: 1 }]))
+        .rejects.toThrow('Variant with ID 7 not found or inactive');
+    });
+
+    it('should price add-ons under their item and include them in the total', async () => {
+      // Arrange
+      mockProductLookup([createTestProduct({ price_usd: 80 })], [], [createTestAddon({ price_ves: 480 })]);
+
+      // Act
+      const result = await orderService.calculateOrderTotals([
+        { product_id: 1, quantity: 2, addons: [{ addon_id: 3, quantity: 1 }] }
+      ]);
+
+      // Assert
+      expect(result.items[0]?.subtotal_usd).toBe(160);
+      expect(result.items[0]?.addons).toEqual([{
+        addon_id: 3,
+        addon_name: 'Caja de bombones',
+        unit_price_usd: 12,
+        unit_price_ves: 480,
+        quantity: 1,
+        subtotal_usd: 12
+      }]);
+      expect(result.total_amount_usd).toBe(172);
+    });
+
+    it('should check add-on stock against every line that uses it', async () => {
+      // Arrange
+      mockProductLookup(
+        [createTestProduct(), createTestProduct({ id: 2, name: 'Girasoles' })],
+        [],
+        [createTestAddon({ stock: 2 })]
+      );
+
+      // Act & Assert
+      await expect(orderService.calculateOrderTotals([
+        { product_id: 1, quantity: 1, addons: [{ addon_id: 3, quantity: 2 }] },
+        { product_id: 2, quantity: 1, addons: [{ addon_id: 3, quantity: 1 }] }
+      ])).rejects.toThrow('Insufficient stock for add-on Caja de bombones. Available: 2, Requested: 3');
+    });
+
+    it('should reject add-ons that are unknown or inactive', async () => {
+      // Arrange
+      mockProductLookup([createTestProduct()], [], []);
+
+      // Act & Assert
+      await expect(orderService.calculateOrderTotals([
+        { product_id: 1, quantity: 1, addons: [{ addon_id: 99, quantity: 1 }] }
+      ])).rejects.toThrow('Add-on with ID 99 not found or inactive');
+    });
+  });
+
+  describe('delivery fee', () => {
+    function mockZoneLookup(zones: unknown[]) {
+      mockTypeSafeDatabaseService.getClient.mockReturnValue({
+        from: vi.fn((tableName: string) => tableName === 'delivery_zones'
+          ? createZonesQueryBuilder(zones)
+          : {
+            select: vi.fn(() => ({
+              in: vi.fn(() => ({
+                eq: vi.fn().mockResolvedValue({
+                  data: tableName === 'products' ? [createTestProduct({ price_usd: 30 })] : [],
+                  error: null
+                })
+              }))
+            }))
+          })
+      });
+    }
+
+    it('should quote without a fee until the address is known', async () => {
+      // Arrange
+      mockZoneLookup([createTestZone()]);
+
+      // Act
+      const result = await orderService.calculateOrderTotals([{ product_id: 1, quantity: 2 }]);
+
+      // Assert
+      expect(result.subtotal_usd).toBe(60);
+      expect(result.delivery_zone).toBeNull();
+      expect(result.delivery_fee_usd).toBe(0);
+      expect(result.total_amount_usd).toBe(60);
+    });
+
+    it('should add the fee of the zone serving the city, ignoring case and accents', async () => {
+      // Arrange
+      mockZoneLookup([
+        createTestZone({ id: 1, name: 'Caracas', state: 'Distrito Capital', localities: ['Caracas'], fee_usd: 3 }),
+        createTestZone({ localities: ['Chacao', 'Baruta', 'El Hatillo', 'San Cristóbal'] })
+      ]);
+
+      // Act
+      const result = await orderService.calculateOrderTotals(
+        [{ product_id: 1, quantity: 2 }],
+        { city: '  san  cristobal ', state: 'MIRANDA' }
+      );
+
+      // Assert
+      expect(result.delivery_zone).toEqual({ id: 2, name: 'Caracas Este' });
+      expect(result.delivery_fee_usd).toBe(5);
+      expect(result.total_amount_usd).toBe(65);
+    });
+
+    it('should not match a city listed under another state', async () => {
+      // Arrange
+      mockZoneLookup([createTestZone({ localities: ['Sucre'] })]);
+
+      // Act
+      const error = await orderService.calculateOrderTotals([{ product_id: 1, quantity: 1 }], { city: 'Sucre', state: 'Zulia' })
+        .catch((e: unknown) => e);
+
+      // Assert
+      expect(error).toBeInstanceOf(DeliveryZoneError);
+      expect((error as DeliveryZoneError).code).toBe('OUTSIDE_DELIVERY_ZONES');
+    });
+
+    it('should reject carts below the zone minimum before the fee', async () => {
+      // Arrange
+      mockZoneLookup([createTestZone({ min_order_usd: 40, fee_usd: 10 })]);
+
+      // Act
+      const error = await orderService.calculateOrderTotals([{ product_id: 1, quantity: 1 }], { city: 'Chacao', state: 'Miranda' })
+        .catch((e: unknown) => e);
+
+      // Assert
+      expect(error).toBeInstanceOf(DeliveryZoneError);
+      expect((error as DeliveryZoneError).code).toBe('BELOW_ZONE_MINIMUM');
+    });
+
+    it('should reject delivery dates on weekdays the zone is not served', async () => {
+      // Arrange - 2026-10-19 is a Monday
+      mockZoneLookup([createTestZone({ delivery_weekdays: [2, 4, 6] })]);
+
+      // Act
+      const error = await orderService.calculateOrderTotals(
+        [{ product_id: 1, quantity: 2 }],
+        { city: 'Chacao', state: 'Miranda', date: '2026-10-19' }
+      ).catch((e: unknown) => e);
+
+      // Assert
+      expect(error).toBeInstanceOf(DeliveryZoneError);
+      expect((error as DeliveryZoneError).code).toBe('ZONE_NOT_SERVED_ON_DATE');
+    });
+  });
+
+  describe('taxes', () => {
+    function mockTaxLookup(options: { products: unknown[]; addons?: unknown[]; settings?: unknown[]; paymentMethod?: unknown }) {
+      mockTypeSafeDatabaseService.getClient.mockReturnValue({
+        from: vi.fn((tableName: string) => {
+          if (tableName === 'settings') {
+            return { select: vi.fn(() => ({ in: vi.fn().mockResolvedValue({ data: options.settings ?? [], error: null }) })) };
+          }
+          if (tableName === 'payment_methods') {
+            return {
+              select: vi.fn(() => ({
+                eq: vi.fn(() => ({ single: vi.fn().mockResolvedValue({ data: options.paymentMethod ?? null, error: null }) }))
+              }))
+            };
+          }
+          return {
+            select: vi.fn(() => ({
+              in: vi.fn(() => ({
+                eq: vi.fn().mockResolvedValue({
+                  data: tableName === 'products' ? options.products : tableName === 'product_addons' ? options.addons ?? [] : [],
+                  error: null
+                })
+              }))
+            }))
+          };
+        })
+      });
+    }
+
+    const taxSettings = [{ key: 'iva_rate', value: '16' }, { key: 'igtf_rate', value: '3' }];
+
+    it('should charge IVA only on taxable products and add-ons', async () => {
+      // Arrange
+      mockTaxLookup({
+        products: [
+          createTestProduct({ price_usd: 80, is_taxable: true }),
+          createTestProduct({ id: 2, name: 'Girasoles', price_usd: 30, is_taxable: false })
+        ],
+        addons: [{ id: 3, name: 'Caja de bombones', price_usd: 12, stock: 5, is_taxable: true }],
+        settings: taxSettings
+      });
+
+      // Act
+      const result = await orderService.calculateOrderTotals([
+        { product_id: 1, quantity: 1, addons: [{ addon_id: 3, quantity: 1 }] },
+        { product_id: 2, quantity: 1 }
+      ]);
+
+      // Assert
+      expect(result.subtotal_usd).toBe(122);
+      expect(result.taxable_amount_usd).toBe(92);
+      expect(result.iva_rate).toBe(16);
+      expect(result.iva_amount_usd).toBe(14.72);
+      expect(result.igtf_amount_usd).toBe(0);
+      expect(result.total_amount_usd).toBe(136.72);
+    });
+
+    it('should add IGTF on the taxed amount for foreign-currency payment methods', async () => {
+      // Arrange
+      mockTaxLookup({
+        products: [createTestProduct({ price_usd: 100, is_taxable: true })],
+        settings: taxSettings,
+        paymentMethod: { id: 4, is_active: true, is_foreign_currency: true }
+      });
+
+      // Act
+      const result = await orderService.calculateOrderTotals([{ product_id: 1, quantity: 1 }], undefined, 4);
+
+      // Assert
+      expect(result.iva_amount_usd).toBe(16);
+      expect(result.igtf_rate).toBe(3);
+      expect(result.igtf_amount_usd).toBe(3.48);
+      expect(result.total_amount_usd).toBe(119.48);
+    });
+
+    it('should not add IGTF for payments in bolívares', async () => {
+      // Arrange
+      mockTaxLookup({
+        products: [createTestProduct({ price_usd: 100, is_taxable: true })],
+        settings: taxSettings,
+        paymentMethod: { id: 2, is_active: true, is_foreign_currency: false }
+      });
+
+      // Act
+      const result = await orderService.calculateOrderTotals([{ product_id: 1, quantity: 1 }], undefined, 2);
+
+      // Assert
+      expect(result.igtf_rate).toBe(0);
+      expect(result.total_amount_usd).toBe(116);
+    });
+
+    it('should take the coupon discount off the subtotal and its taxable part off the IVA base', async () => {
+      // Arrange
+      mockTaxLookup({
+        products: [
+          createTestProduct({ price_usd: 80, is_taxable: true }),
+          createTestProduct({ id: 2, name: 'Girasoles', price_usd: 20, is_taxable: false })
+        ],
+        settings: taxSettings,
+        paymentMethod: { id: 4, is_active: true, is_foreign_currency: true }
+      });
+      const applyCoupon = vi.spyOn(couponService, 'applyCoupon').mockResolvedValueOnce({
+        coupon: { id: 4, code: 'MADRES10' },
+        discount_usd: 10,
+        taxable_discount_usd: 8
+      });
+
+      // Act
+      const result = await orderService.calculateOrderTotals(
+        [{ product_id: 1, quantity: 1 }, { product_id: 2, quantity: 1 }],
+        undefined,
+        4,
+        { code: 'madres10', customer_email: 'ana@example.com', user_id: 12 }
+      );
+
+      // Assert
+      expect(applyCoupon).toHaveBeenCalledWith('madres10', [
+        { product_id: 1, subtotal_usd: 80, taxable_usd: 80 },
+        { product_id: 2, subtotal_usd: 20, taxable_usd: 0 }
+      ], { email: 'ana@example.com', user_id: 12 });
+      expect(result.coupon).toEqual({ id: 4, code: 'MADRES10' });
+      expect(result.subtotal_usd).toBe(100);
+      expect(result.discount_usd).toBe(10);
+      expect(result.taxable_amount_usd).toBe(72);
+      expect(result.iva_amount_usd).toBe(11.52);
+      expect(result.igtf_amount_usd).toBe(3.05);
+      expect(result.total_amount_usd).toBe(104.57);
+    });
+
+    it('should apply promotions before the coupon and take their taxable part off the IVA base', async () => {
+      // Arrange
+      mockTaxLookup({
+        products: [
+          createTestProduct({ price_usd: 80, is_taxable: true }),
+          createTestProduct({ id: 2, name: 'Girasoles', price_usd: 20, is_taxable: false })
+        ],
+        settings: taxSettings
+      });
+      vi.spyOn(promotionService, 'getActivePromotions').mockResolvedValueOnce([{
+        id: 7,
+        name: 'Temporada de madres',
+        description: null,
+        starts_at: null,
+        ends_at: null,
+        priority: 0,
+        product_ids: [],
+        occasion_ids: [],
+        min_order_usd: 0,
+        action_type: 'percentage',
+        discount_value: 10,
+        buy_quantity: null,
+        get_quantity: null,
+        addon_id: null,
+        addon_quantity: 1,
+        active: true,
+        created_at: null,
+        updated_at: null
+      }]);
+      const applyCoupon = vi.spyOn(couponService, 'applyCoupon').mockResolvedValueOnce({
+        coupon: { id: 4, code: 'MADRES10' },
+        discount_usd: 5,
+        taxable_discount_usd: 4
+      });
+
+      // Act
+      const result = await orderService.calculateOrderTotals(
+        [{ product_id: 1, quantity: 1 }, { product_id: 2, quantity: 1 }],
+        undefined,
+        undefined,
+        { code: 'MADRES10' }
+      );
+
+      // Assert
+      expect(applyCoupon).toHaveBeenCalledWith('MADRES10', [
+        { product_id: 1, subtotal_usd: 72, taxable_usd: 72 },
+        { product_id: 2, subtotal_usd: 18, taxable_usd: 0 }
+      ], { email: undefined, user_id: undefined });
+      expect(result.promotions).toEqual([expect.objectContaining({
+        promotion_id: 7,
+        discount_usd: 10,
+        explanation: '10% de descuento en tu pedido'
+      })]);
+      expect(result.promotion_discount_usd).toBe(10);
+      expect(result.taxable_amount_usd).toBe(68);
+      expect(result.iva_amount_usd).toBe(10.88);
+      expect(result.total_amount_usd).toBe(95.88);
+    });
+
+    it('should spend loyalty points on what the coupon left and take their taxable part off the IVA base', async () => {
+      // Arrange
+      mockTaxLookup({
+        products: [
+          createTestProduct({ price_usd: 80, is_taxable: true }),
+          createTestProduct({ id: 2, name: 'Girasoles', price_usd: 20, is_taxable: false })
+        ],
+        settings: taxSettings
+      });
+      vi.spyOn(couponService, 'applyCoupon').mockResolvedValueOnce({
+        coupon: { id: 4, code: 'MADRES10' },
+        discount_usd: 10,
+        taxable_discount_usd: 8
+      });
+      const redeemPoints = vi.spyOn(loyaltyService, 'redeemPoints').mockResolvedValueOnce({
+        points: 500,
+        discount_usd: 5,
+        taxable_discount_usd: 4
+      });
+
+      // Act
+      const result = await orderService.calculateOrderTotals(
+        [{ product_id: 1, quantity: 1 }, { product_id: 2, quantity: 1 }],
+        undefined,
+        undefined,
+        { code: 'MADRES10' },
+        { points: 800, user_id: 8 }
+      );
+
+      // Assert
+      expect(redeemPoints).toHaveBeenCalledWith(800, 8, 90, 72);
+      expect(result.loyalty_points_redeemed).toBe(500);
+      expect(result.loyalty_discount_usd).toBe(5);
+      expect(result.taxable_amount_usd).toBe(68);
+      expect(result.iva_amount_usd).toBe(10.88);
+      expect(result.total_amount_usd).toBe(95.88);
+    });
+
+    it('should reject inactive payment methods', async () => {
+      // Arrange
+      mockTaxLookup({
+        products: [createTestProduct()],
+        paymentMethod: { id: 4, is_active: false, is_foreign_currency: true }
+      });
+
+      // Act & Assert
+      await expect(orderService.calculateOrderTotals([{ product_id: 1, quantity: 1 }], undefined, 4))
+        .rejects.toThrow('Payment method with ID 4 not found or inactive');
+    });
+  });
+
+  describe('stock reservation', () => {
+    const orderData = {
+      customer_name: 'Test Customer',
+      customer_email: 'test@example.com',
+      delivery_address: 'Av. Principal 123, Caracas',
+      delivery_city: 'Chacao',
+      delivery_state: 'Miranda',
+      items: [{ product_id: 1, quantity: 2 }]
+    };
+
+    beforeEach(() => {
+      mockTypeSafeDatabaseService.getClient.mockReturnValue({
+        from: vi.fn((tableName: string) => tableName === 'delivery_zones'
+          ? createZonesQueryBuilder([createTestZone()])
+          : {
+            select: vi.fn(() => ({
+              in: vi.fn(() => ({
+                eq: vi.fn().mockResolvedValue({ data: [createTestProduct()], error: null })
+              }))
+            }))
+          })
+      });
+    });
+
+    it('should ask the transaction to reserve stock for the order', async () => {
+      // Arrange
+      mockTypeSafeDatabaseService.executeRpc.mockResolvedValue(createTestOrderWithItems());
+
+      // Act
+      await orderService.createOrder(orderData);
+
+      // Assert
+      expect(mockTypeSafeDatabaseService.executeRpc).toHaveBeenCalledWith(
+        'create_order_with_items',
+        expect.objectContaining({ reservation_minutes: expect.any(Number) })
+      );
+    });
+
+    it('should store the gift recipient and card message with the order', async () => {
+      // Arrange
+      mockTypeSafeDatabaseService.executeRpc.mockResolvedValue(createTestOrderWithItems());
+
+      // Act
+      await orderService.createOrder({
+        ...orderData,
+        recipient_name: 'Ana Pérez',
+        recipient_phone: '+58414-7654321',
+        is_anonymous: true,
+        card_message: '¡Feliz cumpleaños!'
+      });
+
+      // Assert
+      expect(mockTypeSafeDatabaseService.executeRpc).toHaveBeenCalledWith(
+        'create_order_with_items',
+        expect.objectContaining({
+          order_data: expect.objectContaining({
+            recipient_name: 'Ana Pérez',
+            recipient_phone: '+58414-7654321',
+            is_anonymous: true,
+            card_message: '¡Feliz cumpleaños!'
+          })
+        })
+      );
+    });
+
+    it('should store the delivery zone and fee with the order', async () => {
+      // Arrange
+      mockTypeSafeDatabaseService.executeRpc.mockResolvedValue(createTestOrderWithItems());
+
+      // Act
+      await orderService.createOrder(orderData);
+
+      // Assert
+      expect(mockTypeSafeDatabaseService.executeRpc).toHaveBeenCalledWith(
+        'create_order_with_items',
+        expect.objectContaining({
+          order_data: expect.objectContaining({
+            delivery_zone_id: 2,
+            delivery_fee_usd: 5,
+            total_amount_usd: 155
+          })
+        })
+      );
+    });
+
+    it('should snapshot the current exchange rate with the order and its lines', async () => {
+      // Arrange
+      vi.spyOn(exchangeRateService, 'getCurrentRate').mockResolvedValueOnce({ rate: 40, rounding_step: 1, updated_at: null });
+      mockTypeSafeDatabaseService.executeRpc.mockResolvedValue(createTestOrderWithItems());
+
+      // Act
+      await orderService.createOrder(orderData);
+
+      // Assert
+      expect(mockTypeSafeDatabaseService.executeRpc).toHaveBeenCalledWith(
+        'create_order_with_items',
+        expect.objectContaining({
+          order_data: expect.objectContaining({ currency_rate: 40, total_amount_ves: 6200 }),
+          order_items: [expect.objectContaining({ unit_price_ves: 3000, subtotal_ves: 6000 })]
+        })
+      );
+    });
+
+    it('should keep the catalog bolívar price of a product on its order lines', async () => {
+      // Arrange
+      vi.spyOn(exchangeRateService, 'getCurrentRate').mockResolvedValueOnce({ rate: 40, rounding_step: 1, updated_at: null });
+      mockTypeSafeDatabaseService.getClient.mockReturnValue({
+        from: vi.fn((tableName: string) => tableName === 'delivery_zones'
+          ? createZonesQueryBuilder([createTestZone()])
+          : {
+            select: vi.fn(() => ({
+              in: vi.fn(() => ({
+                eq: vi.fn().mockResolvedValue({ data: [createTestProduct({ price_ves: 3500 })], error: null })
+              }))
+            }))
+          })
+      });
+      mockTypeSafeDatabaseService.executeRpc.mockResolvedValue(createTestOrderWithItems());
+
+      // Act
+      await orderService.createOrder(orderData);
+
+      // Assert
+      expect(mockTypeSafeDatabaseService.executeRpc).toHaveBeenCalledWith(
+        'create_order_with_items',
+        expect.objectContaining({
+          order_items: [expect.objectContaining({ unit_price_usd: 75, unit_price_ves: 3500, subtotal_ves: 7000 })]
+        })
+      );
+    });
+
+    it('should not create orders for addresses outside every delivery zone', async () => {
+      // Act
+      const error = await orderService.createOrder({ ...orderData, delivery_city: 'Maracaibo', delivery_state: 'Zulia' })
+        .catch((e: unknown) => e);
+
+      // Assert
+      expect(error).toBeInstanceOf(DeliveryZoneError);
+      expect((error as DeliveryZoneError).code).toBe('OUTSIDE_DELIVERY_ZONES');
+      expect(mockTypeSafeDatabaseService.executeRpc).not.toHaveBeenCalled();
+    });
+
+    it('should report InsufficientStockError when another order took the last units', async () => {
+      // Arrange
+      mockTypeSafeDatabaseService.executeRpc.mockRejectedValue(
+        new Error('Database RPC error: Insufficient stock for product Rose Bouquet')
+      );
+
+      // Act
+      const error = await orderService.createOrder(orderData).catch((e: unknown) => e);
+
+      // Assert
+      expect(error).toBeInstanceOf(InsufficientStockError);
+      expect((error as Error).message).toBe('Insufficient stock for product Rose Bouquet');
+    });
+
+    it('should report DeliverySlotUnavailableError when the slot filled up before checkout', async () => {
+      // Arrange
+      mockTypeSafeDatabaseService.executeRpc.mockRejectedValue(
+        new Error('Database RPC error: Delivery slot unavailable: 09:00-12:00 on 2026-10-19 is fully booked')
+      );
+
+      // Act
+      const error = await orderService.createOrder({
+        ...orderData,
+        delivery_date: '2026-10-19',
+        delivery_time_slot: '09:00-12:00'
+      }).catch((e: unknown) => e);
+
+      // Assert
+      expect(error).toBeInstanceOf(DeliverySlotUnavailableError);
+      expect((error as Error).message).toBe('Delivery slot unavailable: 09:00-12:00 on 2026-10-19 is fully booked');
+    });
+
+    it('should store the coupon and its discount with the order', async () => {
+      // Arrange
+      vi.spyOn(couponService, 'applyCoupon').mockResolvedValueOnce({
+        coupon: { id: 4, code: 'MADRES10' },
+        discount_usd: 15,
+        taxable_discount_usd: 0
+      });
+      mockTypeSafeDatabaseService.executeRpc.mockResolvedValue(createTestOrderWithItems());
+
+      // Act
+      await orderService.createOrder({ ...orderData, coupon_code: 'madres10' });
+
+      // Assert
+      expect(mockTypeSafeDatabaseService.executeRpc).toHaveBeenCalledWith(
+        'create_order_with_items',
+        expect.objectContaining({
+          order_data: expect.objectContaining({
+            coupon_id: 4,
+            coupon_code: 'MADRES10',
+            discount_usd: 15,
+            total_amount_usd: 140
+          })
+        })
+      );
+    });
+
+    it('should link the order to the customer and store the points it spends', async () => {
+      // Arrange
+      const redeemPoints = vi.spyOn(loyaltyService, 'redeemPoints').mockResolvedValueOnce({
+        points: 1000,
+        discount_usd: 10,
+        taxable_discount_usd: 0
+      });
+      mockTypeSafeDatabaseService.executeRpc.mockResolvedValue(createTestOrderWithItems());
+
+      // Act
+      await orderService.createOrder({ ...orderData, loyalty_points: 1000 }, 8);
+
+      // Assert
+      expect(redeemPoints).toHaveBeenCalledWith(1000, 8, 150, 0);
+      const [, params] = mockTypeSafeDatabaseService.executeRpc.mock.calls[0] as [string, { order_data: Record<string, unknown> }];
+      expect(params.order_data).toMatchObject({
+        user_id: 8,
+        loyalty_points_redeemed: 1000,
+        loyalty_discount_usd: 10,
+        total_amount_usd: 145
+      });
+      expect(params.order_data).not.toHaveProperty('loyalty_points');
+    });
+
+    it('should report LoyaltyError when the points were spent before checkout', async () => {
+      // Arrange
+      vi.spyOn(loyaltyService, 'redeemPoints').mockResolvedValueOnce({
+        points: 1000,
+        discount_usd: 10,
+        taxable_discount_usd: 0
+      });
+      mockTypeSafeDatabaseService.executeRpc.mockRejectedValue(
+        new Error('Database RPC error: Insufficient loyalty points: 1000 requested, 400 available')
+      );
+
+      // Act
+      const error = await orderService.createOrder({ ...orderData, loyalty_points: 1000 }, 8).catch((e: unknown) => e);
+
+      // Assert
+      expect(error).toBeInstanceOf(LoyaltyError);
+      expect((error as LoyaltyError).code).toBe('INSUFFICIENT_LOYALTY_POINTS');
+    });
+
+    it('should store the promotions, their free delivery and gifts with the order', async () => {
+      // Arrange
+      const appliedPromotions = [
+        { promotion_id: 7, name: 'Envío de temporada', action_type: 'free_delivery' as const, discount_usd: 5, explanation: 'Envío gratis' },
+        { promotion_id: 8, name: 'Bombones', action_type: 'free_addon' as const, discount_usd: 12, explanation: 'Regalo: 1 × Caja de bombones' }
+      ];
+      vi.spyOn(promotionService, 'evaluatePromotions').mockResolvedValueOnce({
+        promotions: appliedPromotions,
+        lines: [{ discount_usd: 0, taxable_discount_usd: 0 }],
+        discount_usd: 0,
+        taxable_discount_usd: 0,
+        free_delivery: true,
+        gifts: [{ line_index: 0, promotion_id: 8, addon_id: 3, addon_name: 'Caja de bombones', quantity: 1, is_taxable: true }]
+      });
+      mockTypeSafeDatabaseService.executeRpc.mockResolvedValue(createTestOrderWithItems());
+
+      // Act
+      await orderService.createOrder(orderData);
+
+      // Assert
+      expect(mockTypeSafeDatabaseService.executeRpc).toHaveBeenCalledWith(
+        'create_order_with_items',
+        expect.objectContaining({
+          order_data: expect.objectContaining({
+            delivery_fee_usd: 0,
+            promotion_discount_usd: 0,
+            applied_promotions: appliedPromotions,
+            total_amount_usd: 150
+          }),
+          order_items: [expect.objectContaining({
+            addons: [expect.objectContaining({ addon_id: 3, unit_price_usd: 0, quantity: 1, subtotal_usd: 0 })]
+          })]
+        })
+      );
+    });
+
+    it('should report CouponError when the coupon ran out before checkout', async () => {
+      // Arrange
+      vi.spyOn(couponService, 'applyCoupon').mockResolvedValueOnce({
+        coupon: { id: 4, code: 'MADRES10' },
+        discount_usd: 15,
+        taxable_discount_usd: 0
+      });
+      mockTypeSafeDatabaseService.executeRpc.mockRejectedValue(
+        new Error('Database RPC error: Coupon unavailable: MADRES10 has reached its usage limit')
+      );
+
+      // Act
+      const error = await orderService.createOrder({ ...orderData, coupon_code: 'MADRES10' }).catch((e: unknown) => e);
+
+      // Assert
+      expect(error).toBeInstanceOf(CouponError);
+      expect((error as CouponError).code).toBe('COUPON_UNAVAILABLE');
+      expect((error as Error).message).toBe('Coupon unavailable: MADRES10 has reached its usage limit');
+    });
+
+    it('should return how many expired reservations were released', async () => {
+      // Arrange
+      mockTypeSafeDatabaseService.executeRpc.mockResolvedValue(3);
+
+      // Act
+      const released = await orderService.releaseExpiredReservations();
+
+      // Assert
+      expect(released).toBe(3);
+      expect(mockTypeSafeDatabaseService.executeRpc).toHaveBeenCalledWith('release_expired_stock_reservations');
+    });
+  });
+
+  // Current order lookup plus the payments read by the "shipped" guard
+  function mockStatusLookup(
+    order: { status: string; total_amount_usd: number; igtf_amount_usd?: number } | null,
+    payments: Array<Record<string, unknown>> = []
+  ) {
+    const single = vi.fn().mockResolvedValue({
+      data: order ? { igtf_amount_usd: 0, ...order } : null,
+      error: order ? null : createTestError('No rows')
+    });
+    const mockClient = {
+      from: vi.fn((table: string) => ({
+        select: vi.fn(() => ({
+          eq: table === 'payments'
+            ? vi.fn().mockResolvedValue({ data: payments.map(payment => ({ igtf_amount_usd: 0, ...payment })), error: null })
+            : vi.fn(() => ({ single }))
+        }))
+      }))
+    };
+    mockTypeSafeDatabaseService.getClient.mockReturnValue(mockClient);
+    return mockClient;
+  }
+
   describe('updateOrder', () => {
     it('should update order successfully', async () => {
       // Arrange
@@ -401,8 +1292,7 @@ describe('OrderService', () => {
 
       const updateData = {
         id: 1,
-        status: 'confirmed' as const,
-        notes: 'Updated order'
+        delivery_notes: 'Updated order'
       };
 
       const mockQueryBuilder = {
@@ -430,20 +1320,145 @@ describe('OrderService', () => {
       // Assert
       expect(result).toEqual(mockOrder);
     });
+
+    it('should route status changes through the state machine', async () => {
+      // Arrange
+      mockStatusLookup({ status: 'delivered', total_amount_usd: 150 });
+
+      // Act & Assert
+      await expect(orderService.updateOrder({ id: 1, status: 'pending' }))
+        .rejects.toBeInstanceOf(OrderStatusTransitionError);
+      expect(mockTypeSafeDatabaseService.executeRpc).not.toHaveBeenCalled();
+    });
   });
 
   describe('updateOrderStatus', () => {
     it('should update order status successfully', async () => {
       // Arrange
       const mockOrder = createTestOrder();
-
+      mockStatusLookup({ status: 'pending', total_amount_usd: 150 });
       mockTypeSafeDatabaseService.executeRpc.mockResolvedValue(mockOrder);
 
       // Act
-      const result = await orderService.updateOrderStatus(1, 'confirmed', 'Order confirmed by admin', 1);
+      const result = await orderService.updateOrderStatus(1, 'verified', 'Order verified by admin', 1);
 
       // Assert
       expect(result).toEqual(mockOrder);
+      expect(mockTypeSafeDatabaseService.executeRpc).toHaveBeenCalledWith('update_order_status_with_history', {
+        order_id: 1,
+        new_status: 'verified',
+        notes: 'Order verified by admin',
+        changed_by: 1,
+        expected_status: 'pending'
+      });
+    });
+
+    it('should reject the change when the order changed status after it was checked', async () => {
+      // Arrange - the reservation sweeper cancelled the order before the admin's change got its lock
+      mockStatusLookup({ status: 'pending', total_amount_usd: 150 });
+      mockTypeSafeDatabaseService.executeRpc.mockRejectedValue(
+        new Error('Database RPC error: Order status changed to cancelled')
+      );
+
+      // Act
+      const error = await orderService.updateOrderStatus(1, 'verified').catch((e: unknown) => e);
+
+      // Assert
+      expect(error).toBeInstanceOf(OrderStatusTransitionError);
+      expect((error as OrderStatusTransitionError).currentStatus).toBe('cancelled');
+      expect((error as OrderStatusTransitionError).allowedStatuses).toEqual([]);
+    });
+
+    it('should reject transitions out of a final status with no allowed next states', async () => {
+      // Arrange
+      mockStatusLookup({ status: 'delivered', total_amount_usd: 150 });
+
+      // Act
+      const error = await orderService.updateOrderStatus(1, 'pending').catch((e: unknown) => e);
+
+      // Assert
+      expect(error).toBeInstanceOf(OrderStatusTransitionError);
+      expect((error as OrderStatusTransitionError).currentStatus).toBe('delivered');
+      expect((error as OrderStatusTransitionError).allowedStatuses).toEqual([]);
+      expect(mockTypeSafeDatabaseService.executeRpc).not.toHaveBeenCalled();
+    });
+
+    it('should not cancel an order that was already shipped', async () => {
+      // Arrange
+      mockStatusLookup({ status: 'shipped', total_amount_usd: 150 });
+
+      // Act
+      const error = await orderService.updateOrderStatus(1, 'cancelled').catch((e: unknown) => e);
+
+      // Assert
+      expect(error).toBeInstanceOf(OrderStatusTransitionError);
+      expect((error as OrderStatusTransitionError).allowedStatuses).toEqual(['delivered']);
+    });
+
+    it('should not ship an unpaid order', async () => {
+      // Arrange
+      mockStatusLookup({ status: 'preparing', total_amount_usd: 150 }, [
+        { amount_usd: 100, status: 'completed', payment_methods: { type: 'mobile_payment' } },
+        { amount_usd: 50, status: 'pending', payment_methods: { type: 'mobile_payment' } }
+      ]);
+
+      // Act
+      const error = await orderService.updateOrderStatus(1, 'shipped').catch((e: unknown) => e);
+
+      // Assert
+      expect(error).toBeInstanceOf(OrderStatusTransitionError);
+      expect((error as Error).message).toBe('Cannot ship an unpaid order');
+      expect((error as OrderStatusTransitionError).allowedStatuses).toEqual(['cancelled']);
+    });
+
+    it('should ship orders whose confirmed payments cover the total', async () => {
+      // Arrange
+      mockStatusLookup({ status: 'preparing', total_amount_usd: 150 }, [
+        { amount_usd: 150, status: 'completed', payment_methods: { type: 'bank_transfer' } }
+      ]);
+      mockTypeSafeDatabaseService.executeRpc.mockResolvedValue(createTestOrder());
+
+      // Act
+      await orderService.updateOrderStatus(1, 'shipped');
+
+      // Assert
+      expect(mockTypeSafeDatabaseService.executeRpc).toHaveBeenCalled();
+    });
+
+    it('should ship cash on delivery orders before the cash is collected', async () => {
+      // Arrange
+      mockStatusLookup({ status: 'preparing', total_amount_usd: 150 }, [
+        { amount_usd: 150, status: 'pending', payment_methods: { type: 'cash' } }
+      ]);
+      mockTypeSafeDatabaseService.executeRpc.mockResolvedValue(createTestOrder());
+
+      // Act
+      await orderService.updateOrderStatus(1, 'shipped');
+
+      // Assert
+      expect(mockTypeSafeDatabaseService.executeRpc).toHaveBeenCalled();
+    });
+
+    it('should leave IGTF out of the amount confirmed payments must cover', async () => {
+      // Arrange - IGTF was quoted for dollars, the customer paid in bolívares instead
+      mockStatusLookup({ status: 'preparing', total_amount_usd: 103, igtf_amount_usd: 3 }, [
+        { amount_usd: 100, status: 'completed', payment_methods: { type: 'mobile_payment' } }
+      ]);
+      mockTypeSafeDatabaseService.executeRpc.mockResolvedValue(createTestOrder());
+
+      // Act
+      await orderService.updateOrderStatus(1, 'shipped');
+
+      // Assert
+      expect(mockTypeSafeDatabaseService.executeRpc).toHaveBeenCalled();
+    });
+
+    it('should throw OrderNotFoundError for unknown orders', async () => {
+      // Arrange
+      mockStatusLookup(null);
+
+      // Act & Assert
+      await expect(orderService.updateOrderStatus(99, 'verified')).rejects.toBeInstanceOf(OrderNotFoundError);
     });
   });
 
@@ -0,0 +1,184 @@
+/**
+ * 🌸 FloresYa OrderTrackingService Unit Tests
+ * Public order status by number and email or signed link, and its payment status
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// Create hoisted mocks
+const mockTypeSafeDatabaseService = vi.hoisted(() => ({
+  getClient: vi.fn(),
+  executeRpc: vi.fn()
+}));
+
+vi.mock('../../src/services/TypeSafeDatabaseService', () => ({
+  typeSafeDatabaseService: mockTypeSafeDatabaseService
+}));
+
+// Import after mocking
+import { createTrackingToken, OrderTrackingService } from '../../src/services/OrderTrackingService';
+import { createResolvedQueryBuilder } from '../utils/mock-factory';
+
+function mockOrderLookup(order: unknown) {
+  const builder = createResolvedQueryBuilder({ data: order, error: null });
+  mockTypeSafeDatabaseService.getClient.mockReturnValue({ from: vi.fn(() => builder) });
+  return builder;
+}
+
+function createTrackedOrder(overrides = {}) {
+  return {
+    id: 42,
+    order_number: 'FY-2026-000042',
+    customer_email: 'Ana@Example.com',
+    status: 'preparing',
+    created_at: '2026-10-17T14:00:00Z',
+    delivery_date: '2026-10-19',
+    delivery_time_slot: '09:00-12:00',
+    delivery_city: 'Chacao',
+    total_amount_usd: 119.48,
+    igtf_amount_usd: 3.48,
+    order_status_history: [
+      { new_status: 'preparing', created_at: '2026-10-18T09:00:00Z' },
+      { new_status: 'pending', created_at: '2026-10-17T14:00:00Z' },
+      { new_status: 'verified', created_at: '2026-10-17T16:30:00Z' }
+    ],
+    payments: [{ status: 'completed', amount_usd: 119.48, igtf_amount_usd: 3.48 }],
+    ...overrides
+  };
+}
+
+describe('OrderTrackingService', () => {
+  let orderTrackingService: OrderTrackingService;
+
+  beforeEach(() => {
+    vi.stubEnv('ORDER_TRACKING_SECRET', 'tracking-secret');
+    orderTrackingService = new OrderTrackingService();
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    vi.clearAllMocks();
+  });
+
+  describe('trackOrder', () => {
+    it('should show the timeline, delivery and payment of the order whose email matches', async () => {
+      // Arrange
+      const orderQuery = mockOrderLookup(createTrackedOrder());
+
+      // Act
+      const result = await orderTrackingService.trackOrder('FY-2026-000042', ' ana@example.com ');
+
+      // Assert
+      expect(orderQuery.eq).toHaveBeenCalledWith('order_number', 'FY-2026-000042');
+      expect(orderQuery.select).toHaveBeenCalledWith(expect.not.stringContaining('admin_notes'));
+      expect(result.data).toEqual({
+        order_id: 42,
+        order_number: 'FY-2026-000042',
+        status: 'preparing',
+        created_at: '2026-10-17T14:00:00Z',
+        delivery_date: '2026-10-19',
+        delivery_time_slot: '09:00-12:00',
+        delivery_city: 'Chacao',
+        total_amount_usd: 119.48,
+        payment: { state: 'paid', paid_usd: 116, due_usd: 0 },
+        timeline: [
+          { status: 'pending', created_at: '2026-10-17T14:00:00Z' },
+          { status: 'verified', created_at: '2026-10-17T16:30:00Z' },
+          { status: 'preparing', created_at: '2026-10-18T09:00:00Z' }
+        ]
+      });
+      expect(result.data).not.toHaveProperty('customer_email');
+    });
+
+    it('should still find orders by the #id customers were shown before order numbers', async () => {
+      // Arrange
+      const orderQuery = mockOrderLookup(createTrackedOrder());
+
+      // Act
+      const result = await orderTrackingService.trackOrder(42, 'ana@example.com');
+
+      // Assert
+      expect(orderQuery.eq).toHaveBeenCalledWith('id', 42);
+      expect(result.data?.order_number).toBe('FY-2026-000042');
+    });
+
+    it('should answer a wrong email like a missing order', async () => {
+      // Arrange
+      mockOrderLookup(createTrackedOrder());
+
+      // Act
+      const result = await orderTrackingService.trackOrder(42, 'otra@example.com');
+
+      // Assert
+      expect(result).toEqual({ success: false, message: 'Order not found', error: 'ORDER_NOT_FOUND' });
+    });
+
+    it('should tell transfers awaiting verification from partial payments', async () => {
+      // Arrange
+      mockOrderLookup(createTrackedOrder({
+        payments: [
+          { status: 'completed', amount_usd: 30, igtf_amount_usd: 0 },
+          { status: 'pending', amount_usd: 86, igtf_amount_usd: 0 }
+        ]
+      }));
+      const pending = await orderTrackingService.trackOrder(42, 'ana@example.com');
+      mockOrderLookup(createTrackedOrder({
+        payments: [
+          { status: 'completed', amount_usd: 30, igtf_amount_usd: 0 },
+          { status: 'failed', amount_usd: 86, igtf_amount_usd: 0 }
+        ]
+      }));
+
+      // Act
+      const partial = await orderTrackingService.trackOrder(42, 'ana@example.com');
+
+      // Assert
+      expect(pending.data?.payment).toEqual({ state: 'pending_verification', paid_usd: 30, due_usd: 86 });
+      expect(partial.data?.payment).toEqual({ state: 'partially_paid', paid_usd: 30, due_usd: 86 });
+    });
+  });
+
+  describe('trackOrderByToken', () => {
+    it('should open the order of a signed link', async () => {
+      // Arrange
+      mockOrderLookup(createTrackedOrder({ payments: [] }));
+      const token = createTrackingToken(42);
+
+      // Act
+      const result = await orderTrackingService.trackOrderByToken(42, token ?? '');
+
+      // Assert
+      expect(result.success).toBe(true);
+      expect(result.data?.payment).toEqual({ state: 'unpaid', paid_usd: 0, due_usd: 116 });
+    });
+
+    it('should not look up orders with a token signed for another one', async () => {
+      // Arrange
+      const token = createTrackingToken(41);
+
+      // Act
+      const result = await orderTrackingService.trackOrderByToken(42, token ?? '');
+
+      // Assert
+      expect(result.error).toBe('ORDER_NOT_FOUND');
+      expect(mockTypeSafeDatabaseService.getClient).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createTrackingToken', () => {
+    it('should fall back to the JWT secret and give no token without any secret', () => {
+      // Arrange
+      vi.stubEnv('ORDER_TRACKING_SECRET', '');
+      vi.stubEnv('JWT_SECRET', 'jwt-secret');
+      const withJwtSecret = createTrackingToken(42);
+      vi.stubEnv('JWT_SECRET', '');
+
+      // Act
+      const withoutSecret = createTrackingToken(42);
+
+      // Assert
+      expect(withJwtSecret).toMatch(/^[\w-]{43}$/);
+      expect(withoutSecret).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * 🌸 FloresYa PaymentMethodService Unit Tests
+ * Checkout listing and admin management of payment methods
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// Create hoisted mocks
+const mockTypeSafeDatabaseService = vi.hoisted(() => ({
+  getClient: vi.fn(),
+  executeRpc: vi.fn()
+}));
+
+vi.mock('../../src/services/TypeSafeDatabaseService', () => ({
+  typeSafeDatabaseService: mockTypeSafeDatabaseService
+}));
+
+// Import after mocking
+import { PaymentMethodService } from '../../src/services/PaymentMethodService';
+import { createSupabaseQueryMocks } from '../utils/mock-factory';
+
+const { mockTables } = createSupabaseQueryMocks(mockTypeSafeDatabaseService.getClient);
+
+function createTestMethod(overrides = {}) {
+  return {
+    id: 2,
+    name: 'Pago Móvil Banesco',
+    type: 'mobile_payment',
+    description: null,
+    account_info: { bank_code: '0134', phone_number: '04141234567', document_id: 'J-12345678-9' },
+    display_order: 1,
+    is_active: true,
+    ...overrides
+  };
+}
+
+describe('PaymentMethodService', () => {
+  let paymentMethodService: PaymentMethodService;
+
+  beforeEach(() => {
+    paymentMethodService = new PaymentMethodService();
+  });
+
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('getActivePaymentMethods', () => {
+    it('should list only active methods in display order', async () => {
+      // Arrange
+      const { builders } = mockTables({
+        payment_methods: [{ data: [createTestMethod()], error: null }]
+      });
+      const query = builders.payment_methods?.[0];
+
+      // Act
+      const result = await paymentMethodService.getActivePaymentMethods();
+
+      // Assert
+      expect(result.success).toBe(true);
+      expect(result.data).toHaveLength(1);
+      expect(query?.eq).toHaveBeenCalledWith('is_active', true);
+      expect(query?.order).toHaveBeenCalledWith('display_order', { ascending: true });
+    });
+
+    it('should return an error result when the query fails', async () => {
+      // Arrange
+      mockTables({
+        payment_methods: [{ data: null, error: { message: 'connection lost' } }]
+      });
+
+      // Act
+      const result = await paymentMethodService.getActivePaymentMethods();
+
+      // Assert
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('FETCH_PAYMENT_METHODS_ERROR');
+    });
+  });
+
+  describe('createPaymentMethod', () => {
+    it('should insert the method with its account details', async () => {
+      // Arrange
+      const method = createTestMethod();
+      const { builders } = mockTables({
+        payment_methods: [{ data: method, error: null }]
+      });
+      const query = builders.payment_methods?.[0];
+
+      // Act
+      const result = await paymentMethodService.createPaymentMethod({
+        name: method.name,
+        type: 'mobile_payment',
+        account_info: method.account_info,
+        display_order: 1,
+        is_active: true
+      });
+
+      // Assert
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual(method);
+      expect(query?.insert).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'mobile_payment',
+        account_info: method.account_info
+      }));
+    });
+  });
+
+  describe('updatePaymentMethod', () => {
+    it('should return PAYMENT_METHOD_NOT_FOUND for unknown ids', async () => {
+      // Arrange
+      mockTables({
+        payment_methods: [{ data: null, error: { message: 'No rows' } }]
+      });
+
+      // Act
+      const result = await paymentMethodService.updatePaymentMethod(99, { display_order: 3 });
+
+      // Assert
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('PAYMENT_METHOD_NOT_FOUND');
+    });
+  });
+
+  describe('deletePaymentMethod', () => {
+    it('should delete methods that no payment references', async () => {
+      // Arrange
+      const { builders } = mockTables({
+        payment_methods: [
+          { data: createTestMethod(), error: null },
+          { data: null, error: null }
+        ],
+        payments: [{ data: null, error: null, count: 0 }]
+      });
+      const deleteQuery = builders.payment_methods?.[1];
+
+      // Act
+      const result = await paymentMethodService.deletePaymentMethod(2);
+
+      // Assert
+      expect(result.success).toBe(true);
+      expect(deleteQuery?.delete).toHaveBeenCalled();
+    });
+
+    it('should deactivate methods already used by payments', async () => {
+      // Arrange
+      const { builders } = mockTables({
+        payment_methods: [
+          { data: createTestMethod(), error: null },
+          { data: createTestMethod({ is_active: false }), error: null }
+        ],
+        payments: [{ data: null, error: null, count: 3 }]
+      });
+      const updateQuery = builders.payment_methods?.[1];
+
+      // Act
+      const result = await paymentMethodService.deletePaymentMethod(2);
+
+      // Assert
+      expect(result.success).toBe(true);
+      expect(result.data?.is_active).toBe(false);
+      expect(updateQuery?.update).toHaveBeenCalledWith(expect.objectContaining({ is_active: false }));
+      expect(updateQuery?.delete).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,475 @@
+/**
+ * 🌸 FloresYa PaymentService Unit Tests
+ * Manual payment reports and admin review
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// Create hoisted mocks
+const mockTypeSafeDatabaseService = vi.hoisted(() => ({
+  getClient: vi.fn(),
+  executeRpc: vi.fn()
+}));
+
+vi.mock('../../src/services/TypeSafeDatabaseService', () => ({
+  typeSafeDatabaseService: mockTypeSafeDatabaseService
+}));
+
+// Import after mocking
+import { OrderService } from '../../src/services/OrderService';
+import { PaymentService } from '../../src/services/PaymentService';
+import { createSupabaseQueryMocks } from '../utils/mock-factory';
+
+const { mockTables } = createSupabaseQueryMocks(mockTypeSafeDatabaseService.getClient);
+
+function createTestOrder(overrides = {}) {
+  return {
+    id: 10,
+    status: 'pending',
+    customer_email: 'cliente@example.com',
+    total_amount_usd: 45,
+    iva_amount_usd: 0,
+    igtf_rate: 0,
+    igtf_amount_usd: 0,
+    currency_rate: 36.5,
+    ...overrides
+  };
+}
+
+function createTestPayment(overrides = {}) {
+  return {
+    id: 5,
+    order_id: 10,
+    payment_method_id: 2,
+    payment_method_name: 'Pago Móvil Banesco',
+    amount_usd: 45,
+    reference_number: '12345678',
+    status: 'pending',
+    ...overrides
+  };
+}
+
+// Private receipts bucket, on the client the service already uses
+function mockStorage(client: object, signedUrl = 'https://storage.example.com/signed/receipt.png?token=abc') {
+  const bucket = {
+    upload: vi.fn().mockResolvedValue({ data: {}, error: null }),
+    remove: vi.fn().mockResolvedValue({ data: [], error: null }),
+    createSignedUrl: vi.fn().mockResolvedValue({ data: { signedUrl }, error: null })
+  };
+  const storage = { from: vi.fn(() => bucket) };
+  Object.assign(client, { storage });
+  return { storage, bucket };
+}
+
+const pagoMovil = { id: 2, name: 'Pago Móvil Banesco', type: 'mobile_payment', is_active: true };
+
+describe('PaymentService', () => {
+  let paymentService: PaymentService;
+  let orderService: OrderService;
+
+  beforeEach(() => {
+    orderService = new OrderService();
+    vi.spyOn(orderService, 'updateOrderStatus').mockResolvedValue({} as never);
+    paymentService = new PaymentService(orderService);
+  });
+
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('submitPayment', () => {
+    const request = {
+      order_id: 10,
+      customer_email: 'cliente@example.com',
+      payment_method_id: 2,
+      reference_number: '12345678'
+    };
+
+    it('should register a pending payment for the order total', async () => {
+      // Arrange
+      const { builders } = mockTables({
+        orders: [{ data: createTestOrder(), error: null }],
+        payment_methods: [{ data: pagoMovil, error: null }],
+        settings: [{ data: [], error: null }],
+        payments: [
+          { data: [], error: null },
+          { data: createTestPayment(), error: null }
+        ]
+      });
+      const insertBuilder = builders.payments?.[1];
+
+      // Act
+      const result = await paymentService.submitPayment(request);
+
+      // Assert
+      expect(result.success).toBe(true);
+      expect(insertBuilder?.insert).toHaveBeenCalledWith(expect.objectContaining({
+        order_id: 10,
+        payment_method_name: 'Pago Móvil Banesco',
+        amount_usd: 45,
+        reference_number: '12345678',
+        status: 'pending'
+      }));
+    });
+
+    it('should keep the receipt in the private bucket and store only its path', async () => {
+      // Arrange
+      const { client, builders } = mockTables({
+        orders: [{ data: createTestOrder(), error: null }],
+        payment_methods: [{ data: pagoMovil, error: null }],
+        settings: [{ data: [], error: null }],
+        payments: [
+          { data: [], error: null },
+          { data: createTestPayment(), error: null }
+        ]
+      });
+      const insertBuilder = builders.payments?.[1];
+      const { storage, bucket } = mockStorage(client);
+      const receipt = { buffer: Buffer.from('png'), mimetype: 'image/png' };
+
+      // Act
+      const result = await paymentService.submitPayment(request, receipt as never);
+
+      // Assert
+      expect(result.success).toBe(true);
+      expect(storage.from).toHaveBeenCalledWith('payment-receipts');
+      expect(bucket.upload).toHaveBeenCalledWith(
+        expect.stringMatching(/^receipts\/order_10_\d+_\w+\.png$/),
+        receipt.buffer,
+        expect.objectContaining({ contentType: 'image/png' })
+      );
+      expect(insertBuilder?.insert).toHaveBeenCalledWith(expect.objectContaining({
+        receipt_path: expect.stringMatching(/^receipts\/order_10_/)
+      }));
+      expect(insertBuilder?.insert).toHaveBeenCalledWith(
+        expect.not.objectContaining({ receipt_image_url: expect.anything() })
+      );
+    });
+
+    it('should convert the payment at the rate of the day it is reported', async () => {
+      // Arrange
+      const { builders } = mockTables({
+        orders: [{ data: createTestOrder(), error: null }],
+        payment_methods: [{ data: pagoMovil, error: null }],
+        settings: [{ data: [{ key: 'usd_ves_rate', value: '40', updated_at: '2026-10-18T12:00:00Z' }], error: null }],
+        payments: [
+          { data: [], error: null },
+          { data: createTestPayment(), error: null }
+        ]
+      });
+      const insertBuilder = builders.payments?.[1];
+
+      // Act
+      await paymentService.submitPayment(request);
+
+      // Assert
+      expect(insertBuilder?.insert).toHaveBeenCalledWith(expect.objectContaining({
+        amount_usd: 45,
+        amount_ves: 1800,
+        currency_rate: 40
+      }));
+    });
+
+    it('should add IGTF to payments made in foreign currency', async () => {
+      // Arrange
+      const { builders } = mockTables({
+        orders: [{ data: createTestOrder({ total_amount_usd: 116, iva_amount_usd: 16, igtf_rate: 3 }), error: null }],
+        payment_methods: [{ data: { id: 4, name: 'Zelle', type: 'international', is_active: true, is_foreign_currency: true }, error: null }],
+        settings: [{ data: [], error: null }],
+        payments: [
+          { data: [], error: null },
+          { data: createTestPayment({ amount_usd: 119.48 }), error: null }
+        ]
+      });
+      const insertBuilder = builders.payments?.[1];
+
+      // Act
+      const result = await paymentService.submitPayment({ ...request, payment_method_id: 4 });
+
+      // Assert
+      expect(result.success).toBe(true);
+      expect(insertBuilder?.insert).toHaveBeenCalledWith(expect.objectContaining({
+        amount_usd: 119.48,
+        subtotal_usd: 100,
+        iva_amount_usd: 16,
+        igtf_amount_usd: 3.48
+      }));
+    });
+
+    it('should default to what gift cards and store credit left to pay', async () => {
+      // Arrange
+      const { builders } = mockTables({
+        orders: [{
+          data: createTestOrder({
+            total_amount_usd: 116,
+            iva_amount_usd: 16,
+            payments: [
+              { amount_usd: 58, igtf_amount_usd: 0, status: 'completed' },
+              { amount_usd: 30, igtf_amount_usd: 0, status: 'failed' }
+            ]
+          }),
+          error: null
+        }],
+        payment_methods: [{ data: pagoMovil, error: null }],
+        settings: [{ data: [], error: null }],
+        payments: [
+          { data: [], error: null },
+          { data: createTestPayment({ amount_usd: 58 }), error: null }
+        ]
+      });
+      const insertBuilder = builders.payments?.[1];
+
+      // Act
+      await paymentService.submitPayment(request);
+
+      // Assert
+      expect(insertBuilder?.insert).toHaveBeenCalledWith(expect.objectContaining({
+        amount_usd: 58,
+        subtotal_usd: 50,
+        iva_amount_usd: 8
+      }));
+    });
+
+    it('should not reveal orders when the email does not match', async () => {
+      // Arrange
+      mockTables({ orders: [{ data: createTestOrder({ customer_email: 'otro@example.com' }), error: null }] });
+
+      // Act
+      const result = await paymentService.submitPayment(request);
+
+      // Assert
+      expect(result).toMatchObject({ success: false, error: 'ORDER_NOT_FOUND' });
+    });
+
+    it('should reject payments for orders that are no longer pending', async () => {
+      // Arrange
+      mockTables({ orders: [{ data: createTestOrder({ status: 'verified' }), error: null }] });
+
+      // Act
+      const result = await paymentService.submitPayment(request);
+
+      // Assert
+      expect(result).toMatchObject({ success: false, error: 'ORDER_NOT_PAYABLE' });
+    });
+
+    it('should require a reference number for Pago Móvil', async () => {
+      // Arrange
+      mockTables({
+        orders: [{ data: createTestOrder(), error: null }],
+        payment_methods: [{ data: pagoMovil, error: null }]
+      });
+
+      // Act
+      const result = await paymentService.submitPayment({ ...request, reference_number: undefined });
+
+      // Assert
+      expect(result).toMatchObject({ success: false, error: 'VALIDATION_ERROR' });
+    });
+
+    it('should reject a reference number that was already reported without uploading its receipt', async () => {
+      // Arrange
+      const { client } = mockTables({
+        orders: [{ data: createTestOrder(), error: null }],
+        payment_methods: [{ data: pagoMovil, error: null }],
+        payments: [{ data: [{ id: 3 }], error: null }]
+      });
+      const { bucket } = mockStorage(client);
+      const receipt = { buffer: Buffer.from('png'), mimetype: 'image/png' };
+
+      // Act
+      const result = await paymentService.submitPayment(request, receipt as never);
+
+      // Assert
+      expect(result).toMatchObject({ success: false, error: 'DUPLICATE_REFERENCE' });
+      expect(bucket.upload).not.toHaveBeenCalled();
+    });
+
+    it('should reject a reference reported at the same moment and delete its receipt', async () => {
+      // Arrange
+      const { client } = mockTables({
+        orders: [{ data: createTestOrder(), error: null }],
+        payment_methods: [{ data: pagoMovil, error: null }],
+        settings: [{ data: [], error: null }],
+        payments: [
+          { data: [], error: null },
+          { data: null, error: { code: '23505', message: 'duplicate key value violates unique constraint' } }
+        ]
+      });
+      const { bucket } = mockStorage(client);
+      const receipt = { buffer: Buffer.from('png'), mimetype: 'image/png' };
+
+      // Act
+      const result = await paymentService.submitPayment(request, receipt as never);
+
+      // Assert
+      expect(result).toMatchObject({ success: false, error: 'DUPLICATE_REFERENCE' });
+      const [uploadedPath] = bucket.upload.mock.calls[0] ?? [];
+      expect(bucket.remove).toHaveBeenCalledWith([uploadedPath]);
+    });
+  });
+
+  describe('confirmPayment', () => {
+    it('should complete the payment and move the order to verified', async () => {
+      // Arrange
+      mockTables({
+        payments: [
+          { data: createTestPayment(), error: null },
+          { data: createTestPayment({ status: 'completed' }), error: null }
+        ],
+        orders: [{
+          data: { ...createTestOrder(), payments: [{ amount_usd: 45, igtf_amount_usd: 0, status: 'completed' }] },
+          error: null
+        }]
+      });
+
+      // Act
+      const result = await paymentService.confirmPayment(5, 1, 'Referencia verificada');
+
+      // Assert
+      expect(result.success).toBe(true);
+      expect(orderService.updateOrderStatus).toHaveBeenCalledWith(
+        10,
+        'verified',
+        'Pago #5 confirmado: Referencia verificada',
+        1
+      );
+    });
+
+    it('should leave the order pending while completed payments do not cover its total', async () => {
+      // Arrange
+      mockTables({
+        payments: [
+          { data: createTestPayment({ amount_usd: 20 }), error: null },
+          { data: createTestPayment({ amount_usd: 20, status: 'completed' }), error: null }
+        ],
+        orders: [{
+          data: {
+            ...createTestOrder(),
+            payments: [
+              { amount_usd: 20, igtf_amount_usd: 0, status: 'completed' },
+              { amount_usd: 25, igtf_amount_usd: 0, status: 'pending' }
+            ]
+          },
+          error: null
+        }]
+      });
+
+      // Act
+      const result = await paymentService.confirmPayment(5, 1);
+
+      // Assert
+      expect(result).toMatchObject({ success: true, message: 'Payment confirmed, $25.00 left to pay' });
+      expect(orderService.updateOrderStatus).not.toHaveBeenCalled();
+    });
+
+    it('should verify the order when the last share leaves only rounding cents', async () => {
+      // Arrange
+      mockTables({
+        payments: [
+          { data: createTestPayment({ amount_usd: 25.21 }), error: null },
+          { data: createTestPayment({ amount_usd: 25.21, status: 'completed' }), error: null }
+        ],
+        orders: [{
+          data: {
+            ...createTestOrder({ total_amount_usd: 46.2, igtf_amount_usd: 0.6 }),
+            payments: [
+              { amount_usd: 20, igtf_amount_usd: 0, status: 'completed' },
+              { amount_usd: 26.19, igtf_amount_usd: 0.6, status: 'completed' }
+            ]
+          },
+          error: null
+        }]
+      });
+
+      // Act
+      await paymentService.confirmPayment(5, 1);
+
+      // Assert
+      expect(orderService.updateOrderStatus).toHaveBeenCalledWith(10, 'verified', 'Pago #5 confirmado', 1);
+    });
+
+    it('should not review a payment twice', async () => {
+      // Arrange
+      mockTables({ payments: [{ data: createTestPayment({ status: 'completed' }), error: null }] });
+
+      // Act
+      const result = await paymentService.confirmPayment(5, 1);
+
+      // Assert
+      expect(result).toMatchObject({ success: false, error: 'PAYMENT_ALREADY_PROCESSED' });
+      expect(orderService.updateOrderStatus).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getReceiptUrl', () => {
+    it('should sign a short-lived link to a private receipt', async () => {
+      // Arrange
+      const { client } = mockTables({
+        payments: [{ data: { id: 5, receipt_path: 'receipts/order_10.png', receipt_image_url: null }, error: null }]
+      });
+      const { storage, bucket } = mockStorage(client);
+
+      // Act
+      const result = await paymentService.getReceiptUrl(5);
+
+      // Assert
+      expect(storage.from).toHaveBeenCalledWith('payment-receipts');
+      expect(bucket.createSignedUrl).toHaveBeenCalledWith('receipts/order_10.png', 600);
+      expect(result).toMatchObject({
+        success: true,
+        data: { url: 'https://storage.example.com/signed/receipt.png?token=abc', expires_at: expect.any(String) }
+      });
+    });
+
+    it('should return the public link of receipts reported before the private bucket', async () => {
+      // Arrange
+      const legacyUrl = 'https://storage.example.com/public/product-images/receipts/order_10.png';
+      mockTables({
+        payments: [{ data: { id: 5, receipt_path: null, receipt_image_url: legacyUrl }, error: null }]
+      });
+
+      // Act
+      const result = await paymentService.getReceiptUrl(5);
+
+      // Assert
+      expect(result).toMatchObject({ success: true, data: { url: legacyUrl, expires_at: null } });
+    });
+
+    it('should report payments without a receipt', async () => {
+      // Arrange
+      mockTables({
+        payments: [{ data: { id: 5, receipt_path: null, receipt_image_url: null }, error: null }]
+      });
+
+      // Act
+      const result = await paymentService.getReceiptUrl(5);
+
+      // Assert
+      expect(result).toMatchObject({ success: false, error: 'RECEIPT_NOT_FOUND' });
+    });
+  });
+
+  describe('rejectPayment', () => {
+    it('should fail the payment without touching the order', async () => {
+      // Arrange
+      const { builders } = mockTables({
+        payments: [
+          { data: createTestPayment(), error: null },
+          { data: createTestPayment({ status: 'failed' }), error: null }
+        ]
+      });
+      const updateBuilder = builders.payments?.[1];
+
+      // Act
+      const result = await paymentService.rejectPayment(5, 'Referencia no encontrada');
+
+      // Assert
+      expect(result.success).toBe(true);
+      expect(updateBuilder?.update).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'failed',
+        admin_notes: 'Referencia no encontrada'
+      }));
+      expect(orderService.updateOrderStatus).not.toHaveBeenCalled();
+    });
+  });
+});
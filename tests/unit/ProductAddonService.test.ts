@@ -0,0 +1,146 @@
+/**
+ * 🌸 FloresYa ProductAddonService Unit Tests
+ * Add-on catalog listing, SKU conflicts and deletion of ordered add-ons
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// Create hoisted mocks
+const mockTypeSafeDatabaseService = vi.hoisted(() => ({
+  getClient: vi.fn(),
+  executeRpc: vi.fn()
+}));
+
+vi.mock('../../src/services/TypeSafeDatabaseService', () => ({
+  typeSafeDatabaseService: mockTypeSafeDatabaseService
+}));
+
+// Import after mocking
+import { ProductAddonService } from '../../src/services/ProductAddonService';
+import { createSupabaseQueryMocks } from '../utils/mock-factory';
+
+const { mockTables } = createSupabaseQueryMocks(mockTypeSafeDatabaseService.getClient);
+
+function createTestAddon(overrides = {}) {
+  return {
+    id: 3,
+    name: 'Caja de bombones',
+    description: null,
+    type: 'chocolate',
+    sku: 'ADD-CHOC',
+    price_usd: 12,
+    price_ves: null,
+    stock: 5,
+    image_url: null,
+    active: true,
+    display_order: 0,
+    created_at: '2026-10-18T12:00:00Z',
+    updated_at: '2026-10-18T12:00:00Z',
+    ...overrides
+  };
+}
+
+describe('ProductAddonService', () => {
+  let productAddonService: ProductAddonService;
+
+  beforeEach(() => {
+    productAddonService = new ProductAddonService();
+  });
+
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('getAddons', () => {
+    it('should list only active add-ons in display order', async () => {
+      // Arrange
+      const { builders } = mockTables({
+        product_addons: [{ data: [createTestAddon()], error: null }]
+      });
+      const addonsQuery = builders.product_addons?.[0];
+
+      // Act
+      const result = await productAddonService.getAddons();
+
+      // Assert
+      expect(result.success).toBe(true);
+      expect(result.data).toHaveLength(1);
+      expect(addonsQuery?.eq).toHaveBeenCalledWith('active', true);
+      expect(addonsQuery?.order).toHaveBeenCalledWith('display_order', { ascending: true });
+    });
+
+    it('should include inactive add-ons for the admin panel', async () => {
+      // Arrange
+      const { builders } = mockTables({
+        product_addons: [{ data: [createTestAddon(), createTestAddon({ id: 4, active: false })], error: null }]
+      });
+      const addonsQuery = builders.product_addons?.[0];
+
+      // Act
+      const result = await productAddonService.getAddons(true);
+
+      // Assert
+      expect(result.data).toHaveLength(2);
+      expect(addonsQuery?.eq).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createAddon', () => {
+    it('should report ADDON_SKU_TAKEN when the SKU already exists', async () => {
+      // Arrange
+      mockTables({
+        product_addons: [{ data: null, error: { code: '23505', message: 'duplicate key value' } }]
+      });
+
+      // Act
+      const result = await productAddonService.createAddon({
+        name: 'Caja de bombones',
+        type: 'chocolate',
+        sku: 'ADD-CHOC',
+        price_usd: 12,
+        stock: 5,
+        active: true,
+        display_order: 0
+      });
+
+      // Assert
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('ADDON_SKU_TAKEN');
+    });
+  });
+
+  describe('deleteAddon', () => {
+    it('should deactivate add-ons that were already ordered', async () => {
+      // Arrange
+      const { builders } = mockTables({
+        order_items: [{ data: null, error: null, count: 2 }],
+        product_addons: [{ data: createTestAddon({ active: false }), error: null }]
+      });
+      const addonsQuery = builders.product_addons?.[0];
+
+      // Act
+      const result = await productAddonService.deleteAddon(3);
+
+      // Assert
+      expect(result.success).toBe(true);
+      expect(result.data?.active).toBe(false);
+      expect(addonsQuery?.update).toHaveBeenCalledWith(expect.objectContaining({ active: false }));
+      expect(addonsQuery?.delete).not.toHaveBeenCalled();
+    });
+
+    it('should report ADDON_NOT_FOUND when deleting a missing add-on', async () => {
+      // Arrange
+      mockTables({
+        order_items: [{ data: null, error: null, count: 0 }],
+        product_addons: [{ data: null, error: { code: 'PGRST116', message: 'No rows' } }]
+      });
+
+      // Act
+      const result = await productAddonService.deleteAddon(99);
+
+      // Assert
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('ADDON_NOT_FOUND');
+    });
+  });
+});
@@ -5,8 +5,9 @@
 
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 
-// Mock the ProductService module
-vi.mock('../../src/services/ProductService', () => ({
+// Mock the ProductService module, keeping its error classes
+vi.mock('../../src/services/ProductService', async (importOriginal) => ({
+  ...(await importOriginal<typeof import('../../src/services/ProductService')>()),
   ProductService: vi.fn()
 }));
 
@@ -20,7 +21,7 @@ vi.mock('../../src/services/TypeSafeDatabaseService', () => ({
 }));
 
 import { ProductController } from '../../src/controllers/ProductController';
-import { ProductService } from '../../src/services/ProductService';
+import { ProductService, ProductValidationError, StockChangedError } from '../../src/services/ProductService';
 import { typeSafeDatabaseService } from '../../src/services/TypeSafeDatabaseService';
 
 describe('ProductController Unit Tests', () => {
@@ -187,9 +188,15 @@ describe('ProductController Unit Tests', () => {
         page: 1,
         limit: 20,
         search: undefined,
-        occasion: undefined,
+        occasion_ids: undefined,
         featured: undefined,
         has_carousel_order: undefined,
+        min_price: undefined,
+        max_price: undefined,
+        price_currency: undefined,
+        in_stock: undefined,
+        include_facets: true,
+        sort: undefined,
         sort_by: 'created_at',
         sort_direction: 'desc'
       });
@@ -201,6 +208,82 @@ describe('ProductController Unit Tests', () => {
         message: 'Products retrieved successfully'
       });
     });
+
+    it('should pass the catalog filters and return the facet counts', async () => {
+      // Arrange
+      const facets = {
+        occasions: [{ id: 3, name: 'Cumpleaños', slug: 'cumpleanos', count: 12 }],
+        price_ranges: [{ key: 'under-25', label: 'Menos de $25', min: 0, max: 25, count: 4 }]
+      };
+      const testProducts = { ...createTestProductList(), facets };
+      mockProductService.getProducts.mockResolvedValue(testProducts);
+
+      const req = createMockRequest({
+        query: {
+          occasion_ids: '3,5',
+          min_price: '10',
+          max_price: '900',
+          price_currency: 'VES',
+          in_stock: 'true',
+          sort: 'featured:desc,price_usd:asc'
+        }
+      });
+      const res = createMockResponse();
+
+      // Act
+      await controller.getProducts(req as any, res as any);
+
+      // Assert
+      expect(mockProductService.getProducts).toHaveBeenCalledWith(expect.objectContaining({
+        occasion_ids: [3, 5],
+        min_price: 10,
+        max_price: 900,
+        price_currency: 'VES',
+        in_stock: true,
+        include_facets: true,
+        sort: 'featured:desc,price_usd:asc'
+      }));
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ facets })
+      }));
+    });
+
+    it('should treat a single occasion_id as an occasion filter', async () => {
+      // Arrange
+      mockProductService.getProducts.mockResolvedValue(createTestProductList());
+      const req = createMockRequest({ query: { occasion_id: '3' } });
+      const res = createMockResponse();
+
+      // Act
+      await controller.getProducts(req as any, res as any);
+
+      // Assert
+      expect(mockProductService.getProducts).toHaveBeenCalledWith(expect.objectContaining({
+        occasion_ids: [3]
+      }));
+    });
+
+    it('should sort searches by relevance unless another order is requested', async () => {
+      // Arrange
+      mockProductService.getProducts.mockResolvedValue(createTestProductList());
+      const searchRes = createMockResponse();
+      const sortedRes = createMockResponse();
+
+      // Act
+      await controller.getProducts(createMockRequest({ query: { search: 'rosas' } }) as any, searchRes);
+      await controller.getProducts(createMockRequest({ query: { search: 'rosas', sort_by: 'price_usd' } }) as any, sortedRes);
+
+      // Assert
+      expect(mockProductService.getProducts).toHaveBeenNthCalledWith(1, expect.objectContaining({
+        search: 'rosas',
+        sort_by: 'relevance'
+      }));
+      expect(mockProductService.getProducts).toHaveBeenNthCalledWith(2, expect.objectContaining({
+        search: 'rosas',
+        sort_by: 'price_usd'
+      }));
+    });
   });
 
   describe('getFeatured', () => {
@@ -399,7 +482,7 @@ describe('ProductController Unit Tests', () => {
         name: 'Rosas Rojas Premium',
         price_usd: 29.99,
         featured: true
-      });
+      }, undefined);
 
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith({
@@ -408,6 +491,43 @@ describe('ProductController Unit Tests', () => {
         message: 'Product updated successfully'
       });
     });
+
+    it('should require the stock the form was loaded with to change the stock', async () => {
+      // Arrange
+      mockProductService.updateProduct.mockRejectedValue(new ProductValidationError('expected_stock is required to change the stock'));
+      const req = createMockRequest({ params: { id: '1' }, body: { stock: 12 } });
+      const res = createMockResponse();
+
+      // Act
+      await controller.updateProduct(req as any, res as any);
+
+      // Assert
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        success: false,
+        message: 'expected_stock is required to change the stock',
+        error: 'VALIDATION_ERROR'
+      }));
+    });
+
+    it('should refuse the stock count when the stock changed since the form was loaded', async () => {
+      // Arrange
+      mockProductService.updateProduct.mockRejectedValue(new StockChangedError(7));
+      const req = createMockRequest({ params: { id: '1' }, body: { stock: 12, expected_stock: 10 } });
+      const res = createMockResponse();
+
+      // Act
+      await controller.updateProduct(req as any, res as any);
+
+      // Assert
+      expect(mockProductService.updateProduct).toHaveBeenCalledWith({ id: 1, stock: 12, expected_stock: 10 }, undefined);
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        success: false,
+        error: 'STOCK_CHANGED',
+        data: { current_stock: 7 }
+      }));
+    });
   });
 
   describe('updateCarouselOrder', () => {
@@ -0,0 +1,316 @@
+/**
+ * 🌸 FloresYa ProductService Unit Tests
+ * Full-text product search, relevance ordering and catalog facets
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// Create hoisted mocks
+const mockTypeSafeDatabaseService = vi.hoisted(() => ({
+  getClient: vi.fn(),
+  executeRpc: vi.fn()
+}));
+
+vi.mock('../../src/services/TypeSafeDatabaseService', () => ({
+  typeSafeDatabaseService: mockTypeSafeDatabaseService
+}));
+
+// Import after mocking
+import { ProductService, ProductValidationError, StockChangedError } from '../../src/services/ProductService';
+import { createSupabaseQueryMocks } from '../utils/mock-factory';
+
+const { mockTables } = createSupabaseQueryMocks(mockTypeSafeDatabaseService.getClient);
+
+function createTestProduct(overrides = {}) {
+  return {
+    id: 1,
+    name: 'Ramo de Girasoles',
+    summary: 'Girasoles frescos',
+    description: null,
+    price_usd: 25,
+    stock: 10,
+    active: true,
+    product_images: [],
+    ...overrides
+  };
+}
+
+function createTestMatch(overrides = {}) {
+  return {
+    product_id: 1,
+    rank: 0.5,
+    name_highlight: 'Ramo de <mark>Girasoles</mark>',
+    summary_highlight: '<mark>Girasoles</mark> frescos',
+    description_highlight: null,
+    ...overrides
+  };
+}
+
+function createTestSearchPage(matches: Array<ReturnType<typeof createTestMatch>>, totalCount = matches.length) {
+  return { total_count: totalCount, matches };
+}
+
+describe('ProductService', () => {
+  let productService: ProductService;
+
+  beforeEach(() => {
+    productService = new ProductService();
+  });
+
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('getProducts with search', () => {
+    it('should pass the search term and filters to the full-text RPC instead of a raw filter', async () => {
+      // Arrange
+      mockTypeSafeDatabaseService.executeRpc.mockResolvedValue(createTestSearchPage([createTestMatch()]));
+      const { builders } = mockTables({
+        products: [{ data: [createTestProduct()], error: null, count: 1 }],
+        product_images: [{ data: [], error: null }]
+      });
+      const productsQuery = builders.products?.[0];
+
+      // Act
+      await productService.getProducts({ search: 'girasól,name.eq.x', in_stock: true, max_price: 50 });
+
+      // Assert
+      expect(mockTypeSafeDatabaseService.executeRpc).toHaveBeenCalledWith('search_products', expect.objectContaining({
+        search_text: 'girasól,name.eq.x',
+        active: true,
+        in_stock: true,
+        max_price: 50,
+        price_currency: 'USD'
+      }));
+      expect(productsQuery?.or).not.toHaveBeenCalled();
+      expect(productsQuery?.gt).not.toHaveBeenCalled();
+      expect(productsQuery?.in).toHaveBeenCalledWith('id', [1]);
+    });
+
+    it('should page relevance results in SQL and count them from the RPC total', async () => {
+      // Arrange
+      mockTypeSafeDatabaseService.executeRpc.mockResolvedValue(createTestSearchPage([
+        createTestMatch({ product_id: 2, rank: 0.9, name_highlight: '<mark>Girasol</mark> Gigante' }),
+        createTestMatch({ product_id: 1, rank: 0.2 })
+      ], 750));
+      const { builders } = mockTables({
+        products: [{
+          data: [createTestProduct({ id: 1 }), createTestProduct({ id: 2, name: 'Girasol Gigante' })],
+          error: null,
+          count: 2
+        }],
+        product_images: [{ data: [], error: null }]
+      });
+      const productsQuery = builders.products?.[0];
+
+      // Act
+      const result = await productService.getProducts({ search: 'girasol', page: 31, limit: 2 });
+
+      // Assert
+      expect(mockTypeSafeDatabaseService.executeRpc).toHaveBeenCalledWith('search_products', expect.objectContaining({
+        result_limit: 2,
+        result_offset: 60
+      }));
+      expect(productsQuery?.range).not.toHaveBeenCalled();
+      expect(result.products.map(product => product.id)).toEqual([2, 1]);
+      expect(result.products[0]?.search_rank).toBe(0.9);
+      expect(result.products[0]?.search_highlight?.name).toBe('<mark>Girasol</mark> Gigante');
+      expect(result.pagination).toMatchObject({ total_items: 750, total_pages: 375 });
+    });
+
+    it('should keep SQL ordering and pagination when an explicit sort is requested', async () => {
+      // Arrange
+      mockTypeSafeDatabaseService.executeRpc.mockResolvedValue(createTestSearchPage([createTestMatch()]));
+      const { builders } = mockTables({
+        products: [{ data: [createTestProduct()], error: null, count: 1 }],
+        product_images: [{ data: [], error: null }]
+      });
+      const productsQuery = builders.products?.[0];
+
+      // Act
+      await productService.getProducts({ search: 'girasol', sort_by: 'price_usd', sort_direction: 'asc' });
+
+      // Assert
+      expect(mockTypeSafeDatabaseService.executeRpc).toHaveBeenCalledWith('search_products', expect.not.objectContaining({
+        result_limit: expect.anything()
+      }));
+      expect(productsQuery?.order).toHaveBeenCalledWith('price_usd', { ascending: true });
+      expect(productsQuery?.range).toHaveBeenCalledWith(0, 19);
+    });
+
+    it('should return no products when nothing matches', async () => {
+      // Arrange
+      mockTypeSafeDatabaseService.executeRpc.mockResolvedValue(createTestSearchPage([]));
+      const { builders } = mockTables({
+        products: [{ data: [], error: null, count: 0 }],
+        product_images: [{ data: [], error: null }]
+      });
+      const productsQuery = builders.products?.[0];
+
+      // Act
+      const result = await productService.getProducts({ search: 'tulipanes' });
+
+      // Assert
+      expect(productsQuery?.eq).toHaveBeenCalledWith('id', -1);
+      expect(result.products).toEqual([]);
+    });
+  });
+
+  describe('getProducts with facets', () => {
+    it('should keep products in any of the selected occasions', async () => {
+      // Arrange
+      const { builders } = mockTables({
+        product_occasions: [{ data: [{ product_id: 1 }, { product_id: 2 }, { product_id: 1 }], error: null }],
+        products: [{ data: [createTestProduct()], error: null, count: 1 }],
+        product_images: [{ data: [], error: null }]
+      });
+      const occasionsQuery = builders.product_occasions?.[0];
+      const productsQuery = builders.products?.[0];
+
+      // Act
+      await productService.getProducts({ occasion_ids: [3, 5] });
+
+      // Assert
+      expect(occasionsQuery?.in).toHaveBeenCalledWith('occasion_id', [3, 5]);
+      expect(productsQuery?.in).toHaveBeenCalledWith('id', [1, 2]);
+    });
+
+    it('should filter the price range in the requested currency and only in-stock products', async () => {
+      // Arrange
+      const { builders } = mockTables({
+        products: [{ data: [createTestProduct()], error: null, count: 1 }],
+        product_images: [{ data: [], error: null }]
+      });
+      const productsQuery = builders.products?.[0];
+
+      // Act
+      await productService.getProducts({ min_price: 500, max_price: 1500, price_currency: 'VES', in_stock: true });
+
+      // Assert
+      expect(productsQuery?.gte).toHaveBeenCalledWith('price_ves', 500);
+      expect(productsQuery?.lte).toHaveBeenCalledWith('price_ves', 1500);
+      expect(productsQuery?.gt).toHaveBeenCalledWith('stock', 0);
+    });
+
+    it('should apply combined sorts in order, overriding sort_by', async () => {
+      // Arrange
+      const { builders } = mockTables({
+        products: [{ data: [createTestProduct()], error: null, count: 1 }],
+        product_images: [{ data: [], error: null }]
+      });
+      const productsQuery = builders.products?.[0];
+
+      // Act
+      await productService.getProducts({ sort: 'featured:desc,price_usd:asc', sort_by: 'name' });
+
+      // Assert
+      const order = productsQuery?.order as ReturnType<typeof vi.fn>;
+      expect(order.mock.calls).toEqual([
+        ['featured', { ascending: false }],
+        ['price_usd', { ascending: true }]
+      ]);
+    });
+
+    it('should attach facet counts computed with the same filters', async () => {
+      // Arrange
+      const facets = {
+        occasions: [{ id: 3, name: 'Cumpleaños', slug: 'cumpleanos', count: 12 }],
+        price_ranges: [{ key: 'under-25', label: 'Menos de $25', min: 0, max: 24.99, count: 4 }]
+      };
+      mockTypeSafeDatabaseService.executeRpc.mockResolvedValue(facets);
+      mockTables({
+        product_occasions: [{ data: [{ product_id: 1 }], error: null }],
+        products: [{ data: [createTestProduct()], error: null, count: 1 }],
+        product_images: [{ data: [], error: null }]
+      });
+
+      // Act
+      const result = await productService.getProducts({ occasion_ids: [3], in_stock: true, include_facets: true });
+
+      // Assert
+      expect(mockTypeSafeDatabaseService.executeRpc).toHaveBeenCalledWith('get_product_facets', expect.objectContaining({
+        occasion_ids: [3],
+        in_stock: true,
+        price_currency: 'USD',
+        only_active: true
+      }));
+      expect(result.facets).toEqual(facets);
+    });
+
+    it('should count facets for the occasion named by its slug, like the product list', async () => {
+      // Arrange
+      mockTypeSafeDatabaseService.executeRpc.mockResolvedValue({ occasions: [], price_ranges: [] });
+      const { builders } = mockTables({
+        occasions: [{ data: { id: 3 }, error: null }],
+        product_occasions: [{ data: [{ product_id: 1 }], error: null }],
+        products: [{ data: [createTestProduct()], error: null, count: 1 }],
+        product_images: [{ data: [], error: null }]
+      });
+      const occasionsQuery = builders.product_occasions?.[0];
+
+      // Act
+      await productService.getProducts({ occasion: 'cumpleanos', include_facets: true });
+
+      // Assert
+      expect(occasionsQuery?.in).toHaveBeenCalledWith('occasion_id', [3]);
+      expect(mockTypeSafeDatabaseService.executeRpc).toHaveBeenCalledWith('get_product_facets', expect.objectContaining({
+        occasion_ids: [3]
+      }));
+    });
+  });
+
+  describe('updateProduct', () => {
+    it('should post the counted stock only over the stock the form was loaded with', async () => {
+      // Arrange
+      mockTypeSafeDatabaseService.executeRpc.mockResolvedValue(null);
+      mockTables({ products: [{ data: createTestProduct({ stock: 12 }), error: null }] });
+
+      // Act
+      const product = await productService.updateProduct({ id: 1, stock: 12, expected_stock: 10 }, 4);
+
+      // Assert
+      expect(mockTypeSafeDatabaseService.executeRpc).toHaveBeenCalledWith('set_product_stock', {
+        product_id: 1,
+        new_stock: 12,
+        expected_stock: 10,
+        created_by: 4
+      });
+      expect(product.stock).toBe(12);
+    });
+
+    it('should throw StockChangedError when sales or adjustments changed the stock meanwhile', async () => {
+      // Arrange
+      mockTypeSafeDatabaseService.executeRpc.mockRejectedValue(new Error('Database RPC error: Stock changed to 7'));
+
+      // Act
+      const error = await productService.updateProduct({ id: 1, stock: 12, expected_stock: 10 }).catch((e: unknown) => e);
+
+      // Assert
+      expect(error).toBeInstanceOf(StockChangedError);
+      expect((error as StockChangedError).currentStock).toBe(7);
+    });
+
+    it('should not change the stock without the stock the form was loaded with', async () => {
+      // Act & Assert
+      await expect(productService.updateProduct({ id: 1, stock: 12 }))
+        .rejects.toThrow(ProductValidationError);
+      expect(mockTypeSafeDatabaseService.executeRpc).not.toHaveBeenCalled();
+    });
+
+    it('should save the other fields before the stock and leave the stock alone when they fail', async () => {
+      // Arrange
+      const { builders } = mockTables({
+        products: [{ data: null, error: { message: 'value too long for type character varying(200)' } }]
+      });
+      const updateBuilder = builders.products?.[0];
+
+      // Act
+      const error = await productService.updateProduct({ id: 1, name: 'Rosas rojas', stock: 12, expected_stock: 10 }).catch((e: unknown) => e);
+
+      // Assert
+      expect(updateBuilder?.update).toHaveBeenCalledWith({ name: 'Rosas rojas' });
+      expect((error as Error).message).toContain('Failed to update product');
+      expect(mockTypeSafeDatabaseService.executeRpc).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * 🌸 FloresYa ProductVariantService Unit Tests
+ * Variant listing, SKU conflicts and deletion of ordered variants
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// Create hoisted mocks
+const mockTypeSafeDatabaseService = vi.hoisted(() => ({
+  getClient: vi.fn(),
+  executeRpc: vi.fn()
+}));
+
+vi.mock('../../src/services/TypeSafeDatabaseService', () => ({
+  typeSafeDatabaseService: mockTypeSafeDatabaseService
+}));
+
+// Import after mocking
+import { ProductVariantService } from '../../src/services/ProductVariantService';
+import { createSupabaseQueryMocks } from '../utils/mock-factory';
+
+const { mockTables } = createSupabaseQueryMocks(mockTypeSafeDatabaseService.getClient);
+
+function createTestVariant(overrides = {}) {
+  return {
+    id: 7,
+    product_id: 1,
+    name: '24 rosas',
+    size: 'Grande',
+    color: 'Rojo',
+    arrangement_type: 'Ramo',
+    sku: 'ROS-24',
+    price_usd: 45,
+    price_ves: null,
+    stock: 6,
+    active: true,
+    display_order: 1,
+    created_at: '2026-10-18T12:00:00Z',
+    updated_at: '2026-10-18T12:00:00Z',
+    ...overrides
+  };
+}
+
+describe('ProductVariantService', () => {
+  let productVariantService: ProductVariantService;
+
+  beforeEach(() => {
+    productVariantService = new ProductVariantService();
+  });
+
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('getProductVariants', () => {
+    it('should list only active variants in display order', async () => {
+      // Arrange
+      const { builders } = mockTables({
+        product_variants: [{ data: [createTestVariant()], error: null }]
+      });
+      const variantsQuery = builders.product_variants?.[0];
+
+      // Act
+      const result = await productVariantService.getProductVariants(1);
+
+      // Assert
+      expect(result.success).toBe(true);
+      expect(result.data).toHaveLength(1);
+      expect(variantsQuery?.eq).toHaveBeenCalledWith('product_id', 1);
+      expect(variantsQuery?.eq).toHaveBeenCalledWith('active', true);
+      expect(variantsQuery?.order).toHaveBeenCalledWith('display_order', { ascending: true });
+    });
+  });
+
+  describe('createVariant', () => {
+    it('should report VARIANT_SKU_TAKEN when the SKU already exists', async () => {
+      // Arrange
+      mockTables({
+        product_variants: [{ data: null, error: { code: '23505', message: 'duplicate key value' } }]
+      });
+
+      // Act
+      const result = await productVariantService.createVariant(1, {
+        name: '24 rosas',
+        sku: 'ROS-24',
+        price_usd: 45,
+        stock: 6,
+        active: true,
+        display_order: 0
+      });
+
+      // Assert
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('VARIANT_SKU_TAKEN');
+    });
+  });
+
+  describe('deleteVariant', () => {
+    it('should deactivate variants that were already ordered', async () => {
+      // Arrange
+      const { builders } = mockTables({
+        order_items: [{ data: null, error: null, count: 3 }],
+        product_variants: [{ data: createTestVariant({ active: false }), error: null }]
+      });
+      const variantsQuery = builders.product_variants?.[0];
+
+      // Act
+      const result = await productVariantService.deleteVariant(1, 7);
+
+      // Assert
+      expect(result.success).toBe(true);
+      expect(result.data?.active).toBe(false);
+      expect(variantsQuery?.update).toHaveBeenCalledWith(expect.objectContaining({ active: false }));
+      expect(variantsQuery?.delete).not.toHaveBeenCalled();
+    });
+
+    it('should delete variants that were never ordered', async () => {
+      // Arrange
+      const { builders } = mockTables({
+        order_items: [{ data: null, error: null, count: 0 }],
+        product_variants: [{ data: createTestVariant(), error: null }]
+      });
+      const variantsQuery = builders.product_variants?.[0];
+
+      // Act
+      const result = await productVariantService.deleteVariant(1, 7);
+
+      // Assert
+      expect(result.success).toBe(true);
+      expect(variantsQuery?.delete).toHaveBeenCalled();
+      expect(variantsQuery?.eq).toHaveBeenCalledWith('product_id', 1);
+    });
+  });
+});
@@ -0,0 +1,311 @@
+/**
+ * 🌸 FloresYa PromotionService Unit Tests
+ * Promotion rules on carts: conditions, discounts, gifts and free delivery, and how they stack
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// Create hoisted mocks
+const mockTypeSafeDatabaseService = vi.hoisted(() => ({
+  getClient: vi.fn(),
+  executeRpc: vi.fn()
+}));
+
+vi.mock('../../src/services/TypeSafeDatabaseService', () => ({
+  typeSafeDatabaseService: mockTypeSafeDatabaseService
+}));
+
+// Import after mocking
+import { PromotionService, type PromotionCart } from '../../src/services/PromotionService';
+import { createSupabaseQueryMocks } from '../utils/mock-factory';
+
+const { mockQueries } = createSupabaseQueryMocks(mockTypeSafeDatabaseService.getClient);
+
+function createTestPromotion(overrides = {}) {
+  return {
+    id: 7,
+    name: 'Temporada de madres',
+    description: null,
+    starts_at: null,
+    ends_at: null,
+    priority: 0,
+    product_ids: [],
+    occasion_ids: [],
+    min_order_usd: 0,
+    action_type: 'percentage',
+    discount_value: 10,
+    buy_quantity: null,
+    get_quantity: null,
+    addon_id: null,
+    addon_quantity: 1,
+    active: true,
+    created_at: '2026-10-01T12:00:00Z',
+    updated_at: '2026-10-01T12:00:00Z',
+    ...overrides
+  };
+}
+
+function createCart(overrides: Partial<PromotionCart> = {}): PromotionCart {
+  return {
+    lines: [
+      { product_id: 1, unit_price_usd: 40, quantity: 2, subtotal_usd: 80, taxable_usd: 80 },
+      { product_id: 2, unit_price_usd: 10, quantity: 2, subtotal_usd: 20, taxable_usd: 0 }
+    ],
+    delivery_fee_usd: 5,
+    addon_units: new Map(),
+    ...overrides
+  };
+}
+
+const now = new Date('2026-10-18T15:00:00Z');
+
+describe('PromotionService', () => {
+  let promotionService: PromotionService;
+
+  beforeEach(() => {
+    promotionService = new PromotionService();
+  });
+
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('evaluatePromotions', () => {
+    it('should take a percentage off carts that reach the minimum and explain it', async () => {
+      // Arrange
+      const { builders: [promotionsQuery] } = mockQueries({
+        data: [createTestPromotion({ min_order_usd: 50 })],
+        error: null
+      });
+
+      // Act
+      const result = await promotionService.evaluatePromotions(createCart(), now);
+
+      // Assert
+      expect(promotionsQuery?.eq).toHaveBeenCalledWith('active', true);
+      expect(result.discount_usd).toBe(10);
+      expect(result.taxable_discount_usd).toBe(8);
+      expect(result.lines).toEqual([
+        { discount_usd: 8, taxable_discount_usd: 8 },
+        { discount_usd: 2, taxable_discount_usd: 0 }
+      ]);
+      expect(result.promotions).toEqual([{
+        promotion_id: 7,
+        name: 'Temporada de madres',
+        action_type: 'percentage',
+        discount_usd: 10,
+        explanation: '10% de descuento en tu pedido por compras desde $50.00'
+      }]);
+    });
+
+    it('should skip promotions whose minimum the cart does not reach', async () => {
+      // Arrange
+      mockQueries({ data: [createTestPromotion({ min_order_usd: 150 })], error: null });
+
+      // Act
+      const result = await promotionService.evaluatePromotions(createCart(), now);
+
+      // Assert
+      expect(result.promotions).toEqual([]);
+      expect(result.discount_usd).toBe(0);
+    });
+
+    it('should skip promotions outside their date window', async () => {
+      // Arrange
+      mockQueries({
+        data: [
+          createTestPromotion({ id: 1, starts_at: '2026-10-20T00:00:00Z' }),
+          createTestPromotion({ id: 2, ends_at: '2026-10-18T15:00:00Z' }),
+          createTestPromotion({ id: 3, starts_at: '2026-10-01T00:00:00Z', ends_at: '2026-10-31T00:00:00Z' })
+        ],
+        error: null
+      });
+
+      // Act
+      const result = await promotionService.evaluatePromotions(createCart(), now);
+
+      // Assert
+      expect(result.promotions.map(promotion => promotion.promotion_id)).toEqual([3]);
+    });
+
+    it('should spread a fixed discount over the lines in proportion to their subtotal', async () => {
+      // Arrange
+      mockQueries({ data: [createTestPromotion({ action_type: 'fixed', discount_value: 15 })], error: null });
+
+      // Act
+      const result = await promotionService.evaluatePromotions(createCart(), now);
+
+      // Assert
+      expect(result.lines.map(line => line.discount_usd)).toEqual([12, 3]);
+      expect(result.discount_usd).toBe(15);
+    });
+
+    it('should give the cheapest units of each group for free on buy X get Y', async () => {
+      // Arrange
+      const cart = createCart({
+        lines: [
+          { product_id: 1, unit_price_usd: 40, quantity: 1, subtotal_usd: 40, taxable_usd: 40 },
+          { product_id: 2, unit_price_usd: 10, quantity: 2, subtotal_usd: 20, taxable_usd: 20 }
+        ]
+      });
+      mockQueries({
+        data: [createTestPromotion({ action_type: 'buy_x_get_y', discount_value: null, buy_quantity: 1, get_quantity: 1 })],
+        error: null
+      });
+
+      // Act
+      const result = await promotionService.evaluatePromotions(cart, now);
+
+      // Assert
+      expect(result.lines.map(line => line.discount_usd)).toEqual([0, 10]);
+      expect(result.promotions[0]?.explanation).toBe('Lleva 2 y paga 1 en tu pedido');
+    });
+
+    it('should only discount products of the promotion occasions', async () => {
+      // Arrange
+      const { builders: [, occasionsQuery] } = mockQueries(
+        { data: [createTestPromotion({ occasion_ids: [5] })], error: null },
+        { data: [{ product_id: 2, occasion_id: 5 }], error: null }
+      );
+
+      // Act
+      const result = await promotionService.evaluatePromotions(createCart(), now);
+
+      // Assert
+      expect(occasionsQuery?.in).toHaveBeenCalledWith('occasion_id', [5]);
+      expect(result.lines.map(line => line.discount_usd)).toEqual([0, 2]);
+      expect(result.promotions[0]?.explanation).toBe('10% de descuento en productos seleccionados');
+    });
+
+    it('should skip product promotions when the cart has none of their products', async () => {
+      // Arrange
+      mockQueries({ data: [createTestPromotion({ action_type: 'free_delivery', discount_value: null, product_ids: [9] })], error: null });
+
+      // Act
+      const result = await promotionService.evaluatePromotions(createCart(), now);
+
+      // Assert
+      expect(result.free_delivery).toBe(false);
+      expect(result.promotions).toEqual([]);
+    });
+
+    it('should waive delivery once, reporting the fee it saves', async () => {
+      // Arrange
+      mockQueries({
+        data: [
+          createTestPromotion({ id: 1, action_type: 'free_delivery', discount_value: null }),
+          createTestPromotion({ id: 2, action_type: 'free_delivery', discount_value: null })
+        ],
+        error: null
+      });
+
+      // Act
+      const result = await promotionService.evaluatePromotions(createCart(), now);
+
+      // Assert
+      expect(result.free_delivery).toBe(true);
+      expect(result.discount_usd).toBe(0);
+      expect(result.promotions).toEqual([
+        expect.objectContaining({ promotion_id: 1, discount_usd: 5, explanation: 'Envío gratis' })
+      ]);
+    });
+
+    it('should add a gift add-on while it has stock left for the cart', async () => {
+      // Arrange
+      const { builders: [, addonQuery] } = mockQueries(
+        {
+          data: [createTestPromotion({ action_type: 'free_addon', discount_value: null, addon_id: 3, addon_quantity: 2, description: 'Chocolates de regalo' })],
+          error: null
+        },
+        { data: { id: 3, name: 'Chocolates', price_usd: 4.5, stock: 10, is_taxable: true }, error: null }
+      );
+
+      // Act
+      const result = await promotionService.evaluatePromotions(createCart(), now);
+
+      // Assert
+      expect(addonQuery?.eq).toHaveBeenCalledWith('id', 3);
+      expect(result.gifts).toEqual([{
+        line_index: 0,
+        promotion_id: 7,
+        addon_id: 3,
+        addon_name: 'Chocolates',
+        quantity: 2,
+        is_taxable: true
+      }]);
+      expect(result.promotions[0]).toMatchObject({ discount_usd: 9, explanation: 'Chocolates de regalo' });
+      expect(result.discount_usd).toBe(0);
+    });
+
+    it('should leave out gifts the add-on stock cannot cover', async () => {
+      // Arrange
+      mockQueries(
+        { data: [createTestPromotion({ action_type: 'free_addon', discount_value: null, addon_id: 3 })], error: null },
+        { data: { id: 3, name: 'Chocolates', price_usd: 4.5, stock: 2, is_taxable: true }, error: null }
+      );
+
+      // Act
+      const result = await promotionService.evaluatePromotions(createCart({ addon_units: new Map([[3, 2]]) }), now);
+
+      // Assert
+      expect(result.gifts).toEqual([]);
+      expect(result.promotions).toEqual([]);
+    });
+
+    it('should stack promotions by priority, each on what the earlier ones left', async () => {
+      // Arrange
+      mockQueries({
+        data: [
+          createTestPromotion({ id: 1, priority: 10, action_type: 'fixed', discount_value: 90 }),
+          createTestPromotion({ id: 2, priority: 0, discount_value: 50 })
+        ],
+        error: null
+      });
+
+      // Act
+      const result = await promotionService.evaluatePromotions(createCart(), now);
+
+      // Assert
+      expect(result.promotions.map(promotion => [promotion.promotion_id, promotion.discount_usd])).toEqual([[1, 90], [2, 5]]);
+      expect(result.discount_usd).toBe(95);
+    });
+  });
+
+  describe('createPromotion', () => {
+    it('should report INVALID_PROMOTION for an unknown gift add-on', async () => {
+      // Arrange
+      mockQueries({ data: null, error: { code: '23503', message: 'violates foreign key constraint' } });
+
+      // Act
+      const result = await promotionService.createPromotion({
+        name: 'Regalo de temporada',
+        priority: 0,
+        product_ids: [],
+        occasion_ids: [],
+        min_order_usd: 0,
+        action_type: 'free_addon',
+        addon_id: 99,
+        addon_quantity: 1,
+        active: true
+      });
+
+      // Assert
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('INVALID_PROMOTION');
+    });
+  });
+
+  describe('updatePromotion', () => {
+    it('should return PROMOTION_NOT_FOUND for unknown promotions', async () => {
+      // Arrange
+      mockQueries({ data: null, error: { message: 'No rows' } });
+
+      // Act
+      const result = await promotionService.updatePromotion(99, { active: false });
+
+      // Assert
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('PROMOTION_NOT_FOUND');
+    });
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * 🌸 FloresYa SettingsService Unit Tests
+ * IVA and IGTF rates and the loyalty rules, with their defaults
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// Create hoisted mocks
+const mockTypeSafeDatabaseService = vi.hoisted(() => ({
+  getClient: vi.fn(),
+  executeRpc: vi.fn()
+}));
+
+vi.mock('../../src/services/TypeSafeDatabaseService', () => ({
+  typeSafeDatabaseService: mockTypeSafeDatabaseService
+}));
+
+// Import after mocking
+import { SettingsService, taxOn } from '../../src/services/SettingsService';
+import { createSupabaseQueryMocks } from '../utils/mock-factory';
+
+const { mockQueries } = createSupabaseQueryMocks(mockTypeSafeDatabaseService.getClient);
+
+describe('SettingsService', () => {
+  let settingsService: SettingsService;
+
+  beforeEach(() => {
+    settingsService = new SettingsService();
+  });
+
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('taxOn', () => {
+    it('should round the tax to cents', () => {
+      expect(taxOn(33.33, 16)).toBe(5.33);
+      expect(taxOn(116, 3)).toBe(3.48);
+    });
+  });
+
+  describe('getTaxRates', () => {
+    it('should fall back to the default rates when none are saved', async () => {
+      // Arrange
+      mockQueries({ data: [], error: null });
+
+      // Act
+      const rates = await settingsService.getTaxRates();
+
+      // Assert
+      expect(rates).toEqual({ iva_rate: 16, igtf_rate: 3 });
+    });
+
+    it('should read saved rates and ignore invalid values', async () => {
+      // Arrange
+      const { builders: [settingsQuery] } = mockQueries({
+        data: [{ key: 'iva_rate', value: '8' }, { key: 'igtf_rate', value: 'tres' }],
+        error: null
+      });
+
+      // Act
+      const rates = await settingsService.getTaxRates();
+
+      // Assert
+      expect(rates).toEqual({ iva_rate: 8, igtf_rate: 3 });
+      expect(settingsQuery?.in).toHaveBeenCalledWith('key', ['iva_rate', 'igtf_rate']);
+    });
+  });
+
+  describe('getLoyaltyRules', () => {
+    it('should keep points worth something and count whole days of validity', async () => {
+      // Arrange
+      mockQueries({
+        data: [
+          { key: 'loyalty_points_per_usd', value: '2' },
+          { key: 'loyalty_point_value_usd', value: '0' },
+          { key: 'loyalty_points_expiry_days', value: '90.5' }
+        ],
+        error: null
+      });
+
+      // Act
+      const rules = await settingsService.getLoyaltyRules();
+
+      // Assert
+      expect(rules).toEqual({
+        loyalty_points_per_usd: 2,
+        loyalty_point_value_usd: 0.01,
+        loyalty_points_expiry_days: 90
+      });
+    });
+  });
+
+  describe('updateTaxRates', () => {
+    it('should insert the setting when the database has no row for it yet', async () => {
+      // Arrange
+      const { builders: [updateQuery, insertQuery] } = mockQueries(
+        { data: [], error: null },
+        { data: null, error: null },
+        { data: [{ key: 'igtf_rate', value: '2' }], error: null }
+      );
+
+      // Act
+      const result = await settingsService.updateTaxRates({ igtf_rate: 2 });
+
+      // Assert
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual({ iva_rate: 16, igtf_rate: 2 });
+      expect(updateQuery?.eq).toHaveBeenCalledWith('key', 'igtf_rate');
+      expect(insertQuery?.insert).toHaveBeenCalledWith(expect.objectContaining({ key: 'igtf_rate', value: '2' }));
+    });
+
+    it('should report UPDATE_TAX_RATES_ERROR when saving fails', async () => {
+      // Arrange
+      mockQueries({ data: null, error: { message: 'permission denied' } });
+
+      // Act
+      const result = await settingsService.updateTaxRates({ iva_rate: 16 });
+
+      // Assert
+      expect(result).toMatchObject({ success: false, error: 'UPDATE_TAX_RATES_ERROR' });
+    });
+  });
+});
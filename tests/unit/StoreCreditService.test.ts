@@ -0,0 +1,255 @@
+/**
+ * 🌸 FloresYa StoreCreditService Unit Tests
+ * Gift card and store credit issuance, void, balances and paying orders with them
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// Create hoisted mocks
+const mockTypeSafeDatabaseService = vi.hoisted(() => ({
+  getClient: vi.fn(),
+  executeRpc: vi.fn()
+}));
+
+vi.mock('../../src/services/TypeSafeDatabaseService', () => ({
+  typeSafeDatabaseService: mockTypeSafeDatabaseService
+}));
+
+// Import after mocking
+import type { OrderService } from '../../src/services/OrderService';
+import { StoreCreditService } from '../../src/services/StoreCreditService';
+import { createSupabaseQueryMocks } from '../utils/mock-factory';
+
+const { mockQueries } = createSupabaseQueryMocks(mockTypeSafeDatabaseService.getClient);
+
+function createTestCredit(overrides = {}) {
+  return {
+    id: 3,
+    kind: 'gift_card',
+    code: 'FY-1A2B-3C4D-5E6F',
+    user_id: null,
+    reason: 'purchase',
+    initial_amount_usd: 50,
+    balance_usd: 50,
+    order_id: null,
+    purchaser_email: 'ana@example.com',
+    recipient_name: 'Luisa',
+    recipient_email: null,
+    message: null,
+    notes: null,
+    expires_at: null,
+    status: 'active',
+    voided_at: null,
+    void_reason: null,
+    created_by: 1,
+    created_at: '2026-10-01T12:00:00Z',
+    updated_at: '2026-10-01T12:00:00Z',
+    ...overrides
+  };
+}
+
+function createTestRedemption(amountDue: number) {
+  return {
+    payment: { id: 21, order_id: 10, payment_method_name: 'Tarjeta de regalo', amount_usd: 30, status: 'completed' },
+    amount_due_usd: amountDue
+  };
+}
+
+const now = new Date('2026-10-18T15:00:00Z');
+
+describe('StoreCreditService', () => {
+  let storeCreditService: StoreCreditService;
+  let mockOrderService: { updateOrderStatus: ReturnType<typeof vi.fn> };
+
+  beforeEach(() => {
+    mockOrderService = { updateOrderStatus: vi.fn().mockResolvedValue({}) };
+    storeCreditService = new StoreCreditService(mockOrderService as unknown as OrderService);
+  });
+
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('issueStoreCredit', () => {
+    it('should issue through the RPC, recording the admin', async () => {
+      // Arrange
+      mockTypeSafeDatabaseService.executeRpc.mockResolvedValue(createTestCredit());
+
+      // Act
+      const result = await storeCreditService.issueStoreCredit({ kind: 'gift_card', amount_usd: 50, reason: 'purchase' }, 1);
+
+      // Assert
+      expect(mockTypeSafeDatabaseService.executeRpc).toHaveBeenCalledWith('issue_store_credit', {
+        credit_data: { kind: 'gift_card', amount_usd: 50, reason: 'purchase', created_by: 1 }
+      });
+      expect(result.success).toBe(true);
+      expect(result.message).toBe('Gift card FY-1A2B-3C4D-5E6F issued for $50.00');
+    });
+
+    it('should report INVALID_STORE_CREDIT for unknown customers', async () => {
+      // Arrange
+      mockTypeSafeDatabaseService.executeRpc.mockRejectedValue(
+        new Error('Database RPC error: insert or update on table "store_credits" violates foreign key constraint')
+      );
+
+      // Act
+      const result = await storeCreditService.issueStoreCredit({ kind: 'store_credit', user_id: 99, amount_usd: 10, reason: 'goodwill' });
+
+      // Assert
+      expect(result).toMatchObject({ success: false, error: 'INVALID_STORE_CREDIT' });
+    });
+  });
+
+  describe('voidStoreCredit', () => {
+    it('should map missing and already void balances', async () => {
+      // Arrange
+      mockTypeSafeDatabaseService.executeRpc
+        .mockRejectedValueOnce(new Error('Database RPC error: Store credit not found: 99'))
+        .mockRejectedValueOnce(new Error('Database RPC error: Store credit already void: 3'));
+
+      // Act
+      const missing = await storeCreditService.voidStoreCredit(99, 'Error de emisión');
+      const alreadyVoid = await storeCreditService.voidStoreCredit(3, 'Error de emisión');
+
+      // Assert
+      expect(missing.error).toBe('STORE_CREDIT_NOT_FOUND');
+      expect(alreadyVoid.error).toBe('STORE_CREDIT_ALREADY_VOID');
+    });
+  });
+
+  describe('getGiftCardBalance', () => {
+    it('should report expired and void cards with no balance', async () => {
+      // Arrange
+      mockQueries(
+        { data: createTestCredit({ expires_at: '2026-10-18T15:00:00Z' }), error: null },
+        { data: createTestCredit({ status: 'void', balance_usd: 0 }), error: null },
+        { data: createTestCredit({ balance_usd: 20 }), error: null }
+      );
+
+      // Act
+      const expired = await storeCreditService.getGiftCardBalance('FY-1A2B-3C4D-5E6F', now);
+      const voided = await storeCreditService.getGiftCardBalance('FY-1A2B-3C4D-5E6F', now);
+      const active = await storeCreditService.getGiftCardBalance('FY-1A2B-3C4D-5E6F', now);
+
+      // Assert
+      expect(expired.data?.balance_usd).toBe(0);
+      expect(voided.data?.balance_usd).toBe(0);
+      expect(active.data).toEqual({ code: 'FY-1A2B-3C4D-5E6F', balance_usd: 20, expires_at: null });
+    });
+
+    it('should return GIFT_CARD_NOT_FOUND for unknown codes', async () => {
+      // Arrange
+      mockQueries({ data: null, error: null });
+
+      // Act
+      const result = await storeCreditService.getGiftCardBalance('FY-0000-0000-0000', now);
+
+      // Assert
+      expect(result).toMatchObject({ success: false, error: 'GIFT_CARD_NOT_FOUND' });
+    });
+  });
+
+  describe('getCustomerStoreCredit', () => {
+    it('should add up the spendable credits and list their movements', async () => {
+      // Arrange
+      const storeCredit = { kind: 'store_credit', code: null, user_id: 8, reason: 'refund' };
+      const { builders: [creditsQuery, movementsQuery] } = mockQueries(
+        {
+          data: [
+            createTestCredit({ ...storeCredit, id: 4, balance_usd: 12.5 }),
+            createTestCredit({ ...storeCredit, id: 5, balance_usd: 7.25 }),
+            createTestCredit({ ...storeCredit, id: 6, balance_usd: 30, expires_at: '2026-10-01T00:00:00Z' })
+          ],
+          error: null
+        },
+        { data: [{ id: 1, store_credit_id: 4, movement_type: 'issue', amount_usd: 12.5, balance_after: 12.5 }], error: null }
+      );
+
+      // Act
+      const result = await storeCreditService.getCustomerStoreCredit(8, now);
+
+      // Assert
+      expect(creditsQuery?.eq).toHaveBeenCalledWith('user_id', 8);
+      expect(movementsQuery?.in).toHaveBeenCalledWith('store_credit_id', [4, 5, 6]);
+      expect(result.data?.balance_usd).toBe(19.75);
+      expect(result.data?.credits).toHaveLength(3);
+      expect(result.data?.movements).toHaveLength(1);
+    });
+  });
+
+  describe('redeemGiftCard', () => {
+    const request = { order_id: 10, customer_email: 'cliente@example.com', code: 'FY-1A2B-3C4D-5E6F' };
+
+    it('should leave a partly paid order pending', async () => {
+      // Arrange
+      mockTypeSafeDatabaseService.executeRpc.mockResolvedValue(createTestRedemption(15));
+
+      // Act
+      const result = await storeCreditService.redeemGiftCard(request);
+
+      // Assert
+      expect(mockTypeSafeDatabaseService.executeRpc).toHaveBeenCalledWith('redeem_store_credit', {
+        target_order_id: 10,
+        customer_email: 'cliente@example.com',
+        gift_card_code: 'FY-1A2B-3C4D-5E6F',
+        max_amount_usd: null
+      });
+      expect(result.success).toBe(true);
+      expect(result.message).toBe('$30.00 paid, $15.00 left to pay');
+      expect(mockOrderService.updateOrderStatus).not.toHaveBeenCalled();
+    });
+
+    it('should verify orders paid in full', async () => {
+      // Arrange
+      mockTypeSafeDatabaseService.executeRpc.mockResolvedValue(createTestRedemption(0));
+
+      // Act
+      const result = await storeCreditService.redeemGiftCard(request);
+
+      // Assert
+      expect(result.success).toBe(true);
+      expect(mockOrderService.updateOrderStatus).toHaveBeenCalledWith(
+        10,
+        'verified',
+        'Pagado con tarjeta de regalo (pago #21)'
+      );
+    });
+
+    it('should map order and balance errors', async () => {
+      // Arrange
+      mockTypeSafeDatabaseService.executeRpc
+        .mockRejectedValueOnce(new Error('Database RPC error: Order not found: 10'))
+        .mockRejectedValueOnce(new Error('Database RPC error: Order not payable: order 10 is verified'))
+        .mockRejectedValueOnce(new Error('Database RPC error: No store credit available: the gift card does not exist, expired or has no balance'));
+
+      // Act
+      const notFound = await storeCreditService.redeemGiftCard(request);
+      const notPayable = await storeCreditService.redeemGiftCard(request);
+      const noBalance = await storeCreditService.redeemGiftCard(request);
+
+      // Assert
+      expect(notFound.error).toBe('ORDER_NOT_FOUND');
+      expect(notPayable).toMatchObject({ error: 'ORDER_NOT_PAYABLE', message: 'Order not payable: order 10 is verified' });
+      expect(noBalance.error).toBe('NO_STORE_CREDIT');
+    });
+  });
+
+  describe('redeemStoreCredit', () => {
+    it('should spend the balance of the signed-in customer', async () => {
+      // Arrange
+      mockTypeSafeDatabaseService.executeRpc.mockResolvedValue(createTestRedemption(0));
+
+      // Act
+      await storeCreditService.redeemStoreCredit({ order_id: 10, customer_email: 'cliente@example.com', amount_usd: 30 }, 8);
+
+      // Assert
+      expect(mockTypeSafeDatabaseService.executeRpc).toHaveBeenCalledWith('redeem_store_credit', {
+        target_order_id: 10,
+        customer_email: 'cliente@example.com',
+        credit_user_id: 8,
+        max_amount_usd: 30
+      });
+      expect(mockOrderService.updateOrderStatus).toHaveBeenCalledWith(10, 'verified', 'Pagado con saldo a favor (pago #21)');
+    });
+  });
+});
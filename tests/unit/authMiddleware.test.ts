@@ -0,0 +1,172 @@
+/**
+ * 🌸 FloresYa Auth Middleware Unit Tests
+ * Route-level authorization with consistent 401/403 responses
+ */
+
+import { Request, Response } from 'express';
+import jwt from 'jsonwebtoken';
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+
+// Create hoisted mocks
+const mockSupabaseService = vi.hoisted(() => ({
+  from: vi.fn()
+}));
+
+vi.mock('../../src/config/supabase', () => ({
+  supabaseService: mockSupabaseService
+}));
+
+import { requireRole } from '../../src/app/middleware/authMiddleware';
+
+const JWT_SECRET = 'test-secret';
+
+function mockUserLookup(user: { id: number; email: string; role: string } | null) {
+  const single = vi.fn().mockResolvedValue({
+    data: user,
+    error: user ? null : { code: 'PGRST116', message: 'No rows found' }
+  });
+  const eqActive = vi.fn(() => ({ single }));
+  const eqId = vi.fn(() => ({ eq: eqActive }));
+  mockSupabaseService.from.mockReturnValue({
+    select: vi.fn(() => ({ eq: eqId }))
+  });
+}
+
+describe('requireRole', () => {
+  let mockRequest: Partial<Request>;
+  let mockResponse: Partial<Response>;
+  let next: ReturnType<typeof vi.fn>;
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = JWT_SECRET;
+    mockRequest = { headers: {} };
+    mockResponse = {
+      status: vi.fn().mockReturnThis(),
+      json: vi.fn().mockReturnThis()
+    };
+    next = vi.fn();
+  });
+
+  it('should let public routes through without a token', async () => {
+    // Act
+    await requireRole('public')(mockRequest as Request, mockResponse as Response, next);
+
+    // Assert
+    expect(next).toHaveBeenCalled();
+    expect(mockResponse.status).not.toHaveBeenCalled();
+  });
+
+  it('should let guests through guest routes without a token', async () => {
+    // Act
+    await requireRole('guest')(mockRequest as Request, mockResponse as Response, next);
+
+    // Assert
+    expect(next).toHaveBeenCalled();
+    expect((mockRequest as Request & { user?: unknown }).user).toBeUndefined();
+    expect(mockSupabaseService.from).not.toHaveBeenCalled();
+  });
+
+  it('should identify signed-in customers on guest routes', async () => {
+    // Arrange
+    const token = jwt.sign({ sub: '2', email: 'user@example.com', role: 'user' }, JWT_SECRET);
+    mockRequest.headers = { authorization: `Bearer ${token}` };
+    mockUserLookup({ id: 2, email: 'user@example.com', role: 'user' });
+
+    // Act
+    await requireRole('guest')(mockRequest as Request, mockResponse as Response, next);
+
+    // Assert
+    expect(next).toHaveBeenCalled();
+    expect((mockRequest as Request & { user?: { id: number } }).user).toMatchObject({ id: 2, role: 'user' });
+  });
+
+  it('should treat an invalid or expired token as a guest on guest routes', async () => {
+    // Arrange
+    const expired = jwt.sign({ sub: '2', email: 'user@example.com', role: 'user' }, JWT_SECRET, { expiresIn: -60 });
+    const invalid = { ...mockRequest, headers: { authorization: 'Bearer not-a-token' } };
+    mockRequest.headers = { authorization: `Bearer ${expired}` };
+
+    // Act
+    await requireRole('guest')(mockRequest as Request, mockResponse as Response, next);
+    await requireRole('guest')(invalid as Request, mockResponse as Response, next);
+
+    // Assert
+    expect(next).toHaveBeenCalledTimes(2);
+    expect(mockResponse.status).not.toHaveBeenCalled();
+    expect((mockRequest as Request & { user?: unknown }).user).toBeUndefined();
+    expect((invalid as Request & { user?: unknown }).user).toBeUndefined();
+  });
+
+  it('should treat a token of a missing or inactive user as a guest on guest routes', async () => {
+    // Arrange
+    const token = jwt.sign({ sub: '9', email: 'gone@example.com', role: 'user' }, JWT_SECRET);
+    mockRequest.headers = { authorization: `Bearer ${token}` };
+    mockUserLookup(null);
+
+    // Act
+    await requireRole('guest')(mockRequest as Request, mockResponse as Response, next);
+
+    // Assert
+    expect(next).toHaveBeenCalled();
+    expect(mockResponse.status).not.toHaveBeenCalled();
+    expect((mockRequest as Request & { user?: unknown }).user).toBeUndefined();
+  });
+
+  it('should return 401 when no token is provided', async () => {
+    // Act
+    await requireRole('admin')(mockRequest as Request, mockResponse as Response, next);
+
+    // Assert
+    expect(next).not.toHaveBeenCalled();
+    expect(mockResponse.status).toHaveBeenCalledWith(401);
+    expect(mockResponse.json).toHaveBeenCalledWith(expect.objectContaining({
+      success: false,
+      error: 'MISSING_TOKEN'
+    }));
+  });
+
+  it('should return 403 when the user lacks the admin role', async () => {
+    // Arrange
+    const token = jwt.sign({ sub: '2', email: 'user@example.com', role: 'user' }, JWT_SECRET);
+    mockRequest.headers = { authorization: `Bearer ${token}` };
+    mockUserLookup({ id: 2, email: 'user@example.com', role: 'user' });
+
+    // Act
+    await requireRole('admin')(mockRequest as Request, mockResponse as Response, next);
+
+    // Assert
+    expect(next).not.toHaveBeenCalled();
+    expect(mockResponse.status).toHaveBeenCalledWith(403);
+    expect(mockResponse.json).toHaveBeenCalledWith(expect.objectContaining({
+      success: false,
+      error: 'INSUFFICIENT_PERMISSIONS'
+    }));
+  });
+
+  it('should accept admin tokens issued by the tRPC login', async () => {
+    // Arrange
+    const token = jwt.sign({ userId: 1, email: 'admin@example.com', role: 'admin' }, JWT_SECRET);
+    mockRequest.headers = { authorization: `Bearer ${token}` };
+    mockUserLookup({ id: 1, email: 'admin@example.com', role: 'admin' });
+
+    // Act
+    await requireRole('admin')(mockRequest as Request, mockResponse as Response, next);
+
+    // Assert
+    expect(next).toHaveBeenCalled();
+    expect((mockRequest as Request & { user?: { id: number } }).user).toMatchObject({ id: 1, role: 'admin' });
+  });
+
+  it('should let any authenticated user through user routes', async () => {
+    // Arrange
+    const token = jwt.sign({ sub: '2', email: 'user@example.com', role: 'user' }, JWT_SECRET);
+    mockRequest.headers = { authorization: `Bearer ${token}` };
+    mockUserLookup({ id: 2, email: 'user@example.com', role: 'user' });
+
+    // Act
+    await requireRole('user')(mockRequest as Request, mockResponse as Response, next);
+
+    // Assert
+    expect(next).toHaveBeenCalled();
+  });
+});
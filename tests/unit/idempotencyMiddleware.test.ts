@@ -0,0 +1,210 @@
+/**
+ * 🌸 FloresYa Idempotency Middleware Unit Tests
+ * Idempotency-Key replays, reuse with another body and what gets stored
+ */
+
+import { Request, Response } from 'express';
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+
+// Create hoisted mocks
+const mockIdempotencyService = vi.hoisted(() => ({
+  claim: vi.fn(),
+  complete: vi.fn(),
+  release: vi.fn()
+}));
+
+// The real key rules and fingerprint, with the storage mocked
+vi.mock('../../src/services/TypeSafeDatabaseService', () => ({
+  typeSafeDatabaseService: { getClient: vi.fn() }
+}));
+
+vi.mock('../../src/services/IdempotencyService', async (importOriginal) => ({
+  ...(await importOriginal<typeof import('../../src/services/IdempotencyService')>()),
+  idempotencyService: mockIdempotencyService
+}));
+
+import { idempotent, requestFingerprint } from '../../src/app/middleware/idempotencyMiddleware';
+
+function createRequest(key: string | undefined, body: unknown = { items: [{ product_id: 1, quantity: 2 }] }) {
+  return {
+    body,
+    get: vi.fn((name: string) => (name.toLowerCase() === 'idempotency-key' ? key : undefined))
+  } as unknown as Request;
+}
+
+function createResponse() {
+  const json = vi.fn().mockReturnThis();
+  const finishListeners: Array<() => void> = [];
+  const response = {
+    statusCode: 200,
+    set: vi.fn().mockReturnThis(),
+    json,
+    status: vi.fn(function (this: { statusCode: number }, code: number) {
+      this.statusCode = code;
+      return response;
+    }),
+    on: vi.fn((event: string, listener: () => void) => {
+      if (event === 'finish') finishListeners.push(listener);
+      return response;
+    })
+  };
+  // The response went out, whichever way the handler sent it
+  const finish = () => finishListeners.forEach(listener => listener());
+  return { response, json, finish };
+}
+
+// The stored outcome is written before the response goes out
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('idempotent', () => {
+  let next: ReturnType<typeof vi.fn>;
+
+  beforeEach(() => {
+    next = vi.fn();
+    mockIdempotencyService.complete.mockResolvedValue(undefined);
+    mockIdempotencyService.release.mockResolvedValue(undefined);
+  });
+
+  it('should run requests without an Idempotency-Key as usual', async () => {
+    // Arrange
+    const { response } = createResponse();
+
+    // Act
+    await idempotent('orders')(createRequest(undefined), response as unknown as Response, next);
+
+    // Assert
+    expect(next).toHaveBeenCalled();
+    expect(mockIdempotencyService.claim).not.toHaveBeenCalled();
+  });
+
+  it('should store a successful response before sending it', async () => {
+    // Arrange
+    mockIdempotencyService.claim.mockResolvedValue({ state: 'claimed' });
+    const { response, json } = createResponse();
+    const body = { success: true, data: { order: { id: 7 } } };
+
+    // Act
+    await idempotent('orders')(createRequest('key-1'), response as unknown as Response, next);
+    response.status(201).json(body);
+    await flush();
+
+    // Assert
+    expect(next).toHaveBeenCalled();
+    expect(mockIdempotencyService.complete).toHaveBeenCalledWith('orders', 'key-1', 201, body);
+    expect(json).toHaveBeenCalledWith(body);
+  });
+
+  it('should free the key of a failed request so it can be retried', async () => {
+    // Arrange
+    mockIdempotencyService.claim.mockResolvedValue({ state: 'claimed' });
+    const { response, json } = createResponse();
+
+    // Act
+    await idempotent('payments')(createRequest('key-1'), response as unknown as Response, next);
+    response.status(409).json({ success: false, error: 'INSUFFICIENT_STOCK' });
+    await flush();
+
+    // Assert
+    expect(mockIdempotencyService.release).toHaveBeenCalledWith('payments', 'key-1');
+    expect(mockIdempotencyService.complete).not.toHaveBeenCalled();
+    expect(json).toHaveBeenCalled();
+  });
+
+  it('should settle the key of responses sent without res.json', async () => {
+    // Arrange
+    mockIdempotencyService.claim.mockResolvedValue({ state: 'claimed' });
+    const sent = createResponse();
+    const failed = createResponse();
+
+    // Act
+    await idempotent('orders')(createRequest('key-1'), sent.response as unknown as Response, next);
+    sent.response.status(204);
+    sent.finish();
+    await idempotent('orders')(createRequest('key-2'), failed.response as unknown as Response, next);
+    failed.response.status(500);
+    failed.finish();
+    await flush();
+
+    // Assert
+    expect(mockIdempotencyService.complete).toHaveBeenCalledWith('orders', 'key-1', 204, null);
+    expect(mockIdempotencyService.release).toHaveBeenCalledWith('orders', 'key-2');
+  });
+
+  it('should not settle a key twice once res.json recorded it', async () => {
+    // Arrange
+    mockIdempotencyService.claim.mockResolvedValue({ state: 'claimed' });
+    const { response, finish } = createResponse();
+
+    // Act
+    await idempotent('orders')(createRequest('key-1'), response as unknown as Response, next);
+    response.status(201).json({ success: true });
+    await flush();
+    finish();
+    await flush();
+
+    // Assert
+    expect(mockIdempotencyService.complete).toHaveBeenCalledTimes(1);
+    expect(mockIdempotencyService.release).not.toHaveBeenCalled();
+  });
+
+  it('should replay the stored response without running the request again', async () => {
+    // Arrange
+    const stored = { success: true, data: { order: { id: 7 } } };
+    mockIdempotencyService.claim.mockResolvedValue({ state: 'replay', status: 201, body: stored });
+    const { response, json } = createResponse();
+
+    // Act
+    await idempotent('orders')(createRequest('key-1'), response as unknown as Response, next);
+
+    // Assert
+    expect(next).not.toHaveBeenCalled();
+    expect(response.set).toHaveBeenCalledWith('Idempotent-Replayed', 'true');
+    expect(response.status).toHaveBeenCalledWith(201);
+    expect(json).toHaveBeenCalledWith(stored);
+  });
+
+  it('should reject a key reused with a different body and one still running', async () => {
+    // Arrange
+    mockIdempotencyService.claim
+      .mockResolvedValueOnce({ state: 'mismatch' })
+      .mockResolvedValueOnce({ state: 'in_progress' });
+    const reused = createResponse();
+    const running = createResponse();
+
+    // Act
+    await idempotent('orders')(createRequest('key-1'), reused.response as unknown as Response, next);
+    await idempotent('orders')(createRequest('key-1'), running.response as unknown as Response, next);
+
+    // Assert
+    expect(next).not.toHaveBeenCalled();
+    expect(reused.response.status).toHaveBeenCalledWith(422);
+    expect(reused.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'IDEMPOTENCY_KEY_REUSED' }));
+    expect(running.response.status).toHaveBeenCalledWith(409);
+    expect(running.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'IDEMPOTENCY_KEY_IN_PROGRESS' }));
+  });
+
+  it('should reject keys that are not printable ASCII', async () => {
+    // Arrange
+    const { response } = createResponse();
+
+    // Act
+    await idempotent('orders')(createRequest('clave con espacios'), response as unknown as Response, next);
+
+    // Assert
+    expect(response.status).toHaveBeenCalledWith(400);
+    expect(mockIdempotencyService.claim).not.toHaveBeenCalled();
+  });
+});
+
+describe('requestFingerprint', () => {
+  it('should ignore key order but not the customer', () => {
+    // Arrange
+    const request = createRequest('key-1', { customer_email: 'ana@example.com', items: [{ product_id: 1, quantity: 2 }] });
+    const reordered = createRequest('key-1', { items: [{ quantity: 2, product_id: 1 }], customer_email: 'ana@example.com' });
+    const otherCustomer = Object.assign(createRequest('key-1', request.body), { user: { id: 9 } });
+
+    // Act & Assert
+    expect(requestFingerprint(reordered)).toBe(requestFingerprint(request));
+    expect(requestFingerprint(otherCustomer)).not.toBe(requestFingerprint(request));
+  });
+});
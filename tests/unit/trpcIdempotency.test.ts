@@ -0,0 +1,102 @@
+/**
+ * 🌸 FloresYa tRPC Idempotency Unit Tests
+ * Idempotency-Key handling of tRPC creation mutations
+ */
+
+import { TRPCError } from '@trpc/server';
+import type { Request, Response } from 'express';
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+
+// Create hoisted mocks
+const mockIdempotencyService = vi.hoisted(() => ({
+  claim: vi.fn(),
+  complete: vi.fn(),
+  release: vi.fn()
+}));
+
+vi.mock('../../src/services/TypeSafeDatabaseService', () => ({
+  typeSafeDatabaseService: { getClient: vi.fn(), getUserById: vi.fn() }
+}));
+
+vi.mock('../../src/services/IdempotencyService', async (importOriginal) => ({
+  ...(await importOriginal<typeof import('../../src/services/IdempotencyService')>()),
+  idempotencyService: mockIdempotencyService
+}));
+
+import { runIdempotent, type Context } from '../../src/app/trpc/trpc';
+
+function createContext(key: string | undefined): Context {
+  return {
+    req: {
+      get: vi.fn((name: string) => (name.toLowerCase() === 'idempotency-key' ? key : undefined))
+    } as unknown as Request,
+    res: { set: vi.fn() } as unknown as Response,
+    user: undefined
+  };
+}
+
+describe('runIdempotent', () => {
+  const input = { order_id: 7, payment_method_id: 2, amount_usd: 50 };
+
+  beforeEach(() => {
+    mockIdempotencyService.complete.mockResolvedValue(undefined);
+    mockIdempotencyService.release.mockResolvedValue(undefined);
+  });
+
+  it('should store the result of a claimed key', async () => {
+    // Arrange
+    mockIdempotencyService.claim.mockResolvedValue({ state: 'claimed' });
+    const result = { success: true, data: { id: 3 } };
+
+    // Act
+    const returned = await runIdempotent(createContext('key-1'), 'payments', input, async () => result);
+
+    // Assert
+    expect(returned).toBe(result);
+    expect(mockIdempotencyService.complete).toHaveBeenCalledWith('payments', 'key-1', 200, result);
+  });
+
+  it('should replay the stored result without running the mutation again', async () => {
+    // Arrange
+    const stored = { success: true, data: { id: 3 } };
+    mockIdempotencyService.claim.mockResolvedValue({ state: 'replay', status: 200, body: stored });
+    const run = vi.fn();
+
+    // Act
+    const returned = await runIdempotent(createContext('key-1'), 'payments', input, run);
+
+    // Assert
+    expect(returned).toEqual(stored);
+    expect(run).not.toHaveBeenCalled();
+  });
+
+  it('should free the key when the mutation fails', async () => {
+    // Arrange
+    mockIdempotencyService.claim.mockResolvedValue({ state: 'claimed' });
+
+    // Act
+    const error = await runIdempotent(createContext('key-1'), 'payments', input, async () => {
+      throw new TRPCError({ code: 'CONFLICT', message: 'Duplicate reference' });
+    }).catch((e: unknown) => e);
+
+    // Assert
+    expect(error).toBeInstanceOf(TRPCError);
+    expect(mockIdempotencyService.release).toHaveBeenCalledWith('payments', 'key-1');
+    expect(mockIdempotencyService.complete).not.toHaveBeenCalled();
+  });
+
+  it('should reject a key still running and run mutations without a key as usual', async () => {
+    // Arrange
+    mockIdempotencyService.claim.mockResolvedValue({ state: 'in_progress' });
+    const run = vi.fn().mockResolvedValue({ success: true });
+
+    // Act
+    const error = await runIdempotent(createContext('key-1'), 'payments', input, run).catch((e: unknown) => e);
+    await runIdempotent(createContext(undefined), 'payments', input, run);
+
+    // Assert
+    expect((error as TRPCError).code).toBe('CONFLICT');
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(mockIdempotencyService.claim).toHaveBeenCalledTimes(1);
+  });
+});
@@ -3,7 +3,7 @@
  * Centralized mock creation with consistent behavior and easy maintenance
  */
 
-import { vi } from 'vitest';
+import { vi, type Mock } from 'vitest';
 import { MockFactory, QueryBuilderContract, SupabaseClientContract } from './mock-contracts';
 
 // Base Mock Factory
@@ -107,6 +107,13 @@ export class DatabaseServiceMockFactory extends BaseMockFactory<any> {
   }
 }
 
+// What a mocked Supabase query resolves to
+export interface QueryResult {
+  data?: unknown;
+  error: unknown;
+  count?: number;
+}
+
 // Query Builder Mock Factory
 export class QueryBuilderMockFactory extends BaseMockFactory<any> {
   private tableName: string;
@@ -120,18 +127,35 @@ export class QueryBuilderMockFactory extends BaseMockFactory<any> {
     const queryBuilder: any = super.create(overrides);
 
     // Make all methods chainable
-    const methods = ['select', 'eq', 'ilike', 'gte', 'lte', 'order', 'limit', 'range', 'in', 'or'];
+    const methods = [
+      'select', 'insert', 'update', 'delete',
+      'eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'is', 'in', 'not', 'or', 'ilike',
+      'order', 'limit', 'range'
+    ];
     methods.forEach(method => {
       queryBuilder[method] = vi.fn().mockReturnValue(queryBuilder);
     });
 
     // Setup default responses
     queryBuilder.single = vi.fn().mockResolvedValue({ data: null, error: null });
+    queryBuilder.maybeSingle = vi.fn().mockResolvedValue({ data: null, error: null });
     queryBuilder.then = vi.fn((resolve: Function) => resolve({ data: [], error: null }));
 
     return queryBuilder;
   }
 
+  // Resolve the query to one result, whether awaited or ended with single/maybeSingle
+  withResult(result: QueryResult): this {
+    const lastInstance = this.instances[this.instances.length - 1];
+    if (lastInstance) {
+      lastInstance.single.mockResolvedValue(result);
+      lastInstance.maybeSingle.mockResolvedValue(result);
+      lastInstance.then = (resolve: (value: unknown) => unknown, reject: (reason: unknown) => unknown) =>
+        Promise.resolve(result).then(resolve, reject);
+    }
+    return this;
+  }
+
   withSingleResponse(response: any): this {
     const lastInstance = this.instances[this.instances.length - 1];
     if (lastInstance) {
@@ -299,6 +323,41 @@ export const createQueryBuilderMock = (tableName: string) => new QueryBuilderMoc
 export const createErrorMock = () => new ErrorMockFactory();
 export const createSuccessResponseMock = () => new SuccessResponseMockFactory();
 
+// Chainable query builder resolving to a fixed result
+export const createResolvedQueryBuilder = (result: QueryResult, tableName = ''): any => {
+  const factory = createQueryBuilderMock(tableName);
+  const builder = factory.create();
+  factory.withResult(result);
+  return builder;
+};
+
+/**
+ * Supabase clients for a mocked TypeSafeDatabaseService.getClient
+ * mockQueries hands out one builder per query, in the order the code runs them;
+ * mockTables one per query of each table, so builders.<table>[n] is its nth query.
+ * Builders are handed out as they are used, so keep the returned ones to assert on
+ */
+export const createSupabaseQueryMocks = (getClient: Mock) => ({
+  mockQueries(...results: QueryResult[]) {
+    const builders = results.map(result => createResolvedQueryBuilder(result));
+    const from = vi.fn();
+    builders.forEach(builder => from.mockReturnValueOnce(builder));
+    getClient.mockReturnValue({ from });
+    return { from, builders };
+  },
+
+  mockTables(tables: Record<string, QueryResult[]>) {
+    const builders: Record<string, any[]> = Object.fromEntries(
+      Object.entries(tables).map(([table, results]) => [table, results.map(result => createResolvedQueryBuilder(result, table))])
+    );
+    const client = {
+      from: vi.fn((table: string) => builders[table]?.shift())
+    };
+    getClient.mockReturnValue(client);
+    return { client, builders };
+  }
+});
+
 // Initialize registry with common factories
 const registry = MockFactoryRegistry.getInstance();
 registry.register('databaseService', new DatabaseServiceMockFactory());
@@ -23,6 +23,7 @@ export default defineConfig({
         authManager: path.resolve(__dirname, './src/frontend/authManager.ts'),
         authManagerTRPC: path.resolve(__dirname, './src/frontend/authManagerTRPC.ts'),
         productDetail: path.resolve(__dirname, './src/frontend/product-detail.ts'),
+        orderTracking: path.resolve(__dirname, './src/frontend/orderTracking.ts'),
         usersAdmin: path.resolve(__dirname, './src/frontend/users-admin.ts'),
         adminPanel: path.resolve(__dirname, './src/frontend/adminPanel.ts'),
         'utils-logger': path.resolve(__dirname, './src/frontend/utils/logger.ts'),